@@ -0,0 +1,12 @@
+-- Migration: Add AI Refinement Revision Source
+-- Purpose: Record accepted "refine with AI" section edits in video_content_revisions
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- ai_refinement: the user accepted an AI rewrite of one section or range of the text
+ALTER TABLE video_content_revisions DROP CONSTRAINT IF EXISTS video_content_revisions_source_check;
+ALTER TABLE video_content_revisions ADD CONSTRAINT video_content_revisions_source_check
+    CHECK (source IN ('ai_generation', 'regenerate', 'manual_edit', 'restore', 'ai_refinement'));
+
+COMMIT;
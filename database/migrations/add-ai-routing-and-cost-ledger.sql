@@ -0,0 +1,61 @@
+-- Migration: Add AI Routing Policies and Cost Ledger
+-- Purpose: Ordered provider fallback and model selection per content type, and token/cost accounting per AI call
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- AI Routing Policies Table
+-- Which providers a content type falls back to when its prompt's provider fails, and which
+-- model each provider runs. The row without a content type is the default for all types.
+CREATE TABLE IF NOT EXISTS ai_routing_policies (
+    id SERIAL PRIMARY KEY,
+    content_type_id INTEGER REFERENCES content_types(id) ON DELETE CASCADE,
+
+    -- Ordered provider keys tried after the prompt's own provider, e.g. ["claude", "chatgpt"]
+    fallback_providers JSONB NOT NULL DEFAULT '[]'::jsonb,
+    -- Model per provider key, e.g. {"gemini": "gemini-2.5-pro"}; missing providers use their default model
+    provider_models JSONB NOT NULL DEFAULT '{}'::jsonb,
+    -- ordered: prompt provider first, then fallbacks in order; cheapest: the whole chain by estimated cost
+    strategy VARCHAR(20) NOT NULL DEFAULT 'ordered'
+        CHECK (strategy IN ('ordered', 'cheapest')),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    updated_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    -- Metadata
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One policy per content type, and one default
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_routing_policies_content_type
+    ON ai_routing_policies(COALESCE(content_type_id, 0));
+
+-- Default: fall back across all providers so a safety block or outage doesn't fail the content type
+INSERT INTO ai_routing_policies (content_type_id, fallback_providers, strategy)
+SELECT NULL, '["gemini", "claude", "chatgpt"]'::jsonb, 'ordered'
+WHERE NOT EXISTS (SELECT 1 FROM ai_routing_policies WHERE content_type_id IS NULL);
+
+-- AI Usage Calls Table
+-- One row per provider call (including failed attempts), with tokens and estimated cost
+CREATE TABLE IF NOT EXISTS ai_usage_calls (
+    id BIGSERIAL PRIMARY KEY,
+    users_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    video_id INTEGER REFERENCES videos(id) ON DELETE SET NULL,
+    content_type VARCHAR(100),
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(100),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('success', 'failed')),
+    error_code VARCHAR(50),
+    -- Provider the chain started with, when this call was a fallback
+    fallback_from VARCHAR(50),
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+    duration_ms INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_calls_user_created ON ai_usage_calls(users_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_calls_created ON ai_usage_calls(created_at);
+
+COMMIT;
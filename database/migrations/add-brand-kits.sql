@@ -0,0 +1,45 @@
+-- Migration: Add Brand Kits
+-- Purpose: User-defined slide themes (palette, fonts, logo, footer) selectable per PPTX / slide-PDF download
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- Brand Kits Table
+-- Font and logo files are stored inline so every web instance can render downloads
+-- without shared disk. List queries select the metadata columns only.
+CREATE TABLE IF NOT EXISTS brand_kits (
+    id SERIAL PRIMARY KEY,
+    users_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+
+    -- Full 10-slot palette: { primary_color, secondary_color, accent_color, dark_bg, light_bg,
+    --   card_bg, text_dark, text_light, text_muted, card_border_top }
+    colors JSONB NOT NULL,
+
+    -- Font family names used in PPTX (must be installed where the deck is opened)
+    heading_font_family VARCHAR(100) NOT NULL DEFAULT 'Georgia',
+    body_font_family VARCHAR(100) NOT NULL DEFAULT 'Arial',
+
+    -- Optional TTF/OTF files embedded in slide PDFs
+    heading_font_file BYTEA,
+    heading_font_filename VARCHAR(255),
+    body_font_file BYTEA,
+    body_font_filename VARCHAR(255),
+
+    -- Optional PNG/JPEG logo shown bottom-right on every slide
+    logo_file BYTEA,
+    logo_mime_type VARCHAR(50),
+
+    footer_text VARCHAR(200),
+
+    -- Metadata
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT brand_kits_user_name_unique UNIQUE (users_id, name),
+    CONSTRAINT brand_kits_logo_mime_check CHECK (logo_mime_type IS NULL OR logo_mime_type IN ('image/png', 'image/jpeg'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_brand_kits_user ON brand_kits(users_id);
+
+COMMIT;
@@ -0,0 +1,40 @@
+-- Migration: Add Clip Reframing
+-- Purpose: Subject-aware cropping for vertical/square clips, with a manual crop
+--          x-offset override chosen in the clips UI
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- How the crop window is positioned: auto (follow the detected subject),
+-- center (fixed center crop) or manual (fixed at crop_x_offset)
+ALTER TABLE video_clips
+ADD COLUMN IF NOT EXISTS reframe_mode VARCHAR(20) NOT NULL DEFAULT 'auto';
+
+-- Manual crop position: center of the crop window as a fraction of the source width
+-- (0 = far left, 0.5 = centered, 1 = far right)
+ALTER TABLE video_clips
+ADD COLUMN IF NOT EXISTS crop_x_offset NUMERIC(5,4);
+
+-- Cached smoothed crop path from subject detection:
+-- { method, startSeconds, endSeconds, points: [{ time, center }], computedAt }
+ALTER TABLE video_clips
+ADD COLUMN IF NOT EXISTS reframe_path JSONB;
+
+ALTER TABLE video_clips
+DROP CONSTRAINT IF EXISTS video_clips_reframe_mode_check;
+
+ALTER TABLE video_clips
+ADD CONSTRAINT video_clips_reframe_mode_check
+    CHECK (reframe_mode IN ('auto', 'center', 'manual'));
+
+ALTER TABLE video_clips
+DROP CONSTRAINT IF EXISTS video_clips_crop_x_offset_check;
+
+ALTER TABLE video_clips
+ADD CONSTRAINT video_clips_crop_x_offset_check
+    CHECK (crop_x_offset IS NULL OR (crop_x_offset >= 0 AND crop_x_offset <= 1));
+
+COMMENT ON COLUMN video_clips.reframe_mode IS 'Crop positioning: auto (subject tracking), center, or manual (crop_x_offset)';
+COMMENT ON COLUMN video_clips.crop_x_offset IS 'Manual crop center as a fraction of the source width (0-1)';
+
+COMMIT;
@@ -0,0 +1,55 @@
+-- Migration: Add Clip Rendering
+-- Purpose: Track server-side clip renders (burned-in captions, title/hook overlay, branding,
+--          output presets) that run as queued jobs
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- The AI suggestion's hook line, used as overlay text on rendered clips
+ALTER TABLE video_clips
+ADD COLUMN IF NOT EXISTS hook_text TEXT;
+
+-- Render job state (the raw download keeps using status/file_path)
+ALTER TABLE video_clips
+ADD COLUMN IF NOT EXISTS render_status VARCHAR(20);
+
+ALTER TABLE video_clips
+ADD COLUMN IF NOT EXISTS render_progress INTEGER DEFAULT 0;
+
+-- Options of the latest render: { preset, captionStyle, overlay, overlaySeconds, useBranding }
+ALTER TABLE video_clips
+ADD COLUMN IF NOT EXISTS render_options JSONB;
+
+ALTER TABLE video_clips
+ADD COLUMN IF NOT EXISTS rendered_file_path TEXT;
+
+ALTER TABLE video_clips
+ADD COLUMN IF NOT EXISTS rendered_file_size_bytes BIGINT;
+
+ALTER TABLE video_clips
+ADD COLUMN IF NOT EXISTS render_error TEXT;
+
+ALTER TABLE video_clips
+ADD COLUMN IF NOT EXISTS rendered_at TIMESTAMP;
+
+ALTER TABLE video_clips
+DROP CONSTRAINT IF EXISTS video_clips_render_status_check;
+
+ALTER TABLE video_clips
+ADD CONSTRAINT video_clips_render_status_check
+    CHECK (render_status IS NULL OR render_status IN ('queued', 'rendering', 'completed', 'failed'));
+
+ALTER TABLE video_clips
+DROP CONSTRAINT IF EXISTS video_clips_render_progress_check;
+
+ALTER TABLE video_clips
+ADD CONSTRAINT video_clips_render_progress_check
+    CHECK (render_progress BETWEEN 0 AND 100);
+
+COMMENT ON COLUMN video_clips.render_status IS 'Render job status: queued, rendering, completed, failed (NULL = never rendered)';
+COMMENT ON COLUMN video_clips.rendered_file_path IS 'Object storage key of the rendered clip with captions/overlays, separate from the raw download in file_path';
+
+CREATE INDEX IF NOT EXISTS idx_video_clips_render_status ON video_clips(render_status)
+    WHERE render_status IS NOT NULL;
+
+COMMIT;
@@ -0,0 +1,34 @@
+-- Migration: Add Content Languages
+-- Purpose: Record the language generated content is written in, and store AI translations of it
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- Language the content text is written in (ISO 639-1). Content generated before
+-- target languages existed was always English.
+ALTER TABLE video_content ADD COLUMN IF NOT EXISTS language VARCHAR(10) NOT NULL DEFAULT 'en';
+
+-- Video Content Translations Table
+-- Localized copies of a video_content row, one per language. The original row stays
+-- the content shown on the dashboard; translations are listed and exported from it.
+CREATE TABLE IF NOT EXISTS video_content_translations (
+    id SERIAL PRIMARY KEY,
+    video_content_id INTEGER NOT NULL REFERENCES video_content(id) ON DELETE CASCADE,
+    language VARCHAR(10) NOT NULL,
+
+    content_text TEXT NOT NULL,
+    ai_provider VARCHAR(50),
+    -- Revision of the original that was translated; older than the original's latest revision means stale
+    source_revision_number INTEGER,
+    created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    -- Metadata
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT video_content_translations_content_language_unique UNIQUE (video_content_id, language)
+);
+
+CREATE INDEX IF NOT EXISTS idx_video_content_translations_content ON video_content_translations(video_content_id);
+
+COMMIT;
@@ -0,0 +1,51 @@
+-- Migration: Add Content Share Links
+-- Purpose: Public, read-only share pages for study guides, discussion guides and interactive quizzes
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- Content Share Links Table
+-- Each link exposes a fixed set of a video's content types at /share/:token without login.
+-- A link stops working once it is revoked or expires_at has passed; password_hash is a
+-- bcrypt hash and, when set, viewers must unlock the page before seeing any content.
+CREATE TABLE IF NOT EXISTS content_share_links (
+    id SERIAL PRIMARY KEY,
+    token VARCHAR(64) NOT NULL UNIQUE,
+    users_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    video_id INTEGER NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+
+    -- Subset of study_guide_text, discussion_guide_text, quiz_text
+    content_types TEXT[] NOT NULL,
+
+    password_hash VARCHAR(255),
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+
+    view_count INTEGER NOT NULL DEFAULT 0,
+    last_viewed_at TIMESTAMP WITH TIME ZONE,
+
+    -- Metadata
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_share_links_user_video ON content_share_links(users_id, video_id);
+
+-- Share Quiz Attempts Table
+-- One row per quiz submitted on a share page, scored server-side and aggregated for the owner.
+CREATE TABLE IF NOT EXISTS share_quiz_attempts (
+    id SERIAL PRIMARY KEY,
+    share_link_id INTEGER NOT NULL REFERENCES content_share_links(id) ON DELETE CASCADE,
+    participant_name VARCHAR(100),
+
+    -- [{ number, question, response, correct }] in quiz order
+    results JSONB NOT NULL DEFAULT '[]',
+    score INTEGER NOT NULL,
+    total INTEGER NOT NULL,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_share_quiz_attempts_link ON share_quiz_attempts(share_link_id);
+
+COMMIT;
@@ -0,0 +1,20 @@
+-- Migration: Add Content Type Generation Options
+-- Purpose: Per-content-type generation toggles; first use is speaker notes for slide decks
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- Free-form generation switches read by content-generation.service, e.g.
+-- slide_deck_text: { "speaker_notes": true }
+ALTER TABLE content_types
+ADD COLUMN IF NOT EXISTS generation_options JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Slide decks generate speaker notes unless an admin has already set the toggle
+UPDATE content_types
+SET generation_options = generation_options || '{"speaker_notes": true}'::jsonb
+WHERE key = 'slide_deck_text'
+  AND NOT (generation_options ? 'speaker_notes');
+
+COMMENT ON COLUMN content_types.generation_options IS 'Per-type generation toggles (e.g. speaker_notes for slide_deck_text)';
+
+COMMIT;
@@ -0,0 +1,67 @@
+-- Migration: Add Outbound Webhooks
+-- Purpose: User-configured HTTP endpoints notified of processing lifecycle events
+--          (video completed, content failed, thumbnails and clip renders finished)
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- Webhook Endpoints Table
+-- secret signs every payload (HMAC-SHA256); it is only revealed to the owner on request.
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+    id SERIAL PRIMARY KEY,
+    users_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    description VARCHAR(255),
+
+    -- Subscribed event types, e.g. {video.completed,content.failed}
+    events TEXT[] NOT NULL,
+
+    secret VARCHAR(100) NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+
+    -- Metadata
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_user ON webhook_endpoints(users_id);
+
+-- Webhook Deliveries Table
+-- One row per event per endpoint, doubling as the endpoint's delivery log. Attempts run as
+-- 'deliver_webhook' jobs on processing_queue, which owns retry scheduling and backoff; the row
+-- keeps the outcome of the latest attempt and when the next one is due. The jobs carry no
+-- video_id, so a delivery is neither lost when its event has no video nor when the video is deleted.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    webhook_endpoint_id INTEGER NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+    users_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Event envelope as sent: { id, type, createdAt, data }
+    event_id VARCHAR(64) NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+
+    -- pending | retrying | succeeded | failed
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempt_count INTEGER NOT NULL DEFAULT 0,
+
+    -- Latest attempt
+    response_status INTEGER,
+    response_body TEXT,
+    error_message TEXT,
+    duration_ms INTEGER,
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    next_attempt_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+
+    -- Metadata
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT webhook_deliveries_status_check
+        CHECK (status IN ('pending', 'retrying', 'succeeded', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(webhook_endpoint_id, created_at DESC);
+
+COMMIT;
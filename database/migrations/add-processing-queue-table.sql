@@ -0,0 +1,82 @@
+-- Migration: Add Processing Queue Table
+-- Purpose: Durable, lease-based job queue shared by all worker replicas
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- Processing Queue Table
+-- Rows are claimed atomically with SELECT ... FOR UPDATE SKIP LOCKED and held
+-- under a lease (locked_by / locked_until) that the worker renews via heartbeat.
+-- A lease that expires without a heartbeat is requeued by the next worker poll.
+CREATE TABLE IF NOT EXISTS processing_queue (
+    id SERIAL PRIMARY KEY,
+    -- NULL for tasks that aren't about a video (webhook deliveries), so they outlive video deletes
+    video_id INTEGER REFERENCES videos(id) ON DELETE CASCADE,
+    task_type VARCHAR(50) NOT NULL,
+    payload JSONB DEFAULT '{}'::jsonb,
+
+    -- queued | processing | completed | dead
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    priority INTEGER NOT NULL DEFAULT 1,
+
+    -- Retry tracking
+    retry_count INTEGER NOT NULL DEFAULT 0,
+    run_after TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    error_message TEXT,
+
+    -- Lease tracking
+    locked_by VARCHAR(255),
+    locked_until TIMESTAMP WITH TIME ZONE,
+    heartbeat_at TIMESTAMP WITH TIME ZONE,
+
+    -- Metadata
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT processing_queue_status_check
+        CHECK (status IN ('queued', 'processing', 'completed', 'dead'))
+);
+
+-- Upgrade tables created by the earlier in-process queue, which CREATE TABLE IF NOT
+-- EXISTS leaves untouched: add the payload, scheduling and lease columns, and
+-- rename its 'failed' status to 'dead' before the status check is added.
+ALTER TABLE processing_queue ADD COLUMN IF NOT EXISTS payload JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE processing_queue ADD COLUMN IF NOT EXISTS run_after TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE processing_queue ADD COLUMN IF NOT EXISTS error_message TEXT;
+ALTER TABLE processing_queue ADD COLUMN IF NOT EXISTS locked_by VARCHAR(255);
+ALTER TABLE processing_queue ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+ALTER TABLE processing_queue ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE processing_queue ADD COLUMN IF NOT EXISTS started_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE processing_queue ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE processing_queue ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE processing_queue ALTER COLUMN video_id DROP NOT NULL;
+
+UPDATE processing_queue SET payload = '{}'::jsonb WHERE payload IS NULL;
+UPDATE processing_queue SET run_after = COALESCE(created_at, CURRENT_TIMESTAMP) WHERE run_after IS NULL;
+
+-- Rows the old poller left mid-run have no lease; requeue them
+UPDATE processing_queue SET status = 'queued' WHERE status = 'processing' AND locked_until IS NULL;
+UPDATE processing_queue SET status = 'dead', completed_at = COALESCE(completed_at, updated_at, CURRENT_TIMESTAMP)
+WHERE status = 'failed';
+
+ALTER TABLE processing_queue DROP CONSTRAINT IF EXISTS processing_queue_status_check;
+ALTER TABLE processing_queue ADD CONSTRAINT processing_queue_status_check
+    CHECK (status IN ('queued', 'processing', 'completed', 'dead'));
+
+-- Indexes
+-- Claim path: next runnable queued item by priority
+CREATE INDEX IF NOT EXISTS idx_processing_queue_claim
+    ON processing_queue(priority DESC, created_at ASC)
+    WHERE status = 'queued';
+
+-- Reaper path: processing items whose lease has expired
+CREATE INDEX IF NOT EXISTS idx_processing_queue_lease
+    ON processing_queue(locked_until)
+    WHERE status = 'processing';
+
+CREATE INDEX IF NOT EXISTS idx_processing_queue_video ON processing_queue(video_id);
+CREATE INDEX IF NOT EXISTS idx_processing_queue_status ON processing_queue(status);
+
+COMMIT;
@@ -0,0 +1,78 @@
+-- Migration: Add Prompt Experiments
+-- Purpose: A/B test prompt variants per content type and provider, and capture quality signals per content row
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- Prompt Experiments Table
+-- Splits generations of one content type and provider between the live prompt and
+-- one or more variants. Only one experiment per content type and provider runs at a time.
+CREATE TABLE IF NOT EXISTS prompt_experiments (
+    id SERIAL PRIMARY KEY,
+    content_type_id INTEGER NOT NULL REFERENCES content_types(id) ON DELETE CASCADE,
+    ai_provider VARCHAR(50) NOT NULL,
+    name VARCHAR(200) NOT NULL,
+    description TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'running'
+        CHECK (status IN ('running', 'paused', 'completed')),
+    created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    -- Metadata
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    ended_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_experiments_one_running
+    ON prompt_experiments(content_type_id, ai_provider) WHERE status = 'running';
+
+-- Prompt Variants Table
+-- The control variant runs the live ai_prompts row as it is; other variants replace
+-- its prompt text and, optionally, its system message, temperature and max tokens.
+CREATE TABLE IF NOT EXISTS prompt_variants (
+    id SERIAL PRIMARY KEY,
+    prompt_experiment_id INTEGER NOT NULL REFERENCES prompt_experiments(id) ON DELETE CASCADE,
+    label VARCHAR(100) NOT NULL,
+    is_control BOOLEAN NOT NULL DEFAULT false,
+    ai_prompts_id INTEGER REFERENCES ai_prompts(id) ON DELETE SET NULL,
+
+    -- NULL falls back to the live prompt's value
+    prompt_text TEXT,
+    system_message TEXT,
+    temperature NUMERIC(3, 2),
+    max_tokens INTEGER,
+
+    -- Share of generations, relative to the other variants' weights
+    traffic_weight INTEGER NOT NULL DEFAULT 50 CHECK (traffic_weight >= 0),
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_variants_experiment ON prompt_variants(prompt_experiment_id);
+
+-- Variant that produced the current text of a content row
+ALTER TABLE video_content
+ADD COLUMN IF NOT EXISTS prompt_variant_id INTEGER REFERENCES prompt_variants(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_video_content_prompt_variant ON video_content(prompt_variant_id) WHERE prompt_variant_id IS NOT NULL;
+
+-- Content Quality Signals Table
+-- What users did with a content row, attributed to the variant that produced it at the time.
+-- thumbs_up / thumbs_down keep one row per content row and variant (the current rating).
+CREATE TABLE IF NOT EXISTS content_quality_signals (
+    id BIGSERIAL PRIMARY KEY,
+    video_content_id INTEGER NOT NULL REFERENCES video_content(id) ON DELETE CASCADE,
+    prompt_variant_id INTEGER REFERENCES prompt_variants(id) ON DELETE CASCADE,
+    signal VARCHAR(20) NOT NULL
+        CHECK (signal IN ('generated', 'thumbs_up', 'thumbs_down', 'edit', 'download', 'regenerate')),
+    -- Download format or edit source
+    detail VARCHAR(50),
+    users_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_quality_signals_variant ON content_quality_signals(prompt_variant_id, signal);
+CREATE INDEX IF NOT EXISTS idx_content_quality_signals_content ON content_quality_signals(video_content_id);
+
+COMMIT;
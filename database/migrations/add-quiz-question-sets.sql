@@ -0,0 +1,27 @@
+-- Migration: Add Quiz Question Sets
+-- Purpose: Store quiz_text parsed into structured questions for LMS / flashcard exports
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- Quiz Question Sets Table
+-- One row per quiz_text content row. quiz_text is generated as free-form markdown;
+-- exports (QTI, Moodle XML, Kahoot CSV, Anki CSV) read the parsed questions from here.
+-- source_hash is the SHA-256 of the content_text that was parsed, so a regenerated
+-- quiz is re-parsed on its next export and an unchanged one never is.
+CREATE TABLE IF NOT EXISTS quiz_question_sets (
+    id SERIAL PRIMARY KEY,
+    video_content_id INTEGER NOT NULL UNIQUE REFERENCES video_content(id) ON DELETE CASCADE,
+    source_hash CHAR(64) NOT NULL,
+
+    -- [{ number, type, question, choices, correct_index, answer, explanation }]
+    questions JSONB NOT NULL DEFAULT '[]',
+    -- Questions that couldn't be parsed: [{ number, excerpt, message }]
+    parse_errors JSONB NOT NULL DEFAULT '[]',
+
+    -- Metadata
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMIT;
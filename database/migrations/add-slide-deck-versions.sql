@@ -0,0 +1,29 @@
+-- Migration: Add Slide Deck Versions
+-- Purpose: Keep a revertible history of user edits to slide_deck_text content
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- Slide Deck Versions Table
+-- One row per saved edit of a slide deck. video_content.content_text always holds the
+-- current deck (so PPTX / slide-PDF downloads render it); these rows are the history.
+-- Version 1 is a snapshot of the AI-generated deck taken before the first edit.
+CREATE TABLE IF NOT EXISTS slide_deck_versions (
+    id SERIAL PRIMARY KEY,
+    video_content_id INTEGER NOT NULL REFERENCES video_content(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+
+    -- Full deck JSON: { theme, slides: [...] }
+    deck JSONB NOT NULL,
+    change_summary VARCHAR(255),
+    created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    -- Metadata
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT slide_deck_versions_content_version_unique UNIQUE (video_content_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_slide_deck_versions_content ON slide_deck_versions(video_content_id, version_number DESC);
+
+COMMIT;
@@ -0,0 +1,41 @@
+-- Migration: Add Transcript Segments Table
+-- Purpose: Store transcripts as structured, timed segments (with speaker labels) alongside videos.transcript_text
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- Transcript Segments Table
+-- One row per caption / speech-to-text segment, ordered by segment_index.
+-- videos.transcript_text remains the flat copy used by existing prompts and exports
+-- and is rebuilt from these rows whenever segments are edited.
+CREATE TABLE IF NOT EXISTS transcript_segments (
+    id SERIAL PRIMARY KEY,
+    video_id INTEGER NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+    segment_index INTEGER NOT NULL,
+
+    -- Timing in seconds (NULL when the source had no timing)
+    start_seconds DOUBLE PRECISION,
+    end_seconds DOUBLE PRECISION,
+
+    -- Content
+    speaker_label VARCHAR(100),
+    text TEXT NOT NULL,
+    confidence DOUBLE PRECISION CHECK (confidence IS NULL OR (confidence >= 0 AND confidence <= 1)),
+
+    -- Provenance: captions | speech_to_text | upload | manual
+    source VARCHAR(30) NOT NULL DEFAULT 'captions',
+    is_edited BOOLEAN NOT NULL DEFAULT FALSE,
+
+    -- Metadata
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT transcript_segments_video_index_unique UNIQUE (video_id, segment_index),
+    CONSTRAINT transcript_segments_timing_check CHECK (start_seconds IS NULL OR end_seconds IS NULL OR end_seconds >= start_seconds)
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_transcript_segments_video_start ON transcript_segments(video_id, start_seconds);
+CREATE INDEX IF NOT EXISTS idx_transcript_segments_speaker ON transcript_segments(video_id, speaker_label);
+
+COMMIT;
@@ -0,0 +1,53 @@
+-- Migration: Add Two-Factor Authentication
+-- Purpose: TOTP enrollment, single-use recovery codes, remembered devices,
+--          and an MFA flag on login sessions
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- TOTP secret per user (AES-256-CBC encrypted with TOKEN_ENCRYPTION_KEY).
+-- A row with enabled_at NULL is an enrollment that has not been confirmed with a code yet.
+CREATE TABLE IF NOT EXISTS user_two_factor (
+    id SERIAL PRIMARY KEY,
+    users_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    secret_encrypted TEXT NOT NULL,
+    encryption_iv VARCHAR(32) NOT NULL,
+    enabled_at TIMESTAMP WITH TIME ZONE,
+
+    -- Last accepted 30-second time step; codes from this step or earlier are rejected (replay protection)
+    last_used_step BIGINT,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Recovery codes (SHA-256 hashes), each usable once
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    users_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_users_id ON user_recovery_codes(users_id);
+
+-- Devices that skip the second step ("remember this device"); the cookie holds the raw token
+CREATE TABLE IF NOT EXISTS user_trusted_devices (
+    id SERIAL PRIMARY KEY,
+    users_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    user_agent TEXT,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_trusted_devices_users_id ON user_trusted_devices(users_id);
+
+-- Whether the login that created a session passed a second factor
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS mfa_verified BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMIT;
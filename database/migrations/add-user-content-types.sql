@@ -0,0 +1,46 @@
+-- Migration: Add User Content Types
+-- Purpose: Let users define their own content types with their own prompt, capped per plan
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- Owner of a user-defined content type; NULL for the system types managed by admins
+ALTER TABLE content_types
+ADD COLUMN IF NOT EXISTS users_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+
+-- Free-text description of the output the user expects (e.g. "10 slides, a headline and two bullets each"),
+-- appended to the prompt when generating
+ALTER TABLE content_types
+ADD COLUMN IF NOT EXISTS output_format TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_content_types_users_id ON content_types(users_id) WHERE users_id IS NOT NULL;
+
+COMMENT ON COLUMN content_types.users_id IS 'Owner of a user-defined content type; NULL for system types';
+COMMENT ON COLUMN content_types.output_format IS 'Output format hint for user-defined content types';
+
+-- Owner of a user-authored prompt; NULL for system prompts
+ALTER TABLE ai_prompts
+ADD COLUMN IF NOT EXISTS users_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_ai_prompts_users_id ON ai_prompts(users_id) WHERE users_id IS NOT NULL;
+
+COMMENT ON COLUMN ai_prompts.users_id IS 'Owner of a user-authored prompt; NULL for system prompts';
+
+-- How many content types a plan's users may define. Use -1 for unlimited.
+ALTER TABLE subscription_plan_features
+ADD COLUMN IF NOT EXISTS custom_content_types_limit INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN subscription_plan_features.custom_content_types_limit IS 'Maximum user-defined content types. Use -1 for unlimited';
+
+UPDATE subscription_plan_features spf
+SET custom_content_types_limit = CASE sp.plan_key
+    WHEN 'basic' THEN 1
+    WHEN 'premium' THEN 3
+    WHEN 'creator' THEN 10
+    WHEN 'enterprise' THEN -1
+    ELSE 0
+  END
+FROM subscription_plans sp
+WHERE spf.subscription_plan_id = sp.id;
+
+COMMIT;
@@ -0,0 +1,35 @@
+-- Migration: Add Video Content Revisions
+-- Purpose: Snapshot every save of video_content.content_text so edits survive regeneration and can be diffed / restored
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- Video Content Revisions Table
+-- One row per save of a content row's text. video_content.content_text always holds the
+-- current text; these rows are the history. Rows that existed before this table get a
+-- baseline revision (the text as it was) the first time they are saved again.
+CREATE TABLE IF NOT EXISTS video_content_revisions (
+    id SERIAL PRIMARY KEY,
+    video_content_id INTEGER NOT NULL REFERENCES video_content(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+
+    content_text TEXT,
+
+    -- ai_generation (first generation), regenerate, manual_edit, restore
+    source VARCHAR(20) NOT NULL,
+    ai_provider VARCHAR(50),
+    prompt_used_id INTEGER REFERENCES ai_prompts(id) ON DELETE SET NULL,
+    -- Set when restored from another revision
+    restored_from_revision INTEGER,
+    created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    -- Metadata
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT video_content_revisions_content_revision_unique UNIQUE (video_content_id, revision_number),
+    CONSTRAINT video_content_revisions_source_check CHECK (source IN ('ai_generation', 'regenerate', 'manual_edit', 'restore'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_video_content_revisions_content ON video_content_revisions(video_content_id, revision_number DESC);
+
+COMMIT;
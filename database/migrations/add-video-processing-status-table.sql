@@ -0,0 +1,40 @@
+-- Migration: Add Video Processing Status Table
+-- Purpose: Persist per-video processing progress so it survives deploys and is shared across replicas
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- Video Processing Status Table
+-- One row per video record currently (or recently) being processed. Keyed on videos.id, not the
+-- YouTube ID: several users can import the same YouTube video, and each import has its own status.
+-- Changes are fanned out to every web node via NOTIFY on the 'processing_status' channel.
+CREATE TABLE IF NOT EXISTS video_processing_status (
+    id SERIAL PRIMARY KEY,
+    videos_id INTEGER NOT NULL UNIQUE REFERENCES videos(id) ON DELETE CASCADE,
+    video_id VARCHAR(50) NOT NULL,  -- YouTube video ID (what clients key their progress UI on)
+    users_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    video_title TEXT,
+
+    -- Transcript status: pending | completed | failed | cancelled
+    transcript_status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    transcript_error TEXT,
+    transcript_completed_at TIMESTAMP WITH TIME ZONE,
+
+    -- Per content type status: { "<content_type>": { status, completedAt, error, ... } }
+    content_status JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+    -- Lifecycle flags
+    cancelled BOOLEAN NOT NULL DEFAULT FALSE,
+    completed BOOLEAN NOT NULL DEFAULT FALSE,
+
+    -- Metadata
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_video_processing_status_user ON video_processing_status(users_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_video_processing_status_updated ON video_processing_status(updated_at);
+
+COMMIT;
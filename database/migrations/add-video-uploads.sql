@@ -0,0 +1,68 @@
+-- Migration: Add Direct Video Uploads
+-- Purpose: Support resumable, chunked media uploads (podcasts, Zoom recordings, unlisted course videos)
+--          that are processed without a YouTube URL
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- Where a video came from: youtube (URL or OAuth import) or upload (direct file upload)
+ALTER TABLE videos
+ADD COLUMN IF NOT EXISTS source_type VARCHAR(20) DEFAULT 'youtube';
+
+-- Media for uploaded videos (object key in the shared storage bucket)
+ALTER TABLE videos
+ADD COLUMN IF NOT EXISTS media_path TEXT;
+
+ALTER TABLE videos
+ADD COLUMN IF NOT EXISTS media_mime_type VARCHAR(100);
+
+ALTER TABLE videos
+ADD COLUMN IF NOT EXISTS media_size_bytes BIGINT;
+
+-- Uploaded videos have no YouTube URL
+ALTER TABLE videos
+ALTER COLUMN youtube_url DROP NOT NULL;
+
+COMMENT ON COLUMN videos.source_type IS 'Video source: youtube (URL or OAuth import) or upload (direct file upload)';
+
+CREATE INDEX IF NOT EXISTS idx_videos_source_type ON videos(source_type);
+
+-- Video Uploads Table
+-- One row per resumable upload session. Clients PATCH chunks at the current offset
+-- until received_bytes = total_bytes, then the upload is turned into a videos row.
+-- Each chunk is stored as one part of an object storage multipart upload.
+CREATE TABLE IF NOT EXISTS video_uploads (
+    id SERIAL PRIMARY KEY,
+    upload_id VARCHAR(64) NOT NULL UNIQUE,  -- Public identifier used in upload URLs
+    users_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    video_id INTEGER REFERENCES videos(id) ON DELETE SET NULL,
+
+    -- File details
+    filename VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    total_bytes BIGINT NOT NULL CHECK (total_bytes > 0),
+    received_bytes BIGINT NOT NULL DEFAULT 0,
+    storage_path TEXT NOT NULL,  -- Object key in the shared storage bucket
+    storage_upload_id TEXT,  -- Multipart upload the chunks are written to
+    parts JSONB NOT NULL DEFAULT '[]'::jsonb,  -- Stored parts: [{ PartNumber, ETag }]
+
+    -- Video details supplied when the upload was created: { title, description, category, contentTypes }
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+    -- Status: uploading | completed | failed | aborted
+    status VARCHAR(20) NOT NULL DEFAULT 'uploading'
+        CHECK (status IN ('uploading', 'completed', 'failed', 'aborted')),
+    error_message TEXT,
+
+    -- Metadata
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_video_uploads_user ON video_uploads(users_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_video_uploads_expiry ON video_uploads(expires_at) WHERE status = 'uploading';
+
+COMMIT;
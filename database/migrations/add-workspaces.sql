@@ -0,0 +1,63 @@
+-- Migration: Add Workspaces
+-- Purpose: Team workspaces with roles and email invitations; videos, character profiles
+--          and YouTube channel connections can be shared into a workspace, and enterprise
+--          subscriptions carry a seat quantity
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- A workspace is billed to its owner: members' usage counts against the owner's plan
+CREATE TABLE IF NOT EXISTS workspaces (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    owner_users_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspaces_owner ON workspaces(owner_users_id);
+
+-- Every workspace has exactly one 'owner' member row (its owner_users_id)
+CREATE TABLE IF NOT EXISTS workspace_members (
+    id SERIAL PRIMARY KEY,
+    workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    users_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+    invited_by_users_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (workspace_id, users_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_members_users_id ON workspace_members(users_id);
+
+-- Pending invitations hold a seat until accepted, revoked or expired; the email link carries the raw token
+CREATE TABLE IF NOT EXISTS workspace_invitations (
+    id SERIAL PRIMARY KEY,
+    workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('editor', 'viewer')),
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    invited_by_users_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    accepted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_invitations_workspace ON workspace_invitations(workspace_id) WHERE accepted_at IS NULL;
+
+-- Shared resources keep their users_id (who added them); workspace_id makes them visible to members.
+-- Deleting a workspace returns them to their owners' personal libraries.
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(id) ON DELETE SET NULL;
+ALTER TABLE user_character_profiles ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(id) ON DELETE SET NULL;
+ALTER TABLE user_youtube_channels ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_videos_workspace_id ON videos(workspace_id) WHERE workspace_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_character_profiles_workspace_id ON user_character_profiles(workspace_id) WHERE workspace_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_user_youtube_channels_workspace_id ON user_youtube_channels(workspace_id) WHERE workspace_id IS NOT NULL;
+
+-- Seats bought on the enterprise tier (Stripe subscription item quantity)
+ALTER TABLE user_subscriptions ADD COLUMN IF NOT EXISTS seat_quantity INTEGER NOT NULL DEFAULT 1;
+
+COMMIT;
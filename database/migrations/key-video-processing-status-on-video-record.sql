@@ -0,0 +1,22 @@
+-- Migration: Key Video Processing Status on the Video Record
+-- Purpose: video_processing_status was unique on the YouTube ID, so two users importing the same
+--          YouTube video overwrote each other's status and shared one cancellation flag.
+--          Only needed where add-video-processing-status-table.sql ran before it was keyed on videos_id.
+-- Created: 2026-10-19
+
+BEGIN;
+
+-- Status rows are short-lived progress records; rows without a video record can't be matched any more
+DELETE FROM video_processing_status WHERE videos_id IS NULL;
+
+ALTER TABLE video_processing_status DROP CONSTRAINT IF EXISTS video_processing_status_video_id_key;
+ALTER TABLE video_processing_status DROP CONSTRAINT IF EXISTS video_processing_status_videos_id_fkey;
+
+ALTER TABLE video_processing_status
+    ALTER COLUMN videos_id SET NOT NULL,
+    ADD CONSTRAINT video_processing_status_videos_id_fkey
+        FOREIGN KEY (videos_id) REFERENCES videos(id) ON DELETE CASCADE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS video_processing_status_videos_id_key ON video_processing_status(videos_id);
+
+COMMIT;
@@ -11,6 +11,7 @@ module.exports = {
     'src/**/*.js',
     '!src/server.js',
     '!src/server-https.js',
+    '!src/worker.js',
     '!src/app.js',
     '!src/config/**',
     '!**/node_modules/**'
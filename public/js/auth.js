@@ -370,7 +370,10 @@ async function handleSigninSubmit(e) {
         
         const result = await response.json();
         
-        if (response.ok && result.success) {
+        if (response.ok && result.success && result.data.twoFactorRequired) {
+            // Password accepted; the code is entered on the next page
+            window.location.href = result.data.redirectTo;
+        } else if (response.ok && result.success) {
             // Show success message briefly then redirect
             showAlert('Sign in successful! Redirecting...', 'success');
             
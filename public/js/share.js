@@ -0,0 +1,85 @@
+/**
+ * Share Page JavaScript
+ * Submits the interactive quiz on /share/:token and shows per-question feedback
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+    const form = document.getElementById('share-quiz-form');
+    if (!form) return;
+
+    const submitButton = document.getElementById('share-quiz-submit');
+    const scoreBox = document.getElementById('share-quiz-score');
+    const questions = Array.from(form.querySelectorAll('.share-question'));
+
+    function collectAnswers() {
+        return questions.map((fieldset) => {
+            const index = fieldset.dataset.index;
+            if (fieldset.dataset.type === 'short_answer') {
+                const value = fieldset.querySelector(`input[name="question-${index}"]`).value.trim();
+                return value || null;
+            }
+            const checked = fieldset.querySelector(`input[name="question-${index}"]:checked`);
+            return checked ? parseInt(checked.value, 10) : null;
+        });
+    }
+
+    function showResults(data) {
+        data.results.forEach((result, index) => {
+            const fieldset = questions[index];
+            if (!fieldset) return;
+
+            fieldset.querySelectorAll('.share-choice').forEach((label, choiceIndex) => {
+                label.classList.remove('correct', 'incorrect');
+                const input = label.querySelector('input');
+                if (choiceIndex === result.correctIndex) {
+                    label.classList.add('correct');
+                } else if (input.checked) {
+                    label.classList.add('incorrect');
+                }
+            });
+
+            const feedback = fieldset.querySelector('.share-feedback');
+            feedback.classList.remove('hidden', 'correct', 'incorrect');
+            feedback.classList.add(result.correct ? 'correct' : 'incorrect');
+            feedback.textContent = result.correct ? 'Correct!' : `Answer: ${result.answer}`;
+            if (result.explanation) {
+                feedback.textContent += ` — ${result.explanation}`;
+            }
+        });
+
+        const percent = data.total > 0 ? Math.round((data.score / data.total) * 100) : 0;
+        scoreBox.textContent = `You scored ${data.score} out of ${data.total} (${percent}%)`;
+        scoreBox.classList.remove('hidden');
+        scoreBox.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        submitButton.disabled = true;
+        submitButton.textContent = 'Checking...';
+
+        try {
+            const response = await fetch(`/share/${form.dataset.token}/quiz`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'same-origin',
+                body: JSON.stringify({
+                    answers: collectAnswers(),
+                    name: form.querySelector('input[name="name"]').value
+                })
+            });
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || data.message || 'Failed to check answers');
+            }
+            showResults(data);
+            submitButton.textContent = 'Try again';
+        } catch (error) {
+            scoreBox.textContent = error.message;
+            scoreBox.classList.remove('hidden');
+            submitButton.textContent = 'Check answers';
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+});
@@ -184,7 +184,7 @@ app.get('/webhook/test', (req, res) => {
   });
 });
 
-// Internal transcript API route (no auth required - called by internal services)
+// Transcript API: internal /generate (no auth - called by internal services) and authenticated segment endpoints
 app.use('/api/transcript', require('./routes/transcript.routes'));
 
 // Routes
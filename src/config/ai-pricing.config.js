@@ -0,0 +1,50 @@
+/**
+ * AI Model Pricing Configuration
+ *
+ * Default model per provider and list prices used to estimate the cost of each AI call.
+ * Prices are USD per 1M tokens; update them when providers change their pricing.
+ */
+
+// Model each provider runs unless a routing policy selects another
+const DEFAULT_MODELS = {
+  // Read when used, so GEMINI_MODEL can be set after this file is loaded
+  get gemini() {
+    return process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+  },
+  chatgpt: 'gpt-5.1',
+  claude: 'claude-sonnet-4-5'
+};
+
+// USD per 1M input / output tokens
+const MODEL_PRICING = {
+  // Google Gemini
+  'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+  'gemini-flash-lite-latest': { input: 0.10, output: 0.40 },
+
+  // OpenAI
+  'gpt-5.1': { input: 1.25, output: 10.00 },
+  'gpt-5-mini': { input: 0.25, output: 2.00 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+
+  // Anthropic Claude
+  'claude-opus-4-1': { input: 15.00, output: 75.00 },
+  'claude-sonnet-4-5': { input: 3.00, output: 15.00 },
+  'claude-haiku-4-5': { input: 1.00, output: 5.00 },
+  'claude-3-haiku-20240307': { input: 0.25, output: 1.25 }
+};
+
+// Used for models missing from MODEL_PRICING (priced like the provider's default model)
+const PROVIDER_FALLBACK_PRICING = {
+  gemini: MODEL_PRICING['gemini-2.5-flash'],
+  chatgpt: MODEL_PRICING['gpt-5.1'],
+  claude: MODEL_PRICING['claude-sonnet-4-5']
+};
+
+module.exports = {
+  DEFAULT_MODELS,
+  MODEL_PRICING,
+  PROVIDER_FALLBACK_PRICING
+};
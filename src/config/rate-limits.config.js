@@ -125,6 +125,23 @@ const API_LIMITS = {
   }
 };
 
+/**
+ * Public API Rate Limits per API Key
+ * Each key sets its own request budget (rate_limit) per window (rate_limit_window)
+ */
+const API_KEY_LIMITS = {
+  windows: {
+    minute: TIME_WINDOWS.ONE_MINUTE,
+    hour: TIME_WINDOWS.ONE_HOUR,
+    day: TIME_WINDOWS.ONE_DAY
+  },
+  message: {
+    success: false,
+    message: 'API key rate limit exceeded. Please slow down or raise the key\'s rate limit.',
+    error: 'API_KEY_RATE_LIMIT_EXCEEDED'
+  }
+};
+
 /**
  * Content Processing Rate Limits
  * For expensive operations like video processing, AI generation
@@ -257,6 +274,7 @@ module.exports = {
   TIME_WINDOWS,
   AUTH_LIMITS,
   API_LIMITS,
+  API_KEY_LIMITS,
   CONTENT_LIMITS,
   WEB_LIMITS,
   RATE_LIMIT_CATEGORIES,
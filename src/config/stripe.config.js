@@ -157,10 +157,13 @@ const stripeConfig = {
         savings: 438,
         period: 'year'
       },
-      features: ['50 videos/month', 'Unlimited Thumbnails', 'All PREMIUM Content Types', 'Blog Post', 'Podcast Script', 'Study Guide', 'Discussion Guide', 'Quiz', 'Quotes', 'Social Carousel', 'Group Chat Guide'],
+      features: ['50 videos/month', 'Unlimited Thumbnails', 'All PREMIUM Content Types', 'Blog Post', 'Podcast Script', 'Study Guide', 'Discussion Guide', 'Quiz', 'Quotes', 'Social Carousel', 'Group Chat Guide', 'Team workspaces'],
       videoLimit: 50,
       analyticsAccess: true,
-      apiAccess: true
+      apiAccess: true,
+      // Billed per workspace seat: the checkout quantity is the number of seats
+      perSeat: true,
+      maxSeats: 100
     }
   },
 
@@ -175,6 +178,14 @@ const stripeConfig = {
       key,
       ...this.subscriptionTiers[key]
     }));
+  },
+
+  // Get the tier a monthly or yearly price ID belongs to
+  getTierByPriceId(priceId) {
+    return this.getAllTiers().find(tier =>
+      (tier.monthly && tier.monthly.priceId === priceId) ||
+      (tier.yearly && tier.yearly.priceId === priceId)
+    ) || null;
   }
 };
 
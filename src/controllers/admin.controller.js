@@ -348,6 +348,13 @@ class AdminController {
         is_active: req.body.is_active !== 'off'
       };
 
+      if (ct.key === 'slide_deck_text') {
+        updateData.generation_options = {
+          ...(ct.generation_options || {}),
+          speaker_notes: req.body.speaker_notes === 'on'
+        };
+      }
+
       await contentType.update(id, updateData);
 
       // Handle AI prompt changes
@@ -0,0 +1,160 @@
+const { validationResult } = require('express-validator');
+const aiRoutingService = require('../../services/ai-routing.service');
+const aiCostService = require('../../services/ai-cost.service');
+const aiChatService = require('../../services/ai-chat.service');
+const { contentType } = require('../../models');
+const { DEFAULT_MODELS } = require('../../config/ai-pricing.config');
+const { logger } = require('../../utils');
+
+// HTTP status for routing policy and ledger error codes
+const AI_COST_ERROR_STATUS = {
+  INVALID_POLICY: 400,
+  INVALID_MONTH: 400,
+  POLICY_NOT_FOUND: 404
+};
+
+/**
+ * Send a service error with its mapped status, or a 500
+ */
+function handleAiCostError(error, res, failureMessage) {
+  if (AI_COST_ERROR_STATUS[error.code]) {
+    return res.status(AI_COST_ERROR_STATUS[error.code]).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  logger.error(`${failureMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: failureMessage
+  });
+}
+
+/**
+ * Send express-validator errors; returns true when the request was rejected
+ */
+function rejectInvalid(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+}
+
+/**
+ * AI Routing & Costs Controller
+ * Admin page and endpoints for provider fallback policies and the monthly AI cost ledger
+ */
+const aiCostsController = {
+  /**
+   * Routing policies and cost ledger page
+   * GET /admin/ai-costs
+   */
+  async renderPage(req, res) {
+    try {
+      const contentTypes = await contentType.getAiRequired();
+
+      res.render('admin/ai-costs', {
+        layout: 'main',
+        title: 'AI Routing & Costs',
+        user: req.user,
+        contentTypes,
+        providers: aiRoutingService.PROVIDERS.map(provider => ({
+          key: provider,
+          defaultModel: DEFAULT_MODELS[provider],
+          available: aiChatService.isProviderAvailable(provider)
+        })),
+        strategies: aiRoutingService.STRATEGIES
+      });
+    } catch (error) {
+      logger.error('Error rendering AI costs page:', error);
+      res.status(500).render('errors/500', {
+        layout: 'main',
+        title: 'Server Error',
+        user: req.user
+      });
+    }
+  },
+
+  /**
+   * Cost totals by provider and by user for a month
+   * GET /admin/api/ai-costs/ledger?month=YYYY-MM
+   */
+  async getLedger(req, res) {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const ledger = await aiCostService.getMonthlyLedger(req.query.month);
+      res.json({ success: true, data: ledger });
+    } catch (error) {
+      handleAiCostError(error, res, 'Failed to load AI cost ledger');
+    }
+  },
+
+  /**
+   * One user's cost per month
+   * GET /admin/api/ai-costs/users/:userId?months=12
+   */
+  async getUserLedger(req, res) {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const months = await aiCostService.getUserLedger(req.params.userId, req.query.months || 12);
+      res.json({ success: true, data: { userId: req.params.userId, months } });
+    } catch (error) {
+      handleAiCostError(error, res, 'Failed to load user AI costs');
+    }
+  },
+
+  /**
+   * All routing policies
+   * GET /admin/api/ai-routing/policies
+   */
+  async listPolicies(req, res) {
+    try {
+      const policies = await aiRoutingService.listPolicies();
+      res.json({ success: true, data: policies });
+    } catch (error) {
+      handleAiCostError(error, res, 'Failed to load routing policies');
+    }
+  },
+
+  /**
+   * Create or replace a content type's policy (or the default, without contentTypeId)
+   * PUT /admin/api/ai-routing/policies
+   */
+  async savePolicy(req, res) {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const policy = await aiRoutingService.savePolicy(req.body.contentTypeId || null, req.body, req.user.id);
+      res.json({ success: true, data: policy });
+    } catch (error) {
+      handleAiCostError(error, res, 'Failed to save routing policy');
+    }
+  },
+
+  /**
+   * Remove a content type's policy so it uses the default
+   * DELETE /admin/api/ai-routing/policies/:contentTypeId
+   */
+  async deletePolicy(req, res) {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      await aiRoutingService.deletePolicy(req.params.contentTypeId);
+      logger.info(`Admin ${req.user.id} removed the AI routing policy of content type ${req.params.contentTypeId}`);
+      res.json({ success: true });
+    } catch (error) {
+      handleAiCostError(error, res, 'Failed to delete routing policy');
+    }
+  }
+};
+
+module.exports = aiCostsController;
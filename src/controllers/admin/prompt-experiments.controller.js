@@ -0,0 +1,147 @@
+const { validationResult } = require('express-validator');
+const promptExperimentService = require('../../services/prompt-experiment.service');
+const { contentType, aiPrompts } = require('../../models');
+const { logger } = require('../../utils');
+
+// HTTP status for prompt experiment error codes
+const EXPERIMENT_ERROR_STATUS = {
+  INVALID_EXPERIMENT: 400,
+  EXPERIMENT_NOT_FOUND: 404,
+  LIVE_PROMPT_NOT_FOUND: 404,
+  EXPERIMENT_ALREADY_RUNNING: 409,
+  EXPERIMENT_COMPLETED: 409
+};
+
+/**
+ * Send a service error with its mapped status, or a 500
+ */
+function handleExperimentError(error, res, failureMessage) {
+  if (EXPERIMENT_ERROR_STATUS[error.code]) {
+    return res.status(EXPERIMENT_ERROR_STATUS[error.code]).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  logger.error(`${failureMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: failureMessage
+  });
+}
+
+/**
+ * Send express-validator errors; returns true when the request was rejected
+ */
+function rejectInvalid(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+}
+
+/**
+ * Prompt Experiments Controller
+ * Admin page and endpoints for prompt A/B tests and their variant reports
+ */
+const promptExperimentsController = {
+  /**
+   * Experiments page
+   * GET /admin/prompt-experiments
+   */
+  async renderPage(req, res) {
+    try {
+      const contentTypes = await contentType.getAiRequired();
+      const availableProviders = await aiPrompts.getAvailableProviders();
+
+      res.render('admin/prompt-experiments', {
+        layout: 'main',
+        title: 'Prompt A/B Tests',
+        user: req.user,
+        contentTypes,
+        availableProviders,
+        selectedContentTypeId: parseInt(req.query.contentTypeId) || null,
+        maxVariants: promptExperimentService.MAX_VARIANTS
+      });
+    } catch (error) {
+      logger.error('Error rendering prompt experiments page:', error);
+      res.status(500).render('errors/500', {
+        layout: 'main',
+        title: 'Server Error',
+        user: req.user
+      });
+    }
+  },
+
+  /**
+   * List experiments, optionally for one content type or status
+   * GET /admin/api/prompt-experiments
+   */
+  async listExperiments(req, res) {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const experiments = await promptExperimentService.listExperiments({
+        contentTypeId: req.query.contentTypeId,
+        status: req.query.status
+      });
+      res.json({ success: true, data: experiments });
+    } catch (error) {
+      handleExperimentError(error, res, 'Failed to load prompt experiments');
+    }
+  },
+
+  /**
+   * Start an experiment against the live prompt
+   * POST /admin/api/prompt-experiments
+   */
+  async createExperiment(req, res) {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const experiment = await promptExperimentService.createExperiment(req.body, req.user.id);
+      res.status(201).json({ success: true, data: experiment });
+    } catch (error) {
+      handleExperimentError(error, res, 'Failed to start prompt experiment');
+    }
+  },
+
+  /**
+   * Per-variant signals and quality scores
+   * GET /admin/api/prompt-experiments/:id/report
+   */
+  async getReport(req, res) {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const report = await promptExperimentService.getReport(req.params.id);
+      res.json({ success: true, data: report });
+    } catch (error) {
+      handleExperimentError(error, res, 'Failed to load experiment report');
+    }
+  },
+
+  /**
+   * Pause, resume or complete an experiment
+   * POST /admin/api/prompt-experiments/:id/status
+   */
+  async updateStatus(req, res) {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const experiment = await promptExperimentService.setStatus(req.params.id, req.body.status);
+      logger.info(`Admin ${req.user.id} set prompt experiment ${experiment.id} to ${experiment.status}`);
+      res.json({ success: true, data: experiment });
+    } catch (error) {
+      handleExperimentError(error, res, 'Failed to update prompt experiment');
+    }
+  }
+};
+
+module.exports = promptExperimentsController;
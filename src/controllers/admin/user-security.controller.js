@@ -0,0 +1,78 @@
+const { validationResult } = require('express-validator');
+const twoFactorService = require('../../services/two-factor.service');
+const { logger } = require('../../utils');
+
+/**
+ * Send express-validator errors; returns true when the request was rejected
+ */
+function rejectInvalid(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+}
+
+/**
+ * User Security Controller
+ * Admin page for looking up a user's two-factor state and resetting it
+ */
+const userSecurityController = {
+  /**
+   * User security page
+   * GET /admin/user-security
+   */
+  renderPage(req, res) {
+    res.render('admin/user-security', {
+      layout: 'main',
+      title: 'User Security',
+      user: req.user
+    });
+  },
+
+  /**
+   * Users matching an email or name, with their 2FA state
+   * GET /admin/api/user-security/users?q=
+   */
+  async searchUsers(req, res) {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const users = await twoFactorService.searchUsers(req.query.q);
+      res.json({ success: true, data: users });
+    } catch (error) {
+      logger.error('Failed to search users for two-factor status:', error);
+      res.status(500).json({ success: false, message: 'Failed to search users' });
+    }
+  },
+
+  /**
+   * Remove a user's two-factor authentication, recovery codes and remembered devices
+   * POST /admin/api/user-security/users/:userId/reset-two-factor
+   */
+  async resetTwoFactor(req, res) {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const existed = await twoFactorService.resetForUser(req.params.userId, req.user.id);
+      if (!existed) {
+        return res.status(404).json({
+          success: false,
+          message: 'This user does not have two-factor authentication set up',
+          code: 'TWO_FACTOR_NOT_ENABLED'
+        });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Failed to reset two-factor authentication:', error);
+      res.status(500).json({ success: false, message: 'Failed to reset two-factor authentication' });
+    }
+  }
+};
+
+module.exports = userSecurityController;
@@ -0,0 +1,65 @@
+const apiKeyService = require('../services/api-key.service');
+
+// HTTP status for each error code raised by api-key.service
+const API_KEY_ERROR_STATUS = {
+  INVALID_API_KEY_REQUEST: 400,
+  API_KEY_NOT_FOUND: 404,
+  API_KEY_LIMIT_REACHED: 403
+};
+
+class ApiKeysController {
+  /**
+   * Send an api-key.service error with its mapped status
+   */
+  handleApiKeyError(error, res, next) {
+    if (API_KEY_ERROR_STATUS[error.code]) {
+      return res.status(API_KEY_ERROR_STATUS[error.code]).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    next(error);
+  }
+
+  /**
+   * List the user's API keys and their plan's API call allowance
+   * GET /api/api-keys
+   */
+  async listKeys(req, res, next) {
+    try {
+      const { keys, apiCallsLimit, apiCallsUsed } = await apiKeyService.listKeys(req.user.id, req.user.subscription_tier);
+      res.json({ success: true, keys, apiCallsLimit, apiCallsUsed });
+    } catch (error) {
+      this.handleApiKeyError(error, res, next);
+    }
+  }
+
+  /**
+   * Create an API key; the response is the only time the full key is shown
+   * POST /api/api-keys
+   */
+  async createKey(req, res, next) {
+    try {
+      const key = await apiKeyService.createKey(req.user.id, req.body);
+      res.status(201).json({ success: true, key });
+    } catch (error) {
+      this.handleApiKeyError(error, res, next);
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * DELETE /api/api-keys/:keyId
+   */
+  async revokeKey(req, res, next) {
+    try {
+      const key = await apiKeyService.revokeKey(req.user.id, req.params.keyId);
+      res.json({ success: true, key });
+    } catch (error) {
+      this.handleApiKeyError(error, res, next);
+    }
+  }
+}
+
+module.exports = new ApiKeysController();
@@ -4,9 +4,142 @@ const crypto = require('crypto');
 
 const { authService, emailService } = require('../services');
 const sessionService = require('../services/session.service');
+const twoFactorService = require('../services/two-factor.service');
 const { logger } = require('../utils');
 const { getPostAuthRedirectUrl } = require('../utils/redirect.utils');
 
+function wantsJson(req) {
+  return req.xhr || req.headers.accept?.indexOf('json') > -1;
+}
+
+/**
+ * Record the login session a new token is bound to, retrying once. A token without a
+ * session ID could never be signed out, so when no session can be recorded the sign-in fails.
+ * @param {Function} record - Records the session; resolves to the session record or null
+ * @returns {Promise<Object>} Session record
+ */
+async function recordSessionOrFail(record) {
+  const session = await record() || await record();
+
+  if (!session?.sessionId) {
+    const error = new Error('Unable to start your session. Please try again.');
+    error.code = 'SESSION_NOT_RECORDED';
+    throw error;
+  }
+
+  return session;
+}
+
+/**
+ * Issue the auth cookie, record the login session and respond (last step of every sign-in)
+ * @param {Object} user - Authenticated user
+ * @param {Object} options - { remember, mfaVerified, loginMethod }
+ */
+async function completeSignIn(req, res, user, { remember, mfaVerified, loginMethod = 'email' }) {
+  // Record login session first so the token can carry its ID. This also covers the
+  // remembered-device path, which is only trusted with a session record behind it.
+  const session = await recordSessionOrFail(() => sessionService.recordLogin(user, req, loginMethod, { mfaVerified }));
+
+  // Generate JWT token with user data to reduce database calls
+  const tokenExpiry = remember ? '30d' : process.env.JWT_EXPIRES_IN || '7d';
+  const token = jwt.sign(
+    {
+      userId: user.id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      emailVerified: user.emailVerified,
+      status: user.status,
+      sid: session.sessionId,
+      iat: Math.floor(Date.now() / 1000) // issued at timestamp
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: tokenExpiry }
+  );
+
+  // Update last login asynchronously (don't block the response)
+  authService.updateUser(user.id, {
+    lastLoginAt: new Date().toISOString()
+  }).catch(error => {
+    logger.error('Failed to update last login time:', error);
+  });
+
+  // Set cookie
+  const cookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: remember ? 30 * 24 * 60 * 60 * 1000 : 7 * 24 * 60 * 60 * 1000 // 30 days or 7 days
+  };
+
+  res.cookie('auth_token', token, cookieOptions);
+
+  logger.info(`User signed in successfully: ${user.id} via ${loginMethod}${mfaVerified ? ' (two-factor verified)' : ''}`);
+
+  // For API requests
+  if (wantsJson(req)) {
+    return res.status(200).json({
+      success: true,
+      message: 'Signed in successfully!',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName
+        },
+        token,
+        redirectTo: getPostAuthRedirectUrl(user)
+      }
+    });
+  }
+
+  // For regular form submission
+  res.redirect(getPostAuthRedirectUrl(user));
+}
+
+/**
+ * Sign in a user whose first factor (password or social provider) passed.
+ * With two-factor authentication on, and this device not remembered, sets the
+ * pending cookie and sends the user to the code step instead.
+ * @param {Object} user - User who passed the first step
+ * @param {Object} options - { remember, loginMethod }
+ */
+async function beginSignIn(req, res, user, { remember, loginMethod }) {
+  if (!await twoFactorService.isEnabled(user.id)) {
+    return completeSignIn(req, res, user, { remember, mfaVerified: false, loginMethod });
+  }
+
+  const trustedDevice = await twoFactorService.isTrustedDevice(
+    user.id,
+    req.cookies?.[twoFactorService.TRUSTED_DEVICE_COOKIE]
+  );
+  if (trustedDevice) {
+    return completeSignIn(req, res, user, { remember, mfaVerified: true, loginMethod });
+  }
+
+  res.cookie(twoFactorService.PENDING_COOKIE, twoFactorService.createPendingToken(user.id, remember, loginMethod), {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: twoFactorService.PENDING_TOKEN_MINUTES * 60 * 1000
+  });
+
+  logger.info(`First sign-in step (${loginMethod}) passed for user ${user.id}; two-factor code required`);
+
+  if (wantsJson(req)) {
+    return res.status(200).json({
+      success: true,
+      message: 'Enter the code from your authenticator app.',
+      data: {
+        twoFactorRequired: true,
+        redirectTo: '/auth/two-factor'
+      }
+    });
+  }
+  return res.redirect('/auth/two-factor');
+}
+
 class AuthController {
   // GET /auth/sign-up - Step 1: Email input
   async renderSignUp(req, res) {
@@ -422,11 +555,32 @@ class AuthController {
         // Don't fail registration if BREVO fails
       }
 
+      // Record signup session. The account exists either way, so without one the user signs in instead.
+      let session;
+      try {
+        session = await recordSessionOrFail(() => sessionService.recordSignup(updatedUser, req, 'email'));
+      } catch (sessionError) {
+        logger.error(`Signup session could not be recorded for user ${user.id}:`, sessionError);
+        res.clearCookie('referral_code', { path: '/' });
+
+        if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
+          return res.status(201).json({
+            success: true,
+            message: 'Account created! Please sign in to continue.',
+            data: { redirectTo: '/auth/sign-in' }
+          });
+        }
+
+        req.flash('success', 'Account created! Please sign in to continue.');
+        return res.redirect('/auth/sign-in');
+      }
+
       // Generate JWT token for immediate login
       const jwtToken = jwt.sign(
         {
           userId: user.id,
-          email: email  // Use email from request
+          email: email,  // Use email from request
+          sid: session.sessionId
         },
         process.env.JWT_SECRET,
         { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
@@ -445,9 +599,6 @@ class AuthController {
       // Clear referral cookie after it's been used
       res.clearCookie('referral_code', { path: '/' });
 
-      // Record signup session
-      await sessionService.recordSignup(updatedUser, req, 'email');
-
       // Check if this is an affiliate signup flow
       const isAffiliateSignup = req.body.affiliateSignup === 'true';
       const redirectUrl = isAffiliateSignup
@@ -644,64 +795,7 @@ class AuthController {
         });
       }
 
-      // Generate JWT token with user data to reduce database calls
-      const tokenExpiry = remember ? '30d' : process.env.JWT_EXPIRES_IN || '7d';
-      const token = jwt.sign(
-        {
-          userId: user.id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          emailVerified: user.emailVerified,
-          status: user.status,
-          iat: Math.floor(Date.now() / 1000) // issued at timestamp
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: tokenExpiry }
-      );
-
-      // Update last login asynchronously (don't block the response)
-      authService.updateUser(user.id, {
-        lastLoginAt: new Date().toISOString()
-      }).catch(error => {
-        logger.error('Failed to update last login time:', error);
-      });
-
-      // Set cookie
-      const cookieOptions = {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'lax',
-        maxAge: remember ? 30 * 24 * 60 * 60 * 1000 : 7 * 24 * 60 * 60 * 1000 // 30 days or 7 days
-      };
-
-      res.cookie('auth_token', token, cookieOptions);
-
-      // Record login session
-      await sessionService.recordLogin(user, req, 'email');
-
-      logger.info(`User signed in successfully: ${user.id}`);
-
-      // For API requests
-      if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
-        return res.status(200).json({
-          success: true,
-          message: 'Signed in successfully!',
-          data: {
-            user: {
-              id: user.id,
-              email: user.email,
-              firstName: user.firstName,
-              lastName: user.lastName
-            },
-            token,
-            redirectTo: getPostAuthRedirectUrl(user)
-          }
-        });
-      }
-
-      // For regular form submission
-      res.redirect(getPostAuthRedirectUrl(user));
+      await beginSignIn(req, res, user, { remember, loginMethod: 'email' });
 
     } catch (error) {
       logger.error('Sign in error details:', {
@@ -727,14 +821,110 @@ class AuthController {
     }
   }
 
+  // GET /auth/two-factor - Second sign-in step
+  async renderTwoFactor(req, res) {
+    if (req.user) {
+      return res.redirect(getPostAuthRedirectUrl(req.user));
+    }
+
+    const pending = twoFactorService.verifyPendingToken(req.cookies?.[twoFactorService.PENDING_COOKIE]);
+    if (!pending) {
+      return res.redirect('/auth/sign-in');
+    }
+
+    res.render('auth/two-factor', {
+      title: 'Two-Factor Authentication',
+      subtitle: 'Enter the 6-digit code from your authenticator app.',
+      layout: 'auth',
+      showHeader: false,
+      showFooter: false,
+      trustedDeviceDays: twoFactorService.TRUSTED_DEVICE_DAYS
+    });
+  }
+
+  // POST /auth/two-factor - Verify the code and finish signing in
+  async verifyTwoFactor(req, res) {
+    try {
+      const pending = twoFactorService.verifyPendingToken(req.cookies?.[twoFactorService.PENDING_COOKIE]);
+      if (!pending) {
+        return res.status(401).json({
+          success: false,
+          message: 'Your sign-in expired. Please sign in again.',
+          error: 'TWO_FACTOR_SESSION_EXPIRED',
+          redirectTo: '/auth/sign-in'
+        });
+      }
+
+      const user = await authService.findUserById(pending.userId);
+      if (!user || !user.emailVerified || user.status !== 'active') {
+        res.clearCookie(twoFactorService.PENDING_COOKIE);
+        return res.status(401).json({
+          success: false,
+          message: 'Unable to sign in to this account.',
+          error: 'INVALID_CREDENTIALS',
+          redirectTo: '/auth/sign-in'
+        });
+      }
+
+      try {
+        const method = await twoFactorService.verifyCode(user.id, req.body.code);
+        logger.info(`Two-factor sign-in for user ${user.id} with ${method}`);
+      } catch (error) {
+        if (error.code === 'INVALID_TWO_FACTOR_CODE') {
+          return res.status(401).json({
+            success: false,
+            message: 'That code is not valid. Try again or use a recovery code.',
+            error: error.code
+          });
+        }
+        throw error;
+      }
+
+      res.clearCookie(twoFactorService.PENDING_COOKIE);
+
+      if (req.body.rememberDevice === true || req.body.rememberDevice === 'true') {
+        const deviceToken = await twoFactorService.rememberDevice(user.id, req.get('User-Agent'));
+        res.cookie(twoFactorService.TRUSTED_DEVICE_COOKIE, deviceToken, {
+          httpOnly: true,
+          secure: process.env.NODE_ENV === 'production',
+          sameSite: 'lax',
+          maxAge: twoFactorService.TRUSTED_DEVICE_DAYS * 24 * 60 * 60 * 1000
+        });
+      }
+
+      await completeSignIn(req, res, user, {
+        remember: pending.remember,
+        mfaVerified: true,
+        loginMethod: pending.loginMethod
+      });
+    } catch (error) {
+      logger.error('Two-factor sign in error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Unable to sign in. Please try again.',
+        error: 'INTERNAL_SERVER_ERROR'
+      });
+    }
+  }
+
+  // Last step of the OAuth callbacks and social verification: same two-factor step as password sign-in
+  async completeOAuthSignIn(req, res, user, loginMethod) {
+    await beginSignIn(req, res, user, { remember: false, loginMethod });
+  }
+
   // GET/POST /auth/logout
   async logout(req, res) {
     try {
-      // End active sessions if user is authenticated
+      // End the session of this device; other devices stay signed in
       if (req.user && req.user.id) {
-        // End active sessions by updating them with Ended At timestamp
-        await sessionService.endUserSessions(req.user.id);
-        logger.info(`Active sessions ended for user: ${req.user.id}`);
+        if (req.sessionId) {
+          await sessionService.endSession(req.sessionId);
+          logger.info(`Session ended for user: ${req.user.id}`);
+        } else {
+          // Tokens issued before session binding can't identify their session
+          await sessionService.endUserSessions(req.user.id);
+          logger.info(`Active sessions ended for user: ${req.user.id}`);
+        }
       }
 
       res.clearCookie('auth_token');
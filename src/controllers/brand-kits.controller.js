@@ -0,0 +1,113 @@
+const brandKitService = require('../services/brand-kit.service');
+const { logger } = require('../utils');
+
+// HTTP status for each brand kit error code raised by brand-kit.service
+const BRAND_KIT_ERROR_STATUS = {
+  INVALID_BRAND_KIT: 400,
+  BRAND_KIT_CONTRAST: 400,
+  BRAND_KIT_NOT_FOUND: 404,
+  BRAND_KIT_NAME_TAKEN: 409,
+  BRAND_KIT_LIMIT: 409
+};
+
+class BrandKitsController {
+  /**
+   * Send a brand-kit.service error with its mapped status
+   */
+  handleBrandKitError(error, res, next) {
+    if (BRAND_KIT_ERROR_STATUS[error.code]) {
+      return res.status(BRAND_KIT_ERROR_STATUS[error.code]).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    next(error);
+  }
+
+  /**
+   * List the user's brand kits
+   * GET /api/brand-kits
+   */
+  async listBrandKits(req, res, next) {
+    try {
+      const brandKits = await brandKitService.listKits(req.user.id);
+      res.json({ success: true, brandKits });
+    } catch (error) {
+      this.handleBrandKitError(error, res, next);
+    }
+  }
+
+  /**
+   * Get a brand kit
+   * GET /api/brand-kits/:kitId
+   */
+  async getBrandKit(req, res, next) {
+    try {
+      const brandKit = await brandKitService.getKit(req.user.id, req.params.kitId);
+      res.json({ success: true, brandKit });
+    } catch (error) {
+      this.handleBrandKitError(error, res, next);
+    }
+  }
+
+  /**
+   * Create a brand kit (multipart: fields plus optional heading_font, body_font, logo files)
+   * POST /api/brand-kits
+   */
+  async createBrandKit(req, res, next) {
+    try {
+      const brandKit = await brandKitService.createKit(req.user.id, req.body, req.files);
+      res.status(201).json({ success: true, brandKit });
+    } catch (error) {
+      this.handleBrandKitError(error, res, next);
+    }
+  }
+
+  /**
+   * Update a brand kit
+   * PUT /api/brand-kits/:kitId
+   */
+  async updateBrandKit(req, res, next) {
+    try {
+      const brandKit = await brandKitService.updateKit(req.user.id, req.params.kitId, req.body, req.files);
+      res.json({ success: true, brandKit });
+    } catch (error) {
+      this.handleBrandKitError(error, res, next);
+    }
+  }
+
+  /**
+   * Delete a brand kit
+   * DELETE /api/brand-kits/:kitId
+   */
+  async deleteBrandKit(req, res, next) {
+    try {
+      await brandKitService.deleteKit(req.user.id, req.params.kitId);
+      res.json({ success: true, message: 'Brand kit deleted' });
+    } catch (error) {
+      this.handleBrandKitError(error, res, next);
+    }
+  }
+
+  /**
+   * Serve a brand kit's logo (for previews in the theme picker)
+   * GET /api/brand-kits/:kitId/logo
+   */
+  async getBrandKitLogo(req, res, next) {
+    try {
+      const logo = await brandKitService.getLogo(req.user.id, req.params.kitId);
+      res.set('Content-Type', logo.mimeType);
+      res.set('Cache-Control', 'private, max-age=300');
+      res.send(logo.data);
+    } catch (error) {
+      if (!BRAND_KIT_ERROR_STATUS[error.code]) {
+        logger.error(`Error serving brand kit ${req.params.kitId} logo:`, error);
+      }
+      this.handleBrandKitError(error, res, next);
+    }
+  }
+}
+
+module.exports = new BrandKitsController();
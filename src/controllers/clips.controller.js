@@ -1,6 +1,33 @@
 const clipsService = require('../services/clips.service');
+const clipRenderService = require('../services/clip-render.service');
+const reframeService = require('../services/reframe.service');
+const objectStorage = require('../services/object-storage.service');
 const { video: videoModel } = require('../models');
 const { logger } = require('../utils');
+const path = require('path');
+
+// HTTP status for each render error code raised by clip-render.service
+const RENDER_ERROR_STATUS = {
+  INVALID_RENDER_OPTIONS: 400,
+  RENDER_IN_PROGRESS: 409
+};
+
+/**
+ * Whether the user can view or edit a clip's video, as its owner or through a workspace
+ * @param {Object} clip - video_clips row joined with its video's users_id
+ * @param {number} userId - Current user ID
+ * @param {string} access - 'view' or 'edit'
+ * @returns {Promise<boolean>}
+ */
+async function canAccessClip(clip, userId, access) {
+  if (!userId) {
+    return false;
+  }
+  if (clip.users_id === userId) {
+    return true;
+  }
+  return Boolean(await videoModel.getVideoByIdAndUser(clip.video_id, userId, { access }));
+}
 
 class ClipsController {
   /**
@@ -21,8 +48,8 @@ class ClipsController {
 
       logger.info(`Generating clips for video ${videoId} (user: ${userId})`);
 
-      // Verify video ownership
-      const video = await videoModel.getVideoByIdAndUser(videoId, userId);
+      // Verify the user can edit the video, as its owner or a workspace editor
+      const video = await videoModel.getVideoByIdAndUser(videoId, userId, { access: 'edit' });
       if (!video) {
         return res.status(404).json({
           success: false,
@@ -73,8 +100,8 @@ class ClipsController {
 
       const userId = req.user?.id;
 
-      // Verify video ownership
-      const video = await videoModel.getVideoByIdAndUser(videoId, userId);
+      // Verify the user can view the video, as its owner or a workspace member
+      const video = await videoModel.getVideoByIdAndUser(videoId, userId, { access: 'view' });
       if (!video) {
         return res.status(404).json({
           success: false,
@@ -112,7 +139,7 @@ class ClipsController {
 
       logger.info(`Downloading clip ${clipId} (user: ${userId})`);
 
-      // Verify clip ownership via video
+      // Verify clip access via its video
       const clipQuery = `
         SELECT vc.*, v.users_id
         FROM video_clips vc
@@ -132,7 +159,7 @@ class ClipsController {
 
       const clip = clipResult.rows[0];
 
-      if (clip.users_id !== userId) {
+      if (!(await canAccessClip(clip, userId, 'edit'))) {
         return res.status(403).json({
           success: false,
           error: 'Access denied'
@@ -165,7 +192,7 @@ class ClipsController {
 
       logger.info(`Converting clip ${clipId} to vertical format (user: ${userId})`);
 
-      // Verify clip ownership
+      // Verify clip access via its video
       const clipQuery = `
         SELECT vc.*, v.users_id
         FROM video_clips vc
@@ -185,7 +212,7 @@ class ClipsController {
 
       const clip = clipResult.rows[0];
 
-      if (clip.users_id !== userId) {
+      if (!(await canAccessClip(clip, userId, 'edit'))) {
         return res.status(403).json({
           success: false,
           error: 'Access denied'
@@ -214,6 +241,198 @@ class ClipsController {
     }
   }
 
+  /**
+   * Load a clip (with its video's owner and media fields) and check the user can view or edit it
+   * @param {string} access - 'view' or 'edit'
+   * @returns {Promise<Object|null>} Clip, or null once a 404/403 response has been sent
+   */
+  async findAccessibleClip(req, res, access) {
+    const clip = await clipRenderService.getClipForRender(req.params.clipId);
+
+    if (!clip) {
+      res.status(404).json({
+        success: false,
+        error: 'Clip not found'
+      });
+      return null;
+    }
+
+    if (!(await canAccessClip(clip, req.user?.id, access))) {
+      res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+      return null;
+    }
+
+    return clip;
+  }
+
+  /**
+   * List output presets, caption styles and overlay modes
+   * GET /api/clips/render-options
+   */
+  async getRenderOptions(req, res, next) {
+    try {
+      res.json({
+        success: true,
+        ...clipRenderService.getRenderOptions()
+      });
+    } catch (error) {
+      logger.error('Error in getRenderOptions:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Queue a render with burned-in captions, overlay text and branding
+   * POST /api/clips/:clipId/render
+   */
+  async renderClip(req, res, next) {
+    try {
+      const clip = await this.findAccessibleClip(req, res, 'edit');
+      if (!clip) return;
+
+      logger.info(`Queueing render for clip ${clip.id} (user: ${req.user?.id})`);
+
+      const { preset, captionStyle, overlay, overlaySeconds, useBranding } = req.body;
+      const render = await clipRenderService.queueRender(clip, {
+        preset,
+        captionStyle,
+        overlay,
+        overlaySeconds,
+        useBranding
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Clip render queued',
+        render
+      });
+
+    } catch (error) {
+      logger.error('Error in renderClip:', error);
+      if (RENDER_ERROR_STATUS[error.code]) {
+        return res.status(RENDER_ERROR_STATUS[error.code]).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Get the render status of a clip
+   * GET /api/clips/:clipId/render
+   */
+  async getRenderStatus(req, res, next) {
+    try {
+      const clip = await this.findAccessibleClip(req, res, 'view');
+      if (!clip) return;
+
+      res.json({
+        success: true,
+        render: clipRenderService.formatRenderState(clip)
+      });
+
+    } catch (error) {
+      logger.error('Error in getRenderStatus:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Download the rendered clip
+   * GET /api/clips/:clipId/render/file
+   */
+  async downloadRender(req, res, next) {
+    try {
+      const clip = await this.findAccessibleClip(req, res, 'view');
+      if (!clip) return;
+
+      if (clip.render_status !== 'completed' || !clip.rendered_file_path) {
+        return res.status(404).json({
+          success: false,
+          error: 'Clip has not been rendered yet'
+        });
+      }
+
+      // Renders are written to object storage by the worker, so stream from there
+      const { stream, contentLength } = await objectStorage.getObjectStream(clip.rendered_file_path);
+
+      res.attachment(path.basename(clip.rendered_file_path));
+      if (contentLength) {
+        res.set('Content-Length', String(contentLength));
+      }
+
+      stream.on('error', (error) => {
+        logger.error(`Error streaming render for clip ${clip.id}:`, error);
+        res.destroy(error);
+      });
+      stream.pipe(res);
+
+    } catch (error) {
+      logger.error('Error in downloadRender:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get a clip's reframing settings and its computed crop path
+   * GET /api/clips/:clipId/reframe
+   */
+  async getReframe(req, res, next) {
+    try {
+      const clip = await this.findAccessibleClip(req, res, 'view');
+      if (!clip) return;
+
+      res.json({
+        success: true,
+        reframe: reframeService.formatSettings(clip)
+      });
+
+    } catch (error) {
+      logger.error('Error in getReframe:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Choose how the crop follows the subject, or pin it at a manual x-offset.
+   * Applies to the next vertical conversion or render.
+   * PUT /api/clips/:clipId/reframe
+   */
+  async updateReframe(req, res, next) {
+    try {
+      const clip = await this.findAccessibleClip(req, res, 'edit');
+      if (!clip) return;
+
+      const { mode, cropXOffset } = req.body;
+
+      let updated;
+      try {
+        updated = await reframeService.updateSettings(clip.id, mode, cropXOffset);
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Reframing updated. Convert or render the clip again to apply it.',
+        reframe: reframeService.formatSettings(updated)
+      });
+
+    } catch (error) {
+      logger.error('Error in updateReframe:', error);
+      next(error);
+    }
+  }
+
   /**
    * Delete a clip
    * DELETE /api/clips/:clipId
@@ -225,7 +444,7 @@ class ClipsController {
 
       logger.info(`Deleting clip ${clipId} (user: ${userId})`);
 
-      // Verify clip ownership
+      // Verify clip access via its video
       const clipQuery = `
         SELECT vc.*, v.users_id
         FROM video_clips vc
@@ -245,7 +464,7 @@ class ClipsController {
 
       const clip = clipResult.rows[0];
 
-      if (clip.users_id !== userId) {
+      if (!(await canAccessClip(clip, userId, 'edit'))) {
         return res.status(403).json({
           success: false,
           error: 'Access denied'
@@ -296,7 +515,7 @@ class ClipsController {
 
       const clip = clipResult.rows[0];
 
-      if (clip.users_id !== userId) {
+      if (!(await canAccessClip(clip, userId, 'view'))) {
         return res.status(403).json({
           success: false,
           error: 'Access denied'
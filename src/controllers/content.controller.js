@@ -1,9 +1,210 @@
 const contentService = require('../services/content.service');
 const documentGenerationService = require('../services/document-generation.service');
+const epubGenerationService = require('../services/epub-generation.service');
+const contentExportService = require('../services/content-export.service');
+const quizExportService = require('../services/quiz-export.service');
 const slideDeckGenerationService = require('../services/slide-deck-generation.service');
+const slideDeckEditorService = require('../services/slide-deck-editor.service');
+const brandKitService = require('../services/brand-kit.service');
+const contentRevisionService = require('../services/content-revision.service');
+const contentRefinementService = require('../services/content-refinement.service');
+const contentTranslationService = require('../services/content-translation.service');
+const promptExperimentService = require('../services/prompt-experiment.service');
+const { video: videoModel } = require('../models');
 const { logger } = require('../utils');
 const { validationResult } = require('express-validator');
 
+// HTTP status for slide editor error codes
+const SLIDE_EDIT_ERROR_STATUS = {
+  INVALID_SLIDE: 400,
+  SLIDE_NOT_FOUND: 404,
+  VERSION_NOT_FOUND: 404,
+  SLIDE_DECK_NOT_FOUND: 404,
+  INVALID_SLIDE_DECK: 422
+};
+
+// HTTP status for quiz export error codes
+const QUIZ_EXPORT_ERROR_STATUS = {
+  QUIZ_NOT_FOUND: 404,
+  NO_EXPORTABLE_QUESTIONS: 422
+};
+
+// HTTP status for content revision error codes
+const REVISION_ERROR_STATUS = {
+  CONTENT_NOT_FOUND: 404,
+  REVISION_NOT_FOUND: 404
+};
+
+// HTTP status for content refinement error codes
+const REFINEMENT_ERROR_STATUS = {
+  INVALID_SELECTION: 400,
+  INVALID_INSTRUCTION: 400,
+  CONTENT_NOT_FOUND: 404,
+  SECTION_NOT_FOUND: 404,
+  CONTENT_CHANGED: 409,
+  EMPTY_REFINEMENT: 502,
+  AI_PROVIDER_UNAVAILABLE: 503
+};
+
+// HTTP status for content translation error codes
+const TRANSLATION_ERROR_STATUS = {
+  UNSUPPORTED_LANGUAGE: 400,
+  SAME_LANGUAGE: 400,
+  CONTENT_NOT_FOUND: 404,
+  TRANSLATION_NOT_FOUND: 404,
+  NOTHING_TO_TRANSLATE: 422,
+  TRANSLATION_FAILED: 502,
+  AI_PROVIDER_UNAVAILABLE: 503
+};
+
+// HTTP status for content rating error codes
+const RATING_ERROR_STATUS = {
+  INVALID_RATING: 400,
+  CONTENT_NOT_FOUND: 404
+};
+
+/**
+ * Resolve a video by numeric ID or YouTube videoid that the user owns, or that is shared
+ * into one of their workspaces with a role granting the access level
+ * @param {string} access - 'view' or 'edit'
+ * @returns {Promise<Object|null>} { id, video_title } or null
+ */
+async function findAccessibleVideo(videoId, userId, access) {
+  const database = require('../services/database.service');
+  const isNumeric = /^\d+$/.test(videoId);
+  const result = await database.query(
+    `SELECT id, video_title FROM videos WHERE ${isNumeric ? 'id' : 'videoid'} = $1 AND ${videoModel.accessCondition(access, 2)}`,
+    [videoId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Text a download renders: the stored content or, with ?language=, its translation
+ * @returns {Promise<string|null>}
+ */
+async function getDownloadText(dbVideoId, contentType, language) {
+  if (language) {
+    return contentTranslationService.getTranslatedText(dbVideoId, contentType, language);
+  }
+
+  const content = await contentService.getVideoContentByType(dbVideoId, contentType, { publishedOnly: false });
+  return content?.content_text || null;
+}
+
+/**
+ * Count a download as a quality signal for the content's prompt variant (transcripts aren't generated)
+ */
+function trackDownload(dbVideoId, contentType, format, userId) {
+  if (contentType === 'transcript' || contentType === 'transcript_text') return;
+  promptExperimentService.recordDownload(dbVideoId, contentType, format, userId);
+}
+
+/**
+ * Load the brand kit selected with ?brandKit= for a slide download
+ * @returns {Promise<Object|null|false>} Resolved theme, null when none was requested,
+ *   or false when a 404 has already been sent
+ */
+async function resolveBrandKitTheme(req, res) {
+  if (!req.query.brandKit) {
+    return null;
+  }
+
+  try {
+    return await brandKitService.resolveTheme(req.user.id, req.query.brandKit);
+  } catch (error) {
+    if (error.code !== 'BRAND_KIT_NOT_FOUND') throw error;
+    res.status(404).json({
+      success: false,
+      message: 'Brand kit not found'
+    });
+    return false;
+  }
+}
+
+/**
+ * Shared request handling for slide editor and revision endpoints: validation, ownership and error mapping
+ * @param {Function} action - async (dbVideoId, userId) => response data
+ * @param {Object} [errorStatus] - Error code to HTTP status map for the service being called
+ */
+async function handleSlideEdit(req, res, action, failureMessage, errorStatus = SLIDE_EDIT_ERROR_STATUS) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const video = await findAccessibleVideo(req.params.videoId, req.user.id, 'edit');
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found or access denied'
+      });
+    }
+
+    const data = await action(video.id, req.user.id);
+    res.json({ success: true, data });
+
+  } catch (error) {
+    if (errorStatus[error.code]) {
+      return res.status(errorStatus[error.code]).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error(`${failureMessage}:`, error);
+    res.status(500).json({
+      success: false,
+      message: failureMessage,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+/**
+ * Shared request handling for refinement and translation endpoints, which address content by
+ * video_content ID (the service checks ownership): validation and error mapping
+ * @param {Function} action - async (contentId, userId) => response data
+ * @param {Object} [errorStatus] - Error code to HTTP status map for the service being called
+ */
+async function handleRefinement(req, res, action, failureMessage, errorStatus = REFINEMENT_ERROR_STATUS) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const data = await action(req.params.contentId, req.user.id);
+    res.json({ success: true, data });
+
+  } catch (error) {
+    if (errorStatus[error.code]) {
+      return res.status(errorStatus[error.code]).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error(`${failureMessage}:`, error);
+    res.status(500).json({
+      success: false,
+      message: failureMessage,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
 /**
  * Content Controller - Handles normalized content operations
  */
@@ -15,7 +216,7 @@ class ContentController {
    */
   async getContentTypes(req, res) {
     try {
-      const contentTypes = await contentService.getAvailableContentTypes();
+      const contentTypes = await contentService.getAvailableContentTypes(req.user.id);
 
       res.json({
         success: true,
@@ -27,7 +228,8 @@ class ContentController {
             description: ct.description,
             requiresAi: ct.requires_ai,
             hasUrlField: ct.has_url_field,
-            displayOrder: ct.display_order
+            displayOrder: ct.display_order,
+            isCustom: Boolean(ct.users_id)
           }))
         }
       });
@@ -64,7 +266,7 @@ class ContentController {
       // Verify user owns this video
       const database = require('../services/database.service');
       const videoCheck = await database.query(
-        'SELECT id FROM videos WHERE id = $1 AND users_id = $2',
+        `SELECT id FROM videos WHERE id = $1 AND ${videoModel.accessCondition('view', 2)}`,
         [videoId, userId]
       );
 
@@ -142,7 +344,7 @@ class ContentController {
       // Verify user owns this video
       const database = require('../services/database.service');
       const videoCheck = await database.query(
-        'SELECT id FROM videos WHERE id = $1 AND users_id = $2',
+        `SELECT id FROM videos WHERE id = $1 AND ${videoModel.accessCondition('view', 2)}`,
         [videoId, userId]
       );
 
@@ -230,7 +432,7 @@ class ContentController {
       // Verify user owns this video
       const database = require('../services/database.service');
       const videoCheck = await database.query(
-        'SELECT id FROM videos WHERE id = $1 AND users_id = $2',
+        `SELECT id FROM videos WHERE id = $1 AND ${videoModel.accessCondition('edit', 2)}`,
         [videoId, userId]
       );
 
@@ -314,7 +516,7 @@ class ContentController {
         SELECT vc.id 
         FROM video_content vc
         JOIN videos v ON vc.video_id = v.id
-        WHERE vc.id = $1 AND v.users_id = $2
+        WHERE vc.id = $1 AND ${videoModel.accessCondition('edit', 2, 'v.')}
       `, [contentId, userId]);
 
       if (ownershipCheck.rows.length === 0) {
@@ -326,7 +528,8 @@ class ContentController {
 
       const updatedContent = await contentService.updateVideoContent(
         parseInt(contentId),
-        updateData
+        updateData,
+        { userId }
       );
 
       logger.info(`Updated content ${contentId} by user ${userId}`);
@@ -388,7 +591,7 @@ class ContentController {
         SELECT vc.id 
         FROM video_content vc
         JOIN videos v ON vc.video_id = v.id
-        WHERE vc.id = $1 AND v.users_id = $2
+        WHERE vc.id = $1 AND ${videoModel.accessCondition('edit', 2, 'v.')}
       `, [contentId, userId]);
 
       if (ownershipCheck.rows.length === 0) {
@@ -488,13 +691,13 @@ class ContentController {
       }
 
       const { videoId } = req.params;
-      const { contentTypes, aiProvider = 'gemini' } = req.body;
+      const { contentTypes, aiProvider = 'gemini', language } = req.body;
       const userId = req.user.id;
 
       // Verify user owns this video
       const database = require('../services/database.service');
       const videoCheck = await database.query(
-        'SELECT id, video_title FROM videos WHERE id = $1 AND users_id = $2',
+        `SELECT id, video_title FROM videos WHERE id = $1 AND ${videoModel.accessCondition('edit', 2)}`,
         [videoId, userId]
       );
 
@@ -520,6 +723,19 @@ class ContentController {
 
       const transcript = transcriptQuery.rows[0].transcript_text;
 
+      // Regenerating replaces the current text; make the client confirm when that text was edited by hand
+      if (!req.body.discardManualEdits) {
+        const editedTypes = await contentRevisionService.getManuallyEditedTypes(parseInt(videoId), contentTypes);
+        if (editedTypes.length > 0) {
+          return res.status(409).json({
+            success: false,
+            code: 'MANUAL_EDITS_WOULD_BE_DISCARDED',
+            message: 'Some of this content has manual edits that regenerating would replace. Resend with discardManualEdits: true to continue; the edited text stays in the revision history.',
+            data: { contentTypes: editedTypes }
+          });
+        }
+      }
+
       // Actually call the content generation service
       logger.info(`Starting content generation for video ${videoId}, types: ${contentTypes.join(', ')}, provider: ${aiProvider}`);
 
@@ -532,7 +748,8 @@ class ContentController {
           {
             provider: aiProvider,
             contentTypes,
-            userId
+            userId,
+            language
           }
         );
 
@@ -546,6 +763,7 @@ class ContentController {
             videoId: parseInt(videoId),
             contentTypes,
             aiProvider,
+            language: results.language,
             summary: results.summary,
             completedTypes: Object.keys(results.content || {}),
             failedTypes: Object.keys(results.errors || {}),
@@ -603,7 +821,7 @@ class ContentController {
       // Verify user owns this video
       const database = require('../services/database.service');
       const videoCheck = await database.query(
-        'SELECT id FROM videos WHERE id = $1 AND users_id = $2',
+        `SELECT id FROM videos WHERE id = $1 AND ${videoModel.accessCondition('view', 2)}`,
         [videoId, userId]
       );
 
@@ -656,7 +874,7 @@ class ContentController {
       const database = require('../services/database.service');
       const isNumeric = /^\d+$/.test(videoId);
       const videoCheck = await database.query(
-        `SELECT id, video_title, transcript_text FROM videos WHERE ${isNumeric ? 'id' : 'videoid'} = $1 AND users_id = $2`,
+        `SELECT id, video_title, transcript_text FROM videos WHERE ${isNumeric ? 'id' : 'videoid'} = $1 AND ${videoModel.accessCondition('view', 2)}`,
         [videoId, userId]
       );
 
@@ -675,19 +893,16 @@ class ContentController {
       if (contentType === 'transcript' || contentType === 'transcript_text') {
         contentText = videoCheck.rows[0].transcript_text;
       } else {
-        // Get the content from video_content table
-        const content = await contentService.getVideoContentByType(
-          dbVideoId,
-          contentType,
-          { publishedOnly: false }
-        );
-        contentText = content?.content_text;
+        // Get the content (or its ?language= translation) from video_content
+        contentText = await getDownloadText(dbVideoId, contentType, req.query.language);
       }
 
       if (!contentText) {
         return res.status(404).json({
           success: false,
-          message: `No ${contentType} content found for this video`
+          message: req.query.language
+            ? `No ${req.query.language} translation of ${contentType} found for this video`
+            : `No ${contentType} content found for this video`
         });
       }
 
@@ -701,6 +916,7 @@ class ContentController {
       const filename = documentGenerationService.generateFilename(videoTitle, contentType, 'docx');
 
       logger.info(`User ${userId} downloading DOCX for video ${videoId}, content type ${contentType}`);
+      trackDownload(dbVideoId, contentType, 'docx', userId);
 
       // Set headers for file download
       res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
@@ -741,7 +957,7 @@ class ContentController {
       const database = require('../services/database.service');
       const isNumeric = /^\d+$/.test(videoId);
       const videoCheck = await database.query(
-        `SELECT id, video_title, transcript_text FROM videos WHERE ${isNumeric ? 'id' : 'videoid'} = $1 AND users_id = $2`,
+        `SELECT id, video_title, transcript_text FROM videos WHERE ${isNumeric ? 'id' : 'videoid'} = $1 AND ${videoModel.accessCondition('view', 2)}`,
         [videoId, userId]
       );
 
@@ -760,19 +976,16 @@ class ContentController {
       if (contentType === 'transcript' || contentType === 'transcript_text') {
         contentText = videoCheck.rows[0].transcript_text;
       } else {
-        // Get the content from video_content table
-        const content = await contentService.getVideoContentByType(
-          dbVideoId,
-          contentType,
-          { publishedOnly: false }
-        );
-        contentText = content?.content_text;
+        // Get the content (or its ?language= translation) from video_content
+        contentText = await getDownloadText(dbVideoId, contentType, req.query.language);
       }
 
       if (!contentText) {
         return res.status(404).json({
           success: false,
-          message: `No ${contentType} content found for this video`
+          message: req.query.language
+            ? `No ${req.query.language} translation of ${contentType} found for this video`
+            : `No ${contentType} content found for this video`
         });
       }
 
@@ -786,6 +999,7 @@ class ContentController {
       const filename = documentGenerationService.generateFilename(videoTitle, contentType, 'pdf');
 
       logger.info(`User ${userId} downloading PDF for video ${videoId}, content type ${contentType}`);
+      trackDownload(dbVideoId, contentType, 'pdf', userId);
 
       // Set headers for file download
       res.setHeader('Content-Type', 'application/pdf');
@@ -826,7 +1040,7 @@ class ContentController {
       const database = require('../services/database.service');
       const isNumeric = /^\d+$/.test(videoId);
       const videoCheck = await database.query(
-        `SELECT id, video_title FROM videos WHERE ${isNumeric ? 'id' : 'videoid'} = $1 AND users_id = $2`,
+        `SELECT id, video_title, youtube_url FROM videos WHERE ${isNumeric ? 'id' : 'videoid'} = $1 AND ${videoModel.accessCondition('view', 2)}`,
         [videoId, userId]
       );
 
@@ -841,30 +1055,37 @@ class ContentController {
       const videoTitle = videoCheck.rows[0].video_title;
       const themeId = req.query.theme || 'auto';
 
-      // Get slide_deck_text content
-      const content = await contentService.getVideoContentByType(
-        dbVideoId,
-        'slide_deck_text',
-        { publishedOnly: false }
-      );
+      // A brand kit overrides the preset theme
+      const brandKitTheme = await resolveBrandKitTheme(req, res);
+      if (brandKitTheme === false) return;
+
+      // Get slide_deck_text content, or its ?language= translation
+      const content = req.query.language
+        ? { content_text: await getDownloadText(dbVideoId, 'slide_deck_text', req.query.language) }
+        : await contentService.getVideoContentByType(dbVideoId, 'slide_deck_text', { publishedOnly: false });
 
       if (!content || !content.content_text) {
         return res.status(404).json({
           success: false,
-          message: 'No slide deck content found for this video'
+          message: req.query.language
+            ? `No ${req.query.language} translation of the slide deck found for this video`
+            : 'No slide deck content found for this video'
         });
       }
 
       // Check for cached Cloudinary URL (only for auto theme since it's deterministic from content)
-      if (themeId === 'auto' && content.content_url) {
+      if (themeId === 'auto' && !brandKitTheme && content.content_url) {
         logger.info(`User ${userId} downloading cached PPTX for video ${videoId}`);
+        trackDownload(dbVideoId, 'slide_deck_text', 'pptx', userId);
         return res.redirect(content.content_url);
       }
 
       // Generate PPTX with selected theme
       let pptxBuffer;
       try {
-        pptxBuffer = await slideDeckGenerationService.generatePptx(content.content_text, videoTitle, themeId);
+        pptxBuffer = await slideDeckGenerationService.generatePptx(content.content_text, videoTitle, brandKitTheme || themeId, {
+          sourceUrl: videoCheck.rows[0].youtube_url
+        });
       } catch (parseError) {
         logger.error(`PPTX generation failed for video ${videoId}:`, parseError.message);
         return res.status(422).json({
@@ -875,10 +1096,11 @@ class ContentController {
 
       const filename = slideDeckGenerationService.generateFilename(videoTitle, 'pptx');
 
-      logger.info(`User ${userId} downloading PPTX for video ${videoId}, theme ${themeId} (${pptxBuffer.length} bytes)`);
+      logger.info(`User ${userId} downloading PPTX for video ${videoId}, theme ${brandKitTheme ? brandKitTheme.id : themeId} (${pptxBuffer.length} bytes)`);
+      trackDownload(dbVideoId, 'slide_deck_text', 'pptx', userId);
 
-      // Upload to Cloudinary in background (only cache auto theme)
-      if (themeId === 'auto') {
+      // Upload to Cloudinary in background (only cache the original deck in the auto theme)
+      if (themeId === 'auto' && !brandKitTheme && !req.query.language) {
         const cloudinaryService = require('../services/cloudinary.service');
         if (cloudinaryService.isConfigured) {
           cloudinaryService.uploadRawFile(pptxBuffer, {
@@ -889,10 +1111,12 @@ class ContentController {
           }).then(async (uploadResult) => {
             // Save URL to video_content for future cache hits
             try {
+              // Skip if the deck was edited while uploading, so the cache never points at a stale file
               await database.query(
                 `UPDATE video_content SET content_url = $1, updated_at = CURRENT_TIMESTAMP
-                 WHERE video_id = $2 AND content_type_id = (SELECT id FROM content_types WHERE key = 'slide_deck_text')`,
-                [uploadResult.secureUrl, dbVideoId]
+                 WHERE video_id = $2 AND content_type_id = (SELECT id FROM content_types WHERE key = 'slide_deck_text')
+                 AND content_text = $3`,
+                [uploadResult.secureUrl, dbVideoId, content.content_text]
               );
               logger.info(`Cached PPTX URL for video ${dbVideoId}: ${uploadResult.secureUrl}`);
             } catch (dbErr) {
@@ -942,7 +1166,7 @@ class ContentController {
       const database = require('../services/database.service');
       const isNumeric = /^\d+$/.test(videoId);
       const videoCheck = await database.query(
-        `SELECT id, video_title FROM videos WHERE ${isNumeric ? 'id' : 'videoid'} = $1 AND users_id = $2`,
+        `SELECT id, video_title, youtube_url FROM videos WHERE ${isNumeric ? 'id' : 'videoid'} = $1 AND ${videoModel.accessCondition('view', 2)}`,
         [videoId, userId]
       );
 
@@ -956,25 +1180,31 @@ class ContentController {
       const dbVideoId = videoCheck.rows[0].id;
       const videoTitle = videoCheck.rows[0].video_title;
 
-      // Get slide_deck_text content
-      const content = await contentService.getVideoContentByType(
-        dbVideoId,
-        'slide_deck_text',
-        { publishedOnly: false }
-      );
+      // Get slide_deck_text content, or its ?language= translation
+      const content = req.query.language
+        ? { content_text: await getDownloadText(dbVideoId, 'slide_deck_text', req.query.language) }
+        : await contentService.getVideoContentByType(dbVideoId, 'slide_deck_text', { publishedOnly: false });
 
       if (!content || !content.content_text) {
         return res.status(404).json({
           success: false,
-          message: 'No slide deck content found for this video'
+          message: req.query.language
+            ? `No ${req.query.language} translation of the slide deck found for this video`
+            : 'No slide deck content found for this video'
         });
       }
 
-      // Generate slide-style PDF
+      // Generate slide-style PDF (a brand kit overrides the preset theme)
       const themeId = req.query.theme || 'auto';
+      const brandKitTheme = await resolveBrandKitTheme(req, res);
+      if (brandKitTheme === false) return;
+
       let pdfBuffer;
       try {
-        pdfBuffer = await slideDeckGenerationService.generateSlidePdf(content.content_text, videoTitle, themeId);
+        pdfBuffer = await slideDeckGenerationService.generateSlidePdf(content.content_text, videoTitle, brandKitTheme || themeId, {
+          notesPages: req.query.notes === true,
+          sourceUrl: videoCheck.rows[0].youtube_url
+        });
       } catch (parseError) {
         logger.error(`Slide PDF generation failed for video ${videoId}:`, parseError.message);
         return res.status(422).json({
@@ -986,6 +1216,7 @@ class ContentController {
       const filename = slideDeckGenerationService.generateFilename(videoTitle, 'pdf');
 
       logger.info(`User ${userId} downloading slide PDF for video ${videoId} (${pdfBuffer.length} bytes)`);
+      trackDownload(dbVideoId, 'slide_deck_text', 'slide-pdf', userId);
 
       res.setHeader('Content-Type', 'application/pdf');
       res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
@@ -1002,6 +1233,529 @@ class ContentController {
     }
   }
 
+  /**
+   * Download content as Markdown, self-contained HTML or plain text
+   * GET /api/content/videos/:videoId/:contentType/download/:format
+   */
+  async downloadText(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const { videoId, contentType, format } = req.params;
+      const userId = req.user.id;
+
+      // Verify user owns this video and get video title (and transcript if needed)
+      const database = require('../services/database.service');
+      const isNumeric = /^\d+$/.test(videoId);
+      const videoCheck = await database.query(
+        `SELECT id, video_title, transcript_text FROM videos WHERE ${isNumeric ? 'id' : 'videoid'} = $1 AND ${videoModel.accessCondition('view', 2)}`,
+        [videoId, userId]
+      );
+
+      if (videoCheck.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Video not found or access denied'
+        });
+      }
+
+      const dbVideoId = videoCheck.rows[0].id;
+      const videoTitle = videoCheck.rows[0].video_title;
+      let contentText = null;
+
+      // Handle transcript specially - it's stored in videos table, not video_content
+      if (contentType === 'transcript' || contentType === 'transcript_text') {
+        contentText = videoCheck.rows[0].transcript_text;
+      } else {
+        // Get the content (or its ?language= translation) from video_content
+        contentText = await getDownloadText(dbVideoId, contentType, req.query.language);
+      }
+
+      if (!contentText) {
+        return res.status(404).json({
+          success: false,
+          message: req.query.language
+            ? `No ${req.query.language} translation of ${contentType} found for this video`
+            : `No ${contentType} content found for this video`
+        });
+      }
+
+      let buffer;
+      try {
+        buffer = await contentExportService.renderContent(contentText, contentType, videoTitle, format, req.query.language);
+      } catch (renderError) {
+        logger.error(`${format} export failed for video ${videoId}, content type ${contentType}:`, renderError.message);
+        return res.status(422).json({
+          success: false,
+          message: 'Content is not in the expected format. This video may need content regeneration.'
+        });
+      }
+
+      const { mimeType } = contentExportService.EXPORT_FORMATS[format];
+      const filename = documentGenerationService.generateFilename(videoTitle, contentType, format);
+
+      logger.info(`User ${userId} downloading ${format} for video ${videoId}, content type ${contentType}`);
+      trackDownload(dbVideoId, contentType, format, userId);
+
+      res.setHeader('Content-Type', mimeType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Content-Length', buffer.length);
+      res.send(buffer);
+
+    } catch (error) {
+      logger.error('Error downloading text export:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate document',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get the quiz as structured questions, with per-question parse errors
+   * GET /api/content/videos/:videoId/quiz_text/questions
+   */
+  async getQuizQuestions(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const video = await findAccessibleVideo(req.params.videoId, req.user.id, 'view');
+      if (!video) {
+        return res.status(404).json({
+          success: false,
+          message: 'Video not found or access denied'
+        });
+      }
+
+      const quiz = await quizExportService.getStructuredQuiz(video.id);
+
+      res.json({
+        success: true,
+        data: {
+          questions: quiz.questions,
+          parseErrors: quiz.errors
+        }
+      });
+
+    } catch (error) {
+      if (QUIZ_EXPORT_ERROR_STATUS[error.code]) {
+        return res.status(QUIZ_EXPORT_ERROR_STATUS[error.code]).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      logger.error('Error parsing quiz:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to parse quiz',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Export the quiz as QTI 2.1, Moodle XML, Kahoot CSV or Anki CSV.
+   * Questions left out (unparseable or unsupported by the format) are counted in
+   * X-Quiz-Skipped-Questions; GET .../quiz_text/questions lists the parse errors.
+   * GET /api/content/videos/:videoId/quiz_text/download/:quizFormat
+   */
+  async downloadQuiz(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const video = await findAccessibleVideo(req.params.videoId, req.user.id, 'view');
+      if (!video) {
+        return res.status(404).json({
+          success: false,
+          message: 'Video not found or access denied'
+        });
+      }
+
+      const { quizFormat } = req.params;
+      const exported = await quizExportService.exportQuiz(video.id, quizFormat, video.video_title);
+      const { extension, mimeType } = quizExportService.QUIZ_EXPORT_FORMATS[quizFormat];
+      const filename = documentGenerationService.generateFilename(video.video_title, `quiz_${quizFormat}`, extension);
+
+      logger.info(`User ${req.user.id} exporting quiz for video ${video.id} as ${quizFormat} (${exported.questionCount} questions, ${exported.skipped.length} skipped)`);
+      trackDownload(video.id, 'quiz_text', quizFormat, req.user.id);
+
+      res.setHeader('Content-Type', mimeType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Content-Length', exported.buffer.length);
+      res.setHeader('X-Quiz-Question-Count', exported.questionCount);
+      res.setHeader('X-Quiz-Skipped-Questions', exported.skipped.length);
+      res.send(exported.buffer);
+
+    } catch (error) {
+      if (QUIZ_EXPORT_ERROR_STATUS[error.code]) {
+        return res.status(QUIZ_EXPORT_ERROR_STATUS[error.code]).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+          skipped: error.skipped
+        });
+      }
+
+      logger.error('Error exporting quiz:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export quiz',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Download every generated content type for a video as a ZIP
+   * GET /api/content/videos/:videoId/download/bundle?formats=md,html,txt,docx,pdf
+   */
+  async downloadBundle(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const video = await findAccessibleVideo(req.params.videoId, req.user.id, 'view');
+      if (!video) {
+        return res.status(404).json({
+          success: false,
+          message: 'Video not found or access denied'
+        });
+      }
+
+      const formats = req.query.formats || contentExportService.DEFAULT_BUNDLE_FORMATS;
+      const bundle = await contentExportService.generateBundle(video.id, video.video_title, formats);
+
+      if (!bundle) {
+        return res.status(404).json({
+          success: false,
+          message: 'No generated content found for this video'
+        });
+      }
+
+      const filename = documentGenerationService.generateFilename(video.video_title, 'bundle', 'zip');
+
+      logger.info(`User ${req.user.id} downloading content bundle for video ${video.id} (${formats.join(', ')}; ${bundle.fileCount} files)`);
+
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Content-Length', bundle.buffer.length);
+      res.send(bundle.buffer);
+
+    } catch (error) {
+      logger.error('Error downloading content bundle:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate content bundle',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Download ebook content as an EPUB 3 file with embedded images
+   * GET /api/content/videos/:videoId/ebook_text/download/epub
+   */
+  async downloadEpub(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const { videoId } = req.params;
+      const userId = req.user.id;
+
+      // Verify video ownership and load book metadata, with the selected thumbnail as cover
+      const database = require('../services/database.service');
+      const isNumeric = /^\d+$/.test(videoId);
+      const videoCheck = await database.query(
+        `SELECT v.id, v.video_title, v.channel_name, v.description, v.upload_date, v.youtube_url,
+                COALESCE(vt.cloudinary_secure_url, v.thumbnail) AS cover_url
+         FROM videos v
+         LEFT JOIN video_thumbnails vt ON vt.video_id = v.id AND vt.is_selected = TRUE
+         WHERE v.${isNumeric ? 'id' : 'videoid'} = $1 AND ${videoModel.accessCondition('view', 2, 'v.')}
+         LIMIT 1`,
+        [videoId, userId]
+      );
+
+      if (videoCheck.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Video not found or access denied'
+        });
+      }
+
+      const video = videoCheck.rows[0];
+
+      const content = await contentService.getVideoContentByType(
+        video.id,
+        'ebook_text',
+        { publishedOnly: false }
+      );
+
+      if (!content || !content.content_text) {
+        return res.status(404).json({
+          success: false,
+          message: 'No ebook content found for this video'
+        });
+      }
+
+      const epubBuffer = await epubGenerationService.generateEpub(content.content_text, {
+        videoId: video.id,
+        title: video.video_title,
+        author: video.channel_name,
+        description: video.description,
+        publishedDate: video.upload_date,
+        sourceUrl: video.youtube_url,
+        coverUrl: video.cover_url
+      });
+
+      const filename = documentGenerationService.generateFilename(video.video_title, 'ebook_text', 'epub');
+
+      logger.info(`User ${userId} downloading EPUB for video ${videoId} (${epubBuffer.length} bytes)`);
+
+      res.setHeader('Content-Type', 'application/epub+zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Content-Length', epubBuffer.length);
+      res.send(epubBuffer);
+
+    } catch (error) {
+      logger.error('Error downloading EPUB:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate EPUB',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get the editable slide deck with its current version
+   * GET /api/content/videos/:videoId/slide_deck_text/slides
+   */
+  async getSlideDeck(req, res) {
+    return handleSlideEdit(req, res, async (dbVideoId) => ({
+      ...(await slideDeckEditorService.getDeck(dbVideoId)),
+      slideSchemas: slideDeckGenerationService.SLIDE_SCHEMAS
+    }), 'Failed to load slide deck');
+  }
+
+  /**
+   * Insert a slide
+   * POST /api/content/videos/:videoId/slide_deck_text/slides
+   */
+  async addSlide(req, res) {
+    return handleSlideEdit(req, res, (dbVideoId, userId) =>
+      slideDeckEditorService.addSlide(dbVideoId, userId, req.body.slide, req.body.position),
+    'Failed to add slide');
+  }
+
+  /**
+   * Edit a slide's fields or change its slide_type
+   * PUT /api/content/videos/:videoId/slide_deck_text/slides/:slideIndex
+   */
+  async updateSlide(req, res) {
+    return handleSlideEdit(req, res, (dbVideoId, userId) =>
+      slideDeckEditorService.updateSlide(dbVideoId, userId, req.params.slideIndex, req.body.changes),
+    'Failed to update slide');
+  }
+
+  /**
+   * Delete a slide
+   * DELETE /api/content/videos/:videoId/slide_deck_text/slides/:slideIndex
+   */
+  async deleteSlide(req, res) {
+    return handleSlideEdit(req, res, (dbVideoId, userId) =>
+      slideDeckEditorService.deleteSlide(dbVideoId, userId, req.params.slideIndex),
+    'Failed to delete slide');
+  }
+
+  /**
+   * Reorder slides
+   * PUT /api/content/videos/:videoId/slide_deck_text/slides/order
+   */
+  async reorderSlides(req, res) {
+    return handleSlideEdit(req, res, (dbVideoId, userId) =>
+      slideDeckEditorService.reorderSlides(dbVideoId, userId, req.body.order),
+    'Failed to reorder slides');
+  }
+
+  /**
+   * List saved versions of the slide deck
+   * GET /api/content/videos/:videoId/slide_deck_text/versions
+   */
+  async getSlideDeckVersions(req, res) {
+    return handleSlideEdit(req, res, async (dbVideoId) => ({
+      versions: await slideDeckEditorService.listVersions(dbVideoId)
+    }), 'Failed to load slide deck versions');
+  }
+
+  /**
+   * Restore an earlier version of the slide deck
+   * POST /api/content/videos/:videoId/slide_deck_text/versions/:version/revert
+   */
+  async revertSlideDeck(req, res) {
+    return handleSlideEdit(req, res, (dbVideoId, userId) =>
+      slideDeckEditorService.revertToVersion(dbVideoId, userId, req.params.version),
+    'Failed to revert slide deck');
+  }
+
+  /**
+   * List revisions of a content item, newest first
+   * GET /api/content/videos/:videoId/:contentType/revisions
+   */
+  async getContentRevisions(req, res) {
+    return handleSlideEdit(req, res, (dbVideoId) =>
+      contentRevisionService.listRevisions(dbVideoId, req.params.contentType),
+    'Failed to load content revisions', REVISION_ERROR_STATUS);
+  }
+
+  /**
+   * Diff two revisions (or a revision against the current text when `to` is omitted)
+   * GET /api/content/videos/:videoId/:contentType/revisions/diff?from=&to=
+   */
+  async diffContentRevisions(req, res) {
+    return handleSlideEdit(req, res, (dbVideoId) =>
+      contentRevisionService.diffRevisions(dbVideoId, req.params.contentType, req.query.from, req.query.to),
+    'Failed to diff content revisions', REVISION_ERROR_STATUS);
+  }
+
+  /**
+   * Get a single revision including its text
+   * GET /api/content/videos/:videoId/:contentType/revisions/:revision
+   */
+  async getContentRevision(req, res) {
+    return handleSlideEdit(req, res, async (dbVideoId) => ({
+      revision: await contentRevisionService.getRevision(dbVideoId, req.params.contentType, req.params.revision)
+    }), 'Failed to load content revision', REVISION_ERROR_STATUS);
+  }
+
+  /**
+   * Make a revision the current text (recorded as a new revision)
+   * POST /api/content/videos/:videoId/:contentType/revisions/:revision/restore
+   */
+  async restoreContentRevision(req, res) {
+    return handleSlideEdit(req, res, (dbVideoId, userId) =>
+      contentRevisionService.restoreRevision(dbVideoId, req.params.contentType, req.params.revision, userId),
+    'Failed to restore content revision', REVISION_ERROR_STATUS);
+  }
+
+  /**
+   * List the heading sections of a content item
+   * GET /api/content/:contentId/sections
+   */
+  async getContentSections(req, res) {
+    return handleRefinement(req, res, (contentId, userId) =>
+      contentRefinementService.listContentSections(userId, contentId),
+    'Failed to load content sections');
+  }
+
+  /**
+   * Propose an AI rewrite of a section or range (not saved)
+   * POST /api/content/:contentId/refine
+   */
+  async refineContent(req, res) {
+    const { instruction, heading, start, end } = req.body;
+    return handleRefinement(req, res, (contentId, userId) =>
+      contentRefinementService.proposeRefinement(userId, contentId, { instruction, heading, start, end }),
+    'Failed to refine content');
+  }
+
+  /**
+   * Accept a proposed refinement, saving it as a revision
+   * POST /api/content/:contentId/refine/accept
+   */
+  async acceptContentRefinement(req, res) {
+    const { start, end, replacement, baseHash } = req.body;
+    return handleRefinement(req, res, (contentId, userId) =>
+      contentRefinementService.acceptRefinement(userId, contentId, { start, end, replacement, baseHash }),
+    'Failed to save refinement');
+  }
+
+  /**
+   * Translate content into another language, replacing an earlier translation into it
+   * POST /api/content/:contentId/translations
+   */
+  async translateContent(req, res) {
+    return handleRefinement(req, res, (contentId, userId) =>
+      contentTranslationService.translateContent(userId, contentId, req.body.language),
+    'Failed to translate content', TRANSLATION_ERROR_STATUS);
+  }
+
+  /**
+   * List a content item's translations
+   * GET /api/content/:contentId/translations
+   */
+  async getContentTranslations(req, res) {
+    return handleRefinement(req, res, (contentId, userId) =>
+      contentTranslationService.listTranslations(userId, contentId),
+    'Failed to load translations', TRANSLATION_ERROR_STATUS);
+  }
+
+  /**
+   * Get one translation with its text
+   * GET /api/content/:contentId/translations/:language
+   */
+  async getContentTranslation(req, res) {
+    return handleRefinement(req, res, (contentId, userId) =>
+      contentTranslationService.getTranslation(userId, contentId, req.params.language),
+    'Failed to load translation', TRANSLATION_ERROR_STATUS);
+  }
+
+  /**
+   * Delete one translation
+   * DELETE /api/content/:contentId/translations/:language
+   */
+  async deleteContentTranslation(req, res) {
+    return handleRefinement(req, res, (contentId, userId) =>
+      contentTranslationService.deleteTranslation(userId, contentId, req.params.language),
+    'Failed to delete translation', TRANSLATION_ERROR_STATUS);
+  }
+
+  /**
+   * Rate content thumbs up (1) or down (-1), or clear the rating (0)
+   * POST /api/content/:contentId/rating
+   */
+  async rateContent(req, res) {
+    return handleRefinement(req, res, (contentId, userId) =>
+      promptExperimentService.rateContent(userId, contentId, req.body.rating),
+    'Failed to save rating', RATING_ERROR_STATUS);
+  }
+
 }
 
 module.exports = new ContentController();
@@ -0,0 +1,113 @@
+const customContentTypeService = require('../services/custom-content-type.service');
+const { logger } = require('../utils');
+
+// HTTP status for each error code raised by custom-content-type.service
+const CUSTOM_TYPE_ERROR_STATUS = {
+  INVALID_CUSTOM_TYPE: 400,
+  INVALID_PROMPT: 400,
+  NO_TRANSCRIPT: 400,
+  CUSTOM_TYPE_NOT_FOUND: 404,
+  VIDEO_NOT_FOUND: 404,
+  CUSTOM_TYPE_LIMIT_REACHED: 403,
+  EMPTY_PREVIEW: 502,
+  AI_PROVIDER_UNAVAILABLE: 503
+};
+
+class CustomContentTypesController {
+  /**
+   * Send a custom-content-type.service error with its mapped status
+   */
+  handleCustomTypeError(error, res, next) {
+    if (CUSTOM_TYPE_ERROR_STATUS[error.code]) {
+      return res.status(CUSTOM_TYPE_ERROR_STATUS[error.code]).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    next(error);
+  }
+
+  /**
+   * List the user's custom content types and their plan limit
+   * GET /api/custom-content-types
+   */
+  async listCustomTypes(req, res, next) {
+    try {
+      const { customTypes, limit, used } = await customContentTypeService.listCustomTypes(req.user.id);
+      res.json({ success: true, customTypes, limit, used });
+    } catch (error) {
+      this.handleCustomTypeError(error, res, next);
+    }
+  }
+
+  /**
+   * Get a custom content type
+   * GET /api/custom-content-types/:typeId
+   */
+  async getCustomType(req, res, next) {
+    try {
+      const customType = await customContentTypeService.getCustomType(req.user.id, req.params.typeId);
+      res.json({ success: true, customType });
+    } catch (error) {
+      this.handleCustomTypeError(error, res, next);
+    }
+  }
+
+  /**
+   * Create a custom content type
+   * POST /api/custom-content-types
+   */
+  async createCustomType(req, res, next) {
+    try {
+      const customType = await customContentTypeService.createCustomType(req.user.id, req.body);
+      res.status(201).json({ success: true, customType });
+    } catch (error) {
+      this.handleCustomTypeError(error, res, next);
+    }
+  }
+
+  /**
+   * Update a custom content type
+   * PUT /api/custom-content-types/:typeId
+   */
+  async updateCustomType(req, res, next) {
+    try {
+      const customType = await customContentTypeService.updateCustomType(req.user.id, req.params.typeId, req.body);
+      res.json({ success: true, customType });
+    } catch (error) {
+      this.handleCustomTypeError(error, res, next);
+    }
+  }
+
+  /**
+   * Delete a custom content type (content generated with it is kept)
+   * DELETE /api/custom-content-types/:typeId
+   */
+  async deleteCustomType(req, res, next) {
+    try {
+      await customContentTypeService.deleteCustomType(req.user.id, req.params.typeId);
+      res.json({ success: true, message: 'Content type deleted' });
+    } catch (error) {
+      this.handleCustomTypeError(error, res, next);
+    }
+  }
+
+  /**
+   * Run a prompt against one of the user's transcripts without saving it
+   * POST /api/custom-content-types/preview
+   */
+  async previewCustomType(req, res, next) {
+    try {
+      const preview = await customContentTypeService.previewCustomType(req.user.id, req.body);
+      res.json({ success: true, preview });
+    } catch (error) {
+      if (!CUSTOM_TYPE_ERROR_STATUS[error.code]) {
+        logger.error(`Error previewing custom content type for user ${req.user.id}:`, error);
+      }
+      this.handleCustomTypeError(error, res, next);
+    }
+  }
+}
+
+module.exports = new CustomContentTypesController();
@@ -0,0 +1,64 @@
+const sessionService = require('../services/session.service');
+
+// HTTP status for each error code raised by session.service
+const SESSION_ERROR_STATUS = {
+  CURRENT_SESSION: 400,
+  SESSION_NOT_FOUND: 404
+};
+
+class SessionsController {
+  /**
+   * Send a session.service error with its mapped status
+   */
+  handleSessionError(error, res, next) {
+    if (SESSION_ERROR_STATUS[error.code]) {
+      return res.status(SESSION_ERROR_STATUS[error.code]).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    next(error);
+  }
+
+  /**
+   * List the user's active sessions, flagging the one making the request
+   * GET /api/sessions
+   */
+  async listSessions(req, res, next) {
+    try {
+      const sessions = await sessionService.listActiveSessions(req.user.id, req.sessionId);
+      res.json({ success: true, sessions });
+    } catch (error) {
+      this.handleSessionError(error, res, next);
+    }
+  }
+
+  /**
+   * Sign out another session
+   * DELETE /api/sessions/:sessionId
+   */
+  async revokeSession(req, res, next) {
+    try {
+      await sessionService.revokeSession(req.user.id, req.params.sessionId, req.sessionId);
+      res.json({ success: true });
+    } catch (error) {
+      this.handleSessionError(error, res, next);
+    }
+  }
+
+  /**
+   * Sign out every session except the current one
+   * POST /api/sessions/revoke-others
+   */
+  async revokeOtherSessions(req, res, next) {
+    try {
+      const revoked = await sessionService.revokeOtherSessions(req.user.id, req.sessionId);
+      res.json({ success: true, revoked });
+    } catch (error) {
+      this.handleSessionError(error, res, next);
+    }
+  }
+}
+
+module.exports = new SessionsController();
@@ -0,0 +1,80 @@
+const shareLinkService = require('../services/share-link.service');
+
+// HTTP status for each share link error code raised by share-link.service
+const SHARE_LINK_ERROR_STATUS = {
+  INVALID_SHARE_LINK: 400,
+  SHARE_VIDEO_NOT_FOUND: 404,
+  SHARE_LINK_NOT_FOUND: 404,
+  NO_SHAREABLE_CONTENT: 422
+};
+
+class ShareLinksController {
+  /**
+   * Send a share-link.service error with its mapped status
+   */
+  handleShareLinkError(error, res, next) {
+    if (SHARE_LINK_ERROR_STATUS[error.code]) {
+      return res.status(SHARE_LINK_ERROR_STATUS[error.code]).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    next(error);
+  }
+
+  /**
+   * List the user's share links for a video
+   * GET /api/share-links?videoId=:videoId
+   */
+  async listShareLinks(req, res, next) {
+    try {
+      const shareLinks = await shareLinkService.listLinks(req.user.id, req.query.videoId);
+      res.json({ success: true, shareLinks });
+    } catch (error) {
+      this.handleShareLinkError(error, res, next);
+    }
+  }
+
+  /**
+   * Create a share link
+   * POST /api/share-links { videoId, contentTypes?, expiresInDays?, password? }
+   */
+  async createShareLink(req, res, next) {
+    try {
+      const { videoId, contentTypes, expiresInDays, password } = req.body;
+      const shareLink = await shareLinkService.createLink(req.user.id, videoId, { contentTypes, expiresInDays, password });
+      res.status(201).json({ success: true, shareLink });
+    } catch (error) {
+      this.handleShareLinkError(error, res, next);
+    }
+  }
+
+  /**
+   * Revoke a share link
+   * DELETE /api/share-links/:linkId
+   */
+  async revokeShareLink(req, res, next) {
+    try {
+      const shareLink = await shareLinkService.revokeLink(req.user.id, req.params.linkId);
+      res.json({ success: true, shareLink });
+    } catch (error) {
+      this.handleShareLinkError(error, res, next);
+    }
+  }
+
+  /**
+   * Aggregated quiz results for a share link
+   * GET /api/share-links/:linkId/results
+   */
+  async getShareLinkResults(req, res, next) {
+    try {
+      const results = await shareLinkService.getResults(req.user.id, req.params.linkId);
+      res.json({ success: true, ...results });
+    } catch (error) {
+      this.handleShareLinkError(error, res, next);
+    }
+  }
+}
+
+module.exports = new ShareLinksController();
@@ -39,7 +39,7 @@ const subscriptionController = {
    */
   async createCheckoutSession(req, res) {
     try {
-      const { priceId } = req.body;
+      const { priceId, seats } = req.body;
       const user = req.user;
 
       logger.info('Creating checkout session:', {
@@ -50,15 +50,10 @@ const subscriptionController = {
         userObject: JSON.stringify(user)
       });
 
-      // Validate price ID exists in our configuration
-      const allTiers = stripeConfig.getAllTiers();
-      const validPriceId = allTiers.some(tier => {
-        // Check both monthly and yearly price IDs for each tier
-        return (tier.monthly && tier.monthly.priceId === priceId) ||
-               (tier.yearly && tier.yearly.priceId === priceId);
-      });
+      // Validate price ID exists in our configuration (monthly or yearly price of a tier)
+      const tier = stripeConfig.getTierByPriceId(priceId);
 
-      if (!validPriceId) {
+      if (!tier) {
         return res.status(400).json({
           success: false,
           message: 'Invalid price ID',
@@ -66,11 +61,20 @@ const subscriptionController = {
         });
       }
 
+      if (seats !== undefined && !tier.perSeat) {
+        return res.status(400).json({
+          success: false,
+          message: `The ${tier.name} plan is not billed per seat`,
+          error: 'SEATS_NOT_SUPPORTED'
+        });
+      }
+
       // Create checkout session
       const session = await stripeService.createCheckoutSession(
         user.id,
         priceId,
-        user.email
+        user.email,
+        { seats }
       );
 
       res.json({
@@ -5,8 +5,10 @@
 
 const thumbnailService = require('../services/thumbnail-generator.service');
 const cloudinaryService = require('../services/cloudinary.service');
+const webhookService = require('../services/webhook.service');
 const database = require('../services/database.service');
 const youtubeOAuth = require('../services/youtube-oauth.service');
+const { video: videoModel } = require('../models');
 const { logger } = require('../utils');
 
 class ThumbnailController {
@@ -132,7 +134,7 @@ class ThumbnailController {
                     `SELECT v.channel_handle, v.videoid, v.video_type, v.thumbnail_topic, v.thumbnail_subtopic,
                             v.imported_via_youtube_oauth
                      FROM videos v
-                     WHERE v.id = $1 AND v.users_id = $2`,
+                     WHERE v.id = $1 AND ${videoModel.accessCondition('view', 2, 'v.')}`,
                     [req.params.videoId, req.user.id]
                 );
 
@@ -197,6 +199,12 @@ class ThumbnailController {
                 });
             }
 
+            // Owners and workspace editors of the video can generate for it
+            const video = await videoModel.getVideoByIdAndUser(req.params.videoId, req.user.id, { access: 'edit' });
+            if (!video) {
+                return res.status(404).json({ success: false, error: 'Video not found' });
+            }
+
             // Check thumbnail generation limits based on subscription tier
             const selectedAspectRatio = aspectRatio || '16:9';
             const limitCheck = await thumbnailService.checkThumbnailLimit(req.user.id, selectedAspectRatio, parseInt(req.params.videoId));
@@ -254,13 +262,20 @@ class ThumbnailController {
                      WHERE id = $2`,
                     [error.message, jobId]
                 );
+                webhookService.dispatch(req.user.id, 'thumbnail.failed', parseInt(req.params.videoId), {
+                    jobId,
+                    video: { id: parseInt(req.params.videoId) },
+                    aspectRatio: aspectRatio || '16:9',
+                    thumbnailIds: [],
+                    errors: [{ error: error.message }]
+                });
             });
 
             // Save topic/subtopic to the videos table for persistence
             try {
                 await database.query(
                     `UPDATE videos SET thumbnail_topic = $1, thumbnail_subtopic = $2, updated_at = CURRENT_TIMESTAMP
-                     WHERE id = $3 AND users_id = $4`,
+                     WHERE id = $3 AND ${videoModel.accessCondition('edit', 4)}`,
                     [topic, subTopic || null, req.params.videoId, req.user.id]
                 );
             } catch (saveError) {
@@ -290,6 +305,12 @@ class ThumbnailController {
             const userId = req.user.id;
             const aspectRatio = req.body.aspectRatio || '16:9';
 
+            // Owners and workspace editors of the video can replace its thumbnails
+            const video = await videoModel.getVideoByIdAndUser(videoId, userId, { access: 'edit' });
+            if (!video) {
+                return res.status(404).json({ success: false, error: 'Video not found' });
+            }
+
             // Check thumbnail generation limits BEFORE deleting existing thumbnails
             const limitCheck = await thumbnailService.checkThumbnailLimit(userId, aspectRatio, videoId);
 
@@ -318,8 +339,8 @@ class ThumbnailController {
 
             const existingThumbnails = await database.query(
                 `SELECT id, cloudinary_public_id FROM video_thumbnails
-                 WHERE video_id = $1 AND users_id = $2 AND aspect_ratio = $3`,
-                [videoId, userId, aspectRatio]
+                 WHERE video_id = $1 AND aspect_ratio = $2`,
+                [videoId, aspectRatio]
             );
 
             // DEBUG-SLOW-DELETE: Log SELECT timing
@@ -366,8 +387,8 @@ class ThumbnailController {
                 // Delete from database
                 await database.query(
                     `DELETE FROM video_thumbnails
-                     WHERE video_id = $1 AND users_id = $2 AND aspect_ratio = $3`,
-                    [videoId, userId, aspectRatio]
+                     WHERE video_id = $1 AND aspect_ratio = $2`,
+                    [videoId, aspectRatio]
                 );
 
                 // DEBUG-SLOW-DELETE: Log DELETE timing and final pool stats
@@ -459,7 +480,9 @@ class ThumbnailController {
     async getJobStatus(req, res) {
         try {
             const result = await database.query(
-                `SELECT * FROM thumbnail_generation_jobs WHERE id = $1 AND users_id = $2`,
+                `SELECT j.* FROM thumbnail_generation_jobs j
+                 JOIN videos v ON v.id = j.video_id
+                 WHERE j.id = $1 AND ${videoModel.accessCondition('view', 2, 'v.')}`,
                 [req.params.jobId, req.user.id]
             );
 
@@ -506,8 +529,10 @@ class ThumbnailController {
     async downloadThumbnail(req, res) {
         try {
             const thumbResult = await database.query(
-                `SELECT cloudinary_secure_url, topic, style_name
-                 FROM video_thumbnails WHERE id = $1 AND users_id = $2`,
+                `SELECT t.cloudinary_secure_url, t.topic, t.style_name
+                 FROM video_thumbnails t
+                 JOIN videos v ON v.id = t.video_id
+                 WHERE t.id = $1 AND ${videoModel.accessCondition('view', 2, 'v.')}`,
                 [req.params.thumbnailId, req.user.id]
             );
 
@@ -648,7 +673,7 @@ class ThumbnailController {
                 `SELECT t.*, v.videoid as youtube_video_id, v.video_title
                  FROM video_thumbnails t
                  JOIN videos v ON t.video_id = v.id
-                 WHERE t.id = $1 AND t.users_id = $2`,
+                 WHERE t.id = $1 AND ${videoModel.accessCondition('edit', 2, 'v.')}`,
                 [thumbnailId, userId]
             );
 
@@ -0,0 +1,194 @@
+const transcriptService = require('../services/transcript.service');
+const { video: videoModel, transcriptSegment } = require('../models');
+const { logger } = require('../utils');
+
+class TranscriptController {
+  /**
+   * Get structured transcript segments for a video
+   * GET /api/transcript/videos/:videoId/segments
+   */
+  async getSegments(req, res, next) {
+    try {
+      const { videoId } = req.params;
+
+      const video = await videoModel.getVideoByIdAndUser(videoId, req.user?.id, { access: 'view' });
+      if (!video) {
+        return res.status(404).json({
+          success: false,
+          error: 'Video not found or access denied'
+        });
+      }
+
+      const segments = await transcriptSegment.getByVideo(video.id);
+      const speakers = [...new Set(segments.map(segment => segment.speaker_label).filter(Boolean))];
+
+      res.json({
+        success: true,
+        videoId: video.id,
+        count: segments.length,
+        speakers,
+        segments,
+        speakerTranscript: req.query.includeText === 'true' ? transcriptService.buildSpeakerTranscript(segments) : undefined
+      });
+    } catch (error) {
+      logger.error('Error in getSegments:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Edit a segment's text, speaker label or timing
+   * PUT /api/transcript/videos/:videoId/segments/:segmentId
+   */
+  async updateSegment(req, res, next) {
+    try {
+      const { videoId, segmentId } = req.params;
+
+      const video = await videoModel.getVideoByIdAndUser(videoId, req.user?.id, { access: 'edit' });
+      if (!video) {
+        return res.status(404).json({
+          success: false,
+          error: 'Video not found or access denied'
+        });
+      }
+
+      const { text, speakerLabel, startSeconds, endSeconds } = req.body;
+
+      let segment;
+      try {
+        segment = await transcriptSegment.updateSegment(video.id, segmentId, {
+          text,
+          speaker_label: speakerLabel,
+          start_seconds: startSeconds,
+          end_seconds: endSeconds
+        });
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError.message
+        });
+      }
+
+      if (!segment) {
+        return res.status(404).json({
+          success: false,
+          error: 'Segment not found'
+        });
+      }
+
+      // Keep the flat transcript used by existing prompts and exports in sync
+      await transcriptService.syncTranscriptFromSegments(video.id);
+
+      res.json({
+        success: true,
+        segment
+      });
+    } catch (error) {
+      logger.error('Error in updateSegment:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Shift segment timing by an offset
+   * POST /api/transcript/videos/:videoId/segments/shift
+   */
+  async shiftSegments(req, res, next) {
+    try {
+      const { videoId } = req.params;
+      const { offsetSeconds, fromSeconds } = req.body;
+
+      const video = await videoModel.getVideoByIdAndUser(videoId, req.user?.id, { access: 'edit' });
+      if (!video) {
+        return res.status(404).json({
+          success: false,
+          error: 'Video not found or access denied'
+        });
+      }
+
+      const shifted = await transcriptSegment.shiftTiming(video.id, parseFloat(offsetSeconds), {
+        fromSeconds: fromSeconds !== undefined ? parseFloat(fromSeconds) : null
+      });
+
+      if (shifted > 0) {
+        await transcriptService.syncTranscriptFromSegments(video.id);
+      }
+
+      res.json({
+        success: true,
+        shifted
+      });
+    } catch (error) {
+      logger.error('Error in shiftSegments:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Rename a speaker across all segments
+   * POST /api/transcript/videos/:videoId/speakers/rename
+   */
+  async renameSpeaker(req, res, next) {
+    try {
+      const { videoId } = req.params;
+      const { from, to } = req.body;
+
+      const video = await videoModel.getVideoByIdAndUser(videoId, req.user?.id, { access: 'edit' });
+      if (!video) {
+        return res.status(404).json({
+          success: false,
+          error: 'Video not found or access denied'
+        });
+      }
+
+      const updated = await transcriptSegment.renameSpeaker(video.id, from.trim(), to.trim());
+
+      res.json({
+        success: true,
+        updated
+      });
+    } catch (error) {
+      logger.error('Error in renameSpeaker:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Rebuild segments from the stored flat transcript
+   * (videos processed before segments were stored, or after a manual transcript replace)
+   * POST /api/transcript/videos/:videoId/segments/rebuild
+   */
+  async rebuildSegments(req, res, next) {
+    try {
+      const { videoId } = req.params;
+
+      const video = await videoModel.getVideoByIdAndUser(videoId, req.user?.id, { access: 'edit' });
+      if (!video) {
+        return res.status(404).json({
+          success: false,
+          error: 'Video not found or access denied'
+        });
+      }
+
+      if (!video.transcript_text || video.transcript_text.trim().length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Video has no transcript. Please generate a transcript first.'
+        });
+      }
+
+      const segments = transcriptService.parseTranscriptText(video.transcript_text);
+      const stored = await transcriptSegment.replaceForVideo(video.id, segments, 'captions');
+
+      res.json({
+        success: true,
+        count: stored
+      });
+    } catch (error) {
+      logger.error('Error in rebuildSegments:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new TranscriptController();
@@ -0,0 +1,108 @@
+const twoFactorService = require('../services/two-factor.service');
+
+// HTTP status for each error code raised by two-factor.service
+const TWO_FACTOR_ERROR_STATUS = {
+  INVALID_TWO_FACTOR_CODE: 400,
+  TWO_FACTOR_NOT_STARTED: 400,
+  TWO_FACTOR_NOT_ENABLED: 400,
+  TWO_FACTOR_ALREADY_ENABLED: 409,
+  TWO_FACTOR_UNAVAILABLE: 503
+};
+
+class TwoFactorController {
+  /**
+   * Send a two-factor.service error with its mapped status
+   */
+  handleTwoFactorError(error, res, next) {
+    if (TWO_FACTOR_ERROR_STATUS[error.code]) {
+      return res.status(TWO_FACTOR_ERROR_STATUS[error.code]).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    next(error);
+  }
+
+  /**
+   * Whether 2FA is on, recovery codes left and remembered devices
+   * GET /api/two-factor
+   */
+  async getStatus(req, res, next) {
+    try {
+      const status = await twoFactorService.getStatus(req.user.id);
+      res.json({ success: true, ...status });
+    } catch (error) {
+      this.handleTwoFactorError(error, res, next);
+    }
+  }
+
+  /**
+   * Start enrollment: new secret with its QR code
+   * POST /api/two-factor/setup
+   */
+  async startSetup(req, res, next) {
+    try {
+      const { secret, otpauthUrl, qrCode } = await twoFactorService.startEnrollment(req.user);
+      res.json({ success: true, secret, otpauthUrl, qrCode });
+    } catch (error) {
+      this.handleTwoFactorError(error, res, next);
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code; the response is the only time the recovery codes are shown
+   * POST /api/two-factor/enable
+   */
+  async enable(req, res, next) {
+    try {
+      const recoveryCodes = await twoFactorService.confirmEnrollment(req.user.id, req.body.code);
+      res.json({ success: true, recoveryCodes });
+    } catch (error) {
+      this.handleTwoFactorError(error, res, next);
+    }
+  }
+
+  /**
+   * Turn 2FA off (requires a current code or a recovery code)
+   * POST /api/two-factor/disable
+   */
+  async disable(req, res, next) {
+    try {
+      await twoFactorService.disable(req.user.id, req.body.code);
+      res.clearCookie(twoFactorService.TRUSTED_DEVICE_COOKIE);
+      res.json({ success: true });
+    } catch (error) {
+      this.handleTwoFactorError(error, res, next);
+    }
+  }
+
+  /**
+   * Replace the recovery codes (requires a current code or a recovery code)
+   * POST /api/two-factor/recovery-codes
+   */
+  async regenerateRecoveryCodes(req, res, next) {
+    try {
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+      res.json({ success: true, recoveryCodes });
+    } catch (error) {
+      this.handleTwoFactorError(error, res, next);
+    }
+  }
+
+  /**
+   * Forget all remembered devices
+   * DELETE /api/two-factor/trusted-devices
+   */
+  async forgetDevices(req, res, next) {
+    try {
+      await twoFactorService.forgetDevices(req.user.id);
+      res.clearCookie(twoFactorService.TRUSTED_DEVICE_COOKIE);
+      res.json({ success: true });
+    } catch (error) {
+      this.handleTwoFactorError(error, res, next);
+    }
+  }
+}
+
+module.exports = new TwoFactorController();
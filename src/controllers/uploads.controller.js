@@ -0,0 +1,197 @@
+const uploadService = require('../services/upload.service');
+const speechToText = require('../services/speech-to-text.service');
+const objectStorage = require('../services/object-storage.service');
+const { logger } = require('../utils');
+
+// HTTP status for each upload error code raised by upload.service
+const ERROR_STATUS = {
+  INVALID_UPLOAD: 400,
+  UPLOAD_TOO_LARGE: 413,
+  UPLOAD_NOT_ACTIVE: 410
+};
+
+class UploadsController {
+  /**
+   * Format an upload session for API responses
+   * @param {Object} upload - Upload row
+   * @returns {Object} Client-facing upload
+   */
+  formatUploadResponse(upload) {
+    return {
+      uploadId: upload.upload_id,
+      filename: upload.filename,
+      mimeType: upload.mime_type,
+      size: upload.total_bytes,
+      offset: upload.received_bytes,
+      status: upload.status,
+      videoId: upload.video_id || null,
+      chunkSize: uploadService.chunkSizeBytes,
+      expiresAt: upload.expires_at,
+      error: upload.error_message || null
+    };
+  }
+
+  /**
+   * Send an upload.service error with its mapped status
+   */
+  handleUploadError(error, res, next) {
+    if (ERROR_STATUS[error.code]) {
+      return res.status(ERROR_STATUS[error.code]).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    next(error);
+  }
+
+  /**
+   * Start a resumable upload
+   * POST /api/uploads
+   */
+  async createUpload(req, res, next) {
+    try {
+      if (!objectStorage.isConfigured) {
+        return res.status(503).json({
+          success: false,
+          error: 'Uploads are unavailable: no object storage is configured'
+        });
+      }
+
+      if (!speechToText.isAvailable()) {
+        return res.status(503).json({
+          success: false,
+          error: 'Uploaded media cannot be transcribed: no speech-to-text provider is configured'
+        });
+      }
+
+      const { filename, size, mimeType, title, description, category, contentTypes } = req.body;
+
+      const upload = await uploadService.createUpload(req.user.id, {
+        filename,
+        size,
+        mimeType,
+        title,
+        description,
+        category,
+        contentTypes
+      });
+
+      res.status(201)
+        .set('Location', `${req.baseUrl}/${upload.upload_id}`)
+        .set('Upload-Offset', '0')
+        .json({
+          success: true,
+          upload: this.formatUploadResponse(upload)
+        });
+    } catch (error) {
+      logger.error('Error in createUpload:', error);
+      this.handleUploadError(error, res, next);
+    }
+  }
+
+  /**
+   * Get the current offset so an interrupted upload can resume
+   * GET|HEAD /api/uploads/:uploadId
+   */
+  async getUpload(req, res, next) {
+    try {
+      const upload = await uploadService.getUpload(req.params.uploadId, req.user.id);
+      if (!upload) {
+        return res.status(404).json({
+          success: false,
+          error: 'Upload not found'
+        });
+      }
+
+      res.set('Upload-Offset', String(upload.received_bytes))
+        .set('Upload-Length', String(upload.total_bytes))
+        .set('Cache-Control', 'no-store')
+        .json({
+          success: true,
+          upload: this.formatUploadResponse(upload)
+        });
+    } catch (error) {
+      logger.error('Error in getUpload:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Append a chunk at Upload-Offset; the final chunk creates the video and queues processing
+   * PATCH /api/uploads/:uploadId
+   */
+  async uploadChunk(req, res, next) {
+    try {
+      const offset = parseInt(req.get('Upload-Offset'));
+      if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Upload-Offset header is required'
+        });
+      }
+
+      const upload = await uploadService.getUpload(req.params.uploadId, req.user.id);
+      if (!upload) {
+        return res.status(404).json({
+          success: false,
+          error: 'Upload not found'
+        });
+      }
+
+      const result = await uploadService.appendChunk(upload, offset, req);
+
+      res.set('Upload-Offset', String(result.upload.received_bytes));
+
+      if (result.offsetMismatch) {
+        return res.status(409).json({
+          success: false,
+          error: 'Upload-Offset does not match the received bytes; resume from the returned offset',
+          upload: this.formatUploadResponse(result.upload)
+        });
+      }
+
+      res.json({
+        success: result.upload.status !== 'failed',
+        upload: this.formatUploadResponse(result.upload)
+      });
+    } catch (error) {
+      logger.error('Error in uploadChunk:', error);
+      this.handleUploadError(error, res, next);
+    }
+  }
+
+  /**
+   * Abort an in-progress upload
+   * DELETE /api/uploads/:uploadId
+   */
+  async abortUpload(req, res, next) {
+    try {
+      const upload = await uploadService.getUpload(req.params.uploadId, req.user.id);
+      if (!upload) {
+        return res.status(404).json({
+          success: false,
+          error: 'Upload not found'
+        });
+      }
+
+      const aborted = await uploadService.abortUpload(upload);
+      if (!aborted) {
+        return res.status(409).json({
+          success: false,
+          error: `Upload is already ${upload.status}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Upload aborted'
+      });
+    } catch (error) {
+      logger.error('Error in abortUpload:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new UploadsController();
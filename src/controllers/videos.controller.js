@@ -2,6 +2,7 @@ const { logger } = require('../utils');
 const { video, user: userModel, aiPrompts } = require('../models');
 const { validationResult } = require('express-validator');
 const database = require('../services/database.service');
+const workspaceService = require('../services/workspace.service');
 
 class VideosController {
   /**
@@ -32,19 +33,57 @@ class VideosController {
     return actualUserId;
   }
 
+  /**
+   * Check the user's role in a workspace named by the request
+   * @param {Object} res - Response, sent a 404/403 when the check fails
+   * @param {number} workspaceId - Workspace ID
+   * @param {number} userId - PostgreSQL user ID
+   * @param {string} minimumRole - 'viewer' or 'editor'
+   * @returns {Promise<Object|null>} Membership, or null once the error response is sent
+   */
+  async checkWorkspaceRole(res, workspaceId, userId, minimumRole) {
+    try {
+      return await workspaceService.requireRole(workspaceId, userId, minimumRole);
+    } catch (error) {
+      if (!error.code) {
+        throw error;
+      }
+      res.status(error.code === 'WORKSPACE_NOT_FOUND' ? 404 : 403).json({
+        success: false,
+        message: error.message
+      });
+      return null;
+    }
+  }
+
   /**
    * Get all videos for the authenticated user
    * GET /api/videos
    */
   async getVideos(req, res) {
     try {
-      const { page = 1, limit = 10, status, search, category, sort, source } = req.query;
+      const { page = 1, limit = 10, status, search, category, sort, source, workspace } = req.query;
       const userId = req.user.id;
 
       logger.debug(`GET /api/videos userId=${userId} page=${page}`, null, req.requestId);
 
       const actualUserId = await this.resolveUserId(userId);
 
+      // ?workspace=ID lists that workspace's shared library instead of the personal one
+      let workspaceId = null;
+      if (workspace !== undefined) {
+        workspaceId = parseInt(workspace, 10);
+        if (!Number.isInteger(workspaceId) || workspaceId < 1) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid workspace ID'
+          });
+        }
+        if (!await this.checkWorkspaceRole(res, workspaceId, actualUserId, 'viewer')) {
+          return;
+        }
+      }
+
       // Use Video model for paginated results with content
       const result = await video.getVideosByUser(actualUserId, {
         page,
@@ -54,6 +93,7 @@ class VideosController {
         category,
         sort,
         source,
+        workspaceId,
         includeContent: true  // Include content from video_content table
       });
 
@@ -126,8 +166,8 @@ class VideosController {
         actualUserId = parseInt(userId);
       }
 
-      // Use Video model to get video with user ownership validation
-      const record = await video.getVideoByIdAndUser(id, actualUserId);
+      // Own videos, plus videos shared into the user's workspaces
+      const record = await video.getVideoByIdAndUser(id, actualUserId, { access: 'view' });
 
       if (!record) {
         return res.status(404).json({
@@ -176,7 +216,8 @@ class VideosController {
         description,
         category,
         tags,
-        privacy_setting
+        privacy_setting,
+        workspace_id
       } = req.body;
 
       logger.info(`Creating new video for user ${userId}`, { youtube_url, video_title });
@@ -199,6 +240,11 @@ class VideosController {
         actualUserId = parseInt(userId);
       }
 
+      // Adding straight to a workspace library needs the editor role
+      if (workspace_id && !await this.checkWorkspaceRole(res, workspace_id, actualUserId, 'editor')) {
+        return;
+      }
+
       // Check if video already exists for this user
       const existingVideos = await video.findAllByVideoId(videoId);
       if (existingVideos && existingVideos.length > 0) {
@@ -255,6 +301,7 @@ class VideosController {
 
         // User association
         users_id: actualUserId, // PostgreSQL uses users_id column name
+        workspace_id: workspace_id || null,
         created_at: new Date().toISOString()
       };
 
@@ -346,8 +393,8 @@ class VideosController {
         actualUserId = parseInt(userId);
       }
 
-      // Check if video exists and belongs to user using Video model
-      const existingRecord = await video.getVideoByIdAndUser(id, actualUserId);
+      // Owners and workspace editors may update a video
+      const existingRecord = await video.getVideoByIdAndUser(id, actualUserId, { access: 'edit' });
       if (!existingRecord) {
         return res.status(404).json({
           success: false,
@@ -363,6 +410,7 @@ class VideosController {
       delete safeUpdateData.videoid;
       delete safeUpdateData.youtube_url; // Prevent URL changes
       delete safeUpdateData.users_id; // Prevent ownership changes
+      delete safeUpdateData.workspace_id; // Sharing goes through the workspace endpoints
       delete safeUpdateData.created_at;
 
       // Handle processing log updates (if applicable)
@@ -436,9 +484,17 @@ class VideosController {
         actualUserId = parseInt(userId);
       }
 
+      // Uploaded videos keep their media under storage/ - look it up before the row is gone
+      const existingVideo = await video.getVideoByIdAndUser(id, actualUserId);
+
       // Delete video with ownership validation using Video model
       await video.deleteVideoByUser(id, actualUserId);
 
+      if (existingVideo?.media_path) {
+        const uploadService = require('../services/upload.service');
+        await uploadService.deleteMedia(existingVideo.media_path);
+      }
+
       res.json({
         success: true,
         message: 'Video deleted successfully'
@@ -474,7 +530,7 @@ class VideosController {
         actualUserId = parseInt(userId);
       }
 
-      const record = await video.getVideoByIdAndUser(id, actualUserId);
+      const record = await video.getVideoByIdAndUser(id, actualUserId, { access: 'view' });
 
       if (!record) {
         return res.status(404).json({
@@ -693,7 +749,7 @@ class VideosController {
       }
 
       // Check if video exists and belongs to user
-      const record = await video.getVideoByIdAndUser(id, actualUserId);
+      const record = await video.getVideoByIdAndUser(id, actualUserId, { access: 'edit' });
       if (!record) {
         return res.status(404).json({
           success: false,
@@ -753,7 +809,7 @@ class VideosController {
       }
 
       // Check if video exists and belongs to user
-      const record = await video.getVideoByIdAndUser(id, actualUserId);
+      const record = await video.getVideoByIdAndUser(id, actualUserId, { access: 'edit' });
       if (!record) {
         return res.status(404).json({
           success: false,
@@ -1012,15 +1068,20 @@ class VideosController {
         });
       }
 
-      // Delete the video using Video model
-      await video.deleteVideoByUser(id, actualUserId);
-
-      // Cancel processing status using the service method
+      // Cancel processing status using the service method, before the delete removes the status row
       const processingStatusService = require('../services/processing-status.service');
       const youtubeVideoId = videoRecord.videoid || videoRecord.youtube_video_id;
 
-      // Use the dedicated cancel method
-      const cancelled = processingStatusService.cancelVideoProcessing(youtubeVideoId);
+      // Use the dedicated cancel method (durable, so jobs on any node observe it)
+      let cancelled = false;
+      try {
+        cancelled = await processingStatusService.cancelVideoProcessing(videoRecord.id);
+      } catch (cancelError) {
+        logger.error(`Error persisting cancellation for video ${youtubeVideoId}:`, cancelError);
+      }
+
+      // Delete the video using Video model
+      await video.deleteVideoByUser(id, actualUserId);
 
       if (!cancelled) {
         logger.warn(`No active processing found for video ${youtubeVideoId}, but database status updated`);
@@ -1113,7 +1174,7 @@ class VideosController {
         logger.info(`Video with videoid ${id} exists but belongs to different user`);
       } else {
         // If not found by videoid, try by database record ID
-        videoRecord = await video.getVideoByIdAndUser(id, actualUserId);
+        videoRecord = await video.getVideoByIdAndUser(id, actualUserId, { access: 'view' });
         if (videoRecord) {
           logger.info(`Found video by record ID: ${videoRecord.video_title}`);
         }
@@ -1155,6 +1216,8 @@ class VideosController {
 
       // Handle transcript specially since it's stored in videos table, not video_content table
       let content = null;
+      let contentId = null;
+      let userRating = null;
       let contentUrl = null;
       let generationStatus = null;
       let lastUpdated = null;
@@ -1168,7 +1231,7 @@ class VideosController {
       } else {
         // All other content types are in the video_content table
         const videoContentQuery = `
-          SELECT content_text, content_url, generation_status, updated_at
+          SELECT id, content_text, content_url, generation_status, user_rating, updated_at
           FROM video_content 
           WHERE video_id = $1 AND content_type_id = $2
           ORDER BY created_at DESC
@@ -1179,6 +1242,8 @@ class VideosController {
 
         if (videoContentResult.rows.length > 0) {
           const contentRecord = videoContentResult.rows[0];
+          contentId = contentRecord.id;
+          userRating = contentRecord.user_rating;
           content = contentRecord.content_text;
           contentUrl = contentRecord.content_url;
           generationStatus = contentRecord.generation_status;
@@ -1210,6 +1275,8 @@ class VideosController {
         success: true,
         data: {
           contentType,
+          contentId,
+          userRating,
           content,
           contentUrl,
           generationStatus,
@@ -1269,7 +1336,7 @@ class VideosController {
       }
 
       const userId = req.user.id;
-      const { urls, contentTypes = [] } = req.body;
+      const { urls, contentTypes = [], workspace_id } = req.body;
 
       logger.info(`Batch import: ${urls?.length || 0} videos for userId=${userId}`, null, req.requestId);
 
@@ -1329,6 +1396,16 @@ class VideosController {
         });
       }
 
+      // Videos imported into a workspace are billed to the workspace owner
+      let billingUserId = actualUserId;
+      if (workspace_id) {
+        const membership = await this.checkWorkspaceRole(res, workspace_id, actualUserId, 'editor');
+        if (!membership) {
+          return;
+        }
+        billingUserId = membership.owner_users_id;
+      }
+
       const processedVideos = [];
       const failedVideos = [];
 
@@ -1381,6 +1458,7 @@ class VideosController {
             category: metadata?.categoryId ? this.mapYouTubeCategoryToOurCategory(metadata.categoryId) : 'general',
             privacy_setting: 'public',
             users_id: actualUserId,
+            workspace_id: workspace_id || null,
             created_at: new Date().toISOString()
           };
 
@@ -1401,20 +1479,20 @@ class VideosController {
             const subscriptionService = require('../services/subscription.service');
 
             // Get user tier to determine usage tracking method
-            const userResult = await database.query('SELECT subscription_tier FROM users WHERE id = $1', [actualUserId]);
+            const userResult = await database.query('SELECT subscription_tier FROM users WHERE id = $1', [billingUserId]);
             const userTier = userResult.rows[0]?.subscription_tier || 'free';
 
             if (userTier === 'free') {
               // Mark free video as used
-              await subscriptionService.markFreeVideoAsUsed(actualUserId);
-              logger.debug(`Marked free video as used for userId=${actualUserId}`);
+              await subscriptionService.markFreeVideoAsUsed(billingUserId);
+              logger.debug(`Marked free video as used for userId=${billingUserId}`);
             } else {
               // Regular subscription usage tracking for paid users
-              await subscriptionService.incrementUsage(actualUserId, 'videos_processed', 1);
-              logger.debug(`Incremented video usage for userId=${actualUserId}`);
+              await subscriptionService.incrementUsage(billingUserId, 'videos_processed', 1);
+              logger.debug(`Incremented video usage for userId=${billingUserId}`);
             }
           } catch (usageError) {
-            logger.warn(`Failed to update usage for userId=${actualUserId}`, { error: usageError.message });
+            logger.warn(`Failed to update usage for userId=${billingUserId}`, { error: usageError.message });
           }
 
           // Trigger processing with selected content types
@@ -1514,25 +1592,18 @@ class VideosController {
       // Update video status to pending using Video model
       await video.updateStatus(videoId, 'pending');
 
-      // Use direct transcript processing (same as YouTube OAuth videos)
-      const transcriptService = require('../services/transcript.service');
+      // Transcript extraction and content generation run on the queue worker (same as YouTube OAuth videos)
+      const processingQueue = require('../services/processing-queue.service');
       const youtubeUrl = metadata?.url;
 
       if (youtubeVideoId && youtubeUrl) {
-        logger.debug(`Starting transcript extraction for video ${youtubeVideoId}`);
-
-        // Process transcript asynchronously using the same method as YouTube OAuth videos
-        transcriptService.processVideoTranscript(youtubeVideoId, youtubeUrl, videoId, userId, contentTypes)
-          .then(result => {
-            if (result.success) {
-              logger.info(`Transcript processed for video ${youtubeVideoId}`);
-            } else {
-              logger.debug(`Transcript not available for video ${youtubeVideoId}: ${result.reason}`);
-            }
-          })
-          .catch(error => {
-            logger.warn(`Transcript processing failed for video ${youtubeVideoId}`, { error: error.message });
-          });
+        await processingQueue.addToQueue(videoId, 'process_transcript', 1, {
+          videoId: youtubeVideoId,
+          videoUrl: youtubeUrl,
+          userId,
+          contentTypes
+        });
+        logger.debug(`Queued transcript extraction for video ${youtubeVideoId}`);
       }
 
     } catch (error) {
@@ -1551,7 +1622,7 @@ class VideosController {
 
       // Use the new ContentService for normalized content type retrieval
       const contentService = require('../services/content.service');
-      const contentTypes = await contentService.getAvailableContentTypes();
+      const contentTypes = await contentService.getAvailableContentTypes(req.user?.id);
 
       // Get AI provider counts from ai_prompts for additional metadata
       const providerCounts = await aiPrompts.getProviderCountsByContentType();
@@ -1573,8 +1644,10 @@ class VideosController {
         displayOrder: ct.display_order,
         requiresAi: ct.requires_ai,
         hasUrlField: ct.has_url_field,
-        providerCount: providerMap[ct.key]?.count || 0,
+        // Custom types run with whichever provider the generation uses
+        providerCount: ct.users_id ? 1 : providerMap[ct.key]?.count || 0,
         providers: providerMap[ct.key]?.providers || [],
+        isCustom: Boolean(ct.users_id),
         enabled: true
       }));
 
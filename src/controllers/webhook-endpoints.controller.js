@@ -0,0 +1,117 @@
+const webhookService = require('../services/webhook.service');
+
+// HTTP status for each error code raised by webhook.service
+const WEBHOOK_ERROR_STATUS = {
+  INVALID_WEBHOOK: 400,
+  WEBHOOK_NOT_FOUND: 404,
+  WEBHOOK_LIMIT_REACHED: 403
+};
+
+class WebhookEndpointsController {
+  /**
+   * Send a webhook.service error with its mapped status
+   */
+  handleWebhookError(error, res, next) {
+    if (WEBHOOK_ERROR_STATUS[error.code]) {
+      return res.status(WEBHOOK_ERROR_STATUS[error.code]).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    next(error);
+  }
+
+  /**
+   * List the user's webhook endpoints
+   * GET /api/webhook-endpoints
+   */
+  async listEndpoints(req, res, next) {
+    try {
+      const { endpoints, limit } = await webhookService.listEndpoints(req.user.id);
+      res.json({ success: true, endpoints, limit });
+    } catch (error) {
+      this.handleWebhookError(error, res, next);
+    }
+  }
+
+  /**
+   * Register a webhook endpoint
+   * POST /api/webhook-endpoints
+   */
+  async createEndpoint(req, res, next) {
+    try {
+      const endpoint = await webhookService.createEndpoint(req.user.id, req.body);
+      res.status(201).json({ success: true, endpoint });
+    } catch (error) {
+      this.handleWebhookError(error, res, next);
+    }
+  }
+
+  /**
+   * Update a webhook endpoint
+   * PUT /api/webhook-endpoints/:endpointId
+   */
+  async updateEndpoint(req, res, next) {
+    try {
+      const endpoint = await webhookService.updateEndpoint(req.user.id, req.params.endpointId, req.body);
+      res.json({ success: true, endpoint });
+    } catch (error) {
+      this.handleWebhookError(error, res, next);
+    }
+  }
+
+  /**
+   * Delete a webhook endpoint and its delivery log
+   * DELETE /api/webhook-endpoints/:endpointId
+   */
+  async deleteEndpoint(req, res, next) {
+    try {
+      await webhookService.deleteEndpoint(req.user.id, req.params.endpointId);
+      res.json({ success: true });
+    } catch (error) {
+      this.handleWebhookError(error, res, next);
+    }
+  }
+
+  /**
+   * Reveal an endpoint's signing secret
+   * GET /api/webhook-endpoints/:endpointId/secret
+   */
+  async revealSecret(req, res, next) {
+    try {
+      const secret = await webhookService.revealSecret(req.user.id, req.params.endpointId);
+      res.json({ success: true, secret });
+    } catch (error) {
+      this.handleWebhookError(error, res, next);
+    }
+  }
+
+  /**
+   * An endpoint's recent deliveries
+   * GET /api/webhook-endpoints/:endpointId/deliveries
+   */
+  async listDeliveries(req, res, next) {
+    try {
+      const deliveries = await webhookService.listDeliveries(req.user.id, req.params.endpointId);
+      res.json({ success: true, deliveries });
+    } catch (error) {
+      this.handleWebhookError(error, res, next);
+    }
+  }
+
+  /**
+   * Send a test event to an endpoint and return the delivery
+   * POST /api/webhook-endpoints/:endpointId/test
+   */
+  async sendTestEvent(req, res, next) {
+    try {
+      const delivery = await webhookService.sendTestEvent(req.user.id, req.params.endpointId);
+      res.json({ success: true, delivery });
+    } catch (error) {
+      this.handleWebhookError(error, res, next);
+    }
+  }
+}
+
+module.exports = new WebhookEndpointsController();
@@ -0,0 +1,248 @@
+const workspaceService = require('../services/workspace.service');
+
+// HTTP status for each error code raised by workspace.service
+const WORKSPACE_ERROR_STATUS = {
+  INVALID_WORKSPACE_REQUEST: 400,
+  WORKSPACE_FORBIDDEN: 403,
+  WORKSPACE_LIMIT_REACHED: 403,
+  SEAT_LIMIT_REACHED: 403,
+  INVITATION_EMAIL_MISMATCH: 403,
+  WORKSPACE_NOT_FOUND: 404,
+  MEMBER_NOT_FOUND: 404,
+  INVITATION_NOT_FOUND: 404,
+  VIDEO_NOT_FOUND: 404,
+  CHARACTER_PROFILE_NOT_FOUND: 404,
+  CHANNEL_NOT_FOUND: 404,
+  ALREADY_MEMBER: 409
+};
+
+class WorkspacesController {
+  /**
+   * Send a workspace.service error with its mapped status
+   */
+  handleWorkspaceError(error, res, next) {
+    if (WORKSPACE_ERROR_STATUS[error.code]) {
+      return res.status(WORKSPACE_ERROR_STATUS[error.code]).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    next(error);
+  }
+
+  /**
+   * List the workspaces the user belongs to
+   * GET /api/workspaces
+   */
+  async listWorkspaces(req, res, next) {
+    try {
+      const workspaces = await workspaceService.listWorkspaces(req.user.id);
+      res.json({ success: true, workspaces });
+    } catch (error) {
+      this.handleWorkspaceError(error, res, next);
+    }
+  }
+
+  /**
+   * Create a workspace owned by the user
+   * POST /api/workspaces
+   */
+  async createWorkspace(req, res, next) {
+    try {
+      const workspace = await workspaceService.createWorkspace(req.user.id, req.body);
+      res.status(201).json({ success: true, workspace });
+    } catch (error) {
+      this.handleWorkspaceError(error, res, next);
+    }
+  }
+
+  /**
+   * Workspace details: members, invitations, shared resources, seats and usage
+   * GET /api/workspaces/:workspaceId
+   */
+  async getWorkspace(req, res, next) {
+    try {
+      const details = await workspaceService.getWorkspace(req.user.id, req.params.workspaceId);
+      res.json({ success: true, ...details });
+    } catch (error) {
+      this.handleWorkspaceError(error, res, next);
+    }
+  }
+
+  /**
+   * Rename a workspace
+   * PUT /api/workspaces/:workspaceId
+   */
+  async renameWorkspace(req, res, next) {
+    try {
+      const workspace = await workspaceService.renameWorkspace(req.user.id, req.params.workspaceId, req.body);
+      res.json({ success: true, workspace });
+    } catch (error) {
+      this.handleWorkspaceError(error, res, next);
+    }
+  }
+
+  /**
+   * Delete a workspace
+   * DELETE /api/workspaces/:workspaceId
+   */
+  async deleteWorkspace(req, res, next) {
+    try {
+      await workspaceService.deleteWorkspace(req.user.id, req.params.workspaceId);
+      res.json({ success: true });
+    } catch (error) {
+      this.handleWorkspaceError(error, res, next);
+    }
+  }
+
+  /**
+   * Invite someone by email
+   * POST /api/workspaces/:workspaceId/invitations
+   */
+  async inviteMember(req, res, next) {
+    try {
+      const result = await workspaceService.inviteMember(req.user.id, req.params.workspaceId, req.body);
+      res.status(201).json({ success: true, ...result });
+    } catch (error) {
+      this.handleWorkspaceError(error, res, next);
+    }
+  }
+
+  /**
+   * Revoke a pending invitation
+   * DELETE /api/workspaces/:workspaceId/invitations/:invitationId
+   */
+  async revokeInvitation(req, res, next) {
+    try {
+      await workspaceService.revokeInvitation(req.user.id, req.params.workspaceId, req.params.invitationId);
+      res.json({ success: true });
+    } catch (error) {
+      this.handleWorkspaceError(error, res, next);
+    }
+  }
+
+  /**
+   * Accept an invitation sent to the signed-in user's email address
+   * POST /api/workspaces/invitations/:token/accept
+   */
+  async acceptInvitation(req, res, next) {
+    try {
+      const workspace = await workspaceService.acceptInvitation(req.user, req.params.token);
+      res.json({ success: true, workspace });
+    } catch (error) {
+      this.handleWorkspaceError(error, res, next);
+    }
+  }
+
+  /**
+   * Change a member's role
+   * PUT /api/workspaces/:workspaceId/members/:userId
+   */
+  async updateMemberRole(req, res, next) {
+    try {
+      const member = await workspaceService.updateMemberRole(
+        req.user.id,
+        req.params.workspaceId,
+        req.params.userId,
+        req.body
+      );
+      res.json({ success: true, member });
+    } catch (error) {
+      this.handleWorkspaceError(error, res, next);
+    }
+  }
+
+  /**
+   * Remove a member, or leave the workspace when the user ID is the caller's own
+   * DELETE /api/workspaces/:workspaceId/members/:userId
+   */
+  async removeMember(req, res, next) {
+    try {
+      await workspaceService.removeMember(req.user.id, req.params.workspaceId, req.params.userId);
+      res.json({ success: true });
+    } catch (error) {
+      this.handleWorkspaceError(error, res, next);
+    }
+  }
+
+  /**
+   * Share a video into the workspace library
+   * PUT /api/workspaces/:workspaceId/videos/:videoId
+   */
+  async shareVideo(req, res, next) {
+    try {
+      await workspaceService.shareVideo(req.user.id, req.params.workspaceId, req.params.videoId);
+      res.json({ success: true });
+    } catch (error) {
+      this.handleWorkspaceError(error, res, next);
+    }
+  }
+
+  /**
+   * Take a video out of the workspace library
+   * DELETE /api/workspaces/:workspaceId/videos/:videoId
+   */
+  async unshareVideo(req, res, next) {
+    try {
+      await workspaceService.unshareVideo(req.user.id, req.params.workspaceId, req.params.videoId);
+      res.json({ success: true });
+    } catch (error) {
+      this.handleWorkspaceError(error, res, next);
+    }
+  }
+
+  /**
+   * Share a character profile with the workspace
+   * PUT /api/workspaces/:workspaceId/character-profiles/:profileId
+   */
+  async shareCharacterProfile(req, res, next) {
+    try {
+      await workspaceService.shareCharacterProfile(req.user.id, req.params.workspaceId, req.params.profileId);
+      res.json({ success: true });
+    } catch (error) {
+      this.handleWorkspaceError(error, res, next);
+    }
+  }
+
+  /**
+   * Stop sharing a character profile
+   * DELETE /api/workspaces/:workspaceId/character-profiles/:profileId
+   */
+  async unshareCharacterProfile(req, res, next) {
+    try {
+      await workspaceService.unshareCharacterProfile(req.user.id, req.params.workspaceId, req.params.profileId);
+      res.json({ success: true });
+    } catch (error) {
+      this.handleWorkspaceError(error, res, next);
+    }
+  }
+
+  /**
+   * Connect a YouTube channel to the workspace
+   * PUT /api/workspaces/:workspaceId/channels/:channelId
+   */
+  async connectChannel(req, res, next) {
+    try {
+      await workspaceService.connectChannel(req.user.id, req.params.workspaceId, req.params.channelId);
+      res.json({ success: true });
+    } catch (error) {
+      this.handleWorkspaceError(error, res, next);
+    }
+  }
+
+  /**
+   * Disconnect a YouTube channel from the workspace
+   * DELETE /api/workspaces/:workspaceId/channels/:channelId
+   */
+  async disconnectChannel(req, res, next) {
+    try {
+      await workspaceService.disconnectChannel(req.user.id, req.params.workspaceId, req.params.channelId);
+      res.json({ success: true });
+    } catch (error) {
+      this.handleWorkspaceError(error, res, next);
+    }
+  }
+}
+
+module.exports = new WorkspacesController();
@@ -439,7 +439,7 @@ class YouTubeController {
           // Initialize processing status and extract transcript
           if (postgresRecord) {
             try {
-              const transcriptService = require('../services/transcript.service');
+              const processingQueue = require('../services/processing-queue.service');
               const processingStatusService = require('../services/processing-status.service');
               const recordId = postgresRecord.id;
 
@@ -472,23 +472,17 @@ class YouTubeController {
                   selectedContentTypes
                 );
 
-                logger.info(`Starting transcript extraction for video ${videoId}`);
-
-                // Process transcript asynchronously - don't wait for completion
-                transcriptService.processVideoTranscript(videoId, youtubeUrl, recordId, actualUserId, selectedContentTypes)
-                  .then(result => {
-                    if (result.success) {
-                      logger.info(`✅ Transcript successfully processed for video ${videoId}`);
-                    } else {
-                      logger.info(`ℹ️  Transcript not available for video ${videoId}: ${result.reason}`);
-                    }
-                  })
-                  .catch(error => {
-                    logger.warn(`⚠️  Transcript processing failed for video ${videoId}:`, error.message);
-                  });
+                // Transcript extraction and content generation run on the queue worker
+                await processingQueue.addToQueue(recordId, 'process_transcript', 1, {
+                  videoId,
+                  videoUrl: youtubeUrl,
+                  userId: actualUserId,
+                  contentTypes: selectedContentTypes
+                });
+                logger.info(`Queued transcript extraction for video ${videoId}`);
               }
             } catch (transcriptError) {
-              logger.warn(`Error initiating transcript extraction for video ${videoId}:`, transcriptError.message);
+              logger.warn(`Error queueing transcript extraction for video ${videoId}:`, transcriptError.message);
             }
           }
 
@@ -0,0 +1,121 @@
+/**
+ * API Key Middleware
+ *
+ * Authentication, permission scoping and plan call limits for the public API (/api/v1).
+ * Requests carry a key from Settings → API Keys instead of the session JWT.
+ */
+
+const apiKeyService = require('../services/api-key.service');
+const { logger } = require('../utils');
+
+// HTTP status for each error code raised by api-key.service
+const API_KEY_ERROR_STATUS = {
+  INVALID_API_KEY: 401,
+  ACCOUNT_INACTIVE: 403,
+  API_ACCESS_NOT_INCLUDED: 403,
+  API_CALL_LIMIT_EXCEEDED: 429
+};
+
+/**
+ * Send an API key error as JSON
+ */
+function sendApiKeyError(res, status, message, code) {
+  return res.status(status).json({
+    success: false,
+    message,
+    error: code
+  });
+}
+
+/**
+ * Read the key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ */
+function extractApiKey(req) {
+  const header = req.headers['x-api-key'];
+  if (header) {
+    return String(header).trim();
+  }
+
+  const authorization = req.headers.authorization;
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.substring(7).trim();
+  }
+  return null;
+}
+
+/**
+ * Authenticate the request with an API key and act as the key's owner:
+ * sets req.apiKey, req.user and req.userId
+ */
+const apiKeyAuth = async (req, res, next) => {
+  try {
+    const rawKey = extractApiKey(req);
+    if (!rawKey) {
+      return sendApiKeyError(res, 401, 'API key required. Send it as "Authorization: Bearer <key>" or "X-API-Key: <key>".', 'API_KEY_REQUIRED');
+    }
+
+    const { key, user } = await apiKeyService.authenticate(rawKey);
+    req.apiKey = key;
+    req.user = user;
+    req.userId = user.id;
+
+    logger.debug(`API key auth: key=${key.key_id} userId=${user.id}`, null, req.requestId);
+    next();
+  } catch (error) {
+    if (API_KEY_ERROR_STATUS[error.code]) {
+      return sendApiKeyError(res, API_KEY_ERROR_STATUS[error.code], error.message, error.code);
+    }
+
+    logger.error('API key auth error', { error: error.message }, req.requestId);
+    return sendApiKeyError(res, 500, 'Authentication failed', 'INTERNAL_SERVER_ERROR');
+  }
+};
+
+/**
+ * Require the authenticated key to hold a permission
+ * @param {string} permission - Permission from apiKeyService.PERMISSIONS
+ * @returns {Function} Express middleware function
+ */
+const requireApiPermission = (permission) => {
+  return (req, res, next) => {
+    if (!apiKeyService.hasPermission(req.apiKey, permission)) {
+      return sendApiKeyError(res, 403, `This API key does not have the "${permission}" permission`, 'INSUFFICIENT_PERMISSIONS');
+    }
+    next();
+  };
+};
+
+/**
+ * Check the plan's monthly API call allowance and count the call once it succeeds
+ */
+const checkApiCallLimit = async (req, res, next) => {
+  try {
+    const { limit, used } = await apiKeyService.checkCallQuota(req.user);
+
+    if (limit !== -1) {
+      res.set('X-API-Calls-Limit', String(limit));
+      res.set('X-API-Calls-Remaining', String(Math.max(0, limit - used - 1)));
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode < 400) {
+        apiKeyService.recordCall(req.user.id);
+      }
+    });
+
+    next();
+  } catch (error) {
+    if (API_KEY_ERROR_STATUS[error.code]) {
+      return sendApiKeyError(res, API_KEY_ERROR_STATUS[error.code], error.message, error.code);
+    }
+
+    logger.error('API call limit check error', { error: error.message }, req.requestId);
+    return sendApiKeyError(res, 500, 'API call limit check failed', 'INTERNAL_SERVER_ERROR');
+  }
+};
+
+module.exports = {
+  apiKeyAuth,
+  requireApiPermission,
+  checkApiCallLimit
+};
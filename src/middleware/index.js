@@ -33,8 +33,9 @@ const securityMiddleware = [
   cors({
     origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : ['http://localhost:3000'],
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Upload-Offset'],
+    exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length']
   }),
 
   // Compression
@@ -129,6 +130,26 @@ const forceTokenRefresh = (userId) => {
   logger.debug(`Forced token refresh for userId=${userId}`);
 };
 
+// Whether the token's login session was signed out (from the Security page or by logging out).
+// Tokens issued before session binding have no sid and stay valid until they expire.
+// Throws SESSION_CHECK_FAILED when the session can't be checked, so a signed-out token is never let through.
+const isRevokedSession = async (decoded, req) => {
+  if (!decoded.sid) {
+    return false;
+  }
+
+  // Lazy load to avoid a circular dependency through the models
+  const sessionService = require('../services/session.service');
+  try {
+    return !(await sessionService.validateSession(decoded.sid));
+  } catch (error) {
+    logger.error('Session validation failed', { error: error.message }, req.requestId);
+    const checkError = new Error('Session could not be verified');
+    checkError.code = 'SESSION_CHECK_FAILED';
+    throw checkError;
+  }
+};
+
 // Authentication middleware
 const authMiddleware = async (req, res, next) => {
   try {
@@ -154,6 +175,10 @@ const authMiddleware = async (req, res, next) => {
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    if (await isRevokedSession(decoded, req)) {
+      return handleAuthError(req, res, 'Session has been signed out');
+    }
+
     // Use JWT data if available (for newer tokens), otherwise fall back to database
     let user;
     let needsTokenRefresh = false;
@@ -209,7 +234,7 @@ const authMiddleware = async (req, res, next) => {
         const freshUser = await authService.findUserById(user.id);
         if (freshUser) {
           // Generate new token with fresh data
-          const newToken = require('../services/auth.service').generateToken(freshUser.id, freshUser.email, freshUser);
+          const newToken = require('../services/auth.service').generateToken(freshUser.id, freshUser.email, freshUser, { sessionId: decoded.sid });
 
           // Set new token in response header for the current request
           res.cookie('auth_token', newToken, {
@@ -246,6 +271,7 @@ const authMiddleware = async (req, res, next) => {
     // Attach user to request
     req.user = user;
     req.userId = user.id;
+    req.sessionId = decoded.sid || null;
 
     // Debug level - only visible when LOG_LEVEL=debug
     logger.debug(`Auth: userId=${req.user.id}`, null, req.requestId);
@@ -256,6 +282,8 @@ const authMiddleware = async (req, res, next) => {
       return handleAuthError(req, res, 'Invalid token');
     } else if (error.name === 'TokenExpiredError') {
       return handleAuthError(req, res, 'Token expired');
+    } else if (error.code === 'SESSION_CHECK_FAILED') {
+      return handleSessionCheckError(req, res);
     }
 
     logger.error('Auth middleware error', { error: error.message }, req.requestId);
@@ -285,6 +313,11 @@ const optionalAuthMiddleware = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    if (await isRevokedSession(decoded, req)) {
+      res.clearCookie('auth_token');
+      return next(); // Continue without authentication
+    }
+
     // Use JWT data if available (for newer tokens), otherwise fall back to database
     let user;
     let needsTokenRefresh = false;
@@ -331,7 +364,7 @@ const optionalAuthMiddleware = async (req, res, next) => {
         const freshUser = await authService.findUserById(user.id);
         if (freshUser) {
           // Generate new token with fresh data
-          const newToken = require('../services/auth.service').generateToken(freshUser.id, freshUser.email, freshUser);
+          const newToken = require('../services/auth.service').generateToken(freshUser.id, freshUser.email, freshUser, { sessionId: decoded.sid });
 
           // Set new token in response header for the current request
           res.cookie('auth_token', newToken, {
@@ -356,6 +389,7 @@ const optionalAuthMiddleware = async (req, res, next) => {
     if (user && user.emailVerified && user.status === 'active') {
       req.user = user;
       req.userId = user.id;
+      req.sessionId = decoded.sid || null;
     }
 
     next();
@@ -462,6 +496,26 @@ const handleAuthError = (req, res, message) => {
   return res.redirect('/auth/sign-in');
 };
 
+// The session store couldn't be reached: refuse the request but keep the token, it may still be valid
+const handleSessionCheckError = (req, res) => {
+  const message = 'Your session could not be verified. Please try again in a moment.';
+
+  if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
+    return res.status(503).json({
+      success: false,
+      message,
+      error: 'SESSION_CHECK_FAILED'
+    });
+  }
+
+  return res.status(503).render('errors/500', {
+    title: 'Service Unavailable',
+    message,
+    showHeader: true,
+    showFooter: true
+  });
+};
+
 const preferencesMiddleware = require('./preferences.middleware');
 const subscriptionMiddleware = require('./subscription.middleware');
 
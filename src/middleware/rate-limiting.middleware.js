@@ -73,6 +73,16 @@ const aiGenerationLimit = (req, res, next) => {
   next();
 };
 
+// Public API (/api/v1): the authenticated API key's own rate limit and window
+const apiKeyLimit = (req, res, next) => {
+  const limiter = rateLimitingService.getLimiter(`api_key_${req.apiKey?.rate_limit_window}`) ||
+    rateLimitingService.getLimiter('api_key_hour');
+  if (req.apiKey && limiter) {
+    return limiter(req, res, next);
+  }
+  next();
+};
+
 // Public pages
 const publicPageLimit = (req, res, next) => {
   const limiter = rateLimitingService.getLimiter('PUBLIC_PAGES');
@@ -238,6 +248,7 @@ module.exports = {
   apiLimit,
   videoProcessingLimit,
   aiGenerationLimit,
+  apiKeyLimit,
   publicPageLimit,
   contactFormLimit,
 
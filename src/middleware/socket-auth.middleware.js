@@ -0,0 +1,51 @@
+/**
+ * Socket.IO Authentication Middleware
+ *
+ * Verifies the handshake JWT and rejects tokens whose login session was signed out,
+ * the same checks authMiddleware applies to HTTP requests. Used by both the HTTP and
+ * HTTPS servers.
+ */
+
+const jwt = require('jsonwebtoken');
+const sessionService = require('../services/session.service');
+const { logger } = require('../utils');
+
+/**
+ * io.use() handler. Sets socket.userId and socket.sessionId on success.
+ */
+const socketAuthMiddleware = async (socket, next) => {
+  const token = socket.handshake.auth.token;
+
+  if (!token) {
+    logger.warn('Socket.IO auth failed: no token');
+    return next(new Error('Authentication required'));
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    logger.warn(`Socket.IO auth failed: ${error.message}`);
+    return next(new Error('Invalid token'));
+  }
+
+  // Reject tokens whose login session was signed out. A session that can't be checked is refused too.
+  if (decoded.sid) {
+    try {
+      if (!(await sessionService.validateSession(decoded.sid))) {
+        return next(new Error('Session has been signed out'));
+      }
+    } catch (error) {
+      logger.error(`Socket.IO session check failed: ${error.message}`);
+      return next(new Error('Session could not be verified'));
+    }
+  }
+
+  // Try both userId and id fields
+  socket.userId = decoded.userId || decoded.id;
+  socket.sessionId = decoded.sid || null;
+  logger.debug(`Socket.IO auth success: userId=${socket.userId}`);
+  next();
+};
+
+module.exports = socketAuthMiddleware;
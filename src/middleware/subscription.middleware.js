@@ -72,10 +72,25 @@ const subscriptionMiddleware = {
           return handleSubscriptionError(req, res, 'Authentication required', 401);
         }
 
-        const userId = req.user.id;
-        const userTier = req.user.subscription_tier || 'free';
+        let userId = req.user.id;
+        let userTier = req.user.subscription_tier || 'free';
         const subscriptionService = require('../services/subscription.service');
 
+        // Work in a workspace is counted against the workspace owner's plan
+        const workspaceId = req.body?.workspace_id || req.query?.workspace;
+        if (workspaceId) {
+          const billingUser = /^\d+$/.test(String(workspaceId))
+            ? await subscriptionService.getWorkspaceBillingUser(parseInt(workspaceId, 10), req.user.id)
+            : null;
+          if (!billingUser) {
+            return handleSubscriptionError(req, res, 'You cannot add videos to this workspace', 403, {
+              workspace_id: workspaceId
+            });
+          }
+          userId = billingUser.id;
+          userTier = billingUser.subscription_tier;
+        }
+
         // PRIORITY 1: Check for admin grants first
         if (resource === 'videos') {
           const grantAccess = await subscriptionService.checkGrantAccess(userId);
@@ -349,7 +364,7 @@ function handleSubscriptionError(req, res, message, statusCode = 403, details =
   });
 
   // For API requests, return JSON
-  if (req.xhr || req.headers.accept?.indexOf('json') > -1 || req.path.startsWith('/api/')) {
+  if (req.xhr || req.headers.accept?.indexOf('json') > -1 || (req.originalUrl || req.path).startsWith('/api/')) {
     return res.status(statusCode).json({
       success: false,
       message,
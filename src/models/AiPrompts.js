@@ -5,7 +5,8 @@ const { logger } = require('../utils');
 /**
  * AI Prompts Model
  * Manages AI prompts for content generation with full CRUD operations
- * Currently supports system prompts only. Ready for user-owned prompts once users_id column is added.
+ * System prompts have no users_id; user-owned prompts belong to a user's custom content type
+ * and are left out of the system prompt queries below.
  */
 class AiPrompts extends BaseModel {
   constructor() {
@@ -13,13 +14,14 @@ class AiPrompts extends BaseModel {
 
     this.fillable = [
       'name', 'description', 'ai_provider', 'content_type_id', 'prompt_text',
-      'system_message', 'temperature', 'max_tokens', 'is_active'
+      'system_message', 'temperature', 'max_tokens', 'is_active', 'users_id'
     ];
 
     this.hidden = [];
 
     this.casts = {
       'content_type_id': 'integer',
+      'users_id': 'integer',
       'temperature': 'float',
       'max_tokens': 'integer',
       'is_active': 'boolean',
@@ -170,7 +172,7 @@ class AiPrompts extends BaseModel {
           ct.icon as content_type_icon
         FROM ${this.tableName} ap
         JOIN content_types ct ON ap.content_type_id = ct.id
-        WHERE ap.ai_provider = $1 
+        WHERE ap.ai_provider = $1 AND ap.users_id IS NULL
         ${options.includeInactive !== true ? 'AND ap.is_active = true AND ct.is_active = true' : ''}
         ORDER BY ap.created_at DESC
       `;
@@ -205,7 +207,7 @@ class AiPrompts extends BaseModel {
             ct.icon as content_type_icon
           FROM ${this.tableName} ap
           JOIN content_types ct ON ap.content_type_id = ct.id
-          WHERE ap.content_type_id = $1
+          WHERE ap.content_type_id = $1 AND ap.users_id IS NULL
           ${options.includeInactive !== true ? 'AND ap.is_active = true AND ct.is_active = true' : ''}
           ORDER BY ap.created_at DESC
         `;
@@ -220,7 +222,7 @@ class AiPrompts extends BaseModel {
             ct.icon as content_type_icon
           FROM ${this.tableName} ap
           JOIN content_types ct ON ap.content_type_id = ct.id
-          WHERE ct.key = $1
+          WHERE ct.key = $1 AND ap.users_id IS NULL
           ${options.includeInactive !== true ? 'AND ap.is_active = true AND ct.is_active = true' : ''}
           ORDER BY ap.created_at DESC
         `;
@@ -237,17 +239,30 @@ class AiPrompts extends BaseModel {
   }
 
   /**
-   * Get user-created prompts (placeholder for future implementation)
-   * Note: users_id column doesn't exist yet in current schema
+   * Get prompts a user wrote for their custom content types
    * @param {number} userId - User ID
    * @param {object} options - Query options
-   * @returns {Promise<Array>} Array of user prompts (currently returns empty array)
+   * @returns {Promise<Array>} Array of user prompts with content type keys and output formats
    */
-  async getUserPrompts(userId, _options = {}) {
+  async getUserPrompts(userId, options = {}) {
     try {
-      logger.info(`getUserPrompts called for user ${userId} - feature not yet implemented`);
-      // TODO: Implement once users_id column is added to ai_prompts table
-      return [];
+      const query = `
+        SELECT
+          ap.*,
+          ct.key as content_type,
+          ct.label as content_type_label,
+          ct.icon as content_type_icon,
+          ct.output_format
+        FROM ${this.tableName} ap
+        JOIN content_types ct ON ap.content_type_id = ct.id
+        WHERE ap.users_id = $1
+        ${options.includeInactive !== true ? 'AND ap.is_active = true AND ct.is_active = true' : ''}
+        ORDER BY ct.id ASC
+      `;
+
+      const result = await database.query(query, [userId]);
+
+      return result.rows.map(row => this.formatOutput(row));
     } catch (error) {
       logger.error(`Error getting user prompts for user ${userId}:`, error);
       throw error;
@@ -255,7 +270,7 @@ class AiPrompts extends BaseModel {
   }
 
   /**
-   * Get all prompts (currently all are system prompts since users_id column doesn't exist)
+   * Get all system prompts
    * @param {object} options - Query options
    * @returns {Promise<Array>} Array of prompts with content type keys
    */
@@ -269,7 +284,8 @@ class AiPrompts extends BaseModel {
           ct.icon as content_type_icon
         FROM ${this.tableName} ap
         JOIN content_types ct ON ap.content_type_id = ct.id
-        ${options.includeInactive !== true ? 'WHERE ap.is_active = true AND ct.is_active = true' : ''}
+        WHERE ap.users_id IS NULL
+        ${options.includeInactive !== true ? 'AND ap.is_active = true AND ct.is_active = true' : ''}
         ORDER BY ap.created_at DESC
       `;
 
@@ -314,7 +330,7 @@ class AiPrompts extends BaseModel {
         SELECT DISTINCT ct.key as type, ct.label, ct.icon, ct.display_order
         FROM ${this.tableName} ap
         JOIN content_types ct ON ap.content_type_id = ct.id
-        WHERE ap.is_active = true AND ct.is_active = true
+        WHERE ap.is_active = true AND ct.is_active = true AND ap.users_id IS NULL
         ORDER BY ct.display_order ASC, ct.key ASC
       `;
 
@@ -337,7 +353,7 @@ class AiPrompts extends BaseModel {
         SELECT ct.key as content_type, COUNT(*) as provider_count, ARRAY_AGG(DISTINCT ap.ai_provider) as providers
         FROM ${this.tableName} ap
         JOIN content_types ct ON ap.content_type_id = ct.id
-        WHERE ap.is_active = true AND ct.is_active = true
+        WHERE ap.is_active = true AND ct.is_active = true AND ap.users_id IS NULL
         GROUP BY ct.key, ct.display_order
         ORDER BY ct.display_order ASC, ct.key ASC
       `;
@@ -0,0 +1,80 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * AiRoutingPolicy Model
+ * Provider fallback order and model selection per content type. The row without a
+ * content type is the default policy.
+ */
+class AiRoutingPolicy extends BaseModel {
+  constructor() {
+    super('ai_routing_policies', 'id');
+
+    this.fillable = [
+      'content_type_id', 'fallback_providers', 'provider_models', 'strategy',
+      'is_active', 'updated_by_user_id'
+    ];
+
+    this.casts = {
+      // fallback_providers / provider_models are JSONB: pg parses them on read, and they are
+      // written as JSON strings (a JS array would be sent as a Postgres array)
+      'content_type_id': 'integer',
+      'is_active': 'boolean',
+      'updated_by_user_id': 'integer',
+      'created_at': 'date',
+      'updated_at': 'date'
+    };
+
+    this.validationRules = {
+      required: ['strategy']
+    };
+  }
+
+  /**
+   * List all policies with their content type, default first
+   * @returns {Promise<Array>}
+   */
+  async listWithContentType() {
+    const result = await this.query(`
+      SELECT p.*, ct.key AS content_type, ct.label AS content_type_label
+      FROM ${this.tableName} p
+      LEFT JOIN content_types ct ON ct.id = p.content_type_id
+      ORDER BY p.content_type_id NULLS FIRST, ct.display_order ASC
+    `);
+
+    return result.rows.map(row => this.formatOutput(row));
+  }
+
+  /**
+   * Active policy for a content type key, falling back to the active default
+   * @param {string} [contentTypeKey] - content_types.key
+   * @returns {Promise<Object|null>}
+   */
+  async findForContentType(contentTypeKey) {
+    const result = await this.query(`
+      SELECT p.*
+      FROM ${this.tableName} p
+      LEFT JOIN content_types ct ON ct.id = p.content_type_id
+      WHERE p.is_active = true AND (p.content_type_id IS NULL OR ct.key = $1)
+      ORDER BY p.content_type_id NULLS LAST
+      LIMIT 1
+    `, [contentTypeKey || null]);
+
+    return result.rows[0] ? this.formatOutput(result.rows[0]) : null;
+  }
+
+  /**
+   * Find the policy of a content type, or the default when contentTypeId is null
+   * @param {number|null} contentTypeId - content_types row ID
+   * @returns {Promise<Object|null>}
+   */
+  async findByContentTypeId(contentTypeId) {
+    const result = await this.query(`
+      SELECT * FROM ${this.tableName}
+      WHERE content_type_id IS NOT DISTINCT FROM $1
+    `, [contentTypeId]);
+
+    return result.rows[0] ? this.formatOutput(result.rows[0]) : null;
+  }
+}
+
+module.exports = AiRoutingPolicy;
@@ -116,7 +116,13 @@ class ApiKeys extends BaseModel {
       }
 
       const keyId = keyParts[1];
-      const keyRecord = await this.findByKeyId(keyId);
+
+      // Read the raw row: findByKeyId goes through formatOutput, which strips api_key
+      const result = await database.query(
+        `SELECT * FROM ${this.tableName} WHERE key_id = $1`,
+        [keyId]
+      );
+      const keyRecord = result.rows[0] ? this.castData(result.rows[0]) : null;
 
       if (!keyRecord || !keyRecord.is_active) {
         return null;
@@ -128,8 +134,10 @@ class ApiKeys extends BaseModel {
         return null;
       }
 
-      // Validate the full API key matches
-      if (keyRecord.api_key !== apiKey) {
+      // Validate the full API key matches (constant-time comparison)
+      const expected = Buffer.from(String(keyRecord.api_key || ''));
+      const provided = Buffer.from(apiKey);
+      if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
         logger.warn(`Invalid API key attempted: ${keyId}`);
         return null;
       }
@@ -0,0 +1,84 @@
+const BaseModel = require('./BaseModel');
+
+// Metadata columns: everything except the stored font/logo files
+const METADATA_COLUMNS = `
+  id, users_id, name, colors, heading_font_family, body_font_family,
+  heading_font_filename, body_font_filename, logo_mime_type, footer_text,
+  heading_font_file IS NOT NULL AS has_heading_font,
+  body_font_file IS NOT NULL AS has_body_font,
+  logo_file IS NOT NULL AS has_logo,
+  created_at, updated_at
+`;
+
+/**
+ * BrandKit Model
+ * User-defined slide themes: 10-slot palette, fonts, logo and footer text.
+ * File columns are hidden from normal output; use getAssets() when rendering.
+ */
+class BrandKit extends BaseModel {
+  constructor() {
+    super('brand_kits', 'id');
+
+    this.fillable = [
+      'users_id', 'name', 'colors', 'heading_font_family', 'body_font_family',
+      'heading_font_file', 'heading_font_filename', 'body_font_file', 'body_font_filename',
+      'logo_file', 'logo_mime_type', 'footer_text'
+    ];
+
+    this.hidden = ['heading_font_file', 'body_font_file', 'logo_file'];
+
+    this.casts = {
+      'users_id': 'integer',
+      'colors': 'json',
+      'created_at': 'date',
+      'updated_at': 'date'
+    };
+
+    this.validationRules = {
+      required: ['users_id', 'name', 'colors']
+    };
+  }
+
+  /**
+   * List a user's brand kits (metadata only)
+   * @param {number} userId - Owner user ID
+   * @returns {Promise<Array>}
+   */
+  async listForUser(userId) {
+    const result = await this.query(
+      `SELECT ${METADATA_COLUMNS} FROM ${this.tableName} WHERE users_id = $1 ORDER BY name ASC`,
+      [userId]
+    );
+    return result.rows.map(row => this.formatOutput(row));
+  }
+
+  /**
+   * Find a brand kit owned by a user (metadata only)
+   * @param {number} id - Brand kit ID
+   * @param {number} userId - Owner user ID
+   * @returns {Promise<Object|null>}
+   */
+  async findForUser(id, userId) {
+    const result = await this.query(
+      `SELECT ${METADATA_COLUMNS} FROM ${this.tableName} WHERE id = $1 AND users_id = $2`,
+      [id, userId]
+    );
+    return result.rows.length > 0 ? this.formatOutput(result.rows[0]) : null;
+  }
+
+  /**
+   * Get a brand kit including its font and logo files
+   * @param {number} id - Brand kit ID
+   * @param {number} userId - Owner user ID
+   * @returns {Promise<Object|null>} Raw row with Buffer file columns
+   */
+  async getAssets(id, userId) {
+    const result = await this.query(
+      `SELECT * FROM ${this.tableName} WHERE id = $1 AND users_id = $2`,
+      [id, userId]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = BrandKit;
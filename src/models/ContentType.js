@@ -17,7 +17,10 @@ class ContentType extends BaseModel {
       'display_order',
       'requires_ai',
       'has_url_field',
-      'is_active'
+      'is_active',
+      'generation_options',
+      'users_id',
+      'output_format'
     ];
 
     // Fields to hide from JSON output
@@ -28,7 +31,9 @@ class ContentType extends BaseModel {
       display_order: 'integer',
       requires_ai: 'boolean',
       has_url_field: 'boolean',
-      is_active: 'boolean'
+      is_active: 'boolean',
+      generation_options: 'json',
+      users_id: 'integer'
     };
 
     // Validation rules
@@ -49,36 +54,70 @@ class ContentType extends BaseModel {
   }
 
   /**
-   * Get all active content types ordered by display order
+   * Check a per-type generation toggle (content_types.generation_options)
+   * @param {string} key - Content type key
+   * @param {string} option - Option name, e.g. 'speaker_notes'
+   * @returns {Promise<boolean>}
+   */
+  async isGenerationOptionEnabled(key, option) {
+    const type = await this.findByKey(key);
+    return Boolean(type && type.generation_options && type.generation_options[option]);
+  }
+
+  /**
+   * Get all active content types ordered by display order: the system types,
+   * plus the user's own content types when a user ID is given
+   * @param {number} [userId] - User whose custom content types to include
+   * @returns {Promise<Array>}
+   */
+  async getActive(userId = null) {
+    const result = await this.query(`
+      SELECT * FROM ${this.tableName}
+      WHERE is_active = true AND (users_id IS NULL OR users_id = $1)
+      ORDER BY display_order ASC, key ASC
+    `, [userId]);
+
+    return result.rows.map(row => this.formatOutput(row));
+  }
+
+  /**
+   * Get a user's active custom content types, oldest first
+   * @param {number} userId - Owner user ID
    * @returns {Promise<Array>}
    */
-  async getActive() {
+  async getActiveForUser(userId) {
     return await this.findAll(
-      { is_active: true },
-      { orderBy: 'display_order ASC, key ASC' }
+      { users_id: userId, is_active: true },
+      { orderBy: 'id ASC' }
     );
   }
 
   /**
-   * Get content types that require AI generation
+   * Get system content types that require AI generation
    * @returns {Promise<Array>}
    */
   async getAiRequired() {
-    return await this.findAll(
-      { is_active: true, requires_ai: true },
-      { orderBy: 'display_order ASC' }
-    );
+    const result = await this.query(`
+      SELECT * FROM ${this.tableName}
+      WHERE is_active = true AND requires_ai = true AND users_id IS NULL
+      ORDER BY display_order ASC
+    `);
+
+    return result.rows.map(row => this.formatOutput(row));
   }
 
   /**
-   * Get content types that support URL fields
+   * Get system content types that support URL fields
    * @returns {Promise<Array>}
    */
   async getWithUrlSupport() {
-    return await this.findAll(
-      { is_active: true, has_url_field: true },
-      { orderBy: 'display_order ASC' }
-    );
+    const result = await this.query(`
+      SELECT * FROM ${this.tableName}
+      WHERE is_active = true AND has_url_field = true AND users_id IS NULL
+      ORDER BY display_order ASC
+    `);
+
+    return result.rows.map(row => this.formatOutput(row));
   }
 
   /**
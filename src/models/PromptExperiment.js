@@ -0,0 +1,72 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * PromptExperiment Model
+ * A/B tests of ai_prompts per content type and provider. Variants live in prompt_variants.
+ */
+class PromptExperiment extends BaseModel {
+  constructor() {
+    super('prompt_experiments', 'id');
+
+    this.fillable = [
+      'content_type_id', 'ai_provider', 'name', 'description', 'status',
+      'created_by_user_id', 'started_at', 'ended_at'
+    ];
+
+    this.casts = {
+      'content_type_id': 'integer',
+      'created_by_user_id': 'integer',
+      'variant_count': 'integer',
+      'started_at': 'date',
+      'ended_at': 'date',
+      'created_at': 'date',
+      'updated_at': 'date'
+    };
+
+    this.validationRules = {
+      required: ['content_type_id', 'ai_provider', 'name']
+    };
+  }
+
+  /**
+   * List experiments with their content type, newest first
+   * @param {Object} [filters] - { contentTypeId, status }
+   * @returns {Promise<Array>}
+   */
+  async listWithContentType(filters = {}) {
+    const conditions = [];
+    const params = [];
+    if (filters.contentTypeId) {
+      params.push(filters.contentTypeId);
+      conditions.push(`pe.content_type_id = $${params.length}`);
+    }
+    if (filters.status) {
+      params.push(filters.status);
+      conditions.push(`pe.status = $${params.length}`);
+    }
+
+    const result = await this.query(`
+      SELECT pe.*, ct.key AS content_type, ct.label AS content_type_label,
+             (SELECT COUNT(*) FROM prompt_variants pv WHERE pv.prompt_experiment_id = pe.id) AS variant_count
+      FROM ${this.tableName} pe
+      JOIN content_types ct ON ct.id = pe.content_type_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY pe.created_at DESC
+    `, params);
+
+    return result.rows.map(row => this.formatOutput(row));
+  }
+
+  /**
+   * Find the running experiment for a content type and provider
+   * @param {number} contentTypeId - content_types row ID
+   * @param {string} aiProvider - Provider key
+   * @returns {Promise<Object|null>}
+   */
+  async findRunning(contentTypeId, aiProvider) {
+    const rows = await this.findAll({ content_type_id: contentTypeId, ai_provider: aiProvider, status: 'running' });
+    return rows[0] || null;
+  }
+}
+
+module.exports = PromptExperiment;
@@ -0,0 +1,45 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * PromptVariant Model
+ * One arm of a prompt experiment. The control runs the live ai_prompts row; other
+ * variants override its prompt text and, optionally, the generation settings.
+ */
+class PromptVariant extends BaseModel {
+  constructor() {
+    super('prompt_variants', 'id');
+
+    this.fillable = [
+      'prompt_experiment_id', 'label', 'is_control', 'ai_prompts_id', 'prompt_text',
+      'system_message', 'temperature', 'max_tokens', 'traffic_weight'
+    ];
+
+    this.casts = {
+      'prompt_experiment_id': 'integer',
+      'is_control': 'boolean',
+      'ai_prompts_id': 'integer',
+      'temperature': 'float',
+      'max_tokens': 'integer',
+      'traffic_weight': 'integer',
+      'created_at': 'date'
+    };
+
+    this.validationRules = {
+      required: ['prompt_experiment_id', 'label']
+    };
+  }
+
+  /**
+   * List an experiment's variants, control first
+   * @param {number} experimentId - prompt_experiments row ID
+   * @returns {Promise<Array>}
+   */
+  async listForExperiment(experimentId) {
+    return await this.findAll(
+      { prompt_experiment_id: experimentId },
+      { orderBy: 'is_control DESC, id ASC' }
+    );
+  }
+}
+
+module.exports = PromptVariant;
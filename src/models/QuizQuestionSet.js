@@ -0,0 +1,64 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * QuizQuestionSet Model
+ * quiz_text content parsed into structured questions, cached per content row
+ * and keyed by a hash of the text that was parsed.
+ */
+class QuizQuestionSet extends BaseModel {
+  constructor() {
+    super('quiz_question_sets', 'id');
+
+    this.fillable = [
+      'video_content_id', 'source_hash', 'questions', 'parse_errors'
+    ];
+
+    this.casts = {
+      'video_content_id': 'integer',
+      'questions': 'json',
+      'parse_errors': 'json',
+      'created_at': 'date',
+      'updated_at': 'date'
+    };
+
+    this.validationRules = {
+      required: ['video_content_id', 'source_hash']
+    };
+  }
+
+  /**
+   * Get the parsed question set for a quiz content row
+   * @param {number} videoContentId - video_content row ID
+   * @returns {Promise<Object|null>}
+   */
+  async findForContent(videoContentId) {
+    const rows = await this.findAll({ video_content_id: videoContentId });
+    return rows[0] || null;
+  }
+
+  /**
+   * Store (or replace) the parsed question set for a quiz content row
+   * @param {number} videoContentId - video_content row ID
+   * @param {string} sourceHash - SHA-256 of the parsed content_text
+   * @param {Array} questions - Parsed questions
+   * @param {Array} parseErrors - Per-question parse errors
+   * @returns {Promise<Object>}
+   */
+  async saveForContent(videoContentId, sourceHash, questions, parseErrors) {
+    // Arrays are stringified explicitly: pg would otherwise send them as Postgres arrays
+    const result = await this.query(`
+      INSERT INTO ${this.tableName} (video_content_id, source_hash, questions, parse_errors)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (video_content_id) DO UPDATE
+      SET source_hash = EXCLUDED.source_hash,
+          questions = EXCLUDED.questions,
+          parse_errors = EXCLUDED.parse_errors,
+          updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [videoContentId, sourceHash, JSON.stringify(questions), JSON.stringify(parseErrors)]);
+
+    return this.formatOutput(result.rows[0]);
+  }
+}
+
+module.exports = QuizQuestionSet;
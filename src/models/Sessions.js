@@ -15,7 +15,7 @@ class Sessions extends BaseModel {
       'users_id', 'session_id', 'session_data', 'ip_address', 'user_agent',
       'is_active', 'expires_at', 'device_info', 'location_data', 'device_type',
       'login_method', 'status', 'user_email', 'browser', 'os', 'last_activity_at',
-      'location', 'timezone', 'duration', 'ended_at', 'last_accessed'
+      'location', 'timezone', 'duration', 'ended_at', 'last_accessed', 'mfa_verified'
     ];
 
     this.hidden = [
@@ -24,6 +24,7 @@ class Sessions extends BaseModel {
 
     this.casts = {
       'is_active': 'boolean',
+      'mfa_verified': 'boolean',
       'session_data': 'json',
       'device_info': 'json',
       'location_data': 'json',
@@ -332,6 +333,56 @@ class Sessions extends BaseModel {
     }
   }
 
+  /**
+   * Active sessions of a user for the Security page, most recently used first.
+   * Selected directly because ip_address is hidden from formatted output.
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Session rows
+   */
+  async listActiveForUser(userId) {
+    try {
+      const query = `
+        SELECT id, session_id, login_method, ip_address, device_type, browser, os,
+               location, timezone, mfa_verified, created_at, last_activity_at
+        FROM ${this.tableName}
+        WHERE users_id = $1 AND is_active = true AND status = 'active'
+        ORDER BY last_activity_at DESC NULLS LAST, created_at DESC
+      `;
+
+      const result = await database.query(query, [userId]);
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error listing active sessions for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * How many sessions a user has had in total, and how many from the same browser, OS and device type
+   * @param {number} userId - User ID
+   * @param {object} device - { browser, os, device_type }
+   * @returns {Promise<object>} { total, sameDevice }
+   */
+  async getDeviceHistory(userId, device) {
+    try {
+      const query = `
+        SELECT COUNT(*) AS total,
+               COUNT(*) FILTER (WHERE browser = $2 AND os = $3 AND device_type = $4) AS same_device
+        FROM ${this.tableName}
+        WHERE users_id = $1
+      `;
+
+      const result = await database.query(query, [userId, device.browser, device.os, device.device_type]);
+      return {
+        total: parseInt(result.rows[0].total),
+        sameDevice: parseInt(result.rows[0].same_device)
+      };
+    } catch (error) {
+      logger.error(`Error getting device history for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Find sessions by IP address (for security analysis)
    * @param {string} ipAddress - IP address
@@ -0,0 +1,91 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * ShareLink Model
+ * Tokenized public links to a video's study guide, discussion guide and quiz.
+ * password_hash is never returned; use findByToken() when checking a password.
+ */
+class ShareLink extends BaseModel {
+  constructor() {
+    super('content_share_links', 'id');
+
+    this.fillable = [
+      'token', 'users_id', 'video_id', 'content_types', 'password_hash',
+      'expires_at', 'revoked_at'
+    ];
+
+    this.hidden = ['password_hash'];
+
+    this.casts = {
+      'users_id': 'integer',
+      'video_id': 'integer',
+      'view_count': 'integer',
+      'expires_at': 'date',
+      'revoked_at': 'date',
+      'last_viewed_at': 'date',
+      'created_at': 'date',
+      'updated_at': 'date'
+    };
+
+    this.validationRules = {
+      required: ['token', 'users_id', 'video_id', 'content_types']
+    };
+  }
+
+  /**
+   * Find a link by its public token, including password_hash
+   * @param {string} token - Share token from the URL
+   * @returns {Promise<Object|null>} Raw row
+   */
+  async findByToken(token) {
+    const result = await this.query(
+      `SELECT * FROM ${this.tableName} WHERE token = $1`,
+      [token]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find a link owned by a user
+   * @param {number} id - Share link ID
+   * @param {number} userId - Owner user ID
+   * @returns {Promise<Object|null>}
+   */
+  async findForUser(id, userId) {
+    const result = await this.query(
+      `SELECT *, password_hash IS NOT NULL AS has_password FROM ${this.tableName} WHERE id = $1 AND users_id = $2`,
+      [id, userId]
+    );
+    return result.rows.length > 0 ? this.formatOutput(result.rows[0]) : null;
+  }
+
+  /**
+   * List a user's links for one video, newest first
+   * @param {number} userId - Owner user ID
+   * @param {number} videoId - Video record ID
+   * @returns {Promise<Array>}
+   */
+  async listForVideo(userId, videoId) {
+    const result = await this.query(
+      `SELECT *, password_hash IS NOT NULL AS has_password FROM ${this.tableName}
+       WHERE users_id = $1 AND video_id = $2
+       ORDER BY created_at DESC`,
+      [userId, videoId]
+    );
+    return result.rows.map(row => this.formatOutput(row));
+  }
+
+  /**
+   * Count a page view
+   * @param {number} id - Share link ID
+   * @returns {Promise<void>}
+   */
+  async recordView(id) {
+    await this.query(
+      `UPDATE ${this.tableName} SET view_count = view_count + 1, last_viewed_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [id]
+    );
+  }
+}
+
+module.exports = ShareLink;
@@ -0,0 +1,58 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * ShareQuizAttempt Model
+ * Quizzes submitted on public share pages, scored server-side.
+ */
+class ShareQuizAttempt extends BaseModel {
+  constructor() {
+    super('share_quiz_attempts', 'id');
+
+    this.fillable = [
+      'share_link_id', 'participant_name', 'results', 'score', 'total'
+    ];
+
+    this.casts = {
+      'share_link_id': 'integer',
+      'results': 'json',
+      'score': 'integer',
+      'total': 'integer',
+      'created_at': 'date'
+    };
+
+    this.validationRules = {
+      required: ['share_link_id', 'results', 'score', 'total']
+    };
+  }
+
+  /**
+   * Store a scored attempt
+   * @param {number} shareLinkId - Share link ID
+   * @param {string|null} participantName - Optional name entered by the viewer
+   * @param {Array} results - [{ number, question, response, correct }]
+   * @param {number} score - Correct answers
+   * @param {number} total - Questions answered against
+   * @returns {Promise<Object>}
+   */
+  async record(shareLinkId, participantName, results, score, total) {
+    // results is stringified explicitly: pg would otherwise send it as a Postgres array
+    const result = await this.query(`
+      INSERT INTO ${this.tableName} (share_link_id, participant_name, results, score, total)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [shareLinkId, participantName, JSON.stringify(results), score, total]);
+
+    return this.formatOutput(result.rows[0]);
+  }
+
+  /**
+   * List a link's attempts, newest first
+   * @param {number} shareLinkId - Share link ID
+   * @returns {Promise<Array>}
+   */
+  async listForLink(shareLinkId) {
+    return this.findAll({ share_link_id: shareLinkId }, { orderBy: 'created_at DESC' });
+  }
+}
+
+module.exports = ShareQuizAttempt;
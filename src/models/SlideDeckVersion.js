@@ -0,0 +1,58 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * SlideDeckVersion Model
+ * Saved versions of an edited slide deck (slide_deck_text content).
+ * video_content.content_text holds the current deck; these rows are the revert history.
+ */
+class SlideDeckVersion extends BaseModel {
+  constructor() {
+    super('slide_deck_versions', 'id');
+
+    this.fillable = [
+      'video_content_id', 'version_number', 'deck', 'change_summary', 'created_by_user_id'
+    ];
+
+    this.casts = {
+      'video_content_id': 'integer',
+      'version_number': 'integer',
+      'deck': 'json',
+      'created_by_user_id': 'integer',
+      'created_at': 'date'
+    };
+
+    this.validationRules = {
+      required: ['video_content_id', 'version_number', 'deck']
+    };
+  }
+
+  /**
+   * List versions for a deck, newest first, without the deck bodies
+   * @param {number} videoContentId - video_content row ID
+   * @returns {Promise<Array>} [{ version_number, change_summary, slide_count, created_at, ... }]
+   */
+  async listForContent(videoContentId) {
+    const result = await this.query(`
+      SELECT id, video_content_id, version_number, change_summary, created_by_user_id, created_at,
+             jsonb_array_length(COALESCE(deck->'slides', '[]'::jsonb)) AS slide_count
+      FROM ${this.tableName}
+      WHERE video_content_id = $1
+      ORDER BY version_number DESC
+    `, [videoContentId]);
+
+    return result.rows.map(row => this.formatOutput(row));
+  }
+
+  /**
+   * Get a single version of a deck
+   * @param {number} videoContentId - video_content row ID
+   * @param {number} versionNumber - Version number
+   * @returns {Promise<Object|null>}
+   */
+  async findVersion(videoContentId, versionNumber) {
+    const rows = await this.findAll({ video_content_id: videoContentId, version_number: versionNumber });
+    return rows[0] || null;
+  }
+}
+
+module.exports = SlideDeckVersion;
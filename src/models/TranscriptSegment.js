@@ -0,0 +1,241 @@
+const BaseModel = require('./BaseModel');
+const database = require('../services/database.service');
+const { logger } = require('../utils');
+
+/**
+ * TranscriptSegment Model
+ * Timed, speaker-labelled transcript segments for a video.
+ * videos.transcript_text is kept as the flat copy; these rows are the structured source.
+ */
+class TranscriptSegment extends BaseModel {
+  constructor() {
+    super('transcript_segments', 'id');
+
+    this.fillable = [
+      'video_id', 'segment_index', 'start_seconds', 'end_seconds',
+      'speaker_label', 'text', 'confidence', 'source', 'is_edited'
+    ];
+
+    this.casts = {
+      'video_id': 'integer',
+      'segment_index': 'integer',
+      'start_seconds': 'float',
+      'end_seconds': 'float',
+      'confidence': 'float',
+      'is_edited': 'boolean',
+      'created_at': 'date',
+      'updated_at': 'date'
+    };
+
+    this.validationRules = {
+      required: ['video_id', 'segment_index', 'text']
+    };
+  }
+
+  /**
+   * Get all segments for a video in order
+   * @param {number} videoId - Video record ID
+   * @returns {Promise<Array>} Segments ordered by segment_index
+   */
+  async getByVideo(videoId) {
+    return this.findAll({ video_id: videoId }, { orderBy: 'segment_index ASC' });
+  }
+
+  /**
+   * Get the timed segments that overlap a time window (e.g. a clip)
+   * @param {number} videoId - Video record ID
+   * @param {number} fromSeconds - Window start
+   * @param {number} toSeconds - Window end
+   * @returns {Promise<Array>} Segments ordered by segment_index
+   */
+  async getInWindow(videoId, fromSeconds, toSeconds) {
+    // Segments without an end time are assumed to run until the next one starts
+    const result = await this.query(`
+      SELECT * FROM ${this.tableName}
+      WHERE video_id = $1
+        AND start_seconds IS NOT NULL
+        AND start_seconds < $3
+        AND COALESCE(end_seconds, start_seconds + 30) > $2
+      ORDER BY segment_index ASC
+    `, [videoId, fromSeconds, toSeconds]);
+
+    return result.rows.map(row => this.formatOutput(row));
+  }
+
+  /**
+   * Check whether a video has stored segments
+   * @param {number} videoId - Video record ID
+   * @returns {Promise<boolean>}
+   */
+  async hasSegments(videoId) {
+    return (await this.count({ video_id: videoId })) > 0;
+  }
+
+  /**
+   * Replace every segment for a video in a single transaction
+   * @param {number} videoId - Video record ID
+   * @param {Array} segments - [{ start, end, speaker, text, confidence }]
+   * @param {string} source - captions | speech_to_text | upload | manual
+   * @returns {Promise<number>} Number of segments stored
+   */
+  async replaceForVideo(videoId, segments, source = 'captions') {
+    try {
+      const rows = (segments || []).filter(segment => segment && segment.text && segment.text.trim());
+
+      await database.transaction(async (client) => {
+        await client.query(`DELETE FROM ${this.tableName} WHERE video_id = $1`, [videoId]);
+
+        for (const [index, segment] of rows.entries()) {
+          await client.query(`
+            INSERT INTO ${this.tableName}
+              (video_id, segment_index, start_seconds, end_seconds, speaker_label, text, confidence, source)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          `, [
+            videoId,
+            index,
+            this.toSeconds(segment.start),
+            this.toSeconds(segment.end),
+            segment.speaker || null,
+            segment.text.trim(),
+            this.toConfidence(segment.confidence),
+            source
+          ]);
+        }
+      });
+
+      logger.debug(`Stored ${rows.length} transcript segments for video ${videoId}`);
+      return rows.length;
+    } catch (error) {
+      logger.error(`Error replacing transcript segments for video ${videoId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a single segment's text, speaker or timing
+   * @param {number} videoId - Video record ID (scopes the update)
+   * @param {number} segmentId - Segment ID
+   * @param {Object} changes - { text, speaker_label, start_seconds, end_seconds }
+   * @returns {Promise<Object|null>} Updated segment or null if not found
+   */
+  async updateSegment(videoId, segmentId, changes) {
+    try {
+      const existing = await this.findById(segmentId);
+      if (!existing || existing.video_id !== parseInt(videoId)) {
+        return null;
+      }
+
+      const updates = {};
+      if (changes.text !== undefined) {
+        if (typeof changes.text !== 'string' || !changes.text.trim()) {
+          throw new Error('Segment text cannot be empty');
+        }
+        updates.text = changes.text.trim();
+      }
+      if (changes.speaker_label !== undefined) {
+        updates.speaker_label = changes.speaker_label ? String(changes.speaker_label).trim() : null;
+      }
+      if (changes.start_seconds !== undefined) {
+        updates.start_seconds = this.toSeconds(changes.start_seconds);
+      }
+      if (changes.end_seconds !== undefined) {
+        updates.end_seconds = this.toSeconds(changes.end_seconds);
+      }
+
+      const start = updates.start_seconds !== undefined ? updates.start_seconds : existing.start_seconds;
+      const end = updates.end_seconds !== undefined ? updates.end_seconds : existing.end_seconds;
+      if (start !== null && end !== null && end < start) {
+        throw new Error('Segment end must not be before its start');
+      }
+
+      return await this.update(segmentId, { ...updates, is_edited: true });
+    } catch (error) {
+      logger.error(`Error updating transcript segment ${segmentId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Shift segment timing, e.g. to correct an intro that was trimmed after captioning
+   * @param {number} videoId - Video record ID
+   * @param {number} offsetSeconds - Seconds to add (negative moves earlier)
+   * @param {Object} options - { fromSeconds } only shift segments starting at or after this time
+   * @returns {Promise<number>} Number of segments shifted
+   */
+  async shiftTiming(videoId, offsetSeconds, options = {}) {
+    try {
+      const params = [videoId, offsetSeconds];
+      let fromClause = '';
+
+      if (options.fromSeconds !== undefined && options.fromSeconds !== null) {
+        params.push(options.fromSeconds);
+        fromClause = ' AND start_seconds >= $3';
+      }
+
+      // Clamp at zero so a negative offset never produces negative timestamps
+      const result = await this.query(`
+        UPDATE ${this.tableName}
+        SET start_seconds = GREATEST(start_seconds + $2, 0),
+            end_seconds = GREATEST(end_seconds + $2, 0),
+            is_edited = TRUE,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE video_id = $1 AND start_seconds IS NOT NULL${fromClause}
+      `, params);
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error(`Error shifting transcript segments for video ${videoId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a speaker across every segment (e.g. "Speaker 1" -> "Jane")
+   * @param {number} videoId - Video record ID
+   * @param {string} fromLabel - Current speaker label
+   * @param {string} toLabel - New speaker label
+   * @returns {Promise<number>} Number of segments updated
+   */
+  async renameSpeaker(videoId, fromLabel, toLabel) {
+    try {
+      const result = await this.query(`
+        UPDATE ${this.tableName}
+        SET speaker_label = $3, is_edited = TRUE, updated_at = CURRENT_TIMESTAMP
+        WHERE video_id = $1 AND speaker_label = $2
+      `, [videoId, fromLabel, toLabel]);
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error(`Error renaming speaker for video ${videoId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Coerce a timing value to seconds (null when absent or invalid)
+   * @param {*} value - Raw value
+   * @returns {number|null}
+   */
+  toSeconds(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    const seconds = Number(value);
+    return Number.isFinite(seconds) && seconds >= 0 ? seconds : null;
+  }
+
+  /**
+   * Coerce a confidence value into 0..1 (null when absent or invalid)
+   * @param {*} value - Raw value
+   * @returns {number|null}
+   */
+  toConfidence(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    const confidence = Number(value);
+    return Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : null;
+  }
+}
+
+module.exports = TranscriptSegment;
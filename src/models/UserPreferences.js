@@ -1,5 +1,7 @@
 const BaseModel = require('./BaseModel');
 const { logger } = require('../utils');
+const { URL } = require('url');
+const { isPrivateHost } = require('../utils/outbound-request');
 
 /**
  * UserPreferences Model
@@ -320,6 +322,64 @@ class UserPreferences extends BaseModel {
     }
   }
 
+  /**
+   * Get brand preferences used when rendering clips (stored in preferences_data.brand)
+   * @param {number} userId - User ID
+   * @returns {Promise<object>} Brand preferences
+   */
+  async getBrandPreferences(userId) {
+    try {
+      const preferences = await this.getByUserId(userId);
+      const brand = (preferences && preferences.preferences_data && preferences.preferences_data.brand) || {};
+
+      return {
+        primaryColor: brand.primaryColor || null,
+        secondaryColor: brand.secondaryColor || null,
+        fontFamily: brand.fontFamily || null,
+        logoUrl: brand.logoUrl || null
+      };
+    } catch (error) {
+      logger.error(`Error getting brand preferences for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update brand preferences
+   * @param {number} userId - User ID
+   * @param {object} brandPrefs - { primaryColor, secondaryColor, fontFamily, logoUrl }
+   * @returns {Promise<object>} Updated preferences
+   */
+  async updateBrandPreferences(userId, brandPrefs) {
+    try {
+      const allowedFields = ['primaryColor', 'secondaryColor', 'fontFamily', 'logoUrl'];
+
+      ['primaryColor', 'secondaryColor'].forEach(field => {
+        if (brandPrefs[field] && !/^#[0-9a-f]{6}$/i.test(brandPrefs[field])) {
+          throw new Error(`Invalid ${field}. Must be a hex color like #1A73E8`);
+        }
+      });
+
+      if (brandPrefs.logoUrl && !/^https:\/\//i.test(brandPrefs.logoUrl)) {
+        throw new Error('Invalid logoUrl. Must be an https URL');
+      }
+      if (brandPrefs.logoUrl && isPrivateHost(new URL(brandPrefs.logoUrl).hostname)) {
+        throw new Error('Invalid logoUrl. Must point to a public host');
+      }
+
+      const current = await this.getBrandPreferences(userId);
+      const brand = allowedFields.reduce((obj, key) => {
+        obj[key] = brandPrefs[key] !== undefined ? (brandPrefs[key] || null) : current[key];
+        return obj;
+      }, {});
+
+      return await this.updateCustomData(userId, { brand });
+    } catch (error) {
+      logger.error(`Error updating brand preferences for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Store custom preference data in JSONB field
    * @param {number} userId - User ID
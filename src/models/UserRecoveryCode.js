@@ -0,0 +1,86 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * UserRecoveryCode Model
+ * Single-use two-factor recovery codes, stored as SHA-256 hashes
+ */
+class UserRecoveryCode extends BaseModel {
+  constructor() {
+    super('user_recovery_codes', 'id');
+
+    this.fillable = ['users_id', 'code_hash', 'used_at'];
+
+    this.hidden = ['code_hash'];
+
+    this.casts = {
+      'users_id': 'integer',
+      'used_at': 'date',
+      'created_at': 'date',
+      'updated_at': 'date'
+    };
+
+    this.validationRules = {
+      required: ['users_id', 'code_hash']
+    };
+  }
+
+  /**
+   * Replace all of a user's codes
+   * @param {number} userId - User ID
+   * @param {Array<string>} codeHashes - Hashes of the new codes
+   * @returns {Promise<void>}
+   */
+  async replaceForUser(userId, codeHashes) {
+    await this.deleteByUserId(userId);
+    if (codeHashes.length === 0) {
+      return;
+    }
+
+    const placeholders = codeHashes.map((_, index) => `($1, $${index + 2})`).join(', ');
+    await this.query(
+      `INSERT INTO ${this.tableName} (users_id, code_hash) VALUES ${placeholders}`,
+      [userId, ...codeHashes]
+    );
+  }
+
+  /**
+   * Use up an unused code
+   * @param {number} userId - User ID
+   * @param {string} codeHash - Hash of the submitted code
+   * @returns {Promise<boolean>} Whether an unused code matched
+   */
+  async consume(userId, codeHash) {
+    const result = await this.query(
+      `UPDATE ${this.tableName}
+       SET used_at = NOW(), updated_at = NOW()
+       WHERE users_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, codeHash]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Number of unused codes
+   * @param {number} userId - User ID
+   * @returns {Promise<number>}
+   */
+  async countRemaining(userId) {
+    const result = await this.query(
+      `SELECT COUNT(*) AS count FROM ${this.tableName} WHERE users_id = $1 AND used_at IS NULL`,
+      [userId]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Remove all of a user's codes
+   * @param {number} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteByUserId(userId) {
+    await this.query(`DELETE FROM ${this.tableName} WHERE users_id = $1`, [userId]);
+  }
+}
+
+module.exports = UserRecoveryCode;
@@ -0,0 +1,68 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * UserTrustedDevice Model
+ * Devices remembered after a two-factor sign-in; the cookie holds the token, the table its SHA-256 hash
+ */
+class UserTrustedDevice extends BaseModel {
+  constructor() {
+    super('user_trusted_devices', 'id');
+
+    this.fillable = ['users_id', 'token_hash', 'user_agent', 'last_used_at', 'expires_at'];
+
+    this.hidden = ['token_hash'];
+
+    this.casts = {
+      'users_id': 'integer',
+      'last_used_at': 'date',
+      'expires_at': 'date',
+      'created_at': 'date',
+      'updated_at': 'date'
+    };
+
+    this.validationRules = {
+      required: ['users_id', 'token_hash', 'expires_at']
+    };
+  }
+
+  /**
+   * Find an unexpired device of a user by token hash and record its use
+   * @param {number} userId - User ID
+   * @param {string} tokenHash - Hash of the cookie token
+   * @returns {Promise<Object|null>}
+   */
+  async touchValid(userId, tokenHash) {
+    const result = await this.query(
+      `UPDATE ${this.tableName}
+       SET last_used_at = NOW(), updated_at = NOW()
+       WHERE users_id = $1 AND token_hash = $2 AND expires_at > NOW()
+       RETURNING *`,
+      [userId, tokenHash]
+    );
+    return result.rows.length > 0 ? this.formatOutput(result.rows[0]) : null;
+  }
+
+  /**
+   * Number of unexpired devices
+   * @param {number} userId - User ID
+   * @returns {Promise<number>}
+   */
+  async countActive(userId) {
+    const result = await this.query(
+      `SELECT COUNT(*) AS count FROM ${this.tableName} WHERE users_id = $1 AND expires_at > NOW()`,
+      [userId]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Forget all of a user's devices
+   * @param {number} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteByUserId(userId) {
+    await this.query(`DELETE FROM ${this.tableName} WHERE users_id = $1`, [userId]);
+  }
+}
+
+module.exports = UserTrustedDevice;
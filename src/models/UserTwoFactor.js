@@ -0,0 +1,100 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * UserTwoFactor Model
+ * A user's TOTP secret (encrypted). enabled_at is NULL until enrollment is confirmed with a code.
+ * The secret columns are never returned; use findByUserId(..., { withSecret: true }) to verify codes.
+ */
+class UserTwoFactor extends BaseModel {
+  constructor() {
+    super('user_two_factor', 'id');
+
+    this.fillable = [
+      'users_id', 'secret_encrypted', 'encryption_iv', 'enabled_at', 'last_used_step'
+    ];
+
+    this.hidden = ['secret_encrypted', 'encryption_iv'];
+
+    this.casts = {
+      'users_id': 'integer',
+      'enabled_at': 'date',
+      'created_at': 'date',
+      'updated_at': 'date'
+    };
+
+    this.validationRules = {
+      required: ['users_id', 'secret_encrypted', 'encryption_iv']
+    };
+  }
+
+  /**
+   * A user's two-factor record
+   * @param {number} userId - User ID
+   * @param {Object} options - { withSecret } includes the encrypted secret
+   * @returns {Promise<Object|null>}
+   */
+  async findByUserId(userId, options = {}) {
+    const result = await this.query(
+      `SELECT * FROM ${this.tableName} WHERE users_id = $1`,
+      [userId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+    return options.withSecret ? this.castData(result.rows[0]) : this.formatOutput(result.rows[0]);
+  }
+
+  /**
+   * Record a time step as used, unless it (or a later one) already was
+   * @param {number} id - Record ID
+   * @param {number} step - TOTP time step
+   * @returns {Promise<boolean>} False when the code was already used (replay)
+   */
+  async markStepUsed(id, step) {
+    const result = await this.query(
+      `UPDATE ${this.tableName}
+       SET last_used_step = $2, updated_at = NOW()
+       WHERE id = $1 AND (last_used_step IS NULL OR last_used_step < $2)
+       RETURNING id`,
+      [id, step]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Users matching an email or name, with their 2FA state (admin support)
+   * @param {string} term - Search text
+   * @param {number} limit - Maximum rows
+   * @returns {Promise<Array>} { id, email, first_name, last_name, two_factor_enabled_at, recovery_codes_remaining, trusted_devices }
+   */
+  async searchUsers(term, limit = 20) {
+    const result = await this.query(
+      `SELECT u.id, u.email, u.first_name, u.last_name,
+              t.enabled_at AS two_factor_enabled_at,
+              (SELECT COUNT(*) FROM user_recovery_codes r WHERE r.users_id = u.id AND r.used_at IS NULL) AS recovery_codes_remaining,
+              (SELECT COUNT(*) FROM user_trusted_devices d WHERE d.users_id = u.id AND d.expires_at > NOW()) AS trusted_devices
+       FROM users u
+       LEFT JOIN ${this.tableName} t ON t.users_id = u.id
+       WHERE u.email ILIKE $1 OR u.first_name ILIKE $1 OR u.last_name ILIKE $1
+       ORDER BY u.email
+       LIMIT $2`,
+      [`%${term}%`, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Remove a user's two-factor record
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} Whether a record existed
+   */
+  async deleteByUserId(userId) {
+    const result = await this.query(
+      `DELETE FROM ${this.tableName} WHERE users_id = $1 RETURNING id`,
+      [userId]
+    );
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = UserTwoFactor;
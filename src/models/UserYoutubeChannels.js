@@ -14,13 +14,14 @@ class UserYoutubeChannels extends BaseModel {
     this.fillable = [
       'users_id', 'channel_id', 'channel_name', 'channel_handle', 'subscriber_count',
       'is_active', 'channel_data', 'last_sync', 'channel_description',
-      'channel_thumbnail', 'is_primary', 'video_count', 'last_synced'
+      'channel_thumbnail', 'is_primary', 'video_count', 'last_synced', 'workspace_id'
     ];
 
     this.hidden = [];
 
     this.casts = {
       'users_id': 'integer',
+      'workspace_id': 'integer',
       'subscriber_count': 'integer',
       'video_count': 'integer',
       'is_active': 'boolean',
@@ -130,6 +131,42 @@ class UserYoutubeChannels extends BaseModel {
     }
   }
 
+  /**
+   * Active channels connected to a workspace
+   * @param {number} workspaceId - Workspace ID
+   * @returns {Promise<Array>} Array of channels
+   */
+  async getWorkspaceChannels(workspaceId) {
+    try {
+      return await this.findAll(
+        { workspace_id: workspaceId, is_active: true },
+        { orderBy: 'channel_name ASC' }
+      );
+    } catch (error) {
+      logger.error(`Error getting YouTube channels for workspace ${workspaceId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Connect a channel to a workspace, or disconnect it with null
+   * @param {number} channelId - Channel record ID
+   * @param {number|null} workspaceId - Workspace ID
+   * @returns {Promise<object>} Updated channel record
+   */
+  async setWorkspace(channelId, workspaceId) {
+    try {
+      const result = await database.query(
+        `UPDATE ${this.tableName} SET workspace_id = $2, updated_at = NOW() WHERE id = $1 RETURNING *`,
+        [channelId, workspaceId]
+      );
+      return result.rows.length > 0 ? this.formatOutput(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Error setting workspace of YouTube channel ${channelId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get user's primary YouTube channel
    * @param {number} userId - User ID
@@ -2,6 +2,13 @@ const BaseModel = require('./BaseModel');
 const database = require('../services/database.service');
 const { logger } = require('../utils');
 
+// Workspace roles that may read or change a video shared into their workspace.
+// Lookups without an access level only match the user's own videos.
+const WORKSPACE_ACCESS_ROLES = {
+  view: ['owner', 'editor', 'viewer'],
+  edit: ['owner', 'editor']
+};
+
 /**
  * Video Model - Handles all video-related database operations
  * Extends BaseModel to inherit standard CRUD operations
@@ -50,6 +57,7 @@ class Video extends BaseModel {
         category,
         sort,
         source,
+        workspaceId,
         includeContent = false
       } = options;
 
@@ -60,10 +68,11 @@ class Video extends BaseModel {
 
       const actualUserId = parseInt(userId);
 
-      // Build conditions for BaseModel
-      const conditions = {
-        users_id: actualUserId
-      };
+      // Build conditions for BaseModel - a workspace library replaces the personal one
+      // (callers check membership before passing workspaceId)
+      const conditions = workspaceId
+        ? { workspace_id: parseInt(workspaceId) }
+        : { users_id: actualUserId };
 
       // Add optional filters
       if (status && this.allowedStatuses.includes(status)) {
@@ -95,8 +104,8 @@ class Video extends BaseModel {
         const database = require('../services/database.service');
 
         // Build the query with content joins
-        let whereClause = `v.users_id = $1`;
-        let params = [actualUserId];
+        let whereClause = workspaceId ? `v.workspace_id = $1` : `v.users_id = $1`;
+        let params = [workspaceId ? parseInt(workspaceId) : actualUserId];
         let paramIndex = 2;
 
         if (status && this.allowedStatuses.includes(status)) {
@@ -120,7 +129,9 @@ class Video extends BaseModel {
         if (source === 'youtube_oauth') {
           whereClause += ` AND v.imported_via_youtube_oauth = true`;
         } else if (source === 'url') {
-          whereClause += ` AND (v.imported_via_youtube_oauth IS NULL OR v.imported_via_youtube_oauth = false)`;
+          whereClause += ` AND (v.imported_via_youtube_oauth IS NULL OR v.imported_via_youtube_oauth = false) AND COALESCE(v.source_type, 'youtube') <> 'upload'`;
+        } else if (source === 'upload') {
+          whereClause += ` AND v.source_type = 'upload'`;
         }
 
         // Determine sort order
@@ -140,8 +151,8 @@ class Video extends BaseModel {
         const videosQuery = `
           SELECT v.id, v.videoid, v.video_title, v.channel_name, v.channel_handle,
                  v.description, v.duration, v.upload_date, v.thumbnail, v.youtube_url,
-                 v.status, v.category, v.privacy_setting, v.imported_via_youtube_oauth,
-                 v.created_at, v.updated_at, v.users_id, v.transcript_text,
+                 v.status, v.category, v.privacy_setting, v.imported_via_youtube_oauth, v.source_type,
+                 v.created_at, v.updated_at, v.users_id, v.workspace_id, v.transcript_text,
             COALESCE(
               json_object_agg(
                 ct.key,
@@ -267,17 +278,34 @@ class Video extends BaseModel {
     }
   }
 
+  /**
+   * SQL condition matching the videos a user may access: their own, plus those shared into
+   * a workspace where their role grants the access level
+   * @param {string} access - 'view' or 'edit'
+   * @param {number} userParam - Placeholder index holding the user ID
+   * @param {string} alias - Table alias prefix, e.g. 'v.'
+   * @returns {string}
+   */
+  accessCondition(access, userParam, alias = '') {
+    const roles = WORKSPACE_ACCESS_ROLES[access].map(role => `'${role}'`).join(', ');
+    return `(${alias}users_id = $${userParam} OR ${alias}workspace_id IN (
+      SELECT workspace_id FROM workspace_members WHERE users_id = $${userParam} AND role IN (${roles})
+    ))`;
+  }
+
   /**
    * Get video with user ownership validation
+   * @param {Object} options - { access: 'view'|'edit' } also matches videos shared into the user's workspaces
    */
-  async getVideoByIdAndUser(videoId, userId) {
+  async getVideoByIdAndUser(videoId, userId, options = {}) {
     try {
       if (!videoId || !userId) {
         throw new Error('Video ID and User ID are required');
       }
 
       const actualUserId = parseInt(userId);
-      const query = `SELECT * FROM ${this.tableName} WHERE id = $1 AND users_id = $2`;
+      const ownership = options.access ? this.accessCondition(options.access, 2) : 'users_id = $2';
+      const query = `SELECT * FROM ${this.tableName} WHERE id = $1 AND ${ownership}`;
       const result = await database.query(query, [videoId, actualUserId]);
 
       if (result.rows.length === 0) {
@@ -423,6 +451,19 @@ class Video extends BaseModel {
     }
   }
 
+  /**
+   * Share a video into a workspace, or back to its owner's personal library with null
+   * @param {number} id - Video ID
+   * @param {number|null} workspaceId - Workspace ID
+   */
+  async setWorkspace(id, workspaceId) {
+    const result = await database.query(
+      `UPDATE ${this.tableName} SET workspace_id = $2, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [id, workspaceId]
+    );
+    return result.rows.length > 0 ? this.formatOutput(result.rows[0]) : null;
+  }
+
   /**
    * Get videos by status
    */
@@ -483,6 +524,7 @@ class Video extends BaseModel {
       title: formatted.video_title,
       channelName: formatted.channel_name,
       youtubeUrl: formatted.youtube_url,
+      sourceType: formatted.source_type || 'youtube',
       thumbnailUrl: formatted.thumbnail,
       uploadDate: formatted.upload_date,
       createdAt: formatted.created_at,
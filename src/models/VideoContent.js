@@ -14,8 +14,10 @@ class VideoContent extends BaseModel {
       'content_type_id',
       'content_text',
       'content_url',
+      'language',
       'ai_provider',
       'prompt_used_id',
+      'prompt_variant_id',
       'generation_status',
       'generation_started_at',
       'generation_completed_at',
@@ -36,6 +38,7 @@ class VideoContent extends BaseModel {
       video_id: 'integer',
       content_type_id: 'integer',
       prompt_used_id: 'integer',
+      prompt_variant_id: 'integer',
       generation_duration_seconds: 'integer',
       content_quality_score: 'float',
       user_rating: 'integer',
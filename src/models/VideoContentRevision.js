@@ -0,0 +1,139 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * VideoContentRevision Model
+ * Snapshots of video_content.content_text, one per save.
+ * video_content.content_text holds the current text; these rows are the history.
+ */
+class VideoContentRevision extends BaseModel {
+  constructor() {
+    super('video_content_revisions', 'id');
+
+    this.fillable = [
+      'video_content_id', 'revision_number', 'content_text', 'source', 'ai_provider',
+      'prompt_used_id', 'restored_from_revision', 'created_by_user_id'
+    ];
+
+    this.casts = {
+      'video_content_id': 'integer',
+      'revision_number': 'integer',
+      'prompt_used_id': 'integer',
+      'restored_from_revision': 'integer',
+      'created_by_user_id': 'integer',
+      'created_at': 'date'
+    };
+
+    this.validationRules = {
+      required: ['video_content_id', 'source']
+    };
+  }
+
+  /**
+   * Append a revision, numbering it after the content row's latest one
+   * @param {Object} data - { video_content_id, content_text, source, ai_provider, prompt_used_id, restored_from_revision, created_by_user_id }
+   * @param {Object} [client] - Transaction client (defaults to the pool)
+   * @returns {Promise<Object>}
+   */
+  async record(data, client = null) {
+    this.validate(data);
+
+    const sql = `
+      INSERT INTO ${this.tableName} (
+        video_content_id, revision_number, content_text, source, ai_provider,
+        prompt_used_id, restored_from_revision, created_by_user_id
+      )
+      SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3, $4, $5, $6, $7
+      FROM ${this.tableName}
+      WHERE video_content_id = $1
+      RETURNING *
+    `;
+    const params = [
+      data.video_content_id,
+      data.content_text ?? null,
+      data.source,
+      data.ai_provider || null,
+      data.prompt_used_id || null,
+      data.restored_from_revision || null,
+      data.created_by_user_id || null
+    ];
+
+    const result = client ? await client.query(sql, params) : await this.query(sql, params);
+    return this.formatOutput(result.rows[0]);
+  }
+
+  /**
+   * Snapshot a content row's current text as revision 1 if it has no revisions yet
+   * (content generated before revisions were tracked)
+   * @param {number} videoContentId - video_content row ID
+   * @param {Object} [client] - Transaction client (defaults to the pool)
+   * @returns {Promise<boolean>} Whether a baseline was written
+   */
+  async ensureBaseline(videoContentId, client = null) {
+    const sql = `
+      INSERT INTO ${this.tableName} (
+        video_content_id, revision_number, content_text, source, ai_provider, prompt_used_id, created_by_user_id, created_at
+      )
+      SELECT vc.id, 1, vc.content_text,
+             CASE WHEN vc.ai_provider IS NOT NULL THEN 'ai_generation' ELSE 'manual_edit' END,
+             vc.ai_provider, vc.prompt_used_id, vc.created_by_user_id,
+             COALESCE(vc.updated_at, vc.created_at, CURRENT_TIMESTAMP)
+      FROM video_content vc
+      WHERE vc.id = $1
+        AND vc.content_text IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM ${this.tableName} WHERE video_content_id = $1)
+    `;
+
+    const result = client ? await client.query(sql, [videoContentId]) : await this.query(sql, [videoContentId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * List revisions for a content row, newest first, without their text
+   * @param {number} videoContentId - video_content row ID
+   * @returns {Promise<Array>} [{ revision_number, source, character_count, ... }]
+   */
+  async listForContent(videoContentId) {
+    const result = await this.query(`
+      SELECT r.id, r.video_content_id, r.revision_number, r.source, r.ai_provider, r.prompt_used_id,
+             r.restored_from_revision, r.created_by_user_id, r.created_at,
+             COALESCE(LENGTH(r.content_text), 0) AS character_count,
+             NULLIF(TRIM(CONCAT(u.first_name, ' ', u.last_name)), '') AS created_by_name
+      FROM ${this.tableName} r
+      LEFT JOIN users u ON u.id = r.created_by_user_id
+      WHERE r.video_content_id = $1
+      ORDER BY r.revision_number DESC
+    `, [videoContentId]);
+
+    return result.rows.map(row => this.formatOutput(row));
+  }
+
+  /**
+   * Get a single revision (with text)
+   * @param {number} videoContentId - video_content row ID
+   * @param {number} revisionNumber - Revision number
+   * @returns {Promise<Object|null>}
+   */
+  async findRevision(videoContentId, revisionNumber) {
+    const rows = await this.findAll({ video_content_id: videoContentId, revision_number: revisionNumber });
+    return rows[0] || null;
+  }
+
+  /**
+   * Get the newest revision (without text)
+   * @param {number} videoContentId - video_content row ID
+   * @returns {Promise<Object|null>}
+   */
+  async findLatest(videoContentId) {
+    const result = await this.query(`
+      SELECT id, video_content_id, revision_number, source, ai_provider, created_by_user_id, created_at
+      FROM ${this.tableName}
+      WHERE video_content_id = $1
+      ORDER BY revision_number DESC
+      LIMIT 1
+    `, [videoContentId]);
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = VideoContentRevision;
@@ -0,0 +1,118 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * VideoContentTranslation Model
+ * AI translations of a video_content row, one per language.
+ */
+class VideoContentTranslation extends BaseModel {
+  constructor() {
+    super('video_content_translations', 'id');
+
+    this.fillable = [
+      'video_content_id', 'language', 'content_text', 'ai_provider',
+      'source_revision_number', 'created_by_user_id'
+    ];
+
+    this.casts = {
+      'video_content_id': 'integer',
+      'source_revision_number': 'integer',
+      'created_by_user_id': 'integer',
+      'is_stale': 'boolean',
+      'created_at': 'date',
+      'updated_at': 'date'
+    };
+
+    this.validationRules = {
+      required: ['video_content_id', 'language', 'content_text']
+    };
+  }
+
+  /**
+   * Create or replace the translation of a content row into a language
+   * @param {Object} data - { video_content_id, language, content_text, ai_provider, source_revision_number, created_by_user_id }
+   * @returns {Promise<Object>}
+   */
+  async upsert(data) {
+    this.validate(data);
+
+    const result = await this.query(`
+      INSERT INTO ${this.tableName} (
+        video_content_id, language, content_text, ai_provider, source_revision_number, created_by_user_id
+      )
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (video_content_id, language) DO UPDATE SET
+        content_text = EXCLUDED.content_text,
+        ai_provider = EXCLUDED.ai_provider,
+        source_revision_number = EXCLUDED.source_revision_number,
+        created_by_user_id = EXCLUDED.created_by_user_id,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [
+      data.video_content_id,
+      data.language,
+      data.content_text,
+      data.ai_provider || null,
+      data.source_revision_number || null,
+      data.created_by_user_id || null
+    ]);
+
+    return this.formatOutput(result.rows[0]);
+  }
+
+  /**
+   * List a content row's translations without their text. is_stale is true when
+   * the original has been saved again since the translation was made.
+   * @param {number} videoContentId - video_content row ID
+   * @returns {Promise<Array>}
+   */
+  async listForContent(videoContentId) {
+    const result = await this.query(`
+      SELECT t.id, t.video_content_id, t.language, t.ai_provider, t.source_revision_number,
+             t.created_by_user_id, t.created_at, t.updated_at,
+             COALESCE(LENGTH(t.content_text), 0) AS character_count,
+             COALESCE((
+               SELECT MAX(r.revision_number) FROM video_content_revisions r
+               WHERE r.video_content_id = t.video_content_id
+             ) > t.source_revision_number, false) AS is_stale
+      FROM ${this.tableName} t
+      WHERE t.video_content_id = $1
+      ORDER BY t.language
+    `, [videoContentId]);
+
+    return result.rows.map(row => this.formatOutput(row));
+  }
+
+  /**
+   * Get a content row's translation into a language (with text)
+   * @param {number} videoContentId - video_content row ID
+   * @param {string} language - Language code
+   * @returns {Promise<Object|null>}
+   */
+  async findForContent(videoContentId, language) {
+    const rows = await this.findAll({ video_content_id: videoContentId, language });
+    return rows[0] || null;
+  }
+
+  /**
+   * Get the translation of the content shown for a video and content type (the newest row)
+   * @param {number} videoId - Video record ID
+   * @param {string} contentType - Content type key
+   * @param {string} language - Language code
+   * @returns {Promise<Object|null>}
+   */
+  async findForVideo(videoId, contentType, language) {
+    const result = await this.query(`
+      SELECT t.*
+      FROM ${this.tableName} t
+      JOIN video_content vc ON vc.id = t.video_content_id
+      JOIN content_types ct ON ct.id = vc.content_type_id
+      WHERE vc.video_id = $1 AND ct.key = $2 AND t.language = $3
+      ORDER BY vc.created_at DESC
+      LIMIT 1
+    `, [videoId, contentType, language]);
+
+    return result.rows[0] ? this.formatOutput(result.rows[0]) : null;
+  }
+}
+
+module.exports = VideoContentTranslation;
@@ -0,0 +1,134 @@
+const BaseModel = require('./BaseModel');
+const { logger } = require('../utils');
+
+/**
+ * VideoUpload Model
+ * Tracks resumable, chunked media upload sessions until they become a videos row
+ */
+class VideoUpload extends BaseModel {
+  constructor() {
+    super('video_uploads', 'id');
+
+    this.fillable = [
+      'upload_id', 'users_id', 'video_id', 'filename', 'mime_type',
+      'total_bytes', 'received_bytes', 'storage_path', 'storage_upload_id', 'parts', 'metadata',
+      'status', 'error_message', 'expires_at', 'completed_at'
+    ];
+
+    this.casts = {
+      'users_id': 'integer',
+      'video_id': 'integer',
+      'metadata': 'json',
+      'parts': 'json',
+      'expires_at': 'date',
+      'completed_at': 'date',
+      'created_at': 'date',
+      'updated_at': 'date'
+    };
+
+    this.validationRules = {
+      required: ['upload_id', 'users_id', 'filename', 'mime_type', 'total_bytes', 'storage_path', 'expires_at']
+    };
+
+    this.allowedStatuses = ['uploading', 'completed', 'failed', 'aborted'];
+  }
+
+  /**
+   * Find an upload session owned by a user
+   * @param {string} uploadId - Public upload identifier
+   * @param {number} userId - Owner user ID
+   * @returns {Promise<Object|null>} Upload or null if not found
+   */
+  async findByUploadIdForUser(uploadId, userId) {
+    try {
+      const result = await this.query(
+        `SELECT * FROM ${this.tableName} WHERE upload_id = $1 AND users_id = $2`,
+        [uploadId, parseInt(userId)]
+      );
+
+      return result.rows.length > 0 ? this.formatUpload(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Error finding upload ${uploadId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a stored chunk and advance the offset, only if the upload is still at that offset.
+   * The row lock is held for this statement alone, so concurrent chunks for the same offset
+   * can't both be counted.
+   * @param {number} id - Upload row ID
+   * @param {number} offset - Offset the chunk was written at
+   * @param {number} length - Chunk length in bytes
+   * @param {Object} part - { PartNumber, ETag } of the stored part
+   * @returns {Promise<Object|null>} Updated upload, or null if the offset had moved on
+   */
+  async recordPart(id, offset, length, part) {
+    const result = await this.query(`
+      UPDATE ${this.tableName}
+      SET received_bytes = received_bytes + $3,
+          parts = parts || $4::jsonb,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND received_bytes = $2 AND status = 'uploading'
+      RETURNING *
+    `, [id, offset, length, JSON.stringify([part])]);
+
+    return result.rows.length > 0 ? this.formatUpload(result.rows[0]) : null;
+  }
+
+  /**
+   * Move an upload out of 'uploading' (only once)
+   * @param {number} id - Upload row ID
+   * @param {string} status - completed | failed | aborted
+   * @param {Object} fields - { video_id, error_message }
+   * @returns {Promise<Object|null>} Updated upload, or null if it had already left 'uploading'
+   */
+  async finish(id, status, fields = {}) {
+    if (!this.allowedStatuses.includes(status) || status === 'uploading') {
+      throw new Error(`Invalid upload status: ${status}`);
+    }
+
+    const result = await this.query(`
+      UPDATE ${this.tableName}
+      SET status = $2,
+          video_id = COALESCE($3, video_id),
+          error_message = $4,
+          completed_at = CASE WHEN $2 = 'completed' THEN CURRENT_TIMESTAMP ELSE completed_at END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'uploading'
+      RETURNING *
+    `, [id, status, fields.video_id || null, fields.error_message || null]);
+
+    return result.rows.length > 0 ? this.formatUpload(result.rows[0]) : null;
+  }
+
+  /**
+   * Get upload sessions that were never finished before they expired
+   * @returns {Promise<Array>} Expired uploads
+   */
+  async findExpired() {
+    const result = await this.query(`
+      SELECT * FROM ${this.tableName}
+      WHERE status = 'uploading' AND expires_at < NOW()
+      ORDER BY expires_at ASC
+      LIMIT 100
+    `);
+
+    return result.rows.map(row => this.formatUpload(row));
+  }
+
+  /**
+   * Normalize BIGINT columns (returned as strings by pg) to numbers
+   * @param {Object} row - Raw row
+   * @returns {Object} Upload
+   */
+  formatUpload(row) {
+    return {
+      ...this.formatOutput(row),
+      total_bytes: parseInt(row.total_bytes),
+      received_bytes: parseInt(row.received_bytes)
+    };
+  }
+}
+
+module.exports = VideoUpload;
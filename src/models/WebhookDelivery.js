@@ -0,0 +1,50 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * WebhookDelivery Model
+ * One event sent to one webhook endpoint, with the outcome of its latest attempt
+ */
+class WebhookDelivery extends BaseModel {
+  constructor() {
+    super('webhook_deliveries', 'id');
+
+    this.fillable = [
+      'webhook_endpoint_id', 'users_id', 'event_id', 'event_type', 'payload', 'status',
+      'attempt_count', 'response_status', 'response_body', 'error_message', 'duration_ms',
+      'last_attempt_at', 'next_attempt_at', 'delivered_at'
+    ];
+
+    this.casts = {
+      'webhook_endpoint_id': 'integer',
+      'users_id': 'integer',
+      'payload': 'json',
+      'attempt_count': 'integer',
+      'response_status': 'integer',
+      'duration_ms': 'integer',
+      'last_attempt_at': 'date',
+      'next_attempt_at': 'date',
+      'delivered_at': 'date',
+      'created_at': 'date',
+      'updated_at': 'date'
+    };
+
+    this.validationRules = {
+      required: ['webhook_endpoint_id', 'users_id', 'event_id', 'event_type', 'payload']
+    };
+  }
+
+  /**
+   * An endpoint's most recent deliveries
+   * @param {number} endpointId - Webhook endpoint ID
+   * @param {number} limit - Maximum rows
+   * @returns {Promise<Array>}
+   */
+  async listForEndpoint(endpointId, limit = 50) {
+    return await this.findAll(
+      { webhook_endpoint_id: endpointId },
+      { orderBy: 'created_at DESC, id DESC', limit }
+    );
+  }
+}
+
+module.exports = WebhookDelivery;
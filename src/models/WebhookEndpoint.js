@@ -0,0 +1,74 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * WebhookEndpoint Model
+ * User-configured URLs notified of processing lifecycle events.
+ * secret is never returned; use findForUser(..., { withSecret: true }) to sign or reveal it.
+ */
+class WebhookEndpoint extends BaseModel {
+  constructor() {
+    super('webhook_endpoints', 'id');
+
+    this.fillable = [
+      'users_id', 'url', 'description', 'events', 'secret', 'is_active'
+    ];
+
+    this.hidden = ['secret'];
+
+    this.casts = {
+      'users_id': 'integer',
+      'is_active': 'boolean',
+      'created_at': 'date',
+      'updated_at': 'date'
+    };
+
+    this.validationRules = {
+      required: ['users_id', 'url', 'events', 'secret']
+    };
+  }
+
+  /**
+   * Find an endpoint owned by a user
+   * @param {number} id - Endpoint ID
+   * @param {number} userId - Owner user ID
+   * @param {Object} options - { withSecret } includes the signing secret
+   * @returns {Promise<Object|null>}
+   */
+  async findForUser(id, userId, options = {}) {
+    const result = await this.query(
+      `SELECT * FROM ${this.tableName} WHERE id = $1 AND users_id = $2`,
+      [id, userId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+    return options.withSecret ? this.castData(result.rows[0]) : this.formatOutput(result.rows[0]);
+  }
+
+  /**
+   * List a user's endpoints, oldest first
+   * @param {number} userId - Owner user ID
+   * @returns {Promise<Array>}
+   */
+  async listForUser(userId) {
+    return await this.findAll({ users_id: userId }, { orderBy: 'id ASC' });
+  }
+
+  /**
+   * Active endpoints of a user subscribed to an event type
+   * @param {number} userId - Owner user ID
+   * @param {string} eventType - Event type
+   * @returns {Promise<Array>} Rows without secrets
+   */
+  async findSubscribed(userId, eventType) {
+    const result = await this.query(
+      `SELECT * FROM ${this.tableName}
+       WHERE users_id = $1 AND is_active = TRUE AND $2 = ANY(events)
+       ORDER BY id ASC`,
+      [userId, eventType]
+    );
+    return result.rows.map(row => this.formatOutput(row));
+  }
+}
+
+module.exports = WebhookEndpoint;
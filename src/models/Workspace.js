@@ -0,0 +1,78 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * Workspace Model
+ * A team that shares a video library, character profiles and YouTube channel connections.
+ * Work done in a workspace is billed to owner_users_id's subscription.
+ */
+class Workspace extends BaseModel {
+  constructor() {
+    super('workspaces', 'id');
+
+    this.fillable = ['name', 'owner_users_id'];
+
+    this.casts = {
+      'owner_users_id': 'integer',
+      'created_at': 'date',
+      'updated_at': 'date'
+    };
+
+    this.validationRules = {
+      required: ['name', 'owner_users_id']
+    };
+  }
+
+  /**
+   * Workspaces a user belongs to, with their role and the member count
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async listForUser(userId) {
+    const result = await this.query(
+      `SELECT w.*, m.role,
+              (SELECT COUNT(*) FROM workspace_members c WHERE c.workspace_id = w.id) AS member_count
+       FROM ${this.tableName} w
+       JOIN workspace_members m ON m.workspace_id = w.id AND m.users_id = $1
+       ORDER BY w.name ASC, w.id ASC`,
+      [userId]
+    );
+    return result.rows.map(row => ({
+      ...this.formatOutput(row),
+      member_count: parseInt(row.member_count, 10)
+    }));
+  }
+
+  /**
+   * Number of workspaces a user owns
+   * @param {number} userId - User ID
+   * @returns {Promise<number>}
+   */
+  async countOwnedBy(userId) {
+    return await this.count({ owner_users_id: userId });
+  }
+
+  /**
+   * Email addresses holding a seat across all workspaces of an owner: members (the owner
+   * included) and pending invitations. Someone in several of the owner's workspaces holds one seat.
+   * @param {number} ownerUserId - Owner user ID
+   * @returns {Promise<Array<string>>} Lowercased email addresses
+   */
+  async listSeatEmails(ownerUserId) {
+    const result = await this.query(
+      `SELECT LOWER(u.email) AS email
+       FROM workspace_members m
+       JOIN ${this.tableName} w ON w.id = m.workspace_id
+       JOIN users u ON u.id = m.users_id
+       WHERE w.owner_users_id = $1
+       UNION
+       SELECT LOWER(i.email) AS email
+       FROM workspace_invitations i
+       JOIN ${this.tableName} w ON w.id = i.workspace_id
+       WHERE w.owner_users_id = $1 AND i.accepted_at IS NULL AND i.expires_at > NOW()`,
+      [ownerUserId]
+    );
+    return result.rows.map(row => row.email);
+  }
+}
+
+module.exports = Workspace;
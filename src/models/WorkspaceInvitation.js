@@ -0,0 +1,105 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * WorkspaceInvitation Model
+ * Email invitations to join a workspace. Only the SHA-256 hash of the link token is stored;
+ * an invitation is pending while it is neither accepted nor expired.
+ */
+class WorkspaceInvitation extends BaseModel {
+  constructor() {
+    super('workspace_invitations', 'id');
+
+    this.fillable = [
+      'workspace_id', 'email', 'role', 'token_hash', 'invited_by_users_id', 'expires_at', 'accepted_at'
+    ];
+
+    this.hidden = ['token_hash'];
+
+    this.casts = {
+      'workspace_id': 'integer',
+      'invited_by_users_id': 'integer',
+      'expires_at': 'date',
+      'accepted_at': 'date',
+      'created_at': 'date',
+      'updated_at': 'date'
+    };
+
+    this.validationRules = {
+      required: ['workspace_id', 'email', 'role', 'token_hash', 'expires_at']
+    };
+  }
+
+  /**
+   * Pending invitation for a link token, with the workspace name
+   * @param {string} tokenHash - Hash of the token from the link
+   * @returns {Promise<Object|null>}
+   */
+  async findPendingByTokenHash(tokenHash) {
+    const result = await this.query(
+      `SELECT i.*, w.name AS workspace_name
+       FROM ${this.tableName} i
+       JOIN workspaces w ON w.id = i.workspace_id
+       WHERE i.token_hash = $1 AND i.accepted_at IS NULL AND i.expires_at > NOW()`,
+      [tokenHash]
+    );
+    return result.rows.length > 0 ? this.formatOutput(result.rows[0]) : null;
+  }
+
+  /**
+   * Pending invitation for an email address
+   * @param {number} workspaceId - Workspace ID
+   * @param {string} email - Email address (case-insensitive)
+   * @returns {Promise<Object|null>}
+   */
+  async findPendingByEmail(workspaceId, email) {
+    const result = await this.query(
+      `SELECT * FROM ${this.tableName}
+       WHERE workspace_id = $1 AND LOWER(email) = LOWER($2) AND accepted_at IS NULL AND expires_at > NOW()`,
+      [workspaceId, email]
+    );
+    return result.rows.length > 0 ? this.formatOutput(result.rows[0]) : null;
+  }
+
+  /**
+   * Pending invitations of a workspace, newest first
+   * @param {number} workspaceId - Workspace ID
+   * @returns {Promise<Array>}
+   */
+  async listPending(workspaceId) {
+    const result = await this.query(
+      `SELECT * FROM ${this.tableName}
+       WHERE workspace_id = $1 AND accepted_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC`,
+      [workspaceId]
+    );
+    return result.rows.map(row => this.formatOutput(row));
+  }
+
+  /**
+   * Number of pending invitations (each holds a seat)
+   * @param {number} workspaceId - Workspace ID
+   * @returns {Promise<number>}
+   */
+  async countPending(workspaceId) {
+    const result = await this.query(
+      `SELECT COUNT(*) AS count FROM ${this.tableName}
+       WHERE workspace_id = $1 AND accepted_at IS NULL AND expires_at > NOW()`,
+      [workspaceId]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Mark an invitation accepted
+   * @param {number} id - Invitation ID
+   * @returns {Promise<void>}
+   */
+  async markAccepted(id) {
+    await this.query(
+      `UPDATE ${this.tableName} SET accepted_at = NOW(), updated_at = NOW() WHERE id = $1`,
+      [id]
+    );
+  }
+}
+
+module.exports = WorkspaceInvitation;
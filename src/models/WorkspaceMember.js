@@ -0,0 +1,107 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * WorkspaceMember Model
+ * A user's role in a workspace: 'owner', 'editor' or 'viewer'
+ */
+class WorkspaceMember extends BaseModel {
+  constructor() {
+    super('workspace_members', 'id');
+
+    this.fillable = ['workspace_id', 'users_id', 'role', 'invited_by_users_id'];
+
+    this.casts = {
+      'workspace_id': 'integer',
+      'users_id': 'integer',
+      'invited_by_users_id': 'integer',
+      'created_at': 'date',
+      'updated_at': 'date'
+    };
+
+    this.validationRules = {
+      required: ['workspace_id', 'users_id', 'role']
+    };
+  }
+
+  /**
+   * A user's membership, with the workspace's name and owner
+   * @param {number} workspaceId - Workspace ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} Member row plus workspace_name and owner_users_id
+   */
+  async findMembership(workspaceId, userId) {
+    const result = await this.query(
+      `SELECT m.*, w.name AS workspace_name, w.owner_users_id
+       FROM ${this.tableName} m
+       JOIN workspaces w ON w.id = m.workspace_id
+       WHERE m.workspace_id = $1 AND m.users_id = $2`,
+      [workspaceId, userId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+    return {
+      ...this.formatOutput(result.rows[0]),
+      owner_users_id: parseInt(result.rows[0].owner_users_id, 10)
+    };
+  }
+
+  /**
+   * Members of a workspace with their names, owner first
+   * @param {number} workspaceId - Workspace ID
+   * @returns {Promise<Array>} Member rows plus email, first_name and last_name
+   */
+  async listForWorkspace(workspaceId) {
+    const result = await this.query(
+      `SELECT m.*, u.email, u.first_name, u.last_name
+       FROM ${this.tableName} m
+       JOIN users u ON u.id = m.users_id
+       WHERE m.workspace_id = $1
+       ORDER BY (m.role = 'owner') DESC, m.created_at ASC`,
+      [workspaceId]
+    );
+    return result.rows.map(row => this.formatOutput(row));
+  }
+
+  /**
+   * Membership of the user with an email address, if they have joined
+   * @param {number} workspaceId - Workspace ID
+   * @param {string} email - Email address (case-insensitive)
+   * @returns {Promise<Object|null>}
+   */
+  async findByEmail(workspaceId, email) {
+    const result = await this.query(
+      `SELECT m.*
+       FROM ${this.tableName} m
+       JOIN users u ON u.id = m.users_id
+       WHERE m.workspace_id = $1 AND LOWER(u.email) = LOWER($2)`,
+      [workspaceId, email]
+    );
+    return result.rows.length > 0 ? this.formatOutput(result.rows[0]) : null;
+  }
+
+  /**
+   * Number of members, the owner included
+   * @param {number} workspaceId - Workspace ID
+   * @returns {Promise<number>}
+   */
+  async countForWorkspace(workspaceId) {
+    return await this.count({ workspace_id: workspaceId });
+  }
+
+  /**
+   * Remove a user from a workspace
+   * @param {number} workspaceId - Workspace ID
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} Whether a membership was removed
+   */
+  async removeMember(workspaceId, userId) {
+    const result = await this.query(
+      `DELETE FROM ${this.tableName} WHERE workspace_id = $1 AND users_id = $2 RETURNING id`,
+      [workspaceId, userId]
+    );
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = WorkspaceMember;
@@ -5,62 +5,142 @@
 
 const BaseModel = require('./BaseModel');
 const AiPrompts = require('./AiPrompts');
+const AiRoutingPolicy = require('./AiRoutingPolicy');
 const ApiKeys = require('./ApiKeys');
+const BrandKit = require('./BrandKit');
 const ContentType = require('./ContentType');
+const PromptExperiment = require('./PromptExperiment');
+const PromptVariant = require('./PromptVariant');
+const QuizQuestionSet = require('./QuizQuestionSet');
 const Sessions = require('./Sessions');
+const ShareLink = require('./ShareLink');
+const ShareQuizAttempt = require('./ShareQuizAttempt');
+const SlideDeckVersion = require('./SlideDeckVersion');
 const SubscriptionEvents = require('./SubscriptionEvents');
 const SubscriptionUsage = require('./SubscriptionUsage');
+const TranscriptSegment = require('./TranscriptSegment');
 const User = require('./User');
 const UserPreferences = require('./UserPreferences');
+const UserRecoveryCode = require('./UserRecoveryCode');
 const UserSubscription = require('./UserSubscription');
+const UserTrustedDevice = require('./UserTrustedDevice');
+const UserTwoFactor = require('./UserTwoFactor');
 const Video = require('./Video');
 const VideoContent = require('./VideoContent');
+const VideoContentRevision = require('./VideoContentRevision');
+const VideoContentTranslation = require('./VideoContentTranslation');
+const VideoUpload = require('./VideoUpload');
+const WebhookDelivery = require('./WebhookDelivery');
+const WebhookEndpoint = require('./WebhookEndpoint');
+const Workspace = require('./Workspace');
+const WorkspaceInvitation = require('./WorkspaceInvitation');
+const WorkspaceMember = require('./WorkspaceMember');
 const YoutubeOauthTokens = require('./YoutubeOauthTokens');
 const UserYoutubeChannels = require('./UserYoutubeChannels');
 
 // Initialize model instances
 const aiPromptsModel = new AiPrompts();
+const aiRoutingPolicyModel = new AiRoutingPolicy();
 const apiKeysModel = new ApiKeys();
+const brandKitModel = new BrandKit();
 const contentTypeModel = new ContentType();
+const promptExperimentModel = new PromptExperiment();
+const promptVariantModel = new PromptVariant();
+const quizQuestionSetModel = new QuizQuestionSet();
 const sessionsModel = new Sessions();
+const shareLinkModel = new ShareLink();
+const shareQuizAttemptModel = new ShareQuizAttempt();
+const slideDeckVersionModel = new SlideDeckVersion();
 const subscriptionEventsModel = new SubscriptionEvents();
 const subscriptionUsageModel = new SubscriptionUsage();
+const transcriptSegmentModel = new TranscriptSegment();
 const userModel = new User();
 const userPreferencesModel = new UserPreferences();
+const userRecoveryCodeModel = new UserRecoveryCode();
 const userSubscriptionModel = new UserSubscription();
+const userTrustedDeviceModel = new UserTrustedDevice();
+const userTwoFactorModel = new UserTwoFactor();
 const videoModel = new Video();
 const videoContentModel = new VideoContent();
+const videoContentRevisionModel = new VideoContentRevision();
+const videoContentTranslationModel = new VideoContentTranslation();
+const videoUploadModel = new VideoUpload();
+const webhookDeliveryModel = new WebhookDelivery();
+const webhookEndpointModel = new WebhookEndpoint();
+const workspaceModel = new Workspace();
+const workspaceInvitationModel = new WorkspaceInvitation();
+const workspaceMemberModel = new WorkspaceMember();
 const youtubeOauthTokensModel = new YoutubeOauthTokens();
 const userYoutubeChannelsModel = new UserYoutubeChannels();
 
 module.exports = {
   BaseModel,
   AiPrompts,
+  AiRoutingPolicy,
   ApiKeys,
+  BrandKit,
   ContentType,
+  PromptExperiment,
+  PromptVariant,
+  QuizQuestionSet,
   Sessions,
+  ShareLink,
+  ShareQuizAttempt,
+  SlideDeckVersion,
   SubscriptionEvents,
   SubscriptionUsage,
+  TranscriptSegment,
   User,
   UserPreferences,
+  UserRecoveryCode,
   UserSubscription,
+  UserTrustedDevice,
+  UserTwoFactor,
   Video,
   VideoContent,
+  VideoContentRevision,
+  VideoContentTranslation,
+  VideoUpload,
+  WebhookDelivery,
+  WebhookEndpoint,
+  Workspace,
+  WorkspaceInvitation,
+  WorkspaceMember,
   YoutubeOauthTokens,
   UserYoutubeChannels,
 
   // Pre-initialized instances for convenience
   aiPrompts: aiPromptsModel,
+  aiRoutingPolicy: aiRoutingPolicyModel,
   apiKeys: apiKeysModel,
+  brandKit: brandKitModel,
   contentType: contentTypeModel,
+  promptExperiment: promptExperimentModel,
+  promptVariant: promptVariantModel,
+  quizQuestionSet: quizQuestionSetModel,
   sessions: sessionsModel,
+  shareLink: shareLinkModel,
+  shareQuizAttempt: shareQuizAttemptModel,
+  slideDeckVersion: slideDeckVersionModel,
   subscriptionEvents: subscriptionEventsModel,
   subscriptionUsage: subscriptionUsageModel,
+  transcriptSegment: transcriptSegmentModel,
   user: userModel,
   userPreferences: userPreferencesModel,
+  userRecoveryCode: userRecoveryCodeModel,
   userSubscription: userSubscriptionModel,
+  userTrustedDevice: userTrustedDeviceModel,
+  userTwoFactor: userTwoFactorModel,
   video: videoModel,
   videoContent: videoContentModel,
+  videoContentRevision: videoContentRevisionModel,
+  videoContentTranslation: videoContentTranslationModel,
+  videoUpload: videoUploadModel,
+  webhookDelivery: webhookDeliveryModel,
+  webhookEndpoint: webhookEndpointModel,
+  workspace: workspaceModel,
+  workspaceInvitation: workspaceInvitationModel,
+  workspaceMember: workspaceMemberModel,
   youtubeOauthTokens: youtubeOauthTokensModel,
   userYoutubeChannels: userYoutubeChannelsModel
 };
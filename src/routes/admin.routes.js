@@ -4,10 +4,13 @@ const { adminMiddleware } = require('../middleware/admin.middleware');
 const { subscriptionMiddleware } = require('../middleware');
 const adminController = require('../controllers/admin.controller');
 const webhooksController = require('../controllers/admin/webhooks.controller');
+const promptExperimentsController = require('../controllers/admin/prompt-experiments.controller');
+const aiCostsController = require('../controllers/admin/ai-costs.controller');
+const userSecurityController = require('../controllers/admin/user-security.controller');
 const database = require('../services/database.service');
 const subscriptionService = require('../services/subscription.service');
 const { logger } = require('../utils');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 
 // Apply subscription middleware first to ensure admin pages have subscription data
 router.use(subscriptionMiddleware.addSubscriptionInfo);
@@ -175,6 +178,56 @@ router.delete('/prompts/:promptId', adminController.deletePrompt);
 router.get('/api/content-types/:id', adminController.getContentTypeData);
 router.get('/api/prompts/:promptId', adminController.getPromptData);
 
+// Prompt A/B tests: variants of a live prompt compared by content quality signals
+const experimentId = param('id').isInt({ min: 1 }).withMessage('Experiment ID must be an integer').toInt();
+
+router.get('/prompt-experiments', promptExperimentsController.renderPage);
+router.get('/api/prompt-experiments', [
+  query('contentTypeId').optional().isInt({ min: 1 }).withMessage('Content type ID must be an integer').toInt(),
+  query('status').optional().isIn(['running', 'paused', 'completed']).withMessage('Invalid status')
+], promptExperimentsController.listExperiments);
+router.post('/api/prompt-experiments', [
+  body('contentTypeId').isInt({ min: 1 }).withMessage('Content type is required').toInt(),
+  body('aiProvider').trim().isLength({ min: 1 }).withMessage('AI provider is required'),
+  body('name').optional().trim().isLength({ max: 200 }).withMessage('Name must be at most 200 characters'),
+  body('variants').isArray({ min: 1 }).withMessage('At least one variant is required')
+], promptExperimentsController.createExperiment);
+router.get('/api/prompt-experiments/:id/report', experimentId, promptExperimentsController.getReport);
+router.post('/api/prompt-experiments/:id/status', [
+  experimentId,
+  body('status').isIn(['running', 'paused', 'completed']).withMessage('Invalid status')
+], promptExperimentsController.updateStatus);
+
+// AI routing policies (provider fallback and models per content type) and the monthly AI cost ledger
+router.get('/ai-costs', aiCostsController.renderPage);
+router.get('/api/ai-costs/ledger', [
+  query('month').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be in YYYY-MM format')
+], aiCostsController.getLedger);
+router.get('/api/ai-costs/users/:userId', [
+  param('userId').isInt({ min: 1 }).withMessage('User ID must be an integer').toInt(),
+  query('months').optional().isInt({ min: 1, max: 36 }).withMessage('Months must be 1-36').toInt()
+], aiCostsController.getUserLedger);
+router.get('/api/ai-routing/policies', aiCostsController.listPolicies);
+router.put('/api/ai-routing/policies', [
+  body('contentTypeId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Content type ID must be an integer').toInt(),
+  body('fallbackProviders').isArray().withMessage('Fallback providers must be a list'),
+  body('providerModels').optional().isObject().withMessage('Provider models must be an object'),
+  body('strategy').isIn(['ordered', 'cheapest']).withMessage('Strategy must be ordered or cheapest'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean()
+], aiCostsController.savePolicy);
+router.delete('/api/ai-routing/policies/:contentTypeId', [
+  param('contentTypeId').isInt({ min: 1 }).withMessage('Content type ID must be an integer').toInt()
+], aiCostsController.deletePolicy);
+
+// User security (two-factor status and resets for users locked out of their authenticator)
+router.get('/user-security', userSecurityController.renderPage);
+router.get('/api/user-security/users', [
+  query('q').trim().isLength({ min: 2, max: 100 }).withMessage('Search must be 2-100 characters')
+], userSecurityController.searchUsers);
+router.post('/api/user-security/users/:userId/reset-two-factor', [
+  param('userId').isInt({ min: 1 }).withMessage('User ID must be an integer').toInt()
+], userSecurityController.resetTwoFactor);
+
 // ===========================================
 // SUBSCRIPTION GRANTS MANAGEMENT
 // ===========================================
@@ -0,0 +1,25 @@
+/**
+ * API Key Management Routes
+ * Create and revoke the keys that authenticate the public API (/api/v1)
+ */
+
+const express = require('express');
+const { param } = require('express-validator');
+const router = express.Router();
+const apiKeysController = require('../controllers/api-keys.controller');
+const { authMiddleware, validationMiddleware } = require('../middleware');
+
+// All API key routes require a signed-in session (keys cannot manage keys)
+router.use(authMiddleware);
+
+router.get('/', apiKeysController.listKeys.bind(apiKeysController));
+
+router.post('/', apiKeysController.createKey.bind(apiKeysController));
+
+router.delete('/:keyId',
+  param('keyId').isInt({ min: 1 }).withMessage('Invalid API key ID').toInt(),
+  validationMiddleware,
+  apiKeysController.revokeKey.bind(apiKeysController)
+);
+
+module.exports = router;
@@ -0,0 +1,352 @@
+/**
+ * Public API v1 Routes
+ *
+ * Versioned REST surface for integrations, authenticated with API keys from Settings → API Keys.
+ * Every route is declared once in ROUTES; its validators and the OpenAPI document served at
+ * GET /api/v1/openapi.json are generated from that table, and the handlers are the same
+ * controllers that serve the web app.
+ */
+
+const express = require('express');
+const { validationResult } = require('express-validator');
+const router = express.Router();
+
+const videosController = require('../controllers/videos.controller');
+const contentController = require('../controllers/content.controller');
+const thumbnailController = require('../controllers/thumbnail.controller');
+const { subscriptionMiddleware } = require('../middleware');
+const { apiKeyAuth, requireApiPermission, checkApiCallLimit } = require('../middleware/api-key.middleware');
+const { apiKeyLimit } = require('../middleware/rate-limiting.middleware');
+const contentService = require('../services/content.service');
+const contentExportService = require('../services/content-export.service');
+const { buildValidators, buildOpenApiDocument } = require('../utils/openapi');
+const { LANGUAGES } = require('../utils/languages');
+
+const API_VERSION = '1.0.0';
+
+const DOWNLOAD_FORMATS = ['docx', 'pdf', ...contentExportService.TEXT_EXPORT_FORMATS];
+
+// Shared field specs
+const videoId = { type: 'integer', minimum: 1, description: 'Video ID' };
+const thumbnailId = { type: 'integer', minimum: 1, description: 'Thumbnail ID' };
+const contentType = { type: 'string', pattern: /^[a-z0-9_]+$/, maxLength: 100, description: 'Content type key (see GET /content-types)', example: 'summary_text' };
+const language = { type: 'string', enum: Object.keys(LANGUAGES), description: 'Render a stored translation instead of the original' };
+
+/**
+ * Reject content types the key's owner cannot generate (system types plus their custom types)
+ */
+async function validateContentTypes(contentTypes, { req }) {
+  const available = (await contentService.getAvailableContentTypes(req.user.id)).map(type => type.key);
+  const invalid = contentTypes.filter(type => !available.includes(type));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid content type: ${invalid.join(', ')}. Available types: ${available.join(', ')}`);
+  }
+  return true;
+}
+
+/**
+ * One download route for every export format: docx and pdf have their own renderers,
+ * md/html/txt share the text exporter (which reads req.params.format)
+ */
+function downloadContent(req, res) {
+  switch (req.params.format) {
+  case 'docx':
+    return contentController.downloadDocx(req, res);
+  case 'pdf':
+    return contentController.downloadPdf(req, res);
+  default:
+    return contentController.downloadText(req, res);
+  }
+}
+
+const ROUTES = [
+  // ─── CONTENT TYPES ─────────────────────────────────────────────────
+  {
+    method: 'get',
+    path: '/content-types',
+    operationId: 'listContentTypes',
+    tag: 'Content',
+    summary: 'List the content types available to the key owner',
+    permission: 'read',
+    handler: videosController.getAvailableContentTypes.bind(videosController)
+  },
+
+  // ─── VIDEOS ────────────────────────────────────────────────────────
+  {
+    method: 'get',
+    path: '/videos',
+    operationId: 'listVideos',
+    tag: 'Videos',
+    summary: 'List videos',
+    permission: 'read',
+    query: {
+      page: { type: 'integer', minimum: 1, description: 'Page number (default 1)' },
+      limit: { type: 'integer', minimum: 1, maximum: 100, description: 'Page size (default 10)' },
+      status: { type: 'string', enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'], description: 'Filter by processing status' },
+      search: { type: 'string', maxLength: 200, description: 'Search titles' }
+    },
+    handler: videosController.getVideos.bind(videosController)
+  },
+  {
+    method: 'post',
+    path: '/videos',
+    operationId: 'submitVideos',
+    tag: 'Videos',
+    summary: 'Submit YouTube URLs for processing',
+    description: 'Counts against the plan\'s monthly video limit. Poll GET /videos/{id}/status for progress.',
+    permission: 'videos',
+    body: {
+      urls: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: 10,
+        items: { type: 'string', pattern: /(?:youtube\.com|youtu\.be)/ },
+        description: 'YouTube video URLs',
+        example: ['https://www.youtube.com/watch?v=dQw4w9WgXcQ']
+      },
+      contentTypes: {
+        type: 'array',
+        items: { type: 'string' },
+        validate: validateContentTypes,
+        description: 'Content types to generate (defaults to the user\'s preferences)',
+        example: ['summary_text', 'quiz_text']
+      }
+    },
+    middleware: [
+      subscriptionMiddleware.requireSubscription('free'),
+      subscriptionMiddleware.checkUsageLimit('videos')
+    ],
+    handler: videosController.processBatch.bind(videosController),
+    responses: { 201: { description: 'Videos accepted for processing' } }
+  },
+  {
+    method: 'get',
+    path: '/videos/:id',
+    operationId: 'getVideo',
+    tag: 'Videos',
+    summary: 'Get a video',
+    permission: 'read',
+    params: { id: videoId },
+    handler: videosController.getVideo.bind(videosController)
+  },
+  {
+    method: 'get',
+    path: '/videos/:id/status',
+    operationId: 'getVideoStatus',
+    tag: 'Videos',
+    summary: 'Get a video\'s processing status',
+    permission: 'read',
+    params: { id: videoId },
+    handler: videosController.getVideoStatus.bind(videosController)
+  },
+
+  // ─── CONTENT ───────────────────────────────────────────────────────
+  {
+    method: 'get',
+    path: '/videos/:videoId/content',
+    operationId: 'listVideoContent',
+    tag: 'Content',
+    summary: 'List generated content for a video',
+    permission: 'read',
+    params: { videoId },
+    query: {
+      includeMetadata: { type: 'boolean', description: 'Include generation metadata' }
+    },
+    handler: contentController.getVideoContent.bind(contentController)
+  },
+  {
+    method: 'get',
+    path: '/videos/:videoId/content/:contentType',
+    operationId: 'getVideoContentByType',
+    tag: 'Content',
+    summary: 'Get one type of generated content for a video',
+    permission: 'read',
+    params: { videoId, contentType },
+    query: {
+      version: { type: 'integer', minimum: 1, description: 'Content version (default 1)' }
+    },
+    handler: contentController.getVideoContentByType.bind(contentController)
+  },
+  {
+    method: 'get',
+    path: '/videos/:videoId/content/:contentType/download/:format',
+    operationId: 'downloadVideoContent',
+    tag: 'Content',
+    summary: 'Download generated content as a file',
+    permission: 'read',
+    params: {
+      videoId,
+      contentType,
+      format: { type: 'string', enum: DOWNLOAD_FORMATS, description: 'Export format' }
+    },
+    query: { language },
+    handler: downloadContent,
+    responses: { 200: { description: 'The exported file' } }
+  },
+
+  // ─── THUMBNAILS ────────────────────────────────────────────────────
+  {
+    method: 'get',
+    path: '/thumbnails/options',
+    operationId: 'getThumbnailOptions',
+    tag: 'Thumbnails',
+    summary: 'List thumbnail expressions, categories and aspect ratios',
+    permission: 'read',
+    handler: thumbnailController.getOptions.bind(thumbnailController)
+  },
+  {
+    method: 'get',
+    path: '/thumbnails/reference-images',
+    operationId: 'listReferenceImages',
+    tag: 'Thumbnails',
+    summary: 'List the reference images used for thumbnail generation',
+    permission: 'read',
+    handler: thumbnailController.getReferenceImages.bind(thumbnailController)
+  },
+  {
+    method: 'get',
+    path: '/thumbnails/jobs/:jobId',
+    operationId: 'getThumbnailJob',
+    tag: 'Thumbnails',
+    summary: 'Get the status of a thumbnail generation job',
+    permission: 'read',
+    params: { jobId: { type: 'string', maxLength: 100, description: 'Job ID returned by the generate call' } },
+    handler: thumbnailController.getJobStatus.bind(thumbnailController)
+  },
+  {
+    method: 'get',
+    path: '/videos/:videoId/thumbnails',
+    operationId: 'listVideoThumbnails',
+    tag: 'Thumbnails',
+    summary: 'List a video\'s thumbnails',
+    permission: 'read',
+    params: { videoId },
+    handler: thumbnailController.getVideoThumbnails.bind(thumbnailController)
+  },
+  {
+    method: 'post',
+    path: '/videos/:videoId/thumbnails',
+    operationId: 'generateThumbnails',
+    tag: 'Thumbnails',
+    summary: 'Generate thumbnails for a video',
+    description: 'Counts against the plan\'s thumbnail limit. Poll GET /thumbnails/jobs/{jobId} for the result.',
+    permission: 'thumbnails',
+    params: { videoId },
+    body: {
+      topic: { type: 'string', required: true, maxLength: 200, description: 'Main text on the thumbnail' },
+      subTopic: { type: 'string', maxLength: 200, description: 'Secondary text' },
+      expressionKey: { type: 'string', required: true, maxLength: 50, description: 'Expression (see GET /thumbnails/options)' },
+      aspectRatio: { type: 'string', enum: ['16:9', '9:16'], description: 'Aspect ratio (default 16:9)' },
+      categoryKey: { type: 'string', maxLength: 50, description: 'Category (see GET /thumbnails/options)' },
+      referenceImageIds: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        items: { type: 'integer' },
+        description: 'Reference image IDs (see GET /thumbnails/reference-images)'
+      },
+      characterAnchor: { type: 'string', maxLength: 500, description: 'Character description to keep consistent' },
+      creativeTitles: { type: 'boolean', description: 'Let the model rewrite the title text' }
+    },
+    handler: thumbnailController.generateThumbnails.bind(thumbnailController)
+  },
+  {
+    method: 'post',
+    path: '/thumbnails/:thumbnailId/select',
+    operationId: 'selectThumbnail',
+    tag: 'Thumbnails',
+    summary: 'Mark a thumbnail as the video\'s selected thumbnail',
+    permission: 'thumbnails',
+    params: { thumbnailId },
+    handler: thumbnailController.selectThumbnail.bind(thumbnailController)
+  },
+  {
+    method: 'post',
+    path: '/thumbnails/:thumbnailId/download',
+    operationId: 'downloadThumbnail',
+    tag: 'Thumbnails',
+    summary: 'Get a download URL for a thumbnail',
+    permission: 'read',
+    params: { thumbnailId },
+    handler: thumbnailController.downloadThumbnail.bind(thumbnailController)
+  },
+  {
+    method: 'delete',
+    path: '/thumbnails/:thumbnailId',
+    operationId: 'deleteThumbnail',
+    tag: 'Thumbnails',
+    summary: 'Delete a thumbnail',
+    permission: 'thumbnails',
+    params: { thumbnailId },
+    handler: thumbnailController.deleteThumbnail.bind(thumbnailController)
+  }
+];
+
+const openApiDocument = buildOpenApiDocument(ROUTES, {
+  title: 'AmplifyContent API',
+  version: API_VERSION,
+  description: 'Submit videos, poll processing, and fetch generated content, exports and thumbnails. ' +
+    'Create keys under Settings → API Keys. Calls count against your plan\'s monthly API call allowance ' +
+    'and each key\'s own rate limit.',
+  serverUrl: '/api/v1',
+  securitySchemes: {
+    ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+    BearerAuth: { type: 'http', scheme: 'bearer', description: 'The API key as a bearer token' }
+  },
+  errorResponses: {
+    400: { description: 'Validation failed', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+    401: { description: 'Missing or invalid API key', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+    403: { description: 'Key lacks the permission, or the plan has no API access', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+    429: { description: 'Key rate limit or monthly API call limit exceeded', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+  }
+});
+
+/**
+ * Validation errors as JSON (validationMiddleware redirects browser requests)
+ */
+function rejectInvalid(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      error: 'VALIDATION_ERROR',
+      errors: errors.array().map(error => ({ field: error.path, message: error.msg }))
+    });
+  }
+  next();
+}
+
+/**
+ * @route   GET /api/v1/openapi.json
+ * @desc    OpenAPI 3 document for this API
+ * @access  Public
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+// Everything else is authenticated by API key, rate limited per key and counted against the plan
+router.use(apiKeyAuth, apiKeyLimit, checkApiCallLimit);
+
+for (const route of ROUTES) {
+  router[route.method](route.path,
+    requireApiPermission(route.permission),
+    buildValidators(route),
+    rejectInvalid,
+    ...(route.middleware || []),
+    route.handler
+  );
+}
+
+router.use((req, res) => {
+  res.status(404).json({
+    success: false,
+    message: 'API endpoint not found. See /api/v1/openapi.json for the available endpoints.',
+    error: 'ENDPOINT_NOT_FOUND',
+    path: req.originalUrl
+  });
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@ const { authMiddleware, validationMiddleware } = require('../middleware');
 const { authSecurityLimit } = require('../middleware/rate-limiting.middleware');
 const { authService, airtableService } = require('../services');
 const { logger } = require('../utils');
+const { LANGUAGES } = require('../utils/languages');
 
 const router = express.Router();
 
@@ -336,12 +337,42 @@ router.post('/auth/resend-verification', [
   }
 });
 
+// Public API v1 (API key authentication, see /api/v1/openapi.json)
+router.use('/v1', require('./api-v1.routes'));
+
+// API key management for the public API
+router.use('/api-keys', require('./api-keys.routes'));
+
 // Videos routes
 router.use('/videos', require('./videos.routes'));
 
+// Direct media uploads (resumable, chunked)
+router.use('/uploads', require('./uploads.routes'));
+
 // Content routes (normalized content management)
 router.use('/content', require('./content.routes'));
 
+// Brand kits (custom slide themes for PPTX / slide-PDF downloads)
+router.use('/brand-kits', require('./brand-kits.routes'));
+
+// Custom content types (user-defined formats with their own prompt)
+router.use('/custom-content-types', require('./custom-content-types.routes'));
+
+// Two-factor authentication settings
+router.use('/two-factor', require('./two-factor.routes'));
+
+// Outbound webhooks for processing lifecycle events
+router.use('/webhook-endpoints', require('./webhook-endpoints.routes'));
+
+// Team workspaces (members, invitations and the shared library)
+router.use('/workspaces', require('./workspaces.routes'));
+
+// Active sessions and remote sign-out
+router.use('/sessions', require('./sessions.routes'));
+
+// Share links (public study guide / quiz pages served at /share/:token)
+router.use('/share-links', require('./share-links.routes'));
+
 // YouTube routes
 router.use('/youtube', require('./youtube.routes'));
 
@@ -437,6 +468,10 @@ router.put('/preferences', [
     .optional()
     .isBoolean()
     .withMessage('Weekly digest must be true or false'),
+  body('language')
+    .optional()
+    .isIn(Object.keys(LANGUAGES))
+    .withMessage('Unsupported content language'),
   validationMiddleware
 ], async (req, res) => {
   try {
@@ -446,6 +481,7 @@ router.put('/preferences', [
     if (req.body.emailNotifications !== undefined) updates.emailNotifications = req.body.emailNotifications;
     if (req.body.marketingCommunications !== undefined) updates.marketingCommunications = req.body.marketingCommunications;
     if (req.body.weeklyDigest !== undefined) updates.weeklyDigest = req.body.weeklyDigest;
+    if (req.body.language !== undefined) updates.language = req.body.language;
 
     const preferences = await preferencesService.updateUserPreferences(req.user.email, updates);
 
@@ -463,6 +499,73 @@ router.put('/preferences', [
   }
 });
 
+// Brand colors, font and logo applied to rendered clips
+router.get('/preferences/brand', authMiddleware, async (req, res) => {
+  try {
+    const { userPreferences } = require('../models');
+    const brand = await userPreferences.getBrandPreferences(req.user.id);
+
+    res.json({
+      success: true,
+      data: brand
+    });
+  } catch (error) {
+    logger.error('Error getting brand preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get brand preferences',
+      error: error.message
+    });
+  }
+});
+
+router.put('/preferences/brand', [
+  authMiddleware,
+  body('primaryColor')
+    .optional({ values: 'null' })
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Primary color must be a hex color like #1A73E8'),
+  body('secondaryColor')
+    .optional({ values: 'null' })
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Secondary color must be a hex color like #1A73E8'),
+  body('fontFamily')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Font family must be at most 100 characters'),
+  body('logoUrl')
+    .optional({ values: 'null' })
+    .isURL({ protocols: ['https'], require_protocol: true })
+    .withMessage('Logo URL must be an https URL'),
+  validationMiddleware
+], async (req, res) => {
+  try {
+    const { userPreferences } = require('../models');
+    const { primaryColor, secondaryColor, fontFamily, logoUrl } = req.body;
+
+    await userPreferences.updateBrandPreferences(req.user.id, {
+      primaryColor,
+      secondaryColor,
+      fontFamily,
+      logoUrl
+    });
+
+    res.json({
+      success: true,
+      data: await userPreferences.getBrandPreferences(req.user.id)
+    });
+  } catch (error) {
+    logger.error('Error updating brand preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update brand preferences',
+      error: error.message
+    });
+  }
+});
+
 router.use('*', (req, res) => {
   res.status(404).json({
     success: false,
@@ -9,9 +9,7 @@ const {
   registrationLimit
 } = require('../middleware/rate-limiting.middleware');
 const authService = require('../services/auth.service');
-const sessionService = require('../services/session.service');
 const { logger } = require('../utils');
-const { getPostAuthRedirectUrl } = require('../utils/redirect.utils');
 
 const router = express.Router();
 
@@ -156,6 +154,22 @@ router.post('/sign-in',
   authController.signIn
 );
 
+// GET /auth/two-factor - Second sign-in step for accounts with two-factor authentication
+router.get('/two-factor', authController.renderTwoFactor);
+
+// POST /auth/two-factor - Verify the authenticator or recovery code and finish signing in
+router.post('/two-factor',
+  authSecurityLimit,
+  [
+    body('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Enter your authentication code')
+  ],
+  validationMiddleware,
+  authController.verifyTwoFactor
+);
+
 // LOGOUT ROUTES
 
 // GET /auth/logout - Logout user (browser navigation)
@@ -232,21 +246,15 @@ router.get('/google/callback', (req, res, _next) => {
     }
 
     if (req.user) {
-      // Set JWT token in cookie and redirect to dashboard
-      const token = authService.generateToken(req.user.id, req.user.email, req.user);
-      res.cookie('auth_token', token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'lax',
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-      });
-
-      // Record OAuth login session
-      await sessionService.recordLogin(req.user, req, 'google');
-
-      await applyReferralFromCookie(req, res, req.user.id);
+      try {
+        await applyReferralFromCookie(req, res, req.user.id);
 
-      return res.redirect(getPostAuthRedirectUrl(req.user));
+        // Sets the auth cookie, or sends the user to the two-factor step first
+        return await authController.completeOAuthSignIn(req, res, req.user, 'google');
+      } catch (loginError) {
+        logger.error('Google OAuth login completion error:', loginError);
+        return res.redirect('/auth/sign-in?error=login_completion_failed');
+      }
     }
 
     res.redirect('/auth/sign-in?error=oauth_failed');
@@ -342,27 +350,12 @@ router.post('/apple/callback', async (req, res, _next) => {
       });
 
       try {
-        // Set JWT token in cookie and redirect to dashboard
-        const token = authService.generateToken(req.user.id, req.user.email, req.user);
-        logger.info(`🍎 JWT token generated successfully (length: ${token.length})`);
-
-        res.cookie('auth_token', token, {
-          httpOnly: true,
-          secure: process.env.NODE_ENV === 'production',
-          sameSite: 'lax',
-          maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-        });
-        logger.info('🍎 Auth cookie set successfully');
-
-        // Record OAuth login session
-        await sessionService.recordLogin(req.user, req, 'apple');
-        logger.info('🍎 Session recorded successfully');
-
         await applyReferralFromCookie(req, res, req.user.id);
 
-        const redirectUrl = getPostAuthRedirectUrl(req.user);
-        logger.info(`🍎 APPLE OAUTH LOGIN SUCCESSFUL - redirecting to: ${redirectUrl}`);
-        return res.redirect(redirectUrl);
+        // Sets the auth cookie, or sends the user to the two-factor step first
+        await authController.completeOAuthSignIn(req, res, req.user, 'apple');
+        logger.info(`🍎 APPLE OAUTH FIRST STEP SUCCESSFUL - redirecting to: ${res.get('Location')}`);
+        return;
 
       } catch (loginError) {
         logger.error('🍎 Error during Apple OAuth login completion:', {
@@ -399,21 +392,15 @@ router.get('/microsoft/callback', (req, res, _next) => {
     }
 
     if (req.user) {
-      // Set JWT token in cookie and redirect to dashboard
-      const token = authService.generateToken(req.user.id, req.user.email, req.user);
-      res.cookie('auth_token', token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'lax',
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-      });
-
-      // Record OAuth login session
-      await sessionService.recordLogin(req.user, req, 'microsoft');
-
-      await applyReferralFromCookie(req, res, req.user.id);
+      try {
+        await applyReferralFromCookie(req, res, req.user.id);
 
-      return res.redirect(getPostAuthRedirectUrl(req.user));
+        // Sets the auth cookie, or sends the user to the two-factor step first
+        return await authController.completeOAuthSignIn(req, res, req.user, 'microsoft');
+      } catch (loginError) {
+        logger.error('Microsoft OAuth login completion error:', loginError);
+        return res.redirect('/auth/sign-in?error=login_completion_failed');
+      }
     }
 
     res.redirect('/auth/sign-in?error=oauth_failed');
@@ -455,28 +442,13 @@ router.post('/social-verify', async (req, res) => {
     const result = await oauthService.completeSocialVerification(email, code);
 
     if (result.success) {
-      // Set JWT token in cookie
-      res.cookie('auth_token', result.token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'lax',
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-      });
+      await applyReferralFromCookie(req, res, result.user.id);
 
-      // Record social verification login session
       // Determine login method from user's registration method or use generic 'social'
       const loginMethod = result.user.registrationMethod || 'social';
-      await sessionService.recordLogin(result.user, req, loginMethod);
 
-      await applyReferralFromCookie(req, res, result.user.id);
-
-      return res.json({
-        success: true,
-        message: 'Email verified successfully!',
-        data: {
-          redirectTo: getPostAuthRedirectUrl(result.user)
-        }
-      });
+      // Responds with the redirect, which is the two-factor step when that is on for the account
+      return await authController.completeOAuthSignIn(req, res, result.user, loginMethod);
     }
 
   } catch (error) {
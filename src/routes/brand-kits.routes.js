@@ -0,0 +1,62 @@
+/**
+ * Brand Kit API Routes
+ * User-defined slide themes selectable per PPTX / slide-PDF download (?brandKit=:kitId)
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { param } = require('express-validator');
+const router = express.Router();
+const brandKitsController = require('../controllers/brand-kits.controller');
+const { authMiddleware, validationMiddleware } = require('../middleware');
+
+// Fonts and logos are held in memory and stored with the kit (type checks happen in brand-kit.service)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB (logos are further capped at 2MB)
+    files: 3
+  }
+});
+
+const kitFiles = upload.fields([
+  { name: 'heading_font', maxCount: 1 },
+  { name: 'body_font', maxCount: 1 },
+  { name: 'logo', maxCount: 1 }
+]);
+
+const kitIdParam = param('kitId').isInt({ min: 1 }).withMessage('Invalid brand kit ID').toInt();
+
+// All brand kit routes require authentication
+router.use(authMiddleware);
+
+router.get('/', brandKitsController.listBrandKits.bind(brandKitsController));
+
+router.post('/', kitFiles, brandKitsController.createBrandKit.bind(brandKitsController));
+
+router.get('/:kitId',
+  kitIdParam,
+  validationMiddleware,
+  brandKitsController.getBrandKit.bind(brandKitsController)
+);
+
+router.put('/:kitId',
+  kitFiles,
+  kitIdParam,
+  validationMiddleware,
+  brandKitsController.updateBrandKit.bind(brandKitsController)
+);
+
+router.delete('/:kitId',
+  kitIdParam,
+  validationMiddleware,
+  brandKitsController.deleteBrandKit.bind(brandKitsController)
+);
+
+router.get('/:kitId/logo',
+  kitIdParam,
+  validationMiddleware,
+  brandKitsController.getBrandKitLogo.bind(brandKitsController)
+);
+
+module.exports = router;
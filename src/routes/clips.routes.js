@@ -1,7 +1,8 @@
 const express = require('express');
+const { body, param } = require('express-validator');
 const router = express.Router();
 const clipsController = require('../controllers/clips.controller');
-const { authMiddleware } = require('../middleware');
+const { authMiddleware, validationMiddleware } = require('../middleware');
 
 // All clips routes require authentication
 router.use(authMiddleware);
@@ -10,10 +11,47 @@ router.use(authMiddleware);
 router.post('/videos/:videoId/clips/generate', clipsController.generateClips);
 router.get('/videos/:videoId/clips', clipsController.getClips);
 
+// Render presets and caption styles (before /clips/:clipId)
+router.get('/clips/render-options', clipsController.getRenderOptions.bind(clipsController));
+
 // Individual clip routes
 router.get('/clips/:clipId', clipsController.getClipDetails);
 router.post('/clips/:clipId/download', clipsController.downloadClip);
 router.post('/clips/:clipId/convert-vertical', clipsController.convertToVertical);
 router.delete('/clips/:clipId', clipsController.deleteClip);
 
+// Clip rendering (burned-in captions, overlay text, branding, output presets)
+router.post('/clips/:clipId/render', [
+  param('clipId').isInt({ min: 1 }),
+  body('preset').optional().isIn(['9:16', '1:1', '16:9']).withMessage('Preset must be 9:16, 1:1 or 16:9'),
+  body('captionStyle').optional().isString().trim().isLength({ min: 1, max: 30 }),
+  body('overlay').optional().isIn(['hook', 'title', 'none']).withMessage('Overlay must be hook, title or none'),
+  body('overlaySeconds').optional().isFloat({ min: 0, max: 600 }).toFloat(),
+  body('useBranding').optional().isBoolean().toBoolean(),
+  validationMiddleware
+], clipsController.renderClip.bind(clipsController));
+
+router.get('/clips/:clipId/render', [
+  param('clipId').isInt({ min: 1 }),
+  validationMiddleware
+], clipsController.getRenderStatus.bind(clipsController));
+
+router.get('/clips/:clipId/render/file', [
+  param('clipId').isInt({ min: 1 }),
+  validationMiddleware
+], clipsController.downloadRender.bind(clipsController));
+
+// Reframing for vertical/square output (auto subject tracking, center, or manual x-offset)
+router.get('/clips/:clipId/reframe', [
+  param('clipId').isInt({ min: 1 }),
+  validationMiddleware
+], clipsController.getReframe.bind(clipsController));
+
+router.put('/clips/:clipId/reframe', [
+  param('clipId').isInt({ min: 1 }),
+  body('mode').isIn(['auto', 'center', 'manual']).withMessage('Mode must be auto, center or manual'),
+  body('cropXOffset').optional({ values: 'null' }).isFloat({ min: 0, max: 1 }).withMessage('cropXOffset must be between 0 and 1').toFloat(),
+  validationMiddleware
+], clipsController.updateReframe.bind(clipsController));
+
 module.exports = router;
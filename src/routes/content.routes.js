@@ -5,6 +5,12 @@ const { authMiddleware } = require('../middleware');
 // Rate limiting for AI generation removed - handled by Cloudflare at the edge.
 const { body, param, query } = require('express-validator');
 const slideDeckGenerationService = require('../services/slide-deck-generation.service');
+const contentExportService = require('../services/content-export.service');
+const quizExportService = require('../services/quiz-export.service');
+const { LANGUAGES } = require('../utils/languages');
+
+// ?language= on downloads renders a stored translation instead of the original
+const downloadLanguage = query('language').optional().isIn(Object.keys(LANGUAGES)).withMessage('Unsupported language');
 
 // Apply authentication individually to routes instead of using router.use
 
@@ -103,6 +109,8 @@ router.post('/videos/:videoId/generate',
   body('contentTypes').isArray({ min: 1 }).withMessage('Content types array is required'),
   body('contentTypes.*').isLength({ min: 1 }).withMessage('Each content type must be non-empty string'),
   body('aiProvider').optional().isIn(['gemini', 'chatgpt', 'claude']).withMessage('Invalid AI provider'),
+  body('language').optional().isIn(Object.keys(LANGUAGES)).withMessage('Unsupported language'),
+  body('discardManualEdits').optional().isBoolean().withMessage('discardManualEdits must be boolean').toBoolean(),
   contentController.generateVideoContent
 );
 
@@ -124,6 +132,7 @@ router.get('/videos/:videoId/:contentType/download/docx',
   authMiddleware,
   param('videoId').isLength({ min: 1 }).withMessage('Video ID is required'),
   param('contentType').isLength({ min: 1 }).withMessage('Content type is required'),
+  downloadLanguage,
   contentController.downloadDocx
 );
 
@@ -135,29 +144,336 @@ router.get('/videos/:videoId/:contentType/download/pdf',
   authMiddleware,
   param('videoId').isLength({ min: 1 }).withMessage('Video ID is required'),
   param('contentType').isLength({ min: 1 }).withMessage('Content type is required'),
+  downloadLanguage,
   contentController.downloadPdf
 );
 
+/**
+ * GET /api/content/videos/:videoId/ebook_text/download/epub
+ * Download ebook as an EPUB 3 file (chapters, table of contents, cover and embedded images)
+ */
+router.get('/videos/:videoId/ebook_text/download/epub',
+  authMiddleware,
+  param('videoId').isLength({ min: 1 }).withMessage('Video ID is required'),
+  contentController.downloadEpub
+);
+
 /**
  * GET /api/content/videos/:videoId/slide_deck_text/download/pptx
- * Download slide deck as PPTX presentation
+ * Download slide deck as PPTX presentation (?theme= preset or ?brandKit= a saved brand kit)
  */
 router.get('/videos/:videoId/slide_deck_text/download/pptx',
   authMiddleware,
   param('videoId').isLength({ min: 1 }).withMessage('Video ID is required'),
   query('theme').optional().isIn(slideDeckGenerationService.VALID_THEME_IDS).withMessage('Invalid theme ID'),
+  query('brandKit').optional().isInt({ min: 1 }).withMessage('Brand kit ID must be a positive integer').toInt(),
+  downloadLanguage,
   contentController.downloadPptx
 );
 
 /**
  * GET /api/content/videos/:videoId/slide_deck_text/download/slide-pdf
- * Download slide deck as presentation-style PDF
+ * Download slide deck as presentation-style PDF (?notes=true appends speaker notes pages)
  */
 router.get('/videos/:videoId/slide_deck_text/download/slide-pdf',
   authMiddleware,
   param('videoId').isLength({ min: 1 }).withMessage('Video ID is required'),
   query('theme').optional().isIn(slideDeckGenerationService.VALID_THEME_IDS).withMessage('Invalid theme ID'),
+  query('brandKit').optional().isInt({ min: 1 }).withMessage('Brand kit ID must be a positive integer').toInt(),
+  query('notes').optional().isBoolean().withMessage('notes must be boolean').toBoolean(),
+  downloadLanguage,
   contentController.downloadSlidePdf
 );
 
+/**
+ * GET /api/content/videos/:videoId/quiz_text/questions
+ * Get the quiz parsed into structured questions, plus questions that couldn't be parsed
+ */
+router.get('/videos/:videoId/quiz_text/questions',
+  authMiddleware,
+  param('videoId').isLength({ min: 1 }).withMessage('Video ID is required'),
+  contentController.getQuizQuestions
+);
+
+/**
+ * GET /api/content/videos/:videoId/quiz_text/download/:quizFormat (qti, moodle, kahoot or anki)
+ * Export the quiz for an LMS or flashcard app
+ */
+router.get('/videos/:videoId/quiz_text/download/:quizFormat',
+  authMiddleware,
+  param('videoId').isLength({ min: 1 }).withMessage('Video ID is required'),
+  param('quizFormat').isIn(Object.keys(quizExportService.QUIZ_EXPORT_FORMATS))
+    .withMessage(`Format must be one of: ${Object.keys(quizExportService.QUIZ_EXPORT_FORMATS).join(', ')}`),
+  contentController.downloadQuiz
+);
+
+/**
+ * GET /api/content/videos/:videoId/download/bundle?formats=md,html,pdf
+ * Download every generated content type for a video as a ZIP, in the chosen formats
+ */
+router.get('/videos/:videoId/download/bundle',
+  authMiddleware,
+  param('videoId').isLength({ min: 1 }).withMessage('Video ID is required'),
+  query('formats')
+    .optional()
+    .customSanitizer(value => [...new Set(String(value).split(',').map(format => format.trim().toLowerCase()).filter(Boolean))])
+    .custom(formats => formats.length > 0 && formats.every(format => contentExportService.EXPORT_FORMATS[format]))
+    .withMessage(`formats must be a comma-separated list of: ${Object.keys(contentExportService.EXPORT_FORMATS).join(', ')}`),
+  contentController.downloadBundle
+);
+
+/**
+ * GET /api/content/videos/:videoId/:contentType/download/:format (md, html or txt)
+ * Download content as Markdown, self-contained HTML or plain text.
+ * Registered after the docx/pdf/epub/pptx downloads so those keep their own handlers.
+ */
+router.get('/videos/:videoId/:contentType/download/:format',
+  authMiddleware,
+  param('videoId').isLength({ min: 1 }).withMessage('Video ID is required'),
+  param('contentType').isLength({ min: 1 }).withMessage('Content type is required'),
+  param('format').isIn(contentExportService.TEXT_EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${contentExportService.TEXT_EXPORT_FORMATS.join(', ')}`),
+  downloadLanguage,
+  contentController.downloadText
+);
+
+/**
+ * Slide editor: slide-level edits to slide_deck_text with revertible versions.
+ * Downloads above render whatever the current edited deck is.
+ */
+const slideVideoId = param('videoId').isLength({ min: 1 }).withMessage('Video ID is required');
+const slideIndex = param('slideIndex').isInt({ min: 0 }).withMessage('Slide index must be a non-negative integer').toInt();
+const slideTypes = Object.keys(slideDeckGenerationService.SLIDE_SCHEMAS);
+
+/**
+ * GET /api/content/videos/:videoId/slide_deck_text/slides
+ * Get the current slide deck, its version and the per-type slide schema
+ */
+router.get('/videos/:videoId/slide_deck_text/slides',
+  authMiddleware,
+  slideVideoId,
+  contentController.getSlideDeck
+);
+
+/**
+ * POST /api/content/videos/:videoId/slide_deck_text/slides
+ * Insert a slide at a position (default: end)
+ */
+router.post('/videos/:videoId/slide_deck_text/slides',
+  authMiddleware,
+  slideVideoId,
+  body('slide').isObject().withMessage('slide must be an object'),
+  body('slide.slide_type').isIn(slideTypes).withMessage(`slide_type must be one of: ${slideTypes.join(', ')}`),
+  body('position').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Position must be a non-negative integer').toInt(),
+  contentController.addSlide
+);
+
+/**
+ * PUT /api/content/videos/:videoId/slide_deck_text/slides/order
+ * Reorder slides (registered before /slides/:slideIndex)
+ */
+router.put('/videos/:videoId/slide_deck_text/slides/order',
+  authMiddleware,
+  slideVideoId,
+  body('order').isArray({ min: 1 }).withMessage('order must be an array of slide indexes'),
+  body('order.*').isInt({ min: 0 }).withMessage('Each slide index must be a non-negative integer').toInt(),
+  contentController.reorderSlides
+);
+
+/**
+ * PUT /api/content/videos/:videoId/slide_deck_text/slides/:slideIndex
+ * Edit a slide's fields and/or change its slide_type
+ */
+router.put('/videos/:videoId/slide_deck_text/slides/:slideIndex',
+  authMiddleware,
+  slideVideoId,
+  slideIndex,
+  body('changes').isObject().withMessage('changes must be an object'),
+  body('changes.slide_type').optional().isIn(slideTypes).withMessage(`slide_type must be one of: ${slideTypes.join(', ')}`),
+  contentController.updateSlide
+);
+
+/**
+ * DELETE /api/content/videos/:videoId/slide_deck_text/slides/:slideIndex
+ * Delete a slide
+ */
+router.delete('/videos/:videoId/slide_deck_text/slides/:slideIndex',
+  authMiddleware,
+  slideVideoId,
+  slideIndex,
+  contentController.deleteSlide
+);
+
+/**
+ * GET /api/content/videos/:videoId/slide_deck_text/versions
+ * List saved versions of the slide deck
+ */
+router.get('/videos/:videoId/slide_deck_text/versions',
+  authMiddleware,
+  slideVideoId,
+  contentController.getSlideDeckVersions
+);
+
+/**
+ * POST /api/content/videos/:videoId/slide_deck_text/versions/:version/revert
+ * Restore an earlier version (saved as a new version)
+ */
+router.post('/videos/:videoId/slide_deck_text/versions/:version/revert',
+  authMiddleware,
+  slideVideoId,
+  param('version').isInt({ min: 1 }).withMessage('Version must be a positive integer').toInt(),
+  contentController.revertSlideDeck
+);
+
+// Content revision history (every save of content_text: generation, regeneration, manual edit, restore)
+const revisionContentType = param('contentType').matches(/^[a-z0-9_]+$/).withMessage('Invalid content type');
+const revisionNumber = param('revision').isInt({ min: 1 }).withMessage('Revision must be a positive integer').toInt();
+
+/**
+ * GET /api/content/videos/:videoId/:contentType/revisions
+ * List revisions, newest first (without their text)
+ */
+router.get('/videos/:videoId/:contentType/revisions',
+  authMiddleware,
+  slideVideoId,
+  revisionContentType,
+  contentController.getContentRevisions
+);
+
+/**
+ * GET /api/content/videos/:videoId/:contentType/revisions/diff?from=:revision&to=:revision
+ * Line diff between two revisions; omit `to` to compare with the current text
+ */
+router.get('/videos/:videoId/:contentType/revisions/diff',
+  authMiddleware,
+  slideVideoId,
+  revisionContentType,
+  query('from').isInt({ min: 1 }).withMessage('from must be a revision number').toInt(),
+  query('to').optional().isInt({ min: 1 }).withMessage('to must be a revision number').toInt(),
+  contentController.diffContentRevisions
+);
+
+/**
+ * GET /api/content/videos/:videoId/:contentType/revisions/:revision
+ * Get one revision including its text
+ */
+router.get('/videos/:videoId/:contentType/revisions/:revision',
+  authMiddleware,
+  slideVideoId,
+  revisionContentType,
+  revisionNumber,
+  contentController.getContentRevision
+);
+
+/**
+ * POST /api/content/videos/:videoId/:contentType/revisions/:revision/restore
+ * Make a revision the current text (saved as a new revision)
+ */
+router.post('/videos/:videoId/:contentType/revisions/:revision/restore',
+  authMiddleware,
+  slideVideoId,
+  revisionContentType,
+  revisionNumber,
+  contentController.restoreContentRevision
+);
+
+// Refine with AI: propose a rewrite of one heading section or character range, then accept it
+const refineContentId = param('contentId').isInt({ min: 1 }).withMessage('Content ID must be an integer').toInt();
+
+/**
+ * GET /api/content/:contentId/sections
+ * Heading sections of the content (character ranges) for choosing what to refine
+ */
+router.get('/:contentId/sections',
+  authMiddleware,
+  refineContentId,
+  contentController.getContentSections
+);
+
+/**
+ * POST /api/content/:contentId/refine
+ * Propose an AI rewrite of a section ({ heading }) or range ({ start, end }) following { instruction }.
+ * Nothing is saved until the proposal is accepted.
+ */
+router.post('/:contentId/refine',
+  authMiddleware,
+  refineContentId,
+  body('instruction').isString().trim().isLength({ min: 1, max: 500 }).withMessage('Instruction must be 1-500 characters'),
+  body('heading').optional().isString().isLength({ max: 300 }).withMessage('Heading must be a string'),
+  body('start').optional().isInt({ min: 0 }).withMessage('start must be a character offset').toInt(),
+  body('end').optional().isInt({ min: 1 }).withMessage('end must be a character offset').toInt(),
+  contentController.refineContent
+);
+
+/**
+ * POST /api/content/:contentId/refine/accept
+ * Replace start..end with the accepted text (saved as an 'ai_refinement' revision; counts as AI usage)
+ */
+router.post('/:contentId/refine/accept',
+  authMiddleware,
+  refineContentId,
+  body('start').isInt({ min: 0 }).withMessage('start must be a character offset').toInt(),
+  body('end').isInt({ min: 1 }).withMessage('end must be a character offset').toInt(),
+  body('replacement').isString().isLength({ min: 1 }).withMessage('Replacement text is required'),
+  body('baseHash').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('baseHash from the proposal is required'),
+  contentController.acceptContentRefinement
+);
+
+// Translations: localized copies of a content item, downloadable with ?language=
+const translationLanguage = param('language').isIn(Object.keys(LANGUAGES)).withMessage('Unsupported language');
+
+/**
+ * POST /api/content/:contentId/translations
+ * Translate the content into { language } with AI (counts as AI usage)
+ */
+router.post('/:contentId/translations',
+  authMiddleware,
+  refineContentId,
+  body('language').isIn(Object.keys(LANGUAGES)).withMessage('Unsupported language'),
+  contentController.translateContent
+);
+
+/**
+ * GET /api/content/:contentId/translations
+ * List the content's translations (without text), flagging ones older than the latest edit
+ */
+router.get('/:contentId/translations',
+  authMiddleware,
+  refineContentId,
+  contentController.getContentTranslations
+);
+
+/**
+ * GET /api/content/:contentId/translations/:language
+ * Get one translation with its text
+ */
+router.get('/:contentId/translations/:language',
+  authMiddleware,
+  refineContentId,
+  translationLanguage,
+  contentController.getContentTranslation
+);
+
+/**
+ * DELETE /api/content/:contentId/translations/:language
+ * Delete one translation
+ */
+router.delete('/:contentId/translations/:language',
+  authMiddleware,
+  refineContentId,
+  translationLanguage,
+  contentController.deleteContentTranslation
+);
+
+/**
+ * POST /api/content/:contentId/rating
+ * Thumbs up ({ rating: 1 }), down (-1) or clear (0); feeds prompt experiment quality scores
+ */
+router.post('/:contentId/rating',
+  authMiddleware,
+  refineContentId,
+  body('rating').isIn([1, -1, 0]).withMessage('Rating must be 1, -1 or 0').toInt(),
+  contentController.rateContent
+);
+
 module.exports = router;
@@ -0,0 +1,48 @@
+/**
+ * Custom Content Type API Routes
+ * User-defined content types with their own prompt, generated alongside the system types
+ */
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+const customContentTypesController = require('../controllers/custom-content-types.controller');
+const { authMiddleware, validationMiddleware } = require('../middleware');
+const { LANGUAGES } = require('../utils/languages');
+
+const typeIdParam = param('typeId').isInt({ min: 1 }).withMessage('Invalid content type ID').toInt();
+
+// All custom content type routes require authentication
+router.use(authMiddleware);
+
+router.get('/', customContentTypesController.listCustomTypes.bind(customContentTypesController));
+
+router.post('/', customContentTypesController.createCustomType.bind(customContentTypesController));
+
+router.post('/preview',
+  body('videoId').isInt({ min: 1 }).withMessage('Pick a video to preview with').toInt(),
+  body('provider').optional().isIn(['gemini', 'chatgpt', 'claude']).withMessage('Invalid AI provider'),
+  body('language').optional().isIn(Object.keys(LANGUAGES)).withMessage('Unsupported language'),
+  validationMiddleware,
+  customContentTypesController.previewCustomType.bind(customContentTypesController)
+);
+
+router.get('/:typeId',
+  typeIdParam,
+  validationMiddleware,
+  customContentTypesController.getCustomType.bind(customContentTypesController)
+);
+
+router.put('/:typeId',
+  typeIdParam,
+  validationMiddleware,
+  customContentTypesController.updateCustomType.bind(customContentTypesController)
+);
+
+router.delete('/:typeId',
+  typeIdParam,
+  validationMiddleware,
+  customContentTypesController.deleteCustomType.bind(customContentTypesController)
+);
+
+module.exports = router;
@@ -5,6 +5,7 @@ const { optionalAuthMiddleware, preferencesMiddleware, subscriptionMiddleware }
 const { contactFormLimit } = require('../middleware/rate-limiting.middleware');
 const { emailService } = require('../services');
 const { logger } = require('../utils');
+const { listLanguages } = require('../utils/languages');
 const ogimg = process.env.OGIMG;
 
 const router = express.Router();
@@ -52,7 +53,8 @@ router.get('/dashboard', require('../middleware').authMiddleware, (req, res) =>
 // Profile route (protected)
 router.get('/profile', require('../middleware').authMiddleware, async (req, res) => {
   try {
-    const preferencesService = require('../services/preferences.service');
+    const PreferencesService = require('../services/preferences.service');
+    const preferencesService = new PreferencesService();
     let userPreferences = null;
 
     try {
@@ -64,11 +66,15 @@ router.get('/profile', require('../middleware').authMiddleware, async (req, res)
       userPreferences = await preferencesService.createDefaultPreferences(req.user.email);
     }
 
+    const twoFactorEnabled = await require('../services/two-factor.service').isEnabled(req.user.id).catch(() => false);
+
     res.render('profile', {
       title: 'Profile',
       description: 'Manage your profile and preferences',
       user: req.user,
       preferences: userPreferences,
+      contentLanguages: listLanguages(),
+      twoFactorEnabled,
       subscription: req.subscriptionInfo,
       showHeader: true,
       showFooter: true,
@@ -80,7 +86,8 @@ router.get('/profile', require('../middleware').authMiddleware, async (req, res)
       title: 'Profile',
       description: 'Manage your profile and preferences',
       user: req.user,
-      preferences: { aiProvider: 'gemini' }, // fallback
+      preferences: { aiProvider: 'gemini', language: 'en' }, // fallback
+      contentLanguages: listLanguages(),
       subscription: req.subscriptionInfo,
       showHeader: true,
       showFooter: true,
@@ -98,6 +105,9 @@ router.use('/videos', require('./videos-web.routes'));
 // Thumbnails routes (web pages)
 router.use('/thumbnails', require('./thumbnails-web.routes'));
 
+// Public share pages (study guides and interactive quizzes, no login required)
+router.use('/share', require('./share-web.routes'));
+
 // Account deletion routes
 router.use('/account', require('./account-deletion.routes'));
 
@@ -170,6 +180,167 @@ router.get('/settings/cloud-storage', require('../middleware').authMiddleware, a
   }
 });
 
+// Custom content types settings page (list and API calls happen client-side)
+router.get('/settings/content-types', require('../middleware').authMiddleware, async (req, res) => {
+  const customContentTypeService = require('../services/custom-content-type.service');
+  let videos = [];
+  let limit = 0;
+
+  try {
+    const database = require('../services/database.service');
+
+    // Videos with a transcript can be used to preview a prompt
+    const videoResult = await database.query(`
+      SELECT id, video_title FROM videos
+      WHERE users_id = $1 AND transcript_text IS NOT NULL AND transcript_text <> ''
+      ORDER BY created_at DESC
+      LIMIT 50
+    `, [req.user.id]);
+    videos = videoResult.rows;
+    limit = await customContentTypeService.getLimit(req.user.id);
+  } catch (err) {
+    require('../utils').logger.error('Content types settings page error:', err);
+  }
+
+  res.render('settings/content-types', {
+    title: 'Custom Content Types',
+    description: 'Create your own content formats with your own AI prompt',
+    user: req.user,
+    subscription: req.subscriptionInfo,
+    videos,
+    limit,
+    placeholders: customContentTypeService.SUPPORTED_PLACEHOLDERS.map(name => `\${${name}}`),
+    contentLanguages: listLanguages(),
+    showHeader: true,
+    showFooter: true,
+    showNav: true
+  });
+});
+
+// API keys settings page (list and API calls happen client-side)
+router.get('/settings/api-keys', require('../middleware').authMiddleware, (req, res) => {
+  const apiKeyService = require('../services/api-key.service');
+
+  res.render('settings/api-keys', {
+    title: 'API Keys',
+    description: 'Create and revoke keys for the REST API',
+    user: req.user,
+    subscription: req.subscriptionInfo,
+    permissions: Object.entries(apiKeyService.PERMISSIONS).map(([key, label]) => ({ key, label })),
+    rateLimitWindows: apiKeyService.RATE_LIMIT_WINDOWS,
+    baseUrl: process.env.BASE_URL || 'https://amplifycontent.ai',
+    showHeader: true,
+    showFooter: true,
+    showNav: true
+  });
+});
+
+// Two-factor authentication settings page (status and API calls happen client-side)
+router.get('/settings/two-factor', require('../middleware').authMiddleware, (req, res) => {
+  const twoFactorService = require('../services/two-factor.service');
+
+  res.render('settings/two-factor', {
+    title: 'Two-Factor Authentication',
+    description: 'Protect your account with an authenticator app',
+    user: req.user,
+    subscription: req.subscriptionInfo,
+    recoveryCodeCount: twoFactorService.RECOVERY_CODE_COUNT,
+    trustedDeviceDays: twoFactorService.TRUSTED_DEVICE_DAYS,
+    showHeader: true,
+    showFooter: true,
+    showNav: true
+  });
+});
+
+// Webhooks settings page (list and API calls happen client-side)
+router.get('/settings/webhooks', require('../middleware').authMiddleware, (req, res) => {
+  const webhookService = require('../services/webhook.service');
+
+  res.render('settings/webhooks', {
+    title: 'Webhooks',
+    description: 'Notify your own tools when videos, thumbnails and clips are ready',
+    user: req.user,
+    subscription: req.subscriptionInfo,
+    events: Object.entries(webhookService.WEBHOOK_EVENTS).map(([key, label]) => ({ key, label })),
+    showHeader: true,
+    showFooter: true,
+    showNav: true
+  });
+});
+
+// Security settings page: active sessions and remote sign-out (list and API calls happen client-side)
+router.get('/settings/security', require('../middleware').authMiddleware, (req, res) => {
+  res.render('settings/security', {
+    title: 'Security',
+    description: 'Review where your account is signed in and sign out other devices',
+    user: req.user,
+    subscription: req.subscriptionInfo,
+    showHeader: true,
+    showFooter: true,
+    showNav: true
+  });
+});
+
+// Workspaces settings page; the user's own channels and character profiles are listed for sharing
+router.get('/settings/workspaces', require('../middleware').authMiddleware, async (req, res) => {
+  const workspaceService = require('../services/workspace.service');
+  let channels = [];
+  let characterProfiles = [];
+
+  try {
+    const { userYoutubeChannels } = require('../models');
+    const thumbnailGeneratorService = require('../services/thumbnail-generator.service');
+    [channels, characterProfiles] = await Promise.all([
+      userYoutubeChannels.getUserChannels(req.user.id),
+      thumbnailGeneratorService.getCharacterProfiles(req.user.id)
+    ]);
+  } catch (err) {
+    require('../utils').logger.error('Workspaces settings page error:', err);
+  }
+
+  res.render('settings/workspaces', {
+    title: 'Workspaces',
+    description: 'Share a video library, character profiles and channels with your team',
+    user: req.user,
+    subscription: req.subscriptionInfo,
+    roles: workspaceService.INVITABLE_ROLES,
+    invitationDays: workspaceService.INVITATION_DAYS,
+    channels: channels.map(channel => ({ id: channel.id, name: channel.channel_name })),
+    characterProfiles: characterProfiles
+      .filter(profile => profile.users_id === req.user.id)
+      .map(profile => ({ id: profile.id, name: profile.profile_name })),
+    showHeader: true,
+    showFooter: true,
+    showNav: true
+  });
+});
+
+// Workspace invitation landing page from the emailed link; signed-out visitors are asked to sign in first
+router.get('/workspaces/invitations/:token', require('../middleware').optionalAuthMiddleware, async (req, res) => {
+  const workspaceService = require('../services/workspace.service');
+  let invitation = null;
+
+  try {
+    invitation = await workspaceService.getInvitation(req.params.token);
+  } catch (err) {
+    if (err.code !== 'INVITATION_NOT_FOUND') {
+      require('../utils').logger.error('Workspace invitation page error:', err);
+    }
+  }
+
+  res.render('workspaces/invitation', {
+    title: 'Workspace Invitation',
+    user: req.user,
+    subscription: req.subscriptionInfo,
+    invitation,
+    token: req.params.token,
+    emailMatches: Boolean(invitation && req.user && invitation.email === String(req.user.email).toLowerCase()),
+    showHeader: true,
+    showFooter: true,
+    showNav: true
+  });
+});
+
 // Helper functions for cloud storage messages
 function getSuccessMessage(code) {
   const messages = {
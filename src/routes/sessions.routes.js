@@ -0,0 +1,25 @@
+/**
+ * Session Routes
+ * Active sign-in sessions of the current user and remote sign-out
+ */
+
+const express = require('express');
+const { param } = require('express-validator');
+const router = express.Router();
+const sessionsController = require('../controllers/sessions.controller');
+const { authMiddleware, validationMiddleware } = require('../middleware');
+
+// All session routes require authentication
+router.use(authMiddleware);
+
+router.get('/', sessionsController.listSessions.bind(sessionsController));
+
+router.post('/revoke-others', sessionsController.revokeOtherSessions.bind(sessionsController));
+
+router.delete('/:sessionId',
+  param('sessionId').isInt({ min: 1 }).withMessage('Invalid session ID').toInt(),
+  validationMiddleware,
+  sessionsController.revokeSession.bind(sessionsController)
+);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+/**
+ * Share Link API Routes
+ * Owner management of public study guide / quiz share pages (served by share-web.routes)
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const shareLinksController = require('../controllers/share-links.controller');
+const shareLinkService = require('../services/share-link.service');
+const { authMiddleware, validationMiddleware } = require('../middleware');
+
+const linkIdParam = param('linkId').isInt({ min: 1 }).withMessage('Invalid share link ID').toInt();
+
+// All share link management routes require authentication
+router.use(authMiddleware);
+
+router.get('/',
+  query('videoId').isInt({ min: 1 }).withMessage('videoId is required').toInt(),
+  validationMiddleware,
+  shareLinksController.listShareLinks.bind(shareLinksController)
+);
+
+router.post('/',
+  [
+    body('videoId').isInt({ min: 1 }).withMessage('videoId is required').toInt(),
+    body('contentTypes').optional().isArray().withMessage('contentTypes must be an array'),
+    body('contentTypes.*').isIn(shareLinkService.SHAREABLE_CONTENT_TYPES)
+      .withMessage(`contentTypes may only include ${shareLinkService.SHAREABLE_CONTENT_TYPES.join(', ')}`),
+    body('expiresInDays').optional({ values: 'falsy' }).isInt({ min: 1, max: 365 })
+      .withMessage('expiresInDays must be between 1 and 365').toInt(),
+    body('password').optional({ values: 'falsy' }).isString().isLength({ min: 4, max: 128 })
+      .withMessage('Password must be 4 to 128 characters')
+  ],
+  validationMiddleware,
+  shareLinksController.createShareLink.bind(shareLinksController)
+);
+
+router.delete('/:linkId',
+  linkIdParam,
+  validationMiddleware,
+  shareLinksController.revokeShareLink.bind(shareLinksController)
+);
+
+router.get('/:linkId/results',
+  linkIdParam,
+  validationMiddleware,
+  shareLinksController.getShareLinkResults.bind(shareLinksController)
+);
+
+module.exports = router;
@@ -0,0 +1,174 @@
+/**
+ * Share Web Routes
+ * Public, read-only share pages for study guides, discussion guides and
+ * interactive quizzes. No login required; links are managed via /api/share-links.
+ */
+
+const express = require('express');
+const router = express.Router();
+const shareLinkService = require('../services/share-link.service');
+const { authSecurityLimit, publicPageLimit } = require('../middleware/rate-limiting.middleware');
+const { logger } = require('../utils');
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+// Share pages are unlisted: keep them out of search results
+const NOINDEX_HEAD = '<meta name="robots" content="noindex, nofollow">';
+
+const baseViewOptions = {
+  head: NOINDEX_HEAD,
+  showHeader: false,
+  showFooter: true,
+  showNav: false,
+  additionalCSS: ['/css/share.css']
+};
+
+function accessCookieName(link) {
+  return `share_access_${link.id}`;
+}
+
+/**
+ * Resolve :token, rendering the unavailable page (or a JSON error) when it can't be used
+ * @returns {Promise<Object|null>} Raw link row, or null once a response has been sent
+ */
+async function resolveOrRespond(req, res, { json = false } = {}) {
+  const { token } = req.params;
+
+  try {
+    if (!TOKEN_PATTERN.test(token)) {
+      const error = new Error('This share link does not exist');
+      error.code = 'SHARE_LINK_NOT_FOUND';
+      throw error;
+    }
+    return await shareLinkService.resolveLink(token);
+  } catch (error) {
+    const status = { SHARE_LINK_NOT_FOUND: 404, SHARE_LINK_UNAVAILABLE: 410 }[error.code];
+    if (!status) throw error;
+
+    if (json) {
+      res.status(status).json({ success: false, error: error.message, code: error.code });
+    } else {
+      res.status(status).render('share/unavailable', {
+        ...baseViewOptions,
+        title: 'Link unavailable - AmplifyContent.ai',
+        description: 'This shared content is not available',
+        user: req.user,
+        message: error.message
+      });
+    }
+    return null;
+  }
+}
+
+/**
+ * @route   GET /share/:token
+ * @desc    Shared study guide / discussion guide / quiz page
+ * @access  Public (password-protected links show an unlock form first)
+ */
+router.get('/:token', publicPageLimit, async (req, res) => {
+  try {
+    const link = await resolveOrRespond(req, res);
+    if (!link) return;
+
+    if (!shareLinkService.hasAccess(link, req.cookies?.[accessCookieName(link)])) {
+      return res.render('share/password', {
+        ...baseViewOptions,
+        title: 'Protected content - AmplifyContent.ai',
+        description: 'This shared content is password protected',
+        user: req.user,
+        token: link.token
+      });
+    }
+
+    const shared = await shareLinkService.getSharedContent(link);
+
+    res.render('share/player', {
+      ...baseViewOptions,
+      title: `${shared.videoTitle} - AmplifyContent.ai`,
+      description: `Study materials for ${shared.videoTitle}`,
+      user: req.user,
+      token: link.token,
+      ...shared,
+      additionalJS: shared.quiz ? ['/js/share.js'] : []
+    });
+  } catch (error) {
+    logger.error('Share page error', { error: error.message, stack: error.stack?.split('\n')[0] }, req.requestId);
+    res.status(500).render('errors/500', {
+      title: 'Error',
+      user: req.user
+    });
+  }
+});
+
+/**
+ * @route   POST /share/:token/unlock
+ * @desc    Unlock a password-protected share page
+ * @access  Public
+ */
+router.post('/:token/unlock', authSecurityLimit, async (req, res) => {
+  try {
+    const link = await resolveOrRespond(req, res);
+    if (!link) return;
+
+    if (!(await shareLinkService.checkPassword(link, req.body.password))) {
+      return res.status(401).render('share/password', {
+        ...baseViewOptions,
+        title: 'Protected content - AmplifyContent.ai',
+        description: 'This shared content is password protected',
+        user: req.user,
+        token: link.token,
+        error: 'Incorrect password. Please try again.'
+      });
+    }
+
+    const untilExpiry = link.expires_at ? new Date(link.expires_at).getTime() - Date.now() : Infinity;
+    res.cookie(accessCookieName(link), shareLinkService.getAccessKey(link), {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: `/share/${link.token}`,
+      maxAge: Math.max(0, Math.min(shareLinkService.UNLOCK_MAX_AGE_MS, untilExpiry))
+    });
+
+    res.redirect(`/share/${link.token}`);
+  } catch (error) {
+    logger.error('Share unlock error', { error: error.message }, req.requestId);
+    res.status(500).render('errors/500', {
+      title: 'Error',
+      user: req.user
+    });
+  }
+});
+
+/**
+ * @route   POST /share/:token/quiz
+ * @desc    Score a quiz attempt: { answers: [choiceIndex | text | null], name? }
+ * @access  Public
+ */
+router.post('/:token/quiz', publicPageLimit, async (req, res) => {
+  try {
+    const link = await resolveOrRespond(req, res, { json: true });
+    if (!link) return;
+
+    if (!shareLinkService.hasAccess(link, req.cookies?.[accessCookieName(link)])) {
+      return res.status(403).json({ success: false, error: 'This quiz is password protected', code: 'SHARE_LOCKED' });
+    }
+
+    const result = await shareLinkService.scoreQuiz(link, req.body.answers, req.body.name);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    const status = { INVALID_QUIZ_SUBMISSION: 400, QUIZ_NOT_SHARED: 404 }[error.code];
+    if (status) {
+      return res.status(status).json({ success: false, error: error.message, code: error.code });
+    }
+
+    logger.error('Share quiz submission error', { error: error.message }, req.requestId);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to score quiz',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
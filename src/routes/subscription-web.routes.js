@@ -195,7 +195,7 @@ router.get('/success', async (req, res) => {
 
       if (freshUser) {
         // Generate new token with updated subscription info
-        const newToken = authService.generateToken(freshUser.id, freshUser.email, freshUser);
+        const newToken = authService.generateToken(freshUser.id, freshUser.email, freshUser, { sessionId: req.sessionId });
 
         // Set new token in cookie
         res.cookie('auth_token', newToken, {
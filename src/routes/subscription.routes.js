@@ -14,7 +14,12 @@ const subscriptionValidation = {
       .notEmpty()
       .withMessage('Price ID is required')
       .matches(/^price_[a-zA-Z0-9]+$/)
-      .withMessage('Invalid Stripe price ID format')
+      .withMessage('Invalid Stripe price ID format'),
+    body('seats')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Seats must be a positive integer')
+      .toInt()
   ]
 };
 
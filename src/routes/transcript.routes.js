@@ -1,6 +1,9 @@
 const express = require('express');
 const { ApifyClient } = require('apify-client');
+const { body, param } = require('express-validator');
 const { logger } = require('../utils');
+const { authMiddleware, validationMiddleware } = require('../middleware');
+const transcriptController = require('../controllers/transcript.controller');
 
 const router = express.Router();
 
@@ -85,4 +88,68 @@ router.post('/generate', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/transcript/videos/:videoId/segments
+ * Get structured transcript segments (?includeText=true adds the speaker-labelled text)
+ */
+router.get('/videos/:videoId/segments',
+  authMiddleware,
+  param('videoId').isInt().withMessage('Video ID must be an integer'),
+  validationMiddleware,
+  transcriptController.getSegments
+);
+
+/**
+ * POST /api/transcript/videos/:videoId/segments/rebuild
+ * Rebuild segments from the stored flat transcript
+ */
+router.post('/videos/:videoId/segments/rebuild',
+  authMiddleware,
+  param('videoId').isInt().withMessage('Video ID must be an integer'),
+  validationMiddleware,
+  transcriptController.rebuildSegments
+);
+
+/**
+ * POST /api/transcript/videos/:videoId/segments/shift
+ * Re-time segments by an offset in seconds
+ */
+router.post('/videos/:videoId/segments/shift',
+  authMiddleware,
+  param('videoId').isInt().withMessage('Video ID must be an integer'),
+  body('offsetSeconds').isFloat({ min: -86400, max: 86400 }).withMessage('offsetSeconds must be a number of seconds'),
+  body('fromSeconds').optional().isFloat({ min: 0 }).withMessage('fromSeconds must be a positive number'),
+  validationMiddleware,
+  transcriptController.shiftSegments
+);
+
+/**
+ * PUT /api/transcript/videos/:videoId/segments/:segmentId
+ * Edit a segment's text, speaker label or timing
+ */
+router.put('/videos/:videoId/segments/:segmentId',
+  authMiddleware,
+  param('videoId').isInt().withMessage('Video ID must be an integer'),
+  param('segmentId').isInt().withMessage('Segment ID must be an integer'),
+  body('text').optional().isString().isLength({ min: 1, max: 10000 }).withMessage('Text must be 1-10000 characters'),
+  body('speakerLabel').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Speaker label must be at most 100 characters'),
+  body('startSeconds').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('startSeconds must be a positive number'),
+  body('endSeconds').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('endSeconds must be a positive number'),
+  validationMiddleware,
+  transcriptController.updateSegment
+);
+
+/**
+ * POST /api/transcript/videos/:videoId/speakers/rename
+ * Rename a speaker label across all segments
+ */
+router.post('/videos/:videoId/speakers/rename',
+  authMiddleware,
+  param('videoId').isInt().withMessage('Video ID must be an integer'),
+  body('from').isString().trim().isLength({ min: 1, max: 100 }).withMessage('from is required'),
+  body('to').isString().trim().isLength({ min: 1, max: 100 }).withMessage('to is required'),
+  validationMiddleware,
+  transcriptController.renameSpeaker
+);
+
 module.exports = router;
@@ -0,0 +1,45 @@
+/**
+ * Two-Factor Authentication Routes
+ * TOTP enrollment, recovery codes and remembered devices for the signed-in user
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const twoFactorController = require('../controllers/two-factor.controller');
+const { authMiddleware, validationMiddleware } = require('../middleware');
+const { authSecurityLimit } = require('../middleware/rate-limiting.middleware');
+
+const codeBody = body('code').trim().notEmpty().withMessage('Enter a code from your authenticator app');
+
+// All two-factor routes require a signed-in session
+router.use(authMiddleware);
+
+router.get('/', twoFactorController.getStatus.bind(twoFactorController));
+
+router.post('/setup', twoFactorController.startSetup.bind(twoFactorController));
+
+router.post('/enable',
+  authSecurityLimit,
+  codeBody,
+  validationMiddleware,
+  twoFactorController.enable.bind(twoFactorController)
+);
+
+router.post('/disable',
+  authSecurityLimit,
+  codeBody,
+  validationMiddleware,
+  twoFactorController.disable.bind(twoFactorController)
+);
+
+router.post('/recovery-codes',
+  authSecurityLimit,
+  codeBody,
+  validationMiddleware,
+  twoFactorController.regenerateRecoveryCodes.bind(twoFactorController)
+);
+
+router.delete('/trusted-devices', twoFactorController.forgetDevices.bind(twoFactorController));
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+const uploadsController = require('../controllers/uploads.controller');
+const contentService = require('../services/content.service');
+const { authMiddleware, subscriptionMiddleware, validationMiddleware } = require('../middleware');
+
+// All upload routes require authentication
+router.use(authMiddleware);
+
+const uploadIdParam = param('uploadId').isUUID().withMessage('Invalid upload ID');
+
+/**
+ * Reject content types the user cannot generate (system types plus their custom types)
+ */
+async function validateContentTypes(contentTypes, { req }) {
+  const available = (await contentService.getAvailableContentTypes(req.user.id)).map(type => type.key);
+  const invalid = contentTypes.filter(type => !available.includes(type));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid content type: ${invalid.join(', ')}. Available types: ${available.join(', ')}`);
+  }
+  return true;
+}
+
+/**
+ * @route   POST /api/uploads
+ * @desc    Start a resumable media upload (BILLABLE OPERATION - counted when the upload completes)
+ * @access  Private - Requires subscription with remaining video allowance
+ */
+router.post('/',
+  subscriptionMiddleware.requireSubscription('free'),
+  subscriptionMiddleware.checkUsageLimit('videos'),
+  body('filename').isString().trim().isLength({ min: 1, max: 255 }).withMessage('Filename is required'),
+  body('size').isInt({ min: 1 }).withMessage('Size must be a positive number of bytes'),
+  body('mimeType').matches(/^(audio|video)\/[\w.+-]+$/i).withMessage('Only audio and video files can be uploaded'),
+  body('title').optional().isString().isLength({ max: 255 }).withMessage('Title must be at most 255 characters'),
+  body('description').optional().isString().isLength({ max: 5000 }).withMessage('Description must be at most 5000 characters'),
+  body('contentTypes').optional().isArray().withMessage('Content types must be an array').bail().custom(validateContentTypes),
+  validationMiddleware,
+  uploadsController.createUpload.bind(uploadsController)
+);
+
+/**
+ * @route   HEAD|GET /api/uploads/:uploadId
+ * @desc    Get the current Upload-Offset to resume an interrupted upload
+ * @access  Private
+ */
+router.get('/:uploadId',
+  uploadIdParam,
+  validationMiddleware,
+  uploadsController.getUpload.bind(uploadsController)
+);
+
+/**
+ * @route   PATCH /api/uploads/:uploadId
+ * @desc    Append raw bytes (application/offset+octet-stream) at the Upload-Offset header
+ * @access  Private
+ */
+router.patch('/:uploadId',
+  uploadIdParam,
+  validationMiddleware,
+  uploadsController.uploadChunk.bind(uploadsController)
+);
+
+/**
+ * @route   DELETE /api/uploads/:uploadId
+ * @desc    Abort an in-progress upload and delete the stored parts
+ * @access  Private
+ */
+router.delete('/:uploadId',
+  uploadIdParam,
+  validationMiddleware,
+  uploadsController.abortUpload.bind(uploadsController)
+);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { authMiddleware, subscriptionMiddleware } = require('../middleware');
+const { listLanguages } = require('../utils/languages');
 
 // Apply authentication middleware to all video web routes
 router.use(authMiddleware);
@@ -19,6 +20,7 @@ router.get('/', (req, res) => {
     description: 'Manage your video content and AI-generated insights',
     user: req.user,
     subscription: req.subscriptionInfo,
+    contentLanguages: listLanguages(),
     showHeader: true,
     showFooter: true,
     showNav: true,
@@ -41,6 +41,16 @@ async function getAvailableContentTypes() {
   }
 }
 
+// System content types plus the user's own (custom types are per-user, so not cached)
+async function getContentTypesForUser(userId) {
+  const customContentTypeService = require('../services/custom-content-type.service');
+  const [systemTypes, customTypes] = await Promise.all([
+    getAvailableContentTypes(),
+    customContentTypeService.listKeys(userId).catch(() => [])
+  ]);
+  return systemTypes.concat(customTypes);
+}
+
 // Apply authentication middleware to all video routes
 router.use(authMiddleware);
 
@@ -62,7 +72,12 @@ const videoValidation = {
     body('channel_name')
       .optional()
       .isLength({ min: 1, max: 100 })
-      .withMessage('Channel name must be between 1-100 characters')
+      .withMessage('Channel name must be between 1-100 characters'),
+    body('workspace_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Invalid workspace ID')
+      .toInt()
   ],
 
   update: [
@@ -109,7 +124,12 @@ const videoValidation = {
     query('search')
       .optional()
       .isLength({ min: 1, max: 100 })
-      .withMessage('Search term must be between 1-100 characters')
+      .withMessage('Search term must be between 1-100 characters'),
+    query('workspace')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Invalid workspace ID')
+      .toInt()
   ]
 };
 
@@ -227,8 +247,8 @@ router.post('/:id/cancel',
 router.get('/:id/content/:contentType',
   videoValidation.params,
   param('contentType')
-    .custom(async (value) => {
-      const availableTypes = await getAvailableContentTypes();
+    .custom(async (value, { req }) => {
+      const availableTypes = await getContentTypesForUser(req.user.id);
       // Allow 'transcript' as an alias for 'transcript_text' for backward compatibility
       const isValidType = availableTypes.includes(value) ||
                          (value === 'transcript' && availableTypes.includes('transcript_text'));
@@ -280,13 +300,18 @@ router.post('/batch',
         }
         return true;
       }),
+    body('workspace_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Invalid workspace ID')
+      .toInt(),
     body('contentTypes')
       .optional()
       .isArray()
       .withMessage('Content types must be an array')
-      .custom(async (contentTypes) => {
+      .custom(async (contentTypes, { req }) => {
         if (contentTypes && contentTypes.length > 0) {
-          const validTypes = await getAvailableContentTypes();
+          const validTypes = await getContentTypesForUser(req.user.id);
           for (const type of contentTypes) {
             if (!validTypes.includes(type)) {
               throw new Error(`Invalid content type: ${type}. Available types: ${validTypes.join(', ')}`);
@@ -0,0 +1,51 @@
+/**
+ * Webhook Endpoint Routes
+ * Outbound webhooks for processing lifecycle events, with a delivery log and test events
+ */
+
+const express = require('express');
+const { param } = require('express-validator');
+const router = express.Router();
+const webhookEndpointsController = require('../controllers/webhook-endpoints.controller');
+const { authMiddleware, validationMiddleware } = require('../middleware');
+
+const endpointIdParam = param('endpointId').isInt({ min: 1 }).withMessage('Invalid webhook endpoint ID').toInt();
+
+// All webhook endpoint routes require authentication
+router.use(authMiddleware);
+
+router.get('/', webhookEndpointsController.listEndpoints.bind(webhookEndpointsController));
+
+router.post('/', webhookEndpointsController.createEndpoint.bind(webhookEndpointsController));
+
+router.put('/:endpointId',
+  endpointIdParam,
+  validationMiddleware,
+  webhookEndpointsController.updateEndpoint.bind(webhookEndpointsController)
+);
+
+router.delete('/:endpointId',
+  endpointIdParam,
+  validationMiddleware,
+  webhookEndpointsController.deleteEndpoint.bind(webhookEndpointsController)
+);
+
+router.get('/:endpointId/secret',
+  endpointIdParam,
+  validationMiddleware,
+  webhookEndpointsController.revealSecret.bind(webhookEndpointsController)
+);
+
+router.get('/:endpointId/deliveries',
+  endpointIdParam,
+  validationMiddleware,
+  webhookEndpointsController.listDeliveries.bind(webhookEndpointsController)
+);
+
+router.post('/:endpointId/test',
+  endpointIdParam,
+  validationMiddleware,
+  webhookEndpointsController.sendTestEvent.bind(webhookEndpointsController)
+);
+
+module.exports = router;
@@ -0,0 +1,108 @@
+/**
+ * Workspace Routes
+ * Team workspaces: members and roles, email invitations and the shared library
+ */
+
+const express = require('express');
+const { param } = require('express-validator');
+const router = express.Router();
+const workspacesController = require('../controllers/workspaces.controller');
+const { authMiddleware, validationMiddleware } = require('../middleware');
+
+const workspaceIdParam = param('workspaceId').isInt({ min: 1 }).withMessage('Invalid workspace ID').toInt();
+
+/**
+ * Validators for a workspace route with a second numeric ID
+ */
+function workspaceResource(name, message) {
+  return [
+    workspaceIdParam,
+    param(name).isInt({ min: 1 }).withMessage(message).toInt(),
+    validationMiddleware
+  ];
+}
+
+// All workspace routes require authentication
+router.use(authMiddleware);
+
+router.get('/', workspacesController.listWorkspaces.bind(workspacesController));
+
+router.post('/', workspacesController.createWorkspace.bind(workspacesController));
+
+// Registered before /:workspaceId so the token path is not read as a workspace ID
+router.post('/invitations/:token/accept',
+  param('token').isLength({ min: 20, max: 100 }).withMessage('Invalid invitation link'),
+  validationMiddleware,
+  workspacesController.acceptInvitation.bind(workspacesController)
+);
+
+router.get('/:workspaceId',
+  workspaceIdParam,
+  validationMiddleware,
+  workspacesController.getWorkspace.bind(workspacesController)
+);
+
+router.put('/:workspaceId',
+  workspaceIdParam,
+  validationMiddleware,
+  workspacesController.renameWorkspace.bind(workspacesController)
+);
+
+router.delete('/:workspaceId',
+  workspaceIdParam,
+  validationMiddleware,
+  workspacesController.deleteWorkspace.bind(workspacesController)
+);
+
+router.post('/:workspaceId/invitations',
+  workspaceIdParam,
+  validationMiddleware,
+  workspacesController.inviteMember.bind(workspacesController)
+);
+
+router.delete('/:workspaceId/invitations/:invitationId',
+  workspaceResource('invitationId', 'Invalid invitation ID'),
+  workspacesController.revokeInvitation.bind(workspacesController)
+);
+
+router.put('/:workspaceId/members/:userId',
+  workspaceResource('userId', 'Invalid user ID'),
+  workspacesController.updateMemberRole.bind(workspacesController)
+);
+
+router.delete('/:workspaceId/members/:userId',
+  workspaceResource('userId', 'Invalid user ID'),
+  workspacesController.removeMember.bind(workspacesController)
+);
+
+router.put('/:workspaceId/videos/:videoId',
+  workspaceResource('videoId', 'Invalid video ID'),
+  workspacesController.shareVideo.bind(workspacesController)
+);
+
+router.delete('/:workspaceId/videos/:videoId',
+  workspaceResource('videoId', 'Invalid video ID'),
+  workspacesController.unshareVideo.bind(workspacesController)
+);
+
+router.put('/:workspaceId/character-profiles/:profileId',
+  workspaceResource('profileId', 'Invalid character profile ID'),
+  workspacesController.shareCharacterProfile.bind(workspacesController)
+);
+
+router.delete('/:workspaceId/character-profiles/:profileId',
+  workspaceResource('profileId', 'Invalid character profile ID'),
+  workspacesController.unshareCharacterProfile.bind(workspacesController)
+);
+
+router.put('/:workspaceId/channels/:channelId',
+  workspaceResource('channelId', 'Invalid channel ID'),
+  workspacesController.connectChannel.bind(workspacesController)
+);
+
+router.delete('/:workspaceId/channels/:channelId',
+  workspaceResource('channelId', 'Invalid channel ID'),
+  workspacesController.disconnectChannel.bind(workspacesController)
+);
+
+module.exports = router;
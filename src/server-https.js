@@ -5,6 +5,8 @@ const { Server } = require('socket.io');
 const app = require('./app');
 const { logger } = require('./utils');
 const processingStatusService = require('./services/processing-status.service');
+const uploadService = require('./services/upload.service');
+const socketAuthMiddleware = require('./middleware/socket-auth.middleware');
 
 const PORT = process.env.HTTPS_PORT || 443;
 const HOST = process.env.HOST || '0.0.0.0';
@@ -27,25 +29,7 @@ const io = new Server(server, {
 });
 
 // Socket.IO authentication middleware
-io.use((socket, next) => {
-  const token = socket.handshake.auth.token;
-
-  if (!token) {
-    logger.warn('Socket.IO auth failed: no token');
-    return next(new Error('Authentication required'));
-  }
-
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    socket.userId = decoded.userId || decoded.id;
-    logger.debug(`Socket.IO auth success: userId=${socket.userId}`);
-    next();
-  } catch {
-    logger.warn('Socket.IO auth failed: invalid token');
-    next(new Error('Invalid token'));
-  }
-});
+io.use(socketAuthMiddleware);
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
@@ -53,7 +37,8 @@ io.on('connection', (socket) => {
   logger.debug(`Socket.IO connected: userId=${userId}`);
 
   // Register user session for status updates
-  processingStatusService.registerUserSession(userId, socket);
+  processingStatusService.registerUserSession(userId, socket)
+    .catch(error => logger.error(`Failed to register status session for user ${userId}:`, error));
 
   // Handle disconnect
   socket.on('disconnect', () => {
@@ -62,8 +47,8 @@ io.on('connection', (socket) => {
   });
 
   // Handle status request
-  socket.on('request-status', () => {
-    const processingVideos = processingStatusService.getUserProcessingVideos(userId);
+  socket.on('request-status', async () => {
+    const processingVideos = await processingStatusService.getUserProcessingVideos(userId);
     logger.debug(`Socket.IO status: userId=${userId} videos=${processingVideos.length}`);
     socket.emit('processing-status-batch', processingVideos);
   });
@@ -74,6 +59,16 @@ app.set('io', io);
 
 // Handle server startup
 const startServer = () => {
+  // Receive processing status updates published by other replicas and queue workers
+  processingStatusService.startListening();
+
+  // Prune stale processing status records and abandoned uploads hourly
+  setInterval(() => {
+    processingStatusService.cleanup()
+      .catch(error => logger.warn(`Processing status cleanup failed: ${error.message}`));
+    uploadService.cleanupExpiredUploads();
+  }, 60 * 60 * 1000);
+
   server.listen(PORT, HOST, () => {
     logger.info(`🚀 HTTPS Server running on https://dev.amplifycontent.ai${PORT === 443 ? '' : ':' + PORT}`);
     logger.info(`📍 Server binding to ${HOST}:${PORT} (accessible via dev.amplifycontent.ai)`);
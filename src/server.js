@@ -3,6 +3,8 @@ const { Server } = require('socket.io');
 const app = require('./app');
 const { logger } = require('./utils');
 const processingStatusService = require('./services/processing-status.service');
+const uploadService = require('./services/upload.service');
+const socketAuthMiddleware = require('./middleware/socket-auth.middleware');
 
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '0.0.0.0';
@@ -19,25 +21,7 @@ const io = new Server(server, {
 });
 
 // Socket.IO authentication middleware
-io.use((socket, next) => {
-  const token = socket.handshake.auth.token;
-
-  if (!token) {
-    return next(new Error('Authentication required'));
-  }
-
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Try both userId and id fields
-    socket.userId = decoded.userId || decoded.id;
-    next();
-  } catch (error) {
-    logger.error(`Socket.IO auth failed: ${error.message}`);
-    next(new Error('Invalid token'));
-  }
-});
+io.use(socketAuthMiddleware);
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
@@ -45,7 +29,8 @@ io.on('connection', (socket) => {
   logger.debug(`Socket.IO connected: userId=${userId}`);
 
   // Register user session for status updates
-  processingStatusService.registerUserSession(userId, socket);
+  processingStatusService.registerUserSession(userId, socket)
+    .catch(error => logger.error(`Failed to register status session for user ${userId}:`, error));
 
   // Handle disconnect
   socket.on('disconnect', () => {
@@ -54,16 +39,17 @@ io.on('connection', (socket) => {
   });
 
   // Handle status request
-  socket.on('request-status', () => {
-    const processingVideos = processingStatusService.getUserProcessingVideos(userId);
+  socket.on('request-status', async () => {
+    const processingVideos = await processingStatusService.getUserProcessingVideos(userId);
     logger.debug(`Socket.IO status: userId=${userId} videos=${processingVideos.length}`);
     socket.emit('processing-status-batch', processingVideos);
   });
 
   // Handle clear processing videos request (when user leaves videos page)
+  // Status is shared across nodes, so only completed videos are cleared here
   socket.on('clear-processing-videos', () => {
     logger.debug(`Socket.IO clear-processing: userId=${userId}`);
-    processingStatusService.clearUserProcessingVideos(userId);
+    processingStatusService.clearCompletedUserVideos(userId);
   });
 });
 
@@ -72,6 +58,16 @@ app.set('io', io);
 
 // Handle server startup
 const startServer = () => {
+  // Receive processing status updates published by other replicas and queue workers
+  processingStatusService.startListening();
+
+  // Prune stale processing status records and abandoned uploads hourly
+  setInterval(() => {
+    processingStatusService.cleanup()
+      .catch(error => logger.warn(`Processing status cleanup failed: ${error.message}`));
+    uploadService.cleanupExpiredUploads();
+  }, 60 * 60 * 1000);
+
   server.listen(PORT, HOST, () => {
     logger.info(`🚀 Server running on ${HOST}:${PORT}`);
     logger.info(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -2,6 +2,9 @@ const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { VertexAI } = require('@google-cloud/vertexai');
 const OpenAI = require('openai');
 const Anthropic = require('@anthropic-ai/sdk');
+const aiRoutingService = require('./ai-routing.service');
+const aiCostService = require('./ai-cost.service');
+const { DEFAULT_MODELS } = require('../config/ai-pricing.config');
 const { logger } = require('../utils');
 
 class AIChatService {
@@ -106,7 +109,7 @@ class AIChatService {
         systemMessage = '',
         temperature = 0.7,
         maxTokens = 2000,
-        model = process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+        model = DEFAULT_MODELS.gemini,
         contentType = 'unknown'
       } = options;
 
@@ -267,6 +270,7 @@ class AIChatService {
         tokensUsed: response.usageMetadata?.totalTokenCount || null,
         inputTokens: response.usageMetadata?.promptTokenCount || null,
         outputTokens: response.usageMetadata?.candidatesTokenCount || null,
+        model,
         duration: duration
       };
 
@@ -318,8 +322,7 @@ class AIChatService {
         systemMessage = '',
         temperature = 0.7,
         maxTokens = 2000,
-        //model = 'gpt-4o-mini'
-        model = 'gpt-5.1'
+        model = DEFAULT_MODELS.chatgpt
       } = options;
 
       logger.debug('Generating content with ChatGPT', {
@@ -360,6 +363,7 @@ class AIChatService {
         inputTokens: completion.usage?.prompt_tokens || null,
         outputTokens: completion.usage?.completion_tokens || null,
         finishReason: completion.choices[0]?.finish_reason,
+        model,
         duration: duration
       };
 
@@ -394,8 +398,7 @@ class AIChatService {
         systemMessage = '',
         temperature: rawTemperature = 0.7,
         maxTokens = 2000,
-        //model = 'claude-3-haiku-20240307'
-        model = 'claude-sonnet-4-5'
+        model = DEFAULT_MODELS.claude
       } = options;
 
       // Ensure temperature is a valid number (database may return string)
@@ -434,6 +437,7 @@ class AIChatService {
         inputTokens: completion.usage?.input_tokens || null,
         outputTokens: completion.usage?.output_tokens || null,
         stopReason: completion.stop_reason,
+        model,
         duration: duration
       };
 
@@ -477,51 +481,81 @@ class AIChatService {
   }
 
   /**
-   * Generate content with retry logic
-   * @param {string} provider - AI provider
-   * @param {Object} options - Generation options
-   * @param {number} maxRetries - Maximum retry attempts
-   * @returns {Promise<string>} Generated content
+   * Generate content with retries and the content type's provider fallback chain.
+   * Each provider is retried on errors; safety/recitation blocks and empty responses move
+   * straight on to the next provider. Every call is recorded with its tokens and cost.
+   * @param {string} provider - AI provider of the prompt
+   * @param {Object} options - Generation options; contentType selects the routing policy and
+   *   usageContext ({ userId, videoId }) attributes the calls in the cost ledger
+   * @param {number} maxRetries - Maximum retry attempts per provider
+   * @returns {Promise<Object>} { text, metrics } with metrics.provider, model, costUsd and fallbackFrom
    */
   async generateContentWithRetry(provider, options, maxRetries = 2) {
+    const { usageContext = {}, ...generationOptions } = options;
+    const chain = await aiRoutingService.resolveChain(provider, options.contentType, name => this.isProviderAvailable(name));
+    const firstProvider = chain[0].provider;
     let lastError;
-    let currentProvider = provider;
-
-    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
-      try {
-        logger.debug(`AI generation attempt ${attempt}/${maxRetries + 1} for ${currentProvider}`);
-        const result = await this.generateContent(currentProvider, options);
 
-        if (attempt > 1) {
-          logger.info(`AI generation succeeded on attempt ${attempt} for ${currentProvider}`);
-        }
+    for (const [index, link] of chain.entries()) {
+      if (index > 0) {
+        logger.warn(`Falling back from ${chain[index - 1].provider} to ${link.provider} for ${options.contentType || 'content'}`);
+      }
 
-        return result;
-      } catch (error) {
-        lastError = error;
-        logger.warn(`AI generation attempt ${attempt} failed for ${currentProvider}:`, error.message);
+      for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+        const startTime = Date.now();
+        const call = {
+          ...usageContext,
+          contentType: options.contentType,
+          provider: link.provider,
+          model: link.model,
+          fallbackFrom: index > 0 ? firstProvider : null
+        };
 
-        // Check for RECITATION error (Gemini content policy)
-        const isRecitationError = error.message && error.message.includes('RECITATION');
+        try {
+          logger.debug(`AI generation attempt ${attempt}/${maxRetries + 1} for ${link.provider} (${link.model})`);
+          const result = await this.generateContent(link.provider, { ...generationOptions, model: link.model });
 
-        if (isRecitationError) {
-          logger.warn(`RECITATION error detected - Gemini blocked content due to similarity to copyrighted material`);
+          if (attempt > 1) {
+            logger.info(`AI generation succeeded on attempt ${attempt} for ${link.provider}`);
+          }
 
-          // Try fallback to OpenAI if available and we were using Gemini
-          if (currentProvider === 'gemini' && this.isProviderAvailable('openai')) {
-            logger.info(`Attempting fallback to OpenAI for ${options.contentType || 'content'}`);
-            currentProvider = 'openai';
-            // Don't count this as a retry attempt - it's a provider switch
-            attempt--;
-            continue;
+          const metrics = result.metrics || {};
+          const costUsd = await aiCostService.recordCall({
+            ...call,
+            status: 'success',
+            inputTokens: metrics.inputTokens,
+            outputTokens: metrics.outputTokens,
+            durationMs: Date.now() - startTime
+          });
+
+          return {
+            ...result,
+            metrics: { ...metrics, provider: link.provider, model: link.model, costUsd, fallbackFrom: call.fallbackFrom }
+          };
+        } catch (error) {
+          lastError = error;
+          logger.warn(`AI generation attempt ${attempt} failed for ${link.provider}:`, error.message);
+
+          // Blocked prompts are still billed for their input tokens
+          await aiCostService.recordCall({
+            ...call,
+            status: 'failed',
+            errorCode: error.code || 'GENERATION_FAILED',
+            inputTokens: error.details?.inputTokens,
+            durationMs: Date.now() - startTime
+          });
+
+          if (aiRoutingService.shouldFallBack(error)) {
+            logger.warn(`${link.provider} refused ${options.contentType || 'content'} (${error.code || error.message}) - not retrying this provider`);
+            break;
           }
-        }
 
-        if (attempt <= maxRetries) {
-          // Wait before retry (exponential backoff)
-          const delay = Math.pow(2, attempt - 1) * 1000;
-          logger.debug(`Retrying in ${delay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
+          if (attempt <= maxRetries) {
+            // Wait before retry (exponential backoff)
+            const delay = Math.pow(2, attempt - 1) * 1000;
+            logger.debug(`Retrying in ${delay}ms...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+          }
         }
       }
     }
@@ -549,6 +583,13 @@ class AIChatService {
       processed = processed.replace(/\[INSERT TRANSCRIPT HERE\]/gi, variables.TRANSCRIPT);
     }
 
+    // Speaker-labelled transcript ("[mm:ss] Speaker 1: ..."); falls back to the flat transcript
+    const speakerTranscript = variables.SPEAKER_TRANSCRIPT || variables.TRANSCRIPT;
+    if (speakerTranscript) {
+      processed = processed.replace(/{{SPEAKER_TRANSCRIPT}}/gi, speakerTranscript);
+      processed = processed.replace(/\[INSERT SPEAKER_TRANSCRIPT HERE\]/gi, speakerTranscript);
+    }
+
     // Log if there are unresolved placeholders
     const unresolvedPlaceholders = processed.match(/{{[^}]+}}/g);
     if (unresolvedPlaceholders) {
@@ -588,6 +629,19 @@ class AIChatService {
     return providers;
   }
 
+  /**
+   * Pick a provider for a follow-up call on existing content: the preferred one
+   * (usually the provider that generated it) when configured, otherwise any available one
+   * @param {string} [preferred] - Preferred provider
+   * @returns {string|null} Provider, or null when none is configured
+   */
+  resolveProvider(preferred) {
+    if (preferred && this.isProviderAvailable(preferred)) {
+      return preferred;
+    }
+    return this.getAvailableProviders()[0] || null;
+  }
+
   /**
    * Test AI provider connectivity
    * @param {string} provider - Provider to test
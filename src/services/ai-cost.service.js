@@ -0,0 +1,213 @@
+/**
+ * AI Cost Service
+ * Token and cost accounting for AI calls. Every provider call, failed attempts and
+ * fallbacks included, is stored in ai_usage_calls with its estimated cost; admins read
+ * the per-user monthly ledger from there.
+ */
+
+const database = require('./database.service');
+const { DEFAULT_MODELS, MODEL_PRICING, PROVIDER_FALLBACK_PRICING } = require('../config/ai-pricing.config');
+const { logger } = require('../utils');
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function costError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class AiCostService {
+  /**
+   * Model a provider runs when none is selected
+   * @param {string} provider - Provider key
+   * @param {string} [model] - Selected model
+   * @returns {string|null}
+   */
+  resolveModel(provider, model) {
+    return model || DEFAULT_MODELS[provider] || null;
+  }
+
+  /**
+   * List price of a model, or of the provider's default model when the model is unknown
+   * @param {string} provider - Provider key
+   * @param {string} [model] - Model name
+   * @returns {Object|null} { input, output } in USD per 1M tokens
+   */
+  getPricing(provider, model) {
+    return MODEL_PRICING[this.resolveModel(provider, model)] || PROVIDER_FALLBACK_PRICING[provider] || null;
+  }
+
+  /**
+   * Estimated cost of a call in USD
+   * @returns {number}
+   */
+  estimateCost(provider, model, inputTokens = 0, outputTokens = 0) {
+    const pricing = this.getPricing(provider, model);
+    if (!pricing) return 0;
+
+    const cost = ((inputTokens || 0) * pricing.input + (outputTokens || 0) * pricing.output) / 1000000;
+    return Math.round(cost * 1000000) / 1000000;
+  }
+
+  /**
+   * Store one provider call. Never throws: accounting must not fail the generation.
+   * @param {Object} call - { userId, videoId, contentType, provider, model, status, errorCode, fallbackFrom, inputTokens, outputTokens, durationMs }
+   * @returns {Promise<number>} Estimated cost in USD
+   */
+  async recordCall(call) {
+    const model = this.resolveModel(call.provider, call.model);
+    const inputTokens = Number.isFinite(call.inputTokens) ? call.inputTokens : 0;
+    const outputTokens = Number.isFinite(call.outputTokens) ? call.outputTokens : 0;
+    const costUsd = this.estimateCost(call.provider, model, inputTokens, outputTokens);
+
+    try {
+      await database.query(`
+        INSERT INTO ai_usage_calls (
+          users_id, video_id, content_type, provider, model, status, error_code,
+          fallback_from, input_tokens, output_tokens, cost_usd, duration_ms
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      `, [
+        call.userId || null,
+        call.videoId || null,
+        call.contentType || null,
+        call.provider,
+        model,
+        call.status,
+        call.errorCode ? String(call.errorCode).substring(0, 50) : null,
+        call.fallbackFrom || null,
+        inputTokens,
+        outputTokens,
+        costUsd,
+        Number.isFinite(call.durationMs) ? Math.round(call.durationMs) : null
+      ]);
+    } catch (error) {
+      logger.warn(`Failed to record ${call.provider} AI call: ${error.message}`);
+    }
+
+    return costUsd;
+  }
+
+  // ─── LEDGER ────────────────────────────────────────────────────────
+
+  /**
+   * Totals, per-provider totals and per-user costs for one month
+   * @param {string} [month] - YYYY-MM (defaults to the current month, UTC)
+   * @returns {Promise<Object>} { month, totals, providers, users }
+   */
+  async getMonthlyLedger(month) {
+    const start = this.parseMonth(month);
+    const params = [start];
+    const inMonth = column => `${column} >= $1::date AND ${column} < ($1::date + INTERVAL '1 month')`;
+
+    const providers = await database.query(`
+      SELECT provider, model,
+             COUNT(*) AS calls,
+             COUNT(*) FILTER (WHERE status = 'failed') AS failed_calls,
+             COUNT(*) FILTER (WHERE fallback_from IS NOT NULL AND status = 'success') AS fallback_calls,
+             COALESCE(SUM(input_tokens), 0) AS input_tokens,
+             COALESCE(SUM(output_tokens), 0) AS output_tokens,
+             COALESCE(SUM(cost_usd), 0) AS cost_usd
+      FROM ai_usage_calls
+      WHERE ${inMonth('created_at')}
+      GROUP BY provider, model
+      ORDER BY cost_usd DESC
+    `, params);
+
+    const users = await database.query(`
+      SELECT c.users_id, u.email, u.first_name, u.last_name,
+             COUNT(*) AS calls,
+             COUNT(*) FILTER (WHERE c.status = 'failed') AS failed_calls,
+             COUNT(*) FILTER (WHERE c.fallback_from IS NOT NULL AND c.status = 'success') AS fallback_calls,
+             COALESCE(SUM(c.input_tokens), 0) AS input_tokens,
+             COALESCE(SUM(c.output_tokens), 0) AS output_tokens,
+             COALESCE(SUM(c.cost_usd), 0) AS cost_usd
+      FROM ai_usage_calls c
+      LEFT JOIN users u ON u.id = c.users_id
+      WHERE ${inMonth('c.created_at')}
+      GROUP BY c.users_id, u.email, u.first_name, u.last_name
+      ORDER BY cost_usd DESC
+    `, params);
+
+    const providerRows = providers.rows.map(row => ({
+      provider: row.provider,
+      model: row.model,
+      ...this.formatTotals(row)
+    }));
+
+    return {
+      month: start.substring(0, 7),
+      totals: providerRows.reduce((totals, row) => ({
+        calls: totals.calls + row.calls,
+        failedCalls: totals.failedCalls + row.failedCalls,
+        fallbackCalls: totals.fallbackCalls + row.fallbackCalls,
+        inputTokens: totals.inputTokens + row.inputTokens,
+        outputTokens: totals.outputTokens + row.outputTokens,
+        costUsd: Math.round((totals.costUsd + row.costUsd) * 1000000) / 1000000
+      }), { calls: 0, failedCalls: 0, fallbackCalls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 }),
+      providers: providerRows,
+      users: users.rows.map(row => ({
+        userId: row.users_id,
+        email: row.email || null,
+        name: [row.first_name, row.last_name].filter(Boolean).join(' ') || null,
+        ...this.formatTotals(row)
+      }))
+    };
+  }
+
+  /**
+   * A user's cost per month, newest first
+   * @param {number} userId - User ID
+   * @param {number} [months] - How many months back, including the current one
+   * @returns {Promise<Array>} [{ month, calls, failedCalls, fallbackCalls, inputTokens, outputTokens, costUsd }]
+   */
+  async getUserLedger(userId, months = 12) {
+    const result = await database.query(`
+      SELECT TO_CHAR(DATE_TRUNC('month', created_at), 'YYYY-MM') AS month,
+             COUNT(*) AS calls,
+             COUNT(*) FILTER (WHERE status = 'failed') AS failed_calls,
+             COUNT(*) FILTER (WHERE fallback_from IS NOT NULL AND status = 'success') AS fallback_calls,
+             COALESCE(SUM(input_tokens), 0) AS input_tokens,
+             COALESCE(SUM(output_tokens), 0) AS output_tokens,
+             COALESCE(SUM(cost_usd), 0) AS cost_usd
+      FROM ai_usage_calls
+      WHERE users_id = $1
+        AND created_at >= DATE_TRUNC('month', CURRENT_TIMESTAMP) - ($2::int - 1) * INTERVAL '1 month'
+      GROUP BY 1
+      ORDER BY 1 DESC
+    `, [userId, months]);
+
+    return result.rows.map(row => ({ month: row.month, ...this.formatTotals(row) }));
+  }
+
+  // ─── HELPERS ───────────────────────────────────────────────────────
+
+  /**
+   * First day (YYYY-MM-01) of a YYYY-MM month, or of the current month
+   */
+  parseMonth(month) {
+    if (!month) {
+      return `${new Date().toISOString().substring(0, 7)}-01`;
+    }
+    if (!MONTH_PATTERN.test(month)) {
+      throw costError('Month must be in YYYY-MM format', 'INVALID_MONTH');
+    }
+    return `${month}-01`;
+  }
+
+  /**
+   * Counts and sums come back from pg as strings
+   */
+  formatTotals(row) {
+    return {
+      calls: Number(row.calls),
+      failedCalls: Number(row.failed_calls),
+      fallbackCalls: Number(row.fallback_calls),
+      inputTokens: Number(row.input_tokens),
+      outputTokens: Number(row.output_tokens),
+      costUsd: Number(row.cost_usd)
+    };
+  }
+}
+
+module.exports = new AiCostService();
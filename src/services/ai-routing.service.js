@@ -0,0 +1,201 @@
+/**
+ * AI Routing Service
+ * Routing policies per content type: the providers a generation falls back to when its
+ * prompt's provider is blocked or down, the model each provider runs, and whether the
+ * chain is tried in order or cheapest first.
+ */
+
+const { aiRoutingPolicy } = require('../models');
+const aiCostService = require('./ai-cost.service');
+const { logger } = require('../utils');
+
+const PROVIDERS = ['gemini', 'chatgpt', 'claude'];
+const STRATEGIES = ['ordered', 'cheapest'];
+
+/** Policies are read on every generation; admins' changes apply within this window */
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+
+/** Provider refusals that another provider may not share: go to the next one instead of retrying */
+const FALLBACK_ERROR_CODES = ['CONTENT_FILTERED', 'EMPTY_RESPONSE'];
+const FALLBACK_ERROR_PATTERN = /RECITATION|SAFETY/;
+
+const MODEL_PATTERN = /^[A-Za-z0-9._:-]{1,100}$/;
+
+function routingError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class AiRoutingService {
+  constructor() {
+    this.policyCache = new Map();
+  }
+
+  // ─── ROUTING ───────────────────────────────────────────────────────
+
+  /**
+   * Providers and models to try for a generation, in order
+   * @param {string} provider - Provider of the prompt being run
+   * @param {string} [contentType] - Content type key
+   * @param {Function} isAvailable - (provider) => whether the provider is configured
+   * @returns {Promise<Array>} [{ provider, model }]
+   */
+  async resolveChain(provider, contentType, isAvailable) {
+    const primary = String(provider).toLowerCase();
+    const policy = await this.getPolicy(contentType);
+    const models = policy?.provider_models || {};
+
+    const candidates = [...new Set([primary, ...(policy?.fallback_providers || [])])];
+    const available = candidates.filter(candidate => isAvailable(candidate));
+
+    // Nothing configured: run the prompt's provider so its own error surfaces
+    let chain = (available.length > 0 ? available : [primary]).map(candidate => ({
+      provider: candidate,
+      model: aiCostService.resolveModel(candidate, models[candidate])
+    }));
+
+    if (policy?.strategy === 'cheapest') {
+      const price = link => {
+        const pricing = aiCostService.getPricing(link.provider, link.model);
+        return pricing ? pricing.input + pricing.output : Infinity;
+      };
+      chain = chain
+        .map((link, index) => ({ link, index }))
+        .sort((a, b) => price(a.link) - price(b.link) || a.index - b.index)
+        .map(entry => entry.link);
+    }
+
+    return chain;
+  }
+
+  /**
+   * Whether an error should move on to the next provider without retrying this one
+   * @param {Error} error - Provider error
+   * @returns {boolean}
+   */
+  shouldFallBack(error) {
+    return FALLBACK_ERROR_CODES.includes(error.code) || FALLBACK_ERROR_PATTERN.test(error.message || '');
+  }
+
+  /**
+   * Active policy for a content type (or the default), cached briefly. Never throws:
+   * without a policy, generation runs the prompt's provider alone.
+   * @param {string} [contentType] - Content type key
+   * @returns {Promise<Object|null>}
+   */
+  async getPolicy(contentType) {
+    const key = contentType || '';
+    const cached = this.policyCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.policy;
+    }
+
+    let policy = null;
+    try {
+      policy = await aiRoutingPolicy.findForContentType(contentType);
+    } catch (error) {
+      logger.warn(`Could not load AI routing policy for ${key || 'default'}: ${error.message}`);
+      return null;
+    }
+
+    this.policyCache.set(key, { policy, expiresAt: Date.now() + POLICY_CACHE_TTL_MS });
+    return policy;
+  }
+
+  // ─── ADMIN ─────────────────────────────────────────────────────────
+
+  /**
+   * All policies with their content type, default first
+   * @returns {Promise<Array>}
+   */
+  async listPolicies() {
+    return aiRoutingPolicy.listWithContentType();
+  }
+
+  /**
+   * Create or replace the policy of a content type, or the default when contentTypeId is null
+   * @param {number|null} contentTypeId - content_types row ID
+   * @param {Object} data - { fallbackProviders, providerModels, strategy, isActive }
+   * @param {number} adminUserId - Admin saving the policy
+   * @returns {Promise<Object>}
+   */
+  async savePolicy(contentTypeId, data, adminUserId) {
+    const fields = {
+      ...this.normalizePolicy(data),
+      updated_by_user_id: adminUserId
+    };
+
+    const existing = await aiRoutingPolicy.findByContentTypeId(contentTypeId);
+    const saved = existing
+      ? await aiRoutingPolicy.update(existing.id, fields)
+      : await aiRoutingPolicy.create({ ...fields, content_type_id: contentTypeId });
+
+    this.policyCache.clear();
+    logger.info(`Admin ${adminUserId} saved AI routing policy ${saved.id} for ${contentTypeId ? `content type ${contentTypeId}` : 'all content types'}`);
+    return saved;
+  }
+
+  /**
+   * Remove a content type's policy so it uses the default again
+   * @param {number} contentTypeId - content_types row ID
+   * @returns {Promise<void>}
+   */
+  async deletePolicy(contentTypeId) {
+    const existing = contentTypeId ? await aiRoutingPolicy.findByContentTypeId(contentTypeId) : null;
+    if (!existing) {
+      throw routingError('Routing policy not found', 'POLICY_NOT_FOUND');
+    }
+
+    await aiRoutingPolicy.delete(existing.id);
+    this.policyCache.clear();
+  }
+
+  // ─── HELPERS ───────────────────────────────────────────────────────
+
+  /**
+   * Validate a policy from the admin form into columns
+   */
+  normalizePolicy(data) {
+    const fallbackProviders = Array.isArray(data.fallbackProviders) ? data.fallbackProviders : [];
+    for (const provider of fallbackProviders) {
+      if (!PROVIDERS.includes(provider)) {
+        throw routingError(`Unknown provider: ${provider}`, 'INVALID_POLICY');
+      }
+    }
+    if (new Set(fallbackProviders).size !== fallbackProviders.length) {
+      throw routingError('Each fallback provider can only be listed once', 'INVALID_POLICY');
+    }
+
+    const providerModels = {};
+    for (const [provider, model] of Object.entries(data.providerModels || {})) {
+      if (!PROVIDERS.includes(provider)) {
+        throw routingError(`Unknown provider: ${provider}`, 'INVALID_POLICY');
+      }
+      const trimmed = String(model || '').trim();
+      if (!trimmed) continue;
+      if (!MODEL_PATTERN.test(trimmed)) {
+        throw routingError(`Invalid model name for ${provider}`, 'INVALID_POLICY');
+      }
+      providerModels[provider] = trimmed;
+    }
+
+    const strategy = data.strategy || 'ordered';
+    if (!STRATEGIES.includes(strategy)) {
+      throw routingError(`Strategy must be one of: ${STRATEGIES.join(', ')}`, 'INVALID_POLICY');
+    }
+
+    return {
+      // JSONB columns are written as JSON text
+      fallback_providers: JSON.stringify(fallbackProviders),
+      provider_models: JSON.stringify(providerModels),
+      strategy,
+      is_active: data.isActive !== false
+    };
+  }
+}
+
+const aiRoutingService = new AiRoutingService();
+aiRoutingService.PROVIDERS = PROVIDERS;
+aiRoutingService.STRATEGIES = STRATEGIES;
+module.exports = aiRoutingService;
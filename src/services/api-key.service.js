@@ -0,0 +1,234 @@
+/**
+ * API Key Service
+ * Authenticates public API (/api/v1) requests with the user's API keys, enforces the
+ * plan's monthly API call allowance, and manages keys from the settings page.
+ */
+
+const { apiKeys } = require('../models');
+const authService = require('./auth.service');
+const subscriptionService = require('./subscription.service');
+const subscriptionPlansService = require('./subscription-plans.service');
+const { logger } = require('../utils');
+
+// Scopes a key can be granted ('*' grants all of them)
+const PERMISSIONS = {
+  read: 'Read videos, processing status, content, exports and thumbnails',
+  videos: 'Submit videos for processing',
+  thumbnails: 'Generate, select and delete thumbnails'
+};
+
+const RATE_LIMIT_WINDOWS = ['minute', 'hour', 'day'];
+const MAX_KEYS_PER_USER = 10;
+const MAX_RATE_LIMIT = 10000;
+
+function apiKeyError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class ApiKeyService {
+  // ─── AUTHENTICATION ────────────────────────────────────────────────
+
+  /**
+   * Resolve a raw API key to the key record and its owner
+   * @param {string} rawKey - Full key (oal_<keyId>_<secret>)
+   * @returns {Promise<Object>} { key, user }
+   */
+  async authenticate(rawKey) {
+    const key = rawKey ? await apiKeys.validateApiKey(rawKey) : null;
+    if (!key) {
+      throw apiKeyError('Invalid or expired API key', 'INVALID_API_KEY');
+    }
+
+    const user = await authService.findUserById(key.users_id);
+    if (!user || !user.emailVerified || user.status !== 'active') {
+      throw apiKeyError('The account this API key belongs to is not active', 'ACCOUNT_INACTIVE');
+    }
+
+    // eslint-disable-next-line no-unused-vars
+    const { password: _password, emailVerificationToken: _token, ...safeUser } = user;
+    return { key, user: safeUser };
+  }
+
+  /**
+   * Whether a key grants a permission
+   * @param {Object} key - Validated key record
+   * @param {string} permission - Permission name
+   * @returns {boolean}
+   */
+  hasPermission(key, permission) {
+    return apiKeys.hasPermission(key, permission);
+  }
+
+  /**
+   * Check the plan's monthly API call allowance before serving a call
+   * @param {Object} user - Key owner
+   * @returns {Promise<Object>} { limit, used } (limit -1 = unlimited)
+   */
+  async checkCallQuota(user) {
+    const plan = await subscriptionPlansService.getPlanByKey(user.subscription_tier || 'free');
+    const limit = plan ? plan.apiCallsLimit : 0;
+
+    if (limit === 0) {
+      throw apiKeyError('Your plan does not include API access', 'API_ACCESS_NOT_INCLUDED');
+    }
+    if (limit === -1) {
+      return { limit, used: null };
+    }
+
+    const usage = await subscriptionService.getCurrentPeriodUsageBreakdown(user.id);
+    const used = usage.api_calls || 0;
+    if (used >= limit) {
+      throw apiKeyError(`Monthly API call limit of ${limit} reached`, 'API_CALL_LIMIT_EXCEEDED');
+    }
+
+    return { limit, used };
+  }
+
+  /**
+   * Count a served call against the plan allowance. Never throws.
+   * @param {number} userId - Key owner
+   * @returns {Promise<void>}
+   */
+  async recordCall(userId) {
+    try {
+      await subscriptionService.trackUsage(userId, 'api_calls', 1);
+    } catch (error) {
+      logger.warn(`Failed to count API call for user ${userId}: ${error.message}`);
+    }
+  }
+
+  // ─── KEY MANAGEMENT ────────────────────────────────────────────────
+
+  /**
+   * The user's keys (without secrets) and their plan's API allowance
+   * @param {number} userId - User ID
+   * @param {string} tier - User's subscription tier
+   * @returns {Promise<Object>} { keys, apiCallsLimit, apiCallsUsed }
+   */
+  async listKeys(userId, tier) {
+    const [keys, plan, usage] = await Promise.all([
+      apiKeys.getUserApiKeys(userId),
+      subscriptionPlansService.getPlanByKey(tier || 'free'),
+      subscriptionService.getCurrentPeriodUsageBreakdown(userId)
+    ]);
+
+    return {
+      keys: keys.map(key => this.formatKey(key)),
+      apiCallsLimit: plan ? plan.apiCallsLimit : 0,
+      apiCallsUsed: usage.api_calls || 0
+    };
+  }
+
+  /**
+   * Create a key. The full key is only returned here.
+   * @param {number} userId - User ID
+   * @param {Object} data - { name, description, permissions, rateLimit, rateLimitWindow, expiresInDays }
+   * @returns {Promise<Object>} Formatted key with apiKey
+   */
+  async createKey(userId, data) {
+    const name = String(data.name || '').trim();
+    if (!name || name.length > 100) {
+      throw apiKeyError('Name is required (at most 100 characters)', 'INVALID_API_KEY_REQUEST');
+    }
+
+    const permissions = this.normalizePermissions(data.permissions);
+
+    const rateLimit = data.rateLimit === undefined ? 1000 : Number(data.rateLimit);
+    if (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > MAX_RATE_LIMIT) {
+      throw apiKeyError(`Rate limit must be between 1 and ${MAX_RATE_LIMIT}`, 'INVALID_API_KEY_REQUEST');
+    }
+
+    const rateLimitWindow = data.rateLimitWindow || 'hour';
+    if (!RATE_LIMIT_WINDOWS.includes(rateLimitWindow)) {
+      throw apiKeyError(`Rate limit window must be one of: ${RATE_LIMIT_WINDOWS.join(', ')}`, 'INVALID_API_KEY_REQUEST');
+    }
+
+    let expiresAt = null;
+    if (data.expiresInDays) {
+      const days = Number(data.expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > 365) {
+        throw apiKeyError('Expiry must be between 1 and 365 days', 'INVALID_API_KEY_REQUEST');
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const activeKeys = await apiKeys.getActiveUserApiKeys(userId);
+    if (activeKeys.length >= MAX_KEYS_PER_USER) {
+      throw apiKeyError(`You can have at most ${MAX_KEYS_PER_USER} active API keys`, 'API_KEY_LIMIT_REACHED');
+    }
+
+    const created = await apiKeys.createApiKey(userId, {
+      name,
+      description: data.description ? String(data.description).trim().substring(0, 500) : null,
+      permissions,
+      rate_limit: rateLimit,
+      rate_limit_window: rateLimitWindow,
+      expires_at: expiresAt
+    });
+
+    return { ...this.formatKey(created), apiKey: created.api_key };
+  }
+
+  /**
+   * Revoke one of the user's keys
+   * @param {number} userId - User ID
+   * @param {number} keyId - api_keys row ID
+   * @returns {Promise<Object>} Formatted key
+   */
+  async revokeKey(userId, keyId) {
+    const key = await apiKeys.findById(keyId);
+    if (!key || key.users_id !== userId) {
+      throw apiKeyError('API key not found', 'API_KEY_NOT_FOUND');
+    }
+
+    const revoked = await apiKeys.revokeApiKey(keyId, userId);
+    return this.formatKey(revoked);
+  }
+
+  // ─── HELPERS ───────────────────────────────────────────────────────
+
+  /**
+   * Validate requested permissions ('*' alone grants everything)
+   */
+  normalizePermissions(permissions) {
+    const requested = Array.isArray(permissions) && permissions.length > 0 ? [...new Set(permissions)] : ['read'];
+    if (requested.includes('*')) {
+      return ['*'];
+    }
+
+    for (const permission of requested) {
+      if (!PERMISSIONS[permission]) {
+        throw apiKeyError(`Unknown permission: ${permission}`, 'INVALID_API_KEY_REQUEST');
+      }
+    }
+    return requested;
+  }
+
+  /**
+   * Key record as shown to its owner (the secret is never stored in responses)
+   */
+  formatKey(key) {
+    return {
+      id: key.id,
+      keyId: key.key_id,
+      prefix: `oal_${key.key_id}_`,
+      name: key.name,
+      description: key.description,
+      permissions: key.permissions || [],
+      rateLimit: key.rate_limit,
+      rateLimitWindow: key.rate_limit_window,
+      isActive: key.is_active,
+      expiresAt: key.expires_at,
+      lastUsed: key.last_used,
+      usageCount: key.usage_count || 0,
+      createdAt: key.created_at
+    };
+  }
+}
+
+const apiKeyService = new ApiKeyService();
+apiKeyService.PERMISSIONS = PERMISSIONS;
+apiKeyService.RATE_LIMIT_WINDOWS = RATE_LIMIT_WINDOWS;
+module.exports = apiKeyService;
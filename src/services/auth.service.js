@@ -373,9 +373,11 @@ class AuthService {
    * Generate JWT token for user
    * @param {string} userId - User ID
    * @param {string} email - User email
+   * @param {Object} userData - User fields to embed in the token
+   * @param {Object} options - { sessionId } of the login session, stored as the sid claim
    * @returns {string} JWT token
    */
-  generateToken(userId, email, userData = null) {
+  generateToken(userId, email, userData = null, options = {}) {
     try {
       logger.info(`Generating JWT token for user: ${userId}`);
 
@@ -404,6 +406,11 @@ class AuthService {
         });
       }
 
+      // Tokens are bound to their login session so signing it out revokes them
+      if (options.sessionId) {
+        payload.sid = options.sessionId;
+      }
+
       const token = jwt.sign(
         payload,
         process.env.JWT_SECRET,
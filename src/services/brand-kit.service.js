@@ -0,0 +1,360 @@
+/**
+ * Brand Kit Service
+ * User-defined slide themes (palette, fonts, logo, footer text) that can be
+ * selected per PPTX / slide-PDF download instead of a THEME_PRESETS entry.
+ */
+
+const PDFDocument = require('pdfkit');
+const slideDeckGenerationService = require('./slide-deck-generation.service');
+const { brandKit } = require('../models');
+const { logger } = require('../utils');
+
+/** Maximum brand kits per user */
+const MAX_BRAND_KITS = 20;
+
+/** Upload limits for kit files */
+const MAX_FONT_BYTES = 5 * 1024 * 1024;
+const MAX_LOGO_BYTES = 2 * 1024 * 1024;
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const FONT_FAMILY_PATTERN = /^[\w][\w .-]{0,99}$/;
+
+const DEFAULT_FONTS = { heading: 'Georgia', body: 'Arial' };
+const DARK_SLIDE_TYPES = ['title', 'section_divider', 'quote', 'summary'];
+
+function brandKitError(message, code, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+class BrandKitService {
+  /**
+   * Validate a full 10-slot palette, including text/background contrast
+   * @param {Object|string} colors - Palette object (or JSON string from a multipart form)
+   * @returns {Object} Palette with lower-cased hex values
+   */
+  normalizeColors(colors) {
+    let palette = colors;
+    if (typeof palette === 'string') {
+      try {
+        palette = JSON.parse(palette);
+      } catch {
+        throw brandKitError('colors must be a JSON object', 'INVALID_BRAND_KIT');
+      }
+    }
+    if (!palette || typeof palette !== 'object' || Array.isArray(palette)) {
+      throw brandKitError('colors must be an object', 'INVALID_BRAND_KIT');
+    }
+
+    const normalized = {};
+    for (const slot of slideDeckGenerationService.THEME_COLOR_SLOTS) {
+      const value = typeof palette[slot] === 'string' ? palette[slot].trim() : '';
+      if (!HEX_COLOR_PATTERN.test(value)) {
+        throw brandKitError(`colors.${slot} must be a hex color like #1A2B3C`, 'INVALID_BRAND_KIT');
+      }
+      normalized[slot] = value.toLowerCase();
+    }
+
+    const failures = slideDeckGenerationService.checkThemeContrast(normalized);
+    if (failures.length > 0) {
+      const summary = failures
+        .map(f => `${f.foreground} on ${f.background} is ${f.ratio}:1 (needs ${f.minRatio}:1)`)
+        .join('; ');
+      throw brandKitError(`Some brand colors are too low-contrast to read: ${summary}`, 'BRAND_KIT_CONTRAST', failures);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate a font family name used in PPTX output
+   * @param {string} family - Font family name
+   * @param {string} field - Field name for the error message
+   * @returns {string}
+   */
+  normalizeFontFamily(family, field) {
+    const value = String(family).trim();
+    if (!FONT_FAMILY_PATTERN.test(value)) {
+      throw brandKitError(`${field} must be a font family name (letters, numbers, spaces, dots or dashes)`, 'INVALID_BRAND_KIT');
+    }
+    return value;
+  }
+
+  /**
+   * Check an uploaded font is a TTF/OTF that pdfkit can embed
+   * @param {Object} file - multer file ({ buffer, originalname, size })
+   */
+  validateFontFile(file) {
+    if (file.size > MAX_FONT_BYTES) {
+      throw brandKitError(`Font files must be ${MAX_FONT_BYTES / 1024 / 1024}MB or smaller`, 'INVALID_BRAND_KIT');
+    }
+
+    try {
+      const doc = new PDFDocument({ autoFirstPage: false });
+      doc.font(file.buffer);
+    } catch {
+      throw brandKitError(`${file.originalname} is not a usable TTF or OTF font`, 'INVALID_BRAND_KIT');
+    }
+  }
+
+  /**
+   * Check an uploaded logo is a PNG or JPEG (the formats both pptxgenjs and pdfkit embed)
+   * @param {Object} file - multer file ({ buffer, size })
+   * @returns {string} Detected MIME type
+   */
+  detectLogoType(file) {
+    if (file.size > MAX_LOGO_BYTES) {
+      throw brandKitError(`Logos must be ${MAX_LOGO_BYTES / 1024 / 1024}MB or smaller`, 'INVALID_BRAND_KIT');
+    }
+
+    const bytes = file.buffer;
+    if (bytes.length > 8 && bytes.readUInt32BE(0) === 0x89504e47) {
+      return 'image/png';
+    }
+    if (bytes.length > 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) {
+      return 'image/jpeg';
+    }
+    throw brandKitError('Logo must be a PNG or JPEG image', 'INVALID_BRAND_KIT');
+  }
+
+  /**
+   * Build model fields from request fields and uploaded files.
+   * On update, omitted fields are left unchanged; remove_logo / remove_heading_font /
+   * remove_body_font clear the stored file.
+   * @param {Object} fields - Request body
+   * @param {Object} files - multer files keyed by field (heading_font, body_font, logo)
+   * @param {boolean} isUpdate - Whether this is an update
+   * @returns {Object} Model data
+   */
+  buildKitData(fields, files = {}, isUpdate = false) {
+    const data = {};
+
+    if (fields.name !== undefined || !isUpdate) {
+      const name = String(fields.name || '').trim();
+      if (!name || name.length > 100) {
+        throw brandKitError('name is required (at most 100 characters)', 'INVALID_BRAND_KIT');
+      }
+      data.name = name;
+    }
+
+    if (fields.colors !== undefined || !isUpdate) {
+      data.colors = this.normalizeColors(fields.colors);
+    }
+
+    if (fields.heading_font_family) {
+      data.heading_font_family = this.normalizeFontFamily(fields.heading_font_family, 'heading_font_family');
+    }
+    if (fields.body_font_family) {
+      data.body_font_family = this.normalizeFontFamily(fields.body_font_family, 'body_font_family');
+    }
+
+    if (fields.footer_text !== undefined) {
+      const footer = String(fields.footer_text || '').trim();
+      if (footer.length > 200) {
+        throw brandKitError('footer_text must be at most 200 characters', 'INVALID_BRAND_KIT');
+      }
+      data.footer_text = footer || null;
+    }
+
+    for (const slot of ['heading', 'body']) {
+      const [file] = files[`${slot}_font`] || [];
+      if (file) {
+        this.validateFontFile(file);
+        data[`${slot}_font_file`] = file.buffer;
+        data[`${slot}_font_filename`] = file.originalname;
+      } else if (this.isTruthy(fields[`remove_${slot}_font`])) {
+        data[`${slot}_font_file`] = null;
+        data[`${slot}_font_filename`] = null;
+      }
+    }
+
+    const [logo] = files.logo || [];
+    if (logo) {
+      data.logo_mime_type = this.detectLogoType(logo);
+      data.logo_file = logo.buffer;
+    } else if (this.isTruthy(fields.remove_logo)) {
+      data.logo_file = null;
+      data.logo_mime_type = null;
+    }
+
+    return data;
+  }
+
+  /**
+   * Multipart form fields arrive as strings
+   */
+  isTruthy(value) {
+    return value === true || value === 'true' || value === '1';
+  }
+
+  /**
+   * Shape a brand kit row for API responses
+   * @param {Object} kit - Brand kit metadata row
+   * @returns {Object}
+   */
+  formatKit(kit) {
+    return {
+      id: kit.id,
+      name: kit.name,
+      colors: kit.colors,
+      headingFontFamily: kit.heading_font_family,
+      bodyFontFamily: kit.body_font_family,
+      headingFontFile: kit.has_heading_font ? kit.heading_font_filename : null,
+      bodyFontFile: kit.has_body_font ? kit.body_font_filename : null,
+      hasLogo: Boolean(kit.has_logo),
+      footerText: kit.footer_text,
+      createdAt: kit.created_at,
+      updatedAt: kit.updated_at
+    };
+  }
+
+  /**
+   * List a user's brand kits
+   * @param {number} userId - Owner user ID
+   * @returns {Promise<Array>}
+   */
+  async listKits(userId) {
+    const kits = await brandKit.listForUser(userId);
+    return kits.map(kit => this.formatKit(kit));
+  }
+
+  /**
+   * Get one of a user's brand kits
+   * @param {number} userId - Owner user ID
+   * @param {number} kitId - Brand kit ID
+   * @returns {Promise<Object>}
+   */
+  async getKit(userId, kitId) {
+    const kit = await brandKit.findForUser(kitId, userId);
+    if (!kit) {
+      throw brandKitError('Brand kit not found', 'BRAND_KIT_NOT_FOUND');
+    }
+    return this.formatKit(kit);
+  }
+
+  /**
+   * Create a brand kit
+   * @param {number} userId - Owner user ID
+   * @param {Object} fields - Request body
+   * @param {Object} files - Uploaded files
+   * @returns {Promise<Object>}
+   */
+  async createKit(userId, fields, files) {
+    const data = this.buildKitData(fields, files);
+
+    if ((await brandKit.count({ users_id: userId })) >= MAX_BRAND_KITS) {
+      throw brandKitError(`You can keep up to ${MAX_BRAND_KITS} brand kits`, 'BRAND_KIT_LIMIT');
+    }
+
+    try {
+      const created = await brandKit.create({ ...data, users_id: userId });
+      logger.info(`User ${userId} created brand kit ${created.id}`);
+      return this.getKit(userId, created.id);
+    } catch (error) {
+      throw this.mapUniqueViolation(error);
+    }
+  }
+
+  /**
+   * Update a brand kit
+   * @param {number} userId - Owner user ID
+   * @param {number} kitId - Brand kit ID
+   * @param {Object} fields - Request body
+   * @param {Object} files - Uploaded files
+   * @returns {Promise<Object>}
+   */
+  async updateKit(userId, kitId, fields, files) {
+    await this.getKit(userId, kitId);
+
+    const data = this.buildKitData(fields, files, true);
+    if (Object.keys(data).length === 0) {
+      throw brandKitError('No brand kit changes provided', 'INVALID_BRAND_KIT');
+    }
+
+    try {
+      await brandKit.update(kitId, data);
+    } catch (error) {
+      throw this.mapUniqueViolation(error);
+    }
+    return this.getKit(userId, kitId);
+  }
+
+  /**
+   * Delete a brand kit
+   * @param {number} userId - Owner user ID
+   * @param {number} kitId - Brand kit ID
+   */
+  async deleteKit(userId, kitId) {
+    await this.getKit(userId, kitId);
+    await brandKit.delete(kitId);
+    logger.info(`User ${userId} deleted brand kit ${kitId}`);
+  }
+
+  /**
+   * Get a brand kit's logo for previews
+   * @param {number} userId - Owner user ID
+   * @param {number} kitId - Brand kit ID
+   * @returns {Promise<Object>} { data: Buffer, mimeType }
+   */
+  async getLogo(userId, kitId) {
+    const kit = await brandKit.getAssets(kitId, userId);
+    if (!kit || !kit.logo_file) {
+      throw brandKitError('Brand kit logo not found', 'BRAND_KIT_NOT_FOUND');
+    }
+    return { data: kit.logo_file, mimeType: kit.logo_mime_type };
+  }
+
+  /**
+   * Resolve a brand kit into the theme object generatePptx / generateSlidePdf accept
+   * @param {number} userId - Owner user ID
+   * @param {number} kitId - Brand kit ID
+   * @returns {Promise<Object>} Resolved theme
+   */
+  async resolveTheme(userId, kitId) {
+    const kit = await brandKit.getAssets(kitId, userId);
+    if (!kit) {
+      throw brandKitError('Brand kit not found', 'BRAND_KIT_NOT_FOUND');
+    }
+    return this.toTheme(kit);
+  }
+
+  /**
+   * Map a brand kit row (with files) to a slide theme
+   * @param {Object} kit - Brand kit row
+   * @returns {Object} Resolved theme
+   */
+  toTheme(kit) {
+    const colors = typeof kit.colors === 'string' ? JSON.parse(kit.colors) : kit.colors;
+
+    return {
+      id: `brand_kit_${kit.id}`,
+      name: kit.name,
+      colors,
+      fonts: {
+        heading: kit.heading_font_family || DEFAULT_FONTS.heading,
+        body: kit.body_font_family || DEFAULT_FONTS.body
+      },
+      darkSlideTypes: DARK_SLIDE_TYPES,
+      pdfFonts: {
+        heading: kit.heading_font_file || null,
+        body: kit.body_font_file || null
+      },
+      logo: kit.logo_file ? { data: kit.logo_file, mimeType: kit.logo_mime_type } : null,
+      footerText: kit.footer_text || null
+    };
+  }
+
+  /**
+   * Turn a duplicate-name insert/update into a typed error
+   */
+  mapUniqueViolation(error) {
+    if (error.code === '23505') {
+      return brandKitError('You already have a brand kit with that name', 'BRAND_KIT_NAME_TAKEN');
+    }
+    return error;
+  }
+}
+
+module.exports = new BrandKitService();
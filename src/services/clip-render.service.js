@@ -0,0 +1,939 @@
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const axios = require('axios');
+const database = require('./database.service');
+const processingStatusService = require('./processing-status.service');
+const reframeService = require('./reframe.service');
+const webhookService = require('./webhook.service');
+const objectStorage = require('./object-storage.service');
+const { assertPublicUrl, publicAgents } = require('../utils/outbound-request');
+const { transcriptSegment, userPreferences } = require('../models');
+const { logger } = require('../utils');
+
+/**
+ * Create an error carrying a code the clips controller maps to an HTTP status
+ * @param {string} message - Error message
+ * @param {string} code - INVALID_RENDER_OPTIONS | RENDER_IN_PROGRESS
+ * @returns {Error}
+ */
+function renderError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Output frame sizes for each aspect ratio
+const OUTPUT_PRESETS = {
+  '9:16': { width: 1080, height: 1920, label: 'Vertical (Shorts, Reels, TikTok)' },
+  '1:1': { width: 1080, height: 1080, label: 'Square (feed posts)' },
+  '16:9': { width: 1920, height: 1080, label: 'Landscape (YouTube, LinkedIn)' }
+};
+
+// Caption looks. Sizes and margins are fractions of the frame's shorter side / height
+// so every style reads the same across presets.
+const CAPTION_STYLES = {
+  classic: {
+    label: 'Classic',
+    description: 'White subtitles with a dark outline',
+    fontScale: 0.055,
+    bold: true,
+    uppercase: false,
+    outline: 3,
+    shadow: 1,
+    boxed: false,
+    marginRatio: 0.12,
+    maxWords: 7,
+    animation: 'none',
+    highlightColor: '#FFFFFF'
+  },
+  bold_pop: {
+    label: 'Bold Pop',
+    description: 'Large uppercase words; the spoken word pops in the brand color',
+    fontScale: 0.075,
+    bold: true,
+    uppercase: true,
+    outline: 6,
+    shadow: 0,
+    boxed: false,
+    marginRatio: 0.25,
+    maxWords: 3,
+    animation: 'pop',
+    highlightColor: '#FFD400'
+  },
+  karaoke: {
+    label: 'Karaoke',
+    description: 'Words fill with the brand color as they are spoken',
+    fontScale: 0.06,
+    bold: true,
+    uppercase: false,
+    outline: 4,
+    shadow: 0,
+    boxed: false,
+    marginRatio: 0.18,
+    maxWords: 6,
+    animation: 'karaoke',
+    highlightColor: '#00E5FF'
+  },
+  boxed: {
+    label: 'Boxed',
+    description: 'Subtitles on a solid brand-colored box',
+    fontScale: 0.05,
+    bold: true,
+    uppercase: false,
+    outline: 14, // Box padding when boxed
+    shadow: 0,
+    boxed: true,
+    marginRatio: 0.12,
+    maxWords: 6,
+    animation: 'fade',
+    highlightColor: '#FFFFFF'
+  },
+  minimal: {
+    label: 'Minimal',
+    description: 'Small, understated lower-third text',
+    fontScale: 0.042,
+    bold: false,
+    uppercase: false,
+    outline: 2,
+    shadow: 0,
+    boxed: false,
+    marginRatio: 0.08,
+    maxWords: 8,
+    animation: 'fade',
+    highlightColor: '#FFFFFF'
+  }
+};
+
+const OVERLAY_MODES = ['hook', 'title', 'none'];
+
+const DEFAULT_OPTIONS = {
+  preset: '9:16',
+  captionStyle: 'classic',
+  overlay: 'hook',
+  overlaySeconds: 4,
+  useBranding: true
+};
+
+/**
+ * Clip Render Service
+ * Renders finished social clips with ffmpeg: the clip is cropped to an output preset,
+ * captions built from transcript_segments are burned in (as an ASS subtitle track so
+ * they can be animated), the AI suggestion's hook or title is overlaid at the start,
+ * and the user's brand colors and logo are applied.
+ *
+ * Renders run as 'render_clip' queue jobs; state is kept on video_clips and progress
+ * is pushed to the user's sockets through ProcessingStatusService. Finished renders are
+ * uploaded to object storage (rendered_file_path holds the key) so the web replicas can
+ * serve them.
+ */
+class ClipRenderService {
+  constructor() {
+    this.rendersPrefix = 'clips/renders';
+    this.renderTimeoutMs = parseInt(process.env.CLIP_RENDER_TIMEOUT_MS) || 15 * 60 * 1000;
+    this.maxLogoBytes = 2 * 1024 * 1024; // 2MB
+  }
+
+  /**
+   * List output presets and caption styles for clients
+   * @returns {Object} { presets, captionStyles, overlays }
+   */
+  getRenderOptions() {
+    return {
+      presets: Object.entries(OUTPUT_PRESETS).map(([key, preset]) => ({ key, ...preset })),
+      captionStyles: Object.entries(CAPTION_STYLES).map(([key, style]) => ({
+        key,
+        label: style.label,
+        description: style.description,
+        animation: style.animation
+      })),
+      overlays: OVERLAY_MODES,
+      defaults: DEFAULT_OPTIONS
+    };
+  }
+
+  /**
+   * Validate render options and fill in defaults
+   * @param {Object} options - { preset, captionStyle, overlay, overlaySeconds, useBranding }
+   * @returns {Object} Normalized options
+   */
+  normalizeOptions(options = {}) {
+    const normalized = {
+      preset: options.preset || DEFAULT_OPTIONS.preset,
+      captionStyle: options.captionStyle || DEFAULT_OPTIONS.captionStyle,
+      overlay: options.overlay || DEFAULT_OPTIONS.overlay,
+      overlaySeconds: options.overlaySeconds !== undefined && options.overlaySeconds !== null
+        ? parseFloat(options.overlaySeconds)
+        : DEFAULT_OPTIONS.overlaySeconds,
+      useBranding: options.useBranding === undefined
+        ? DEFAULT_OPTIONS.useBranding
+        : options.useBranding !== false && options.useBranding !== 'false'
+    };
+
+    if (!OUTPUT_PRESETS[normalized.preset]) {
+      throw renderError(`Unknown output preset: ${normalized.preset}`, 'INVALID_RENDER_OPTIONS');
+    }
+    if (!CAPTION_STYLES[normalized.captionStyle]) {
+      throw renderError(`Unknown caption style: ${normalized.captionStyle}`, 'INVALID_RENDER_OPTIONS');
+    }
+    if (!OVERLAY_MODES.includes(normalized.overlay)) {
+      throw renderError(`Unknown overlay mode: ${normalized.overlay}`, 'INVALID_RENDER_OPTIONS');
+    }
+    if (isNaN(normalized.overlaySeconds) || normalized.overlaySeconds < 0) {
+      throw renderError('overlaySeconds must be zero (whole clip) or a positive number', 'INVALID_RENDER_OPTIONS');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Get a clip with the video fields needed to render it
+   * @param {number} clipId - Clip ID
+   * @returns {Promise<Object|null>} Clip row or null if not found
+   */
+  async getClipForRender(clipId) {
+    const result = await database.query(`
+      SELECT vc.*, v.users_id, v.videoid, v.video_title, v.youtube_url,
+             v.source_type, v.media_path, v.media_mime_type
+      FROM video_clips vc
+      JOIN videos v ON vc.video_id = v.id
+      WHERE vc.id = $1
+    `, [clipId]);
+
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Format a clip's render state for API responses and socket updates
+   * @param {Object} clip - video_clips row
+   * @returns {Object} Render state
+   */
+  formatRenderState(clip) {
+    return {
+      clipId: clip.id,
+      videoId: clip.video_id,
+      status: clip.render_status || null,
+      progress: clip.render_progress || 0,
+      options: clip.render_options || null,
+      fileSize: clip.rendered_file_size_bytes ? parseInt(clip.rendered_file_size_bytes) : null,
+      renderedAt: clip.rendered_at || null,
+      error: clip.render_error || null
+    };
+  }
+
+  /**
+   * Clip reference included in webhook events
+   * @param {Object} clip - Clip row from getClipForRender()
+   * @returns {Object} { id, videoId, youtubeVideoId, title, startSeconds, endSeconds }
+   */
+  formatWebhookClip(clip) {
+    return {
+      id: clip.id,
+      videoId: clip.video_id,
+      youtubeVideoId: clip.videoid,
+      title: clip.clip_title || null,
+      startSeconds: parseFloat(clip.start_time_seconds),
+      endSeconds: parseFloat(clip.end_time_seconds)
+    };
+  }
+
+  /**
+   * Queue a render for a clip
+   * @param {Object} clip - Clip row from getClipForRender()
+   * @param {Object} options - Render options
+   * @returns {Promise<Object>} Render state
+   */
+  async queueRender(clip, options = {}) {
+    const renderOptions = this.normalizeOptions(options);
+
+    // Claim the clip so two requests can't queue overlapping renders
+    const result = await database.query(`
+      UPDATE video_clips SET
+        render_status = 'queued',
+        render_progress = 0,
+        render_options = $2,
+        render_error = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND (render_status IS NULL OR render_status NOT IN ('queued', 'rendering'))
+      RETURNING *
+    `, [clip.id, JSON.stringify(renderOptions)]);
+
+    if (result.rows.length === 0) {
+      throw renderError('This clip is already being rendered', 'RENDER_IN_PROGRESS');
+    }
+
+    const processingQueue = require('./processing-queue.service');
+    await processingQueue.addToQueue(clip.video_id, 'render_clip', 1, {
+      clipId: clip.id,
+      ...renderOptions
+    });
+
+    const state = this.formatRenderState(result.rows[0]);
+    await processingStatusService.emitClipRenderUpdate(clip.users_id, state);
+
+    logger.info(`Queued render for clip ${clip.id}`, renderOptions);
+
+    return state;
+  }
+
+  /**
+   * Persist render state and push it to the owner's sessions
+   * @param {Object} clip - Clip row (needs id and users_id)
+   * @param {Object} fields - Columns to set
+   * @param {Object} options - { onlyWhileRendering } skips the write once the render has finished
+   * @returns {Promise<Object|null>} Render state, or null if nothing was updated
+   */
+  async updateRenderState(clip, fields, options = {}) {
+    const columns = Object.keys(fields);
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+
+    const result = await database.query(`
+      UPDATE video_clips SET
+        ${assignments.join(',\n        ')},
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1${options.onlyWhileRendering ? ' AND render_status = \'rendering\'' : ''}
+      RETURNING *
+    `, [clip.id, ...columns.map(column => fields[column])]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const state = this.formatRenderState(result.rows[0]);
+    await processingStatusService.emitClipRenderUpdate(clip.users_id, state);
+    return state;
+  }
+
+  /**
+   * Render a clip (run by the 'render_clip' queue job)
+   * @param {number} clipId - Clip ID
+   * @param {Object} options - Render options (falls back to the options saved when queued)
+   * @returns {Promise<Object>} Render result
+   */
+  async renderClip(clipId, options = {}) {
+    const clip = await this.getClipForRender(clipId);
+    if (!clip) {
+      throw new Error(`Clip not found: ${clipId}`);
+    }
+
+    const renderOptions = this.normalizeOptions({ ...(clip.render_options || {}), ...options });
+    const preset = OUTPUT_PRESETS[renderOptions.preset];
+    const style = CAPTION_STYLES[renderOptions.captionStyle];
+    const clipStart = parseFloat(clip.start_time_seconds);
+    const clipEnd = parseFloat(clip.end_time_seconds);
+    const duration = clipEnd - clipStart;
+
+    let workDir = null;
+    let progressChain = Promise.resolve();
+
+    try {
+      workDir = await fs.mkdtemp(path.join(os.tmpdir(), `clip-render-${clip.id}-`));
+      await this.updateRenderState(clip, {
+        render_status: 'rendering',
+        render_progress: 0,
+        render_options: JSON.stringify(renderOptions),
+        render_error: null
+      });
+
+      logger.info(`Rendering clip ${clip.id} (${renderOptions.preset}, ${renderOptions.captionStyle})`);
+
+      const brand = renderOptions.useBranding ? await userPreferences.getBrandPreferences(clip.users_id) : {};
+      const logoPath = brand.logoUrl ? await this.fetchLogo(brand.logoUrl, workDir) : null;
+
+      const segments = await transcriptSegment.getInWindow(clip.video_id, clipStart, clipEnd);
+      const cues = this.groupCaptionCues(this.buildCaptionWords(segments, clipStart, clipEnd), style.maxWords);
+      if (cues.length === 0) {
+        logger.warn(`Clip ${clip.id} has no timed transcript segments; rendering without captions`);
+      }
+
+      const overlayText = renderOptions.overlay === 'hook'
+        ? (clip.hook_text || clip.clip_title)
+        : renderOptions.overlay === 'title' ? clip.clip_title : null;
+
+      const layout = this.getLayout(preset, Boolean(logoPath));
+      const subtitlePath = path.join(workDir, 'captions.ass');
+      await fs.writeFile(subtitlePath, this.buildSubtitleDocument({
+        preset,
+        style,
+        cues,
+        brand,
+        layout,
+        overlayText,
+        overlaySeconds: renderOptions.overlaySeconds,
+        duration
+      }), 'utf8');
+
+      const source = await this.resolveSource(clip, preset, brand);
+      // Audio-only sources render onto a canvas that is already the output size
+      const cropFilter = source.media
+        ? await reframeService.buildCropFilter(clip, source.media, preset, workDir)
+        : null;
+
+      const tempOutputPath = path.join(workDir, 'render.mp4');
+      const args = this.buildFfmpegArgs({
+        source,
+        cropFilter,
+        logoPath,
+        subtitlePath,
+        preset,
+        layout,
+        duration,
+        outputPath: tempOutputPath
+      });
+
+      let lastReported = 0;
+      await this.runFfmpeg(args, duration, (percent) => {
+        if (percent < lastReported + 5) return;
+        lastReported = percent;
+        // Chained so progress writes land in order and before the final state
+        progressChain = progressChain
+          .then(() => this.updateRenderState(clip, { render_progress: percent }, { onlyWhileRendering: true }))
+          .catch(error => logger.warn(`Failed to record render progress for clip ${clip.id}: ${error.message}`));
+      });
+      await progressChain;
+
+      const storageKey = `${this.rendersPrefix}/${clip.videoid}_${clip.id}_${renderOptions.preset.replace(':', 'x')}.mp4`;
+      const stats = await fs.stat(tempOutputPath);
+      await objectStorage.uploadFile(storageKey, tempOutputPath, 'video/mp4');
+
+      if (clip.rendered_file_path && clip.rendered_file_path !== storageKey) {
+        await objectStorage.deleteObject(clip.rendered_file_path)
+          .catch(error => logger.warn(`Failed to delete previous render of clip ${clip.id}: ${error.message}`));
+      }
+
+      const state = await this.updateRenderState(clip, {
+        render_status: 'completed',
+        render_progress: 100,
+        rendered_file_path: storageKey,
+        rendered_file_size_bytes: stats.size,
+        rendered_at: new Date(),
+        render_error: null
+      });
+
+      logger.info(`Clip ${clip.id} rendered: ${storageKey} (${(stats.size / 1024 / 1024).toFixed(2)} MB)`);
+
+      await webhookService.dispatch(clip.users_id, 'clip.rendered', clip.video_id, {
+        clip: this.formatWebhookClip(clip),
+        preset: renderOptions.preset,
+        fileSize: stats.size
+      });
+
+      return {
+        success: true,
+        clipId: clip.id,
+        storageKey,
+        fileSize: stats.size,
+        render: state
+      };
+
+    } catch (error) {
+      logger.error(`Error rendering clip ${clip.id}:`, error);
+
+      await progressChain;
+      await this.updateRenderState(clip, {
+        render_status: 'failed',
+        render_error: error.message
+      }).catch(stateError => logger.warn(`Failed to record render failure for clip ${clip.id}: ${stateError.message}`));
+
+      await webhookService.dispatch(clip.users_id, 'clip.render_failed', clip.video_id, {
+        clip: this.formatWebhookClip(clip),
+        preset: renderOptions.preset,
+        error: error.message
+      });
+
+      throw error;
+    } finally {
+      if (workDir) {
+        await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Find (or fetch) the media to render from
+   * @param {Object} clip - Clip row from getClipForRender()
+   * @param {Object} preset - Output preset
+   * @param {Object} brand - Brand preferences (audio-only clips use the brand color as background)
+   * @returns {Promise<Object>} { inputArgs, audioInput, media } (media is the video to reframe from)
+   */
+  async resolveSource(clip, preset, brand = {}) {
+    const clipStart = parseFloat(clip.start_time_seconds);
+    const duration = parseFloat(clip.end_time_seconds) - clipStart;
+
+    // Uploaded media is cut straight from the original in object storage; ffmpeg seeks with range requests
+    if (clip.source_type === 'upload' && clip.media_path) {
+      const mediaPath = await objectStorage.getSignedUrl(clip.media_path);
+      const seekArgs = ['-ss', String(clipStart), '-t', String(duration), '-i', mediaPath];
+
+      if ((clip.media_mime_type || '').startsWith('audio/')) {
+        // Audio-only upload: captions and overlays go over a solid brand-colored canvas
+        const background = (brand.secondaryColor || '#111111').replace('#', '0x');
+        return {
+          inputArgs: [
+            '-f', 'lavfi', '-i', `color=c=${background}:s=${preset.width}x${preset.height}:r=30:d=${duration}`,
+            ...seekArgs
+          ],
+          audioInput: '1:a'
+        };
+      }
+
+      return {
+        inputArgs: seekArgs,
+        audioInput: '0:a?',
+        media: { path: mediaPath, offset: clipStart, duration }
+      };
+    }
+
+    // YouTube clips render from the raw download; the vertical conversion would
+    // lose the framing for square and landscape presets
+    const clipsService = require('./clips.service');
+    const filePath = await clipsService.findSourceFile(clip) || (await clipsService.downloadClip(clip.id)).filePath;
+
+    return {
+      inputArgs: ['-i', filePath],
+      audioInput: '0:a?',
+      media: { path: filePath, offset: 0, duration }
+    };
+  }
+
+  /**
+   * Download the brand logo into the render's working directory. The URL is user-supplied,
+   * so it must resolve to a public host and redirects aren't followed.
+   * @param {string} logoUrl - https URL of a PNG, JPEG or WebP image
+   * @param {string} workDir - Render working directory
+   * @returns {Promise<string|null>} Local path, or null if the logo couldn't be used
+   */
+  async fetchLogo(logoUrl, workDir) {
+    try {
+      assertPublicUrl(logoUrl);
+      const response = await axios.get(logoUrl, {
+        responseType: 'arraybuffer',
+        timeout: 15000,
+        maxContentLength: this.maxLogoBytes,
+        maxRedirects: 0,
+        ...publicAgents()
+      });
+
+      const extension = { 'image/png': '.png', 'image/jpeg': '.jpg', 'image/webp': '.webp' }[
+        String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase()
+      ];
+      if (!extension) {
+        throw new Error(`unsupported logo type ${response.headers['content-type']}`);
+      }
+
+      const logoPath = path.join(workDir, `logo${extension}`);
+      await fs.writeFile(logoPath, Buffer.from(response.data));
+      return logoPath;
+    } catch (error) {
+      // A broken logo shouldn't fail the render
+      logger.warn(`Could not load brand logo ${logoUrl}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Split transcript segments into per-word timings relative to the clip start.
+   * Segments only carry start/end, so each word gets a share of its segment
+   * proportional to its length.
+   * @param {Array} segments - transcript_segments rows overlapping the clip
+   * @param {number} clipStart - Clip start (seconds into the video)
+   * @param {number} clipEnd - Clip end (seconds into the video)
+   * @returns {Array} [{ text, start, end, speaker }]
+   */
+  buildCaptionWords(segments, clipStart, clipEnd) {
+    const words = [];
+
+    segments.forEach((segment, index) => {
+      const start = parseFloat(segment.start_seconds);
+      const next = segments[index + 1];
+      let end = segment.end_seconds !== null && segment.end_seconds !== undefined
+        ? parseFloat(segment.end_seconds)
+        : (next ? parseFloat(next.start_seconds) : start + 5);
+      end = Math.min(end, start + 30);
+
+      const tokens = String(segment.text || '').split(/\s+/).filter(Boolean);
+      if (tokens.length === 0 || !(end > start)) return;
+
+      const totalWeight = tokens.reduce((sum, token) => sum + token.length + 1, 0);
+      let cursor = start;
+
+      tokens.forEach(token => {
+        const wordStart = cursor;
+        cursor += (end - start) * (token.length + 1) / totalWeight;
+
+        // Keep words that are mostly inside the clip
+        const midpoint = (wordStart + cursor) / 2;
+        if (midpoint < clipStart || midpoint >= clipEnd) return;
+
+        words.push({
+          text: token,
+          start: Math.max(wordStart, clipStart) - clipStart,
+          end: Math.min(cursor, clipEnd) - clipStart,
+          speaker: segment.speaker_label || null
+        });
+      });
+    });
+
+    return words;
+  }
+
+  /**
+   * Group words into on-screen caption cues
+   * @param {Array} words - Output of buildCaptionWords()
+   * @param {number} maxWords - Most words shown at once
+   * @returns {Array} [{ start, end, words }]
+   */
+  groupCaptionCues(words, maxWords) {
+    const cues = [];
+    let current = null;
+
+    words.forEach(word => {
+      const previous = current && current.words[current.words.length - 1];
+      const startsNewCue = !current ||
+        current.words.length >= maxWords ||
+        word.start - current.end > 0.6 ||
+        word.speaker !== current.speaker ||
+        /[.!?]["')\]]?$/.test(previous.text);
+
+      if (startsNewCue) {
+        current = { start: word.start, end: word.end, speaker: word.speaker, words: [] };
+        cues.push(current);
+      }
+
+      current.words.push(word);
+      current.end = word.end;
+    });
+
+    // Never show two cues at once
+    for (let i = 0; i < cues.length - 1; i++) {
+      cues[i].end = Math.min(cues[i].end, cues[i + 1].start);
+    }
+
+    return cues.filter(cue => cue.end > cue.start);
+  }
+
+  /**
+   * Positions of the logo and title for a preset
+   * @param {Object} preset - Output preset
+   * @param {boolean} hasLogo - Whether a logo will be overlaid
+   * @returns {Object} { unit, margin, logoWidth, titleSideMargin }
+   */
+  getLayout(preset, hasLogo) {
+    const unit = Math.min(preset.width, preset.height);
+    const margin = Math.round(unit * 0.04);
+    const logoWidth = hasLogo ? Math.round(unit * 0.14) : 0;
+
+    return {
+      unit,
+      margin,
+      logoWidth,
+      // Keep the centered title clear of the top-right logo
+      titleSideMargin: hasLogo ? logoWidth + margin * 2 : margin
+    };
+  }
+
+  /**
+   * Build the ASS subtitle document with caption and title events
+   * @param {Object} params - { preset, style, cues, brand, layout, overlayText, overlaySeconds, duration }
+   * @returns {string} ASS document
+   */
+  buildSubtitleDocument(params) {
+    const { preset, style, cues, brand = {}, layout, overlayText, overlaySeconds, duration } = params;
+    const font = this.sanitizeFontName(brand.fontFamily) || 'Arial';
+    const highlight = brand.primaryColor || style.highlightColor;
+    const white = this.toAssColor('#FFFFFF');
+    const black = this.toAssColor('#000000');
+
+    // Karaoke fills from SecondaryColour to PrimaryColour
+    const captionPrimary = style.animation === 'karaoke' ? this.toAssColor(highlight) : white;
+    const captionSecondary = white;
+    const captionOutline = style.boxed ? this.toAssColor(brand.primaryColor || '#000000', 0x30) : black;
+
+    const styleLine = (name, fields) => `Style: ${name},${[
+      font,
+      fields.fontSize,
+      fields.primary,
+      fields.secondary,
+      fields.outlineColor,
+      this.toAssColor('#000000', 0x80),
+      fields.bold ? -1 : 0,
+      0, 0, 0, 100, 100, 0, 0,
+      fields.boxed ? 3 : 1,
+      fields.outline,
+      fields.shadow,
+      fields.alignment,
+      fields.marginL,
+      fields.marginR,
+      fields.marginV,
+      1
+    ].join(',')}`;
+
+    const lines = [
+      '[Script Info]',
+      'ScriptType: v4.00+',
+      `PlayResX: ${preset.width}`,
+      `PlayResY: ${preset.height}`,
+      'WrapStyle: 0',
+      'ScaledBorderAndShadow: yes',
+      '',
+      '[V4+ Styles]',
+      'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+      styleLine('Caption', {
+        fontSize: Math.round(layout.unit * style.fontScale),
+        primary: captionPrimary,
+        secondary: captionSecondary,
+        outlineColor: captionOutline,
+        bold: style.bold,
+        boxed: style.boxed,
+        outline: style.outline,
+        shadow: style.shadow,
+        alignment: 2, // Bottom center
+        marginL: layout.margin * 2,
+        marginR: layout.margin * 2,
+        marginV: Math.round(preset.height * style.marginRatio)
+      }),
+      styleLine('Title', {
+        fontSize: Math.round(layout.unit * 0.05),
+        primary: white,
+        secondary: white,
+        outlineColor: this.toAssColor(brand.primaryColor || '#000000', 0x20),
+        bold: true,
+        boxed: true,
+        outline: Math.round(layout.unit * 0.015),
+        shadow: 0,
+        alignment: 8, // Top center
+        marginL: layout.titleSideMargin,
+        marginR: layout.titleSideMargin,
+        marginV: Math.round(preset.height * 0.08)
+      }),
+      '',
+      '[Events]',
+      'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+    ];
+
+    const dialogue = (layer, start, end, styleName, text) =>
+      `Dialogue: ${layer},${this.formatAssTime(start)},${this.formatAssTime(end)},${styleName},,0,0,0,,${text}`;
+
+    if (overlayText) {
+      const overlayEnd = overlaySeconds > 0 ? Math.min(overlaySeconds, duration) : duration;
+      lines.push(dialogue(1, 0, overlayEnd, 'Title', `{\\fad(200,300)}${this.escapeAssText(overlayText)}`));
+    }
+
+    cues.forEach(cue => {
+      this.buildCueEvents(cue, style, highlight).forEach(event => {
+        lines.push(dialogue(0, event.start, event.end, 'Caption', event.text));
+      });
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Build the dialogue events for one caption cue in a style's animation
+   * @param {Object} cue - { start, end, words }
+   * @param {Object} style - Caption style
+   * @param {string} highlight - Highlight color (#RRGGBB)
+   * @returns {Array} [{ start, end, text }]
+   */
+  buildCueEvents(cue, style, highlight) {
+    const wordText = (word) => this.escapeAssText(style.uppercase ? word.text.toUpperCase() : word.text);
+
+    switch (style.animation) {
+    case 'karaoke': {
+      // \kf durations are in centiseconds and run back to back from the cue start
+      const text = cue.words.map((word, index) => {
+        const next = cue.words[index + 1];
+        const centiseconds = Math.max(1, Math.round(((next ? next.start : cue.end) - word.start) * 100));
+        return `{\\kf${centiseconds}}${wordText(word)}`;
+      }).join(' ');
+      return [{ start: cue.start, end: cue.end, text: `{\\fad(80,80)}${text}` }];
+    }
+
+    case 'pop':
+      // One event per spoken word, with that word enlarged in the highlight color
+      return cue.words.map((word, index) => {
+        const next = cue.words[index + 1];
+        const text = cue.words.map((other, otherIndex) => otherIndex === index
+          ? `{\\c${this.toAssColor(highlight)}\\fscx125\\fscy125\\t(0,120,\\fscx110\\fscy110)}${wordText(other)}{\\r}`
+          : wordText(other)
+        ).join(' ');
+        return { start: word.start, end: next ? next.start : cue.end, text };
+      }).filter(event => event.end > event.start);
+
+    case 'fade':
+      return [{ start: cue.start, end: cue.end, text: `{\\fad(100,100)}${cue.words.map(wordText).join(' ')}` }];
+
+    default:
+      return [{ start: cue.start, end: cue.end, text: cue.words.map(wordText).join(' ') }];
+    }
+  }
+
+  /**
+   * Build the ffmpeg arguments for a render
+   * @param {Object} params - { source, cropFilter, logoPath, subtitlePath, preset, layout, duration, outputPath }
+   * @returns {Array<string>} ffmpeg arguments
+   */
+  buildFfmpegArgs(params) {
+    const { source, cropFilter, logoPath, subtitlePath, preset, layout, duration, outputPath } = params;
+    const { width, height } = preset;
+    const inputCount = source.inputArgs.filter(arg => arg === '-i').length;
+    const framing = cropFilter || `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`;
+
+    const filters = [
+      `[0:v]${framing},setsar=1[base]`
+    ];
+    let videoLabel = 'base';
+
+    if (logoPath) {
+      filters.push(`[${inputCount}:v]scale=${layout.logoWidth}:-1[logo]`);
+      filters.push(`[base][logo]overlay=W-w-${layout.margin}:${layout.margin}[branded]`);
+      videoLabel = 'branded';
+    }
+
+    filters.push(`[${videoLabel}]ass='${this.escapeFilterPath(subtitlePath)}'[vout]`);
+
+    return [
+      '-y', '-hide_banner', '-nostats',
+      '-progress', 'pipe:1',
+      ...source.inputArgs,
+      ...(logoPath ? ['-i', logoPath] : []),
+      '-filter_complex', filters.join(';'),
+      '-map', '[vout]',
+      '-map', source.audioInput,
+      '-t', String(duration),
+      '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '20', '-pix_fmt', 'yuv420p',
+      '-c:a', 'aac', '-b:a', '160k',
+      '-movflags', '+faststart',
+      outputPath
+    ];
+  }
+
+  /**
+   * Run ffmpeg, reporting progress from its -progress output
+   * @param {Array<string>} args - ffmpeg arguments (must include -progress pipe:1)
+   * @param {number} duration - Expected output duration in seconds
+   * @param {Function} onProgress - Called with a 0-99 percentage
+   * @returns {Promise<void>}
+   */
+  runFfmpeg(args, duration, onProgress) {
+    return new Promise((resolve, reject) => {
+      // spawn rather than exec: progress has to be read while ffmpeg runs
+      const ffmpeg = spawn('ffmpeg', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      let stderrTail = '';
+      let buffered = '';
+
+      const timer = setTimeout(() => {
+        ffmpeg.kill('SIGKILL');
+        reject(new Error(`Clip render timed out after ${Math.round(this.renderTimeoutMs / 1000)}s`));
+      }, this.renderTimeoutMs);
+
+      ffmpeg.stdout.on('data', (data) => {
+        buffered += data.toString();
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+
+        lines.forEach(line => {
+          const seconds = this.parseProgressLine(line);
+          if (seconds !== null && duration > 0) {
+            onProgress(Math.min(99, Math.floor((seconds / duration) * 100)));
+          }
+        });
+      });
+
+      ffmpeg.stderr.on('data', (data) => {
+        stderrTail = (stderrTail + data.toString()).slice(-2000);
+      });
+
+      ffmpeg.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error.code === 'ENOENT' ? new Error('ffmpeg is not installed') : error);
+      });
+
+      ffmpeg.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`ffmpeg exited with code ${code}: ${stderrTail.trim().split('\n').slice(-3).join(' ')}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Read the output position from a line of ffmpeg -progress output
+   * @param {string} line - e.g. "out_time_us=12345678"
+   * @returns {number|null} Seconds rendered, or null for other lines
+   */
+  parseProgressLine(line) {
+    // out_time_ms is also in microseconds (a long-standing ffmpeg quirk)
+    const match = /^out_time_(?:us|ms)=(\d+)/.exec(String(line).trim());
+    return match ? parseInt(match[1]) / 1000000 : null;
+  }
+
+  /**
+   * Convert #RRGGBB to an ASS &HAABBGGRR color
+   * @param {string} hex - Color like #1A73E8
+   * @param {number} alpha - 0 (opaque) to 255 (transparent)
+   * @returns {string} ASS color
+   */
+  toAssColor(hex, alpha = 0) {
+    const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '') || [null, 'FF', 'FF', 'FF'];
+    const [, red, green, blue] = match;
+    const hexAlpha = alpha.toString(16).padStart(2, '0');
+    return `&H${hexAlpha}${blue}${green}${red}`.toUpperCase();
+  }
+
+  /**
+   * Format seconds as an ASS timestamp (h:mm:ss.cc)
+   * @param {number} seconds - Time in seconds
+   * @returns {string}
+   */
+  formatAssTime(seconds) {
+    const totalCentiseconds = Math.max(0, Math.round(seconds * 100));
+    const hours = Math.floor(totalCentiseconds / 360000);
+    const minutes = Math.floor((totalCentiseconds % 360000) / 6000);
+    const secs = Math.floor((totalCentiseconds % 6000) / 100);
+    const centiseconds = totalCentiseconds % 100;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(centiseconds).padStart(2, '0')}`;
+  }
+
+  /**
+   * Make transcript text safe to place in an ASS event (no override blocks or escapes)
+   * @param {string} text - Raw text
+   * @returns {string}
+   */
+  escapeAssText(text) {
+    return String(text || '')
+      .replace(/\\/g, '/')
+      .replace(/\{/g, '(')
+      .replace(/\}/g, ')')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Keep a font name usable inside a comma-separated ASS style line
+   * @param {string} fontFamily - Brand font
+   * @returns {string|null}
+   */
+  sanitizeFontName(fontFamily) {
+    const cleaned = String(fontFamily || '').replace(/[^\w\s-]/g, '').trim();
+    return cleaned || null;
+  }
+
+  /**
+   * Escape a path for use as a quoted filtergraph option value
+   * (render paths are generated, so they never contain quotes)
+   * @param {string} filePath - File path
+   * @returns {string}
+   */
+  escapeFilterPath(filePath) {
+    return filePath
+      .replace(/\\/g, '/')
+      .replace(/:/g, '\\:');
+  }
+}
+
+module.exports = new ClipRenderService();
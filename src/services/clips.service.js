@@ -1,6 +1,8 @@
 const aiChatService = require('./ai-chat.service');
 const promptSanitizer = require('../utils/prompt-sanitizer');
 const database = require('./database.service');
+const reframeService = require('./reframe.service');
+const objectStorage = require('./object-storage.service');
 const { video: videoModel } = require('../models');
 const { logger } = require('../utils');
 const path = require('path');
@@ -75,9 +77,13 @@ class ClipsService {
       const promptConfig = promptResult.rows[0];
 
       // Process prompt with transcript
-      const processedPrompt = promptSanitizer.processTemplate(promptConfig.prompt_text, {
-        TRANSCRIPT: transcript
-      });
+      const templateVariables = { TRANSCRIPT: transcript };
+      if (promptSanitizer.usesVariable(promptConfig.prompt_text, 'SPEAKER_TRANSCRIPT')) {
+        const transcriptService = require('./transcript.service');
+        templateVariables.SPEAKER_TRANSCRIPT = await transcriptService.getSpeakerTranscript(videoRecordId, transcript);
+      }
+
+      const processedPrompt = promptSanitizer.processTemplate(promptConfig.prompt_text, templateVariables);
 
       // Generate clip suggestions using AI
       logger.debug('Sending transcript to AI for clip analysis...');
@@ -87,8 +93,9 @@ class ClipsService {
           prompt: processedPrompt,
           systemMessage: promptConfig.system_message,
           temperature: promptConfig.temperature || 0.7,
-          maxTokens: promptConfig.max_tokens || 4000
-          // Note: model is set by ai-chat.service defaults (gemini-flash-lite-latest for gemini)
+          maxTokens: promptConfig.max_tokens || 4000,
+          contentType: 'clips_text',
+          usageContext: { userId: video.users_id, videoId: videoRecordId }
         },
         2 // Max retries
       );
@@ -174,8 +181,8 @@ class ClipsService {
       const savedClipIds = [];
 
       for (const clip of clips) {
-        // Generate YouTube clip URL with timestamp
-        const youtubeClipUrl = `${video.youtube_url}?t=${Math.floor(clip.start_time)}`;
+        // Generate YouTube clip URL with timestamp (uploaded videos have none)
+        const youtubeClipUrl = video.youtube_url ? `${video.youtube_url}?t=${Math.floor(clip.start_time)}` : null;
 
         const insertQuery = `
           INSERT INTO video_clips (
@@ -187,10 +194,11 @@ class ClipsService {
             youtube_clip_url,
             ai_provider,
             ai_relevance_score,
+            hook_text,
             status,
             created_at,
             updated_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
           RETURNING id
         `;
 
@@ -202,7 +210,8 @@ class ClipsService {
           clip.end_time,
           youtubeClipUrl,
           aiProvider,
-          clip.relevance_score || 7
+          clip.relevance_score || 7,
+          clip.hook || null
         ]);
 
         savedClipIds.push(result.rows[0].id);
@@ -349,6 +358,28 @@ class ClipsService {
     }
   }
 
+  /**
+   * Find the raw (unconverted) download for a clip
+   * @param {Object} clip - video_clips row
+   * @returns {Promise<string|null>} Existing file path, or null if nothing is on disk
+   */
+  async findSourceFile(clip) {
+    if (!clip.file_path) {
+      return null;
+    }
+
+    for (const candidate of [clip.file_path.replace('_vertical.mp4', '.mp4'), clip.file_path]) {
+      try {
+        await fs.access(candidate);
+        return candidate;
+      } catch {
+        // Try the next candidate
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Convert clip to vertical (9:16) format using ffmpeg
    * @param {number} clipId - Clip ID
@@ -369,26 +400,40 @@ class ClipsService {
         throw new Error(`Clip ${clipId} has no downloaded file. Download it first.`);
       }
 
-      // Check if file exists
-      await fs.access(clip.file_path);
+      // Always convert from the raw download so re-framing doesn't crop an already cropped file
+      const inputPath = await this.findSourceFile(clip);
+      if (!inputPath) {
+        throw new Error(`Clip ${clipId} file is missing. Download it again.`);
+      }
 
       // Create output path for vertical version
-      const inputPath = clip.file_path;
       const outputPath = inputPath.replace('.mp4', '_vertical.mp4');
 
-      logger.info(`Converting clip ${clipId} to vertical format...`);
-
-      // FFmpeg command to convert to 9:16 vertical format
-      // This crops and scales the video to 1080x1920 (9:16 aspect ratio)
-      const ffmpegCommand = `ffmpeg -i "${inputPath}" -vf "scale=1080:1920:force_original_aspect_ratio=increase,crop=1080:1920" -c:a copy "${outputPath}" -y`;
+      logger.info(`Converting clip ${clipId} to vertical format (${clip.reframe_mode || 'auto'} reframing)...`);
 
-      const { stdout, stderr } = await execPromise(ffmpegCommand, {
-        maxBuffer: 1024 * 1024 * 10 // 10MB buffer
-      });
+      // Crop and scale to 1080x1920 (9:16), positioning the crop with the clip's reframe mode
+      const workDir = await fs.mkdtemp(path.join(this.clipsStoragePath, '.reframe-'));
+      try {
+        const duration = parseFloat(clip.end_time_seconds) - parseFloat(clip.start_time_seconds);
+        const cropFilter = await reframeService.buildCropFilter(
+          clip,
+          { path: inputPath, offset: 0, duration },
+          { width: 1080, height: 1920 },
+          workDir
+        );
+
+        const ffmpegCommand = `ffmpeg -i "${inputPath}" -vf "${cropFilter}" -c:a copy "${outputPath}" -y`;
+
+        const { stdout, stderr } = await execPromise(ffmpegCommand, {
+          maxBuffer: 1024 * 1024 * 10 // 10MB buffer
+        });
 
-      logger.debug('ffmpeg stdout:', stdout);
-      if (stderr) {
-        logger.debug('ffmpeg stderr:', stderr);
+        logger.debug('ffmpeg stdout:', stdout);
+        if (stderr) {
+          logger.debug('ffmpeg stderr:', stderr);
+        }
+      } finally {
+        await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
       }
 
       // Check if output file was created
@@ -585,7 +630,7 @@ class ClipsService {
 
       const clip = clipResult.rows[0];
 
-      // Delete file if exists
+      // Delete the downloaded file and the render (kept in object storage) if they exist
       if (clip.file_path) {
         try {
           await fs.unlink(clip.file_path);
@@ -595,6 +640,15 @@ class ClipsService {
         }
       }
 
+      if (clip.rendered_file_path) {
+        try {
+          await objectStorage.deleteObject(clip.rendered_file_path);
+          logger.info(`Deleted clip render: ${clip.rendered_file_path}`);
+        } catch (storageError) {
+          logger.warn(`Could not delete clip render ${clip.rendered_file_path}:`, storageError.message);
+        }
+      }
+
       // Delete database record
       await database.query('DELETE FROM video_clips WHERE id = $1', [clipId]);
 
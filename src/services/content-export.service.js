@@ -0,0 +1,155 @@
+/**
+ * Content Export Service
+ * Renders a video's generated content in a download format (md, html, txt, docx, pdf)
+ * and packages every generated content type into a single "bundle" ZIP.
+ */
+
+const archiver = require('archiver');
+const contentService = require('./content.service');
+const documentGenerationService = require('./document-generation.service');
+const slideDeckGenerationService = require('./slide-deck-generation.service');
+const { logger } = require('../utils');
+
+/** Download formats with their file extension and Content-Type */
+const EXPORT_FORMATS = {
+  md: { extension: 'md', mimeType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', mimeType: 'text/html; charset=utf-8' },
+  txt: { extension: 'txt', mimeType: 'text/plain; charset=utf-8' },
+  docx: { extension: 'docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  pdf: { extension: 'pdf', mimeType: 'application/pdf' }
+};
+
+/** Formats served by the single-file text download endpoint */
+const TEXT_EXPORT_FORMATS = ['md', 'html', 'txt'];
+
+/** Bundle formats when the user doesn't choose any */
+const DEFAULT_BUNDLE_FORMATS = ['md', 'html', 'txt'];
+
+class ContentExportService {
+  /**
+   * Render content in one export format
+   * @param {string} contentText - Stored content text
+   * @param {string} contentType - Content type key
+   * @param {string} videoTitle - Video title
+   * @param {string} format - Key of EXPORT_FORMATS
+   * @param {string} [language] - Language code of the text, for the HTML lang attribute
+   * @returns {Promise<Buffer>}
+   */
+  async renderContent(contentText, contentType, videoTitle, format, language) {
+    switch (format) {
+      case 'md':
+        return Buffer.from(documentGenerationService.generateMarkdown(contentText, contentType, videoTitle), 'utf8');
+      case 'html':
+        return Buffer.from(documentGenerationService.generateHtml(contentText, contentType, videoTitle, language), 'utf8');
+      case 'txt':
+        return Buffer.from(documentGenerationService.generatePlainText(contentText, contentType, videoTitle), 'utf8');
+      case 'docx':
+        return documentGenerationService.generateDocx(
+          contentType === 'slide_deck_text' ? documentGenerationService.toMarkdownSource(contentText, contentType) : contentText,
+          contentType,
+          videoTitle
+        );
+      case 'pdf':
+        // Slide decks export as the presentation-style PDF rather than raw JSON
+        return contentType === 'slide_deck_text'
+          ? slideDeckGenerationService.generateSlidePdf(contentText, videoTitle)
+          : documentGenerationService.generatePdf(contentText, contentType, videoTitle);
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+  }
+
+  /**
+   * Latest generated content per content type (version 1, the row downloads read)
+   * @param {number} videoId - Video record ID
+   * @returns {Promise<Array>} Content items with content_type_key
+   */
+  async getExportableContent(videoId) {
+    const items = await contentService.getVideoContent(videoId, { publishedOnly: false });
+    const byType = new Map();
+
+    for (const item of items) {
+      if (!item.content_text || !item.content_text.trim()) continue;
+      const existing = byType.get(item.content_type_key);
+      if (!existing || item.version === 1) {
+        byType.set(item.content_type_key, item);
+      }
+    }
+
+    return [...byType.values()];
+  }
+
+  /**
+   * Build a ZIP of every generated content type for a video in the chosen formats.
+   * Items that fail to render are listed in EXPORT_NOTES.txt instead of failing the bundle.
+   * @param {number} videoId - Video record ID
+   * @param {string} videoTitle - Video title
+   * @param {Array<string>} formats - Keys of EXPORT_FORMATS
+   * @returns {Promise<Object|null>} { buffer, fileCount } or null when the video has no content
+   */
+  async generateBundle(videoId, videoTitle, formats = DEFAULT_BUNDLE_FORMATS) {
+    const items = await this.getExportableContent(videoId);
+    if (items.length === 0) {
+      return null;
+    }
+
+    const files = [];
+    const failures = [];
+
+    for (const item of items) {
+      const label = documentGenerationService.formatContentTypeLabel(item.content_type_key).replace(/\s+/g, '_');
+
+      for (const format of formats) {
+        try {
+          const data = await this.renderContent(item.content_text, item.content_type_key, videoTitle, format);
+          files.push({ name: `${label}.${EXPORT_FORMATS[format].extension}`, data });
+        } catch (error) {
+          logger.warn(`Bundle export skipped ${item.content_type_key} as ${format} for video ${videoId}: ${error.message}`);
+          failures.push(`${label}.${EXPORT_FORMATS[format].extension}: ${error.message}`);
+        }
+      }
+    }
+
+    if (failures.length > 0) {
+      files.push({
+        name: 'EXPORT_NOTES.txt',
+        data: Buffer.from(`These files could not be generated:\n\n${failures.map(line => `- ${line}`).join('\n')}\n`, 'utf8')
+      });
+    }
+
+    const buffer = await this.zipFiles(files);
+    logger.info(`Built content bundle for video ${videoId}: ${files.length} files, ${buffer.length} bytes`);
+
+    return { buffer, fileCount: files.length };
+  }
+
+  /**
+   * Zip files into a buffer
+   * @param {Array} files - [{ name, data: Buffer }]
+   * @returns {Promise<Buffer>}
+   */
+  zipFiles(files) {
+    return new Promise((resolve, reject) => {
+      const archive = archiver('zip', { zlib: { level: 9 } });
+      const chunks = [];
+
+      archive.on('data', chunk => chunks.push(chunk));
+      archive.on('end', () => resolve(Buffer.concat(chunks)));
+      archive.on('warning', reject);
+      archive.on('error', reject);
+
+      for (const file of files) {
+        archive.append(file.data, { name: file.name });
+      }
+      archive.finalize();
+    });
+  }
+}
+
+// Export singleton + constants for route validation
+const service = new ContentExportService();
+service.EXPORT_FORMATS = EXPORT_FORMATS;
+service.TEXT_EXPORT_FORMATS = TEXT_EXPORT_FORMATS;
+service.DEFAULT_BUNDLE_FORMATS = DEFAULT_BUNDLE_FORMATS;
+
+module.exports = service;
@@ -1,8 +1,10 @@
 const aiChatService = require('./ai-chat.service');
 const promptSanitizer = require('../utils/prompt-sanitizer');
-const { aiPrompts, video: videoModel } = require('../models');
+const { aiPrompts, contentType: contentTypeModel, video: videoModel } = require('../models');
 const { logger } = require('../utils');
 const database = require('./database.service');
+const contentRevisionService = require('./content-revision.service');
+const { DEFAULT_LANGUAGE, isSupportedLanguage, getLanguageName } = require('../utils/languages');
 
 class ContentGenerationService {
   constructor() {
@@ -41,25 +43,23 @@ class ContentGenerationService {
 
   /**
    * Check if video processing has been cancelled
-   * @param {string} videoId - YouTube video ID
+   * @param {string} videoRecordId - PostgreSQL video record ID
    * @returns {Promise<boolean>} True if cancelled, false otherwise
    */
-  async isVideoCancelled(videoId) {
+  async isVideoCancelled(videoRecordId) {
     try {
-      // Primary check: processing status service (where cancellation is tracked)
+      // Primary check: durable cancellation flag (set by whichever node handled the cancel)
       const processingStatusService = require('./processing-status.service');
-      const videoStatus = processingStatusService.processingVideos.get(videoId);
-
-      if (videoStatus && videoStatus.cancelled) {
+      if (await processingStatusService.isCancelled(videoRecordId)) {
         return true;
       }
 
       // Secondary check: if video was deleted from database, consider it cancelled
-      const video = await videoModel.findByVideoId(videoId);
+      const video = await videoModel.findById(videoRecordId);
 
       // If video doesn't exist in database but we're still processing, it might have been deleted (cancelled)
       if (!video) {
-        logger.info(`Video ${videoId} not found in database - may have been cancelled and deleted`);
+        logger.info(`Video record ${videoRecordId} not found in database - may have been cancelled and deleted`);
         return true;
       }
 
@@ -210,14 +210,39 @@ class ContentGenerationService {
     }
   }
 
+  /**
+   * Whether slide decks should be generated with speaker notes (content type toggle)
+   * @returns {Promise<boolean>}
+   */
+  async isSpeakerNotesEnabled() {
+    try {
+      return await contentTypeModel.isGenerationOptionEnabled('slide_deck_text', 'speaker_notes');
+    } catch (error) {
+      logger.warn(`Could not read slide deck speaker_notes option: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Prompt suffix asking for content in a language other than English
+   * @param {string} language - Language code
+   * @returns {string}
+   */
+  getLanguageInstruction(language) {
+    return `\n\nOUTPUT LANGUAGE: Write all of the content in ${getLanguageName(language)}, even though these instructions and the transcript may be in another language. ` +
+      'Keep any JSON keys, field names, labels and formatting required above exactly as specified; only the human-readable text changes language.';
+  }
+
   /**
    * Generate content for a video using a specific prompt
    * @param {string} videoId - Video ID (for logging)
    * @param {string} transcript - Video transcript
    * @param {Object} prompt - Prompt configuration
+   * @param {number} [_userId] - Requesting user ID
+   * @param {string} [language] - Language code to write the content in
    * @returns {Promise<Object>} Generation result
    */
-  async generateContent(videoId, videoRecordId, transcript, prompt, _userId = null) {
+  async generateContent(videoId, videoRecordId, transcript, prompt, _userId = null, language = DEFAULT_LANGUAGE) {
     const processingStatusService = require('./processing-status.service');
     const generationStartTime = new Date();
     let processedPrompt;
@@ -225,19 +250,45 @@ class ContentGenerationService {
     try {
 
       // Update content status to generating and set start timestamp
-      processingStatusService.updateContentStatus(videoId, prompt.content_type, 'generating');
+      await processingStatusService.updateContentStatus(videoRecordId, prompt.content_type, 'generating');
 
       // Validate provider availability
       if (!aiChatService.isProviderAvailable(prompt.ai_provider)) {
         throw new Error(`AI provider ${prompt.ai_provider} not available`);
       }
 
+      // A running prompt experiment may swap in one of its variants
+      const promptExperimentService = require('./prompt-experiment.service');
+      prompt = await promptExperimentService.applyVariant(prompt, videoRecordId);
+
       // Process the prompt template with sanitization
-      processedPrompt = promptSanitizer.processTemplate(prompt.prompt_text, {
+      const templateVariables = {
         TRANSCRIPT: transcript,
-        VIDEO_ID: videoId
-      });
+        VIDEO_ID: videoId,
+        LANGUAGE: getLanguageName(language)
+      };
 
+      // Only load segments when the prompt asks for the speaker-labelled transcript
+      if (promptSanitizer.usesVariable(prompt.prompt_text, 'SPEAKER_TRANSCRIPT')) {
+        const transcriptService = require('./transcript.service');
+        templateVariables.SPEAKER_TRANSCRIPT = await transcriptService.getSpeakerTranscript(videoRecordId, transcript);
+      }
+
+      processedPrompt = promptSanitizer.processTemplate(prompt.prompt_text, templateVariables);
+
+      // Prompts are written for English output; ask for the target language unless the prompt places it itself
+      if (language !== DEFAULT_LANGUAGE && !promptSanitizer.usesVariable(prompt.prompt_text, 'LANGUAGE')) {
+        processedPrompt += this.getLanguageInstruction(language);
+      }
+
+      // Slide decks can carry speaker notes, requested in the same call via an extended schema
+      let maxTokens = prompt.max_tokens || 2000;
+      if (prompt.content_type === 'slide_deck_text' && await this.isSpeakerNotesEnabled()) {
+        const slideDeckService = require('./slide-deck-generation.service');
+        processedPrompt += slideDeckService.SPEAKER_NOTES_PROMPT;
+        // Notes roughly add half again to the output; a truncated deck is unparseable JSON
+        maxTokens = Math.round(maxTokens * 1.5);
+      }
 
       // Generate content with retry logic
       const generationResult = await aiChatService.generateContentWithRetry(
@@ -246,8 +297,9 @@ class ContentGenerationService {
           prompt: processedPrompt,
           systemMessage: prompt.system_message,
           temperature: prompt.temperature || 0.7,
-          maxTokens: prompt.max_tokens || 2000,
-          contentType: prompt.content_type
+          maxTokens,
+          contentType: prompt.content_type,
+          usageContext: { userId: _userId, videoId: videoRecordId }
         },
         2 // Max retries
       );
@@ -287,7 +339,12 @@ class ContentGenerationService {
         const contentUpdate = {
           [prompt.content_type]: {
             content: generatedContent,
-            provider: prompt.ai_provider,
+            // A fallback provider may have generated it
+            provider: metrics?.provider || prompt.ai_provider,
+            promptId: prompt.id,
+            promptVariantId: prompt.prompt_variant_id || null,
+            userId: _userId,
+            language,
             generationStartTime: generationStartTime,
             metrics: metrics
           }
@@ -298,7 +355,7 @@ class ContentGenerationService {
 
 
         // Update content status to completed ONLY after successful database write
-        processingStatusService.updateContentStatus(videoId, prompt.content_type, 'completed');
+        await processingStatusService.updateContentStatus(videoRecordId, prompt.content_type, 'completed');
 
         // Auto-upload to cloud storage if user has it configured (runs in background)
         this.triggerCloudStorageUpload(videoRecordId, prompt.content_type, generatedContent, _userId)
@@ -383,7 +440,7 @@ class ContentGenerationService {
           generationDuration: `${generationDuration}s`
         });
 
-        processingStatusService.updateContentStatus(videoId, prompt.content_type, 'failed', `Database save failed: ${dbError.message}`);
+        await processingStatusService.updateContentStatus(videoRecordId, prompt.content_type, 'failed', `Database save failed: ${dbError.message}`);
 
         return {
           success: false,
@@ -396,7 +453,8 @@ class ContentGenerationService {
         success: true,
         content: generatedContent,
         contentType: prompt.content_type,
-        provider: prompt.ai_provider,
+        provider: metrics?.provider || prompt.ai_provider,
+        language,
         promptName: prompt.name,
         generatedAt: new Date().toISOString(),
         metrics: metrics
@@ -432,7 +490,7 @@ class ContentGenerationService {
       });
 
       // Update content status to failed with detailed metadata for frontend logging
-      processingStatusService.updateContentStatus(videoId, prompt.content_type, 'failed', error.message, {
+      await processingStatusService.updateContentStatus(videoRecordId, prompt.content_type, 'failed', error.message, {
         isContentFiltered: llmErrorDetails.isContentFiltered || false,
         errorCode: error.code || llmErrorDetails.category,
         errorType: llmErrorDetails.category,
@@ -464,13 +522,13 @@ class ContentGenerationService {
    * @param {string} videoRecordId - PostgreSQL video record ID (or Airtable ID for backward compatibility)
    * @param {string} videoId - YouTube video ID
    * @param {string} transcript - Video transcript
-   * @param {Object} options - Generation options
+   * @param {Object} options - Generation options; options.signal stops generation between batches when aborted
    * @returns {Promise<Object>} Generation results
    */
   async generateAllContentForVideo(videoRecordId, videoId, transcript, options = {}) {
     try {
       // Check if video processing has been cancelled before starting
-      if (await this.isVideoCancelled(videoId)) {
+      if (await this.isVideoCancelled(videoRecordId)) {
         logger.info(`Video ${videoId} has been cancelled, skipping content generation`);
         return { success: false, message: 'Video processing cancelled', results: [] };
       }
@@ -480,12 +538,15 @@ class ContentGenerationService {
         contentTypes = this.supportedContentTypes,
         concurrent = 2, // Number of concurrent generations
         userId = null,
-        userEmail = null
+        userEmail = null,
+        language = null, // Will be determined from user preference or default to English
+        signal = null // AbortSignal from the queue worker, aborted when its lease is lost
       } = options;
 
-      // Determine AI provider from user preference or use default
+      // Determine AI provider and language from user preferences or use defaults
       let selectedProvider = provider;
-      if (!selectedProvider && (userId || userEmail)) {
+      let selectedLanguage = language;
+      if ((!selectedProvider || !selectedLanguage) && (userId || userEmail)) {
         try {
           const PreferencesService = require('./preferences.service');
           const preferencesService = new PreferencesService();
@@ -502,10 +563,13 @@ class ContentGenerationService {
             }
           }
 
-          if (userPreferences && userPreferences.aiProvider) {
+          if (!selectedProvider && userPreferences && userPreferences.aiProvider) {
             selectedProvider = userPreferences.aiProvider;
             logger.info(`Using user preferred AI provider: ${selectedProvider} for video ${videoId}`);
           }
+          if (!selectedLanguage && userPreferences && userPreferences.language) {
+            selectedLanguage = userPreferences.language;
+          }
         } catch (prefError) {
           logger.warn(`Could not load user preferences for AI provider: ${prefError.message}`);
         }
@@ -514,14 +578,26 @@ class ContentGenerationService {
       // Fallback to gemini if no provider determined
       selectedProvider = selectedProvider || 'gemini';
 
+      // Fall back to English for unset or unknown languages
+      if (!isSupportedLanguage(selectedLanguage)) {
+        if (selectedLanguage) {
+          logger.warn(`Unsupported content language "${selectedLanguage}" for video ${videoId}, using ${DEFAULT_LANGUAGE}`);
+        }
+        selectedLanguage = DEFAULT_LANGUAGE;
+      }
+
 
       // Validate provider
       if (!aiChatService.isProviderAvailable(selectedProvider)) {
         throw new Error(`AI provider ${selectedProvider} not available`);
       }
 
-      // Get active prompts for the provider and content types
-      const allPrompts = await this.getActivePrompts(selectedProvider);
+      // Get active prompts for the provider and content types, plus the user's own content types
+      let allPrompts = await this.getActivePrompts(selectedProvider);
+      if (userId) {
+        const customContentTypeService = require('./custom-content-type.service');
+        allPrompts = allPrompts.concat(await customContentTypeService.getGenerationPrompts(userId, selectedProvider));
+      }
 
       const relevantPrompts = allPrompts.filter(prompt =>
         contentTypes.includes(prompt.content_type)
@@ -538,6 +614,7 @@ class ContentGenerationService {
         videoId,
         videoRecordId,
         provider: selectedProvider,
+        language: selectedLanguage,
         generatedAt: new Date().toISOString(),
         content: {},
         errors: {},
@@ -550,8 +627,10 @@ class ContentGenerationService {
 
       // Process prompts in batches
       for (let i = 0; i < relevantPrompts.length; i += concurrent) {
+        signal?.throwIfAborted();
+
         // Check for cancellation before each batch
-        if (await this.isVideoCancelled(videoId)) {
+        if (await this.isVideoCancelled(videoRecordId)) {
           logger.info(`Video ${videoId} was cancelled during content generation, stopping at batch ${Math.floor(i / concurrent) + 1}`);
           break;
         }
@@ -560,7 +639,7 @@ class ContentGenerationService {
 
 
         const batchPromises = batch.map(prompt =>
-          this.generateContent(videoId, videoRecordId, transcript, prompt, userId)
+          this.generateContent(videoId, videoRecordId, transcript, prompt, userId, selectedLanguage)
             .then(result => ({ prompt: prompt.name, result }))
             .catch(error => ({ prompt: prompt.name, result: { success: false, error: error.message } }))
         );
@@ -639,6 +718,7 @@ class ContentGenerationService {
    * @returns {Promise<void>}
    */
   async updateVideoWithGeneratedContent(videoRecordId, generatedContent) {
+    const promptExperimentService = require('./prompt-experiment.service');
     try {
       const video = await videoModel.findById(videoRecordId);
       if (!video) {
@@ -676,7 +756,7 @@ class ContentGenerationService {
 
           // Check if content already exists for this video and content type
           const existingContentQuery = `
-            SELECT id
+            SELECT id, prompt_variant_id
             FROM video_content
             WHERE video_id = $1 AND content_type_id = $2
           `;
@@ -693,6 +773,12 @@ class ContentGenerationService {
             // Update existing record
             const existingContentId = existingContentResult.rows[0].id;
 
+            // Keep the text being replaced (including manual edits) in the revision history
+            await contentRevisionService.snapshotBaseline(existingContentId);
+
+            // Regenerating counts against the variant that produced the text being replaced
+            await promptExperimentService.recordSignal(existingContentId, 'regenerate', { userId: data.userId });
+
             const updateQuery = `
               UPDATE video_content
               SET
@@ -707,7 +793,11 @@ class ContentGenerationService {
                 updated_at = $4,
                 is_published = true,
                 version = COALESCE(version, 0) + 1,
-                content_url = NULL
+                content_url = NULL,
+                language = $9,
+                prompt_used_id = $10,
+                prompt_variant_id = $11,
+                user_rating = NULL
               WHERE id = $8
             `;
 
@@ -719,8 +809,20 @@ class ContentGenerationService {
               durationSeconds,
               responseLength,
               tokensUsed,
-              existingContentId
+              existingContentId,
+              data.language || DEFAULT_LANGUAGE,
+              data.promptId || null,
+              data.promptVariantId || null
             ]);
+            await promptExperimentService.recordSignal(existingContentId, 'generated', { userId: data.userId });
+
+            await contentRevisionService.recordRevision(existingContentId, {
+              contentText: data.content,
+              source: 'regenerate',
+              aiProvider: data.provider,
+              promptUsedId: data.promptId,
+              userId: data.userId
+            });
 
             processedTypes.push({ contentType, status: 'updated' });
 
@@ -740,12 +842,16 @@ class ContentGenerationService {
                 tokens_used,
                 is_published,
                 version,
+                language,
+                prompt_used_id,
+                prompt_variant_id,
                 created_at,
                 updated_at
-              ) VALUES ($1, $2, $3, $4, 'completed', $5, $6, $7, $8, $9, true, 1, $6, $6)
+              ) VALUES ($1, $2, $3, $4, 'completed', $5, $6, $7, $8, $9, true, 1, $10, $11, $12, $6, $6)
+              RETURNING id
             `;
 
-            await database.query(insertQuery, [
+            const inserted = await database.query(insertQuery, [
               actualVideoId,
               contentTypeRecord.id,
               data.content,
@@ -754,8 +860,20 @@ class ContentGenerationService {
               now,
               durationSeconds,
               responseLength,
-              tokensUsed
+              tokensUsed,
+              data.language || DEFAULT_LANGUAGE,
+              data.promptId || null,
+              data.promptVariantId || null
             ]);
+            await promptExperimentService.recordSignal(inserted.rows[0].id, 'generated', { userId: data.userId });
+
+            await contentRevisionService.recordRevision(inserted.rows[0].id, {
+              contentText: data.content,
+              source: 'ai_generation',
+              aiProvider: data.provider,
+              promptUsedId: data.promptId,
+              userId: data.userId
+            });
 
             processedTypes.push({ contentType, status: 'created' });
           }
@@ -0,0 +1,299 @@
+/**
+ * Content Revision Service
+ * Keeps a snapshot of video_content.content_text for every save (AI generation,
+ * regeneration, manual edit, restore, accepted AI refinement) and lets users diff and restore them.
+ * Slide deck slide edits keep their own history in slide_deck_versions.
+ */
+
+const database = require('./database.service');
+const { videoContentRevision } = require('../models');
+const { logger } = require('../utils');
+
+/** How a revision's text was produced */
+const REVISION_SOURCES = ['ai_generation', 'regenerate', 'manual_edit', 'restore', 'ai_refinement'];
+
+/** Sources that mean the current text is not what a full generation produced */
+const MANUAL_SOURCES = ['manual_edit', 'restore', 'ai_refinement'];
+
+/** Largest LCS table diffLines builds before falling back to a replace-all */
+const MAX_DIFF_CELLS = 4000000;
+
+function revisionError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class ContentRevisionService {
+  // ─── RECORDING ─────────────────────────────────────────────────────
+
+  /**
+   * Snapshot the text a content row had before revisions were tracked.
+   * Call before overwriting content_text. Never throws: history must not block a save.
+   * @param {number} videoContentId - video_content row ID
+   * @returns {Promise<void>}
+   */
+  async snapshotBaseline(videoContentId) {
+    try {
+      await videoContentRevision.ensureBaseline(videoContentId);
+    } catch (error) {
+      logger.warn(`Failed to snapshot baseline revision for content ${videoContentId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a save as a new revision. Never throws: history must not block a save.
+   * @param {number} videoContentId - video_content row ID
+   * @param {Object} data - { contentText, source, aiProvider, promptUsedId, restoredFromRevision, userId }
+   * @returns {Promise<Object|null>} Revision, or null if it couldn't be stored
+   */
+  async recordRevision(videoContentId, data) {
+    const { contentText, source, aiProvider, promptUsedId, restoredFromRevision, userId } = data;
+
+    if (!REVISION_SOURCES.includes(source)) {
+      logger.warn(`Unknown revision source "${source}" for content ${videoContentId}; revision not recorded`);
+      return null;
+    }
+
+    try {
+      const revision = await videoContentRevision.record({
+        video_content_id: videoContentId,
+        content_text: contentText,
+        source,
+        ai_provider: aiProvider,
+        prompt_used_id: promptUsedId,
+        restored_from_revision: restoredFromRevision,
+        created_by_user_id: userId
+      });
+
+      logger.info(`Recorded ${source} revision ${revision.revision_number} for content ${videoContentId}`);
+      return revision;
+    } catch (error) {
+      logger.warn(`Failed to record ${source} revision for content ${videoContentId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // ─── READING ───────────────────────────────────────────────────────
+
+  /**
+   * Find the content row shown for a video and content type (the newest one)
+   * @param {number} videoId - Video record ID
+   * @param {string} contentType - Content type key
+   * @returns {Promise<Object>} { id, content_text }
+   */
+  async findContent(videoId, contentType) {
+    const result = await database.query(`
+      SELECT vc.id, vc.content_text
+      FROM video_content vc
+      JOIN content_types ct ON ct.id = vc.content_type_id
+      WHERE vc.video_id = $1 AND ct.key = $2
+      ORDER BY vc.created_at DESC
+      LIMIT 1
+    `, [videoId, contentType]);
+
+    if (result.rows.length === 0) {
+      throw revisionError(`No ${contentType} content found for this video`, 'CONTENT_NOT_FOUND');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * List a content row's revisions, newest first
+   * @param {number} videoId - Video record ID
+   * @param {string} contentType - Content type key
+   * @returns {Promise<Object>} { contentId, hasManualEdits, revisions }
+   */
+  async listRevisions(videoId, contentType) {
+    const content = await this.findContent(videoId, contentType);
+    const revisions = await videoContentRevision.listForContent(content.id);
+
+    return {
+      contentId: content.id,
+      hasManualEdits: revisions.length > 0 && MANUAL_SOURCES.includes(revisions[0].source),
+      revisions
+    };
+  }
+
+  /**
+   * Get one revision including its text
+   * @param {number} videoId - Video record ID
+   * @param {string} contentType - Content type key
+   * @param {number} revisionNumber - Revision number
+   * @returns {Promise<Object>}
+   */
+  async getRevision(videoId, contentType, revisionNumber) {
+    const content = await this.findContent(videoId, contentType);
+    return this.getContentRevision(content.id, revisionNumber);
+  }
+
+  /**
+   * Diff two revisions line by line. `to` defaults to the current text.
+   * @param {number} videoId - Video record ID
+   * @param {string} contentType - Content type key
+   * @param {number} fromRevision - Older revision number
+   * @param {number} [toRevision] - Newer revision number
+   * @returns {Promise<Object>} { from, to, stats: { added, removed }, changes: [{ type, lines }] }
+   */
+  async diffRevisions(videoId, contentType, fromRevision, toRevision) {
+    const content = await this.findContent(videoId, contentType);
+    const from = await this.getContentRevision(content.id, fromRevision);
+    const to = toRevision
+      ? await this.getContentRevision(content.id, toRevision)
+      : { revision_number: null, content_text: content.content_text };
+
+    const changes = this.diffLines(from.content_text || '', to.content_text || '');
+    const count = type => changes
+      .filter(change => change.type === type)
+      .reduce((total, change) => total + change.lines.length, 0);
+
+    return {
+      from: from.revision_number,
+      to: to.revision_number,
+      stats: { added: count('added'), removed: count('removed') },
+      changes
+    };
+  }
+
+  /**
+   * Content types (of those requested) whose current text was edited by hand,
+   * i.e. would lose manual edits if regenerated
+   * @param {number} videoId - Video record ID
+   * @param {Array<string>} contentTypes - Content type keys
+   * @returns {Promise<Array<string>>}
+   */
+  async getManuallyEditedTypes(videoId, contentTypes) {
+    const result = await database.query(`
+      SELECT DISTINCT ON (ct.key) ct.key, r.source
+      FROM video_content vc
+      JOIN content_types ct ON ct.id = vc.content_type_id
+      JOIN video_content_revisions r ON r.video_content_id = vc.id
+      WHERE vc.video_id = $1 AND ct.key = ANY($2)
+      ORDER BY ct.key, vc.created_at DESC, r.revision_number DESC
+    `, [videoId, contentTypes]);
+
+    return result.rows
+      .filter(row => MANUAL_SOURCES.includes(row.source))
+      .map(row => row.key);
+  }
+
+  // ─── RESTORING ─────────────────────────────────────────────────────
+
+  /**
+   * Make a revision's text the current text, recorded as a new 'restore' revision
+   * @param {number} videoId - Video record ID
+   * @param {string} contentType - Content type key
+   * @param {number} revisionNumber - Revision to restore
+   * @param {number} userId - Restoring user
+   * @returns {Promise<Object>} { contentId, contentText, restoredFrom }
+   */
+  async restoreRevision(videoId, contentType, revisionNumber, userId) {
+    // Lazy require: content.service records revisions through this service
+    const contentService = require('./content.service');
+
+    const content = await this.findContent(videoId, contentType);
+    const revision = await this.getContentRevision(content.id, revisionNumber);
+
+    // Clearing content_url drops any cached rendered file so downloads use the restored text
+    const updated = await contentService.updateVideoContent(content.id, {
+      contentText: revision.content_text,
+      contentUrl: null
+    }, {
+      userId,
+      revisionSource: 'restore',
+      restoredFromRevision: revision.revision_number
+    });
+
+    return { contentId: content.id, contentText: updated.content_text, restoredFrom: revision.revision_number };
+  }
+
+  /**
+   * Get a revision of a content row or raise REVISION_NOT_FOUND
+   */
+  async getContentRevision(videoContentId, revisionNumber) {
+    const revision = await videoContentRevision.findRevision(videoContentId, revisionNumber);
+    if (!revision) {
+      throw revisionError(`Revision ${revisionNumber} not found`, 'REVISION_NOT_FOUND');
+    }
+    return revision;
+  }
+
+  // ─── DIFF ──────────────────────────────────────────────────────────
+
+  /**
+   * Line diff (longest common subsequence) grouped into runs of equal, removed and added lines
+   * @param {string} oldText - Older text
+   * @param {string} newText - Newer text
+   * @returns {Array<Object>} [{ type: 'equal'|'removed'|'added', lines: [...] }]
+   */
+  diffLines(oldText, newText) {
+    const a = oldText.split('\n');
+    const b = newText.split('\n');
+    const ops = [];
+
+    // Common prefix and suffix need no LCS table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    for (let i = 0; i < start; i++) ops.push(['equal', a[i]]);
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const rows = midA.length + 1;
+    const cols = midB.length + 1;
+
+    if (rows * cols > MAX_DIFF_CELLS) {
+      midA.forEach(line => ops.push(['removed', line]));
+      midB.forEach(line => ops.push(['added', line]));
+    } else {
+      // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+      const lcs = new Uint32Array(rows * cols);
+      for (let i = midA.length - 1; i >= 0; i--) {
+        for (let j = midB.length - 1; j >= 0; j--) {
+          lcs[i * cols + j] = midA[i] === midB[j]
+            ? lcs[(i + 1) * cols + j + 1] + 1
+            : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+        }
+      }
+
+      let i = 0;
+      let j = 0;
+      while (i < midA.length && j < midB.length) {
+        if (midA[i] === midB[j]) {
+          ops.push(['equal', midA[i]]);
+          i++;
+          j++;
+        } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+          ops.push(['removed', midA[i++]]);
+        } else {
+          ops.push(['added', midB[j++]]);
+        }
+      }
+      while (i < midA.length) ops.push(['removed', midA[i++]]);
+      while (j < midB.length) ops.push(['added', midB[j++]]);
+    }
+
+    for (let i = endA; i < a.length; i++) ops.push(['equal', a[i]]);
+
+    const changes = [];
+    for (const [type, line] of ops) {
+      const last = changes[changes.length - 1];
+      if (last && last.type === type) {
+        last.lines.push(line);
+      } else {
+        changes.push({ type, lines: [line] });
+      }
+    }
+    return changes;
+  }
+}
+
+const contentRevisionService = new ContentRevisionService();
+contentRevisionService.REVISION_SOURCES = REVISION_SOURCES;
+module.exports = contentRevisionService;
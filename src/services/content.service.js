@@ -1,4 +1,6 @@
 const { contentType, videoContent } = require('../models');
+const contentRevisionService = require('./content-revision.service');
+const promptExperimentService = require('./prompt-experiment.service');
 const { logger } = require('../utils');
 
 /**
@@ -93,6 +95,16 @@ class ContentService {
       // Use model's versioned create method
       const createdContent = await videoContent.createVersioned(modelData);
 
+      if (contentText !== null) {
+        await contentRevisionService.recordRevision(createdContent.id, {
+          contentText,
+          source: aiProvider ? 'ai_generation' : 'manual_edit',
+          aiProvider,
+          promptUsedId,
+          userId: createdByUserId
+        });
+      }
+
       logger.info(`Created ${contentTypeKey} content for video ${videoId} (version ${createdContent.version})`);
       return createdContent;
 
@@ -103,12 +115,13 @@ class ContentService {
   }
 
   /**
-   * Update existing video content
+   * Update existing video content. A change to contentText is recorded as a revision.
    * @param {number} contentId - Content ID
    * @param {object} updateData - Update data
+   * @param {object} [revisionOptions] - { userId, revisionSource = 'manual_edit', restoredFromRevision }
    * @returns {Promise<object>} Updated content item
    */
-  async updateVideoContent(contentId, updateData) {
+  async updateVideoContent(contentId, updateData, revisionOptions = {}) {
     try {
       const {
         contentText,
@@ -150,6 +163,16 @@ class ContentService {
         throw new Error('No fields to update');
       }
 
+      // Snapshot pre-revision-tracking text before it is overwritten
+      let textChanged = false;
+      if (contentText !== undefined) {
+        const existing = await videoContent.findById(contentId);
+        textChanged = Boolean(existing) && existing.content_text !== contentText;
+        if (textChanged) {
+          await contentRevisionService.snapshotBaseline(contentId);
+        }
+      }
+
       // Use model's update method
       const updatedContent = await videoContent.update(contentId, modelUpdateData);
 
@@ -157,6 +180,16 @@ class ContentService {
         throw new Error(`Content with ID ${contentId} not found`);
       }
 
+      if (textChanged) {
+        await contentRevisionService.recordRevision(contentId, {
+          contentText,
+          source: revisionOptions.revisionSource || 'manual_edit',
+          restoredFromRevision: revisionOptions.restoredFromRevision,
+          userId: revisionOptions.userId
+        });
+        await promptExperimentService.recordEdit(contentId, revisionOptions.revisionSource || 'manual_edit', revisionOptions.userId);
+      }
+
       logger.info(`Updated video content ${contentId}`);
       return updatedContent;
 
@@ -205,11 +238,12 @@ class ContentService {
 
   /**
    * Get all available content types
+   * @param {number} [userId] - User whose custom content types to include
    * @returns {Promise<Array>} Array of content types
    */
-  async getAvailableContentTypes() {
+  async getAvailableContentTypes(userId = null) {
     try {
-      const types = await contentType.getActive();
+      const types = await contentType.getActive(userId);
       logger.info(`Retrieved ${types.length} available content types`);
       return types;
     } catch (error) {
@@ -5,6 +5,8 @@ const { logger } = require('../utils');
 class DatabaseService {
   constructor() {
     this.pool = null;
+    this.listenClient = null; // Dedicated connection for LISTEN/NOTIFY
+    this.listeners = new Map(); // channel -> Set of handlers
     this.init();
   }
 
@@ -352,6 +354,31 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Run a callback inside a transaction on a dedicated client
+   * @param {Function} callback - async (client) => result; client.query() runs inside the transaction
+   * @returns {Promise<*>} Callback result (rolled back if the callback throws)
+   */
+  async transaction(callback) {
+    if (!this.pool) {
+      throw new Error('PostgreSQL not configured');
+    }
+
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Check if a record exists with given conditions
    * @param {string} tableName - Table name
@@ -419,10 +446,91 @@ class DatabaseService {
     return rows.map(row => this.formatRecord(row));
   }
 
+  /**
+   * Publish a message on a PostgreSQL NOTIFY channel
+   * @param {string} channel - Channel name
+   * @param {Object} payload - JSON-serializable payload (must stay under 8000 bytes)
+   * @returns {Promise<void>}
+   */
+  async notify(channel, payload) {
+    await this.query('SELECT pg_notify($1, $2)', [channel, JSON.stringify(payload)]);
+  }
+
+  /**
+   * Subscribe to a PostgreSQL NOTIFY channel on a dedicated connection.
+   * The listener reconnects automatically if the connection drops.
+   * @param {string} channel - Channel name
+   * @param {Function} handler - Called with the parsed payload of each notification
+   * @returns {Promise<void>}
+   */
+  async subscribe(channel, handler) {
+    if (!this.pool) {
+      throw new Error('PostgreSQL not configured');
+    }
+
+    if (!this.listeners.has(channel)) {
+      this.listeners.set(channel, new Set());
+    }
+    this.listeners.get(channel).add(handler);
+
+    if (!this.listenClient) {
+      await this.connectListener();
+    } else {
+      await this.listenClient.query(`LISTEN ${channel}`);
+    }
+  }
+
+  /**
+   * Open the dedicated LISTEN connection and re-register all channels
+   */
+  async connectListener() {
+    const client = await this.pool.connect();
+    this.listenClient = client;
+
+    client.on('notification', (message) => {
+      const handlers = this.listeners.get(message.channel);
+      if (!handlers) return;
+
+      let payload;
+      try {
+        payload = JSON.parse(message.payload);
+      } catch (error) {
+        logger.warn(`Ignoring malformed notification on ${message.channel}: ${error.message}`);
+        return;
+      }
+
+      handlers.forEach(handler => {
+        Promise.resolve()
+          .then(() => handler(payload))
+          .catch(error => logger.error(`Notification handler failed on ${message.channel}:`, error));
+      });
+    });
+
+    client.on('error', (error) => {
+      logger.error('PostgreSQL listener connection error:', error);
+      client.release(true);
+      this.listenClient = null;
+      setTimeout(() => {
+        this.connectListener().catch(err => logger.error('Failed to reconnect PostgreSQL listener:', err));
+      }, 5000);
+    });
+
+    for (const channel of this.listeners.keys()) {
+      await client.query(`LISTEN ${channel}`);
+    }
+
+    logger.debug(`PostgreSQL listener connected: ${Array.from(this.listeners.keys()).join(', ')}`);
+  }
+
   /**
    * Close database connections
    */
   async close() {
+    if (this.listenClient) {
+      this.listenClient.release();
+      this.listenClient = null;
+    }
+
     if (this.pool) {
       await this.pool.end();
       logger.info('PostgreSQL connections closed');
@@ -1,6 +1,6 @@
 /**
  * Document Generation Service
- * Generates DOCX and PDF documents from content
+ * Generates DOCX, PDF, Markdown, HTML and plain-text documents from content
  * Uses Puppeteer for PDF generation to support emojis natively
  */
 
@@ -8,6 +8,7 @@
 const { Document, Packer, Paragraph, TextRun, HeadingLevel, AlignmentType, BorderStyle, PageBreak, Table, TableRow, TableCell, WidthType, TableBorders, VerticalAlign } = require('docx');
 const PDFDocument = require('pdfkit');
 const { logger } = require('../utils');
+const { registerUnicodeFonts } = require('../utils/pdf-fonts');
 
 // PDFKit-based PDF generation (no browser dependency)
 
@@ -1020,6 +1021,12 @@ class DocumentGenerationService {
         bufferPages: true
       });
 
+      // Swap the Latin-1 standard fonts for a Unicode font when the content needs one
+      registerUnicodeFonts(doc, `${videoTitle || ''}\n${content}`, {
+        regular: ['Helvetica', 'Helvetica-Oblique'],
+        bold: ['Helvetica-Bold']
+      });
+
       const chunks = [];
       doc.on('data', chunk => chunks.push(chunk));
 
@@ -1281,11 +1288,277 @@ class DocumentGenerationService {
     doc.y = currentY + 10; // Add small gap after table
   }
 
+  // ─── TEXT EXPORTS (Markdown, HTML, plain text) ──────────────────────
+
+  /**
+   * Normalize stored content to markdown for the text exports.
+   * Slide decks are stored as JSON and become an outline; other JSON
+   * content (e.g. clips) is kept as a fenced code block.
+   * @param {string} content - Stored content text
+   * @param {string} contentType - Content type key
+   * @returns {string} Markdown
+   */
+  toMarkdownSource(content, contentType) {
+    const cleaned = content.replace(/\s*Character count:\s*\d+\/\d+/gi, '').trim();
+
+    if (contentType === 'slide_deck_text') {
+      const slideDeckGenerationService = require('./slide-deck-generation.service');
+      return slideDeckGenerationService.slidesToMarkdown(cleaned);
+    }
+
+    const fenced = cleaned.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+    const candidate = fenced ? fenced[1] : cleaned;
+    if (/^[[{]/.test(candidate)) {
+      try {
+        return `\`\`\`json\n${JSON.stringify(JSON.parse(candidate), null, 2)}\n\`\`\``;
+      } catch {
+        // Not JSON after all - treat as markdown
+      }
+    }
+
+    return cleaned;
+  }
+
+  /**
+   * Generate a Markdown document (title block plus the content as markdown)
+   * @param {string} content - Content text
+   * @param {string} contentType - Content type key
+   * @param {string} videoTitle - Video title for subtitle
+   * @returns {string} Markdown document
+   */
+  generateMarkdown(content, contentType, videoTitle) {
+    const header = [`# ${this.formatContentTypeLabel(contentType)}`];
+    if (videoTitle) {
+      header.push(`*${videoTitle}*`);
+    }
+
+    return `${header.join('\n\n')}\n\n---\n\n${this.toMarkdownSource(content, contentType)}\n`;
+  }
+
+  /**
+   * Escape text for HTML element content and attributes
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Convert inline markdown (bold, italic, code, links) to escaped HTML
+   * @param {string} text - Markdown text
+   * @returns {string} HTML fragment
+   */
+  renderInlineHtml(text) {
+    return this.escapeHtml(this.decodeHtmlEntities(text))
+      .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+      .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+      .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+      .replace(/`([^`]+)`/g, '<code>$1</code>')
+      .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2">$1</a>');
+  }
+
+  /**
+   * Render a paragraph to HTML, turning markdown images into <img> tags.
+   * Data-URI images (ebook illustrations) stay inline, keeping the file self-contained.
+   * @param {string} text - Paragraph markdown
+   * @returns {string} HTML fragment
+   */
+  renderHtmlParagraph(text) {
+    const parts = [];
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(/!\[([^\]]*)\]\(\s*((?:data:image\/|https?:\/\/)[^)\s]+)\s*\)/g)) {
+      const before = text.slice(lastIndex, match.index).trim();
+      if (before) parts.push(`<p>${this.renderInlineHtml(before)}</p>`);
+      parts.push(`<figure><img src="${this.escapeHtml(match[2])}" alt="${this.escapeHtml(match[1])}"></figure>`);
+      lastIndex = match.index + match[0].length;
+    }
+
+    const rest = text.slice(lastIndex).trim();
+    if (rest) parts.push(`<p>${this.renderInlineHtml(rest)}</p>`);
+    return parts.join('\n');
+  }
+
+  /**
+   * Render parsed markdown sections to HTML, grouping list items into lists
+   * @param {Array} sections - Output of parseMarkdownContent
+   * @returns {string} HTML fragment
+   */
+  renderHtmlSections(sections) {
+    const html = [];
+    let openList = null;
+
+    for (const section of sections) {
+      const listTag = section.type === 'bullet' ? 'ul' : section.type === 'numberedItem' ? 'ol' : null;
+      if (listTag !== openList) {
+        if (openList) html.push(`</${openList}>`);
+        if (listTag) html.push(`<${listTag}>`);
+        openList = listTag;
+      }
+
+      const headingMatch = section.type.match(/^heading(\d)$/);
+      if (headingMatch) {
+        // h1 is the document title, so content headings start at h2
+        const level = Math.min(6, parseInt(headingMatch[1], 10) + 1);
+        html.push(`<h${level}>${this.renderInlineHtml(section.text)}</h${level}>`);
+      } else if (section.type === 'bullet') {
+        html.push(`<li>${this.renderInlineHtml(section.text)}</li>`);
+      } else if (section.type === 'numberedItem') {
+        html.push(`<li>${this.renderInlineHtml(section.text.replace(/^\d+\.\s+/, ''))}</li>`);
+      } else if (section.type === 'quote') {
+        html.push(`<blockquote>${this.renderInlineHtml(section.text)}</blockquote>`);
+      } else if (section.type === 'horizontalRule') {
+        html.push('<hr>');
+      } else if (section.type === 'table' && section.rows.length > 0) {
+        const renderRow = (cells, tag) => `<tr>${cells.map(cell => `<${tag}>${this.renderInlineHtml(cell)}</${tag}>`).join('')}</tr>`;
+        const [first, ...rest] = section.rows;
+        const head = section.hasHeader ? `<thead>${renderRow(first, 'th')}</thead>` : '';
+        const body = (section.hasHeader ? rest : section.rows).map(row => renderRow(row, 'td')).join('');
+        html.push(`<table>${head}<tbody>${body}</tbody></table>`);
+      } else if (section.type === 'paragraph') {
+        html.push(this.renderHtmlParagraph(section.text));
+      }
+    }
+
+    if (openList) html.push(`</${openList}>`);
+    return html.join('\n');
+  }
+
+  /**
+   * Render content as an HTML fragment (no document wrapper or styles)
+   * @param {string} content - Content text
+   * @param {string} contentType - Content type key
+   * @returns {string} HTML fragment
+   */
+  renderHtmlBody(content, contentType) {
+    const markdown = this.toMarkdownSource(content, contentType);
+    if (markdown.startsWith('```')) {
+      return `<pre><code>${this.escapeHtml(markdown.replace(/^```\w*\n|\n```$/g, ''))}</code></pre>`;
+    }
+    return this.renderHtmlSections(this.parseMarkdownContent(markdown));
+  }
+
+  /**
+   * Generate a self-contained HTML document (inline styles, no external assets)
+   * styled with the same palette as the DOCX and PDF exports
+   * @param {string} content - Content text
+   * @param {string} contentType - Content type key
+   * @param {string} videoTitle - Video title for subtitle
+   * @param {string} [language] - Language code of the content
+   * @returns {string} HTML document
+   */
+  generateHtml(content, contentType, videoTitle, language = 'en') {
+    const contentLabel = this.formatContentTypeLabel(contentType);
+    const body = this.renderHtmlBody(content, contentType);
+    const { fonts, sizes, colors } = this.styles;
+    const dir = ['ar', 'he'].includes(language) ? ' dir="rtl"' : '';
+
+    return `<!DOCTYPE html>
+<html lang="${this.escapeHtml(language)}"${dir}>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${this.escapeHtml(videoTitle ? `${contentLabel} - ${videoTitle}` : contentLabel)}</title>
+<style>
+  body { font-family: ${fonts.body}, Helvetica, sans-serif; font-size: ${sizes.body}pt; line-height: 1.6; color: ${colors.text}; max-width: 760px; margin: 40px auto; padding: 0 20px; }
+  h1, h2, h3, h4, h5, h6 { font-family: ${fonts.heading}, Helvetica, sans-serif; color: ${colors.primary}; line-height: 1.3; }
+  h1 { font-size: ${sizes.title}pt; margin-bottom: 4px; }
+  h2 { font-size: ${sizes.heading1}pt; }
+  h3 { font-size: ${sizes.heading2}pt; }
+  h4, h5, h6 { font-size: ${sizes.heading3}pt; color: ${colors.secondary}; }
+  .subtitle { font-size: ${sizes.heading3}pt; font-style: italic; color: ${colors.muted}; margin-top: 0; }
+  hr { border: 0; border-top: 1px solid #CCCCCC; margin: 24px 0; }
+  blockquote { margin: 16px 0; padding: 4px 16px; border-left: 4px solid ${colors.primary}; color: ${colors.secondary}; font-style: italic; }
+  table { border-collapse: collapse; width: 100%; margin: 16px 0; }
+  th, td { border: 1px solid #CCCCCC; padding: 8px; text-align: left; vertical-align: top; }
+  th { background: ${colors.primary}; color: #FFFFFF; }
+  a { color: ${colors.primary}; }
+  figure { margin: 16px 0; text-align: center; }
+  img { max-width: 100%; height: auto; }
+  pre { background: #F7FAFC; border: 1px solid #E2E8F0; padding: 12px; overflow-x: auto; font-size: 10pt; }
+</style>
+</head>
+<body>
+<h1>${this.escapeHtml(contentLabel)}</h1>
+${videoTitle ? `<p class="subtitle">${this.escapeHtml(videoTitle)}</p>\n` : ''}<hr>
+${body}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Generate a plain-text document (markdown removed, headings underlined)
+   * @param {string} content - Content text
+   * @param {string} contentType - Content type key
+   * @param {string} videoTitle - Video title for subtitle
+   * @returns {string} Plain text
+   */
+  generatePlainText(content, contentType, videoTitle) {
+    const contentLabel = this.formatContentTypeLabel(contentType);
+    const markdown = this.toMarkdownSource(content, contentType);
+    const underline = (text, char) => `${text}\n${char.repeat(Math.min(text.length, 72))}`;
+    const blocks = [underline(contentLabel, '=')];
+
+    if (videoTitle) {
+      blocks.push(videoTitle);
+    }
+
+    if (markdown.startsWith('```')) {
+      blocks.push(markdown.replace(/^```\w*\n|\n```$/g, ''));
+      return `${blocks.join('\n\n')}\n`;
+    }
+
+    // Images carry no text (and data URIs are huge), so drop them before stripping markdown
+    const plain = text => this.stripMarkdown(text.replace(/!\[[^\]]*\]\([^)]*\)/g, ''));
+    let previousType = null;
+
+    for (const section of this.parseMarkdownContent(markdown)) {
+      let block;
+      if (section.type === 'heading1' || section.type === 'heading2') {
+        block = underline(plain(section.text), section.type === 'heading1' ? '=' : '-');
+      } else if (section.type.startsWith('heading')) {
+        block = plain(section.text).toUpperCase();
+      } else if (section.type === 'bullet') {
+        block = `  • ${plain(section.text)}`;
+      } else if (section.type === 'numberedItem') {
+        block = `  ${plain(section.text)}`;
+      } else if (section.type === 'quote') {
+        block = `    "${plain(section.text)}"`;
+      } else if (section.type === 'horizontalRule') {
+        block = '-'.repeat(40);
+      } else if (section.type === 'table') {
+        block = section.rows.map(row => row.map(cell => plain(cell)).join(' | ')).join('\n');
+      } else {
+        block = plain(section.text);
+      }
+
+      if (!block.trim()) continue;
+
+      // Keep list items on consecutive lines
+      const isListItem = section.type === 'bullet' || section.type === 'numberedItem';
+      if (isListItem && previousType === section.type) {
+        blocks[blocks.length - 1] += `\n${block}`;
+      } else {
+        blocks.push(block);
+      }
+      previousType = section.type;
+    }
+
+    return `${blocks.join('\n\n')}\n`;
+  }
+
   /**
    * Generate a filename for the document
    * @param {string} videoTitle - Video title
    * @param {string} contentType - Content type key
-   * @param {string} format - File format (docx or pdf)
+   * @param {string} format - File format (docx, pdf, md, html, txt)
    * @returns {string} Sanitized filename
    */
   generateFilename(videoTitle, contentType, format) {
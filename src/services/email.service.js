@@ -3,6 +3,18 @@ const axios = require('axios');
 const { ConfidentialClientApplication } = require('@azure/msal-node');
 const { logger } = require('../utils');
 
+/**
+ * Escape user-provided text (names, workspace names) for HTML email bodies
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 class EmailService {
   constructor() {
     this.transporter = null;
@@ -1258,6 +1270,164 @@ ${process.env.STRIPE_CUSTOMER_PORTAL_URL || process.env.BASE_URL + '/subscriptio
 
 We're sorry to see you go! If there's anything we could have done better, we'd love to hear from you at support@amplifycontent.ai.
 
+© ${new Date().getFullYear()} AmplifyContent.ai. All rights reserved.
+    `;
+  }
+
+  async sendWorkspaceInvitation(email, data) {
+    try {
+      await this.ensureInitialized();
+      const subject = `${data.inviterName || 'A teammate'} invited you to ${data.workspaceName} on AmplifyContent.ai`;
+      const html = this.generateWorkspaceInvitationEmailHTML(data);
+      const text = this.generateWorkspaceInvitationEmailText(data);
+
+      return await this.sendEmail(email, subject, html, text);
+    } catch (error) {
+      logger.error('Error sending workspace invitation email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  generateWorkspaceInvitationEmailHTML(data) {
+    const roleText = data.role === 'editor' ? 'an editor' : 'a viewer';
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Workspace Invitation</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #10b981; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .header h1 { margin: 0; font-size: 28px; color: white; }
+            .content { background-color: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
+            .highlight { background-color: #d1fae5; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10b981; }
+            .button { background-color: #10b981; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; display: inline-block; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; font-size: 14px; color: #64748b; }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <h1>You're Invited</h1>
+        </div>
+        <div class="content">
+            <h2>Hello there,</h2>
+            <p><strong>${escapeHtml(data.inviterName || 'A teammate')}</strong> invited you to join the <strong>${escapeHtml(data.workspaceName)}</strong> workspace as ${roleText}.</p>
+            <div class="highlight">
+                Workspace members share a video library, character profiles and YouTube channel connections.
+            </div>
+            <div style="text-align: center;">
+                <a href="${escapeHtml(data.acceptUrl)}" class="button">Accept Invitation</a>
+            </div>
+            <p>Sign in or create an account with this email address to accept. The invitation expires on ${escapeHtml(data.expiresAt)}.</p>
+            <p>Not expecting this? You can safely ignore this email.</p>
+        </div>
+        <div class="footer">
+            <p>© ${new Date().getFullYear()} AmplifyContent.ai. All rights reserved.</p>
+        </div>
+    </body>
+    </html>`;
+  }
+
+  generateWorkspaceInvitationEmailText(data) {
+    const roleText = data.role === 'editor' ? 'an editor' : 'a viewer';
+    return `
+You're Invited
+
+Hello there,
+
+${data.inviterName || 'A teammate'} invited you to join the ${data.workspaceName} workspace as ${roleText}.
+
+Workspace members share a video library, character profiles and YouTube channel connections.
+
+Accept the invitation:
+${data.acceptUrl}
+
+Sign in or create an account with this email address to accept. The invitation expires on ${data.expiresAt}.
+
+Not expecting this? You can safely ignore this email.
+
+© ${new Date().getFullYear()} AmplifyContent.ai. All rights reserved.
+    `;
+  }
+
+  async sendNewDeviceLogin(email, data) {
+    try {
+      await this.ensureInitialized();
+      const subject = 'New sign-in to your AmplifyContent.ai account';
+      const html = this.generateNewDeviceLoginEmailHTML(data);
+      const text = this.generateNewDeviceLoginEmailText(data);
+
+      return await this.sendEmail(email, subject, html, text);
+    } catch (error) {
+      logger.error('Error sending new device sign-in email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  generateNewDeviceLoginEmailHTML(data) {
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>New Sign-In</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #10b981; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .header h1 { margin: 0; font-size: 28px; color: white; }
+            .content { background-color: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
+            .highlight { background-color: #d1fae5; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10b981; }
+            .button { background-color: #10b981; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; display: inline-block; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; font-size: 14px; color: #64748b; }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <h1>New Sign-In</h1>
+        </div>
+        <div class="content">
+            <h2>Hello ${escapeHtml(data.firstName || 'there')},</h2>
+            <p>Your AmplifyContent.ai account was just signed in to from a device you haven't used before.</p>
+            <div class="highlight">
+                <strong>Device:</strong> ${escapeHtml(data.device)}<br>
+                <strong>Location:</strong> ${escapeHtml(data.location || 'Unknown')}<br>
+                <strong>IP address:</strong> ${escapeHtml(data.ipAddress || 'Unknown')}<br>
+                <strong>Time:</strong> ${escapeHtml(data.signedInAt)}
+            </div>
+            <p>If this was you, there's nothing else to do.</p>
+            <p>If you don't recognize this sign-in, sign the session out and change your password right away.</p>
+            <div style="text-align: center;">
+                <a href="${escapeHtml(data.securityUrl)}" class="button">Review Active Sessions</a>
+            </div>
+        </div>
+        <div class="footer">
+            <p>© ${new Date().getFullYear()} AmplifyContent.ai. All rights reserved.</p>
+        </div>
+    </body>
+    </html>`;
+  }
+
+  generateNewDeviceLoginEmailText(data) {
+    return `
+New Sign-In
+
+Hello ${data.firstName || 'there'},
+
+Your AmplifyContent.ai account was just signed in to from a device you haven't used before.
+
+Device: ${data.device}
+Location: ${data.location || 'Unknown'}
+IP address: ${data.ipAddress || 'Unknown'}
+Time: ${data.signedInAt}
+
+If this was you, there's nothing else to do.
+
+If you don't recognize this sign-in, sign the session out and change your password right away:
+${data.securityUrl}
+
 © ${new Date().getFullYear()} AmplifyContent.ai. All rights reserved.
     `;
   }
@@ -0,0 +1,480 @@
+/**
+ * EPUB Generation Service
+ * Builds EPUB 3 packages from generated ebook markdown (ebook_text) for Kindle / Apple Books.
+ * Chapters are split on headings from DocumentGenerationService.parseMarkdownContent and
+ * every image (AI data URIs, remote URLs, the cover thumbnail) is embedded in the package.
+ */
+
+const archiver = require('archiver');
+const axios = require('axios');
+const { v5: uuidv5 } = require('uuid');
+const documentGenerationService = require('./document-generation.service');
+const { assertPublicUrl, publicAgents } = require('../utils/outbound-request');
+const { logger } = require('../utils');
+
+/** Image types EPUB 3 reading systems must support, with file extensions */
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+/** Remote images (covers, hotlinked figures) larger than this are skipped */
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+const MARKDOWN_IMAGE_PATTERN = /!\[([^\]]*)\]\(\s*([^)\s]+)\s*\)/g;
+
+// Placeholders processEbookImages leaves behind when image generation is skipped or fails
+const IMAGE_PLACEHOLDER_PATTERN = /^\[(AI_IMAGE:|Image generation failed:)[^\]]*\]?$/;
+
+const STYLESHEET = `body { font-family: serif; line-height: 1.5; margin: 0 5%; }
+h1, h2, h3, h4, h5, h6 { font-family: sans-serif; line-height: 1.25; page-break-after: avoid; }
+h1 { font-size: 1.8em; margin: 1.5em 0 0.8em; }
+p { margin: 0 0 0.9em; text-align: justify; }
+blockquote { margin: 1em 1.5em; font-style: italic; color: #444; }
+figure { margin: 1.2em 0; text-align: center; page-break-inside: avoid; }
+figure img { max-width: 100%; max-height: 90vh; }
+figcaption { font-size: 0.85em; color: #555; }
+table { border-collapse: collapse; width: 100%; margin: 1em 0; font-size: 0.9em; }
+th, td { border: 1px solid #999; padding: 0.3em 0.5em; text-align: left; }
+.cover { text-align: center; margin: 0; padding: 0; }
+.cover img { max-width: 100%; max-height: 100vh; }
+.title-page { text-align: center; margin-top: 30%; }
+`;
+
+class EpubGenerationService {
+  /**
+   * Escape text for XHTML element content and attributes
+   */
+  escapeXml(text) {
+    return documentGenerationService.escapeHtml(text);
+  }
+
+  /**
+   * Convert inline markdown (bold, italic, code, links) to escaped XHTML
+   * @param {string} text - Markdown text
+   * @returns {string} XHTML fragment
+   */
+  renderInline(text) {
+    return documentGenerationService.renderInlineHtml(text);
+  }
+
+  /**
+   * Split parsed sections into chapters. Books with several H1s split on H1; otherwise
+   * on H2, with a lone H1 treated as the book title. Text before the first chapter
+   * heading becomes an introduction.
+   * @param {Array} sections - Output of parseMarkdownContent
+   * @param {string} fallbackTitle - Title when the book has no headings at all
+   * @returns {Object} { bookTitle, chapters: [{ title, sections }] }
+   */
+  splitChapters(sections, fallbackTitle) {
+    const h1Count = sections.filter(section => section.type === 'heading1').length;
+    const splitType = h1Count >= 2 ? 'heading1' : 'heading2';
+    let bookTitle = null;
+    let body = sections;
+
+    if (h1Count === 1 && splitType === 'heading2') {
+      const titleIndex = sections.findIndex(section => section.type === 'heading1');
+      bookTitle = documentGenerationService.stripMarkdown(sections[titleIndex].text);
+      body = sections.filter((section, index) => index !== titleIndex);
+    }
+
+    const chapters = [];
+    let current = null;
+
+    for (const section of body) {
+      if (section.type === splitType) {
+        current = { title: documentGenerationService.stripMarkdown(section.text), sections: [] };
+        chapters.push(current);
+        continue;
+      }
+      if (!current) {
+        current = { title: null, sections: [] };
+        chapters.push(current);
+      }
+      current.sections.push(section);
+    }
+
+    const nonEmpty = chapters.filter(chapter => chapter.title || chapter.sections.length > 0);
+    if (nonEmpty.length === 0) {
+      nonEmpty.push({ title: fallbackTitle, sections: [] });
+    }
+    nonEmpty.forEach((chapter, index) => {
+      if (!chapter.title) {
+        chapter.title = index === 0 && nonEmpty.length > 1 ? 'Introduction' : fallbackTitle;
+      }
+    });
+
+    return { bookTitle, chapters: nonEmpty };
+  }
+
+  /**
+   * Decode a data: URI image
+   * @returns {Object|null} { data: Buffer, mediaType }
+   */
+  decodeDataUri(uri) {
+    const match = uri.match(/^data:(image\/[\w.+-]+);base64,([A-Za-z0-9+/=\s]+)$/);
+    if (!match || !IMAGE_TYPES[match[1].toLowerCase()]) {
+      return null;
+    }
+    return { data: Buffer.from(match[2], 'base64'), mediaType: match[1].toLowerCase() };
+  }
+
+  /**
+   * Download a remote image so it can be embedded rather than hotlinked. Image URLs come from
+   * user-editable content, so they must resolve to a public host and redirects aren't followed.
+   * @param {string} url - http(s) image URL
+   * @returns {Promise<Object|null>} { data: Buffer, mediaType } or null if unusable
+   */
+  async fetchImage(url) {
+    try {
+      assertPublicUrl(url);
+      const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: 15000,
+        maxContentLength: MAX_IMAGE_BYTES,
+        maxRedirects: 0,
+        ...publicAgents()
+      });
+
+      const mediaType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if (!IMAGE_TYPES[mediaType]) {
+        throw new Error(`unsupported image type ${mediaType || 'unknown'}`);
+      }
+      return { data: Buffer.from(response.data), mediaType };
+    } catch (error) {
+      // A missing image shouldn't fail the whole export
+      logger.warn(`Could not embed image ${url.substring(0, 120)} in EPUB: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Resolve an image reference (data URI or URL) to an embedded package file
+   * @param {string} src - Image source from markdown
+   * @param {Object} book - Build state holding images and their cache
+   * @returns {Promise<Object|null>} Image entry { id, href, mediaType, data }
+   */
+  async embedImage(src, book) {
+    if (book.imageCache.has(src)) {
+      return book.imageCache.get(src);
+    }
+
+    let image = null;
+    if (src.startsWith('data:')) {
+      image = this.decodeDataUri(src);
+    } else if (/^https?:\/\//i.test(src)) {
+      image = await this.fetchImage(src);
+    }
+
+    let entry = null;
+    if (image) {
+      const number = book.images.length + 1;
+      entry = {
+        id: `img-${number}`,
+        href: `images/image-${String(number).padStart(3, '0')}.${IMAGE_TYPES[image.mediaType]}`,
+        mediaType: image.mediaType,
+        data: image.data
+      };
+      book.images.push(entry);
+    }
+
+    book.imageCache.set(src, entry);
+    return entry;
+  }
+
+  /**
+   * Render a paragraph, pulling markdown images out into embedded figures
+   * @returns {Promise<string>} XHTML fragment
+   */
+  async renderParagraph(text, book) {
+    const trimmed = text.trim();
+    if (IMAGE_PLACEHOLDER_PATTERN.test(trimmed)) {
+      return '';
+    }
+
+    const parts = [];
+    let lastIndex = 0;
+    for (const match of trimmed.matchAll(MARKDOWN_IMAGE_PATTERN)) {
+      const before = trimmed.slice(lastIndex, match.index).trim();
+      if (before) parts.push(`<p>${this.renderInline(before)}</p>`);
+
+      const image = await this.embedImage(match[2], book);
+      if (image) {
+        const alt = match[1] && match[1] !== 'Generated Image' ? match[1] : '';
+        parts.push(`<figure><img src="../${image.href}" alt="${this.escapeXml(alt)}"/>${alt ? `<figcaption>${this.escapeXml(alt)}</figcaption>` : ''}</figure>`);
+      }
+      lastIndex = match.index + match[0].length;
+    }
+
+    const rest = trimmed.slice(lastIndex).trim();
+    if (rest) parts.push(`<p>${this.renderInline(rest)}</p>`);
+    return parts.join('\n');
+  }
+
+  /**
+   * Render a chapter's sections to an XHTML body, grouping list items into lists
+   * @returns {Promise<string>} XHTML fragment
+   */
+  async renderSections(sections, book) {
+    const html = [];
+    let openList = null;
+
+    const closeList = () => {
+      if (openList) {
+        html.push(`</${openList}>`);
+        openList = null;
+      }
+    };
+
+    for (const section of sections) {
+      const listTag = section.type === 'bullet' ? 'ul' : section.type === 'numberedItem' ? 'ol' : null;
+      if (listTag !== openList) {
+        closeList();
+        if (listTag) {
+          html.push(`<${listTag}>`);
+          openList = listTag;
+        }
+      }
+
+      const headingMatch = section.type.match(/^heading(\d)$/);
+      if (headingMatch) {
+        // The chapter title is the h1; keep nested headings below it
+        const level = Math.min(6, Math.max(2, parseInt(headingMatch[1], 10)));
+        html.push(`<h${level}>${this.renderInline(section.text)}</h${level}>`);
+      } else if (section.type === 'bullet') {
+        html.push(`<li>${this.renderInline(section.text)}</li>`);
+      } else if (section.type === 'numberedItem') {
+        html.push(`<li>${this.renderInline(section.text.replace(/^\d+\.\s+/, ''))}</li>`);
+      } else if (section.type === 'quote') {
+        html.push(`<blockquote><p>${this.renderInline(section.text)}</p></blockquote>`);
+      } else if (section.type === 'horizontalRule') {
+        html.push('<hr/>');
+      } else if (section.type === 'table') {
+        html.push(this.renderTable(section.rows, section.hasHeader));
+      } else if (section.type === 'paragraph') {
+        const paragraph = await this.renderParagraph(section.text, book);
+        if (paragraph) html.push(paragraph);
+      }
+    }
+
+    closeList();
+    return html.join('\n');
+  }
+
+  /**
+   * Render a parsed markdown table
+   */
+  renderTable(rows, hasHeader) {
+    if (!rows || rows.length === 0) return '';
+    const renderRow = (cells, tag) => `<tr>${cells.map(cell => `<${tag}>${this.renderInline(cell)}</${tag}>`).join('')}</tr>`;
+    const [first, ...rest] = rows;
+    const head = hasHeader ? `<thead>${renderRow(first, 'th')}</thead>` : '';
+    const bodyRows = (hasHeader ? rest : rows).map(row => renderRow(row, 'td')).join('');
+    return `<table>${head}<tbody>${bodyRows}</tbody></table>`;
+  }
+
+  /**
+   * Wrap body markup in an EPUB 3 XHTML document
+   */
+  xhtmlDocument(title, body, language, extraAttributes = '') {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}">
+<head>
+<meta charset="UTF-8"/>
+<title>${this.escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="../styles/book.css"/>
+</head>
+<body${extraAttributes}>
+${body}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Build every file in the EPUB package, in archive order (mimetype first)
+   * @param {string} content - ebook_text markdown
+   * @param {Object} metadata - { videoId, title, author, description, publishedDate, sourceUrl, language, coverUrl }
+   * @returns {Promise<Array>} [{ name, data, store? }]
+   */
+  async buildPackageFiles(content, metadata) {
+    const language = metadata.language || 'en';
+    const sections = documentGenerationService.parseMarkdownContent(content);
+    const { bookTitle, chapters } = this.splitChapters(sections, metadata.title || 'Ebook');
+    const title = metadata.title || bookTitle || 'Ebook';
+    const author = metadata.author || 'AmplifyContent.ai';
+    const identifier = `urn:uuid:${uuidv5(`https://amplifycontent.ai/videos/${metadata.videoId}/ebook`, uuidv5.URL)}`;
+    const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+    const book = { images: [], imageCache: new Map() };
+
+    // Cover: the selected thumbnail, embedded; otherwise a plain title page
+    const cover = metadata.coverUrl ? await this.embedImage(metadata.coverUrl, book) : null;
+    if (cover) {
+      cover.id = 'cover-image';
+      cover.properties = 'cover-image';
+    }
+    const coverBody = cover
+      ? `<section class="cover" epub:type="cover"><img src="../${cover.href}" alt="${this.escapeXml(title)}"/></section>`
+      : `<section class="title-page" epub:type="titlepage"><h1>${this.escapeXml(title)}</h1><p>${this.escapeXml(author)}</p></section>`;
+
+    const chapterFiles = [];
+    for (const [index, chapter] of chapters.entries()) {
+      const body = await this.renderSections(chapter.sections, book);
+      chapterFiles.push({
+        id: `chapter-${index + 1}`,
+        href: `text/chapter-${String(index + 1).padStart(3, '0')}.xhtml`,
+        title: chapter.title,
+        xhtml: this.xhtmlDocument(
+          chapter.title,
+          `<section epub:type="chapter">\n<h1>${this.renderInline(chapter.title)}</h1>\n${body}\n</section>`,
+          language
+        )
+      });
+    }
+
+    const navItems = chapterFiles
+      .map(chapter => `<li><a href="${chapter.href}">${this.escapeXml(chapter.title)}</a></li>`)
+      .join('\n');
+    const nav = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}">
+<head>
+<meta charset="UTF-8"/>
+<title>${this.escapeXml(title)}</title>
+</head>
+<body>
+<nav epub:type="toc" id="toc">
+<h1>Contents</h1>
+<ol>
+${navItems}
+</ol>
+</nav>
+<nav epub:type="landmarks" hidden="">
+<ol>
+<li><a epub:type="cover" href="text/cover.xhtml">Cover</a></li>
+<li><a epub:type="bodymatter" href="${chapterFiles[0].href}">Start</a></li>
+</ol>
+</nav>
+</body>
+</html>
+`;
+
+    // EPUB 2 NCX table of contents for older Kindle tooling
+    const ncx = `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head>
+<meta name="dtb:uid" content="${identifier}"/>
+</head>
+<docTitle><text>${this.escapeXml(title)}</text></docTitle>
+<navMap>
+${chapterFiles.map((chapter, index) => `<navPoint id="nav-${index + 1}" playOrder="${index + 1}"><navLabel><text>${this.escapeXml(chapter.title)}</text></navLabel><content src="${chapter.href}"/></navPoint>`).join('\n')}
+</navMap>
+</ncx>
+`;
+
+    const optionalMetadata = [
+      metadata.description ? `<dc:description>${this.escapeXml(metadata.description.substring(0, 2000))}</dc:description>` : '',
+      metadata.publishedDate ? `<dc:date>${this.escapeXml(new Date(metadata.publishedDate).toISOString().substring(0, 10))}</dc:date>` : '',
+      metadata.sourceUrl ? `<dc:source>${this.escapeXml(metadata.sourceUrl)}</dc:source>` : '',
+      cover ? '<meta name="cover" content="cover-image"/>' : ''
+    ].filter(Boolean).join('\n');
+
+    const manifest = [
+      '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+      '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+      '<item id="css" href="styles/book.css" media-type="text/css"/>',
+      '<item id="cover" href="text/cover.xhtml" media-type="application/xhtml+xml"/>',
+      ...chapterFiles.map(chapter => `<item id="${chapter.id}" href="${chapter.href}" media-type="application/xhtml+xml"/>`),
+      ...book.images.map(image => `<item id="${image.id}" href="${image.href}" media-type="${image.mediaType}"${image.properties ? ` properties="${image.properties}"` : ''}/>`)
+    ].join('\n');
+
+    const spine = [
+      '<itemref idref="cover" linear="yes"/>',
+      ...chapterFiles.map(chapter => `<itemref idref="${chapter.id}"/>`)
+    ].join('\n');
+
+    const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${language}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${identifier}</dc:identifier>
+<dc:title>${this.escapeXml(title)}</dc:title>
+<dc:creator>${this.escapeXml(author)}</dc:creator>
+<dc:language>${language}</dc:language>
+<dc:publisher>AmplifyContent.ai</dc:publisher>
+<meta property="dcterms:modified">${modified}</meta>
+${optionalMetadata}
+</metadata>
+<manifest>
+${manifest}
+</manifest>
+<spine toc="ncx">
+${spine}
+</spine>
+</package>
+`;
+
+    const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`;
+
+    return [
+      { name: 'mimetype', data: 'application/epub+zip', store: true },
+      { name: 'META-INF/container.xml', data: container },
+      { name: 'OEBPS/content.opf', data: opf },
+      { name: 'OEBPS/nav.xhtml', data: nav },
+      { name: 'OEBPS/toc.ncx', data: ncx },
+      { name: 'OEBPS/styles/book.css', data: STYLESHEET },
+      { name: 'OEBPS/text/cover.xhtml', data: this.xhtmlDocument(title, coverBody, language) },
+      ...chapterFiles.map(chapter => ({ name: `OEBPS/${chapter.href}`, data: chapter.xhtml })),
+      ...book.images.map(image => ({ name: `OEBPS/${image.href}`, data: image.data }))
+    ];
+  }
+
+  /**
+   * Zip package files into an EPUB. The mimetype entry must be first and uncompressed.
+   * @param {Array} files - Output of buildPackageFiles
+   * @returns {Promise<Buffer>}
+   */
+  packageFiles(files) {
+    return new Promise((resolve, reject) => {
+      const archive = archiver('zip', { zlib: { level: 9 } });
+      const chunks = [];
+
+      archive.on('data', chunk => chunks.push(chunk));
+      archive.on('end', () => resolve(Buffer.concat(chunks)));
+      archive.on('warning', reject);
+      archive.on('error', reject);
+
+      for (const file of files) {
+        archive.append(typeof file.data === 'string' ? Buffer.from(file.data, 'utf8') : file.data, {
+          name: file.name,
+          store: Boolean(file.store)
+        });
+      }
+      archive.finalize();
+    });
+  }
+
+  /**
+   * Generate an EPUB 3 file from ebook markdown
+   * @param {string} content - ebook_text markdown
+   * @param {Object} metadata - See buildPackageFiles
+   * @returns {Promise<Buffer>} EPUB file
+   */
+  async generateEpub(content, metadata) {
+    const files = await this.buildPackageFiles(content, metadata);
+    const buffer = await this.packageFiles(files);
+    logger.info(`Built EPUB for video ${metadata.videoId}: ${files.length} files, ${buffer.length} bytes`);
+    return buffer;
+  }
+}
+
+module.exports = new EpubGenerationService();
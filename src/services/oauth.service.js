@@ -754,15 +754,13 @@ class OAuthService {
       // Refresh user data to get the most current information including the updates
       const refreshedUser = await authService.findUserByEmail(email);
 
-      // Generate JWT token with refreshed user data
-      const token = authService.generateToken(refreshedUser.id, email, refreshedUser);
-
       logger.info(`Social login user verified and activated: ${email}`);
 
+      // No token here: the caller signs the user in through the two-factor check,
+      // which records the login session and issues a token bound to it
       return {
         success: true,
-        user: refreshedUser,
-        token: token
+        user: refreshedUser
       };
     } catch (error) {
       logger.error('Social verification completion error:', error);
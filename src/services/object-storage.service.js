@@ -0,0 +1,202 @@
+/**
+ * Object Storage Service
+ * S3-compatible bucket shared by every web replica and the queue worker. Media that more
+ * than one process needs (uploads, clip renders) lives here, never on a replica's local disk.
+ */
+
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { logger } = require('../utils');
+
+// Smallest part S3 accepts in a multipart upload (every part but the last)
+const MIN_PART_BYTES = 5 * 1024 * 1024;
+
+class ObjectStorageService {
+  constructor() {
+    this.bucket = process.env.STORAGE_BUCKET;
+    this.isConfigured = !!(
+      this.bucket &&
+      process.env.STORAGE_ACCESS_KEY_ID &&
+      process.env.STORAGE_SECRET_ACCESS_KEY
+    );
+    this.minPartBytes = MIN_PART_BYTES;
+    this.client = null;
+
+    if (this.isConfigured) {
+      this.client = new S3Client({
+        region: process.env.STORAGE_REGION || 'auto',
+        endpoint: process.env.STORAGE_ENDPOINT || undefined,
+        // Custom endpoints (R2, MinIO, Railway buckets) address buckets by path
+        forcePathStyle: !!process.env.STORAGE_ENDPOINT,
+        credentials: {
+          accessKeyId: process.env.STORAGE_ACCESS_KEY_ID,
+          secretAccessKey: process.env.STORAGE_SECRET_ACCESS_KEY
+        }
+      });
+      logger.info('Object storage initialized', { bucket: this.bucket });
+    } else {
+      logger.warn('Object storage not configured. Uploads and clip renders will be disabled.');
+    }
+  }
+
+  /**
+   * Check if object storage is configured
+   */
+  checkConfiguration() {
+    if (!this.isConfigured) {
+      throw new Error('Object storage is not configured. Please set STORAGE_BUCKET, STORAGE_ACCESS_KEY_ID and STORAGE_SECRET_ACCESS_KEY environment variables.');
+    }
+  }
+
+  /**
+   * Upload a local file
+   * @param {string} key - Object key
+   * @param {string} filePath - Absolute path of the file to upload
+   * @param {string} contentType - MIME type
+   */
+  async uploadFile(key, filePath, contentType) {
+    this.checkConfiguration();
+    const { size } = await fs.promises.stat(filePath);
+
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: fs.createReadStream(filePath),
+      ContentLength: size,
+      ContentType: contentType
+    }));
+  }
+
+  /**
+   * Download an object to a local file
+   * @param {string} key - Object key
+   * @param {string} filePath - Absolute path to write to
+   */
+  async downloadToFile(key, filePath) {
+    const { stream } = await this.getObjectStream(key);
+    await pipeline(stream, fs.createWriteStream(filePath));
+  }
+
+  /**
+   * Open an object for reading
+   * @param {string} key - Object key
+   * @returns {Promise<Object>} { stream, contentLength, contentType }
+   */
+  async getObjectStream(key) {
+    this.checkConfiguration();
+    const result = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+
+    return {
+      stream: result.Body,
+      contentLength: result.ContentLength,
+      contentType: result.ContentType
+    };
+  }
+
+  /**
+   * Get a short-lived URL ffmpeg/ffprobe can read (supports range requests for seeking)
+   * @param {string} key - Object key
+   * @param {number} expiresInSeconds - URL lifetime
+   * @returns {Promise<string>} Presigned GET URL
+   */
+  async getSignedUrl(key, expiresInSeconds = 60 * 60) {
+    this.checkConfiguration();
+    return getSignedUrl(this.client, new GetObjectCommand({ Bucket: this.bucket, Key: key }), {
+      expiresIn: expiresInSeconds
+    });
+  }
+
+  /**
+   * Delete an object (deleting a missing key is not an error)
+   * @param {string} key - Object key
+   */
+  async deleteObject(key) {
+    this.checkConfiguration();
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  /**
+   * Start a multipart upload
+   * @param {string} key - Object key
+   * @param {string} contentType - MIME type
+   * @returns {Promise<string>} Multipart upload ID
+   */
+  async createMultipartUpload(key, contentType) {
+    this.checkConfiguration();
+    const result = await this.client.send(new CreateMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ContentType: contentType
+    }));
+    return result.UploadId;
+  }
+
+  /**
+   * Upload one part of a multipart upload. Re-uploading a part number replaces it.
+   * @param {string} key - Object key
+   * @param {string} uploadId - Multipart upload ID
+   * @param {number} partNumber - 1-based part number
+   * @param {Buffer} body - Part bytes
+   * @returns {Promise<string>} Part ETag
+   */
+  async uploadPart(key, uploadId, partNumber, body) {
+    this.checkConfiguration();
+    const result = await this.client.send(new UploadPartCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      Body: body,
+      ContentLength: body.length
+    }));
+    return result.ETag;
+  }
+
+  /**
+   * Assemble the uploaded parts into the final object
+   * @param {string} key - Object key
+   * @param {string} uploadId - Multipart upload ID
+   * @param {Array} parts - [{ PartNumber, ETag }]
+   */
+  async completeMultipartUpload(key, uploadId, parts) {
+    this.checkConfiguration();
+    await this.client.send(new CompleteMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: {
+        Parts: [...parts].sort((a, b) => a.PartNumber - b.PartNumber)
+      }
+    }));
+  }
+
+  /**
+   * Discard a multipart upload and any parts already stored
+   * @param {string} key - Object key
+   * @param {string} uploadId - Multipart upload ID
+   */
+  async abortMultipartUpload(key, uploadId) {
+    this.checkConfiguration();
+    try {
+      await this.client.send(new AbortMultipartUploadCommand({ Bucket: this.bucket, Key: key, UploadId: uploadId }));
+    } catch (error) {
+      // Already completed or aborted
+      if (error.name !== 'NoSuchUpload') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = new ObjectStorageService();
@@ -51,6 +51,7 @@ class PreferencesService {
         marketingCommunications: fields.marketing_communications || false,
         weeklyDigest: fields.weekly_digest || false,
         aiProvider: fields.llm || 'gemini',
+        language: fields.language || 'en',
         createdAt: fields.created_at,
         updatedAt: fields.updated_at
       };
@@ -122,6 +123,7 @@ class PreferencesService {
         marketingCommunications: recordFields.marketing_communications,
         weeklyDigest: recordFields.weekly_digest,
         aiProvider: recordFields.ai_provider || 'gemini',
+        language: recordFields.language || 'en',
         createdAt: recordFields.created_at,
         updatedAt: recordFields.updated_at
       };
@@ -184,6 +186,9 @@ class PreferencesService {
       if (updates.aiProvider !== undefined) {
         fields.llm = updates.aiProvider;
       }
+      if (updates.language !== undefined) {
+        fields.language = updates.language;
+      }
 
       logger.info('Creating preferences record with fields:', fields);
 
@@ -208,6 +213,7 @@ class PreferencesService {
         marketingCommunications: recordFields.marketing_communications,
         weeklyDigest: recordFields.weekly_digest,
         aiProvider: recordFields.ai_provider || 'gemini',
+        language: recordFields.language || 'en',
         createdAt: recordFields.created_at,
         updatedAt: recordFields.updated_at
       };
@@ -260,6 +266,9 @@ class PreferencesService {
       if (updates.aiProvider !== undefined) {
         fields.llm = updates.aiProvider;
       }
+      if (updates.language !== undefined) {
+        fields.language = updates.language;
+      }
 
       const record = await database.update(this.tableName, existingPrefs.id, fields);
 
@@ -282,6 +291,7 @@ class PreferencesService {
         marketingCommunications: recordFields.marketing_communications,
         weeklyDigest: recordFields.weekly_digest,
         aiProvider: recordFields.ai_provider || 'gemini',
+        language: recordFields.language || 'en',
         createdAt: recordFields.created_at,
         updatedAt: recordFields.updated_at
       };
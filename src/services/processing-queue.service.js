@@ -1,65 +1,57 @@
+const os = require('os');
+const crypto = require('crypto');
 const { logger } = require('../utils');
 const database = require('./database.service');
 const videoProcessing = require('./video-processing.service');
 
 class ProcessingQueueService {
   constructor() {
+    // Unique per process so leases can be attributed across Railway replicas
+    this.workerId = `${process.env.RAILWAY_REPLICA_ID || os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
     this.isProcessing = false;
-    this.processingInterval = null;
-    this.retryDelays = [1000, 5000, 15000, 60000, 300000]; // Exponential backoff
+    this.isPolling = false;
+    this.pollTimer = null;
+    this.activeJobs = new Map(); // queue item id -> { promise, heartbeat }
+    this.retryDelays = [1000, 5000, 15000, 60000, 300000]; // Exponential backoff; dead-lettered once exhausted
+    // Per-task schedules; same length as retryDelays, which also bounds stalled-lease requeues
+    this.taskRetryDelays = {
+      deliver_webhook: [60000, 300000, 1800000, 7200000, 21600000] // 1m, 5m, 30m, 2h, 6h: receivers may be down for a while
+    };
+    this.leaseDurationMs = parseInt(process.env.QUEUE_LEASE_MS) || 5 * 60 * 1000;
+    this.heartbeatIntervalMs = parseInt(process.env.QUEUE_HEARTBEAT_MS) || 30 * 1000;
+    this.pollIntervalMs = parseInt(process.env.QUEUE_POLL_MS) || 5000;
+    this.concurrency = parseInt(process.env.QUEUE_CONCURRENCY) || 1;
   }
 
   /**
    * Add item to processing queue
-   * @param {string} videoId - Video record ID
+   * @param {string|null} videoId - Video record ID (null for tasks that aren't about a video)
    * @param {string} taskType - Type of task to process
    * @param {number} priority - Task priority (higher = more important)
+   * @param {Object} payload - Optional task-specific data
    * @returns {Object} Queue item
    */
-  async addToQueue(videoId, taskType, priority = 1) {
+  async addToQueue(videoId, taskType, priority = 1, payload = {}) {
     try {
       logger.info(`Adding to queue: ${taskType} for video ${videoId}`, { priority });
 
-      // Check if Processing Queue table exists
-      const hasQueueTable = await this.hasProcessingQueueTable();
-
-      if (hasQueueTable) {
-        // Add to PostgreSQL processing queue
-        const queueItem = await database.create('processing_queue', {
-          video_id: videoId, // Foreign key to videos table
-          task_type: taskType,
-          status: 'queued',
-          priority: priority,
-          retry_count: 0,
-          created_at: new Date().toISOString()
-        });
-
-        logger.info(`Added to processing queue: ${queueItem.id}`, { taskType, videoId });
+      const result = await database.query(`
+        INSERT INTO processing_queue (video_id, task_type, payload, status, priority, retry_count, run_after)
+        VALUES ($1, $2, $3, 'queued', $4, 0, NOW())
+        RETURNING *
+      `, [videoId, taskType, JSON.stringify(payload), priority]);
 
-        // Start processing if not already running
-        this.startProcessing();
+      const queueItem = result.rows[0];
 
-        return {
-          id: queueItem.id,
-          videoId,
-          taskType,
-          status: 'queued',
-          priority
-        };
-      } else {
-        // Fallback: direct processing if queue table doesn't exist
-        logger.warn('Processing Queue table not available, processing directly');
-        await this.processDirectly(videoId, taskType);
+      logger.info(`Added to processing queue: ${queueItem.id}`, { taskType, videoId });
 
-        return {
-          id: `direct-${Date.now()}`,
-          videoId,
-          taskType,
-          status: 'processing',
-          priority,
-          direct: true
-        };
-      }
+      return {
+        id: queueItem.id,
+        videoId,
+        taskType,
+        status: 'queued',
+        priority
+      };
 
     } catch (error) {
       logger.error('Error adding to queue:', error);
@@ -67,104 +59,266 @@ class ProcessingQueueService {
     }
   }
 
+  /**
+   * Atomically claim the next runnable queue item for this worker.
+   * SKIP LOCKED lets concurrent workers claim different rows without blocking.
+   * @returns {Object|null} Claimed queue row or null if nothing is runnable
+   */
+  async claimNextItem() {
+    const result = await database.query(`
+      UPDATE processing_queue
+      SET status = 'processing',
+          locked_by = $1,
+          locked_until = NOW() + ($2 * INTERVAL '1 millisecond'),
+          heartbeat_at = NOW(),
+          started_at = NOW(),
+          updated_at = NOW()
+      WHERE id = (
+        SELECT id FROM processing_queue
+        WHERE status = 'queued' AND run_after <= NOW()
+        ORDER BY priority DESC, created_at ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [this.workerId, this.leaseDurationMs]);
+
+    return result.rows[0] || null;
+  }
+
   /**
    * Process next item in queue
    * @returns {Object|null} Processing result or null if no items
    */
   async processNextItem() {
     try {
-      if (!await this.hasProcessingQueueTable()) {
-        return null;
-      }
-
-      // Get highest priority queued item using PostgreSQL WHERE clause
-      const queuedItems = await database.query(`
-        SELECT * FROM processing_queue 
-        WHERE status = 'queued' 
-        ORDER BY priority DESC, created_at ASC 
-        LIMIT 1
-      `);
-
-      if (!queuedItems.rows || queuedItems.rows.length === 0) {
+      const queueItem = await this.claimNextItem();
+      if (!queueItem) {
         return null;
       }
 
-      const queueItem = queuedItems.rows[0];
-      const { video_id, task_type } = queueItem;
+      return await this.runItem(queueItem);
+    } catch (error) {
+      logger.error('Error processing queue item:', error);
+      return null;
+    }
+  }
 
-      logger.info(`Processing queue item: ${queueItem.id}`, {
-        taskType: task_type,
-        videoId: video_id
-      });
+  /**
+   * Run a claimed queue item while keeping its lease alive
+   * @param {Object} queueItem - Claimed processing_queue row
+   * @returns {Object} Processing result
+   */
+  async runItem(queueItem) {
+    const { video_id, task_type } = queueItem;
+
+    logger.info(`Processing queue item: ${queueItem.id}`, {
+      taskType: task_type,
+      videoId: video_id,
+      attempt: (queueItem.retry_count || 0) + 1
+    });
+
+    // Aborted when a heartbeat finds the lease reclaimed, so the task stops instead of racing the new owner
+    const lease = new AbortController();
+    const heartbeat = setInterval(() => {
+      this.heartbeat(queueItem.id)
+        .then(held => {
+          if (!held) {
+            lease.abort(new Error(`Lease lost on queue item ${queueItem.id}`));
+          }
+        })
+        .catch(error => {
+          logger.warn(`Heartbeat failed for queue item ${queueItem.id}:`, error.message);
+        });
+    }, this.heartbeatIntervalMs);
 
-      // Mark as processing
-      await database.update('processing_queue', queueItem.id, {
-        status: 'processing',
-        started_at: new Date().toISOString()
-      });
+    try {
+      await this.untilAborted(this.executeTask(video_id, task_type, queueItem.payload || {}, lease.signal), lease.signal);
+      await this.completeItem(queueItem);
 
-      try {
-        // Process the task
-        await this.executeTask(video_id, task_type);
+      logger.info(`Queue item completed: ${queueItem.id}`, { taskType: task_type });
 
-        // Mark as completed
-        await database.update('processing_queue', queueItem.id, {
-          status: 'completed',
-          completed_at: new Date().toISOString()
-        });
+      return {
+        id: queueItem.id,
+        videoId: video_id,
+        taskType: task_type,
+        status: 'completed'
+      };
 
-        logger.info(`Queue item completed: ${queueItem.id}`, { taskType: task_type });
+    } catch (taskError) {
+      if (lease.signal.aborted) {
+        // The item belongs to another worker now; leave its status alone
+        logger.warn(`Abandoned queue item ${queueItem.id} after losing its lease`, { taskType: task_type });
 
         return {
           id: queueItem.id,
           videoId: video_id,
           taskType: task_type,
-          status: 'completed'
+          status: 'abandoned'
         };
+      }
 
-      } catch (taskError) {
-        logger.error(`Queue item failed: ${queueItem.id}`, taskError);
-
-        const retryCount = (queueItem.retry_count || 0) + 1;
-        const shouldRetry = retryCount <= 3;
-
-        if (shouldRetry) {
-          // Schedule retry
-          await database.update('processing_queue', queueItem.id, {
-            status: 'queued',
-            retry_count: retryCount,
-            error_message: taskError.message
-          });
-
-          logger.info(`Queue item will retry: ${queueItem.id}`, { retryCount });
-        } else {
-          // Mark as failed
-          await database.update('processing_queue', queueItem.id, {
-            status: 'failed',
-            error_message: taskError.message,
-            completed_at: new Date().toISOString()
-          });
-
-          logger.error(`Queue item permanently failed: ${queueItem.id}`);
-        }
+      logger.error(`Queue item failed: ${queueItem.id}`, taskError);
 
-        throw taskError;
-      }
+      const status = await this.failItem(queueItem, taskError);
 
-    } catch (error) {
-      logger.error('Error processing queue item:', error);
-      return null;
+      return {
+        id: queueItem.id,
+        videoId: video_id,
+        taskType: task_type,
+        status,
+        error: taskError.message
+      };
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Settle with the task, or reject as soon as the signal aborts
+   * @param {Promise} task - Running task
+   * @param {AbortSignal} signal - Lease signal
+   * @returns {Promise} Task result
+   */
+  untilAborted(task, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+      task.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Extend the lease on an item this worker holds
+   * @param {number} queueItemId - Queue item ID
+   * @returns {boolean} False if the lease was lost to another worker
+   */
+  async heartbeat(queueItemId) {
+    const result = await database.query(`
+      UPDATE processing_queue
+      SET locked_until = NOW() + ($3 * INTERVAL '1 millisecond'),
+          heartbeat_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1 AND locked_by = $2 AND status = 'processing'
+      RETURNING id
+    `, [queueItemId, this.workerId, this.leaseDurationMs]);
+
+    if (result.rows.length === 0) {
+      logger.warn(`Lost lease on queue item ${queueItemId}`, { workerId: this.workerId });
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Mark a claimed item as completed (only if this worker still holds the lease)
+   * @param {Object} queueItem - Claimed processing_queue row
+   */
+  async completeItem(queueItem) {
+    const result = await database.query(`
+      UPDATE processing_queue
+      SET status = 'completed',
+          completed_at = NOW(),
+          locked_by = NULL,
+          locked_until = NULL,
+          error_message = NULL,
+          updated_at = NOW()
+      WHERE id = $1 AND locked_by = $2
+      RETURNING id
+    `, [queueItem.id, this.workerId]);
+
+    if (result.rows.length === 0) {
+      logger.warn(`Queue item ${queueItem.id} finished after its lease was reclaimed`);
+    }
+  }
+
+  /**
+   * Schedule a retry for a failed item, or dead-letter it once retryDelays are exhausted
+   * @param {Object} queueItem - Claimed processing_queue row
+   * @param {Error} taskError - Error thrown by the task
+   * @returns {string} Resulting status ('queued' or 'dead')
+   */
+  async failItem(queueItem, taskError) {
+    const retryCount = (queueItem.retry_count || 0) + 1;
+    const retryDelay = this.getRetryDelay(retryCount, queueItem.task_type);
+
+    if (retryDelay === null) {
+      await database.query(`
+        UPDATE processing_queue
+        SET status = 'dead',
+            retry_count = $3,
+            error_message = $4,
+            completed_at = NOW(),
+            locked_by = NULL,
+            locked_until = NULL,
+            updated_at = NOW()
+        WHERE id = $1 AND locked_by = $2
+      `, [queueItem.id, this.workerId, retryCount, taskError.message]);
+
+      logger.error(`Queue item dead-lettered: ${queueItem.id}`, { retryCount });
+      return 'dead';
     }
+
+    await database.query(`
+      UPDATE processing_queue
+      SET status = 'queued',
+          retry_count = $3,
+          error_message = $4,
+          run_after = NOW() + ($5 * INTERVAL '1 millisecond'),
+          locked_by = NULL,
+          locked_until = NULL,
+          updated_at = NOW()
+      WHERE id = $1 AND locked_by = $2
+    `, [queueItem.id, this.workerId, retryCount, taskError.message, retryDelay]);
+
+    logger.info(`Queue item will retry: ${queueItem.id}`, { retryCount, retryDelay });
+    return 'queued';
+  }
+
+  /**
+   * Requeue items whose lease expired without a heartbeat (crashed or stalled worker).
+   * A stall counts as an attempt so a task that kills its worker is eventually dead-lettered.
+   * @returns {number} Number of items recovered
+   */
+  async requeueExpiredLeases() {
+    const result = await database.query(`
+      UPDATE processing_queue
+      SET status = CASE WHEN retry_count + 1 > $1 THEN 'dead' ELSE 'queued' END,
+          completed_at = CASE WHEN retry_count + 1 > $1 THEN NOW() ELSE NULL END,
+          retry_count = retry_count + 1,
+          error_message = 'Lease expired: worker ' || COALESCE(locked_by, 'unknown') || ' stopped heartbeating',
+          run_after = NOW(),
+          locked_by = NULL,
+          locked_until = NULL,
+          updated_at = NOW()
+      WHERE status = 'processing' AND locked_until < NOW()
+      RETURNING id, status
+    `, [this.retryDelays.length]);
+
+    if (result.rows.length > 0) {
+      logger.warn(`Recovered ${result.rows.length} stalled queue items`, {
+        items: result.rows.map(row => `${row.id}:${row.status}`)
+      });
+    }
+
+    return result.rows.length;
   }
 
   /**
    * Execute specific task
    * @param {string} videoId - Video ID
    * @param {string} taskType - Task type
+   * @param {Object} payload - Task-specific data
+   * @param {AbortSignal} signal - Aborted when this worker loses the item's lease
    */
-  async executeTask(videoId, taskType) {
+  async executeTask(videoId, taskType, payload = {}, signal = null) {
     try {
       switch (taskType) {
+      case 'full_processing':
+        await videoProcessing.processVideo(videoId);
+        break;
+
       case 'extract_metadata':
         await this.executeMetadataExtraction(videoId);
         break;
@@ -181,6 +335,26 @@ class ProcessingQueueService {
         await this.executeGenerateThumbnails(videoId);
         break;
 
+      case 'process_transcript':
+        await this.executeProcessTranscript(videoId, payload, signal);
+        break;
+
+      case 'generate_content':
+        await this.executeGenerateContent(videoId, payload, signal);
+        break;
+
+      case 'transcribe_upload':
+        await this.executeTranscribeUpload(videoId, payload, signal);
+        break;
+
+      case 'render_clip':
+        await this.executeRenderClip(payload);
+        break;
+
+      case 'deliver_webhook':
+        await this.executeDeliverWebhook(payload);
+        break;
+
       default:
         throw new Error(`Unknown task type: ${taskType}`);
       }
@@ -191,7 +365,7 @@ class ProcessingQueueService {
   }
 
   /**
-   * Start background processing
+   * Start the worker loop. Intended to run from the standalone worker entrypoint (src/worker.js).
    */
   startProcessing() {
     if (this.isProcessing) {
@@ -199,71 +373,131 @@ class ProcessingQueueService {
     }
 
     this.isProcessing = true;
-    logger.info('Starting background processing');
-
-    // Process queue every 10 seconds
-    this.processingInterval = setInterval(async () => {
-      try {
-        const result = await this.processNextItem();
-        if (!result) {
-          // No items to process, reduce frequency
-          clearInterval(this.processingInterval);
-          this.processingInterval = setTimeout(() => {
-            this.startProcessing();
-          }, 30000); // Check again in 30 seconds
+    logger.info('Starting background processing', {
+      workerId: this.workerId,
+      concurrency: this.concurrency
+    });
+
+    this.poll();
+  }
+
+  /**
+   * Recover stalled leases and fill free worker slots, then schedule the next poll
+   */
+  async poll() {
+    if (!this.isProcessing || this.isPolling) {
+      return;
+    }
+
+    this.isPolling = true;
+    try {
+      await this.requeueExpiredLeases();
+
+      while (this.isProcessing && this.activeJobs.size < this.concurrency) {
+        const queueItem = await this.claimNextItem();
+        if (!queueItem) {
+          break;
         }
-      } catch (error) {
-        logger.error('Background processing error:', error);
+
+        const promise = this.runItem(queueItem).finally(() => {
+          this.activeJobs.delete(queueItem.id);
+          // A slot just freed up, look for more work right away
+          this.schedulePoll(0);
+        });
+        this.activeJobs.set(queueItem.id, promise);
       }
-    }, 10000);
+    } catch (error) {
+      logger.error('Background processing error:', error);
+    } finally {
+      this.isPolling = false;
+    }
+
+    this.schedulePoll(this.pollIntervalMs);
   }
 
   /**
-   * Stop background processing
+   * Schedule the next poll, replacing any pending one
+   * @param {number} delay - Delay in milliseconds
    */
-  stopProcessing() {
-    if (this.processingInterval) {
-      clearInterval(this.processingInterval);
-      this.processingInterval = null;
+  schedulePoll(delay) {
+    if (!this.isProcessing) {
+      return;
     }
+
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => this.poll(), delay);
+  }
+
+  /**
+   * Stop background processing. Waits for in-flight items up to a timeout,
+   * then releases any leases still held so another worker can pick them up.
+   * @param {number} timeoutMs - Maximum time to wait for in-flight items
+   */
+  async stopProcessing(timeoutMs = 30000) {
     this.isProcessing = false;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+
+    if (this.activeJobs.size > 0) {
+      logger.info(`Waiting for ${this.activeJobs.size} in-flight queue items`);
+
+      let timer;
+      const timeout = new Promise(resolve => {
+        timer = setTimeout(resolve, timeoutMs);
+      });
+      await Promise.race([Promise.allSettled(this.activeJobs.values()), timeout]);
+      clearTimeout(timer);
+    }
+
+    if (this.activeJobs.size > 0) {
+      await this.releaseLeases();
+    }
+
     logger.info('Stopped background processing');
   }
 
   /**
-   * Retry failed tasks
-   * @returns {number} Number of tasks retried
+   * Return items held by this worker to the queue without counting an attempt
+   * @returns {number} Number of items released
    */
-  async retryFailedTasks() {
+  async releaseLeases() {
     try {
-      if (!await this.hasProcessingQueueTable()) {
-        return 0;
+      const result = await database.query(`
+        UPDATE processing_queue
+        SET status = 'queued', locked_by = NULL, locked_until = NULL, run_after = NOW(), updated_at = NOW()
+        WHERE locked_by = $1 AND status = 'processing'
+        RETURNING id
+      `, [this.workerId]);
+
+      if (result.rows.length > 0) {
+        logger.warn(`Released ${result.rows.length} queue items on shutdown`);
       }
 
-      // Get failed tasks that haven't exceeded retry limit using PostgreSQL
-      const failedItems = await database.query(`
-        SELECT * FROM processing_queue 
-        WHERE status = 'failed' AND retry_count < 3 
-        ORDER BY created_at ASC
+      return result.rows.length;
+    } catch (error) {
+      logger.error('Error releasing queue leases:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Requeue dead-lettered tasks with a fresh retry budget
+   * @returns {number} Number of tasks retried
+   */
+  async retryFailedTasks() {
+    try {
+      const result = await database.query(`
+        UPDATE processing_queue
+        SET status = 'queued', retry_count = 0, error_message = NULL,
+            run_after = NOW(), completed_at = NULL, updated_at = NOW()
+        WHERE status = 'dead'
+        RETURNING id
       `);
 
-      let retriedCount = 0;
-
-      for (const item of failedItems.rows) {
-        try {
-          await database.update('processing_queue', item.id, {
-            status: 'queued',
-            error_message: ''
-          });
-          retriedCount++;
-        } catch (updateError) {
-          logger.error(`Failed to retry queue item ${item.id}:`, updateError);
-        }
-      }
+      const retriedCount = result.rows.length;
 
       if (retriedCount > 0) {
-        logger.info(`Retried ${retriedCount} failed tasks`);
-        this.startProcessing(); // Ensure processing is running
+        logger.info(`Retried ${retriedCount} dead-lettered tasks`);
       }
 
       return retriedCount;
@@ -280,30 +514,24 @@ class ProcessingQueueService {
    */
   async getQueueStatus() {
     try {
-      if (!await this.hasProcessingQueueTable()) {
-        return {
-          available: false,
-          message: 'Processing Queue table not available'
-        };
-      }
-
-      // Get queue statistics
-      const [queued, processing, completed, failed] = await Promise.all([
+      const [queued, processing, completed, dead] = await Promise.all([
         this.getQueueCount('queued'),
         this.getQueueCount('processing'),
         this.getQueueCount('completed'),
-        this.getQueueCount('failed')
+        this.getQueueCount('dead')
       ]);
 
       return {
         available: true,
         isProcessing: this.isProcessing,
+        workerId: this.workerId,
+        activeJobs: this.activeJobs.size,
         counts: {
           queued,
           processing,
           completed,
-          failed,
-          total: queued + processing + completed + failed
+          dead,
+          total: queued + processing + completed + dead
         },
         lastUpdate: new Date().toISOString()
       };
@@ -323,28 +551,16 @@ class ProcessingQueueService {
    */
   async clearCompletedTasks() {
     try {
-      if (!await this.hasProcessingQueueTable()) {
-        return 0;
-      }
-
-      // Get completed tasks older than 24 hours
+      // Delete completed tasks older than 24 hours
       const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
 
-      const completedItems = await database.query(`
-        SELECT * FROM processing_queue 
+      const result = await database.query(`
+        DELETE FROM processing_queue
         WHERE status = 'completed' AND completed_at < $1
+        RETURNING id
       `, [oneDayAgo]);
 
-      let clearedCount = 0;
-
-      for (const item of completedItems.rows) {
-        try {
-          await database.delete('processing_queue', item.id);
-          clearedCount++;
-        } catch (deleteError) {
-          logger.error(`Failed to delete completed task ${item.id}:`, deleteError);
-        }
-      }
+      const clearedCount = result.rows.length;
 
       if (clearedCount > 0) {
         logger.info(`Cleared ${clearedCount} completed tasks`);
@@ -361,19 +577,17 @@ class ProcessingQueueService {
   // Helper methods
 
   /**
-   * Check if Processing Queue table exists
-   * @returns {boolean} True if table exists
+   * Get the backoff delay before the given retry attempt
+   * @param {number} retryCount - Attempt number about to be scheduled (1-based)
+   * @param {string} taskType - Task type (uses its own schedule from taskRetryDelays if it has one)
+   * @returns {number|null} Delay in milliseconds, or null once retries are exhausted
    */
-  async hasProcessingQueueTable() {
-    try {
-      await database.query('SELECT 1 FROM processing_queue LIMIT 1');
-      return true;
-    } catch (error) {
-      if (error.message.includes('relation') && error.message.includes('does not exist')) {
-        return false;
-      }
-      throw error;
+  getRetryDelay(retryCount, taskType = null) {
+    const delays = this.taskRetryDelays[taskType] || this.retryDelays;
+    if (retryCount < 1 || retryCount > delays.length) {
+      return null;
     }
+    return delays[retryCount - 1];
   }
 
   /**
@@ -393,27 +607,6 @@ class ProcessingQueueService {
     }
   }
 
-  /**
-   * Process directly without queue (fallback)
-   * @param {string} videoId - Video ID
-   * @param {string} taskType - Task type
-   */
-  async processDirectly(videoId, taskType) {
-    try {
-      logger.info(`Processing directly: ${taskType} for video ${videoId}`);
-
-      if (taskType === 'full_processing') {
-        await videoProcessing.processVideo(videoId);
-      } else {
-        await this.executeTask(videoId, taskType);
-      }
-
-    } catch (error) {
-      logger.error('Direct processing failed:', error);
-      throw error;
-    }
-  }
-
   // Task execution methods
 
   async executeMetadataExtraction(videoId) {
@@ -459,6 +652,58 @@ class ProcessingQueueService {
       });
     }
   }
+
+  async executeProcessTranscript(videoId, payload, signal) {
+    // Lazy require: transcript.service queues content generation through this service
+    const transcriptService = require('./transcript.service');
+    const result = await transcriptService.processVideoTranscript(
+      payload.videoId,
+      payload.videoUrl,
+      videoId,
+      payload.userId || null,
+      payload.contentTypes || null,
+      { signal }
+    );
+
+    if (!result.success) {
+      // Throw so the queue retries with backoff (e.g. transcript provider briefly unavailable)
+      throw new Error(result.reason || 'Transcript processing failed');
+    }
+  }
+
+  async executeGenerateContent(videoId, payload, signal) {
+    const videoRecord = await database.findById('videos', videoId);
+    const videoData = videoRecord?.fields || videoRecord; // Handle both database service formatted records and direct PostgreSQL rows
+    if (!videoData?.transcript_text) {
+      throw new Error(`Video ${videoId} not found or has no transcript`);
+    }
+
+    // Lazy require: content generation pulls in most of the AI stack
+    const contentGenerationService = require('./content-generation.service');
+    await contentGenerationService.generateAllContentForVideo(videoId, payload.videoId, videoData.transcript_text, {
+      contentTypes: payload.contentTypes,
+      userId: payload.userId || null,
+      signal
+    });
+  }
+
+  async executeTranscribeUpload(videoId, payload, signal) {
+    // Lazy require: upload.service queues jobs through this service
+    const uploadService = require('./upload.service');
+    await uploadService.processUploadedVideo(videoId, payload, { signal });
+  }
+
+  async executeRenderClip(payload) {
+    // Lazy require: clip-render.service queues jobs through this service
+    const clipRenderService = require('./clip-render.service');
+    await clipRenderService.renderClip(payload.clipId, payload);
+  }
+
+  async executeDeliverWebhook(payload) {
+    // Lazy require: webhook.service queues deliveries through this service
+    const webhookService = require('./webhook.service');
+    await webhookService.deliver(payload.deliveryId);
+  }
 }
 
 module.exports = new ProcessingQueueService();
@@ -1,11 +1,16 @@
 const { logger } = require('../utils');
 const { EventEmitter } = require('events');
+const database = require('./database.service');
+const webhookService = require('./webhook.service');
+
+const STATUS_CHANNEL = 'processing_status';
+const MAX_NOTIFY_BYTES = 7500; // PostgreSQL caps NOTIFY payloads at 8000 bytes
 
 class ProcessingStatusService extends EventEmitter {
   constructor() {
     super();
-    this.processingVideos = new Map(); // videoId -> status object
-    this.userSessions = new Map(); // userId -> Set of active sessions
+    this.userSessions = new Map(); // userId -> Set of active sessions (local to this node)
+    this.isListening = false; // True once this node receives fan-out notifications
     this.contentTypesCache = null; // Cache for content types from database
     this.contentTypesCacheExpiry = null; // Cache expiry time
   }
@@ -41,39 +46,24 @@ class ProcessingStatusService extends EventEmitter {
   }
 
   /**
-   * Initialize processing status for a video (synchronous version with fallback)
-   * @param {string} videoId - YouTube video ID
-   * @param {Array} contentTypes - Content types to generate
+   * Subscribe this node to status fan-out so updates made on any node
+   * (web replica or queue worker) reach the user's sockets connected here.
    */
-  initializeVideoProcessing(videoId, contentTypes = []) {
-    // Use cached content types if available, otherwise use fallback
-    const allContentTypes = this.contentTypesCache || ['summary_text', 'study_guide_text', 'discussion_guide_text', 'group_guide_text', 'social_media_text', 'quiz_text', 'chapters_text', 'ebook_text'];
-
-    const status = {
-      videoId,
-      startTime: new Date().toISOString(),
-      lastUpdate: new Date().toISOString(),
-      transcript: { status: 'pending', completedAt: null },
-      content: {}
-    };
+  async startListening() {
+    if (this.isListening) return;
 
-    allContentTypes.forEach(contentType => {
-      status.content[contentType] = {
-        status: contentTypes.includes(contentType) ? 'pending' : 'skipped',
-        completedAt: null,
-        error: null
-      };
-    });
-
-    this.processingVideos.set(videoId, status);
-
-    logger.debug(`Processing status initialized for video ${videoId}`, { contentTypes: contentTypes.length });
-
-    return status;
+    try {
+      await database.subscribe(STATUS_CHANNEL, (message) => this.handleStatusNotification(message));
+      this.isListening = true;
+      logger.info('Processing status fan-out listener started');
+    } catch (error) {
+      logger.error('Failed to start processing status listener:', error);
+    }
   }
 
   /**
-   * Initialize processing status for a video (async version with database lookup)
+   * Initialize processing status for a video. Status is keyed on the video record, so each
+   * user's import of the same YouTube video is tracked (and cancelled) on its own.
    * @param {string} videoId - YouTube video ID
    * @param {string} videoRecordId - PostgreSQL video record ID
    * @param {string} videoTitle - Video title
@@ -81,29 +71,48 @@ class ProcessingStatusService extends EventEmitter {
    * @param {Array} contentTypes - Content types to generate
    */
   async initializeVideoProcessingAsync(videoId, videoRecordId, videoTitle, userId, contentTypes = []) {
-    const status = {
-      videoId,
-      videoRecordId,
-      videoTitle,
-      userId,
-      startTime: new Date().toISOString(),
-      lastUpdate: new Date().toISOString(),
-      transcript: { status: 'pending', completedAt: null },
-      content: {}
-    };
+    const content = {};
 
-    // Initialize content type statuses using database content types
-    const allContentTypes = await this.getAvailableContentTypes();
+    // Initialize content type statuses using database content types, plus any requested
+    // types outside that list (a user's own content types)
+    const allContentTypes = new Set([...await this.getAvailableContentTypes(), ...contentTypes]);
 
     allContentTypes.forEach(contentType => {
-      status.content[contentType] = {
+      content[contentType] = {
         status: contentTypes.includes(contentType) ? 'pending' : 'skipped',
         completedAt: null,
         error: null
       };
     });
 
-    this.processingVideos.set(videoId, status);
+    // Re-importing a video starts a fresh status row
+    let result;
+    try {
+      result = await database.query(`
+        INSERT INTO video_processing_status
+          (video_id, videos_id, users_id, video_title, transcript_status, content_status, cancelled, completed, started_at, updated_at)
+        VALUES ($1, $2, $3, $4, 'pending', $5, FALSE, FALSE, NOW(), NOW())
+        ON CONFLICT (videos_id) DO UPDATE SET
+          video_id = EXCLUDED.video_id,
+          users_id = EXCLUDED.users_id,
+          video_title = EXCLUDED.video_title,
+          transcript_status = 'pending',
+          transcript_error = NULL,
+          transcript_completed_at = NULL,
+          content_status = EXCLUDED.content_status,
+          cancelled = FALSE,
+          completed = FALSE,
+          started_at = NOW(),
+          completed_at = NULL,
+          updated_at = NOW()
+        RETURNING *
+      `, [videoId, videoRecordId, userId, videoTitle, JSON.stringify(content)]);
+    } catch (error) {
+      logger.error(`Failed to persist processing status for ${videoId}:`, error);
+      return null;
+    }
+
+    const status = this.formatStatus(result.rows[0]);
 
     logger.debug(`Processing status initialized for video ${videoId}`, {
       userId,
@@ -112,102 +121,117 @@ class ProcessingStatusService extends EventEmitter {
     });
 
     // Emit status update to connected clients
-    this.emitStatusUpdate(userId, videoId, status);
+    await this.emitStatusUpdate(status.userId, videoId, status);
 
     return status;
   }
 
   /**
    * Update transcript status
-   * @param {string} videoId - Video ID
+   * @param {string} videoRecordId - PostgreSQL video record ID
    * @param {string} status - Status ('pending', 'completed', 'failed')
    * @param {string} error - Error message if failed
    */
-  updateTranscriptStatus(videoId, status, error = null) {
-    const videoStatus = this.processingVideos.get(videoId);
-    if (!videoStatus) {
-      logger.warn(`No video status found for ${videoId} when updating transcript`);
-      return;
-    }
-
-    videoStatus.transcript.status = status;
-    videoStatus.transcript.completedAt = status === 'completed' ? new Date().toISOString() : null;
-    videoStatus.transcript.error = error;
-    videoStatus.lastUpdate = new Date().toISOString();
+  async updateTranscriptStatus(videoRecordId, status, error = null) {
+    try {
+      const result = await database.query(`
+        UPDATE video_processing_status
+        SET transcript_status = $2,
+            transcript_completed_at = CASE WHEN $2 = 'completed' THEN NOW() ELSE NULL END,
+            transcript_error = $3,
+            updated_at = NOW()
+        WHERE videos_id = $1
+        RETURNING *
+      `, [videoRecordId, status, error]);
+
+      if (result.rows.length === 0) {
+        logger.warn(`No video status found for record ${videoRecordId} when updating transcript`);
+        return;
+      }
 
-    this.processingVideos.set(videoId, videoStatus);
+      const videoStatus = this.formatStatus(result.rows[0]);
 
-    logger.debug(`Updated transcript status for ${videoId}: ${status}`);
-    this.emitStatusUpdate(videoStatus.userId, videoId, videoStatus);
+      logger.debug(`Updated transcript status for ${videoStatus.videoId}: ${status}`);
+      await this.emitStatusUpdate(videoStatus.userId, videoStatus.videoId, videoStatus);
+    } catch (dbError) {
+      logger.error(`Failed to persist transcript status for record ${videoRecordId}:`, dbError);
+    }
   }
 
   /**
    * Update content generation status
-   * @param {string} videoId - Video ID
+   * @param {string} videoRecordId - PostgreSQL video record ID
    * @param {string} contentType - Content type
    * @param {string} status - Status ('pending', 'completed', 'failed')
    * @param {string} error - Error message if failed
    */
-  updateContentStatus(videoId, contentType, status, error = null, metadata = {}) {
-    const videoStatus = this.processingVideos.get(videoId);
-    if (!videoStatus) {
-      // Enhanced diagnostic logging to identify why video is not in Map
-      const allVideoIds = Array.from(this.processingVideos.keys());
-      logger.warn(`No video status found for ${videoId} when updating ${contentType}`, {
-        requestedVideoId: videoId,
-        requestedVideoIdType: typeof videoId,
-        videosInMap: allVideoIds.length,
-        mapVideoIds: allVideoIds.slice(0, 5), // Show first 5 video IDs in map
-        mapVideoIdTypes: allVideoIds.slice(0, 3).map(id => typeof id)
-      });
-      return;
-    }
+  async updateContentStatus(videoRecordId, contentType, status, error = null, metadata = {}) {
+    const entry = {
+      status,
+      completedAt: status === 'completed' ? new Date().toISOString() : null,
+      error,
+      isContentFiltered: metadata.isContentFiltered || false,
+      errorCode: metadata.errorCode || null,
+      errorType: metadata.errorType || null,
+      suggestedFix: metadata.suggestedFix || null,
+      failureReason: metadata.failureReason || null,
+      frontendMessage: metadata.frontendMessage || null,
+      errorDetails: metadata.errorDetails || null,
+      aiProvider: metadata.aiProvider || null
+    };
 
-    if (!videoStatus.content[contentType]) {
-      logger.warn(`Content type ${contentType} not found for video ${videoId}. Available: ${Object.keys(videoStatus.content)}`);
-      return;
-    }
+    try {
+      // jsonb_set keeps concurrent content type updates from overwriting each other
+      const result = await database.query(`
+        UPDATE video_processing_status
+        SET content_status = jsonb_set(content_status, ARRAY[$2::text], $3::jsonb),
+            updated_at = NOW()
+        WHERE videos_id = $1 AND content_status ? $2
+        RETURNING *
+      `, [videoRecordId, contentType, JSON.stringify(entry)]);
+
+      if (result.rows.length === 0) {
+        logger.warn(`No video status found for record ${videoRecordId} when updating ${contentType}`);
+        return;
+      }
 
-    videoStatus.content[contentType].status = status;
-    videoStatus.content[contentType].completedAt = status === 'completed' ? new Date().toISOString() : null;
-    videoStatus.content[contentType].error = error;
-    videoStatus.content[contentType].isContentFiltered = metadata.isContentFiltered || false;
-    videoStatus.content[contentType].errorCode = metadata.errorCode || null;
-    videoStatus.content[contentType].errorType = metadata.errorType || null;
-    videoStatus.content[contentType].suggestedFix = metadata.suggestedFix || null;
-    videoStatus.content[contentType].failureReason = metadata.failureReason || null;
-    videoStatus.content[contentType].frontendMessage = metadata.frontendMessage || null;
-    videoStatus.content[contentType].errorDetails = metadata.errorDetails || null;
-    videoStatus.content[contentType].aiProvider = metadata.aiProvider || null;
-    videoStatus.lastUpdate = new Date().toISOString();
-
-    this.processingVideos.set(videoId, videoStatus);
-
-    // Log status update with error details if failed
-    if (status === 'failed') {
-      logger.warn(`❌ Content generation failed for ${videoId}/${contentType}`, {
-        errorCode: metadata.errorCode,
-        errorType: metadata.errorType,
-        isContentFiltered: metadata.isContentFiltered,
-        frontendMessage: metadata.frontendMessage,
-        aiProvider: metadata.aiProvider
-      });
-    } else {
-      logger.debug(`Updated ${contentType} status for ${videoId}: ${status}`);
-    }
+      const videoStatus = this.formatStatus(result.rows[0]);
+      const { videoId } = videoStatus;
+
+      // Log status update with error details if failed
+      if (status === 'failed') {
+        logger.warn(`❌ Content generation failed for ${videoId}/${contentType}`, {
+          errorCode: metadata.errorCode,
+          errorType: metadata.errorType,
+          isContentFiltered: metadata.isContentFiltered,
+          frontendMessage: metadata.frontendMessage,
+          aiProvider: metadata.aiProvider
+        });
+
+        await webhookService.dispatch(videoStatus.userId, 'content.failed', videoStatus.videoRecordId, {
+          video: this.formatWebhookVideo(videoStatus),
+          contentType,
+          error: metadata.frontendMessage || error,
+          errorCode: metadata.errorCode || null
+        });
+      } else {
+        logger.debug(`Updated ${contentType} status for ${videoId}: ${status}`);
+      }
 
-    this.emitStatusUpdate(videoStatus.userId, videoId, videoStatus);
+      await this.emitStatusUpdate(videoStatus.userId, videoId, videoStatus);
 
-    // Check if all processing is complete
-    this.checkVideoCompletion(videoId);
+      // Check if all processing is complete
+      await this.checkVideoCompletion(videoStatus);
+    } catch (dbError) {
+      logger.error(`Failed to persist ${contentType} status for record ${videoRecordId}:`, dbError);
+    }
   }
 
   /**
    * Check if video processing is complete and mark as done
-   * @param {string} videoId - Video ID
+   * @param {Object} videoStatus - Current status object
    */
-  checkVideoCompletion(videoId) {
-    const videoStatus = this.processingVideos.get(videoId);
+  async checkVideoCompletion(videoStatus) {
     if (!videoStatus || videoStatus.completed) return;
 
     // Check if transcript and all active content types are completed
@@ -217,45 +241,64 @@ class ProcessingStatusService extends EventEmitter {
     );
 
     if (transcriptComplete && contentComplete) {
-      logger.debug(`All processing completed for video ${videoId}`);
-      this.completeVideoProcessing(videoId);
+      logger.debug(`All processing completed for video ${videoStatus.videoId}`);
+      const completedStatus = await this.completeVideoProcessing(videoStatus.videoRecordId);
 
-      // Update video status in PostgreSQL database and deduct from subscription
-      this.finalizeVideoProcessing(videoStatus);
+      // Only the update that flips the flag finalizes, even with several nodes racing
+      if (completedStatus) {
+        // Update video status in PostgreSQL database and deduct from subscription
+        await this.finalizeVideoProcessing(completedStatus);
+      }
     }
   }
 
   /**
    * Mark video processing as complete
-   * @param {string} videoId - Video ID
+   * @param {string} videoRecordId - PostgreSQL video record ID
+   * @returns {Object|null} Completed status, or null if already completed elsewhere
    */
-  completeVideoProcessing(videoId) {
-    const videoStatus = this.processingVideos.get(videoId);
-    if (!videoStatus) return;
+  async completeVideoProcessing(videoRecordId) {
+    const result = await database.query(`
+      UPDATE video_processing_status
+      SET completed = TRUE, completed_at = NOW(), updated_at = NOW()
+      WHERE videos_id = $1 AND completed = FALSE
+      RETURNING *
+    `, [videoRecordId]);
 
-    videoStatus.completed = true;
-    videoStatus.completedAt = new Date().toISOString();
-    videoStatus.lastUpdate = new Date().toISOString();
+    if (result.rows.length === 0) return null;
 
-    this.processingVideos.set(videoId, videoStatus);
+    const videoStatus = this.formatStatus(result.rows[0]);
 
-    logger.info(`Processing completed: videoId=${videoId}`);
-    this.emitStatusUpdate(videoStatus.userId, videoId, videoStatus);
+    logger.info(`Processing completed: videoId=${videoStatus.videoId}, record=${videoRecordId}`);
+    await this.emitStatusUpdate(videoStatus.userId, videoStatus.videoId, videoStatus);
 
-    // Auto-cleanup after 30 minutes
-    setTimeout(() => {
-      this.processingVideos.delete(videoId);
-      logger.debug(`Cleaned up processing status for video ${videoId}`);
-    }, 30 * 60 * 1000);
+    return videoStatus;
   }
 
   /**
    * Get processing status for a specific video
-   * @param {string} videoId - Video ID
+   * @param {string} videoRecordId - PostgreSQL video record ID
    * @returns {Object|null} Status object or null
    */
-  getVideoStatus(videoId) {
-    return this.processingVideos.get(videoId) || null;
+  async getVideoStatus(videoRecordId) {
+    const result = await database.query(
+      'SELECT * FROM video_processing_status WHERE videos_id = $1',
+      [videoRecordId]
+    );
+    return result.rows.length > 0 ? this.formatStatus(result.rows[0]) : null;
+  }
+
+  /**
+   * Check the durable cancellation flag for a video
+   * @param {string} videoRecordId - PostgreSQL video record ID
+   * @returns {Promise<boolean>} True if processing was cancelled
+   */
+  async isCancelled(videoRecordId) {
+    const result = await database.query(
+      'SELECT cancelled FROM video_processing_status WHERE videos_id = $1',
+      [videoRecordId]
+    );
+    return result.rows.length > 0 && result.rows[0].cancelled === true;
   }
 
   /**
@@ -263,28 +306,26 @@ class ProcessingStatusService extends EventEmitter {
    * @param {string} userId - User ID
    * @returns {Array} Array of status objects
    */
-  getUserProcessingVideos(userId) {
-    const userVideos = [];
-
-    this.processingVideos.forEach((status) => {
-      if (status.userId === userId) {
-        // Include videos that have any pending processing or were recently started
-        const hasActiveProcessing = !status.completed && (
+  async getUserProcessingVideos(userId) {
+    try {
+      // Videos still being processed, plus recently completed ones (last 5 minutes) for user feedback
+      const result = await database.query(`
+        SELECT * FROM video_processing_status
+        WHERE users_id = $1
+          AND (completed = FALSE OR completed_at > NOW() - INTERVAL '5 minutes')
+        ORDER BY started_at DESC
+      `, [userId]);
+
+      return result.rows
+        .map(row => this.formatStatus(row))
+        .filter(status => status.completed || (
           status.transcript.status === 'pending' ||
           Object.values(status.content).some(content => content.status === 'pending')
-        );
-
-        // Also include recently completed videos (within last 5 minutes) for user feedback
-        const isRecentlyProcessed = status.completed &&
-          (Date.now() - new Date(status.completedAt).getTime()) < 5 * 60 * 1000;
-
-        if (hasActiveProcessing || isRecentlyProcessed) {
-          userVideos.push(status);
-        }
-      }
-    });
-
-    return userVideos.sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+        ));
+    } catch (error) {
+      logger.error(`Error loading processing videos for user ${userId}:`, error);
+      return [];
+    }
   }
 
   /**
@@ -292,15 +333,16 @@ class ProcessingStatusService extends EventEmitter {
    * @param {string} userId - User ID
    * @param {Object} session - Session object (like Socket.IO socket)
    */
-  registerUserSession(userId, session) {
-    if (!this.userSessions.has(userId)) {
-      this.userSessions.set(userId, new Set());
+  async registerUserSession(userId, session) {
+    const key = String(userId);
+    if (!this.userSessions.has(key)) {
+      this.userSessions.set(key, new Set());
     }
 
-    this.userSessions.get(userId).add(session);
+    this.userSessions.get(key).add(session);
 
     // Send current status for all user's processing videos
-    const processingVideos = this.getUserProcessingVideos(userId);
+    const processingVideos = await this.getUserProcessingVideos(userId);
     processingVideos.forEach(status => {
       session.emit('processing-status-update', {
         videoId: status.videoId,
@@ -317,14 +359,12 @@ class ProcessingStatusService extends EventEmitter {
    * @param {Object} session - Session object
    */
   unregisterUserSession(userId, session) {
-    const userSessions = this.userSessions.get(userId);
+    const key = String(userId);
+    const userSessions = this.userSessions.get(key);
     if (userSessions) {
       userSessions.delete(session);
       if (userSessions.size === 0) {
-        this.userSessions.delete(userId);
-        // Only clear videos that are fully completed - don't clear videos still being processed
-        // This prevents "No video status found" errors when background content generation continues
-        this.clearCompletedUserVideos(userId);
+        this.userSessions.delete(key);
       }
     }
 
@@ -336,33 +376,22 @@ class ProcessingStatusService extends EventEmitter {
    * Leaves actively processing videos intact so background generation can update status
    * @param {string} userId - User ID
    */
-  clearCompletedUserVideos(userId) {
-    let clearedCount = 0;
-
-    this.processingVideos.forEach((status, videoId) => {
-      if (status.userId === userId && status.completed) {
-        this.processingVideos.delete(videoId);
-        clearedCount++;
-      }
-    });
-
-    if (clearedCount > 0) {
-      logger.debug(`Cleared ${clearedCount} completed videos for user ${userId}`);
-    }
+  async clearCompletedUserVideos(userId) {
+    try {
+      const result = await database.query(
+        'DELETE FROM video_processing_status WHERE users_id = $1 AND completed = TRUE RETURNING id',
+        [userId]
+      );
 
-    // Count videos still processing for this user
-    let stillProcessingCount = 0;
-    this.processingVideos.forEach((status) => {
-      if (status.userId === userId && !status.completed) {
-        stillProcessingCount++;
+      if (result.rows.length > 0) {
+        logger.debug(`Cleared ${result.rows.length} completed videos for user ${userId}`);
       }
-    });
 
-    if (stillProcessingCount > 0) {
-      logger.debug(`User ${userId} has ${stillProcessingCount} videos still processing`);
+      return result.rows.length;
+    } catch (error) {
+      logger.error(`Error clearing completed videos for user ${userId}:`, error);
+      return 0;
     }
-
-    return clearedCount;
   }
 
   /**
@@ -372,53 +401,107 @@ class ProcessingStatusService extends EventEmitter {
    * This method should only be used for explicit user logout or admin force-clear.
    * @param {string} userId - User ID
    */
-  clearUserProcessingVideos(userId) {
+  async clearUserProcessingVideos(userId) {
     logger.debug(`clearUserProcessingVideos called for user ${userId}`);
 
-    let clearedCount = 0;
-    const clearedVideoIds = [];
-
-    this.processingVideos.forEach((status, videoId) => {
-      if (status.userId === userId) {
-        clearedVideoIds.push(videoId);
-        this.processingVideos.delete(videoId);
-        clearedCount++;
+    try {
+      const result = await database.query(
+        'DELETE FROM video_processing_status WHERE users_id = $1 RETURNING video_id',
+        [userId]
+      );
+
+      if (result.rows.length > 0) {
+        logger.warn(`Force-cleared ${result.rows.length} processing videos for user ${userId}`, {
+          clearedVideoIds: result.rows.map(row => row.video_id)
+        });
       }
-    });
 
-    if (clearedCount > 0) {
-      logger.warn(`Force-cleared ${clearedCount} processing videos for user ${userId}`, {
-        clearedVideoIds,
-        remainingInMap: this.processingVideos.size
-      });
+      return result.rows.length;
+    } catch (error) {
+      logger.error(`Error force-clearing videos for user ${userId}:`, error);
+      return 0;
     }
-
-    return clearedCount;
   }
 
   /**
-   * Emit status update to all user sessions
+   * Publish a status update to every node; each node forwards it to the user's local sockets
    * @param {string} userId - User ID
    * @param {string} videoId - Video ID
    * @param {Object} status - Status object
    */
-  emitStatusUpdate(userId, videoId, status) {
-    const userSessions = this.userSessions.get(userId);
-    if (!userSessions) {
-      logger.debug(`No user sessions found for user ${userId} when emitting status update`);
+  async emitStatusUpdate(userId, videoId, status) {
+    let message = { userId, videoId, status };
+
+    // Oversized statuses are re-read from the table by the receiving nodes
+    if (Buffer.byteLength(JSON.stringify(message)) > MAX_NOTIFY_BYTES) {
+      message = { userId, videoId, videoRecordId: status.videoRecordId };
+    }
+
+    try {
+      await database.notify(STATUS_CHANNEL, message);
+    } catch (error) {
+      logger.warn(`Failed to publish status update for ${videoId}: ${error.message}`);
+      // Fall back to this node's sockets so single-node setups still get updates
+      this.deliverToSessions(userId, videoId, status);
       return;
     }
 
-    const updateData = {
+    // A node that isn't subscribed won't see its own notification
+    if (!this.isListening) {
+      this.deliverToSessions(userId, videoId, status);
+    }
+  }
+
+  /**
+   * Handle a fan-out notification from any node
+   * @param {Object} message - { userId, videoId, status } or { userId, videoId, videoRecordId }, or { userId, clipRender }
+   */
+  async handleStatusNotification(message) {
+    const { userId, videoId } = message;
+    if (!this.userSessions.has(String(userId))) return;
+
+    if (message.clipRender) {
+      this.emitToSessions(userId, 'clip-render-update', message.clipRender);
+      return;
+    }
+
+    const status = message.status || await this.getVideoStatus(message.videoRecordId);
+    if (status) {
+      this.deliverToSessions(userId, videoId, status);
+    }
+  }
+
+  /**
+   * Emit status update to the user's sessions connected to this node
+   * @param {string} userId - User ID
+   * @param {string} videoId - Video ID
+   * @param {Object} status - Status object
+   */
+  deliverToSessions(userId, videoId, status) {
+    this.emitToSessions(userId, 'processing-status-update', {
       videoId,
       status: status
-    };
+    });
+  }
+
+  /**
+   * Emit an event to the user's sessions connected to this node
+   * @param {string} userId - User ID
+   * @param {string} eventName - Socket event name
+   * @param {Object} data - Event payload
+   */
+  emitToSessions(userId, eventName, data) {
+    const userSessions = this.userSessions.get(String(userId));
+    if (!userSessions) {
+      logger.debug(`No user sessions found for user ${userId} when emitting ${eventName}`);
+      return;
+    }
 
     userSessions.forEach(session => {
       try {
         if (session && typeof session.emit === 'function') {
-          session.emit('processing-status-update', updateData);
-          logger.debug(`Emitted status update for ${videoId} to user ${userId}`);
+          session.emit(eventName, data);
+          logger.debug(`Emitted ${eventName} to user ${userId}`);
         }
       } catch (error) {
         logger.warn('Failed to emit status update to session:', error.message);
@@ -427,37 +510,50 @@ class ProcessingStatusService extends EventEmitter {
     });
   }
 
+  /**
+   * Publish clip render progress to every node.
+   * Render state lives on video_clips, so unlike video status nothing is stored here.
+   * @param {string} userId - Owner user ID
+   * @param {Object} render - { clipId, videoId, status, progress, error }
+   */
+  async emitClipRenderUpdate(userId, render) {
+    try {
+      await database.notify(STATUS_CHANNEL, { userId, clipRender: render });
+    } catch (error) {
+      logger.warn(`Failed to publish render update for clip ${render.clipId}: ${error.message}`);
+      this.emitToSessions(userId, 'clip-render-update', render);
+      return;
+    }
+
+    if (!this.isListening) {
+      this.emitToSessions(userId, 'clip-render-update', render);
+    }
+  }
+
   /**
    * Get processing statistics
    * @returns {Object} Statistics object
    */
-  getStatistics() {
-    let totalVideos = 0;
-    let completedVideos = 0;
-    let processingVideos = 0;
-    let failedVideos = 0;
-
-    this.processingVideos.forEach(status => {
-      totalVideos++;
-      if (status.completed) {
-        completedVideos++;
-      } else {
-        processingVideos++;
-      }
-
-      // Count failed content types
-      Object.values(status.content).forEach(contentStatus => {
-        if (contentStatus.status === 'failed') {
-          failedVideos++;
-        }
-      });
-    });
+  async getStatistics() {
+    const result = await database.query(`
+      SELECT
+        COUNT(*) AS total_videos,
+        COUNT(*) FILTER (WHERE completed) AS completed_videos,
+        COUNT(*) FILTER (WHERE NOT completed) AS processing_videos,
+        COALESCE(SUM((
+          SELECT COUNT(*) FROM jsonb_each(content_status) AS c
+          WHERE c.value->>'status' = 'failed'
+        )), 0) AS failed_videos
+      FROM video_processing_status
+    `);
+
+    const row = result.rows[0];
 
     return {
-      totalVideos,
-      completedVideos,
-      processingVideos,
-      failedVideos,
+      totalVideos: parseInt(row.total_videos) || 0,
+      completedVideos: parseInt(row.completed_videos) || 0,
+      processingVideos: parseInt(row.processing_videos) || 0,
+      failedVideos: parseInt(row.failed_videos) || 0,
       activeSessions: Array.from(this.userSessions.values()).reduce((total, sessions) => total + sessions.size, 0)
     };
   }
@@ -466,23 +562,18 @@ class ProcessingStatusService extends EventEmitter {
    * Clean up old processing records
    * @param {number} maxAgeHours - Maximum age in hours (default: 2)
    */
-  cleanup(maxAgeHours = 2) {
-    const cutoffTime = new Date(Date.now() - (maxAgeHours * 60 * 60 * 1000));
-    let cleanedCount = 0;
-
-    this.processingVideos.forEach((status, videoId) => {
-      const lastUpdate = new Date(status.lastUpdate);
-      if (lastUpdate < cutoffTime) {
-        this.processingVideos.delete(videoId);
-        cleanedCount++;
-      }
-    });
-
-    if (cleanedCount > 0) {
-      logger.debug(`Cleaned up ${cleanedCount} old processing records`);
+  async cleanup(maxAgeHours = 2) {
+    const result = await database.query(`
+      DELETE FROM video_processing_status
+      WHERE updated_at < NOW() - ($1 * INTERVAL '1 hour')
+      RETURNING id
+    `, [maxAgeHours]);
+
+    if (result.rows.length > 0) {
+      logger.debug(`Cleaned up ${result.rows.length} old processing records`);
     }
 
-    return cleanedCount;
+    return result.rows.length;
   }
 
   /**
@@ -493,9 +584,6 @@ class ProcessingStatusService extends EventEmitter {
     try {
       const { videoId, videoRecordId } = videoStatus;
 
-      // Update video status to completed in PostgreSQL database
-      const databaseService = require('./database.service');
-
       const updates = {
         status: 'completed',
         processed_at: new Date().toISOString()
@@ -503,7 +591,7 @@ class ProcessingStatusService extends EventEmitter {
 
       // Update PostgreSQL
       try {
-        await databaseService.update('videos', videoRecordId, updates);
+        await database.update('videos', videoRecordId, updates);
         logger.debug(`Video ${videoId} status updated to completed in DB`);
       } catch (error) {
         logger.error(`Failed to update video status in PostgreSQL: ${error.message}`);
@@ -511,54 +599,98 @@ class ProcessingStatusService extends EventEmitter {
 
       // Note: Subscription usage is tracked at video import time in YouTube controller
 
+      await webhookService.dispatch(videoStatus.userId, 'video.completed', videoRecordId, {
+        video: this.formatWebhookVideo(videoStatus),
+        content: Object.fromEntries(
+          Object.entries(videoStatus.content).map(([type, content]) => [type, content.status])
+        )
+      });
+
     } catch (error) {
       logger.error(`Error finalizing video processing: ${error.message}`);
     }
   }
 
   /**
-   * Cancel video processing and mark all pending items as cancelled
-   * @param {string} videoId - YouTube video ID
+   * Cancel video processing and mark all pending items as cancelled.
+   * The cancellation flag is durable, so jobs running on any node observe it.
+   * @param {string} videoRecordId - PostgreSQL video record ID
+   * @returns {Promise<boolean>} True if a status record was cancelled
    */
-  cancelVideoProcessing(videoId) {
-    const videoStatus = this.processingVideos.get(videoId);
-    if (!videoStatus) {
-      logger.warn(`No video status found for ${videoId} when trying to cancel`);
+  async cancelVideoProcessing(videoRecordId) {
+    logger.debug(`Canceling processing for video record ${videoRecordId}`);
+
+    const result = await database.query(`
+      UPDATE video_processing_status
+      SET cancelled = TRUE,
+          completed = TRUE,
+          completed_at = NOW(),
+          updated_at = NOW(),
+          transcript_status = CASE WHEN transcript_status = 'pending' THEN 'cancelled' ELSE transcript_status END,
+          transcript_completed_at = CASE WHEN transcript_status = 'pending' THEN NOW() ELSE transcript_completed_at END,
+          content_status = COALESCE((
+            SELECT jsonb_object_agg(c.key, CASE
+              WHEN c.value->>'status' = 'pending'
+                THEN c.value || jsonb_build_object('status', 'cancelled', 'completedAt', to_jsonb(NOW()))
+              ELSE c.value
+            END)
+            FROM jsonb_each(content_status) AS c
+          ), '{}'::jsonb)
+      WHERE videos_id = $1
+      RETURNING *
+    `, [videoRecordId]);
+
+    if (result.rows.length === 0) {
+      logger.warn(`No video status found for record ${videoRecordId} when trying to cancel`);
       return false;
     }
 
-    logger.debug(`Canceling processing for video ${videoId}`);
-
-    // Cancel transcript if pending
-    if (videoStatus.transcript.status === 'pending') {
-      videoStatus.transcript.status = 'cancelled';
-      videoStatus.transcript.completedAt = new Date().toISOString();
-    }
-
-    // Cancel all pending content types
-    Object.keys(videoStatus.content).forEach(contentType => {
-      if (videoStatus.content[contentType].status === 'pending') {
-        videoStatus.content[contentType].status = 'cancelled';
-        videoStatus.content[contentType].completedAt = new Date().toISOString();
-      }
-    });
+    const videoStatus = this.formatStatus(result.rows[0]);
 
-    videoStatus.completed = true;
-    videoStatus.cancelled = true;
-    videoStatus.lastUpdate = new Date().toISOString();
+    // Emit final status update
+    await this.emitStatusUpdate(videoStatus.userId, videoStatus.videoId, videoStatus);
 
-    this.processingVideos.set(videoId, videoStatus);
+    return true;
+  }
 
-    // Emit final status update
-    this.emitStatusUpdate(videoStatus.userId, videoId, videoStatus);
+  /**
+   * Video reference included in webhook events
+   * @param {Object} videoStatus - Formatted status
+   * @returns {Object} { id, youtubeVideoId, title }
+   */
+  formatWebhookVideo(videoStatus) {
+    return {
+      id: videoStatus.videoRecordId,
+      youtubeVideoId: videoStatus.videoId,
+      title: videoStatus.videoTitle || null
+    };
+  }
 
-    // Clean up after delay
-    setTimeout(() => {
-      this.processingVideos.delete(videoId);
-      logger.debug(`Removed cancelled video ${videoId} from processing status`);
-    }, 5000); // Keep visible for 5 seconds so user can see cancellation
+  /**
+   * Convert a video_processing_status row into the status shape sent to clients
+   * @param {Object} row - Database row
+   * @returns {Object} Status object
+   */
+  formatStatus(row) {
+    const toIso = (value) => (value ? new Date(value).toISOString() : null);
 
-    return true;
+    return {
+      videoId: row.video_id,
+      videoRecordId: row.videos_id,
+      videoTitle: row.video_title,
+      userId: row.users_id,
+      startTime: toIso(row.started_at),
+      lastUpdate: toIso(row.updated_at),
+      transcript: {
+        status: row.transcript_status,
+        completedAt: toIso(row.transcript_completed_at),
+        error: row.transcript_error || null
+      },
+      content: row.content_status || {},
+      completed: row.completed === true,
+      completedAt: toIso(row.completed_at),
+      cancelled: row.cancelled === true
+    };
   }
 
 }
@@ -0,0 +1,483 @@
+/**
+ * Prompt Experiment Service
+ * A/B tests for the admin prompt manager. An experiment splits the generations of one
+ * content type and provider between the live prompt (the control) and one or more
+ * variants; the variant used is recorded on the video_content row (prompt_variant_id).
+ * What users then do with the content (thumbs up/down, edits, downloads, regenerations)
+ * is captured in content_quality_signals, so the report can compare variants.
+ */
+
+const crypto = require('crypto');
+const database = require('./database.service');
+const promptSanitizer = require('../utils/prompt-sanitizer');
+const { video: videoModel, promptExperiment, promptVariant } = require('../models');
+const { logger } = require('../utils');
+
+const EXPERIMENT_STATUSES = ['running', 'paused', 'completed'];
+
+/** Signals a content row can collect */
+const SIGNALS = ['generated', 'thumbs_up', 'thumbs_down', 'edit', 'download', 'regenerate'];
+
+/** Revision sources that count as the user editing the generated text */
+const EDIT_SOURCES = ['manual_edit', 'ai_refinement'];
+
+/**
+ * Weights of the quality score (0-100). Approval is smoothed so a variant with one
+ * thumbs up doesn't outrank one with fifty up and one down.
+ */
+const SCORE_WEIGHTS = {
+  approval: 0.4,
+  downloads: 0.2,
+  unedited: 0.2,
+  kept: 0.2
+};
+
+/** Generations a variant needs before its score is shown as meaningful */
+const MIN_GENERATIONS_FOR_SCORE = 20;
+
+const MAX_VARIANTS = 4;
+
+function experimentError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class PromptExperimentService {
+  // ─── ADMIN ─────────────────────────────────────────────────────────
+
+  /**
+   * Start an experiment between the live prompt and one or more variants
+   * @param {Object} data - { contentTypeId, aiProvider, name, description, controlWeight, variants: [{ label, promptText, systemMessage, temperature, maxTokens, weight }] }
+   * @param {number} adminUserId - Admin starting the experiment
+   * @returns {Promise<Object>} Experiment with its variants
+   */
+  async createExperiment(data, adminUserId) {
+    const variants = Array.isArray(data.variants) ? data.variants : [];
+    if (variants.length === 0 || variants.length > MAX_VARIANTS) {
+      throw experimentError(`An experiment needs 1-${MAX_VARIANTS} variants besides the live prompt`, 'INVALID_EXPERIMENT');
+    }
+    const normalizedVariants = variants.map((variant, index) => this.normalizeVariant(variant, index));
+
+    const controlWeight = this.normalizeWeight(data.controlWeight);
+    if (controlWeight + normalizedVariants.reduce((sum, variant) => sum + variant.traffic_weight, 0) === 0) {
+      throw experimentError('At least one variant needs a traffic weight above 0', 'INVALID_EXPERIMENT');
+    }
+
+    const livePrompt = await this.findLivePrompt(data.contentTypeId, data.aiProvider);
+    if (!livePrompt) {
+      throw experimentError(`There is no active ${data.aiProvider} prompt for this content type to test against`, 'LIVE_PROMPT_NOT_FOUND');
+    }
+
+    let experiment;
+    try {
+      experiment = await promptExperiment.create({
+        content_type_id: livePrompt.content_type_id,
+        ai_provider: livePrompt.ai_provider,
+        name: String(data.name || '').trim() || `${livePrompt.name} test`,
+        description: data.description || null,
+        status: 'running',
+        created_by_user_id: adminUserId
+      });
+    } catch (error) {
+      throw this.mapRunningConflict(error);
+    }
+
+    await promptVariant.create({
+      prompt_experiment_id: experiment.id,
+      label: 'Control',
+      is_control: true,
+      ai_prompts_id: livePrompt.id,
+      traffic_weight: controlWeight
+    });
+    for (const variant of normalizedVariants) {
+      await promptVariant.create({ ...variant, prompt_experiment_id: experiment.id, ai_prompts_id: livePrompt.id });
+    }
+
+    logger.info(`Admin ${adminUserId} started prompt experiment ${experiment.id} for content type ${livePrompt.content_type_id} (${livePrompt.ai_provider}) with ${normalizedVariants.length} variant(s)`);
+    return this.getExperiment(experiment.id);
+  }
+
+  /**
+   * List experiments, newest first
+   * @param {Object} [filters] - { contentTypeId, status }
+   * @returns {Promise<Array>}
+   */
+  async listExperiments(filters = {}) {
+    return promptExperiment.listWithContentType(filters);
+  }
+
+  /**
+   * Get an experiment with its variants
+   * @param {number} experimentId - prompt_experiments row ID
+   * @returns {Promise<Object>}
+   */
+  async getExperiment(experimentId) {
+    const experiment = await promptExperiment.findById(experimentId);
+    if (!experiment) {
+      throw experimentError('Prompt experiment not found', 'EXPERIMENT_NOT_FOUND');
+    }
+    const variants = await promptVariant.listForExperiment(experiment.id);
+    return { ...experiment, variants };
+  }
+
+  /**
+   * Pause, resume or complete an experiment. Completed experiments can't be restarted.
+   * @param {number} experimentId - prompt_experiments row ID
+   * @param {string} status - running, paused or completed
+   * @returns {Promise<Object>}
+   */
+  async setStatus(experimentId, status) {
+    if (!EXPERIMENT_STATUSES.includes(status)) {
+      throw experimentError(`Status must be one of: ${EXPERIMENT_STATUSES.join(', ')}`, 'INVALID_EXPERIMENT');
+    }
+
+    const experiment = await this.getExperiment(experimentId);
+    if (experiment.status === 'completed' && status !== 'completed') {
+      throw experimentError('A completed experiment cannot be restarted; start a new one', 'EXPERIMENT_COMPLETED');
+    }
+
+    try {
+      await promptExperiment.update(experiment.id, {
+        status,
+        ended_at: status === 'completed' ? new Date() : null
+      });
+    } catch (error) {
+      throw this.mapRunningConflict(error);
+    }
+
+    logger.info(`Prompt experiment ${experiment.id} is now ${status}`);
+    return this.getExperiment(experiment.id);
+  }
+
+  /**
+   * Per-variant signals and quality scores for an experiment
+   * @param {number} experimentId - prompt_experiments row ID
+   * @returns {Promise<Object>} { experiment, variants: [{ id, label, isControl, trafficWeight, counts, rates, qualityScore, hasEnoughData }] }
+   */
+  async getReport(experimentId) {
+    const experiment = await this.getExperiment(experimentId);
+
+    const result = await database.query(`
+      SELECT pv.id,
+             COUNT(*) FILTER (WHERE s.signal = 'generated') AS generated,
+             COUNT(*) FILTER (WHERE s.signal = 'thumbs_up') AS thumbs_up,
+             COUNT(*) FILTER (WHERE s.signal = 'thumbs_down') AS thumbs_down,
+             COUNT(DISTINCT s.video_content_id) FILTER (WHERE s.signal = 'edit') AS edited,
+             COUNT(*) FILTER (WHERE s.signal = 'download') AS downloads,
+             COUNT(*) FILTER (WHERE s.signal = 'regenerate') AS regenerated
+      FROM prompt_variants pv
+      LEFT JOIN content_quality_signals s ON s.prompt_variant_id = pv.id
+      WHERE pv.prompt_experiment_id = $1
+      GROUP BY pv.id
+    `, [experiment.id]);
+
+    const countsByVariant = new Map(result.rows.map(row => [Number(row.id), row]));
+
+    return {
+      experiment,
+      minGenerationsForScore: MIN_GENERATIONS_FOR_SCORE,
+      variants: experiment.variants.map(variant => {
+        const row = countsByVariant.get(variant.id) || {};
+        const counts = {
+          generated: Number(row.generated || 0),
+          thumbsUp: Number(row.thumbs_up || 0),
+          thumbsDown: Number(row.thumbs_down || 0),
+          edited: Number(row.edited || 0),
+          downloads: Number(row.downloads || 0),
+          regenerated: Number(row.regenerated || 0)
+        };
+        const { rates, qualityScore } = this.scoreVariant(counts);
+
+        return {
+          id: variant.id,
+          label: variant.label,
+          isControl: variant.is_control,
+          trafficWeight: variant.traffic_weight,
+          counts,
+          rates,
+          qualityScore,
+          hasEnoughData: counts.generated >= MIN_GENERATIONS_FOR_SCORE
+        };
+      })
+    };
+  }
+
+  /**
+   * Rates and 0-100 quality score from a variant's signal counts
+   * @param {Object} counts - { generated, thumbsUp, thumbsDown, edited, downloads, regenerated }
+   * @returns {Object} { rates: { approval, edit, download, regenerate }, qualityScore }
+   */
+  scoreVariant(counts) {
+    const per = value => (counts.generated > 0 ? value / counts.generated : 0);
+    const rates = {
+      approval: (counts.thumbsUp + 1) / (counts.thumbsUp + counts.thumbsDown + 2),
+      edit: Math.min(1, per(counts.edited)),
+      download: per(counts.downloads),
+      regenerate: Math.min(1, per(counts.regenerated))
+    };
+
+    if (counts.generated === 0) {
+      return { rates, qualityScore: null };
+    }
+
+    const score = SCORE_WEIGHTS.approval * rates.approval +
+      SCORE_WEIGHTS.downloads * Math.min(1, rates.download) +
+      SCORE_WEIGHTS.unedited * (1 - rates.edit) +
+      SCORE_WEIGHTS.kept * (1 - rates.regenerate);
+
+    return { rates, qualityScore: Math.round(score * 1000) / 10 };
+  }
+
+  // ─── GENERATION ────────────────────────────────────────────────────
+
+  /**
+   * Swap in a variant when an experiment is running for the prompt's content type and provider.
+   * The same video always gets the same variant of an experiment. Never throws: an experiment
+   * problem must not block generation, so the live prompt is used instead.
+   * @param {Object} prompt - ai_prompts row (with content_type_id)
+   * @param {number} videoRecordId - Video being generated for
+   * @returns {Promise<Object>} Prompt to generate with; prompt_variant_id is set when a variant was assigned
+   */
+  async applyVariant(prompt, videoRecordId) {
+    // User-authored prompts of custom content types are never tested
+    if (prompt.users_id || !prompt.content_type_id) {
+      return prompt;
+    }
+
+    try {
+      const experiment = await promptExperiment.findRunning(prompt.content_type_id, prompt.ai_provider);
+      if (!experiment) {
+        return prompt;
+      }
+
+      const variants = await promptVariant.listForExperiment(experiment.id);
+      const variant = this.pickVariant(variants, `${experiment.id}:${videoRecordId}`);
+      if (!variant) {
+        return prompt;
+      }
+
+      logger.debug(`Prompt experiment ${experiment.id} assigned variant ${variant.id} (${variant.label}) to video ${videoRecordId}`);
+      return {
+        ...prompt,
+        prompt_variant_id: variant.id,
+        prompt_text: variant.prompt_text || prompt.prompt_text,
+        system_message: variant.system_message || prompt.system_message,
+        // NUMERIC columns come back from pg as strings
+        temperature: variant.temperature === null || variant.temperature === undefined ? prompt.temperature : Number(variant.temperature),
+        max_tokens: variant.max_tokens || prompt.max_tokens
+      };
+    } catch (error) {
+      logger.warn(`Could not apply prompt experiment for prompt ${prompt.id}: ${error.message}`);
+      return prompt;
+    }
+  }
+
+  /**
+   * Weighted, deterministic choice of a variant for a seed
+   * @param {Array} variants - Variants with traffic_weight
+   * @param {string} seed - Stable key, e.g. experiment and video IDs
+   * @returns {Object|null}
+   */
+  pickVariant(variants, seed) {
+    const weighted = variants.filter(variant => variant.traffic_weight > 0);
+    const total = weighted.reduce((sum, variant) => sum + variant.traffic_weight, 0);
+    if (total === 0) {
+      return null;
+    }
+
+    let point = crypto.createHash('sha256').update(seed).digest().readUInt32BE(0) % total;
+    for (const variant of weighted) {
+      if (point < variant.traffic_weight) {
+        return variant;
+      }
+      point -= variant.traffic_weight;
+    }
+    return weighted[weighted.length - 1];
+  }
+
+  // ─── SIGNALS ───────────────────────────────────────────────────────
+
+  /**
+   * Record a signal against a content row and the variant that produced its current text.
+   * Never throws: signals must not block the action they describe.
+   * @param {number} videoContentId - video_content row ID
+   * @param {string} signal - One of SIGNALS
+   * @param {Object} [options] - { userId, detail }
+   * @returns {Promise<void>}
+   */
+  async recordSignal(videoContentId, signal, options = {}) {
+    if (!SIGNALS.includes(signal)) {
+      logger.warn(`Unknown content quality signal "${signal}" for content ${videoContentId}`);
+      return;
+    }
+
+    try {
+      await database.query(`
+        INSERT INTO content_quality_signals (video_content_id, prompt_variant_id, signal, detail, users_id)
+        SELECT id, prompt_variant_id, $2, $3, $4 FROM video_content WHERE id = $1
+      `, [videoContentId, signal, options.detail || null, options.userId || null]);
+    } catch (error) {
+      logger.warn(`Failed to record ${signal} signal for content ${videoContentId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record an edit when a revision source means the user changed the generated text
+   * @param {number} videoContentId - video_content row ID
+   * @param {string} revisionSource - Revision source of the save
+   * @param {number} [userId] - Editing user
+   * @returns {Promise<void>}
+   */
+  async recordEdit(videoContentId, revisionSource, userId = null) {
+    if (EDIT_SOURCES.includes(revisionSource)) {
+      await this.recordSignal(videoContentId, 'edit', { userId, detail: revisionSource });
+    }
+  }
+
+  /**
+   * Record a download of the content shown for a video and content type. Never throws.
+   * @param {number} videoId - Video record ID
+   * @param {string} contentType - Content type key
+   * @param {string} format - Download format (docx, pdf, pptx...)
+   * @param {number} [userId] - Downloading user
+   * @returns {Promise<void>}
+   */
+  async recordDownload(videoId, contentType, format, userId = null) {
+    try {
+      await database.query(`
+        INSERT INTO content_quality_signals (video_content_id, prompt_variant_id, signal, detail, users_id)
+        SELECT vc.id, vc.prompt_variant_id, 'download', $3, $4
+        FROM video_content vc
+        JOIN content_types ct ON ct.id = vc.content_type_id
+        WHERE vc.video_id = $1 AND ct.key = $2
+        ORDER BY vc.created_at DESC
+        LIMIT 1
+      `, [videoId, contentType, format, userId]);
+    } catch (error) {
+      logger.warn(`Failed to record download signal for video ${videoId} ${contentType}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set or clear the user's thumbs up/down on content they own or can edit through a workspace
+   * @param {number} userId - Rating user ID
+   * @param {number} videoContentId - video_content row ID
+   * @param {number} rating - 1 (up), -1 (down) or 0 (clear)
+   * @returns {Promise<Object>} { contentId, rating }
+   */
+  async rateContent(userId, videoContentId, rating) {
+    if (![1, -1, 0].includes(rating)) {
+      throw experimentError('Rating must be 1, -1 or 0', 'INVALID_RATING');
+    }
+
+    const result = await database.query(`
+      UPDATE video_content vc SET user_rating = $3, updated_at = CURRENT_TIMESTAMP
+      FROM videos v
+      WHERE vc.id = $1 AND v.id = vc.video_id AND ${videoModel.accessCondition('edit', 2, 'v.')}
+      RETURNING vc.id, vc.prompt_variant_id
+    `, [videoContentId, userId, rating === 0 ? null : rating]);
+
+    if (result.rows.length === 0) {
+      throw experimentError('Content not found', 'CONTENT_NOT_FOUND');
+    }
+
+    // One current rating per content row and variant
+    try {
+      await database.query(`
+        DELETE FROM content_quality_signals
+        WHERE video_content_id = $1 AND prompt_variant_id IS NOT DISTINCT FROM $2
+          AND signal IN ('thumbs_up', 'thumbs_down')
+      `, [videoContentId, result.rows[0].prompt_variant_id]);
+    } catch (error) {
+      logger.warn(`Failed to clear earlier rating signals for content ${videoContentId}: ${error.message}`);
+    }
+    if (rating !== 0) {
+      await this.recordSignal(videoContentId, rating > 0 ? 'thumbs_up' : 'thumbs_down', { userId });
+    }
+
+    return { contentId: Number(videoContentId), rating };
+  }
+
+  // ─── HELPERS ───────────────────────────────────────────────────────
+
+  /**
+   * The active system prompt for a content type and provider
+   */
+  async findLivePrompt(contentTypeId, aiProvider) {
+    const result = await database.query(`
+      SELECT id, name, content_type_id, ai_provider
+      FROM ai_prompts
+      WHERE content_type_id = $1 AND ai_provider = $2 AND is_active = true AND users_id IS NULL
+      ORDER BY updated_at DESC NULLS LAST, id DESC
+      LIMIT 1
+    `, [contentTypeId, aiProvider]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Validate one variant from the create form
+   */
+  normalizeVariant(variant, index) {
+    const label = String(variant.label || '').trim() || `Variant ${String.fromCharCode(66 + index)}`;
+    if (label.length > 100) {
+      throw experimentError('Variant labels must be at most 100 characters', 'INVALID_EXPERIMENT');
+    }
+
+    const promptText = typeof variant.promptText === 'string' ? variant.promptText.trim() : '';
+    if (!promptText) {
+      throw experimentError(`${label} needs prompt text`, 'INVALID_EXPERIMENT');
+    }
+    const validation = promptSanitizer.validatePromptTemplate(promptText);
+    if (!validation.isValid || validation.warnings.length > 0) {
+      throw experimentError(`${label} prompt is not allowed: ${validation.warnings.join(', ')}`, 'INVALID_EXPERIMENT');
+    }
+
+    const temperature = variant.temperature === undefined || variant.temperature === '' ? null : Number(variant.temperature);
+    if (temperature !== null && (Number.isNaN(temperature) || temperature < 0 || temperature > 2)) {
+      throw experimentError('Temperature must be a number between 0 and 2', 'INVALID_EXPERIMENT');
+    }
+    const maxTokens = variant.maxTokens === undefined || variant.maxTokens === '' ? null : Number(variant.maxTokens);
+    if (maxTokens !== null && (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > 100000)) {
+      throw experimentError('Max tokens must be a whole number between 1 and 100000', 'INVALID_EXPERIMENT');
+    }
+
+    return {
+      label,
+      is_control: false,
+      prompt_text: promptText,
+      system_message: String(variant.systemMessage || '').trim() || null,
+      temperature,
+      max_tokens: maxTokens,
+      traffic_weight: this.normalizeWeight(variant.weight)
+    };
+  }
+
+  /**
+   * Traffic weight as a whole number 0-100 (default 50)
+   */
+  normalizeWeight(weight) {
+    if (weight === undefined || weight === null || weight === '') return 50;
+    const value = Number(weight);
+    if (!Number.isInteger(value) || value < 0 || value > 100) {
+      throw experimentError('Traffic weights must be whole numbers between 0 and 100', 'INVALID_EXPERIMENT');
+    }
+    return value;
+  }
+
+  /**
+   * Turn the one-running-experiment index violation into a typed error
+   */
+  mapRunningConflict(error) {
+    if (error.code === '23505') {
+      return experimentError('Another experiment is already running for this content type and provider', 'EXPERIMENT_ALREADY_RUNNING');
+    }
+    return error;
+  }
+}
+
+const promptExperimentService = new PromptExperimentService();
+promptExperimentService.SIGNALS = SIGNALS;
+promptExperimentService.EXPERIMENT_STATUSES = EXPERIMENT_STATUSES;
+promptExperimentService.MAX_VARIANTS = MAX_VARIANTS;
+module.exports = promptExperimentService;
@@ -0,0 +1,558 @@
+/**
+ * Quiz Export Service
+ * Parses free-form quiz_text markdown into structured questions and exports them
+ * for LMS and flashcard tools: QTI 2.1 (ZIP package), Moodle XML, Kahoot CSV, Anki CSV.
+ *
+ * Parsed questions are stored in quiz_question_sets keyed by a hash of the quiz text,
+ * so a quiz is only re-parsed after it is regenerated. Questions that can't be parsed
+ * (or don't fit an export format) are reported individually and left out, instead of
+ * failing the whole export.
+ */
+
+const crypto = require('crypto');
+const archiver = require('archiver');
+const contentService = require('./content.service');
+const documentGenerationService = require('./document-generation.service');
+const { quizQuestionSet } = require('../models');
+const { logger } = require('../utils');
+
+const QUIZ_CONTENT_TYPE = 'quiz_text';
+
+/** Export formats with file extension and Content-Type */
+const QUIZ_EXPORT_FORMATS = {
+  qti: { extension: 'zip', mimeType: 'application/zip', label: 'QTI 2.1' },
+  moodle: { extension: 'xml', mimeType: 'application/xml; charset=utf-8', label: 'Moodle XML' },
+  kahoot: { extension: 'csv', mimeType: 'text/csv; charset=utf-8', label: 'Kahoot' },
+  anki: { extension: 'csv', mimeType: 'text/csv; charset=utf-8', label: 'Anki' }
+};
+
+/** Kahoot's spreadsheet import limits */
+const KAHOOT_LIMITS = { maxAnswers: 4, questionLength: 120, answerLength: 75, timeLimit: 20 };
+
+const CHOICE_LABELS = 'ABCDEFGH';
+
+// Line patterns, matched against lines with markdown emphasis and heading marks removed
+const QUESTION_PATTERN = /^(?:Q(?:uestion)?\s*(\d+)\s*[:.)-]?|(\d+)\s*[.)])\s*(.*)$/i;
+const CHOICE_PATTERN = /^(?:[-*•]\s*)?\(?([A-H])\s*[).:]\s+(.+)$/i;
+const ANSWER_PATTERN = /^(?:correct\s+)?answer\s*(?:key)?\s*[:-]\s*(.+)$/i;
+const EXPLANATION_PATTERN = /^(?:explanation|rationale|reason)\s*[:-]\s*(.*)$/i;
+const ANSWER_KEY_HEADING = /^(?:answer\s+key|answers|solutions)\s*:?$/i;
+const CORRECT_MARKER = /\s*(?:\((?:correct|correct answer)\)|\[(?:correct)\]|[✓✔✅])\s*$/i;
+
+function quizExportError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class QuizExportService {
+  // ─── PARSING ───────────────────────────────────────────────────────
+
+  /**
+   * Normalize a quiz line for pattern matching: drop heading marks, emphasis and entities
+   * @param {string} line - Raw markdown line
+   * @returns {string}
+   */
+  cleanLine(line) {
+    return documentGenerationService.stripMarkdown(line.trim().replace(/^#{1,6}\s+/, '').replace(/^>\s?/, ''));
+  }
+
+  /**
+   * Parse quiz markdown into structured questions
+   * @param {string} markdown - quiz_text content
+   * @returns {Object} { questions, errors } - errors are per question: { number, excerpt, message }
+   */
+  parseQuiz(markdown) {
+    const drafts = [];
+    const answerKey = new Map();
+    let current = null;
+    let field = null;
+    let inAnswerKey = false;
+
+    for (const rawLine of (markdown || '').split('\n')) {
+      const line = this.cleanLine(rawLine);
+      if (!line || /^[-*_]{3,}$/.test(line)) continue;
+
+      if (ANSWER_KEY_HEADING.test(line)) {
+        inAnswerKey = true;
+        current = null;
+        continue;
+      }
+
+      if (inAnswerKey) {
+        // "1. B", "Q2: C) Paris", "3 - True"
+        const keyMatch = line.match(/^(?:Q(?:uestion)?\s*)?(\d+)\s*[.):-]?\s*(.+)$/i);
+        if (keyMatch) answerKey.set(parseInt(keyMatch[1], 10), keyMatch[2]);
+        continue;
+      }
+
+      const questionMatch = line.match(QUESTION_PATTERN);
+      const choiceMatch = line.match(CHOICE_PATTERN);
+      const answerMatch = line.match(ANSWER_PATTERN);
+      const explanationMatch = line.match(EXPLANATION_PATTERN);
+
+      if (questionMatch && !answerMatch && !explanationMatch) {
+        current = {
+          number: parseInt(questionMatch[1] || questionMatch[2], 10),
+          text: questionMatch[3] ? [questionMatch[3]] : [],
+          choices: [],
+          markedCorrect: null,
+          answer: null,
+          explanation: []
+        };
+        drafts.push(current);
+        field = 'question';
+        continue;
+      }
+
+      if (!current) continue;
+
+      if (answerMatch) {
+        current.answer = answerMatch[1];
+        field = 'answer';
+      } else if (explanationMatch) {
+        if (explanationMatch[1]) current.explanation.push(explanationMatch[1]);
+        field = 'explanation';
+      } else if (choiceMatch && field !== 'explanation') {
+        let text = choiceMatch[2];
+        if (CORRECT_MARKER.test(text)) {
+          text = text.replace(CORRECT_MARKER, '');
+          current.markedCorrect = current.choices.length;
+        }
+        current.choices.push({ label: choiceMatch[1].toUpperCase(), text: text.trim() });
+        field = 'choices';
+      } else if (field === 'question' && current.choices.length === 0) {
+        current.text.push(line);
+      } else if (field === 'explanation') {
+        current.explanation.push(line);
+      }
+    }
+
+    const questions = [];
+    const errors = [];
+
+    drafts.forEach((draft, index) => {
+      if (!draft.answer && answerKey.has(draft.number)) {
+        draft.answer = answerKey.get(draft.number);
+      }
+      const number = draft.number || index + 1;
+      try {
+        questions.push(this.buildQuestion(draft, number));
+      } catch (error) {
+        errors.push({
+          number,
+          excerpt: draft.text.join(' ').substring(0, 120),
+          message: error.message
+        });
+      }
+    });
+
+    return { questions, errors };
+  }
+
+  /**
+   * Turn a parsed draft into a question, deciding its type and correct answer
+   * @param {Object} draft - Draft from parseQuiz
+   * @param {number} number - Question number as written in the quiz
+   * @returns {Object} { number, type, question, choices, correct_index, answer, explanation }
+   */
+  buildQuestion(draft, number) {
+    const question = draft.text.join(' ').trim();
+    if (!question) {
+      throw new Error('Question text is missing');
+    }
+
+    const explanation = draft.explanation.join(' ').trim() || null;
+    const answer = draft.answer ? draft.answer.trim() : null;
+
+    if (draft.choices.length === 1) {
+      throw new Error('Only one answer choice was found');
+    }
+
+    if (draft.choices.length > 1) {
+      let correctIndex = draft.markedCorrect;
+
+      if (answer) {
+        const letter = answer.match(/^\(?([A-H])\)?(?:[\s).:-]|$)/i);
+        correctIndex = letter
+          ? draft.choices.findIndex(choice => choice.label === letter[1].toUpperCase())
+          : draft.choices.findIndex(choice => choice.text.toLowerCase() === answer.toLowerCase());
+      }
+
+      if (correctIndex === null || correctIndex === undefined) {
+        throw new Error('No correct answer found');
+      }
+      if (correctIndex < 0) {
+        throw new Error(`Answer "${answer}" doesn't match any of the choices`);
+      }
+
+      const choices = draft.choices.map(choice => choice.text);
+      const isTrueFalse = choices.length === 2 && choices.every(choice => /^(true|false)$/i.test(choice));
+
+      return {
+        number,
+        type: isTrueFalse ? 'true_false' : 'multiple_choice',
+        question,
+        choices,
+        correct_index: correctIndex,
+        answer: choices[correctIndex],
+        explanation
+      };
+    }
+
+    if (!answer) {
+      throw new Error('No answer choices or answer found');
+    }
+
+    const trueFalse = answer.match(/^(true|false)\b/i);
+    if (trueFalse) {
+      const isTrue = trueFalse[1].toLowerCase() === 'true';
+      return {
+        number,
+        type: 'true_false',
+        question,
+        choices: ['True', 'False'],
+        correct_index: isTrue ? 0 : 1,
+        answer: isTrue ? 'True' : 'False',
+        explanation
+      };
+    }
+
+    return { number, type: 'short_answer', question, choices: [], correct_index: null, answer, explanation };
+  }
+
+  /**
+   * Get the structured quiz for a video, parsing and storing it if the quiz text changed
+   * @param {number} videoId - Video record ID
+   * @returns {Promise<Object>} { contentId, questions, errors }
+   */
+  async getStructuredQuiz(videoId) {
+    const content = await contentService.getVideoContentByType(videoId, QUIZ_CONTENT_TYPE, { publishedOnly: false });
+    if (!content || !content.content_text) {
+      throw quizExportError('No quiz content found for this video', 'QUIZ_NOT_FOUND');
+    }
+
+    const sourceHash = crypto.createHash('sha256').update(content.content_text).digest('hex');
+    const stored = await quizQuestionSet.findForContent(content.id);
+
+    if (stored && stored.source_hash === sourceHash) {
+      return { contentId: content.id, questions: stored.questions, errors: stored.parse_errors };
+    }
+
+    const { questions, errors } = this.parseQuiz(content.content_text);
+    await quizQuestionSet.saveForContent(content.id, sourceHash, questions, errors);
+
+    logger.info(`Parsed quiz for video ${videoId}: ${questions.length} questions, ${errors.length} unparseable`);
+    return { contentId: content.id, questions, errors };
+  }
+
+  // ─── EXPORTS ───────────────────────────────────────────────────────
+
+  /**
+   * Export a video's quiz
+   * @param {number} videoId - Video record ID
+   * @param {string} format - Key of QUIZ_EXPORT_FORMATS
+   * @param {string} videoTitle - Used as the quiz title
+   * @returns {Promise<Object>} { buffer, questionCount, skipped: [{ number, excerpt, message }] }
+   */
+  async exportQuiz(videoId, format, videoTitle) {
+    const { questions, errors } = await this.getStructuredQuiz(videoId);
+    const title = videoTitle ? `${videoTitle} Quiz` : 'Quiz';
+
+    let result;
+    switch (format) {
+      case 'qti':
+        result = { buffer: await this.toQtiPackage(questions, title), skipped: [] };
+        break;
+      case 'moodle':
+        result = { buffer: Buffer.from(this.toMoodleXml(questions, title), 'utf8'), skipped: [] };
+        break;
+      case 'kahoot': {
+        const { csv, skipped } = this.toKahootCsv(questions);
+        result = { buffer: Buffer.from(csv, 'utf8'), skipped };
+        break;
+      }
+      case 'anki':
+        result = { buffer: Buffer.from(this.toAnkiCsv(questions, title), 'utf8'), skipped: [] };
+        break;
+      default:
+        throw quizExportError(`Unsupported quiz export format: ${format}`, 'INVALID_FORMAT');
+    }
+
+    const skipped = [...errors, ...result.skipped];
+    const questionCount = questions.length - result.skipped.length;
+    if (questionCount === 0) {
+      throw Object.assign(
+        quizExportError(`None of the quiz questions could be exported as ${QUIZ_EXPORT_FORMATS[format].label}`, 'NO_EXPORTABLE_QUESTIONS'),
+        { skipped }
+      );
+    }
+
+    return { buffer: result.buffer, questionCount, skipped };
+  }
+
+  escapeXml(text) {
+    return documentGenerationService.escapeHtml(text);
+  }
+
+  /**
+   * Quote a CSV field when it contains a delimiter, quote or newline
+   */
+  csvField(value) {
+    const text = String(value === undefined || value === null ? '' : value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * QTI 2.1 assessmentItem for one question
+   * @param {Object} question - Structured question
+   * @param {string} identifier - Item identifier
+   * @returns {string} XML
+   */
+  buildQtiItem(question, identifier) {
+    const prompt = this.escapeXml(question.question);
+    let declaration;
+    let interaction;
+
+    if (question.type === 'short_answer') {
+      declaration = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+    <correctResponse><value>${this.escapeXml(question.answer)}</value></correctResponse>
+  </responseDeclaration>`;
+      interaction = `<p>${prompt}</p>
+    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="${Math.max(15, question.answer.length)}"/></p>`;
+    } else {
+      declaration = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse><value>${CHOICE_LABELS[question.correct_index]}</value></correctResponse>
+  </responseDeclaration>`;
+      const choices = question.choices
+        .map((choice, i) => `      <simpleChoice identifier="${CHOICE_LABELS[i]}">${this.escapeXml(choice)}</simpleChoice>`)
+        .join('\n');
+      interaction = `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+      <prompt>${prompt}</prompt>
+${choices}
+    </choiceInteraction>`;
+    }
+
+    const feedback = question.explanation
+      ? `\n  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${this.escapeXml(question.explanation)}</modalFeedback>`
+      : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
+  identifier="${identifier}" title="Question ${question.number}" adaptive="false" timeDependent="false">
+  ${declaration}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    ${interaction}
+  </itemBody>
+  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>
+      </responseIf>
+    </responseCondition>
+    <setOutcomeValue identifier="FEEDBACK"><baseValue baseType="identifier">EXPLANATION</baseValue></setOutcomeValue>
+  </responseProcessing>${feedback}
+</assessmentItem>
+`;
+  }
+
+  /**
+   * Build the files of a QTI 2.1 content package (manifest, test, one file per item)
+   * @param {Array} questions - Structured questions
+   * @param {string} title - Quiz title
+   * @returns {Array} [{ name, data }]
+   */
+  buildQtiFiles(questions, title) {
+    // Identifiers use position, since source numbering may repeat across quiz sections
+    const items = questions.map((question, index) => {
+      const identifier = `item-${index + 1}`;
+      return { identifier, href: `items/${identifier}.xml`, xml: this.buildQtiItem(question, identifier) };
+    });
+
+    const test = `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
+  identifier="assessment" title="${this.escapeXml(title)}">
+  <testPart identifier="part-1" navigationMode="linear" submissionMode="individual">
+    <assessmentSection identifier="section-1" title="${this.escapeXml(title)}" visible="true">
+${items.map(item => `      <assessmentItemRef identifier="${item.identifier}" href="${item.href}"/>`).join('\n')}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`;
+
+    const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd"
+  identifier="manifest-${crypto.randomUUID()}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="assessment" type="imsqti_test_xmlv2p1" href="assessment.xml">
+      <file href="assessment.xml"/>
+${items.map(item => `      <dependency identifierref="${item.identifier}"/>`).join('\n')}
+    </resource>
+${items.map(item => `    <resource identifier="${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.href}">
+      <file href="${item.href}"/>
+    </resource>`).join('\n')}
+  </resources>
+</manifest>
+`;
+
+    return [
+      { name: 'imsmanifest.xml', data: manifest },
+      { name: 'assessment.xml', data: test },
+      ...items.map(item => ({ name: item.href, data: item.xml }))
+    ];
+  }
+
+  /**
+   * Zip a QTI content package
+   * @returns {Promise<Buffer>}
+   */
+  toQtiPackage(questions, title) {
+    return new Promise((resolve, reject) => {
+      const archive = archiver('zip', { zlib: { level: 9 } });
+      const chunks = [];
+
+      archive.on('data', chunk => chunks.push(chunk));
+      archive.on('end', () => resolve(Buffer.concat(chunks)));
+      archive.on('warning', reject);
+      archive.on('error', reject);
+
+      for (const file of this.buildQtiFiles(questions, title)) {
+        archive.append(Buffer.from(file.data, 'utf8'), { name: file.name });
+      }
+      archive.finalize();
+    });
+  }
+
+  /**
+   * Moodle XML question bank (multichoice, truefalse and shortanswer questions)
+   * @param {Array} questions - Structured questions
+   * @param {string} title - Category name
+   * @returns {string} XML
+   */
+  toMoodleXml(questions, title) {
+    const text = value => `<text><![CDATA[${String(value).replace(/]]>/g, ']]]]><![CDATA[>')}]]></text>`;
+
+    const renderQuestion = (question) => {
+      const header = `  <question type="${{ multiple_choice: 'multichoice', true_false: 'truefalse', short_answer: 'shortanswer' }[question.type]}">
+    <name>${text(`Question ${question.number}`)}</name>
+    <questiontext format="html">${text(this.escapeXml(question.question))}</questiontext>
+    <generalfeedback format="html">${text(question.explanation ? this.escapeXml(question.explanation) : '')}</generalfeedback>
+    <defaultgrade>1</defaultgrade>
+    <penalty>0</penalty>`;
+
+      let answers;
+      if (question.type === 'true_false') {
+        answers = `    <answer fraction="${question.correct_index === 0 ? 100 : 0}" format="moodle_auto_format"><text>true</text></answer>
+    <answer fraction="${question.correct_index === 1 ? 100 : 0}" format="moodle_auto_format"><text>false</text></answer>`;
+      } else if (question.type === 'short_answer') {
+        answers = `    <usecase>0</usecase>
+    <answer fraction="100" format="moodle_auto_format">${text(question.answer)}</answer>`;
+      } else {
+        answers = `    <single>true</single>
+    <shuffleanswers>true</shuffleanswers>
+    <answernumbering>abc</answernumbering>
+${question.choices.map((choice, i) => `    <answer fraction="${i === question.correct_index ? 100 : 0}" format="html">${text(this.escapeXml(choice))}</answer>`).join('\n')}`;
+      }
+
+      return `${header}\n${answers}\n  </question>`;
+    };
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<quiz>
+  <question type="category">
+    <category>${text(`$course$/${title}`)}</category>
+  </question>
+${questions.map(renderQuestion).join('\n')}
+</quiz>
+`;
+  }
+
+  /**
+   * Kahoot spreadsheet-import CSV. Kahoot only supports 2-4 choice questions,
+   * so short-answer and 5+ choice questions are skipped and reported.
+   * @param {Array} questions - Structured questions
+   * @returns {Object} { csv, skipped: [{ number, excerpt, message }] }
+   */
+  toKahootCsv(questions) {
+    const rows = [[
+      'Question - max 120 characters',
+      'Answer 1 - max 75 characters',
+      'Answer 2 - max 75 characters',
+      'Answer 3 - max 75 characters',
+      'Answer 4 - max 75 characters',
+      'Time limit (sec) - 5, 10, 20, 30, 60, 90, 120, or 240 secs',
+      'Correct answer(s) - choose at least one'
+    ]];
+    const skipped = [];
+
+    for (const question of questions) {
+      const problem = question.choices.length === 0
+        ? 'Kahoot needs answer choices; short-answer questions are not supported'
+        : question.choices.length > KAHOOT_LIMITS.maxAnswers
+          ? `Kahoot supports at most ${KAHOOT_LIMITS.maxAnswers} answers (question has ${question.choices.length})`
+          : question.question.length > KAHOOT_LIMITS.questionLength
+            ? `Question is longer than Kahoot's ${KAHOOT_LIMITS.questionLength} character limit`
+            : question.choices.some(choice => choice.length > KAHOOT_LIMITS.answerLength)
+              ? `An answer is longer than Kahoot's ${KAHOOT_LIMITS.answerLength} character limit`
+              : null;
+
+      if (problem) {
+        skipped.push({ number: question.number, excerpt: question.question.substring(0, 120), message: problem });
+        continue;
+      }
+
+      const answers = [...question.choices, '', '', '', ''].slice(0, KAHOOT_LIMITS.maxAnswers);
+      rows.push([question.question, ...answers, KAHOOT_LIMITS.timeLimit, question.correct_index + 1]);
+    }
+
+    return { csv: `${rows.map(row => row.map(value => this.csvField(value)).join(',')).join('\r\n')}\r\n`, skipped };
+  }
+
+  /**
+   * Anki-importable CSV (Front, Back, Tags) with file headers so Anki maps the columns
+   * @param {Array} questions - Structured questions
+   * @param {string} title - Used for the tag
+   * @returns {string} CSV
+   */
+  toAnkiCsv(questions, title) {
+    const tag = title.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'quiz';
+
+    const lines = questions.map(question => {
+      const choices = question.choices.length > 0 && question.type === 'multiple_choice'
+        ? `<br><br>${question.choices.map((choice, i) => `${CHOICE_LABELS[i]}) ${this.escapeXml(choice)}`).join('<br>')}`
+        : '';
+      const front = `${this.escapeXml(question.question)}${choices}`;
+
+      const answer = question.type === 'multiple_choice'
+        ? `${CHOICE_LABELS[question.correct_index]}) ${this.escapeXml(question.answer)}`
+        : this.escapeXml(question.answer);
+      const back = question.explanation ? `<b>${answer}</b><br><br>${this.escapeXml(question.explanation)}` : `<b>${answer}</b>`;
+
+      return [front, back, tag].map(value => this.csvField(value)).join(',');
+    });
+
+    return `#separator:Comma\n#html:true\n#columns:Front,Back,Tags\n#tags column:3\n${lines.join('\n')}\n`;
+  }
+}
+
+// Export singleton + constants for route validation
+const service = new QuizExportService();
+service.QUIZ_EXPORT_FORMATS = QUIZ_EXPORT_FORMATS;
+
+module.exports = service;
@@ -9,6 +9,7 @@ const rateLimit = require('express-rate-limit');
 const { logger } = require('../utils');
 const {
   API_LIMITS,
+  API_KEY_LIMITS,
   RATE_LIMIT_CATEGORIES
 } = require('../config/rate-limits.config');
 
@@ -35,9 +36,38 @@ class RateLimitingService {
       }
     });
 
+    this.initializeApiKeyLimiters();
+
     logger.info(`Initialized ${this.limiters.size} rate limiters`);
   }
 
+  /**
+   * Pre-initialize one public API limiter per key window (windowMs is fixed per limiter);
+   * each counts per key, up to the key's own rate_limit
+   */
+  initializeApiKeyLimiters() {
+    Object.entries(API_KEY_LIMITS.windows).forEach(([window, windowMs]) => {
+      this.limiters.set(`api_key_${window}`, rateLimit({
+        windowMs,
+        max: (req) => req.apiKey?.rate_limit || 1000,
+        keyGenerator: (req) => `api_key:${req.apiKey?.id}`,
+        handler: (req, res) => {
+          logger.warn('API key rate limit exceeded', {
+            keyId: req.apiKey?.key_id,
+            userId: req.user?.id,
+            window,
+            path: req.path,
+            method: req.method
+          });
+
+          return res.status(429).json(API_KEY_LIMITS.message);
+        },
+        standardHeaders: true,
+        legacyHeaders: false
+      }));
+    });
+  }
+
   /**
    * Pre-initialize all tier-specific limiters
    */
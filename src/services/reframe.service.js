@@ -0,0 +1,419 @@
+const path = require('path');
+const { exec } = require('child_process');
+const util = require('util');
+const fs = require('fs').promises;
+const database = require('./database.service');
+const { logger } = require('../utils');
+
+const execPromise = util.promisify(exec);
+
+const REFRAME_MODES = ['auto', 'center', 'manual'];
+
+// Grayscale thumbnail size used by the built-in motion detector
+const MOTION_FRAME_WIDTH = 96;
+const MOTION_FRAME_HEIGHT = 54;
+
+/**
+ * Reframe Service
+ * Positions the crop window when a landscape clip is cut down to a narrower
+ * output (9:16, 1:1) so off-center speakers stay in frame.
+ *
+ * In 'auto' mode frames are sampled from the clip and the main subject is located
+ * on the CPU, either with an external detector (SUBJECT_DETECTOR_CLI_PATH, e.g. an
+ * OpenCV face detector) or with the built-in motion heuristic. The per-sample
+ * positions are smoothed into a crop path that ffmpeg follows through sendcmd.
+ * 'manual' pins the crop at the clip's crop_x_offset; 'center' is the classic center crop.
+ */
+class ReframeService {
+  constructor() {
+    this.sampleFps = parseFloat(process.env.REFRAME_SAMPLE_FPS) || 2;
+    this.minConfidence = 0.3; // Samples below this hold the previous position
+    this.deadZone = 0.08; // Ignore subject movement smaller than this (fraction of width)
+    this.smoothing = 0.35; // Fraction of the remaining distance moved per sample
+    this.commandInterval = 0.1; // Seconds between crop updates sent to ffmpeg
+  }
+
+  /**
+   * Check whether an external subject detector is configured
+   * @returns {boolean}
+   */
+  isDetectorAvailable() {
+    return !!process.env.SUBJECT_DETECTOR_CLI_PATH;
+  }
+
+  /**
+   * Validate reframe settings for a clip
+   * @param {string} mode - auto | center | manual
+   * @param {number|null} cropXOffset - Required for manual mode (0-1)
+   * @returns {Object} { mode, cropXOffset }
+   */
+  normalizeSettings(mode, cropXOffset) {
+    if (!REFRAME_MODES.includes(mode)) {
+      throw new Error(`Invalid reframe mode: ${mode}. Must be: ${REFRAME_MODES.join(', ')}`);
+    }
+
+    const offset = cropXOffset === undefined || cropXOffset === null ? null : parseFloat(cropXOffset);
+    if (offset !== null && (isNaN(offset) || offset < 0 || offset > 1)) {
+      throw new Error('cropXOffset must be between 0 (left) and 1 (right)');
+    }
+    if (mode === 'manual' && offset === null) {
+      throw new Error('cropXOffset is required for manual reframing');
+    }
+
+    return { mode, cropXOffset: offset };
+  }
+
+  /**
+   * Save a clip's reframe settings
+   * @param {number} clipId - Clip ID
+   * @param {string} mode - auto | center | manual
+   * @param {number|null} cropXOffset - Manual crop center (0-1)
+   * @returns {Promise<Object|null>} Updated clip row
+   */
+  async updateSettings(clipId, mode, cropXOffset) {
+    const settings = this.normalizeSettings(mode, cropXOffset);
+
+    const result = await database.query(`
+      UPDATE video_clips SET
+        reframe_mode = $2,
+        crop_x_offset = COALESCE($3, crop_x_offset),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [clipId, settings.mode, settings.cropXOffset]);
+
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Format a clip's reframe settings for API responses
+   * @param {Object} clip - video_clips row
+   * @returns {Object}
+   */
+  formatSettings(clip) {
+    return {
+      clipId: clip.id,
+      mode: clip.reframe_mode || 'auto',
+      cropXOffset: clip.crop_x_offset !== null && clip.crop_x_offset !== undefined ? parseFloat(clip.crop_x_offset) : null,
+      path: clip.reframe_path || null,
+      detector: this.isDetectorAvailable() ? 'external' : 'motion'
+    };
+  }
+
+  /**
+   * Build the scale/crop filter chain for a clip's output size
+   * @param {Object} clip - video_clips row (reframe settings and times)
+   * @param {Object} source - { path, offset, duration } media to sample
+   * @param {Object} output - { width, height }
+   * @param {string} workDir - Directory for the sendcmd file
+   * @returns {Promise<string>} Filter chain (no input/output labels)
+   */
+  async buildCropFilter(clip, source, output, workDir) {
+    const mode = clip.reframe_mode || 'auto';
+    const centerFilter = `scale=${output.width}:${output.height}:force_original_aspect_ratio=increase,crop=${output.width}:${output.height}`;
+
+    if (mode === 'center') {
+      return centerFilter;
+    }
+
+    const uploadService = require('./upload.service');
+    const probe = await uploadService.probeMedia(source.path).catch(() => ({}));
+    if (!probe.width || !probe.height) {
+      logger.warn(`Could not read frame size for clip ${clip.id}; using a center crop`);
+      return centerFilter;
+    }
+
+    let points;
+    if (mode === 'manual') {
+      const offset = clip.crop_x_offset !== null && clip.crop_x_offset !== undefined ? parseFloat(clip.crop_x_offset) : 0.5;
+      points = [{ time: 0, center: offset }];
+    } else {
+      try {
+        points = (await this.getCropPath(clip, source, workDir)).points;
+      } catch (error) {
+        logger.warn(`Subject reframing failed for clip ${clip.id}; using a center crop: ${error.message}`);
+        return centerFilter;
+      }
+    }
+
+    const plan = this.buildCropPlan({
+      sourceWidth: probe.width,
+      sourceHeight: probe.height,
+      outWidth: output.width,
+      outHeight: output.height,
+      points
+    });
+
+    let commandsPath = null;
+    if (plan.commands.length > 0) {
+      commandsPath = path.join(workDir, 'reframe.cmd');
+      await fs.writeFile(commandsPath, plan.commands
+        .map(command => `${command.time.toFixed(2)} crop@reframe x ${command.x};`)
+        .join('\n') + '\n', 'utf8');
+    }
+
+    return [
+      `scale=${plan.scaledWidth}:${plan.scaledHeight}`,
+      ...(commandsPath ? [`sendcmd=f='${commandsPath.replace(/\\/g, '/').replace(/:/g, '\\:')}'`] : []),
+      `crop@reframe=${output.width}:${output.height}:${plan.x}:${plan.y}`
+    ].join(',');
+  }
+
+  /**
+   * Get the smoothed subject path for a clip, reusing the cached one when the clip window is unchanged
+   * @param {Object} clip - video_clips row
+   * @param {Object} source - { path, offset, duration }
+   * @param {string} workDir - Scratch directory for sampled frames
+   * @returns {Promise<Object>} { method, startSeconds, endSeconds, points, computedAt }
+   */
+  async getCropPath(clip, source, workDir) {
+    const startSeconds = parseFloat(clip.start_time_seconds);
+    const endSeconds = parseFloat(clip.end_time_seconds);
+    const cached = clip.reframe_path;
+
+    if (cached && cached.startSeconds === startSeconds && cached.endSeconds === endSeconds && Array.isArray(cached.points)) {
+      return cached;
+    }
+
+    const { method, samples } = await this.sampleSubjectPositions(source, workDir);
+    const cropPath = {
+      method,
+      startSeconds,
+      endSeconds,
+      points: this.smoothPath(samples),
+      computedAt: new Date().toISOString()
+    };
+
+    await database.query(
+      'UPDATE video_clips SET reframe_path = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [clip.id, JSON.stringify(cropPath)]
+    );
+
+    logger.info(`Computed ${method} crop path for clip ${clip.id} (${samples.length} samples)`);
+
+    return cropPath;
+  }
+
+  /**
+   * Locate the main subject in sampled frames
+   * @param {Object} source - { path, offset, duration }
+   * @param {string} workDir - Scratch directory for sampled frames
+   * @returns {Promise<Object>} { method, samples: [{ time, center, confidence }] }
+   */
+  async sampleSubjectPositions(source, workDir) {
+    if (this.isDetectorAvailable()) {
+      try {
+        return { method: 'detector', samples: await this.detectWithCli(source, workDir) };
+      } catch (error) {
+        logger.warn(`Subject detector failed, falling back to motion: ${error.message}`);
+      }
+    }
+
+    return { method: 'motion', samples: await this.detectWithMotion(source) };
+  }
+
+  /**
+   * Run the external detector on frames extracted from the clip.
+   * The command receives a directory of JPEG frames and prints JSON:
+   * [{ "file": "frame_00001.jpg", "boxes": [{ "x", "y", "width", "height", "score" }] }]
+   * with box coordinates in frame pixels.
+   * @param {Object} source - { path, offset, duration }
+   * @param {string} workDir - Scratch directory for sampled frames
+   * @returns {Promise<Array>} [{ time, center, confidence }]
+   */
+  async detectWithCli(source, workDir) {
+    const frameWidth = 640;
+    const framesDir = path.join(workDir, 'frames');
+    await fs.mkdir(framesDir, { recursive: true });
+
+    try {
+      await execPromise(
+        `ffmpeg -ss ${source.offset || 0} -t ${source.duration} -i "${source.path}" -vf "fps=${this.sampleFps},scale=${frameWidth}:-2" -q:v 4 "${path.join(framesDir, 'frame_%05d.jpg')}" -y`,
+        { maxBuffer: 1024 * 1024 * 10 } // 10MB buffer
+      );
+
+      const { stdout } = await execPromise(`"${process.env.SUBJECT_DETECTOR_CLI_PATH}" "${framesDir}"`, {
+        maxBuffer: 1024 * 1024 * 10, // 10MB buffer
+        timeout: parseInt(process.env.SUBJECT_DETECTOR_TIMEOUT_MS) || 5 * 60 * 1000
+      });
+
+      const frames = JSON.parse(stdout);
+      if (!Array.isArray(frames)) {
+        throw new Error('Detector output must be a JSON array of frames');
+      }
+
+      return frames.map(frame => {
+        const index = parseInt((/(\d+)/.exec(frame.file || '') || [])[1]);
+        const best = (Array.isArray(frame.boxes) ? frame.boxes : [])
+          .map(box => ({ ...box, weight: Number(box.width) * Number(box.height) * (Number(box.score) || 1) }))
+          .filter(box => Number.isFinite(box.weight) && box.weight > 0)
+          .sort((a, b) => b.weight - a.weight)[0];
+
+        return {
+          time: (index - 1) / this.sampleFps,
+          center: best ? (Number(best.x) + Number(best.width) / 2) / frameWidth : null,
+          confidence: best ? Math.min(1, Number(best.score) || 1) : 0
+        };
+      }).filter(sample => Number.isFinite(sample.time)).sort((a, b) => a.time - b.time);
+    } finally {
+      await fs.rm(framesDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Built-in detector: the speaker is usually where the picture changes most
+   * between samples, so columns are scored by frame-to-frame difference.
+   * @param {Object} source - { path, offset, duration }
+   * @returns {Promise<Array>} [{ time, center, confidence }]
+   */
+  async detectWithMotion(source) {
+    const { stdout } = await execPromise(
+      `ffmpeg -v error -ss ${source.offset || 0} -t ${source.duration} -i "${source.path}" -vf "fps=${this.sampleFps},scale=${MOTION_FRAME_WIDTH}:${MOTION_FRAME_HEIGHT},format=gray" -f rawvideo pipe:1`,
+      { encoding: 'buffer', maxBuffer: 1024 * 1024 * 50 } // 50MB buffer
+    );
+
+    return this.scoreMotionFrames(stdout, MOTION_FRAME_WIDTH, MOTION_FRAME_HEIGHT);
+  }
+
+  /**
+   * Score raw grayscale frames by per-column motion
+   * @param {Buffer} buffer - Concatenated width*height grayscale frames
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @returns {Array} [{ time, center, confidence }]
+   */
+  scoreMotionFrames(buffer, width, height) {
+    const frameSize = width * height;
+    const frameCount = Math.floor(buffer.length / frameSize);
+    const samples = [];
+    const window = Math.max(1, Math.round(width * 0.1));
+
+    for (let frame = 1; frame < frameCount; frame++) {
+      const current = frame * frameSize;
+      const previous = (frame - 1) * frameSize;
+      const columns = new Array(width).fill(0);
+
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const offset = y * width + x;
+          columns[x] += Math.abs(buffer[current + offset] - buffer[previous + offset]);
+        }
+      }
+
+      // Box-smooth so one noisy column can't win
+      const smoothed = columns.map((_value, x) => {
+        let sum = 0;
+        for (let i = Math.max(0, x - window); i <= Math.min(width - 1, x + window); i++) {
+          sum += columns[i];
+        }
+        return sum;
+      });
+
+      const total = smoothed.reduce((sum, value) => sum + value, 0);
+      const peak = Math.max(...smoothed);
+      const peakColumn = smoothed.indexOf(peak);
+      const mean = total / width;
+
+      samples.push({
+        time: frame / this.sampleFps,
+        center: (peakColumn + 0.5) / width,
+        // Flat motion (static shot, camera pan) gives no usable position
+        confidence: mean > 0 ? Math.max(0, Math.min(1, (peak / mean - 1) / 2)) : 0
+      });
+    }
+
+    return samples;
+  }
+
+  /**
+   * Turn noisy per-sample positions into a steady crop path:
+   * low-confidence samples hold the previous position, single-sample spikes are
+   * removed, small movements are ignored and larger ones are eased into.
+   * @param {Array} samples - [{ time, center, confidence }]
+   * @returns {Array} [{ time, center }] with center as a fraction of the source width
+   */
+  smoothPath(samples) {
+    const usable = samples.map(sample =>
+      sample.center !== null && sample.confidence >= this.minConfidence ? sample.center : null
+    );
+
+    const firstKnown = usable.find(center => center !== null);
+    if (firstKnown === undefined) {
+      return [{ time: 0, center: 0.5 }];
+    }
+
+    // Hold the last known position through gaps
+    let last = firstKnown;
+    const filled = usable.map(center => {
+      if (center !== null) last = center;
+      return last;
+    });
+
+    // Median of three removes one-off detections
+    const despiked = filled.map((center, index) => {
+      if (index === 0 || index === filled.length - 1) return center;
+      return [filled[index - 1], center, filled[index + 1]].sort((a, b) => a - b)[1];
+    });
+
+    const points = [];
+    let target = despiked[0];
+    let current = despiked[0];
+
+    despiked.forEach((center, index) => {
+      if (Math.abs(center - target) > this.deadZone) {
+        target = center;
+      }
+      current += (target - current) * (index === 0 ? 1 : this.smoothing);
+      points.push({ time: Math.max(0, samples[index].time), center: Math.round(current * 10000) / 10000 });
+    });
+
+    points[0].time = 0;
+    return points;
+  }
+
+  /**
+   * Convert a normalized crop path into pixel crop positions for an output size
+   * @param {Object} params - { sourceWidth, sourceHeight, outWidth, outHeight, points }
+   * @returns {Object} { scaledWidth, scaledHeight, x, y, commands: [{ time, x }] }
+   */
+  buildCropPlan(params) {
+    const { sourceWidth, sourceHeight, outWidth, outHeight, points } = params;
+
+    // Scale to cover the output, keeping dimensions even for the encoder
+    const scale = Math.max(outWidth / sourceWidth, outHeight / sourceHeight);
+    const scaledWidth = Math.max(outWidth, Math.round(sourceWidth * scale / 2) * 2);
+    const scaledHeight = Math.max(outHeight, Math.round(sourceHeight * scale / 2) * 2);
+    const maxX = scaledWidth - outWidth;
+    const y = Math.floor((scaledHeight - outHeight) / 2);
+
+    const toX = (center) => Math.min(maxX, Math.max(0, Math.round(center * scaledWidth - outWidth / 2)));
+    const initialX = toX(points[0].center);
+
+    const commands = [];
+    if (maxX > 0 && points.length > 1) {
+      // Interpolate between samples so the crop glides instead of jumping
+      let previousX = initialX;
+      const lastTime = points[points.length - 1].time;
+
+      for (let time = this.commandInterval; time <= lastTime + 1e-9; time += this.commandInterval) {
+        const nextIndex = points.findIndex(point => point.time >= time);
+        const after = points[nextIndex];
+        const before = points[Math.max(0, nextIndex - 1)];
+        const span = after.time - before.time;
+        const center = span > 0
+          ? before.center + (after.center - before.center) * ((time - before.time) / span)
+          : after.center;
+        const x = toX(center);
+
+        if (x !== previousX) {
+          commands.push({ time: Math.round(time * 100) / 100, x });
+          previousX = x;
+        }
+      }
+    }
+
+    return { scaledWidth, scaledHeight, x: initialX, y, commands };
+  }
+}
+
+module.exports = new ReframeService();
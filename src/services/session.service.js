@@ -3,9 +3,22 @@ const { sessions } = require('../models');
 const { logger } = require('../utils');
 const crypto = require('crypto');
 
+// How long a session's active/revoked state is trusted before re-reading it
+const SESSION_CHECK_TTL_MS = 30 * 1000;
+// last_activity_at is written at most this often per session
+const ACTIVITY_INTERVAL_MS = 5 * 60 * 1000;
+
+function sessionError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
 class SessionService {
   constructor() {
     this.tableName = 'sessions'; // PostgreSQL table name
+    // session_id -> { active, checkedAt }
+    this.sessionCache = new Map();
   }
 
   /**
@@ -120,6 +133,33 @@ class SessionService {
     }
   }
 
+  /**
+   * Approximate location of the client IP as resolved by the edge proxy in front of the app
+   * (Cloudflare visitor location or Vercel geolocation headers)
+   * @param {Object} req - Express request object
+   * @returns {string} e.g. "Lisbon, Lisbon, PT", or empty string when unknown
+   */
+  getLocationFromRequest(req) {
+    const header = (name) => {
+      const value = (req.get(name) || '').trim();
+      try {
+        return decodeURIComponent(value);
+      } catch {
+        return value;
+      }
+    };
+
+    const city = header('CF-IPCity') || header('X-Vercel-IP-City');
+    const region = header('CF-Region') || header('X-Vercel-IP-Country-Region');
+    let country = header('CF-IPCountry') || header('X-Vercel-IP-Country') || header('X-Country');
+    // Cloudflare reports XX for unknown and T1 for Tor exit nodes
+    if (country === 'XX' || country === 'T1') {
+      country = '';
+    }
+
+    return [city, region, country].filter(Boolean).join(', ');
+  }
+
   /**
    * Get device information from request
    * @param {Object} req - Express request object
@@ -204,6 +244,8 @@ class SessionService {
         last_activity_at: sessionData.lastActivityAt || sessionData.startedAt,
         location: sessionData.location || '',
         timezone: sessionData.timezone || '',
+        // Whether this login passed a second factor (TOTP, recovery code or remembered device)
+        mfa_verified: Boolean(sessionData.mfaVerified || sessionData.mfa_verified),
         duration: 0.00 // Initialize duration as 0.00 for active sessions
       };
 
@@ -271,6 +313,7 @@ class SessionService {
   async endSession(sessionId) {
     try {
       logger.info(`Ending session: ${sessionId}`);
+      this.forgetSession(sessionId);
 
       const endedAt = new Date().toISOString();
 
@@ -304,6 +347,7 @@ class SessionService {
       for (const sessionRecord of activeSessions) {
         const sessionId = sessionRecord.session_id;
         if (sessionId) {
+          this.forgetSession(sessionId);
           await sessions.endSession(sessionId, 'expired');
         }
       }
@@ -319,13 +363,16 @@ class SessionService {
    * @param {Object} user - User object
    * @param {Object} req - Express request object
    * @param {string} loginMethod - Login method (email, google, apple, microsoft)
-   * @returns {Promise<Object|null>} Session record
+   * @param {Object} options - { mfaVerified } when the login passed two-factor authentication,
+   *   { notifyNewDevice: false } to skip the new-device email
+   * @returns {Promise<Object|null>} Session record; its sessionId goes in the token's sid claim
    */
-  async recordLogin(user, req, loginMethod = 'email') {
+  async recordLogin(user, req, loginMethod = 'email', options = {}) {
     try {
       const deviceInfo = this.getDeviceInfo(req);
       const sessionId = this.generateSessionId();
       const now = new Date().toISOString();
+      const newDevice = options.notifyNewDevice !== false && await this.isNewDevice(user.id, deviceInfo);
 
       const sessionData = {
         sessionId,
@@ -340,10 +387,11 @@ class SessionService {
         startedAt: now,
         lastActivityAt: now,
         status: 'active',
+        mfaVerified: Boolean(options.mfaVerified),
         // Get location from various possible sources
-        location: req.get('CF-IPCountry') || req.get('X-Country') || req.body.country || req.body.location || '',
+        location: this.getLocationFromRequest(req) || req.body?.country || req.body?.location || '',
         // Get timezone from various possible sources
-        timezone: req.get('X-Timezone') || req.body.timezone || this.getTimezoneFromRequest(req) || ''
+        timezone: req.get('X-Timezone') || req.body?.timezone || this.getTimezoneFromRequest(req) || ''
       };
 
       const session = await this.createSession(sessionData);
@@ -352,6 +400,12 @@ class SessionService {
         // Store session ID in request for potential future use
         req.sessionId = sessionId;
         logger.info(`Login session recorded for ${user.email} using ${loginMethod}`);
+
+        if (newDevice) {
+          this.sendNewDeviceEmail(user, sessionData).catch(error => {
+            logger.error('Error sending new device sign-in email:', error);
+          });
+        }
       }
 
       return session;
@@ -371,7 +425,7 @@ class SessionService {
   async recordSignup(user, req, signupMethod = 'email') {
     // For signup, we use the same method as login to avoid Airtable field issues
     // The login method field will show the base method (email, google, etc.)
-    return await this.recordLogin(user, req, signupMethod);
+    return await this.recordLogin(user, req, signupMethod, { notifyNewDevice: false });
   }
 
   /**
@@ -394,6 +448,7 @@ class SessionService {
       for (const sessionRecord of activeSessions) {
         const sessionId = sessionRecord.session_id;
         if (sessionId) {
+          this.forgetSession(sessionId);
           await sessions.endSession(sessionId, 'logged_out');
         }
       }
@@ -417,6 +472,168 @@ class SessionService {
     });
   }
 
+  // ─── ACTIVE SESSIONS ───────────────────────────────────────────────
+
+  /**
+   * Whether the session a token was issued for is still signed in. Checked on every
+   * authenticated request and Socket.IO handshake, so the state is cached briefly; revoking
+   * through this service updates the cache at once. Also records activity, throttled.
+   * @param {string} sessionId - Session ID from the token's sid claim
+   * @returns {Promise<boolean>}
+   */
+  async validateSession(sessionId) {
+    if (!database.pool) {
+      return true;
+    }
+
+    const cached = this.sessionCache.get(sessionId);
+    if (cached && Date.now() - cached.checkedAt < SESSION_CHECK_TTL_MS) {
+      return cached.active;
+    }
+
+    const record = await sessions.findBySessionId(sessionId);
+    const active = Boolean(record && record.is_active && record.status === 'active');
+    this.cacheSessionState(sessionId, active);
+
+    const lastActivity = record?.last_activity_at ? new Date(record.last_activity_at).getTime() : 0;
+    if (active && Date.now() - lastActivity > ACTIVITY_INTERVAL_MS) {
+      this.updateActivity(sessionId).catch(error => {
+        logger.error('Error updating session activity:', error);
+      });
+    }
+
+    return active;
+  }
+
+  /**
+   * Active sessions of a user for the Security page
+   * @param {number} userId - User ID
+   * @param {string|null} currentSessionId - Session ID of the requesting token, flagged as current
+   * @returns {Promise<Array>} Formatted sessions
+   */
+  async listActiveSessions(userId, currentSessionId = null) {
+    const records = await sessions.listActiveForUser(userId);
+    return records.map(record => ({
+      id: record.id,
+      current: Boolean(currentSessionId) && record.session_id === currentSessionId,
+      deviceType: record.device_type,
+      browser: record.browser,
+      os: record.os,
+      loginMethod: record.login_method,
+      ipAddress: record.ip_address,
+      location: record.location || null,
+      timezone: record.timezone || null,
+      mfaVerified: Boolean(record.mfa_verified),
+      startedAt: record.created_at,
+      lastActivityAt: record.last_activity_at
+    }));
+  }
+
+  /**
+   * Sign out one of the user's other sessions; its token stops working immediately
+   * @param {number} userId - User ID
+   * @param {number} id - Session record ID
+   * @param {string|null} currentSessionId - Session ID of the requesting token
+   * @returns {Promise<void>}
+   */
+  async revokeSession(userId, id, currentSessionId = null) {
+    const record = await sessions.findById(id);
+    if (!record || record.users_id !== userId || !record.is_active || record.status !== 'active') {
+      throw sessionError('Session not found', 'SESSION_NOT_FOUND');
+    }
+    if (currentSessionId && record.session_id === currentSessionId) {
+      throw sessionError('Use sign out to end the session on this device', 'CURRENT_SESSION');
+    }
+
+    this.forgetSession(record.session_id);
+    await sessions.endSession(record.session_id, 'revoked');
+    logger.info(`Session ${record.id} revoked by user ${userId}`);
+  }
+
+  /**
+   * Sign out every session of the user except the requesting one
+   * @param {number} userId - User ID
+   * @param {string|null} currentSessionId - Session ID of the requesting token, kept signed in
+   * @returns {Promise<number>} Number of sessions signed out
+   */
+  async revokeOtherSessions(userId, currentSessionId = null) {
+    const records = await sessions.findActiveByUserId(userId);
+    const others = records.filter(record => record.session_id && record.session_id !== currentSessionId);
+
+    for (const record of others) {
+      this.forgetSession(record.session_id);
+      await sessions.endSession(record.session_id, 'revoked');
+    }
+
+    logger.info(`User ${userId} signed out ${others.length} other sessions`);
+    return others.length;
+  }
+
+  /**
+   * Whether a login comes from a browser, OS and device type the user hasn't signed in from
+   * before. A user's very first session is not reported.
+   * @param {number} userId - User ID
+   * @param {Object} deviceInfo - From getDeviceInfo
+   * @returns {Promise<boolean>}
+   */
+  async isNewDevice(userId, deviceInfo) {
+    if (!database.pool || !userId) {
+      return false;
+    }
+
+    try {
+      const history = await sessions.getDeviceHistory(userId, {
+        browser: deviceInfo.browser,
+        os: deviceInfo.os,
+        device_type: this.normalizeDeviceType(deviceInfo.deviceType)
+      });
+      return history.total > 0 && history.sameDevice === 0;
+    } catch (error) {
+      logger.error('Error checking device history:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Tell the user about a sign-in from a new device, with a link to sign it out
+   * @param {Object} user - User object
+   * @param {Object} session - Session data passed to createSession
+   * @returns {Promise<Object>} Email send result
+   */
+  async sendNewDeviceEmail(user, session) {
+    const emailService = require('./email.service');
+    return await emailService.sendNewDeviceLogin(user.email, {
+      firstName: user.firstName || user.first_name,
+      device: `${session.browser || 'Unknown browser'} on ${session.os || 'unknown OS'}`,
+      location: session.location,
+      ipAddress: session.ipAddress,
+      signedInAt: new Date(session.startedAt).toUTCString(),
+      securityUrl: `${process.env.BASE_URL || 'https://amplifycontent.ai'}/settings/security`
+    });
+  }
+
+  /**
+   * Mark a session signed out in this process's cache
+   * @param {string} sessionId - Session ID
+   */
+  forgetSession(sessionId) {
+    this.cacheSessionState(sessionId, false);
+  }
+
+  cacheSessionState(sessionId, active) {
+    this.sessionCache.set(sessionId, { active, checkedAt: Date.now() });
+
+    // Drop stale entries once the cache grows
+    if (this.sessionCache.size > 1000) {
+      const now = Date.now();
+      for (const [key, value] of this.sessionCache.entries()) {
+        if (now - value.checkedAt > SESSION_CHECK_TTL_MS) {
+          this.sessionCache.delete(key);
+        }
+      }
+    }
+  }
+
   /**
    * Format session record from PostgreSQL
    * @param {Object} record - PostgreSQL record
@@ -445,6 +662,7 @@ class SessionService {
       lastActivityAt: fields.last_activity_at,
       endedAt: fields.ended_at,
       status: fields.status,
+      mfaVerified: Boolean(fields.mfa_verified),
       duration: fields.duration,
       location: fields.location,
       timezone: fields.timezone,
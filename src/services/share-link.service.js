@@ -0,0 +1,416 @@
+/**
+ * Share Link Service
+ * Public, read-only share pages (/share/:token) for a video's study guide,
+ * discussion guide and an interactive version of its quiz. Quiz answers are
+ * scored server-side and aggregated for the link owner.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const database = require('./database.service');
+const contentService = require('./content.service');
+const documentGenerationService = require('./document-generation.service');
+const quizExportService = require('./quiz-export.service');
+const { video: videoModel, shareLink, shareQuizAttempt } = require('../models');
+const { logger } = require('../utils');
+
+/** Content types that can be published on a share page, in page order */
+const SHAREABLE_CONTENT_TYPES = ['study_guide_text', 'discussion_guide_text', 'quiz_text'];
+
+const MAX_EXPIRY_DAYS = 365;
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PARTICIPANT_NAME_LENGTH = 100;
+const BCRYPT_ROUNDS = 10;
+
+/** How long an unlocked password-protected page stays unlocked */
+const UNLOCK_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+function shareLinkError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Normalize a short answer for comparison: case, punctuation and extra spaces are ignored
+ */
+function normalizeAnswer(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+class ShareLinkService {
+  // ─── OWNER ─────────────────────────────────────────────────────────
+
+  /**
+   * Create a share link for one of the user's videos, or a workspace video they can edit
+   * @param {number} userId - Link owner user ID
+   * @param {number} videoId - Video record ID
+   * @param {Object} options - { contentTypes, expiresInDays, password }
+   * @returns {Promise<Object>} Share link (with url)
+   */
+  async createLink(userId, videoId, options = {}) {
+    const { contentTypes, expiresInDays, password } = options;
+
+    const video = await database.query(
+      `SELECT id FROM videos WHERE id = $1 AND ${videoModel.accessCondition('edit', 2)}`,
+      [videoId, userId]
+    );
+    if (video.rows.length === 0) {
+      throw shareLinkError('Video not found', 'SHARE_VIDEO_NOT_FOUND');
+    }
+
+    const requested = contentTypes && contentTypes.length > 0 ? contentTypes : SHAREABLE_CONTENT_TYPES;
+    const invalid = requested.filter(type => !SHAREABLE_CONTENT_TYPES.includes(type));
+    if (invalid.length > 0) {
+      throw shareLinkError(`These content types can't be shared: ${invalid.join(', ')}`, 'INVALID_SHARE_LINK');
+    }
+
+    const available = await database.query(
+      `SELECT DISTINCT ct.key
+       FROM video_content vc
+       JOIN content_types ct ON ct.id = vc.content_type_id
+       WHERE vc.video_id = $1 AND ct.key = ANY($2) AND COALESCE(TRIM(vc.content_text), '') <> ''`,
+      [videoId, requested]
+    );
+    const availableKeys = available.rows.map(row => row.key);
+    const shared = SHAREABLE_CONTENT_TYPES.filter(type => requested.includes(type) && availableKeys.includes(type));
+    if (shared.length === 0) {
+      throw shareLinkError('This video has no study guide, discussion guide or quiz to share yet', 'NO_SHAREABLE_CONTENT');
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        throw shareLinkError(`expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}`, 'INVALID_SHARE_LINK');
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    let passwordHash = null;
+    if (password) {
+      if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw shareLinkError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 'INVALID_SHARE_LINK');
+      }
+      passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    }
+
+    const link = await shareLink.create({
+      token: crypto.randomBytes(24).toString('base64url'),
+      users_id: userId,
+      video_id: videoId,
+      content_types: shared,
+      password_hash: passwordHash,
+      expires_at: expiresAt
+    });
+
+    logger.info(`Created share link ${link.id} for video ${videoId} (${shared.join(', ')})`);
+    return this.presentLink({ ...link, has_password: Boolean(passwordHash) });
+  }
+
+  /**
+   * List the user's share links for a video
+   * @param {number} userId - Owner user ID
+   * @param {number} videoId - Video record ID
+   * @returns {Promise<Array>}
+   */
+  async listLinks(userId, videoId) {
+    const links = await shareLink.listForVideo(userId, videoId);
+    return links.map(link => this.presentLink(link));
+  }
+
+  /**
+   * Revoke a share link; its page stops working immediately
+   * @param {number} userId - Owner user ID
+   * @param {number} linkId - Share link ID
+   * @returns {Promise<Object>}
+   */
+  async revokeLink(userId, linkId) {
+    const link = await this.getOwnedLink(userId, linkId);
+    if (link.revoked_at) {
+      return this.presentLink(link);
+    }
+
+    const revoked = await shareLink.update(link.id, { revoked_at: new Date() });
+    logger.info(`Revoked share link ${link.id}`);
+    return this.presentLink({ ...revoked, has_password: link.has_password });
+  }
+
+  /**
+   * Aggregate quiz attempts submitted on a share link
+   * @param {number} userId - Owner user ID
+   * @param {number} linkId - Share link ID
+   * @returns {Promise<Object>} { link, attemptCount, averageScore, questions, attempts }
+   */
+  async getResults(userId, linkId) {
+    const link = await this.getOwnedLink(userId, linkId);
+    const attempts = await shareQuizAttempt.listForLink(link.id);
+
+    const byQuestion = new Map();
+    let percentTotal = 0;
+
+    for (const attempt of attempts) {
+      percentTotal += attempt.total > 0 ? attempt.score / attempt.total : 0;
+
+      for (const result of attempt.results || []) {
+        const key = `${result.number}|${result.question}`;
+        if (!byQuestion.has(key)) {
+          byQuestion.set(key, { number: result.number, question: result.question, attempts: 0, correct: 0 });
+        }
+        const stats = byQuestion.get(key);
+        stats.attempts++;
+        if (result.correct) stats.correct++;
+      }
+    }
+
+    const questions = [...byQuestion.values()]
+      .sort((a, b) => a.number - b.number)
+      .map(stats => ({ ...stats, correctRate: Math.round((stats.correct / stats.attempts) * 100) }));
+
+    return {
+      link: this.presentLink(link),
+      attemptCount: attempts.length,
+      averageScore: attempts.length > 0 ? Math.round((percentTotal / attempts.length) * 100) : null,
+      questions,
+      attempts: attempts.map(attempt => ({
+        id: attempt.id,
+        participantName: attempt.participant_name,
+        score: attempt.score,
+        total: attempt.total,
+        createdAt: attempt.created_at
+      }))
+    };
+  }
+
+  /**
+   * Get a link owned by the user or raise SHARE_LINK_NOT_FOUND
+   */
+  async getOwnedLink(userId, linkId) {
+    const link = await shareLink.findForUser(linkId, userId);
+    if (!link) {
+      throw shareLinkError('Share link not found', 'SHARE_LINK_NOT_FOUND');
+    }
+    return link;
+  }
+
+  /**
+   * Shape a link for the owner API
+   */
+  presentLink(link) {
+    return {
+      id: link.id,
+      videoId: link.video_id,
+      url: `${process.env.BASE_URL || 'https://amplifycontent.ai'}/share/${link.token}`,
+      contentTypes: link.content_types,
+      hasPassword: Boolean(link.has_password),
+      expiresAt: link.expires_at,
+      revokedAt: link.revoked_at,
+      status: this.getStatus(link),
+      viewCount: link.view_count || 0,
+      lastViewedAt: link.last_viewed_at || null,
+      createdAt: link.created_at
+    };
+  }
+
+  /**
+   * @returns {string} 'active', 'revoked' or 'expired'
+   */
+  getStatus(link) {
+    if (link.revoked_at) return 'revoked';
+    if (link.expires_at && new Date(link.expires_at) <= new Date()) return 'expired';
+    return 'active';
+  }
+
+  // ─── PUBLIC ────────────────────────────────────────────────────────
+
+  /**
+   * Look up a link by token for a public request
+   * @param {string} token - Share token from the URL
+   * @returns {Promise<Object>} Raw link row (including password_hash)
+   */
+  async resolveLink(token) {
+    const link = await shareLink.findByToken(token);
+    if (!link) {
+      throw shareLinkError('This share link does not exist', 'SHARE_LINK_NOT_FOUND');
+    }
+    if (this.getStatus(link) !== 'active') {
+      throw shareLinkError('This share link is no longer available', 'SHARE_LINK_UNAVAILABLE');
+    }
+    return link;
+  }
+
+  /**
+   * Value of the unlock cookie for a password-protected link. It changes
+   * whenever the password does, so old unlocks stop working.
+   * @param {Object} link - Raw link row
+   * @returns {string}
+   */
+  getAccessKey(link) {
+    return crypto
+      .createHmac('sha256', process.env.JWT_SECRET || '')
+      .update(`${link.token}:${link.password_hash}`)
+      .digest('hex');
+  }
+
+  /**
+   * Whether a viewer may see the link's content
+   * @param {Object} link - Raw link row
+   * @param {string} [accessKey] - Unlock cookie value
+   * @returns {boolean}
+   */
+  hasAccess(link, accessKey) {
+    if (!link.password_hash) return true;
+    if (typeof accessKey !== 'string') return false;
+
+    const expected = Buffer.from(this.getAccessKey(link));
+    const actual = Buffer.from(accessKey);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Check a viewer's password
+   * @param {Object} link - Raw link row
+   * @param {string} password - Submitted password
+   * @returns {Promise<boolean>}
+   */
+  async checkPassword(link, password) {
+    if (!link.password_hash) return true;
+    if (typeof password !== 'string' || !password) return false;
+    return bcrypt.compare(password, link.password_hash);
+  }
+
+  /**
+   * Build the share page: guides rendered to HTML and the quiz without its answers
+   * @param {Object} link - Raw link row
+   * @returns {Promise<Object>} { videoTitle, channelName, sections, quiz }
+   */
+  async getSharedContent(link) {
+    const videoResult = await database.query(
+      'SELECT video_title, channel_name FROM videos WHERE id = $1',
+      [link.video_id]
+    );
+    const video = videoResult.rows[0] || {};
+
+    const sections = [];
+    let quiz = null;
+
+    for (const contentType of SHAREABLE_CONTENT_TYPES) {
+      if (!link.content_types.includes(contentType)) continue;
+
+      if (contentType === 'quiz_text') {
+        const questions = await this.getQuizQuestions(link);
+        if (questions.length > 0) {
+          quiz = {
+            label: documentGenerationService.formatContentTypeLabel(contentType),
+            questions: questions.map((question, index) => ({
+              index,
+              number: question.number,
+              type: question.type,
+              question: question.question,
+              choices: question.type === 'short_answer' ? null : question.choices
+            }))
+          };
+        }
+        continue;
+      }
+
+      const content = await contentService.getVideoContentByType(link.video_id, contentType, { publishedOnly: false });
+      if (!content || !content.content_text || !content.content_text.trim()) continue;
+
+      sections.push({
+        contentType,
+        label: documentGenerationService.formatContentTypeLabel(contentType),
+        html: documentGenerationService.renderHtmlBody(content.content_text, contentType)
+      });
+    }
+
+    shareLink.recordView(link.id).catch(error => {
+      logger.warn(`Failed to record view for share link ${link.id}: ${error.message}`);
+    });
+
+    return {
+      videoTitle: video.video_title || 'Shared content',
+      channelName: video.channel_name || null,
+      sections,
+      quiz
+    };
+  }
+
+  /**
+   * Score a viewer's quiz answers and store the attempt for the owner
+   * @param {Object} link - Raw link row
+   * @param {Array} responses - Per question, in quiz order: choice index or short-answer text (null to skip)
+   * @param {string} [participantName] - Optional viewer name
+   * @returns {Promise<Object>} { score, total, results: [{ number, correct, answer, explanation }] }
+   */
+  async scoreQuiz(link, responses, participantName) {
+    if (!link.content_types.includes('quiz_text')) {
+      throw shareLinkError('This share link does not include a quiz', 'QUIZ_NOT_SHARED');
+    }
+    if (!Array.isArray(responses)) {
+      throw shareLinkError('answers must be an array', 'INVALID_QUIZ_SUBMISSION');
+    }
+
+    const questions = await this.getQuizQuestions(link);
+    if (questions.length === 0) {
+      throw shareLinkError('This quiz has no questions', 'QUIZ_NOT_SHARED');
+    }
+
+    const stored = [];
+    const results = questions.map((question, index) => {
+      const response = responses[index];
+      let correct = false;
+      let responseText = null;
+
+      if (question.type === 'short_answer') {
+        responseText = typeof response === 'string' ? response.trim().substring(0, 500) : null;
+        correct = responseText !== null && normalizeAnswer(responseText) !== ''
+          && normalizeAnswer(responseText) === normalizeAnswer(question.answer);
+      } else if (Number.isInteger(response) && response >= 0 && response < question.choices.length) {
+        responseText = question.choices[response];
+        correct = response === question.correct_index;
+      }
+
+      stored.push({ number: question.number, question: question.question, response: responseText, correct });
+      return {
+        number: question.number,
+        correct,
+        answer: question.answer,
+        correctIndex: question.type === 'short_answer' ? null : question.correct_index,
+        explanation: question.explanation
+      };
+    });
+
+    const score = results.filter(result => result.correct).length;
+    const name = typeof participantName === 'string'
+      ? participantName.trim().substring(0, MAX_PARTICIPANT_NAME_LENGTH) || null
+      : null;
+
+    await shareQuizAttempt.record(link.id, name, stored, score, questions.length);
+    logger.info(`Recorded quiz attempt on share link ${link.id}: ${score}/${questions.length}`);
+
+    return { score, total: questions.length, results };
+  }
+
+  /**
+   * Structured quiz questions for a link's video (empty when it has no parseable quiz)
+   */
+  async getQuizQuestions(link) {
+    try {
+      const { questions } = await quizExportService.getStructuredQuiz(link.video_id);
+      return questions;
+    } catch (error) {
+      if (error.code === 'QUIZ_NOT_FOUND') return [];
+      throw error;
+    }
+  }
+}
+
+const shareLinkService = new ShareLinkService();
+shareLinkService.SHAREABLE_CONTENT_TYPES = SHAREABLE_CONTENT_TYPES;
+shareLinkService.UNLOCK_MAX_AGE_MS = UNLOCK_MAX_AGE_MS;
+module.exports = shareLinkService;
@@ -0,0 +1,310 @@
+/**
+ * Slide Deck Editor Service
+ * Slide-level edits to a video's slide_deck_text JSON (add, update, delete, reorder)
+ * with a version history users can revert to.
+ *
+ * video_content.content_text always holds the current deck, so PPTX and slide-PDF
+ * downloads render the edited version. Every save clears the cached PPTX URL
+ * (content_url) and records a row in slide_deck_versions.
+ */
+
+const database = require('./database.service');
+const slideDeckGenerationService = require('./slide-deck-generation.service');
+const { slideDeckVersion } = require('../models');
+const { logger } = require('../utils');
+
+const SLIDE_DECK_CONTENT_TYPE = 'slide_deck_text';
+
+/** Maximum slides a deck may hold after edits */
+const MAX_SLIDES = 60;
+
+function slideEditError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class SlideDeckEditorService {
+  /**
+   * Find the slide deck content row for a video
+   * Uses version 1, the row downloads read via getVideoContentByType
+   * @param {Object} client - database service or transaction client
+   * @param {number} videoId - Video record ID
+   * @param {boolean} forUpdate - Lock the row for the rest of the transaction
+   * @returns {Promise<Object>} { id, content_text }
+   */
+  async findDeckContent(client, videoId, forUpdate = false) {
+    const result = await client.query(`
+      SELECT vc.id, vc.content_text
+      FROM video_content vc
+      JOIN content_types ct ON vc.content_type_id = ct.id
+      WHERE vc.video_id = $1 AND ct.key = $2 AND vc.version = 1
+      ${forUpdate ? 'FOR UPDATE OF vc' : ''}
+    `, [videoId, SLIDE_DECK_CONTENT_TYPE]);
+
+    const content = result.rows[0];
+    if (!content || !content.content_text) {
+      throw slideEditError('No slide deck content found for this video', 'SLIDE_DECK_NOT_FOUND');
+    }
+    return content;
+  }
+
+  /**
+   * Parse stored deck text, surfacing malformed AI output as a typed error
+   * @param {string} contentText - Stored slide_deck_text
+   * @returns {Object} { theme, slides }
+   */
+  parseDeck(contentText) {
+    try {
+      return slideDeckGenerationService.parseSlideJSON(contentText);
+    } catch (error) {
+      throw slideEditError(`${error.message}. This video may need content regeneration.`, 'INVALID_SLIDE_DECK');
+    }
+  }
+
+  /**
+   * Validate a slide, surfacing schema problems as a typed error
+   * @param {Object} slide - Slide data
+   * @param {number} index - Position, for the error message
+   * @returns {Object} Cleaned slide
+   */
+  validateSlide(slide, index) {
+    try {
+      return slideDeckGenerationService.validateSlide(slide);
+    } catch (error) {
+      throw slideEditError(index === undefined ? error.message : `Slide ${index}: ${error.message}`, 'INVALID_SLIDE');
+    }
+  }
+
+  /**
+   * Ensure a slide index exists in the deck
+   * @param {Array} slides - Deck slides
+   * @param {number} index - Zero-based slide index
+   */
+  assertSlideIndex(slides, index) {
+    if (!Number.isInteger(index) || index < 0 || index >= slides.length) {
+      throw slideEditError(`Slide ${index} does not exist (deck has ${slides.length} slides)`, 'SLIDE_NOT_FOUND');
+    }
+  }
+
+  /**
+   * Get the current deck and its latest version number
+   * @param {number} videoId - Video record ID
+   * @returns {Promise<Object>} { contentId, version, deck }
+   */
+  async getDeck(videoId) {
+    const content = await this.findDeckContent(database, videoId);
+    const deck = this.parseDeck(content.content_text);
+    const versions = await slideDeckVersion.listForContent(content.id);
+
+    return {
+      contentId: content.id,
+      version: versions.length > 0 ? versions[0].version_number : null,
+      deck
+    };
+  }
+
+  /**
+   * Merge changes into a slide. When slide_type changes, the headline and item
+   * list carry over to whichever fields the new type uses; fields the new type
+   * doesn't use are dropped by validation. A null value removes a field.
+   * @param {Object} slide - Existing slide
+   * @param {Object} changes - Fields to change (may include slide_type)
+   * @returns {Object} Merged, unvalidated slide
+   */
+  mergeSlideChanges(slide, changes) {
+    const merged = { ...slide, ...changes };
+    const schema = slideDeckGenerationService.SLIDE_SCHEMAS[merged.slide_type];
+
+    if (!schema || merged.slide_type === slide.slide_type) {
+      return merged;
+    }
+
+    const headline = slide.heading || slide.title;
+    if (headline) {
+      for (const field of ['heading', 'title']) {
+        if (schema.text.includes(field) && changes[field] === undefined && !merged[field]) {
+          merged[field] = headline;
+        }
+      }
+    }
+
+    const items = slide.bullets || slide.takeaways || slide.left_items;
+    const [firstList] = schema.lists || [];
+    if (items && firstList && changes[firstList] === undefined && !merged[firstList]) {
+      merged[firstList] = items;
+    }
+
+    return merged;
+  }
+
+  /**
+   * Reorder slides by a permutation of their current indexes
+   * @param {Array} slides - Deck slides
+   * @param {Array<number>} order - New order, e.g. [2, 0, 1]
+   * @returns {Array} Reordered slides
+   */
+  reorder(slides, order) {
+    const isPermutation = Array.isArray(order) &&
+      order.length === slides.length &&
+      [...order].sort((a, b) => a - b).every((value, i) => value === i);
+
+    if (!isPermutation) {
+      throw slideEditError(`order must list every slide index from 0 to ${slides.length - 1} exactly once`, 'INVALID_SLIDE');
+    }
+    return order.map(index => slides[index]);
+  }
+
+  /**
+   * Apply an edit to the deck and save it as a new version.
+   * The first edit also snapshots the generated deck as version 1 so it can be restored.
+   * @param {number} videoId - Video record ID
+   * @param {number} userId - Editing user
+   * @param {string} changeSummary - Short description stored with the version
+   * @param {Function} mutate - (deck) => new slides array
+   * @returns {Promise<Object>} { contentId, version, deck }
+   */
+  async saveEdit(videoId, userId, changeSummary, mutate) {
+    const saved = await database.transaction(async (client) => {
+      const content = await this.findDeckContent(client, videoId, true);
+      const deck = this.parseDeck(content.content_text);
+
+      const latest = await client.query(
+        'SELECT MAX(version_number) AS max_version FROM slide_deck_versions WHERE video_content_id = $1',
+        [content.id]
+      );
+      let version = latest.rows[0].max_version || 0;
+
+      if (version === 0) {
+        version = 1;
+        await client.query(`
+          INSERT INTO slide_deck_versions (video_content_id, version_number, deck, change_summary, created_by_user_id)
+          VALUES ($1, $2, $3, $4, NULL)
+        `, [content.id, version, JSON.stringify(deck), 'Generated deck']);
+      }
+
+      const slides = mutate(deck);
+      if (slides.length === 0) {
+        throw slideEditError('A slide deck needs at least one slide', 'INVALID_SLIDE');
+      }
+      if (slides.length > MAX_SLIDES) {
+        throw slideEditError(`A slide deck can have at most ${MAX_SLIDES} slides`, 'INVALID_SLIDE');
+      }
+
+      const updatedDeck = { ...deck, slides };
+      version += 1;
+
+      // Clearing content_url drops the cached PPTX so the next download renders this version
+      await client.query(`
+        UPDATE video_content
+        SET content_text = $1, content_url = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `, [JSON.stringify(updatedDeck, null, 2), content.id]);
+
+      await client.query(`
+        INSERT INTO slide_deck_versions (video_content_id, version_number, deck, change_summary, created_by_user_id)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [content.id, version, JSON.stringify(updatedDeck), changeSummary, userId]);
+
+      return { contentId: content.id, version, deck: updatedDeck };
+    });
+
+    logger.info(`Saved slide deck version ${saved.version} for video ${videoId}: ${changeSummary}`);
+    return saved;
+  }
+
+  /**
+   * Insert a slide
+   * @param {number} videoId - Video record ID
+   * @param {number} userId - Editing user
+   * @param {Object} slide - New slide (validated against its slide_type)
+   * @param {number} [position] - Zero-based index to insert at (default: end)
+   * @returns {Promise<Object>} { contentId, version, deck }
+   */
+  async addSlide(videoId, userId, slide, position) {
+    const cleaned = this.validateSlide(slide);
+
+    return this.saveEdit(videoId, userId, `Added ${cleaned.slide_type} slide`, ({ slides }) => {
+      const at = position === undefined || position === null ? slides.length : position;
+      if (!Number.isInteger(at) || at < 0 || at > slides.length) {
+        throw slideEditError(`position must be between 0 and ${slides.length}`, 'INVALID_SLIDE');
+      }
+      return [...slides.slice(0, at), cleaned, ...slides.slice(at)];
+    });
+  }
+
+  /**
+   * Edit a slide's fields and/or change its slide_type
+   * @param {number} videoId - Video record ID
+   * @param {number} userId - Editing user
+   * @param {number} index - Zero-based slide index
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} { contentId, version, deck }
+   */
+  async updateSlide(videoId, userId, index, changes) {
+    if (!changes || typeof changes !== 'object' || Object.keys(changes).length === 0) {
+      throw slideEditError('No slide changes provided', 'INVALID_SLIDE');
+    }
+
+    return this.saveEdit(videoId, userId, `Edited slide ${index + 1}`, ({ slides }) => {
+      this.assertSlideIndex(slides, index);
+      const updated = this.validateSlide(this.mergeSlideChanges(slides[index], changes), index);
+      return slides.map((slide, i) => (i === index ? updated : slide));
+    });
+  }
+
+  /**
+   * Remove a slide
+   * @param {number} videoId - Video record ID
+   * @param {number} userId - Editing user
+   * @param {number} index - Zero-based slide index
+   * @returns {Promise<Object>} { contentId, version, deck }
+   */
+  async deleteSlide(videoId, userId, index) {
+    return this.saveEdit(videoId, userId, `Deleted slide ${index + 1}`, ({ slides }) => {
+      this.assertSlideIndex(slides, index);
+      return slides.filter((slide, i) => i !== index);
+    });
+  }
+
+  /**
+   * Reorder the deck
+   * @param {number} videoId - Video record ID
+   * @param {number} userId - Editing user
+   * @param {Array<number>} order - Current slide indexes in their new order
+   * @returns {Promise<Object>} { contentId, version, deck }
+   */
+  async reorderSlides(videoId, userId, order) {
+    return this.saveEdit(videoId, userId, 'Reordered slides', ({ slides }) => this.reorder(slides, order));
+  }
+
+  /**
+   * List saved versions of a video's deck, newest first
+   * @param {number} videoId - Video record ID
+   * @returns {Promise<Array>}
+   */
+  async listVersions(videoId) {
+    const content = await this.findDeckContent(database, videoId);
+    return slideDeckVersion.listForContent(content.id);
+  }
+
+  /**
+   * Restore an earlier version. History is append-only: the restored deck is
+   * saved as a new version rather than discarding the versions after it.
+   * @param {number} videoId - Video record ID
+   * @param {number} userId - Editing user
+   * @param {number} versionNumber - Version to restore
+   * @returns {Promise<Object>} { contentId, version, deck }
+   */
+  async revertToVersion(videoId, userId, versionNumber) {
+    const content = await this.findDeckContent(database, videoId);
+    const target = await slideDeckVersion.findVersion(content.id, versionNumber);
+    if (!target) {
+      throw slideEditError(`Version ${versionNumber} does not exist for this slide deck`, 'VERSION_NOT_FOUND');
+    }
+
+    return this.saveEdit(videoId, userId, `Reverted to version ${versionNumber}`, () => target.deck.slides);
+  }
+}
+
+module.exports = new SlideDeckEditorService();
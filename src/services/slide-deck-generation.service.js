@@ -7,6 +7,7 @@ const path = require('path');
 const PptxGenJS = require('pptxgenjs');
 const PDFDocument = require('pdfkit');
 const { logger } = require('../utils');
+const { registerUnicodeFonts } = require('../utils/pdf-fonts');
 
 /** Path to Noto Sans Symbols 2 font for rendering Unicode icons in PDFs */
 const NOTO_SYMBOLS_FONT = path.join(__dirname, '..', 'assets', 'fonts', 'NotoSansSymbols2-Regular.ttf');
@@ -211,6 +212,67 @@ const THEME_PRESETS = {
 /** Valid theme IDs for route validation */
 const VALID_THEME_IDS = ['auto', ...Object.keys(THEME_PRESETS)];
 
+/**
+ * Fields each slide builder reads, per slide_type.
+ * text = plain string fields, lists = string arrays, stats = [{ value, label }],
+ * table = headers[] + rows[][]. Every slide may also carry an `icon` and the
+ * speaker-notes fields (`speaker_notes`, `source_start_seconds`, `source_end_seconds`).
+ */
+const SLIDE_SCHEMAS = {
+  title: { required: ['title'], text: ['title', 'subtitle', 'footer'] },
+  section_divider: { required: ['heading'], text: ['heading', 'subtitle'] },
+  bullets: { required: ['heading', 'bullets'], text: ['heading', 'subtitle'], lists: ['bullets'] },
+  quote: { required: ['quote'], text: ['quote', 'attribution', 'heading'] },
+  two_column: {
+    required: ['heading', 'left_items', 'right_items'],
+    text: ['heading', 'left_title', 'right_title'],
+    lists: ['left_items', 'right_items']
+  },
+  statistics: { required: ['heading', 'stats'], text: ['heading'], stats: true },
+  table: { required: ['headers', 'rows'], text: ['heading'], table: true },
+  image_placeholder: { required: ['heading'], text: ['heading', 'image_description', 'caption'] },
+  summary: { required: ['heading', 'takeaways'], text: ['heading', 'call_to_action'], lists: ['takeaways'] }
+};
+
+/**
+ * Appended to the slide_deck_text prompt when the content type's speaker_notes toggle is on,
+ * so notes come back in the same AI call as the slides
+ */
+const SPEAKER_NOTES_PROMPT = `
+
+SPEAKER NOTES: In addition to the fields above, give EVERY slide object these fields:
+- "speaker_notes": 2-5 sentences the presenter can say while showing the slide, drawn from the part of the transcript the slide covers. Plain text, no markdown.
+- "source_start_seconds" and "source_end_seconds": where that part of the transcript starts and ends, in whole seconds from the start of the video, taken from the transcript timestamps. Leave both out if the transcript has no timestamps.`;
+
+/** Statistics builders lay out at most this many cards */
+const MAX_SLIDE_STATS = 4;
+
+/** The 10 palette slots every resolved theme defines */
+const THEME_COLOR_SLOTS = Object.keys(THEME_PRESETS.executive_dark.colors);
+
+/**
+ * Foreground/background slot pairs the builders draw text with, and the minimum
+ * contrast ratio each needs (WCAG AA: 4.5 for body text, 3 for large headings/accents)
+ */
+const THEME_CONTRAST_PAIRS = [
+  { foreground: 'text_dark', background: 'light_bg', minRatio: 4.5 },
+  { foreground: 'text_dark', background: 'card_bg', minRatio: 4.5 },
+  { foreground: 'text_light', background: 'dark_bg', minRatio: 4.5 },
+  { foreground: 'primary_color', background: 'light_bg', minRatio: 3 },
+  { foreground: 'accent_color', background: 'dark_bg', minRatio: 3 }
+];
+
+/**
+ * Standard PDF fonts used by the slide-PDF layouts. Layouts draw with the alias names;
+ * custom themes (brand kits) re-register the aliases to embedded TTF/OTF buffers.
+ */
+const PDF_FONT_ALIASES = {
+  'Heading-Bold': { standard: 'Times-Bold', source: 'heading' },
+  'Heading-Italic': { standard: 'Times-Italic', source: 'heading' },
+  'Body': { standard: 'Helvetica', source: 'body' },
+  'Body-Bold': { standard: 'Helvetica-Bold', source: 'body' }
+};
+
 class SlideDeckGenerationService {
 
   /**
@@ -327,6 +389,112 @@ class SlideDeckGenerationService {
     return result.join('');
   }
 
+  /**
+   * Validate a single slide against the fields its builder expects.
+   * Strings are trimmed and fields the slide type does not use are dropped.
+   * @param {Object} slide - Slide data including slide_type
+   * @returns {Object} Cleaned slide
+   * @throws {Error} If the slide type is unknown or a field is missing or malformed
+   */
+  validateSlide(slide) {
+    if (!slide || typeof slide !== 'object' || Array.isArray(slide)) {
+      throw new Error('Slide must be an object');
+    }
+
+    const schema = SLIDE_SCHEMAS[slide.slide_type];
+    if (!schema) {
+      throw new Error(`Unknown slide_type "${slide.slide_type}". Expected one of: ${Object.keys(SLIDE_SCHEMAS).join(', ')}`);
+    }
+
+    const cleaned = { slide_type: slide.slide_type };
+    const cleanText = (field, value) => {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        throw new Error(`"${field}" must be a string`);
+      }
+      return String(value).trim();
+    };
+    const cleanList = (field, value) => {
+      if (!Array.isArray(value)) {
+        throw new Error(`"${field}" must be an array of strings`);
+      }
+      return value.map((item, i) => cleanText(`${field}[${i}]`, item)).filter(Boolean);
+    };
+
+    for (const field of [...schema.text, 'icon', 'speaker_notes']) {
+      if (slide[field] === undefined || slide[field] === null) continue;
+      const value = cleanText(field, slide[field]);
+      if (value) cleaned[field] = value;
+    }
+
+    for (const field of ['source_start_seconds', 'source_end_seconds']) {
+      if (slide[field] === undefined || slide[field] === null || slide[field] === '') continue;
+      const seconds = Number(slide[field]);
+      if (!Number.isFinite(seconds) || seconds < 0) {
+        throw new Error(`"${field}" must be a non-negative number of seconds`);
+      }
+      cleaned[field] = Math.round(seconds);
+    }
+    if (cleaned.source_end_seconds < cleaned.source_start_seconds) {
+      throw new Error('"source_end_seconds" must not be before "source_start_seconds"');
+    }
+
+    for (const field of schema.lists || []) {
+      if (slide[field] === undefined || slide[field] === null) continue;
+      cleaned[field] = cleanList(field, slide[field]);
+    }
+
+    if (schema.stats && slide.stats !== undefined && slide.stats !== null) {
+      if (!Array.isArray(slide.stats)) {
+        throw new Error('"stats" must be an array of { value, label } objects');
+      }
+      if (slide.stats.length > MAX_SLIDE_STATS) {
+        throw new Error(`A statistics slide can show at most ${MAX_SLIDE_STATS} stats`);
+      }
+      cleaned.stats = slide.stats.map((stat, i) => {
+        if (!stat || typeof stat !== 'object') {
+          throw new Error(`"stats[${i}]" must be an object with value and label`);
+        }
+        const value = cleanText(`stats[${i}].value`, stat.value ?? '');
+        const label = cleanText(`stats[${i}].label`, stat.label ?? '');
+        if (!value || !label) {
+          throw new Error(`"stats[${i}]" needs both a value and a label`);
+        }
+        return { value, label };
+      });
+    }
+
+    if (schema.table) {
+      if (slide.headers !== undefined && slide.headers !== null) {
+        cleaned.headers = cleanList('headers', slide.headers);
+      }
+      if (slide.rows !== undefined && slide.rows !== null) {
+        if (!Array.isArray(slide.rows)) {
+          throw new Error('"rows" must be an array of string arrays');
+        }
+        cleaned.rows = slide.rows.map((row, i) => {
+          if (!Array.isArray(row)) {
+            throw new Error(`"rows[${i}]" must be an array of strings`);
+          }
+          return row.map((cell, j) => (cell === null || cell === undefined ? '' : cleanText(`rows[${i}][${j}]`, cell)));
+        });
+        const columns = (cleaned.headers || []).length;
+        const mismatched = cleaned.rows.findIndex(row => row.length !== columns);
+        if (mismatched !== -1) {
+          throw new Error(`"rows[${mismatched}]" has ${cleaned.rows[mismatched].length} cells but the table has ${columns} headers`);
+        }
+      }
+    }
+
+    for (const field of schema.required) {
+      const value = cleaned[field];
+      if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+        throw new Error(`A ${slide.slide_type} slide requires "${field}"`);
+      }
+    }
+
+    return cleaned;
+  }
+
   /**
    * Strip leading # from hex color (pptxgenjs expects no #)
    */
@@ -336,11 +504,16 @@ class SlideDeckGenerationService {
 
   /**
    * Resolve theme: expand AI JSON's 5-color theme to 10-color, or return a preset
-   * @param {string} themeId - 'auto' or a preset ID
+   * @param {string|Object} themeId - 'auto', a preset ID, or an already-resolved custom theme
    * @param {Object} aiTheme - The AI-generated 5-color theme from parsed JSON
    * @returns {Object} Resolved theme with full 10-color palette, fonts, and darkSlideTypes
    */
   resolveTheme(themeId, aiTheme) {
+    // Already-resolved custom theme (e.g. a user's brand kit)
+    if (themeId && typeof themeId === 'object') {
+      return themeId;
+    }
+
     // Preset theme
     if (themeId && themeId !== 'auto' && THEME_PRESETS[themeId]) {
       return THEME_PRESETS[themeId];
@@ -402,6 +575,29 @@ class SlideDeckGenerationService {
     return 0.2126 * toLinear(r) + 0.7152 * toLinear(g) + 0.0722 * toLinear(b);
   }
 
+  /**
+   * WCAG contrast ratio between two hex colors (1 = identical, 21 = black on white)
+   */
+  contrastRatio(foreground, background) {
+    const a = this._luminance(foreground);
+    const b = this._luminance(background);
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+  }
+
+  /**
+   * Check a 10-slot palette for text/background pairs that would be hard to read
+   * @param {Object} colors - Palette keyed by THEME_COLOR_SLOTS
+   * @returns {Array} Failing pairs: [{ foreground, background, ratio, minRatio }]
+   */
+  checkThemeContrast(colors) {
+    return THEME_CONTRAST_PAIRS
+      .map(pair => ({
+        ...pair,
+        ratio: Math.round(this.contrastRatio(colors[pair.foreground], colors[pair.background]) * 100) / 100
+      }))
+      .filter(pair => pair.ratio < pair.minRatio);
+  }
+
   /**
    * Pick the darkest color from an array of hex colors (lowest luminance)
    */
@@ -532,10 +728,11 @@ class SlideDeckGenerationService {
    * Generate PPTX buffer from slide JSON content
    * @param {string} contentText - AI-generated JSON content
    * @param {string} videoTitle - Video title for metadata
-   * @param {string} themeId - Theme preset ID or 'auto'
+   * @param {string|Object} themeId - Theme preset ID, 'auto', or a resolved custom theme
+   * @param {Object} options - { sourceUrl } link back to the source video used in speaker notes
    * @returns {Promise<Buffer>} PPTX file as Buffer
    */
-  async generatePptx(contentText, videoTitle, themeId = 'auto') {
+  async generatePptx(contentText, videoTitle, themeId = 'auto', options = {}) {
     const data = this.parseSlideJSON(contentText);
     const { theme: aiTheme, slides } = data;
     const theme = this.resolveTheme(themeId, aiTheme);
@@ -548,14 +745,25 @@ class SlideDeckGenerationService {
     // Define two slide masters: LIGHT_SLIDE and DARK_SLIDE
     pptx.defineSlideMaster({
       title: 'LIGHT_SLIDE',
-      background: { color: this.stripHash(theme.colors.light_bg) }
+      background: { color: this.stripHash(theme.colors.light_bg) },
+      objects: this.buildBrandingObjects(theme, theme.colors.text_muted)
     });
 
     pptx.defineSlideMaster({
       title: 'DARK_SLIDE',
-      background: { color: this.stripHash(theme.colors.dark_bg) }
+      background: { color: this.stripHash(theme.colors.dark_bg) },
+      objects: this.buildBrandingObjects(theme, theme.colors.text_light)
     });
 
+    // Record slides as builders add them so speaker notes can be attached afterwards
+    const builtSlides = [];
+    const addSlide = pptx.addSlide.bind(pptx);
+    pptx.addSlide = (slideOptions) => {
+      const slide = addSlide(slideOptions);
+      builtSlides.push(slide);
+      return slide;
+    };
+
     // Build each slide, tracking occurrence count per type for variant cycling
     const slideTypeCounts = {};
     for (const slideData of slides) {
@@ -573,12 +781,137 @@ class SlideDeckGenerationService {
           bullets: [JSON.stringify(slideData)]
         }, theme, 0);
       }
+
+      const notes = this.buildSpeakerNotes(slideData, options.sourceUrl);
+      if (notes && builtSlides.length > 0) {
+        builtSlides[builtSlides.length - 1].addNotes(notes);
+      }
     }
 
     const buffer = await pptx.write({ outputType: 'nodebuffer' });
     return buffer;
   }
 
+  /**
+   * Format a source timestamp in seconds as m:ss or h:mm:ss
+   */
+  formatSourceTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+  }
+
+  /**
+   * Build the source line for a slide's notes: time range plus a link that opens the video there
+   * @param {Object} slideData - Slide with source_start_seconds / source_end_seconds
+   * @param {string|null} sourceUrl - Source video URL (YouTube), or null for uploads
+   * @returns {string|null}
+   */
+  buildSourceReference(slideData, sourceUrl) {
+    const start = Number(slideData.source_start_seconds);
+    if (slideData.source_start_seconds === undefined || slideData.source_start_seconds === null || !Number.isFinite(start)) {
+      return null;
+    }
+
+    const end = Number(slideData.source_end_seconds);
+    const range = Number.isFinite(end) && slideData.source_end_seconds !== null && end > start
+      ? `${this.formatSourceTime(start)}–${this.formatSourceTime(end)}`
+      : this.formatSourceTime(start);
+
+    if (!sourceUrl) {
+      return `Source: ${range}`;
+    }
+    const separator = sourceUrl.includes('?') ? '&' : '?';
+    return `Source: ${range} (${sourceUrl}${separator}t=${Math.floor(start)}s)`;
+  }
+
+  /**
+   * Speaker notes text for a slide, or null when the deck was generated without notes
+   * @param {Object} slideData - Slide data
+   * @param {string|null} sourceUrl - Source video URL for the timestamp link
+   * @returns {string|null}
+   */
+  buildSpeakerNotes(slideData, sourceUrl = null) {
+    const reference = this.buildSourceReference(slideData, sourceUrl);
+    const parts = [slideData.speaker_notes, reference].filter(Boolean);
+    return parts.length > 0 ? parts.join('\n\n') : null;
+  }
+
+  /**
+   * Render a deck as a markdown outline (one H2 per slide) for text exports
+   * @param {string} contentText - slide_deck_text JSON
+   * @returns {string} Markdown
+   */
+  slidesToMarkdown(contentText) {
+    const { slides } = this.parseSlideJSON(contentText);
+    const listItems = items => (items || []).map(item => `- ${item}`).join('\n');
+
+    return slides.map((slide, index) => {
+      const title = this._getSlideTitle(slide);
+      const lines = [title ? `## ${index + 1}. ${title}` : `## Slide ${index + 1}`];
+
+      if (slide.subtitle) lines.push(`*${slide.subtitle}*`);
+      if (slide.quote) lines.push(`> ${slide.quote}${slide.attribution ? ` — ${slide.attribution}` : ''}`);
+      if (slide.bullets) lines.push(listItems(slide.bullets));
+      if (slide.left_items) lines.push(`**${slide.left_title || 'Left'}**\n\n${listItems(slide.left_items)}`);
+      if (slide.right_items) lines.push(`**${slide.right_title || 'Right'}**\n\n${listItems(slide.right_items)}`);
+      if (slide.stats) lines.push(slide.stats.map(stat => `- **${stat.value}** ${stat.label}`).join('\n'));
+      if (slide.headers && slide.rows) {
+        lines.push([
+          `| ${slide.headers.join(' | ')} |`,
+          `|${slide.headers.map(() => '---').join('|')}|`,
+          ...slide.rows.map(row => `| ${row.join(' | ')} |`)
+        ].join('\n'));
+      }
+      if (slide.image_description) lines.push(`*Image: ${slide.image_description}*`);
+      if (slide.caption) lines.push(slide.caption);
+      if (slide.takeaways) lines.push(listItems(slide.takeaways));
+      if (slide.call_to_action) lines.push(`**${slide.call_to_action}**`);
+      if (slide.speaker_notes) lines.push(`> Speaker notes: ${slide.speaker_notes}`);
+
+      return lines.join('\n\n');
+    }).join('\n\n');
+  }
+
+  /**
+   * Slide master objects for a custom theme's footer text and logo (bottom strip of every slide)
+   * @param {Object} theme - Resolved theme
+   * @param {string} footerColor - Footer text color for this master's background
+   * @returns {Array} pptxgenjs master objects
+   */
+  buildBrandingObjects(theme, footerColor) {
+    const objects = [];
+
+    if (theme.footerText) {
+      objects.push({
+        text: {
+          text: theme.footerText,
+          options: {
+            x: 0.4, y: 7.1, w: 8, h: 0.3,
+            fontSize: 9,
+            fontFace: theme.fonts.body,
+            color: this.stripHash(footerColor),
+            valign: 'middle'
+          }
+        }
+      });
+    }
+
+    if (theme.logo) {
+      objects.push({
+        image: {
+          x: 11.9, y: 6.9, w: 1.1, h: 0.45,
+          data: `${theme.logo.mimeType};base64,${theme.logo.data.toString('base64')}`,
+          sizing: { type: 'contain', w: 1.1, h: 0.45 }
+        }
+      });
+    }
+
+    return objects;
+  }
+
   /**
    * Get the builder method for a slide type
    */
@@ -1408,7 +1741,7 @@ class SlideDeckGenerationService {
         .fillColor(color)
         .text(iconChar, x, y, { width, align, lineBreak: false });
     } catch {
-      doc.font('Helvetica')
+      doc.font('Body')
         .fontSize(size)
         .fillColor(color)
         .text(iconChar, x, y, { width, align, lineBreak: false });
@@ -1422,7 +1755,7 @@ class SlideDeckGenerationService {
     const bandH = 80;
     doc.rect(0, 0, pageW, bandH).fill(theme.colors.dark_bg);
     doc.rect(0, bandH, pageW, 3).fill(theme.colors.accent_color);
-    doc.font('Times-Bold')
+    doc.font('Heading-Bold')
       .fontSize(28)
       .fillColor(theme.colors.text_light)
       .text(text, 40, 22, { width: pageW - 80 });
@@ -1461,10 +1794,11 @@ class SlideDeckGenerationService {
    * Uses 10 distinct layout templates cycled for maximum visual variety.
    * @param {string} contentText - AI-generated JSON content
    * @param {string} videoTitle - Video title
-   * @param {string} themeId - Theme preset ID or 'auto' (backward-compatible)
+   * @param {string|Object} themeId - Theme preset ID, 'auto', or a resolved custom theme
+   * @param {Object} options - { notesPages: append speaker notes pages, sourceUrl: link for timestamps }
    * @returns {Promise<Buffer>} PDF buffer
    */
-  async generateSlidePdf(contentText, videoTitle, themeId = 'auto') {
+  async generateSlidePdf(contentText, videoTitle, themeId = 'auto', options = {}) {
     const data = this.parseSlideJSON(contentText);
     const { theme: aiTheme, slides } = data;
     const theme = this.resolveTheme(themeId, aiTheme);
@@ -1490,6 +1824,8 @@ class SlideDeckGenerationService {
         logger.warn(`Could not register NotoSymbols font: ${fontErr.message}`);
       }
 
+      this.registerPdfFonts(doc, theme, `${videoTitle || ''}\n${contentText}`);
+
       doc.on('data', chunk => chunks.push(chunk));
       doc.on('end', () => resolve(Buffer.concat(chunks)));
       doc.on('error', reject);
@@ -1500,14 +1836,118 @@ class SlideDeckGenerationService {
       for (let i = 0; i < totalSlides; i++) {
         if (i > 0) doc.addPage();
         this.renderPdfSlide(doc, slides[i], theme, pageW, pageH, i, totalSlides, contentSlideCounter);
+        this.drawPdfBranding(doc, theme, pageW, pageH);
         // Count non-bookend slides for layout cycling
         if (i > 0 && i < totalSlides - 1) contentSlideCounter++;
       }
 
+      if (options.notesPages) {
+        this.renderPdfNotesPages(doc, slides, theme, pageW, pageH, options.sourceUrl);
+      }
+
       doc.end();
     });
   }
 
+  /**
+   * Register the heading/body font aliases the PDF layouts draw with.
+   * Standard PDF fonts by default; a custom theme's embedded TTF/OTF when it has one.
+   * Text in a script the standard fonts can't draw gets a Unicode font instead.
+   */
+  registerPdfFonts(doc, theme, text = '') {
+    const embedded = theme.pdfFonts || {};
+
+    for (const [alias, { standard, source }] of Object.entries(PDF_FONT_ALIASES)) {
+      doc.registerFont(alias, embedded[source] || standard);
+    }
+
+    registerUnicodeFonts(doc, text, {
+      regular: ['Body', 'Heading-Italic'],
+      bold: ['Body-Bold', 'Heading-Bold']
+    });
+  }
+
+  /**
+   * Draw a custom theme's footer text and logo along the bottom of the current page
+   */
+  drawPdfBranding(doc, theme, pageW, pageH) {
+    if (theme.footerText) {
+      doc.font('Body').fontSize(9).fillColor(theme.colors.text_muted)
+        .text(theme.footerText, 24, pageH - 22, { width: pageW * 0.6, height: 14, lineBreak: false, ellipsis: true });
+    }
+
+    if (theme.logo) {
+      try {
+        doc.image(theme.logo.data, pageW - 104, pageH - 40, { fit: [80, 28], align: 'right', valign: 'bottom' });
+      } catch (imageErr) {
+        logger.warn(`Could not draw brand logo in slide PDF: ${imageErr.message}`);
+      }
+    }
+  }
+
+  /**
+   * Append speaker notes pages: one block per slide (number, title, source time range, notes),
+   * flowing onto further pages as needed. Slides without notes are skipped.
+   */
+  renderPdfNotesPages(doc, slides, theme, pageW, pageH, sourceUrl) {
+    const margin = 48;
+    const width = pageW - margin * 2;
+    const bottom = pageH - margin;
+    const entries = slides
+      .map((slideData, index) => ({
+        index,
+        title: this._getSlideTitle(slideData) || `Slide ${index + 1}`,
+        notes: slideData.speaker_notes || '',
+        reference: this.buildSourceReference(slideData, sourceUrl)
+      }))
+      .filter(entry => entry.notes || entry.reference);
+
+    if (entries.length === 0) return;
+
+    let y = bottom;
+    const startPage = () => {
+      doc.addPage();
+      doc.rect(0, 0, pageW, pageH).fill(theme.colors.light_bg);
+      doc.font('Heading-Bold').fontSize(22).fillColor(theme.colors.text_dark)
+        .text('Speaker Notes', margin, margin, { width, lineBreak: false });
+      this.drawPdfBranding(doc, theme, pageW, pageH);
+      y = margin + 40;
+    };
+
+    for (const entry of entries) {
+      const heading = `${entry.index + 1}. ${entry.title}`;
+      doc.font('Body-Bold').fontSize(13);
+      const headingH = doc.heightOfString(heading, { width });
+      doc.font('Body').fontSize(11);
+      const notesH = entry.notes ? doc.heightOfString(entry.notes, { width }) : 0;
+      doc.fontSize(9);
+      const referenceH = entry.reference ? doc.heightOfString(entry.reference, { width }) : 0;
+      const blockH = headingH + notesH + referenceH + 18;
+
+      if (y + Math.min(blockH, bottom - margin - 40) > bottom) {
+        startPage();
+      }
+
+      doc.font('Body-Bold').fontSize(13).fillColor(theme.colors.primary_color)
+        .text(heading, margin, y, { width });
+      y += headingH + 4;
+
+      if (entry.reference) {
+        doc.font('Body').fontSize(9).fillColor(theme.colors.text_muted)
+          .text(entry.reference, margin, y, { width });
+        y += referenceH + 4;
+      }
+
+      if (entry.notes) {
+        doc.font('Body').fontSize(11).fillColor(theme.colors.text_dark)
+          .text(entry.notes, margin, y, { width, height: bottom - y, ellipsis: true });
+        y += Math.min(notesH, bottom - y);
+      }
+
+      y += 14;
+    }
+  }
+
   /**
    * Render a single slide to PDF using layout-index-based dispatch.
    * First slide → layout 1 (hero-centered), last → layout 10 (primary-bg-card).
@@ -1574,21 +2014,21 @@ class SlideDeckGenerationService {
     const title = this._getSlideTitle(data);
     const titleY = pageH * 0.28;
     const titleW = pageW - 120;
-    doc.font('Times-Bold').fontSize(42);
+    doc.font('Heading-Bold').fontSize(42);
     const titleH = doc.heightOfString(title, { width: titleW });
     doc.fillColor(theme.colors.text_light)
       .text(title, 60, titleY, { width: titleW, align: 'center' });
 
     const subtitle = this._getSlideSubtitle(data);
     if (subtitle) {
-      doc.font('Times-Italic')
+      doc.font('Heading-Italic')
         .fontSize(26)
         .fillColor(theme.colors.accent_color)
         .text(subtitle, 100, titleY + titleH + 50, { width: pageW - 200, align: 'center' });
     }
 
     if (data.footer) {
-      doc.font('Helvetica')
+      doc.font('Body')
         .fontSize(14)
         .fillColor(theme.colors.text_light)
         .text(data.footer, 60, pageH * 0.75, { width: pageW - 120, align: 'center' });
@@ -1617,7 +2057,7 @@ class SlideDeckGenerationService {
     let yPos = bulletAreaTop;
     for (const item of items) {
       doc.circle(110, yPos + 12, 4).fill(theme.colors.accent_color);
-      doc.font('Helvetica').fontSize(22).fillColor(theme.colors.text_dark)
+      doc.font('Body').fontSize(22).fillColor(theme.colors.text_dark)
         .text(item, 126, yPos, { width: pageW - 200 });
       yPos += bulletSpacing;
     }
@@ -1647,7 +2087,7 @@ class SlideDeckGenerationService {
     // First pass: measure tallest header to align summary text across all cards
     const topicY = cardY + 20;
     let maxTopicH = 0;
-    doc.font('Helvetica-Bold').fontSize(26);
+    doc.font('Body-Bold').fontSize(26);
     for (const card of cards) {
       if (card.topic) {
         const h = doc.heightOfString(card.topic, { width: cardW - 36 });
@@ -1663,18 +2103,18 @@ class SlideDeckGenerationService {
 
       // Bold topic header (H2 size)
       if (cards[col].topic) {
-        doc.font('Helvetica-Bold').fontSize(26).fillColor(borderColors[col])
+        doc.font('Body-Bold').fontSize(26).fillColor(borderColors[col])
           .text(cards[col].topic, xPos + 18, topicY, { width: cardW - 36 });
       }
 
       // Summary text aligned to same Y across all cards
-      doc.font('Helvetica').fontSize(22).fillColor(theme.colors.text_dark)
+      doc.font('Body').fontSize(22).fillColor(theme.colors.text_dark)
         .text(cards[col].summary, xPos + 18, summaryY, { width: cardW - 36 });
     }
 
     const subtitle = this._getSlideSubtitle(data);
     if (subtitle) {
-      doc.font('Times-Italic').fontSize(13).fillColor(theme.colors.text_muted)
+      doc.font('Heading-Italic').fontSize(13).fillColor(theme.colors.text_muted)
         .text(subtitle, 50, pageH - 40, { width: pageW - 100, align: 'center' });
     }
   }
@@ -1699,7 +2139,7 @@ class SlideDeckGenerationService {
     // Measure tallest header to align bullets across both cards
     const topicY = cardY + 20;
     let maxTopicH = 0;
-    doc.font('Helvetica-Bold').fontSize(26);
+    doc.font('Body-Bold').fontSize(26);
     for (const title of [leftTitle, rightTitle]) {
       if (title) {
         const h = doc.heightOfString(title, { width: cardW - 36 });
@@ -1714,7 +2154,7 @@ class SlideDeckGenerationService {
 
       // Bold topic header (H2 size)
       if (title) {
-        doc.font('Helvetica-Bold').fontSize(26).fillColor(color)
+        doc.font('Body-Bold').fontSize(26).fillColor(color)
           .text(title, xPos + 18, topicY, { width: cardW - 36 });
       }
 
@@ -1722,7 +2162,7 @@ class SlideDeckGenerationService {
       let yPos = bulletsY;
       for (const item of items) {
         doc.circle(xPos + 30, yPos + 12, 4).fill(color);
-        doc.font('Helvetica').fontSize(22).fillColor(theme.colors.text_dark)
+        doc.font('Body').fontSize(22).fillColor(theme.colors.text_dark)
           .text(item, xPos + 46, yPos, { width: cardW - 64 });
         yPos += doc.heightOfString(item, { width: cardW - 64, fontSize: 22 }) + 18;
       }
@@ -1738,7 +2178,7 @@ class SlideDeckGenerationService {
     this.addPdfLeftAccentBar(doc, 26, 0, pageH, theme.colors.accent_color);
 
     const title = this._getSlideTitle(data);
-    doc.font('Times-Bold').fontSize(28).fillColor(theme.colors.text_light)
+    doc.font('Heading-Bold').fontSize(28).fillColor(theme.colors.text_light)
       .text(title, 52, 26, { width: pageW - 110 });
 
     // Quote/subtitle banner — only uses quote or subtitle, never a bullet
@@ -1750,7 +2190,7 @@ class SlideDeckGenerationService {
       doc.opacity(0.15);
       doc.roundedRect(36, 75, pageW - 72, 60, 4).fill(theme.colors.accent_color);
       doc.restore();
-      doc.font('Times-Italic').fontSize(17).fillColor(theme.colors.accent_color)
+      doc.font('Heading-Italic').fontSize(17).fillColor(theme.colors.accent_color)
         .text(bannerText, 52, 85, { width: pageW - 110 });
       bulletsY = 150;
     }
@@ -1759,7 +2199,7 @@ class SlideDeckGenerationService {
     const bulletItems = this._getSlideItems(data).slice(0, 6);
     for (const item of bulletItems) {
       doc.circle(60, bulletsY + 12, 4).fill(theme.colors.accent_color);
-      doc.font('Helvetica').fontSize(22).fillColor(theme.colors.text_light)
+      doc.font('Body').fontSize(22).fillColor(theme.colors.text_light)
         .text(item, 76, bulletsY, { width: pageW - 140 });
       bulletsY += doc.heightOfString(item, { width: pageW - 140, fontSize: 22 }) + 18;
       if (bulletsY > pageH - 30) break;
@@ -1774,7 +2214,7 @@ class SlideDeckGenerationService {
     const bandH = 80;
     doc.rect(0, 0, pageW, bandH).fill(theme.colors.light_bg);
     doc.rect(0, bandH, pageW, 3).fill(theme.colors.accent_color);
-    doc.font('Times-Bold').fontSize(28).fillColor(theme.colors.text_dark)
+    doc.font('Heading-Bold').fontSize(28).fillColor(theme.colors.text_dark)
       .text(this._getSlideTitle(data), 40, 22, { width: pageW - 80 });
 
     const icon = this._getSlideIconChar(data);
@@ -1783,7 +2223,7 @@ class SlideDeckGenerationService {
 
     if (subtitle) {
       this.drawPdfIcon(doc, icon, 40, 96, 28, theme.colors.accent_color, { width: 34 });
-      doc.font('Helvetica-Bold').fontSize(20).fillColor(theme.colors.accent_color)
+      doc.font('Body-Bold').fontSize(20).fillColor(theme.colors.accent_color)
         .text(subtitle, 82, 98, { width: pageW - 140 });
       doc.rect(82, 126, pageW - 140, 3).fill(theme.colors.accent_color);
       bulletsY = 165;
@@ -1795,7 +2235,7 @@ class SlideDeckGenerationService {
     const items = this._getSlideItems(data).slice(0, 6);
     for (const item of items) {
       doc.circle(60, bulletsY + 12, 4).fill(theme.colors.accent_color);
-      doc.font('Helvetica').fontSize(22).fillColor(theme.colors.text_light)
+      doc.font('Body').fontSize(22).fillColor(theme.colors.text_light)
         .text(item, 76, bulletsY, { width: pageW - 140 });
       bulletsY += doc.heightOfString(item, { width: pageW - 140, fontSize: 22 }) + 18;
       if (bulletsY > pageH - 30) break;
@@ -1820,14 +2260,14 @@ class SlideDeckGenerationService {
       this.addPdfLeftAccentBar(doc, 36, cardTop, cardH, theme.colors.accent_color);
 
       // Measure text height to vertically center in card
-      doc.font('Times-Italic').fontSize(22);
+      doc.font('Heading-Italic').fontSize(22);
       const textH = doc.heightOfString(quoteText, { width: pageW - 130 });
       const textY = cardTop + (cardH - textH) / 2;
       doc.fillColor(theme.colors.text_dark)
         .text(quoteText, 56, textY, { width: pageW - 130 });
 
       if (data.attribution) {
-        doc.font('Helvetica').fontSize(13).fillColor(theme.colors.text_muted)
+        doc.font('Body').fontSize(13).fillColor(theme.colors.text_muted)
           .text(`\u2014 ${data.attribution}`, 56, cardTop + cardH + 6, { width: pageW - 110, align: 'right' });
       }
       contentY = cardTop + cardH + 30;
@@ -1836,7 +2276,7 @@ class SlideDeckGenerationService {
     const items = this._getSlideItems(data).slice(0, 6);
     for (const item of items) {
       doc.circle(60, contentY + 12, 4).fill(theme.colors.accent_color);
-      doc.font('Helvetica').fontSize(22).fillColor(theme.colors.text_dark)
+      doc.font('Body').fontSize(22).fillColor(theme.colors.text_dark)
         .text(item, 76, contentY, { width: pageW - 140 });
       contentY += doc.heightOfString(item, { width: pageW - 140, fontSize: 22 }) + 18;
       if (contentY > pageH - 30) break;
@@ -1853,7 +2293,7 @@ class SlideDeckGenerationService {
     doc.rect(0, bandH, pageW, 3).fill(theme.colors.accent_color);
     const icon = this._getSlideIconChar(data);
     this.drawPdfIcon(doc, icon, 30, 24, 26, theme.colors.accent_color, { width: 34 });
-    doc.font('Times-Bold').fontSize(26).fillColor(theme.colors.text_light)
+    doc.font('Heading-Bold').fontSize(26).fillColor(theme.colors.text_light)
       .text(this._getSlideTitle(data), 70, 28, { width: pageW - 110 });
 
     const items = this._getSlideItems(data);
@@ -1873,7 +2313,7 @@ class SlideDeckGenerationService {
 
       let yPos = cardY + 20;
       for (const item of groups[col]) {
-        doc.font('Helvetica').fontSize(22).fillColor(textColor)
+        doc.font('Body').fontSize(22).fillColor(textColor)
           .text(item, xPos + 15, yPos, { width: cardW - 30 });
         yPos += doc.heightOfString(item, { width: cardW - 30, fontSize: 22 }) + 12;
         if (yPos > cardY + cardH - 10) break;
@@ -1890,7 +2330,7 @@ class SlideDeckGenerationService {
     const title = this._getSlideTitle(data);
 
     // Measure title height to calculate total content block
-    doc.font('Times-Bold').fontSize(38);
+    doc.font('Heading-Bold').fontSize(38);
     const titleH = doc.heightOfString(title, { width: pageW - 200 });
     const iconH = 60;
     const gap = 40;
@@ -1899,7 +2339,7 @@ class SlideDeckGenerationService {
 
     this.drawPdfIcon(doc, icon, 0, startY, 48, theme.colors.accent_color, { width: pageW, align: 'center' });
 
-    doc.font('Times-Bold').fontSize(38).fillColor(theme.colors.text_light)
+    doc.font('Heading-Bold').fontSize(38).fillColor(theme.colors.text_light)
       .text(title, 100, startY + iconH + gap, { width: pageW - 200, align: 'center' });
   }
 
@@ -1916,7 +2356,7 @@ class SlideDeckGenerationService {
 
     // White title
     const title = this._getSlideTitle(data);
-    doc.font('Times-Bold').fontSize(32).fillColor(theme.colors.text_light)
+    doc.font('Heading-Bold').fontSize(32).fillColor(theme.colors.text_light)
       .text(title, 60, 92, { width: pageW - 120, align: 'center' });
 
     // White card with accent top bar
@@ -1935,7 +2375,7 @@ class SlideDeckGenerationService {
       let yPos = bulletStartY;
       for (const item of items) {
         doc.circle(cardLeft + cardInner, yPos + 12, 4).fill(theme.colors.accent_color);
-        doc.font('Helvetica').fontSize(22).fillColor(theme.colors.text_dark)
+        doc.font('Body').fontSize(22).fillColor(theme.colors.text_dark)
           .text(item, cardLeft + cardInner + 16, yPos, { width: cardRight - cardLeft - cardInner - 40 });
         yPos += doc.heightOfString(item, { width: cardRight - cardLeft - cardInner - 40, fontSize: 22 }) + 14;
         if (yPos > cardY + cardH - 10) break;
@@ -1951,7 +2391,7 @@ class SlideDeckGenerationService {
       let yPos = bulletStartY;
       for (const item of leftItems) {
         doc.circle(leftX, yPos + 10, 3).fill(theme.colors.accent_color);
-        doc.font('Helvetica').fontSize(18).fillColor(theme.colors.text_dark)
+        doc.font('Body').fontSize(18).fillColor(theme.colors.text_dark)
           .text(item, leftX + 14, yPos, { width: colW - 14 });
         yPos += doc.heightOfString(item, { width: colW - 14, fontSize: 18 }) + 10;
         if (yPos > cardY + cardH - 10) break;
@@ -1960,7 +2400,7 @@ class SlideDeckGenerationService {
       yPos = bulletStartY;
       for (const item of rightItems) {
         doc.circle(rightX, yPos + 10, 3).fill(theme.colors.accent_color);
-        doc.font('Helvetica').fontSize(18).fillColor(theme.colors.text_dark)
+        doc.font('Body').fontSize(18).fillColor(theme.colors.text_dark)
           .text(item, rightX + 14, yPos, { width: colW - 14 });
         yPos += doc.heightOfString(item, { width: colW - 14, fontSize: 18 }) + 10;
         if (yPos > cardY + cardH - 10) break;
@@ -1970,7 +2410,7 @@ class SlideDeckGenerationService {
     // Accent italic footer
     const subtitle = this._getSlideSubtitle(data);
     if (subtitle) {
-      doc.font('Times-Italic').fontSize(20).fillColor(theme.colors.accent_color)
+      doc.font('Heading-Italic').fontSize(20).fillColor(theme.colors.accent_color)
         .text(subtitle, 60, pageH - 55, { width: pageW - 120, align: 'center' });
     }
   }
@@ -1997,5 +2437,8 @@ class SlideDeckGenerationService {
 const service = new SlideDeckGenerationService();
 service.THEME_PRESETS = THEME_PRESETS;
 service.VALID_THEME_IDS = VALID_THEME_IDS;
+service.SLIDE_SCHEMAS = SLIDE_SCHEMAS;
+service.THEME_COLOR_SLOTS = THEME_COLOR_SLOTS;
+service.SPEAKER_NOTES_PROMPT = SPEAKER_NOTES_PROMPT;
 
 module.exports = service;
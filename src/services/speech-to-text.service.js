@@ -0,0 +1,356 @@
+const axios = require('axios');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { exec } = require('child_process');
+const util = require('util');
+const fs = require('fs').promises;
+const { openAsBlob } = require('fs');
+const { logger } = require('../utils');
+
+const execPromise = util.promisify(exec);
+
+/**
+ * Speech-to-Text Service
+ * Transcribes audio files through a pluggable provider so videos without
+ * captions (or uploaded media) still produce a timestamped transcript.
+ *
+ * Every provider implements:
+ *   isConfigured(): boolean
+ *   transcribe(audioPath, options): Promise<Array<{ start, end, text, confidence? }>>
+ * Segment times are in seconds, matching the captions shape formatCaptions expects.
+ *
+ * When DIARIZATION_CLI_PATH is set, segments are also labelled with a speaker.
+ * The command receives the 16kHz WAV path and must print JSON turns
+ * [{ start, end, speaker }] (seconds) to stdout, e.g. a pyannote wrapper script.
+ */
+class SpeechToTextService {
+  constructor() {
+    this.tempPath = path.join(os.tmpdir(), 'oal-stt');
+    this.providers = {
+      'whisper-cli': this.createWhisperCliProvider(),
+      'openai-compatible': this.createOpenAiCompatibleProvider()
+    };
+    this.preferredProvider = process.env.STT_PROVIDER || null;
+  }
+
+  /**
+   * Register an additional provider (e.g. a hosted STT vendor)
+   * @param {string} name - Provider name
+   * @param {Object} provider - Object implementing isConfigured() and transcribe()
+   */
+  registerProvider(name, provider) {
+    if (typeof provider?.isConfigured !== 'function' || typeof provider?.transcribe !== 'function') {
+      throw new Error(`Speech-to-text provider ${name} must implement isConfigured() and transcribe()`);
+    }
+    this.providers[name] = provider;
+  }
+
+  /**
+   * Resolve the provider to use: STT_PROVIDER if set and configured, otherwise the first configured one
+   * @returns {Object|null} { name, provider } or null if none is configured
+   */
+  getProvider() {
+    if (this.preferredProvider) {
+      const provider = this.providers[this.preferredProvider];
+      if (provider && provider.isConfigured()) {
+        return { name: this.preferredProvider, provider };
+      }
+      logger.warn(`STT_PROVIDER ${this.preferredProvider} is not configured, falling back to any available provider`);
+    }
+
+    for (const [name, provider] of Object.entries(this.providers)) {
+      if (provider.isConfigured()) {
+        return { name, provider };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if any speech-to-text provider is available
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return this.getProvider() !== null;
+  }
+
+  /**
+   * Transcribe a local audio or video file
+   * @param {string} filePath - Path to an audio/video file ffmpeg can read
+   * @param {Object} options - { language, diarize }
+   * @returns {Promise<Array>} Segments [{ start, end, text, confidence, speaker }]
+   */
+  async transcribeFile(filePath, options = {}) {
+    const resolved = this.getProvider();
+    if (!resolved) {
+      throw new Error('No speech-to-text provider configured (WHISPER_CLI_PATH or STT_API_URL)');
+    }
+
+    await fs.mkdir(this.tempPath, { recursive: true });
+
+    // Normalize to 16kHz mono WAV - required by whisper.cpp and keeps uploads small for HTTP providers
+    const wavPath = path.join(this.tempPath, `${crypto.randomUUID()}.wav`);
+
+    try {
+      await execPromise(`ffmpeg -i "${filePath}" -vn -ar 16000 -ac 1 -c:a pcm_s16le "${wavPath}" -y`, {
+        maxBuffer: 1024 * 1024 * 10 // 10MB buffer
+      });
+
+      logger.info(`Transcribing ${path.basename(filePath)} with ${resolved.name}`);
+      const segments = this.normalizeSegments(await resolved.provider.transcribe(wavPath, options));
+
+      if (options.diarize !== false && this.isDiarizationAvailable()) {
+        try {
+          const turns = await this.diarize(wavPath);
+          return this.assignSpeakers(segments, turns);
+        } catch (error) {
+          // Speaker labels are an enhancement - keep the transcript if diarization fails
+          logger.warn(`Speaker diarization failed for ${path.basename(filePath)}:`, error.message);
+        }
+      }
+
+      return segments;
+    } finally {
+      await fs.unlink(wavPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Download a video's audio track with yt-dlp and transcribe it
+   * @param {string} videoUrl - Video URL yt-dlp understands
+   * @param {Object} options - { language, diarize }
+   * @returns {Promise<Array>} Segments [{ start, end, text, confidence, speaker }]
+   */
+  async transcribeUrl(videoUrl, options = {}) {
+    await fs.mkdir(this.tempPath, { recursive: true });
+
+    const basePath = path.join(this.tempPath, crypto.randomUUID());
+    const audioPath = `${basePath}.m4a`;
+
+    try {
+      await execPromise(`yt-dlp "${videoUrl}" -f "bestaudio[ext=m4a]/bestaudio" -o "${audioPath}"`, {
+        maxBuffer: 1024 * 1024 * 10 // 10MB buffer
+      });
+
+      return await this.transcribeFile(audioPath, options);
+    } finally {
+      await fs.unlink(audioPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Drop empty segments and coerce times to numbers
+   * @param {Array} segments - Raw provider segments
+   * @returns {Array} Clean segments
+   */
+  normalizeSegments(segments) {
+    if (!Array.isArray(segments)) {
+      return [];
+    }
+
+    return segments
+      .map(segment => ({
+        // Untimed segments keep null times so formatCaptions emits plain text
+        start: segment.start === null || segment.start === undefined ? null : Number(segment.start),
+        end: segment.end === null || segment.end === undefined ? null : Number(segment.end),
+        text: (segment.text || '').trim(),
+        confidence: this.getSegmentConfidence(segment),
+        speaker: segment.speaker || null
+      }))
+      .filter(segment => segment.text.length > 0);
+  }
+
+  /**
+   * Derive a 0..1 confidence from whatever the provider reports
+   * @param {Object} segment - Raw provider segment
+   * @returns {number|null} Confidence or null if unknown
+   */
+  getSegmentConfidence(segment) {
+    if (typeof segment.confidence === 'number') {
+      return Math.min(Math.max(segment.confidence, 0), 1);
+    }
+    // Whisper verbose_json reports the average token log-probability
+    if (typeof segment.avg_logprob === 'number') {
+      return Math.min(Math.max(Math.exp(segment.avg_logprob), 0), 1);
+    }
+    return null;
+  }
+
+  /**
+   * Check if speaker diarization is configured
+   * @returns {boolean}
+   */
+  isDiarizationAvailable() {
+    return !!process.env.DIARIZATION_CLI_PATH;
+  }
+
+  /**
+   * Run the diarization command on a WAV file
+   * @param {string} wavPath - 16kHz mono WAV
+   * @returns {Promise<Array>} Speaker turns [{ start, end, speaker }]
+   */
+  async diarize(wavPath) {
+    const { stdout } = await execPromise(`"${process.env.DIARIZATION_CLI_PATH}" "${wavPath}"`, {
+      maxBuffer: 1024 * 1024 * 50, // 50MB buffer
+      timeout: parseInt(process.env.DIARIZATION_TIMEOUT_MS) || 60 * 60 * 1000
+    });
+
+    const turns = JSON.parse(stdout);
+    if (!Array.isArray(turns)) {
+      throw new Error('Diarization output must be a JSON array of turns');
+    }
+
+    return turns
+      .map(turn => ({ start: Number(turn.start), end: Number(turn.end), speaker: String(turn.speaker) }))
+      .filter(turn => Number.isFinite(turn.start) && Number.isFinite(turn.end) && turn.end > turn.start);
+  }
+
+  /**
+   * Label each segment with the speaker whose turns overlap it the most.
+   * Raw diarization labels (SPEAKER_00...) become "Speaker 1", "Speaker 2"... in order of first appearance.
+   * @param {Array} segments - Normalized segments
+   * @param {Array} turns - Speaker turns [{ start, end, speaker }]
+   * @returns {Array} Segments with speaker set where an overlap exists
+   */
+  assignSpeakers(segments, turns) {
+    if (!Array.isArray(turns) || turns.length === 0) {
+      return segments;
+    }
+
+    const labels = new Map();
+    const labelFor = (speaker) => {
+      if (!labels.has(speaker)) {
+        labels.set(speaker, `Speaker ${labels.size + 1}`);
+      }
+      return labels.get(speaker);
+    };
+
+    return segments.map(segment => {
+      if (segment.start === null || segment.end === null) {
+        return segment;
+      }
+
+      const overlapBySpeaker = new Map();
+      for (const turn of turns) {
+        const overlap = Math.min(segment.end, turn.end) - Math.max(segment.start, turn.start);
+        if (overlap > 0) {
+          overlapBySpeaker.set(turn.speaker, (overlapBySpeaker.get(turn.speaker) || 0) + overlap);
+        }
+      }
+
+      let bestSpeaker = null;
+      let bestOverlap = 0;
+      for (const [speaker, overlap] of overlapBySpeaker) {
+        if (overlap > bestOverlap) {
+          bestSpeaker = speaker;
+          bestOverlap = overlap;
+        }
+      }
+
+      return bestSpeaker === null ? segment : { ...segment, speaker: labelFor(bestSpeaker) };
+    });
+  }
+
+  /**
+   * Local whisper.cpp or faster-whisper command line provider
+   * WHISPER_CLI_FLAVOR selects the output format: 'whisper.cpp' (default) or 'faster-whisper'
+   * @returns {Object} Provider
+   */
+  createWhisperCliProvider() {
+    return {
+      isConfigured: () => !!process.env.WHISPER_CLI_PATH,
+
+      transcribe: async (audioPath, options = {}) => {
+        const cliPath = process.env.WHISPER_CLI_PATH;
+        const flavor = process.env.WHISPER_CLI_FLAVOR || 'whisper.cpp';
+        const model = process.env.WHISPER_MODEL || (flavor === 'whisper.cpp' ? '' : 'small');
+        const outputBase = audioPath.replace(/\.wav$/, '');
+        // Interpolated into a shell command, so only accept plain language codes
+        const language = /^[a-z]{2,3}$/.test(options.language || '') ? options.language : 'auto';
+
+        let command;
+        let outputPath;
+
+        if (flavor === 'faster-whisper') {
+          // whisper-ctranslate2 / openai-whisper compatible CLI
+          const languageFlag = language === 'auto' ? '' : ` --language ${language}`;
+          command = `"${cliPath}" "${audioPath}" --model ${model} --output_format json --output_dir "${path.dirname(audioPath)}"${languageFlag}`;
+          outputPath = `${outputBase}.json`;
+        } else {
+          const modelFlag = model ? ` -m "${model}"` : '';
+          command = `"${cliPath}"${modelFlag} -f "${audioPath}" -l ${language} -oj -of "${outputBase}"`;
+          outputPath = `${outputBase}.json`;
+        }
+
+        try {
+          await execPromise(command, {
+            maxBuffer: 1024 * 1024 * 50, // 50MB buffer
+            timeout: parseInt(process.env.WHISPER_TIMEOUT_MS) || 60 * 60 * 1000
+          });
+
+          const output = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+
+          if (Array.isArray(output.transcription)) {
+            // whisper.cpp: offsets are in milliseconds
+            return output.transcription.map(item => ({
+              start: item.offsets.from / 1000,
+              end: item.offsets.to / 1000,
+              text: item.text
+            }));
+          }
+
+          return output.segments || [];
+        } finally {
+          await fs.unlink(outputPath).catch(() => {});
+        }
+      }
+    };
+  }
+
+  /**
+   * Any OpenAI-compatible /audio/transcriptions endpoint
+   * (OpenAI, a local faster-whisper-server, LocalAI, etc.)
+   * @returns {Object} Provider
+   */
+  createOpenAiCompatibleProvider() {
+    return {
+      isConfigured: () => !!process.env.STT_API_URL,
+
+      transcribe: async (audioPath, options = {}) => {
+        const baseUrl = process.env.STT_API_URL.replace(/\/$/, '');
+
+        const form = new FormData();
+        form.append('file', await openAsBlob(audioPath), path.basename(audioPath));
+        form.append('model', process.env.STT_MODEL || 'whisper-1');
+        form.append('response_format', 'verbose_json');
+        form.append('timestamp_granularities[]', 'segment');
+        if (options.language) {
+          form.append('language', options.language);
+        }
+
+        const headers = {};
+        if (process.env.STT_API_KEY) {
+          headers.Authorization = `Bearer ${process.env.STT_API_KEY}`;
+        }
+
+        const response = await axios.post(`${baseUrl}/audio/transcriptions`, form, {
+          headers,
+          timeout: parseInt(process.env.STT_TIMEOUT_MS) || 30 * 60 * 1000,
+          maxBodyLength: Infinity
+        });
+
+        const data = response.data || {};
+        if (Array.isArray(data.segments) && data.segments.length > 0) {
+          return data.segments;
+        }
+
+        // Providers without segment support: keep the text, without timing
+        return data.text ? [{ start: null, end: null, text: data.text }] : [];
+      }
+    };
+  }
+}
+
+module.exports = new SpeechToTextService();
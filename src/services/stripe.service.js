@@ -48,8 +48,9 @@ class StripeService {
 
   /**
    * Create a checkout session for subscription
+   * @param {Object} options - { seats } number of workspace seats on per-seat tiers (enterprise)
    */
-  async createCheckoutSession(userId, priceId, customerEmail) {
+  async createCheckoutSession(userId, priceId, customerEmail, options = {}) {
     try {
       // Get or create Stripe customer
       const customer = await this.getOrCreateCustomer(userId, customerEmail);
@@ -58,14 +59,19 @@ class StripeService {
       const user = await UserModel.findById(userId);
       const referredByCode = user?.referred_by_code || null;
 
+      // Per-seat tiers buy one unit per workspace seat; customers can still adjust it on the checkout page
+      const tier = stripeConfig.getTierByPriceId(priceId);
+      const lineItem = { price: priceId, quantity: 1 };
+      if (tier?.perSeat) {
+        lineItem.quantity = Math.min(Math.max(parseInt(options.seats, 10) || 1, 1), tier.maxSeats);
+        lineItem.adjustable_quantity = { enabled: true, minimum: 1, maximum: tier.maxSeats };
+      }
+
       const session = await stripe.checkout.sessions.create({
         mode: 'subscription',
         payment_method_types: ['card'],
         customer: customer.id,
-        line_items: [{
-          price: priceId,
-          quantity: 1
-        }],
+        line_items: [lineItem],
         success_url: `${stripeConfig.successUrl}?session_id={CHECKOUT_SESSION_ID}`,
         cancel_url: stripeConfig.cancelUrl,
         metadata: {
@@ -86,6 +92,7 @@ class StripeService {
         sessionId: session.id,
         userId,
         customerId: customer.id,
+        seats: lineItem.quantity,
         referredByCode: referredByCode || 'none'
       });
 
@@ -526,6 +533,7 @@ class StripeService {
     // Get plan name from tier
     const planName = tier.charAt(0).toUpperCase() + tier.slice(1); // Capitalize tier name
     const priceId = subscription.items.data[0].price.id;
+    const seatQuantity = subscription.items.data[0].quantity || 1;
 
     if (subscriptionRecord) {
       // Update existing record
@@ -534,6 +542,7 @@ class StripeService {
         stripe_customer_id: subscription.customer,
         plan_name: planName,
         price_id: priceId,
+        seat_quantity: seatQuantity,
         status: subscription.status,
         current_period_start: startDate,
         current_period_end: endDate,
@@ -550,6 +559,7 @@ class StripeService {
         stripe_subscription_id: subscription.id,
         plan_name: planName,
         price_id: priceId,
+        seat_quantity: seatQuantity,
         status: subscription.status,
         current_period_start: startDate,
         current_period_end: endDate,
@@ -870,7 +880,8 @@ class StripeService {
       current_period_start: updatedPeriod.startDate,
       current_period_end: updatedPeriod.endDate,
       cancel_at_period_end: subscription.cancel_at_period_end,
-      price_id: newPriceId
+      price_id: newPriceId,
+      seat_quantity: subscription.items.data[0].quantity || 1
     });
 
     // Update user record
@@ -290,6 +290,28 @@ class SubscriptionPlansService {
     }
   }
 
+  /**
+   * Get how many user-defined content types a tier may have (subscription_plan_features)
+   * @param {string} tier - Plan key (free, basic, premium, creator, enterprise)
+   * @returns {Promise<number>} Limit, -1 for unlimited, 0 when the plan has no features row
+   */
+  async getCustomContentTypeLimit(tier) {
+    try {
+      const result = await database.query(`
+        SELECT spf.custom_content_types_limit
+        FROM subscription_plans sp
+        JOIN subscription_plan_features spf ON spf.subscription_plan_id = sp.id
+        WHERE sp.plan_key = $1 AND sp.is_active = true
+        LIMIT 1
+      `, [tier || 'free']);
+
+      return result.rows.length > 0 ? result.rows[0].custom_content_types_limit : 0;
+    } catch (error) {
+      logger.error('Error getting custom content type limit:', error);
+      return 0;
+    }
+  }
+
   /**
    * Get plan by Stripe price ID (alias for getPlanByPriceId for compatibility)
    * @param {string} stripePriceId - Stripe price ID
@@ -1,6 +1,7 @@
 const { logger } = require('../utils');
-const { user, userSubscription, subscriptionUsage } = require('../models');
+const { user, userSubscription, subscriptionUsage, workspaceMember } = require('../models');
 const database = require('./database.service');
+const stripeConfig = require('../config/stripe.config');
 
 class SubscriptionService {
   // ===========================================
@@ -918,6 +919,53 @@ class SubscriptionService {
     }
   }
 
+  // ===========================================
+  // WORKSPACE BILLING METHODS
+  // ===========================================
+
+  /**
+   * User whose subscription pays for work in a workspace: the workspace owner. Usage of every
+   * member there is counted against the owner's plan, so a workspace has one shared allowance.
+   * @param {number} workspaceId - Workspace ID
+   * @param {number} userId - PostgreSQL ID of the member doing the work
+   * @returns {Promise<Object|null>} { id, subscription_tier } of the owner, or null when the user
+   *   is not an owner or editor of the workspace
+   */
+  async getWorkspaceBillingUser(workspaceId, userId) {
+    try {
+      const membership = await workspaceMember.findMembership(workspaceId, userId);
+      if (!membership || membership.role === 'viewer') {
+        return null;
+      }
+
+      const owner = await user.findById(membership.owner_users_id);
+      if (!owner) {
+        return null;
+      }
+
+      return { id: owner.id, subscription_tier: owner.subscription_tier || 'free' };
+    } catch (error) {
+      logger.error(`Error resolving billing user of workspace ${workspaceId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Seats a workspace owner has across all their workspaces: the subscription quantity on
+   * per-seat tiers (enterprise), otherwise one - the owner alone
+   * @param {number} userId - PostgreSQL user ID of the workspace owner
+   * @returns {Promise<number>}
+   */
+  async getSeatLimit(userId) {
+    const owner = await user.findById(userId);
+    const tierConfig = stripeConfig.getTierConfig(owner?.subscription_tier);
+    if (!tierConfig?.perSeat) {
+      return 1;
+    }
+
+    const activeSubscription = await userSubscription.getActiveByUserId(userId);
+    return Math.max(1, parseInt(activeSubscription?.seat_quantity, 10) || 1);
+  }
 }
 
 module.exports = new SubscriptionService();
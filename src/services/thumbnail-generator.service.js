@@ -10,6 +10,8 @@
 const { GoogleGenAI } = require('@google/genai');
 const database = require('./database.service');
 const cloudinaryService = require('./cloudinary.service');
+const webhookService = require('./webhook.service');
+const { video: videoModel } = require('../models');
 const { logger } = require('../utils');
 
 // Initialize Gemini with new SDK
@@ -845,6 +847,14 @@ class ThumbnailGeneratorService {
             if (finalStatus === 'completed' && results.length > 0) {
                 await this.trackThumbnailUsage(userId, aspectRatio, results.length, videoId);
             }
+
+            await webhookService.dispatch(userId, `thumbnail.${finalStatus}`, videoId, {
+                jobId,
+                video: { id: videoId },
+                aspectRatio,
+                thumbnailIds: results.map(r => r.id),
+                errors
+            });
         }
 
         return { thumbnails: results, errors };
@@ -859,7 +869,7 @@ class ThumbnailGeneratorService {
     }
 
     /**
-     * Edit/refine a specific thumbnail
+     * Edit/refine a specific thumbnail of a video the user can edit
      */
     async refineThumbnail(params) {
         const { thumbnailId, userId, instruction } = params;
@@ -874,12 +884,14 @@ class ThumbnailGeneratorService {
 
         // Get the original thumbnail
         const thumbResult = await database.query(
-            `SELECT * FROM video_thumbnails WHERE id = $1 AND users_id = $2`,
+            `SELECT t.* FROM video_thumbnails t
+             JOIN videos v ON v.id = t.video_id
+             WHERE t.id = $1 AND ${videoModel.accessCondition('edit', 2, 'v.')}`,
             [thumbId, userId]
         );
 
         if (thumbResult.rows.length === 0) {
-            throw new Error(`Thumbnail ${thumbId} not found or does not belong to user`);
+            throw new Error(`Thumbnail ${thumbId} not found or not editable by user`);
         }
 
         const original = thumbResult.rows[0];
@@ -933,7 +945,7 @@ class ThumbnailGeneratorService {
                 version = $8,
                 refinement_instruction = $9,
                 updated_at = CURRENT_TIMESTAMP
-            WHERE id = $10 AND users_id = $11
+            WHERE id = $10
             RETURNING *`,
             [
                 uploadResult.publicId,
@@ -945,8 +957,7 @@ class ThumbnailGeneratorService {
                 uploadResult.format,
                 newVersion,
                 instruction,
-                thumbId,
-                userId
+                thumbId
             ]
         );
 
@@ -965,12 +976,14 @@ class ThumbnailGeneratorService {
     }
 
     /**
-     * Select a thumbnail as the active one for a video
+     * Select a thumbnail as the active one for a video the user can edit
      */
     async selectThumbnail(thumbnailId, userId) {
         // Get the thumbnail to find the video
         const thumbResult = await database.query(
-            `SELECT video_id FROM video_thumbnails WHERE id = $1 AND users_id = $2`,
+            `SELECT t.video_id FROM video_thumbnails t
+             JOIN videos v ON v.id = t.video_id
+             WHERE t.id = $1 AND ${videoModel.accessCondition('edit', 2, 'v.')}`,
             [thumbnailId, userId]
         );
 
@@ -998,14 +1011,15 @@ class ThumbnailGeneratorService {
     }
 
     /**
-     * Get all thumbnails for a video
+     * Get all thumbnails for a video the user can view, including ones workspace members generated
      */
     async getVideoThumbnails(videoId, userId) {
         const result = await database.query(
             `SELECT t.*, s.name as style_display_name
              FROM video_thumbnails t
+             JOIN videos v ON v.id = t.video_id
              LEFT JOIN thumbnail_styles s ON t.style_name = s.key
-             WHERE t.video_id = $1 AND t.users_id = $2
+             WHERE t.video_id = $1 AND ${videoModel.accessCondition('view', 2, 'v.')}
              ORDER BY t.created_at DESC`,
             [videoId, userId]
         );
@@ -1013,12 +1027,14 @@ class ThumbnailGeneratorService {
     }
 
     /**
-     * Delete a specific thumbnail
+     * Delete a specific thumbnail of a video the user can edit
      */
     async deleteThumbnail(thumbnailId, userId) {
         const thumbResult = await database.query(
-            `SELECT cloudinary_public_id, is_selected, video_id
-             FROM video_thumbnails WHERE id = $1 AND users_id = $2`,
+            `SELECT t.cloudinary_public_id, t.is_selected, t.video_id
+             FROM video_thumbnails t
+             JOIN videos v ON v.id = t.video_id
+             WHERE t.id = $1 AND ${videoModel.accessCondition('edit', 2, 'v.')}`,
             [thumbnailId, userId]
         );
 
@@ -1153,13 +1169,14 @@ class ThumbnailGeneratorService {
     // ==========================================
 
     /**
-     * Get user's character profiles
+     * Get user's character profiles, plus those shared into their workspaces
      */
     async getCharacterProfiles(userId) {
         const result = await database.query(
             `SELECT * FROM user_character_profiles
-             WHERE users_id = $1 AND is_active = TRUE
-             ORDER BY is_default DESC, created_at DESC`,
+             WHERE (users_id = $1 OR workspace_id IN (SELECT workspace_id FROM workspace_members WHERE users_id = $1))
+               AND is_active = TRUE
+             ORDER BY (users_id = $1 AND is_default) DESC, (users_id = $1) DESC, created_at DESC`,
             [userId]
         );
         return result.rows;
@@ -1179,17 +1196,46 @@ class ThumbnailGeneratorService {
     }
 
     /**
-     * Get a specific character profile
+     * Get a specific character profile (own or shared into one of the user's workspaces)
      */
     async getCharacterProfile(profileId, userId) {
         const result = await database.query(
             `SELECT * FROM user_character_profiles
-             WHERE id = $1 AND users_id = $2`,
+             WHERE id = $1
+               AND (users_id = $2 OR workspace_id IN (SELECT workspace_id FROM workspace_members WHERE users_id = $2))`,
             [profileId, userId]
         );
         return result.rows[0] || null;
     }
 
+    /**
+     * Active character profiles shared into a workspace
+     */
+    async getWorkspaceCharacterProfiles(workspaceId) {
+        const result = await database.query(
+            `SELECT * FROM user_character_profiles
+             WHERE workspace_id = $1 AND is_active = TRUE
+             ORDER BY profile_name ASC`,
+            [workspaceId]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Share a character profile into a workspace, or stop sharing it with null
+     * (callers check who may share it)
+     */
+    async setCharacterProfileWorkspace(profileId, workspaceId) {
+        const result = await database.query(
+            `UPDATE user_character_profiles
+             SET workspace_id = $2, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING *`,
+            [profileId, workspaceId]
+        );
+        return result.rows[0] || null;
+    }
+
     /**
      * Create a new character profile
      */
@@ -1,7 +1,9 @@
 const axios = require('axios');
+const path = require('path');
 const { ApifyClient } = require('apify-client');
-const { aiPrompts, video: videoModel } = require('../models');
+const { aiPrompts, video: videoModel, transcriptSegment } = require('../models');
 const { logger } = require('../utils');
+const speechToText = require('./speech-to-text.service');
 
 class TranscriptService {
   constructor() {
@@ -16,32 +18,36 @@ class TranscriptService {
       logger.info('Transcript service initialized with internal Apify integration');
     } else if (this.legacyApiKey) {
       logger.info('Transcript service initialized with legacy external API');
+    } else if (speechToText.isAvailable()) {
+      logger.info('Transcript service initialized with speech-to-text only');
     } else {
-      logger.warn('No transcript API configured (APIFY_TOKEN or TRANSCRIPT_API_KEY). Transcript extraction will be disabled.');
+      logger.warn('No transcript API configured (APIFY_TOKEN, TRANSCRIPT_API_KEY or a speech-to-text provider). Transcript extraction will be disabled.');
     }
   }
 
   /**
    * Check if video processing has been cancelled
-   * @param {string} videoId - YouTube video ID
+   * @param {string} videoRecordId - PostgreSQL video record ID (no record, nothing to cancel)
    * @returns {Promise<boolean>} True if cancelled, false otherwise
    */
-  async isVideoCancelled(videoId) {
+  async isVideoCancelled(videoRecordId) {
+    if (!videoRecordId) {
+      return false;
+    }
+
     try {
-      // Primary check: processing status service (where cancellation is tracked)
+      // Primary check: durable cancellation flag (set by whichever node handled the cancel)
       const processingStatusService = require('./processing-status.service');
-      const videoStatus = processingStatusService.processingVideos.get(videoId);
-
-      if (videoStatus && videoStatus.cancelled) {
+      if (await processingStatusService.isCancelled(videoRecordId)) {
         return true;
       }
 
       // Secondary check: if video was deleted from database, consider it cancelled
-      const video = await videoModel.findByVideoId(videoId);
+      const video = await videoModel.findById(videoRecordId);
 
       // If video doesn't exist in database but we're still processing, it might have been deleted (cancelled)
       if (!video) {
-        logger.info(`Video ${videoId} not found in database - may have been cancelled and deleted`);
+        logger.info(`Video record ${videoRecordId} not found in database - may have been cancelled and deleted`);
         return true;
       }
 
@@ -53,6 +59,7 @@ class TranscriptService {
     }
   }
 
+
   /**
    * Format captions array into timestamped transcript text
    * @param {Array} captions - Array of caption objects with start, end, text
@@ -161,134 +168,388 @@ class TranscriptService {
    * @returns {Promise<string|null>} Video transcript or null if failed
    */
   async extractTranscript(videoId, videoUrl) {
+    const result = await this.extractTranscriptDetailed(videoId, videoUrl);
+    return result ? result.transcript : null;
+  }
+
+  /**
+   * Extract transcript text plus structured segments for a YouTube video
+   * @param {string} videoId - YouTube video ID
+   * @param {string} videoUrl - Full YouTube video URL
+   * @param {string} [videoRecordId] - Video record being processed, checked for cancellation
+   * @returns {Promise<Object|null>} { transcript, segments, source } or null if failed
+   */
+  async extractTranscriptDetailed(videoId, videoUrl, videoRecordId = null) {
     try {
       // Check if video processing has been cancelled before starting
-      if (await this.isVideoCancelled(videoId)) {
+      if (await this.isVideoCancelled(videoRecordId)) {
         logger.info(`Video ${videoId} has been cancelled, skipping transcript extraction`);
         return null;
       }
 
-      // Check if any transcript API is configured
-      if (!this.useInternalApi && !this.legacyApiKey) {
-        logger.warn('No transcript API configured, skipping transcript extraction');
+      // Check if any transcript source is configured
+      if (!this.useInternalApi && !this.legacyApiKey && !speechToText.isAvailable()) {
+        logger.warn('No transcript API or speech-to-text provider configured, skipping transcript extraction');
         return null;
       }
 
-      logger.info(`Extracting transcript for video: ${videoId} (using ${this.useInternalApi ? 'Apify' : 'legacy API'})`);
+      if (this.useInternalApi || this.legacyApiKey) {
+        logger.info(`Extracting transcript for video: ${videoId} (using ${this.useInternalApi ? 'Apify' : 'legacy API'})`);
 
-      // Get raw transcript data from the appropriate source
-      let responseData;
-      try {
-        if (this.useInternalApi) {
-          responseData = await this.extractTranscriptViaApify(videoId, videoUrl);
-        } else {
-          responseData = await this.extractTranscriptViaLegacyApi(videoId, videoUrl);
+        // Get raw transcript data from the appropriate source
+        let responseData = null;
+        try {
+          if (this.useInternalApi) {
+            responseData = await this.extractTranscriptViaApify(videoId, videoUrl);
+          } else {
+            responseData = await this.extractTranscriptViaLegacyApi(videoId, videoUrl);
+          }
+        } catch (apiError) {
+          logger.error(`Transcript API error for video ${videoId}:`, apiError.message);
         }
-      } catch (apiError) {
-        logger.error(`Transcript API error for video ${videoId}:`, apiError.message);
-        return null;
-      }
 
-      // Check again for cancellation after API call (in case cancelled during processing)
-      if (await this.isVideoCancelled(videoId)) {
-        logger.info(`Video ${videoId} was cancelled during transcript extraction, aborting`);
-        return null;
-      }
+        // Check again for cancellation after API call (in case cancelled during processing)
+        if (await this.isVideoCancelled(videoRecordId)) {
+          logger.info(`Video ${videoId} was cancelled during transcript extraction, aborting`);
+          return null;
+        }
 
-      if (responseData) {
-        // Handle different response formats
-        let transcript = null;
-
-        if (typeof responseData === 'string') {
-          transcript = responseData;
-        } else if (typeof responseData === 'object') {
-          // Check for captions array first (Apify format)
-          if (responseData.captions && Array.isArray(responseData.captions)) {
-            transcript = this.formatCaptions(responseData.captions);
-          // Check if captions are nested in transcript object
-          } else if (responseData.transcript && typeof responseData.transcript === 'object' && responseData.transcript.captions && Array.isArray(responseData.transcript.captions)) {
-            transcript = this.formatCaptions(responseData.transcript.captions);
-          // Try multiple possible object structures
-          } else if (responseData.transcript) {
-            transcript = responseData.transcript;
-          } else if (responseData.text) {
-            transcript = responseData.text;
-          } else if (responseData.content) {
-            transcript = responseData.content;
-          } else if (responseData.data) {
-            transcript = responseData.data;
-          } else if (responseData.result) {
-            transcript = responseData.result;
-          } else if (Array.isArray(responseData) && responseData.length > 0) {
-            // Handle array of transcript segments
-            transcript = responseData.map(segment => {
-              if (typeof segment === 'string') return segment;
-              if (segment.text) return segment.text;
-              if (segment.content) return segment.content;
-              return '';
-            }).join(' ');
-          } else {
-            logger.warn(`Unexpected object structure for video ${videoId}:`, Object.keys(responseData));
-            logger.debug('Object structure details logged in debug mode');
+        const transcript = this.parseTranscriptResponse(videoId, responseData);
+        if (transcript) {
+          return {
+            transcript,
+            segments: this.parseTranscriptText(transcript),
+            source: 'captions'
+          };
+        }
+      }
 
-            // Try to extract any string values from the object
-            const stringValues = Object.values(responseData)
-              .filter(val => typeof val === 'string' && val.length > 10);
+      // Fall back to speech-to-text when the video has no captions
+      if (speechToText.isAvailable()) {
+        logger.info(`No captions for video ${videoId}, falling back to speech-to-text`);
+        const result = await this.extractTranscriptViaSpeechToText(videoId, videoUrl);
 
-            if (stringValues.length > 0) {
-              transcript = stringValues.join(' ');
-            } else {
-              return null;
-            }
-          }
-        } else {
-          logger.warn(`Unexpected response format for video ${videoId}:`, typeof responseData);
+        if (await this.isVideoCancelled(videoRecordId)) {
+          logger.info(`Video ${videoId} was cancelled during speech-to-text, aborting`);
           return null;
         }
 
-        // Final conversion and validation
-        if (transcript) {
-          // If transcript is still an object, try to stringify it
-          if (typeof transcript === 'object') {
-            if (Array.isArray(transcript)) {
-              transcript = transcript.join(' ');
-            } else {
-              transcript = JSON.stringify(transcript);
-            }
-          }
+        return result;
+      }
 
-          // Ensure it's a string and has content
-          if (typeof transcript === 'string' && transcript.trim().length > 0) {
-            const trimmedTranscript = transcript.trim();
+      return null;
+    } catch (error) {
+      logger.error(`Error extracting transcript for video ${videoId}:`, error.message);
+      return null;
+    }
+  }
 
-            // PostgreSQL can handle large text fields, but still apply reasonable limits
-            const POSTGRES_MAX_FIELD_SIZE = 500000; // 500KB reasonable limit for PostgreSQL
-            let finalTranscript = trimmedTranscript;
+  /**
+   * Convert a raw transcript API response into transcript text
+   * @param {string} videoId - Video ID (for logging)
+   * @param {Object|string|null} responseData - Raw response from a transcript source
+   * @returns {string|null} Transcript text or null if the response has none
+   */
+  parseTranscriptResponse(videoId, responseData) {
+    if (responseData) {
+      // Handle different response formats
+      let transcript = null;
+
+      if (typeof responseData === 'string') {
+        transcript = responseData;
+      } else if (typeof responseData === 'object') {
+        // Check for captions array first (Apify format)
+        if (responseData.captions && Array.isArray(responseData.captions)) {
+          transcript = this.formatCaptions(responseData.captions);
+        // Check if captions are nested in transcript object
+        } else if (responseData.transcript && typeof responseData.transcript === 'object' && responseData.transcript.captions && Array.isArray(responseData.transcript.captions)) {
+          transcript = this.formatCaptions(responseData.transcript.captions);
+        // Try multiple possible object structures
+        } else if (responseData.transcript) {
+          transcript = responseData.transcript;
+        } else if (responseData.text) {
+          transcript = responseData.text;
+        } else if (responseData.content) {
+          transcript = responseData.content;
+        } else if (responseData.data) {
+          transcript = responseData.data;
+        } else if (responseData.result) {
+          transcript = responseData.result;
+        } else if (Array.isArray(responseData) && responseData.length > 0) {
+          // Handle array of transcript segments
+          transcript = responseData.map(segment => {
+            if (typeof segment === 'string') return segment;
+            if (segment.text) return segment.text;
+            if (segment.content) return segment.content;
+            return '';
+          }).join(' ');
+        } else {
+          logger.warn(`Unexpected object structure for video ${videoId}:`, Object.keys(responseData));
+          logger.debug('Object structure details logged in debug mode');
 
-            if (trimmedTranscript.length > POSTGRES_MAX_FIELD_SIZE) {
-              finalTranscript = trimmedTranscript.substring(0, POSTGRES_MAX_FIELD_SIZE - 100) + '\n\n[Transcript truncated due to size limit]';
-              logger.warn(`Transcript truncated for ${videoId}: ${trimmedTranscript.length} -> ${finalTranscript.length} characters`);
-            }
+          // Try to extract any string values from the object
+          const stringValues = Object.values(responseData)
+            .filter(val => typeof val === 'string' && val.length > 10);
 
-            logger.info(`Transcript extracted successfully for video ${videoId}: ${finalTranscript.length} characters`);
-            return finalTranscript;
+          if (stringValues.length > 0) {
+            transcript = stringValues.join(' ');
           } else {
             return null;
           }
+        }
+      } else {
+        logger.warn(`Unexpected response format for video ${videoId}:`, typeof responseData);
+        return null;
+      }
+
+      // Final conversion and validation
+      if (transcript) {
+        // If transcript is still an object, try to stringify it
+        if (typeof transcript === 'object') {
+          if (Array.isArray(transcript)) {
+            transcript = transcript.join(' ');
+          } else {
+            transcript = JSON.stringify(transcript);
+          }
+        }
+
+        // Ensure it's a string and has content
+        if (typeof transcript === 'string' && transcript.trim().length > 0) {
+          const trimmedTranscript = transcript.trim();
+
+          // PostgreSQL can handle large text fields, but still apply reasonable limits
+          const POSTGRES_MAX_FIELD_SIZE = 500000; // 500KB reasonable limit for PostgreSQL
+          let finalTranscript = trimmedTranscript;
+
+          if (trimmedTranscript.length > POSTGRES_MAX_FIELD_SIZE) {
+            finalTranscript = trimmedTranscript.substring(0, POSTGRES_MAX_FIELD_SIZE - 100) + '\n\n[Transcript truncated due to size limit]';
+            logger.warn(`Transcript truncated for ${videoId}: ${trimmedTranscript.length} -> ${finalTranscript.length} characters`);
+          }
+
+          logger.info(`Transcript extracted successfully for video ${videoId}: ${finalTranscript.length} characters`);
+          return finalTranscript;
         } else {
           return null;
         }
       } else {
-        logger.warn(`No transcript data returned for video ${videoId}`);
         return null;
       }
+    } else {
+      logger.warn(`No transcript data returned for video ${videoId}`);
+      return null;
+    }
+  }
 
+  /**
+   * Transcribe a video's audio with the configured speech-to-text provider
+   * @param {string} videoId - YouTube video ID
+   * @param {string} videoUrl - Full video URL
+   * @returns {Promise<Object|null>} { transcript, segments, source } or null if failed
+   */
+  async extractTranscriptViaSpeechToText(videoId, videoUrl) {
+    try {
+      const segments = await speechToText.transcribeUrl(videoUrl);
+      const transcript = this.parseTranscriptResponse(videoId, { captions: segments });
+      return transcript ? { transcript, segments, source: 'speech_to_text' } : null;
     } catch (error) {
-      logger.error(`Error extracting transcript for video ${videoId}:`, error.message);
+      logger.error(`Speech-to-text failed for video ${videoId}:`, error.message);
       return null;
     }
   }
 
+  /**
+   * Transcribe a local media file (uploads and other non-YouTube sources)
+   * @param {string} filePath - Path to an audio or video file
+   * @param {Object} options - { language, diarize }
+   * @returns {Promise<Object|null>} { transcript, segments, source } - transcript in the formatCaptions format
+   */
+  async transcribeMediaFile(filePath, options = {}) {
+    const segments = await speechToText.transcribeFile(filePath, options);
+    const transcript = this.parseTranscriptResponse(path.basename(filePath), { captions: segments });
+    return transcript ? { transcript, segments, source: 'upload' } : null;
+  }
+
+  /**
+   * Extract transcript text plus segments from an uploaded media file
+   * @param {string} videoId - Video ID (for logging)
+   * @param {string} mediaPath - Absolute path to the media file
+   * @param {string} [videoRecordId] - Video record being processed, checked for cancellation
+   * @returns {Promise<Object|null>} { transcript, segments, source } or null if failed
+   */
+  async extractTranscriptFromFile(videoId, mediaPath, videoRecordId = null) {
+    try {
+      if (await this.isVideoCancelled(videoRecordId)) {
+        logger.info(`Video ${videoId} has been cancelled, skipping transcription`);
+        return null;
+      }
+
+      if (!speechToText.isAvailable()) {
+        logger.warn('No speech-to-text provider configured, cannot transcribe uploaded media');
+        return null;
+      }
+
+      const result = await this.transcribeMediaFile(mediaPath);
+
+      if (await this.isVideoCancelled(videoRecordId)) {
+        logger.info(`Video ${videoId} was cancelled during transcription, aborting`);
+        return null;
+      }
+
+      return result;
+    } catch (error) {
+      logger.error(`Error transcribing media for video ${videoId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Parse flat transcript text back into segments.
+   * Understands formatCaptions lines ("12.0 - 15.5 text") and "[mm:ss] text" / "[h:mm:ss] text" lines;
+   * anything else becomes an untimed segment.
+   * @param {string} transcript - Flat transcript text
+   * @returns {Array} Segments [{ start, end, text }]
+   */
+  parseTranscriptText(transcript) {
+    if (!transcript || typeof transcript !== 'string') {
+      return [];
+    }
+
+    const segments = [];
+
+    for (const rawLine of transcript.split('\n')) {
+      const line = rawLine.trim();
+      if (!line) {
+        continue;
+      }
+
+      const ranged = line.match(/^(\d+(?:\.\d+)?)\s+-\s+(\d+(?:\.\d+)?)\s+(.+)$/);
+      if (ranged) {
+        segments.push({ start: parseFloat(ranged[1]), end: parseFloat(ranged[2]), text: ranged[3] });
+        continue;
+      }
+
+      const stamped = line.match(/^\[(?:(\d+):)?(\d{1,2}):(\d{2})\]\s*(.+)$/);
+      if (stamped) {
+        const start = (parseInt(stamped[1] || '0') * 3600) + (parseInt(stamped[2]) * 60) + parseInt(stamped[3]);
+        segments.push({ start, end: null, text: stamped[4] });
+        continue;
+      }
+
+      segments.push({ start: null, end: null, text: line });
+    }
+
+    // "[mm:ss]" lines only carry a start - close each one at the next segment's start
+    segments.forEach((segment, index) => {
+      const next = segments[index + 1];
+      if (segment.start !== null && segment.end === null && next && next.start !== null) {
+        segment.end = Math.max(next.start, segment.start);
+      }
+    });
+
+    return segments;
+  }
+
+  /**
+   * Format seconds as a [mm:ss] / [h:mm:ss] marker
+   * @param {number} seconds - Seconds
+   * @returns {string} Timestamp marker
+   */
+  formatTimestamp(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+
+    if (hours > 0) {
+      return `[${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}]`;
+    }
+    return `[${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}]`;
+  }
+
+  /**
+   * Build speaker-labelled transcript text for prompts.
+   * Consecutive segments from the same speaker are merged into one "[mm:ss] Speaker: text" line.
+   * @param {Array} segments - Stored segments (start_seconds, speaker_label, text)
+   * @returns {string} Speaker-labelled transcript
+   */
+  buildSpeakerTranscript(segments) {
+    const lines = [];
+    let current = null;
+
+    for (const segment of segments || []) {
+      const speaker = segment.speaker_label || null;
+
+      if (current && current.speaker === speaker) {
+        current.text.push(segment.text);
+        continue;
+      }
+
+      current = { speaker, start: segment.start_seconds, text: [segment.text] };
+      lines.push(current);
+    }
+
+    return lines.map(line => {
+      const timestamp = line.start !== null && line.start !== undefined ? `${this.formatTimestamp(line.start)} ` : '';
+      const speaker = line.speaker ? `${line.speaker}: ` : '';
+      return `${timestamp}${speaker}${line.text.join(' ')}`;
+    }).join('\n');
+  }
+
+  /**
+   * Get the speaker-labelled transcript for a video, falling back to the flat transcript
+   * @param {number} videoRecordId - Video record ID
+   * @param {string} fallbackTranscript - Flat transcript used when no segments are stored
+   * @returns {Promise<string>} Transcript text
+   */
+  async getSpeakerTranscript(videoRecordId, fallbackTranscript = '') {
+    try {
+      const segments = await transcriptSegment.getByVideo(videoRecordId);
+      if (segments.length > 0) {
+        return this.buildSpeakerTranscript(segments);
+      }
+    } catch (error) {
+      logger.warn(`Could not load transcript segments for video ${videoRecordId}:`, error.message);
+    }
+    return fallbackTranscript;
+  }
+
+  /**
+   * Store structured segments for a video (failures are logged, never fatal)
+   * @param {number} videoRecordId - Video record ID
+   * @param {Array} segments - Segments [{ start, end, speaker, text, confidence }]
+   * @param {string} source - captions | speech_to_text | upload
+   * @returns {Promise<number>} Number of segments stored
+   */
+  async saveTranscriptSegments(videoRecordId, segments, source) {
+    try {
+      return await transcriptSegment.replaceForVideo(videoRecordId, segments, source);
+    } catch (error) {
+      logger.warn(`Failed to store transcript segments for video ${videoRecordId}:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Rebuild videos.transcript_text from stored segments after an edit
+   * @param {number} videoRecordId - Video record ID
+   * @returns {Promise<string>} The rebuilt flat transcript
+   */
+  async syncTranscriptFromSegments(videoRecordId) {
+    const segments = await transcriptSegment.getByVideo(videoRecordId);
+    const transcript = this.formatCaptions(segments.map(segment => ({
+      start: segment.start_seconds,
+      end: segment.end_seconds,
+      text: segment.text
+    })));
+
+    const result = await this.updateVideoTranscript(videoRecordId, transcript);
+    if (!result.success) {
+      throw new Error(`Failed to update transcript: ${result.error}`);
+    }
+
+    return transcript;
+  }
+
   /**
    * Update video transcript in PostgreSQL
    * @param {string} videoRecordId - Video record ID
@@ -329,25 +590,33 @@ class TranscriptService {
    * @param {string} videoRecordId - Video record ID
    * @param {string} userId - User ID
    * @param {Array} contentTypes - Content types to generate (optional)
+   * @param {Object} options - { mediaPath } transcribe a local media file instead of fetching by URL;
+   *   { signal } stop before writing anything once the queue worker's lease is lost
    * @returns {Promise<Object>} Processing results
    */
-  async processVideoTranscript(videoId, videoUrl, videoRecordId, userId = null, contentTypes = null) {
+  async processVideoTranscript(videoId, videoUrl, videoRecordId, userId = null, contentTypes = null, options = {}) {
     try {
       logger.info(`Processing transcript for video ${videoId} (record: ${videoRecordId})`);
 
       const processingStatusService = require('./processing-status.service');
 
       // Update transcript status to processing
-      processingStatusService.updateTranscriptStatus(videoId, 'pending');
+      await processingStatusService.updateTranscriptStatus(videoRecordId, 'pending');
 
       // Extract transcript
-      const transcript = await this.extractTranscript(videoId, videoUrl);
+      const extracted = options.mediaPath
+        ? await this.extractTranscriptFromFile(videoId, options.mediaPath, videoRecordId)
+        : await this.extractTranscriptDetailed(videoId, videoUrl, videoRecordId);
+      const transcript = extracted ? extracted.transcript : null;
+
+      // Another worker owns the job now; leave the record to it
+      options.signal?.throwIfAborted();
 
       if (!transcript) {
         logger.info(`No transcript available for video ${videoId}`);
 
         // Update transcript status to failed
-        processingStatusService.updateTranscriptStatus(videoId, 'failed', 'No transcript available');
+        await processingStatusService.updateTranscriptStatus(videoRecordId, 'failed', 'No transcript available');
 
         return {
           success: false,
@@ -364,7 +633,10 @@ class TranscriptService {
 
       // Update transcript status
       if (success) {
-        processingStatusService.updateTranscriptStatus(videoId, 'completed');
+        // Store structured segments before content generation so prompts can use SPEAKER_TRANSCRIPT
+        await this.saveTranscriptSegments(videoRecordId, extracted.segments, extracted.source);
+
+        await processingStatusService.updateTranscriptStatus(videoRecordId, 'completed');
 
         // Trigger cloud storage upload for transcript if user has auto-upload enabled
         if (userId) {
@@ -372,7 +644,7 @@ class TranscriptService {
             .catch(err => logger.warn(`Transcript cloud storage upload failed:`, err.message));
         }
       } else {
-        processingStatusService.updateTranscriptStatus(videoId, 'failed', 'Database update failed');
+        await processingStatusService.updateTranscriptStatus(videoRecordId, 'failed', 'Database update failed');
       }
 
       logger.info(`Transcript processing completed for video ${videoId}`, {
@@ -380,13 +652,10 @@ class TranscriptService {
         success: updateResults.success
       });
 
-      // Trigger content generation if transcript was successfully stored
+      // Queue content generation if transcript was successfully stored
       if (success) {
         try {
-          const contentGenerationService = require('./content-generation.service');
-
-          // Start content generation asynchronously - don't wait for completion
-          logger.info(`Starting content generation for video ${videoId}`);
+          const processingQueue = require('./processing-queue.service');
 
           // Use provided content types or get all available from database
           let typesToGenerate = contentTypes;
@@ -404,21 +673,16 @@ class TranscriptService {
             logger.info(`Using ${typesToGenerate.length} specified content types for generation: ${typesToGenerate.join(', ')}`);
           }
 
-          contentGenerationService.generateAllContentForVideo(videoRecordId, videoId, transcript, {
-            contentTypes: typesToGenerate,
-            userId: userId
-          }).then(result => {
-            logger.info(`Content generation completed for video ${videoId}`, {
-              successful: result.summary?.successful || 0,
-              failed: result.summary?.failed || 0,
-              contentTypes: typesToGenerate.length
-            });
-          }).catch(error => {
-            logger.warn(`Content generation failed for video ${videoId}:`, error.message);
+          // Runs on the queue worker, which reads the transcript back from the video record
+          await processingQueue.addToQueue(videoRecordId, 'generate_content', 1, {
+            videoId,
+            userId,
+            contentTypes: typesToGenerate
           });
+          logger.info(`Queued content generation for video ${videoId}`);
 
         } catch (contentError) {
-          logger.warn(`Error initiating content generation for video ${videoId}:`, contentError.message);
+          logger.error(`Error queueing content generation for video ${videoId}:`, contentError.message);
         }
       }
 
@@ -0,0 +1,450 @@
+/**
+ * Two-Factor Authentication Service
+ * TOTP enrollment and verification (RFC 6238: SHA-1, 6 digits, 30-second steps), single-use
+ * recovery codes and remembered devices.
+ *
+ * Sign-in with 2FA is two requests: the password step issues a short-lived pending token
+ * (createPendingToken), and the code step exchanges it for the normal auth cookie.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { userTwoFactor, userRecoveryCode, userTrustedDevice } = require('../models');
+const { logger } = require('../utils');
+
+const ISSUER = 'AmplifyContent';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Steps of clock drift accepted on either side of the current one
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+const TRUSTED_DEVICE_DAYS = 30;
+const PENDING_TOKEN_MINUTES = 10;
+
+const PENDING_COOKIE = 'mfa_pending';
+const TRUSTED_DEVICE_COOKIE = 'mfa_device';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function twoFactorError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Recovery codes are compared without dashes, spaces or case
+ */
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+class TwoFactorService {
+  // ─── TOTP ──────────────────────────────────────────────────────────
+
+  /**
+   * Current 30-second time step
+   * @param {number} now - Milliseconds since epoch
+   * @returns {number}
+   */
+  currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+  }
+
+  /**
+   * TOTP code of a secret for a time step
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Time step
+   * @returns {string} Zero-padded code
+   */
+  generateTotp(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+  }
+
+  /**
+   * The time step a code is valid for, within the drift window
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Submitted code
+   * @param {number} now - Milliseconds since epoch
+   * @returns {number|null} Matching step, or null
+   */
+  matchTotp(secret, code, now = Date.now()) {
+    const submitted = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(submitted)) {
+      return null;
+    }
+
+    const current = this.currentStep(now);
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+      const expected = this.generateTotp(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(submitted))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  // ─── ENROLLMENT ────────────────────────────────────────────────────
+
+  /**
+   * A user's 2FA state for the settings page
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} { enabled, enabledAt, recoveryCodesRemaining, trustedDevices }
+   */
+  async getStatus(userId) {
+    const record = await userTwoFactor.findByUserId(userId);
+    if (!record || !record.enabled_at) {
+      return { enabled: false, enabledAt: null, recoveryCodesRemaining: 0, trustedDevices: 0 };
+    }
+
+    const [recoveryCodesRemaining, trustedDevices] = await Promise.all([
+      userRecoveryCode.countRemaining(userId),
+      userTrustedDevice.countActive(userId)
+    ]);
+
+    return {
+      enabled: true,
+      enabledAt: record.enabled_at,
+      recoveryCodesRemaining,
+      trustedDevices
+    };
+  }
+
+  /**
+   * Whether sign-in requires a second step
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled(userId) {
+    const record = await userTwoFactor.findByUserId(userId);
+    return Boolean(record && record.enabled_at);
+  }
+
+  /**
+   * Start (or restart) enrollment with a new secret
+   * @param {Object} user - { id, email }
+   * @returns {Promise<Object>} { secret, otpauthUrl, qrCode } - qrCode is a PNG data URL
+   */
+  async startEnrollment(user) {
+    const existing = await userTwoFactor.findByUserId(user.id);
+    if (existing && existing.enabled_at) {
+      throw twoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    const encrypted = this.encryptSecret(secret);
+
+    if (existing) {
+      await userTwoFactor.update(existing.id, { ...encrypted, last_used_step: null });
+    } else {
+      await userTwoFactor.create({ users_id: user.id, ...encrypted });
+    }
+
+    const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+      `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+    const qrCode = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 });
+
+    return { secret, otpauthUrl, qrCode };
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {number} userId - User ID
+   * @param {string} code - TOTP code
+   * @returns {Promise<Array<string>>} Recovery codes, shown once
+   */
+  async confirmEnrollment(userId, code) {
+    const record = await userTwoFactor.findByUserId(userId, { withSecret: true });
+    if (!record) {
+      throw twoFactorError('Start two-factor setup first', 'TWO_FACTOR_NOT_STARTED');
+    }
+    if (record.enabled_at) {
+      throw twoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    const step = this.matchTotp(this.decryptSecret(record), code);
+    if (step === null || !await userTwoFactor.markStepUsed(record.id, step)) {
+      throw twoFactorError('That code is not valid. Check the time on your device and try again.', 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    await userTwoFactor.update(record.id, { enabled_at: new Date() });
+    const recoveryCodes = await this.generateRecoveryCodes(userId);
+
+    logger.info(`Two-factor authentication enabled for user ${userId}`);
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn 2FA off after confirming a code (TOTP or recovery code)
+   * @param {number} userId - User ID
+   * @param {string} code - Code
+   * @returns {Promise<void>}
+   */
+  async disable(userId, code) {
+    await this.verifyCode(userId, code);
+    await this.removeAll(userId);
+    logger.info(`Two-factor authentication disabled by user ${userId}`);
+  }
+
+  /**
+   * Replace the recovery codes after confirming a code
+   * @param {number} userId - User ID
+   * @param {string} code - Code
+   * @returns {Promise<Array<string>>} New recovery codes, shown once
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    await this.verifyCode(userId, code);
+    return await this.generateRecoveryCodes(userId);
+  }
+
+  /**
+   * Require the second step again on every remembered device
+   * @param {number} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async forgetDevices(userId) {
+    await userTrustedDevice.deleteByUserId(userId);
+  }
+
+  /**
+   * Users matching a search with their 2FA state, for the admin reset page
+   * @param {string} term - Email or name fragment
+   * @returns {Promise<Array>} { id, email, name, twoFactorEnabled, enabledAt, recoveryCodesRemaining, trustedDevices }
+   */
+  async searchUsers(term) {
+    const rows = await userTwoFactor.searchUsers(term);
+    return rows.map(row => ({
+      id: row.id,
+      email: row.email,
+      name: [row.first_name, row.last_name].filter(Boolean).join(' '),
+      twoFactorEnabled: Boolean(row.two_factor_enabled_at),
+      enabledAt: row.two_factor_enabled_at,
+      recoveryCodesRemaining: parseInt(row.recovery_codes_remaining, 10),
+      trustedDevices: parseInt(row.trusted_devices, 10)
+    }));
+  }
+
+  /**
+   * Remove a user's 2FA (support reset for users who lost their device and recovery codes)
+   * @param {number} userId - User ID
+   * @param {number} adminId - Admin performing the reset
+   * @returns {Promise<boolean>} Whether the user had 2FA set up
+   */
+  async resetForUser(userId, adminId) {
+    const existed = await this.removeAll(userId);
+    logger.warn(`Two-factor authentication reset for user ${userId} by admin ${adminId}`);
+    return existed;
+  }
+
+  // ─── SIGN-IN ───────────────────────────────────────────────────────
+
+  /**
+   * Check a second-step code: a TOTP code, or an unused recovery code (which is used up)
+   * @param {number} userId - User ID
+   * @param {string} code - Submitted code
+   * @returns {Promise<string>} 'totp' or 'recovery_code'
+   */
+  async verifyCode(userId, code) {
+    const record = await userTwoFactor.findByUserId(userId, { withSecret: true });
+    if (!record || !record.enabled_at) {
+      throw twoFactorError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+    }
+
+    const step = this.matchTotp(this.decryptSecret(record), code);
+    if (step !== null && await userTwoFactor.markStepUsed(record.id, step)) {
+      return 'totp';
+    }
+
+    const recoveryCode = normalizeRecoveryCode(code || '');
+    if (step === null && recoveryCode.length === 10 && await userRecoveryCode.consume(userId, sha256(recoveryCode))) {
+      const remaining = await userRecoveryCode.countRemaining(userId);
+      logger.info(`Recovery code used by user ${userId} (${remaining} left)`);
+      return 'recovery_code';
+    }
+
+    throw twoFactorError('That code is not valid', 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  /**
+   * Token proving the first sign-in step passed, exchanged for the auth cookie after the code step
+   * @param {number} userId - User ID
+   * @param {boolean} remember - "Remember me" from the password step
+   * @param {string} loginMethod - How the first step signed in ('email', 'google', 'apple', ...)
+   * @returns {string} JWT
+   */
+  createPendingToken(userId, remember, loginMethod = 'email') {
+    // No userId claim and its own audience, so it can never pass as an auth token
+    return jwt.sign({ remember: Boolean(remember), method: loginMethod }, process.env.JWT_SECRET, {
+      subject: String(userId),
+      audience: PENDING_COOKIE,
+      expiresIn: `${PENDING_TOKEN_MINUTES}m`
+    });
+  }
+
+  /**
+   * Read a pending token
+   * @param {string} token - JWT from the pending cookie
+   * @returns {Object|null} { userId, remember, loginMethod }, or null when missing, invalid or expired
+   */
+  verifyPendingToken(token) {
+    if (!token) {
+      return null;
+    }
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: PENDING_COOKIE });
+      return {
+        userId: parseInt(decoded.sub, 10),
+        remember: Boolean(decoded.remember),
+        loginMethod: decoded.method || 'email'
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Remember a device so it skips the second step
+   * @param {number} userId - User ID
+   * @param {string} userAgent - Browser user agent
+   * @returns {Promise<string>} Token for the device cookie
+   */
+  async rememberDevice(userId, userAgent) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await userTrustedDevice.create({
+      users_id: userId,
+      token_hash: sha256(token),
+      user_agent: userAgent ? String(userAgent).substring(0, 500) : null,
+      expires_at: new Date(Date.now() + TRUSTED_DEVICE_DAYS * 24 * 60 * 60 * 1000)
+    });
+    return token;
+  }
+
+  /**
+   * Whether a device cookie belongs to the user and has not expired
+   * @param {number} userId - User ID
+   * @param {string} token - Device cookie value
+   * @returns {Promise<boolean>}
+   */
+  async isTrustedDevice(userId, token) {
+    if (!token) {
+      return false;
+    }
+    try {
+      return Boolean(await userTrustedDevice.touchValid(userId, sha256(token)));
+    } catch (error) {
+      logger.warn(`Trusted device check failed for user ${userId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // ─── HELPERS ───────────────────────────────────────────────────────
+
+  /**
+   * Create RECOVERY_CODE_COUNT new codes (xxxxx-xxxxx), replacing any old ones
+   */
+  async generateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+    });
+
+    await userRecoveryCode.replaceForUser(userId, codes.map(code => sha256(normalizeRecoveryCode(code))));
+    return codes;
+  }
+
+  /**
+   * Delete the secret, recovery codes and remembered devices
+   */
+  async removeAll(userId) {
+    const existed = await userTwoFactor.deleteByUserId(userId);
+    await userRecoveryCode.deleteByUserId(userId);
+    await userTrustedDevice.deleteByUserId(userId);
+    return existed;
+  }
+
+  /**
+   * AES-256-CBC with TOKEN_ENCRYPTION_KEY, as for cloud storage and YouTube tokens
+   */
+  encryptSecret(secret) {
+    const key = process.env.TOKEN_ENCRYPTION_KEY;
+    if (!key || key.length !== 32) {
+      logger.error('TOKEN_ENCRYPTION_KEY must be 32 characters long for two-factor authentication');
+      throw twoFactorError('Two-factor authentication is not available right now', 'TWO_FACTOR_UNAVAILABLE');
+    }
+
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(key, 'utf8'), iv);
+    const encrypted = cipher.update(secret, 'utf8', 'hex') + cipher.final('hex');
+
+    return { secret_encrypted: encrypted, encryption_iv: iv.toString('hex') };
+  }
+
+  decryptSecret(record) {
+    const key = process.env.TOKEN_ENCRYPTION_KEY;
+    if (!key) {
+      logger.error('TOKEN_ENCRYPTION_KEY not configured for two-factor authentication');
+      throw twoFactorError('Two-factor authentication is not available right now', 'TWO_FACTOR_UNAVAILABLE');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-cbc', Buffer.from(key, 'utf8'), Buffer.from(record.encryption_iv, 'hex'));
+    return decipher.update(record.secret_encrypted, 'hex', 'utf8') + decipher.final('utf8');
+  }
+}
+
+const twoFactorService = new TwoFactorService();
+twoFactorService.PENDING_COOKIE = PENDING_COOKIE;
+twoFactorService.TRUSTED_DEVICE_COOKIE = TRUSTED_DEVICE_COOKIE;
+twoFactorService.TRUSTED_DEVICE_DAYS = TRUSTED_DEVICE_DAYS;
+twoFactorService.PENDING_TOKEN_MINUTES = PENDING_TOKEN_MINUTES;
+twoFactorService.RECOVERY_CODE_COUNT = RECOVERY_CODE_COUNT;
+module.exports = twoFactorService;
@@ -0,0 +1,450 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const util = require('util');
+const fs = require('fs').promises;
+const objectStorage = require('./object-storage.service');
+const { video: videoModel, videoUpload, aiPrompts, user: userModel } = require('../models');
+const { logger } = require('../utils');
+
+const execFilePromise = util.promisify(execFile);
+
+/**
+ * Create an error carrying a code the uploads controller maps to an HTTP status
+ * @param {string} message - Error message
+ * @param {string} code - INVALID_UPLOAD | UPLOAD_TOO_LARGE | UPLOAD_NOT_ACTIVE
+ * @returns {Error}
+ */
+function uploadError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Upload Service
+ * Resumable, chunked media uploads for videos that are not on YouTube.
+ *
+ * Protocol (offset-based, tus-style):
+ *   1. createUpload() reserves an upload and returns its uploadId
+ *   2. the client sends chunkSize-byte chunks with appendChunk() at the current offset
+ *      (a chunk sent at the wrong offset is rejected with the offset to resume from)
+ *   3. once every byte has arrived the media is probed with ffprobe, a videos row
+ *      with source_type 'upload' is created and a 'transcribe_upload' job is queued
+ *
+ * Media lives in shared object storage, so any web replica can take the next chunk and
+ * the worker can read the result. Each chunk is one part of a multipart upload; a chunk
+ * that doesn't arrive whole isn't counted and is resent from the same offset.
+ */
+class UploadService {
+  constructor() {
+    this.maxUploadBytes = parseInt(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024 * 1024; // 5GB
+    // Every chunk but the last becomes a multipart part, which object storage needs to be at least 5MB
+    this.chunkSizeBytes = Math.max(parseInt(process.env.UPLOAD_CHUNK_BYTES) || 8 * 1024 * 1024, objectStorage.minPartBytes); // 8MB
+    this.expiryHours = parseInt(process.env.UPLOAD_EXPIRY_HOURS) || 24;
+  }
+
+  /**
+   * Check whether a MIME type is accepted for upload
+   * @param {string} mimeType - MIME type reported by the client
+   * @returns {boolean}
+   */
+  isAllowedMimeType(mimeType) {
+    return /^(audio|video)\/[\w.+-]+$/i.test(mimeType || '');
+  }
+
+  /**
+   * Start a new upload session
+   * @param {number} userId - Owner user ID
+   * @param {Object} details - { filename, size, mimeType, title, description, category, contentTypes }
+   * @returns {Promise<Object>} Upload session
+   */
+  async createUpload(userId, details) {
+    const { filename, size, mimeType } = details;
+    const totalBytes = parseInt(size);
+
+    if (!this.isAllowedMimeType(mimeType)) {
+      throw uploadError('Only audio and video files can be uploaded', 'INVALID_UPLOAD');
+    }
+
+    if (!Number.isInteger(totalBytes) || totalBytes <= 0) {
+      throw uploadError('Upload size must be a positive number of bytes', 'INVALID_UPLOAD');
+    }
+
+    if (totalBytes > this.maxUploadBytes) {
+      throw uploadError(`File is too large (maximum ${Math.floor(this.maxUploadBytes / (1024 * 1024))}MB)`, 'UPLOAD_TOO_LARGE');
+    }
+
+    const uploadId = crypto.randomUUID();
+
+    // Never trust the client filename for the path - keep only a short, safe extension
+    const extension = path.extname(filename || '').toLowerCase();
+    const safeExtension = /^\.[a-z0-9]{1,5}$/.test(extension) ? extension : '';
+    const storagePath = `uploads/${parseInt(userId)}/${uploadId}${safeExtension}`;
+    const storageUploadId = await objectStorage.createMultipartUpload(storagePath, mimeType.toLowerCase());
+
+    const upload = await videoUpload.create({
+      upload_id: uploadId,
+      users_id: parseInt(userId),
+      filename: path.basename(filename || 'upload').substring(0, 255),
+      mime_type: mimeType.toLowerCase(),
+      total_bytes: totalBytes,
+      received_bytes: 0,
+      storage_path: storagePath,
+      storage_upload_id: storageUploadId,
+      metadata: {
+        title: details.title || null,
+        description: details.description || null,
+        category: details.category || null,
+        contentTypes: Array.isArray(details.contentTypes) ? details.contentTypes : []
+      },
+      status: 'uploading',
+      expires_at: new Date(Date.now() + this.expiryHours * 60 * 60 * 1000)
+    });
+
+    logger.info(`Upload ${uploadId} created for user ${userId}`, { totalBytes, mimeType });
+
+    return videoUpload.formatUpload(upload);
+  }
+
+  /**
+   * Get an upload session owned by a user
+   * @param {string} uploadId - Upload ID
+   * @param {number} userId - Owner user ID
+   * @returns {Promise<Object|null>}
+   */
+  async getUpload(uploadId, userId) {
+    return videoUpload.findByUploadIdForUser(uploadId, userId);
+  }
+
+  /**
+   * Append a chunk at the given offset
+   * @param {Object} upload - Upload session
+   * @param {number} offset - Byte offset the client is writing at
+   * @param {Readable} stream - Chunk body
+   * @returns {Promise<Object>} { upload, offsetMismatch } - offsetMismatch is true when the client must resume from upload.received_bytes
+   */
+  async appendChunk(upload, offset, stream) {
+    if (upload.status !== 'uploading') {
+      throw uploadError(`Upload is ${upload.status}`, 'UPLOAD_NOT_ACTIVE');
+    }
+
+    if (new Date(upload.expires_at) < new Date()) {
+      throw uploadError('Upload has expired', 'UPLOAD_NOT_ACTIVE');
+    }
+
+    if (offset !== upload.received_bytes) {
+      return { upload, offsetMismatch: true };
+    }
+
+    const expectedBytes = Math.min(this.chunkSizeBytes, upload.total_bytes - offset);
+    const body = await this.readChunk(stream, upload.total_bytes - offset);
+
+    if (body.length !== expectedBytes) {
+      throw uploadError(`Chunk must be ${expectedBytes} bytes (every chunk but the last is the upload's chunkSize)`, 'INVALID_UPLOAD');
+    }
+
+    // Fixed-size chunks map each offset to one part number, so a chunk resent for the same
+    // offset replaces its part instead of adding another
+    const partNumber = offset / this.chunkSizeBytes + 1;
+    const etag = await objectStorage.uploadPart(upload.storage_path, upload.storage_upload_id, partNumber, body);
+
+    const updated = await videoUpload.recordPart(upload.id, offset, body.length, { PartNumber: partNumber, ETag: etag });
+    if (!updated) {
+      // Another request stored this offset first (or the upload finished); resume from where it is now
+      const current = await videoUpload.findByUploadIdForUser(upload.upload_id, upload.users_id);
+      return { upload: current || upload, offsetMismatch: true };
+    }
+
+    if (updated.received_bytes === updated.total_bytes) {
+      return { upload: await this.finalizeUpload(updated), offsetMismatch: false };
+    }
+
+    return { upload: updated, offsetMismatch: false };
+  }
+
+  /**
+   * Read a chunk body into memory (at most chunkSizeBytes)
+   * @param {Readable} stream - Chunk body
+   * @param {number} remaining - Bytes still missing from the upload
+   * @returns {Promise<Buffer>}
+   */
+  async readChunk(stream, remaining) {
+    const limit = Math.min(this.chunkSizeBytes, remaining);
+    const buffers = [];
+    let received = 0;
+
+    for await (const chunk of stream) {
+      received += chunk.length;
+      if (received > remaining) {
+        throw uploadError('Chunk exceeds the declared upload size', 'UPLOAD_TOO_LARGE');
+      }
+      if (received > limit) {
+        throw uploadError(`Chunk exceeds the ${limit} byte chunk size`, 'INVALID_UPLOAD');
+      }
+      buffers.push(chunk);
+    }
+
+    return Buffer.concat(buffers, received);
+  }
+
+  /**
+   * Turn a fully received upload into a video and queue transcription
+   * @param {Object} upload - Upload session with every byte received
+   * @returns {Promise<Object>} Updated upload (status completed or failed)
+   */
+  async finalizeUpload(upload) {
+    const metadata = typeof upload.metadata === 'string' ? JSON.parse(upload.metadata) : (upload.metadata || {});
+    const parts = typeof upload.parts === 'string' ? JSON.parse(upload.parts) : (upload.parts || []);
+
+    try {
+      await objectStorage.completeMultipartUpload(upload.storage_path, upload.storage_upload_id, parts);
+
+      // ffprobe reads only the byte ranges it needs from the signed URL
+      const probe = await this.probeMedia(await objectStorage.getSignedUrl(upload.storage_path));
+
+      if (!probe.hasAudio) {
+        throw new Error('The uploaded file has no audio track to transcribe');
+      }
+
+      const title = metadata.title || path.parse(upload.filename).name || 'Untitled Upload';
+      const category = videoModel.allowedCategories.includes(metadata.category) ? metadata.category : 'general';
+
+      const videoRecord = await videoModel.createVideo({
+        // Uploads have no YouTube ID - reuse the upload ID so processing status stays keyed by videoid
+        videoid: `upload-${upload.upload_id}`,
+        youtube_url: null,
+        video_title: title.substring(0, 255),
+        channel_name: 'Uploaded',
+        channel_handle: '',
+        description: metadata.description || '',
+        duration: Math.round(probe.duration || 0),
+        upload_date: new Date().toISOString().split('T')[0],
+        thumbnail: '',
+        video_type: 'video',
+        source_type: 'upload',
+        media_path: upload.storage_path,
+        media_mime_type: upload.mime_type,
+        media_size_bytes: upload.total_bytes,
+        status: 'pending',
+        category,
+        privacy_setting: 'private',
+        users_id: upload.users_id,
+        tags: null
+      });
+
+      const completed = await videoUpload.finish(upload.id, 'completed', { video_id: videoRecord.id });
+
+      await this.trackUsage(upload.users_id);
+      await this.queueTranscription(videoRecord, metadata.contentTypes);
+
+      logger.info(`Upload ${upload.upload_id} completed as video ${videoRecord.id}`, {
+        duration: probe.duration,
+        format: probe.format
+      });
+
+      return completed || upload;
+    } catch (error) {
+      logger.error(`Failed to finalize upload ${upload.upload_id}:`, error);
+      const failed = await videoUpload.finish(upload.id, 'failed', { error_message: error.message });
+      await this.discardMedia(upload);
+      return failed || { ...upload, status: 'failed', error_message: error.message };
+    }
+  }
+
+  /**
+   * Read duration and stream information with ffprobe
+   * @param {string} filePath - Absolute path or signed URL of the media file
+   * @returns {Promise<Object>} { duration, format, hasAudio, hasVideo, width, height }
+   */
+  async probeMedia(filePath) {
+    let output;
+    try {
+      const { stdout } = await execFilePromise('ffprobe', ['-v', 'quiet', '-print_format', 'json', '-show_format', '-show_streams', filePath], {
+        maxBuffer: 1024 * 1024 * 10, // 10MB buffer
+        timeout: 60 * 1000
+      });
+      output = JSON.parse(stdout);
+    } catch (error) {
+      throw new Error(`Could not read media file: ${error.message}`);
+    }
+
+    const streams = Array.isArray(output.streams) ? output.streams : [];
+    const videoStream = streams.find(stream => stream.codec_type === 'video' && stream.disposition?.attached_pic !== 1);
+
+    return {
+      duration: parseFloat(output.format?.duration) || 0,
+      format: output.format?.format_name || null,
+      hasAudio: streams.some(stream => stream.codec_type === 'audio'),
+      hasVideo: !!videoStream,
+      width: videoStream?.width || null,
+      height: videoStream?.height || null
+    };
+  }
+
+  /**
+   * Count a completed upload against the user's video allowance
+   * @param {number} userId - User ID
+   */
+  async trackUsage(userId) {
+    try {
+      const subscriptionService = require('./subscription.service');
+      const user = await userModel.findById(userId);
+
+      if ((user?.subscription_tier || 'free') === 'free') {
+        await subscriptionService.markFreeVideoAsUsed(userId);
+      } else {
+        await subscriptionService.incrementUsage(userId, 'videos_processed', 1);
+      }
+    } catch (usageError) {
+      logger.warn(`Failed to update usage for userId=${userId}`, { error: usageError.message });
+    }
+  }
+
+  /**
+   * Initialize processing status and queue speech-to-text for an uploaded video
+   * @param {Object} videoRecord - Created video row
+   * @param {Array} contentTypes - Content types requested with the upload (empty for all)
+   */
+  async queueTranscription(videoRecord, contentTypes = []) {
+    let typesToGenerate = contentTypes;
+
+    if (!typesToGenerate || typesToGenerate.length === 0) {
+      try {
+        const availableTypes = await aiPrompts.getAvailableContentTypes();
+        typesToGenerate = availableTypes.map(ct => ct.type);
+      } catch (dbError) {
+        logger.warn('Could not load content types from AiPrompts model:', dbError.message);
+        typesToGenerate = [];
+      }
+    }
+
+    const processingStatusService = require('./processing-status.service');
+    await processingStatusService.initializeVideoProcessingAsync(
+      videoRecord.videoid,
+      videoRecord.id,
+      videoRecord.video_title,
+      videoRecord.users_id,
+      typesToGenerate
+    );
+
+    const processingQueue = require('./processing-queue.service');
+    await processingQueue.addToQueue(videoRecord.id, 'transcribe_upload', 2, {
+      contentTypes: typesToGenerate,
+      storageKey: videoRecord.media_path
+    });
+  }
+
+  /**
+   * Queue task: transcribe an uploaded video, then queue its content generation
+   * @param {number} videoRecordId - Video record ID
+   * @param {Object} payload - { contentTypes, storageKey }
+   * @param {Object} options - { signal } aborted when the worker loses the item's lease
+   */
+  async processUploadedVideo(videoRecordId, payload = {}, options = {}) {
+    const videoRecord = await videoModel.findById(videoRecordId);
+    const storageKey = payload.storageKey || videoRecord?.media_path;
+    if (!videoRecord || !storageKey) {
+      throw new Error(`Uploaded video ${videoRecordId} not found or has no media`);
+    }
+
+    // Speech-to-text providers take a local file; the worker keeps a copy only while transcribing
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'upload-'));
+    const mediaPath = path.join(workDir, path.basename(storageKey));
+
+    let result;
+    try {
+      await objectStorage.downloadToFile(storageKey, mediaPath);
+
+      const transcriptService = require('./transcript.service');
+      result = await transcriptService.processVideoTranscript(
+        videoRecord.videoid,
+        null,
+        videoRecord.id,
+        videoRecord.users_id,
+        payload.contentTypes || null,
+        { mediaPath, signal: options.signal }
+      );
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+
+    if (!result.success) {
+      // Throw so the queue retries with backoff (e.g. speech-to-text provider briefly unavailable)
+      throw new Error(result.reason || 'Transcription failed');
+    }
+  }
+
+  /**
+   * Abort an in-progress upload and delete its stored parts
+   * @param {Object} upload - Upload session
+   * @returns {Promise<boolean>} True if the upload was aborted
+   */
+  async abortUpload(upload) {
+    const aborted = await videoUpload.finish(upload.id, 'aborted');
+    if (!aborted) {
+      return false;
+    }
+
+    await this.discardMedia(upload);
+    logger.info(`Upload ${upload.upload_id} aborted`);
+    return true;
+  }
+
+  /**
+   * Delete whatever an unfinished upload stored: its multipart parts and any assembled object
+   * @param {Object} upload - Upload session
+   */
+  async discardMedia(upload) {
+    if (upload.storage_upload_id) {
+      await objectStorage.abortMultipartUpload(upload.storage_path, upload.storage_upload_id)
+        .catch(error => logger.warn(`Failed to abort multipart upload for ${upload.upload_id}:`, error.message));
+    }
+    await this.deleteMedia(upload.storage_path);
+  }
+
+  /**
+   * Delete stored media
+   * @param {string} storageKey - Object key
+   */
+  async deleteMedia(storageKey) {
+    if (!storageKey) {
+      return;
+    }
+
+    try {
+      await objectStorage.deleteObject(storageKey);
+    } catch (error) {
+      logger.warn(`Failed to delete media ${storageKey}:`, error.message);
+    }
+  }
+
+  /**
+   * Expire upload sessions that were abandoned part way through
+   * @returns {Promise<number>} Number of uploads expired
+   */
+  async cleanupExpiredUploads() {
+    try {
+      const expired = await videoUpload.findExpired();
+
+      for (const upload of expired) {
+        const finished = await videoUpload.finish(upload.id, 'failed', { error_message: 'Upload expired' });
+        if (finished) {
+          await this.discardMedia(upload);
+        }
+      }
+
+      if (expired.length > 0) {
+        logger.info(`Expired ${expired.length} abandoned uploads`);
+      }
+
+      return expired.length;
+    } catch (error) {
+      logger.error('Error cleaning up expired uploads:', error);
+      return 0;
+    }
+  }
+}
+
+module.exports = new UploadService();
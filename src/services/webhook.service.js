@@ -0,0 +1,461 @@
+/**
+ * Webhook Service
+ * Outbound webhooks: users register endpoints for processing lifecycle events, and each event is
+ * delivered as a signed JSON POST. Deliveries run as 'deliver_webhook' jobs on the processing
+ * queue, which retries failed attempts with backoff; webhook_deliveries is the per-endpoint log.
+ *
+ * Signature: X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ */
+
+const crypto = require('crypto');
+const { URL } = require('url');
+const axios = require('axios');
+const { webhookEndpoint, webhookDelivery } = require('../models');
+const { logger } = require('../utils');
+const { assertPublicUrl, publicAgents } = require('../utils/outbound-request');
+
+// Events users can subscribe to
+const WEBHOOK_EVENTS = {
+  'video.completed': 'A video finished processing',
+  'content.failed': 'Generating a content type for a video failed',
+  'thumbnail.completed': 'A thumbnail generation job finished',
+  'thumbnail.failed': 'A thumbnail generation job failed',
+  'clip.rendered': 'A clip render finished',
+  'clip.render_failed': 'A clip render failed'
+};
+
+// Sent by the "send test event" button only
+const TEST_EVENT = 'webhook.test';
+
+const MAX_ENDPOINTS_PER_USER = 10;
+const DELIVERY_TIMEOUT_MS = 10000;
+// Only kept from 2xx responses, so the log can't be used to read internal services
+const MAX_RESPONSE_BODY = 200;
+const DELIVERY_LOG_LIMIT = 50;
+
+function webhookError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class WebhookService {
+  // ─── DISPATCH ──────────────────────────────────────────────────────
+
+  /**
+   * Queue an event for every active endpoint of the user subscribed to it. Never throws,
+   * so a webhook problem can't fail the processing step that raised the event.
+   * @param {number} userId - Owner user ID
+   * @param {string} eventType - Key of WEBHOOK_EVENTS
+   * @param {number} videoId - Video record ID the event is about (for logging; may be null)
+   * @param {Object} data - Event data
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async dispatch(userId, eventType, videoId, data) {
+    try {
+      if (!userId) {
+        return 0;
+      }
+
+      const endpoints = await webhookEndpoint.findSubscribed(userId, eventType);
+      if (endpoints.length === 0) {
+        return 0;
+      }
+
+      // Lazy require: the queue runs deliveries through this service
+      const processingQueue = require('./processing-queue.service');
+      const event = this.buildEvent(eventType, data);
+
+      for (const endpoint of endpoints) {
+        const delivery = await webhookDelivery.create({
+          webhook_endpoint_id: endpoint.id,
+          users_id: userId,
+          event_id: event.id,
+          event_type: eventType,
+          payload: event,
+          status: 'pending'
+        });
+        // Not tied to the video: the delivery must survive the video being deleted
+        await processingQueue.addToQueue(null, 'deliver_webhook', 1, { deliveryId: delivery.id });
+      }
+
+      logger.info(`Queued ${eventType} webhook for ${endpoints.length} endpoint(s)`, { userId, videoId, eventId: event.id });
+      return endpoints.length;
+    } catch (error) {
+      logger.warn(`Failed to queue ${eventType} webhook for user ${userId}: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Attempt a queued delivery (run by the 'deliver_webhook' queue job). Throws while retries
+   * remain so the queue reschedules it; the last failed attempt marks the delivery failed.
+   * @param {number} deliveryId - webhook_deliveries ID
+   * @returns {Promise<void>}
+   */
+  async deliver(deliveryId) {
+    const delivery = await webhookDelivery.findById(deliveryId);
+    if (!delivery || delivery.status === 'succeeded' || delivery.status === 'failed') {
+      return;
+    }
+
+    const endpoint = await webhookEndpoint.findForUser(delivery.webhook_endpoint_id, delivery.users_id, { withSecret: true });
+    if (!endpoint || !endpoint.is_active) {
+      await webhookDelivery.update(delivery.id, {
+        status: 'failed',
+        error_message: 'Endpoint was disabled before the event could be delivered',
+        next_attempt_at: null
+      });
+      return;
+    }
+
+    const attempt = await this.attemptDelivery(endpoint, delivery.payload);
+    const attemptCount = (delivery.attempt_count || 0) + 1;
+
+    const processingQueue = require('./processing-queue.service');
+    const retryDelay = attempt.succeeded ? null : processingQueue.getRetryDelay(attemptCount, 'deliver_webhook');
+
+    await webhookDelivery.update(delivery.id, {
+      ...this.attemptFields(attempt, attemptCount),
+      status: attempt.succeeded ? 'succeeded' : (retryDelay === null ? 'failed' : 'retrying'),
+      next_attempt_at: retryDelay === null ? null : new Date(Date.now() + retryDelay)
+    });
+
+    if (!attempt.succeeded && retryDelay !== null) {
+      throw webhookError(`Webhook delivery ${delivery.id} failed: ${attempt.errorMessage}`, 'DELIVERY_FAILED');
+    }
+  }
+
+  /**
+   * POST an event to an endpoint
+   * @param {Object} endpoint - Endpoint row including secret
+   * @param {Object} event - Event envelope
+   * @returns {Promise<Object>} { succeeded, responseStatus, responseBody, errorMessage, durationMs }
+   */
+  async attemptDelivery(endpoint, event) {
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    const attempt = { succeeded: false, responseStatus: null, responseBody: null, errorMessage: null, durationMs: 0 };
+
+    try {
+      // Endpoints saved before the public-host check, or whose name now resolves privately
+      assertPublicUrl(endpoint.url);
+
+      const response = await axios.post(endpoint.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'AmplifyContent-Webhooks/1.0',
+          'X-Webhook-Id': event.id,
+          'X-Webhook-Event': event.type,
+          'X-Webhook-Signature': `t=${timestamp},v1=${this.sign(endpoint.secret, timestamp, body)}`
+        },
+        ...publicAgents(),
+        timeout: DELIVERY_TIMEOUT_MS,
+        maxRedirects: 0,
+        maxContentLength: 64 * 1024,
+        responseType: 'text',
+        transformResponse: data => data,
+        validateStatus: () => true
+      });
+
+      attempt.responseStatus = response.status;
+      attempt.succeeded = response.status >= 200 && response.status < 300;
+      if (attempt.succeeded && typeof response.data === 'string') {
+        attempt.responseBody = response.data.substring(0, MAX_RESPONSE_BODY);
+      } else if (!attempt.succeeded) {
+        attempt.errorMessage = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (error) {
+      if (error.code === 'ECONNABORTED') {
+        attempt.errorMessage = `No response within ${DELIVERY_TIMEOUT_MS / 1000} seconds`;
+      } else if (error.code === 'PRIVATE_ADDRESS') {
+        attempt.errorMessage = 'Webhook URL does not point to a public host';
+      } else {
+        attempt.errorMessage = error.message;
+      }
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+    return attempt;
+  }
+
+  /**
+   * Hex HMAC-SHA256 of "<timestamp>.<body>"
+   * @param {string} secret - Endpoint signing secret
+   * @param {number} timestamp - Unix seconds (also sent in the header)
+   * @param {string} body - Raw request body
+   * @returns {string}
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  // ─── ENDPOINT MANAGEMENT ───────────────────────────────────────────
+
+  /**
+   * The user's endpoints (without secrets)
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} { endpoints, limit }
+   */
+  async listEndpoints(userId) {
+    const endpoints = await webhookEndpoint.listForUser(userId);
+    return {
+      endpoints: endpoints.map(endpoint => this.formatEndpoint(endpoint)),
+      limit: MAX_ENDPOINTS_PER_USER
+    };
+  }
+
+  /**
+   * Register an endpoint. The signing secret is returned here and from revealSecret().
+   * @param {number} userId - User ID
+   * @param {Object} data - { url, description, events }
+   * @returns {Promise<Object>} Formatted endpoint with secret
+   */
+  async createEndpoint(userId, data) {
+    const fields = this.validateEndpoint(data);
+
+    const existing = await webhookEndpoint.count({ users_id: userId });
+    if (existing >= MAX_ENDPOINTS_PER_USER) {
+      throw webhookError(`You can have at most ${MAX_ENDPOINTS_PER_USER} webhook endpoints`, 'WEBHOOK_LIMIT_REACHED');
+    }
+
+    const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    const endpoint = await webhookEndpoint.create({
+      users_id: userId,
+      ...fields,
+      secret,
+      is_active: true
+    });
+
+    logger.info(`Webhook endpoint ${endpoint.id} created for user ${userId}`, { events: fields.events });
+    return { ...this.formatEndpoint(endpoint), secret };
+  }
+
+  /**
+   * Update an endpoint's URL, description, events or active flag
+   * @param {number} userId - User ID
+   * @param {number} endpointId - Endpoint ID
+   * @param {Object} data - { url, description, events, isActive }
+   * @returns {Promise<Object>} Formatted endpoint
+   */
+  async updateEndpoint(userId, endpointId, data) {
+    const endpoint = await this.getOwnedEndpoint(userId, endpointId);
+
+    const fields = this.validateEndpoint({
+      url: data.url === undefined ? endpoint.url : data.url,
+      description: data.description === undefined ? endpoint.description : data.description,
+      events: data.events === undefined ? endpoint.events : data.events
+    });
+    if (data.isActive !== undefined) {
+      fields.is_active = Boolean(data.isActive);
+    }
+
+    const updated = await webhookEndpoint.update(endpoint.id, fields);
+    return this.formatEndpoint(updated);
+  }
+
+  /**
+   * Delete an endpoint and its delivery log
+   * @param {number} userId - User ID
+   * @param {number} endpointId - Endpoint ID
+   * @returns {Promise<void>}
+   */
+  async deleteEndpoint(userId, endpointId) {
+    const endpoint = await this.getOwnedEndpoint(userId, endpointId);
+    await webhookEndpoint.delete(endpoint.id);
+    logger.info(`Webhook endpoint ${endpoint.id} deleted by user ${userId}`);
+  }
+
+  /**
+   * An endpoint's signing secret
+   * @param {number} userId - User ID
+   * @param {number} endpointId - Endpoint ID
+   * @returns {Promise<string>}
+   */
+  async revealSecret(userId, endpointId) {
+    const endpoint = await webhookEndpoint.findForUser(endpointId, userId, { withSecret: true });
+    if (!endpoint) {
+      throw webhookError('Webhook endpoint not found', 'WEBHOOK_NOT_FOUND');
+    }
+    return endpoint.secret;
+  }
+
+  /**
+   * An endpoint's most recent deliveries
+   * @param {number} userId - User ID
+   * @param {number} endpointId - Endpoint ID
+   * @returns {Promise<Array>} Formatted deliveries, newest first
+   */
+  async listDeliveries(userId, endpointId) {
+    const endpoint = await this.getOwnedEndpoint(userId, endpointId);
+    const deliveries = await webhookDelivery.listForEndpoint(endpoint.id, DELIVERY_LOG_LIMIT);
+    return deliveries.map(delivery => this.formatDelivery(delivery));
+  }
+
+  /**
+   * Send a webhook.test event right away (one attempt, no retries) and log it
+   * @param {number} userId - User ID
+   * @param {number} endpointId - Endpoint ID
+   * @returns {Promise<Object>} Formatted delivery
+   */
+  async sendTestEvent(userId, endpointId) {
+    const endpoint = await webhookEndpoint.findForUser(endpointId, userId, { withSecret: true });
+    if (!endpoint) {
+      throw webhookError('Webhook endpoint not found', 'WEBHOOK_NOT_FOUND');
+    }
+
+    const event = this.buildEvent(TEST_EVENT, {
+      message: 'This is a test event. Your endpoint is set up correctly if it responded with a 2xx status.',
+      endpointId: endpoint.id
+    });
+
+    const delivery = await webhookDelivery.create({
+      webhook_endpoint_id: endpoint.id,
+      users_id: userId,
+      event_id: event.id,
+      event_type: TEST_EVENT,
+      payload: event,
+      status: 'pending'
+    });
+
+    const attempt = await this.attemptDelivery(endpoint, event);
+    const updated = await webhookDelivery.update(delivery.id, {
+      ...this.attemptFields(attempt, 1),
+      status: attempt.succeeded ? 'succeeded' : 'failed'
+    });
+
+    return this.formatDelivery(updated);
+  }
+
+  // ─── HELPERS ───────────────────────────────────────────────────────
+
+  /**
+   * Event envelope sent to endpoints
+   */
+  buildEvent(eventType, data) {
+    return {
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      type: eventType,
+      createdAt: new Date().toISOString(),
+      data
+    };
+  }
+
+  /**
+   * Columns recording one attempt
+   */
+  attemptFields(attempt, attemptCount) {
+    return {
+      attempt_count: attemptCount,
+      response_status: attempt.responseStatus,
+      response_body: attempt.responseBody,
+      error_message: attempt.errorMessage,
+      duration_ms: attempt.durationMs,
+      last_attempt_at: new Date(),
+      delivered_at: attempt.succeeded ? new Date() : null
+    };
+  }
+
+  async getOwnedEndpoint(userId, endpointId) {
+    const endpoint = await webhookEndpoint.findForUser(endpointId, userId);
+    if (!endpoint) {
+      throw webhookError('Webhook endpoint not found', 'WEBHOOK_NOT_FOUND');
+    }
+    return endpoint;
+  }
+
+  /**
+   * Validate endpoint input into columns
+   */
+  validateEndpoint(data) {
+    const events = Array.isArray(data.events) ? [...new Set(data.events)] : [];
+    if (events.length === 0) {
+      throw webhookError('Select at least one event', 'INVALID_WEBHOOK');
+    }
+    const unknown = events.filter(event => !WEBHOOK_EVENTS[event]);
+    if (unknown.length > 0) {
+      throw webhookError(`Unknown event: ${unknown.join(', ')}`, 'INVALID_WEBHOOK');
+    }
+
+    const description = data.description ? String(data.description).trim() : '';
+    if (description.length > 255) {
+      throw webhookError('Description must be at most 255 characters', 'INVALID_WEBHOOK');
+    }
+
+    return {
+      url: this.validateUrl(data.url),
+      description: description || null,
+      events
+    };
+  }
+
+  /**
+   * Normalize an endpoint URL. Only public hosts are allowed; production also requires HTTPS.
+   * The resolved address is checked again on every delivery.
+   */
+  validateUrl(value) {
+    let url;
+    try {
+      url = new URL(String(value || '').trim());
+    } catch {
+      throw webhookError('Enter a valid URL', 'INVALID_WEBHOOK');
+    }
+
+    const isProduction = process.env.NODE_ENV === 'production';
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && !isProduction)) {
+      throw webhookError('Webhook URLs must use https', 'INVALID_WEBHOOK');
+    }
+    if (url.username || url.password) {
+      throw webhookError('Webhook URLs cannot contain credentials', 'INVALID_WEBHOOK');
+    }
+    try {
+      assertPublicUrl(url);
+    } catch {
+      throw webhookError('Webhook URLs must point to a public host', 'INVALID_WEBHOOK');
+    }
+
+    const normalized = url.toString();
+    if (normalized.length > 2000) {
+      throw webhookError('Webhook URL is too long', 'INVALID_WEBHOOK');
+    }
+    return normalized;
+  }
+
+  formatEndpoint(endpoint) {
+    return {
+      id: endpoint.id,
+      url: endpoint.url,
+      description: endpoint.description,
+      events: endpoint.events || [],
+      isActive: endpoint.is_active,
+      createdAt: endpoint.created_at
+    };
+  }
+
+  formatDelivery(delivery) {
+    return {
+      id: delivery.id,
+      eventId: delivery.event_id,
+      eventType: delivery.event_type,
+      status: delivery.status,
+      attemptCount: delivery.attempt_count || 0,
+      responseStatus: delivery.response_status,
+      // Rows logged before bodies were limited to 2xx responses may still hold error bodies
+      responseBody: delivery.response_status >= 200 && delivery.response_status < 300 ? delivery.response_body : null,
+      error: delivery.error_message,
+      durationMs: delivery.duration_ms,
+      lastAttemptAt: delivery.last_attempt_at,
+      nextAttemptAt: delivery.next_attempt_at,
+      deliveredAt: delivery.delivered_at,
+      createdAt: delivery.created_at,
+      payload: delivery.payload
+    };
+  }
+}
+
+const webhookService = new WebhookService();
+webhookService.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+webhookService.TEST_EVENT = TEST_EVENT;
+module.exports = webhookService;
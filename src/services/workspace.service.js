@@ -0,0 +1,547 @@
+/**
+ * Workspace Service
+ * Team workspaces: members with roles share a video library, character profiles and YouTube
+ * channel connections. Resources stay owned by the user who added them (users_id) and are
+ * shared by setting their workspace_id.
+ *
+ * Roles: owner (one per workspace; manages members, billing and the workspace itself),
+ * editor (adds, shares and processes content) and viewer (read-only).
+ * Work done in a workspace is billed to the owner's subscription, and every member or pending
+ * invitation across the owner's workspaces takes one of the seats their plan provides.
+ */
+
+const crypto = require('crypto');
+const {
+  workspace,
+  workspaceMember,
+  workspaceInvitation,
+  video,
+  userYoutubeChannels,
+  user
+} = require('../models');
+const subscriptionService = require('./subscription.service');
+const emailService = require('./email.service');
+const { logger } = require('../utils');
+
+const ROLES = ['owner', 'editor', 'viewer'];
+const INVITABLE_ROLES = ['editor', 'viewer'];
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+const MAX_WORKSPACES_PER_USER = 10;
+const MAX_NAME_LENGTH = 100;
+const INVITATION_DAYS = 7;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function workspaceError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Character profile storage lives in the thumbnail generator
+ * Lazy require: it creates the image generation client when loaded
+ */
+function thumbnailService() {
+  return require('./thumbnail-generator.service');
+}
+
+class WorkspaceService {
+  // ─── ACCESS ────────────────────────────────────────────────────────
+
+  /**
+   * A user's membership, if their role is at least minimumRole. Non-members get
+   * WORKSPACE_NOT_FOUND so workspace IDs can't be probed.
+   * @param {number} workspaceId - Workspace ID
+   * @param {number} userId - User ID
+   * @param {string} minimumRole - 'viewer', 'editor' or 'owner'
+   * @returns {Promise<Object>} Membership with workspace_name and owner_users_id
+   */
+  async requireRole(workspaceId, userId, minimumRole = 'viewer') {
+    const membership = await workspaceMember.findMembership(workspaceId, userId);
+    if (!membership) {
+      throw workspaceError('Workspace not found', 'WORKSPACE_NOT_FOUND');
+    }
+    if (ROLE_RANK[membership.role] < ROLE_RANK[minimumRole]) {
+      throw workspaceError(`This requires the ${minimumRole} role in the workspace`, 'WORKSPACE_FORBIDDEN');
+    }
+    return membership;
+  }
+
+  // ─── WORKSPACES ────────────────────────────────────────────────────
+
+  /**
+   * Workspaces the user belongs to
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Formatted workspaces with the user's role
+   */
+  async listWorkspaces(userId) {
+    const workspaces = await workspace.listForUser(userId);
+    return workspaces.map(row => this.formatWorkspace(row, row.role));
+  }
+
+  /**
+   * Create a workspace owned by the user
+   * @param {number} userId - User ID
+   * @param {Object} data - { name }
+   * @returns {Promise<Object>} Formatted workspace
+   */
+  async createWorkspace(userId, data) {
+    const name = this.validateName(data.name);
+
+    const owned = await workspace.countOwnedBy(userId);
+    if (owned >= MAX_WORKSPACES_PER_USER) {
+      throw workspaceError(`You can own at most ${MAX_WORKSPACES_PER_USER} workspaces`, 'WORKSPACE_LIMIT_REACHED');
+    }
+
+    const created = await workspace.create({ name, owner_users_id: userId });
+    await workspaceMember.create({ workspace_id: created.id, users_id: userId, role: 'owner' });
+
+    logger.info(`Workspace ${created.id} created by user ${userId}`);
+    return this.formatWorkspace(created, 'owner');
+  }
+
+  /**
+   * A workspace with its members, shared resources, seats and the owner's usage this period
+   * @param {number} userId - User ID (any member)
+   * @param {number} workspaceId - Workspace ID
+   * @returns {Promise<Object>}
+   */
+  async getWorkspace(userId, workspaceId) {
+    const membership = await this.requireRole(workspaceId, userId, 'viewer');
+    const isOwner = membership.role === 'owner';
+
+    const [record, members, invitations, channels, characterProfiles, seats, usage] = await Promise.all([
+      workspace.findById(workspaceId),
+      workspaceMember.listForWorkspace(workspaceId),
+      isOwner ? workspaceInvitation.listPending(workspaceId) : [],
+      userYoutubeChannels.getWorkspaceChannels(workspaceId),
+      thumbnailService().getWorkspaceCharacterProfiles(workspaceId),
+      this.getSeats(membership.owner_users_id),
+      subscriptionService.getCurrentPeriodUsageBreakdown(membership.owner_users_id)
+    ]);
+
+    return {
+      workspace: this.formatWorkspace(record, membership.role),
+      members: members.map(member => this.formatMember(member)),
+      invitations: invitations.map(invitation => this.formatInvitation(invitation)),
+      channels: channels.map(channel => ({
+        id: channel.id,
+        channelId: channel.channel_id,
+        name: channel.channel_name,
+        handle: channel.channel_handle,
+        thumbnail: channel.channel_thumbnail,
+        connectedBy: channel.users_id
+      })),
+      characterProfiles: characterProfiles.map(profile => ({
+        id: profile.id,
+        name: profile.profile_name,
+        sharedBy: profile.users_id
+      })),
+      seats,
+      usage
+    };
+  }
+
+  /**
+   * Rename a workspace (owner only)
+   * @param {number} userId - User ID
+   * @param {number} workspaceId - Workspace ID
+   * @param {Object} data - { name }
+   * @returns {Promise<Object>} Formatted workspace
+   */
+  async renameWorkspace(userId, workspaceId, data) {
+    await this.requireRole(workspaceId, userId, 'owner');
+    const name = this.validateName(data.name);
+
+    const updated = await workspace.update(workspaceId, { name });
+    return this.formatWorkspace(updated, 'owner');
+  }
+
+  /**
+   * Delete a workspace (owner only). Shared videos, profiles and channels return to the
+   * personal libraries of the members who added them.
+   * @param {number} userId - User ID
+   * @param {number} workspaceId - Workspace ID
+   * @returns {Promise<void>}
+   */
+  async deleteWorkspace(userId, workspaceId) {
+    await this.requireRole(workspaceId, userId, 'owner');
+    await workspace.delete(workspaceId);
+    logger.info(`Workspace ${workspaceId} deleted by user ${userId}`);
+  }
+
+  // ─── SEATS ─────────────────────────────────────────────────────────
+
+  /**
+   * Seats of a workspace owner: how many their plan provides and how many are taken
+   * @param {number} ownerUserId - Owner user ID
+   * @returns {Promise<Object>} { limit, used }
+   */
+  async getSeats(ownerUserId) {
+    const [limit, holders] = await Promise.all([
+      subscriptionService.getSeatLimit(ownerUserId),
+      workspace.listSeatEmails(ownerUserId)
+    ]);
+    return { limit, used: holders.length };
+  }
+
+  // ─── MEMBERS ───────────────────────────────────────────────────────
+
+  /**
+   * Invite someone by email (owner only). Inviting an address with a pending invitation sends
+   * a fresh link. The invited address takes a seat until the invitation expires or is revoked.
+   * @param {number} userId - User ID of the owner
+   * @param {number} workspaceId - Workspace ID
+   * @param {Object} data - { email, role }
+   * @returns {Promise<Object>} { invitation, acceptUrl, emailSent }
+   */
+  async inviteMember(userId, workspaceId, data) {
+    const membership = await this.requireRole(workspaceId, userId, 'owner');
+
+    const email = typeof data.email === 'string' ? data.email.trim().toLowerCase() : '';
+    if (!EMAIL_PATTERN.test(email) || email.length > 255) {
+      throw workspaceError('A valid email address is required', 'INVALID_WORKSPACE_REQUEST');
+    }
+    const role = data.role || 'viewer';
+    if (!INVITABLE_ROLES.includes(role)) {
+      throw workspaceError(`Role must be one of: ${INVITABLE_ROLES.join(', ')}`, 'INVALID_WORKSPACE_REQUEST');
+    }
+
+    if (await workspaceMember.findByEmail(workspaceId, email)) {
+      throw workspaceError('This person is already a member of the workspace', 'ALREADY_MEMBER');
+    }
+
+    const existing = await workspaceInvitation.findPendingByEmail(workspaceId, email);
+    if (existing) {
+      await workspaceInvitation.delete(existing.id);
+    } else {
+      const [limit, holders] = await Promise.all([
+        subscriptionService.getSeatLimit(membership.owner_users_id),
+        workspace.listSeatEmails(membership.owner_users_id)
+      ]);
+
+      if (!holders.includes(email) && holders.length >= limit) {
+        throw workspaceError(
+          `All ${limit} seat${limit === 1 ? '' : 's'} are in use. Add seats on the Enterprise plan to invite more members.`,
+          'SEAT_LIMIT_REACHED'
+        );
+      }
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + INVITATION_DAYS * 24 * 60 * 60 * 1000);
+    const invitation = await workspaceInvitation.create({
+      workspace_id: workspaceId,
+      email,
+      role,
+      token_hash: hashToken(token),
+      invited_by_users_id: userId,
+      expires_at: expiresAt
+    });
+
+    const acceptUrl = `${process.env.BASE_URL || 'https://amplifycontent.ai'}/workspaces/invitations/${token}`;
+    const inviter = await user.findById(userId);
+    const result = await emailService.sendWorkspaceInvitation(email, {
+      workspaceName: membership.workspace_name,
+      inviterName: [inviter?.first_name, inviter?.last_name].filter(Boolean).join(' ') || inviter?.email,
+      role,
+      acceptUrl,
+      expiresAt: expiresAt.toISOString().split('T')[0]
+    });
+
+    logger.info(`User ${userId} invited a ${role} to workspace ${workspaceId}`);
+    return {
+      invitation: this.formatInvitation(invitation),
+      acceptUrl,
+      emailSent: result?.success !== false
+    };
+  }
+
+  /**
+   * Revoke a pending invitation (owner only)
+   * @param {number} userId - User ID
+   * @param {number} workspaceId - Workspace ID
+   * @param {number} invitationId - Invitation ID
+   * @returns {Promise<void>}
+   */
+  async revokeInvitation(userId, workspaceId, invitationId) {
+    await this.requireRole(workspaceId, userId, 'owner');
+
+    const invitation = await workspaceInvitation.findById(invitationId);
+    if (!invitation || invitation.workspace_id !== workspaceId || invitation.accepted_at) {
+      throw workspaceError('Invitation not found', 'INVITATION_NOT_FOUND');
+    }
+    await workspaceInvitation.delete(invitationId);
+  }
+
+  /**
+   * A pending invitation by the token from its link
+   * @param {string} token - Raw token
+   * @returns {Promise<Object>} { id, workspaceName, email, role, expiresAt }
+   */
+  async getInvitation(token) {
+    const invitation = typeof token === 'string' && token.length > 0
+      ? await workspaceInvitation.findPendingByTokenHash(hashToken(token))
+      : null;
+    if (!invitation) {
+      throw workspaceError('This invitation is invalid or has expired', 'INVITATION_NOT_FOUND');
+    }
+    return {
+      ...this.formatInvitation(invitation),
+      workspaceId: invitation.workspace_id,
+      workspaceName: invitation.workspace_name
+    };
+  }
+
+  /**
+   * Join a workspace with an invitation sent to the signed-in user's email address
+   * @param {Object} currentUser - Signed-in user ({ id, email })
+   * @param {string} token - Raw token from the invitation link
+   * @returns {Promise<Object>} Formatted workspace
+   */
+  async acceptInvitation(currentUser, token) {
+    const invitation = await this.getInvitation(token);
+    if (invitation.email !== String(currentUser.email || '').toLowerCase()) {
+      throw workspaceError(
+        `This invitation was sent to ${invitation.email}. Sign in with that address to accept it.`,
+        'INVITATION_EMAIL_MISMATCH'
+      );
+    }
+
+    const existing = await workspaceMember.findMembership(invitation.workspaceId, currentUser.id);
+    if (!existing) {
+      await workspaceMember.create({
+        workspace_id: invitation.workspaceId,
+        users_id: currentUser.id,
+        role: invitation.role,
+        invited_by_users_id: invitation.invitedBy
+      });
+    }
+    await workspaceInvitation.markAccepted(invitation.id);
+
+    logger.info(`User ${currentUser.id} joined workspace ${invitation.workspaceId} as ${invitation.role}`);
+    const record = await workspace.findById(invitation.workspaceId);
+    return this.formatWorkspace(record, existing ? existing.role : invitation.role);
+  }
+
+  /**
+   * Change a member's role (owner only; the owner's own role can't change)
+   * @param {number} userId - User ID
+   * @param {number} workspaceId - Workspace ID
+   * @param {number} memberUserId - User ID of the member
+   * @param {Object} data - { role }
+   * @returns {Promise<Object>} Formatted member
+   */
+  async updateMemberRole(userId, workspaceId, memberUserId, data) {
+    await this.requireRole(workspaceId, userId, 'owner');
+    if (!INVITABLE_ROLES.includes(data.role)) {
+      throw workspaceError(`Role must be one of: ${INVITABLE_ROLES.join(', ')}`, 'INVALID_WORKSPACE_REQUEST');
+    }
+
+    const member = await workspaceMember.findMembership(workspaceId, memberUserId);
+    if (!member) {
+      throw workspaceError('Member not found', 'MEMBER_NOT_FOUND');
+    }
+    if (member.role === 'owner') {
+      throw workspaceError('The owner\'s role cannot be changed', 'WORKSPACE_FORBIDDEN');
+    }
+
+    const updated = await workspaceMember.update(member.id, { role: data.role });
+    return this.formatMember(updated);
+  }
+
+  /**
+   * Remove a member (owner), or leave the workspace (any member but the owner)
+   * @param {number} userId - User ID
+   * @param {number} workspaceId - Workspace ID
+   * @param {number} memberUserId - User ID of the member to remove
+   * @returns {Promise<void>}
+   */
+  async removeMember(userId, workspaceId, memberUserId) {
+    const membership = await this.requireRole(workspaceId, userId, 'viewer');
+    const leaving = memberUserId === userId;
+
+    if (!leaving && membership.role !== 'owner') {
+      throw workspaceError('Only the workspace owner can remove members', 'WORKSPACE_FORBIDDEN');
+    }
+    if (memberUserId === membership.owner_users_id) {
+      throw workspaceError('The owner can\'t leave the workspace; delete it instead', 'WORKSPACE_FORBIDDEN');
+    }
+
+    const removed = await workspaceMember.removeMember(workspaceId, memberUserId);
+    if (!removed) {
+      throw workspaceError('Member not found', 'MEMBER_NOT_FOUND');
+    }
+    logger.info(`User ${memberUserId} ${leaving ? 'left' : 'was removed from'} workspace ${workspaceId}`);
+  }
+
+  // ─── SHARED RESOURCES ──────────────────────────────────────────────
+
+  /**
+   * Share one of the user's videos into the workspace library (editors and owner)
+   * @param {number} userId - User ID
+   * @param {number} workspaceId - Workspace ID
+   * @param {number} videoId - Video record ID
+   * @returns {Promise<Object>} Updated video
+   */
+  async shareVideo(userId, workspaceId, videoId) {
+    await this.requireRole(workspaceId, userId, 'editor');
+
+    const record = await video.getVideoByIdAndUser(videoId, userId);
+    if (!record) {
+      throw workspaceError('Video not found', 'VIDEO_NOT_FOUND');
+    }
+    return await video.setWorkspace(record.id, workspaceId);
+  }
+
+  /**
+   * Take a video out of the workspace library (the member who shared it, or the owner)
+   * @param {number} userId - User ID
+   * @param {number} workspaceId - Workspace ID
+   * @param {number} videoId - Video record ID
+   * @returns {Promise<void>}
+   */
+  async unshareVideo(userId, workspaceId, videoId) {
+    const membership = await this.requireRole(workspaceId, userId, 'viewer');
+
+    const record = await video.getVideoByIdAndUser(videoId, userId, { access: 'view' });
+    if (!record || record.workspace_id !== workspaceId) {
+      throw workspaceError('Video not found', 'VIDEO_NOT_FOUND');
+    }
+    this.assertCanUnshare(record.users_id, userId, membership);
+    await video.setWorkspace(record.id, null);
+  }
+
+  /**
+   * Share one of the user's character profiles with the workspace (editors and owner)
+   * @param {number} userId - User ID
+   * @param {number} workspaceId - Workspace ID
+   * @param {number} profileId - Character profile ID
+   * @returns {Promise<Object>} Updated profile row
+   */
+  async shareCharacterProfile(userId, workspaceId, profileId) {
+    await this.requireRole(workspaceId, userId, 'editor');
+
+    const profile = await thumbnailService().getCharacterProfile(profileId, userId);
+    if (!profile || profile.users_id !== userId) {
+      throw workspaceError('Character profile not found', 'CHARACTER_PROFILE_NOT_FOUND');
+    }
+    return await thumbnailService().setCharacterProfileWorkspace(profile.id, workspaceId);
+  }
+
+  /**
+   * Stop sharing a character profile (the member who shared it, or the owner)
+   * @param {number} userId - User ID
+   * @param {number} workspaceId - Workspace ID
+   * @param {number} profileId - Character profile ID
+   * @returns {Promise<void>}
+   */
+  async unshareCharacterProfile(userId, workspaceId, profileId) {
+    const membership = await this.requireRole(workspaceId, userId, 'viewer');
+
+    const profile = await thumbnailService().getCharacterProfile(profileId, userId);
+    if (!profile || profile.workspace_id !== workspaceId) {
+      throw workspaceError('Character profile not found', 'CHARACTER_PROFILE_NOT_FOUND');
+    }
+    this.assertCanUnshare(profile.users_id, userId, membership);
+    await thumbnailService().setCharacterProfileWorkspace(profile.id, null);
+  }
+
+  /**
+   * Connect one of the user's YouTube channels to the workspace (editors and owner).
+   * OAuth tokens stay with the member who connected the channel.
+   * @param {number} userId - User ID
+   * @param {number} workspaceId - Workspace ID
+   * @param {number} channelId - user_youtube_channels record ID
+   * @returns {Promise<Object>} Updated channel
+   */
+  async connectChannel(userId, workspaceId, channelId) {
+    await this.requireRole(workspaceId, userId, 'editor');
+
+    const channel = await userYoutubeChannels.findById(channelId);
+    if (!channel || channel.users_id !== userId || !channel.is_active) {
+      throw workspaceError('YouTube channel not found', 'CHANNEL_NOT_FOUND');
+    }
+    return await userYoutubeChannels.setWorkspace(channel.id, workspaceId);
+  }
+
+  /**
+   * Disconnect a YouTube channel from the workspace (the member who connected it, or the owner)
+   * @param {number} userId - User ID
+   * @param {number} workspaceId - Workspace ID
+   * @param {number} channelId - user_youtube_channels record ID
+   * @returns {Promise<void>}
+   */
+  async disconnectChannel(userId, workspaceId, channelId) {
+    const membership = await this.requireRole(workspaceId, userId, 'viewer');
+
+    const channel = await userYoutubeChannels.findById(channelId);
+    if (!channel || channel.workspace_id !== workspaceId) {
+      throw workspaceError('YouTube channel not found', 'CHANNEL_NOT_FOUND');
+    }
+    this.assertCanUnshare(channel.users_id, userId, membership);
+    await userYoutubeChannels.setWorkspace(channel.id, null);
+  }
+
+  /**
+   * Shared resources can be taken back by whoever shared them, or removed by the owner
+   */
+  assertCanUnshare(sharedByUserId, userId, membership) {
+    if (sharedByUserId !== userId && membership.role !== 'owner') {
+      throw workspaceError('Only the member who shared this or the workspace owner can remove it', 'WORKSPACE_FORBIDDEN');
+    }
+  }
+
+  // ─── HELPERS ───────────────────────────────────────────────────────
+
+  validateName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+      throw workspaceError(`Workspace name is required (max ${MAX_NAME_LENGTH} characters)`, 'INVALID_WORKSPACE_REQUEST');
+    }
+    return trimmed;
+  }
+
+  formatWorkspace(record, role) {
+    return {
+      id: record.id,
+      name: record.name,
+      ownerUserId: record.owner_users_id,
+      role,
+      memberCount: record.member_count,
+      createdAt: record.created_at
+    };
+  }
+
+  formatMember(member) {
+    return {
+      userId: member.users_id,
+      email: member.email,
+      name: [member.first_name, member.last_name].filter(Boolean).join(' ') || null,
+      role: member.role,
+      joinedAt: member.created_at
+    };
+  }
+
+  formatInvitation(invitation) {
+    return {
+      id: invitation.id,
+      email: invitation.email,
+      role: invitation.role,
+      invitedBy: invitation.invited_by_users_id,
+      expiresAt: invitation.expires_at,
+      createdAt: invitation.created_at
+    };
+  }
+}
+
+const workspaceService = new WorkspaceService();
+workspaceService.ROLES = ROLES;
+workspaceService.INVITABLE_ROLES = INVITABLE_ROLES;
+workspaceService.INVITATION_DAYS = INVITATION_DAYS;
+module.exports = workspaceService;
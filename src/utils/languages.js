@@ -0,0 +1,64 @@
+/**
+ * Content Languages
+ * Languages content can be generated in or translated to, keyed by the 2-letter
+ * ISO 639-1 code stored in user_preferences.language and video_content.language.
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch',
+  pl: 'Polish',
+  sv: 'Swedish',
+  tr: 'Turkish',
+  ru: 'Russian',
+  uk: 'Ukrainian',
+  el: 'Greek',
+  ar: 'Arabic',
+  he: 'Hebrew',
+  hi: 'Hindi',
+  th: 'Thai',
+  vi: 'Vietnamese',
+  id: 'Indonesian',
+  ja: 'Japanese',
+  ko: 'Korean',
+  zh: 'Chinese (Simplified)'
+};
+
+/**
+ * @param {string} code - Language code
+ * @returns {boolean}
+ */
+function isSupportedLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+/**
+ * @param {string} code - Language code
+ * @returns {string} English name, or the code itself when unknown
+ */
+function getLanguageName(code) {
+  return LANGUAGES[code] || code;
+}
+
+/**
+ * Languages as a list for selects: [{ code, name }]
+ * @returns {Array<Object>}
+ */
+function listLanguages() {
+  return Object.entries(LANGUAGES).map(([code, name]) => ({ code, name }));
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  isSupportedLanguage,
+  getLanguageName,
+  listLanguages
+};
@@ -0,0 +1,231 @@
+/**
+ * OpenAPI helpers for declarative route tables
+ *
+ * A route definition describes its path, params, query and body fields once; these helpers
+ * turn it into express-validator chains and into an OpenAPI 3 document, so the published
+ * API reference cannot drift from what the routes accept.
+ *
+ * Field spec: { type: 'string'|'integer'|'boolean'|'array', description, required, enum,
+ *   minimum, maximum, minLength, maxLength, pattern (RegExp), format, items, minItems,
+ *   maxItems, example, validate (async (value, { req }) => true or throw) }
+ */
+
+const { body, param, query } = require('express-validator');
+
+const LOCATIONS = {
+  params: param,
+  query,
+  body
+};
+
+// ─── VALIDATION ──────────────────────────────────────────────────────
+
+/**
+ * express-validator chain for one field. Values are validated, not converted,
+ * so handlers see the same input as on the session-authenticated routes.
+ */
+function buildFieldValidator(location, name, spec) {
+  let chain = LOCATIONS[location](name);
+
+  if (location !== 'params' && !spec.required) {
+    chain = chain.optional({ values: 'null' });
+  } else {
+    chain = chain.exists({ values: 'falsy' }).withMessage(`${name} is required`).bail();
+  }
+
+  switch (spec.type) {
+  case 'integer':
+    chain = chain.isInt(bounds(spec.minimum, spec.maximum))
+      .withMessage(`${name} must be an integer${rangeText(spec.minimum, spec.maximum)}`);
+    break;
+  case 'boolean':
+    chain = chain.isBoolean().withMessage(`${name} must be true or false`);
+    break;
+  case 'array':
+    chain = chain.isArray(bounds(spec.minItems, spec.maxItems))
+      .withMessage(`${name} must be an array${rangeText(spec.minItems, spec.maxItems, ' items')}`);
+    if (spec.items) {
+      chain = chain.bail().custom(values => values.every(value => matchesSpec(value, spec.items)))
+        .withMessage(`${name} contains an invalid item`);
+    }
+    break;
+  default:
+    chain = chain.isString().withMessage(`${name} must be a string`).bail();
+    if (spec.minLength !== undefined || spec.maxLength !== undefined) {
+      chain = chain.isLength(bounds(spec.minLength, spec.maxLength))
+        .withMessage(`${name} has an invalid length${rangeText(spec.minLength, spec.maxLength, ' characters')}`);
+    }
+    if (spec.format === 'uri') {
+      chain = chain.isURL().withMessage(`${name} must be a URL`);
+    }
+    if (spec.pattern) {
+      chain = chain.matches(spec.pattern).withMessage(`${name} has an invalid format`);
+    }
+  }
+
+  if (spec.enum) {
+    chain = chain.isIn(spec.enum).withMessage(`${name} must be one of: ${spec.enum.join(', ')}`);
+  }
+  if (spec.validate) {
+    chain = chain.bail().custom(spec.validate);
+  }
+
+  return chain;
+}
+
+/**
+ * Whether a single array item matches its spec
+ */
+function matchesSpec(value, spec) {
+  if (spec.type === 'integer' && !Number.isInteger(Number(value))) return false;
+  if (spec.type === 'string' && typeof value !== 'string') return false;
+  if (spec.enum && !spec.enum.includes(value)) return false;
+  if (spec.pattern && !spec.pattern.test(value)) return false;
+  return true;
+}
+
+/**
+ * { min, max } without undefined keys (validator.js treats a present-but-undefined bound as NaN)
+ */
+function bounds(min, max) {
+  const options = {};
+  if (min !== undefined) options.min = min;
+  if (max !== undefined) options.max = max;
+  return options;
+}
+
+/**
+ * " (1-100 items)", " (min 1)", " (max 100 characters)" or ""
+ */
+function rangeText(min, max, unit = '') {
+  if (min !== undefined && max !== undefined) return ` (${min}-${max}${unit})`;
+  if (min !== undefined) return ` (min ${min}${unit})`;
+  if (max !== undefined) return ` (max ${max}${unit})`;
+  return '';
+}
+
+/**
+ * All validation chains of a route definition
+ * @param {Object} route - Route definition
+ * @returns {Array} express-validator chains
+ */
+function buildValidators(route) {
+  return Object.keys(LOCATIONS).flatMap(location =>
+    Object.entries(route[location] || {}).map(([name, spec]) => buildFieldValidator(location, name, spec))
+  );
+}
+
+// ─── DOCUMENT ────────────────────────────────────────────────────────
+
+/**
+ * OpenAPI schema of a field spec
+ */
+function toSchema(spec) {
+  const schema = { type: spec.type || 'string' };
+  const keys = ['enum', 'minimum', 'maximum', 'minLength', 'maxLength', 'format', 'minItems', 'maxItems', 'description', 'example'];
+  keys.forEach(key => {
+    if (spec[key] !== undefined) schema[key] = spec[key];
+  });
+  if (spec.pattern) schema.pattern = spec.pattern.source;
+  if (spec.items) schema.items = toSchema(spec.items);
+  return schema;
+}
+
+/**
+ * Express path (/videos/:id) as an OpenAPI path (/videos/{id})
+ */
+function toOpenApiPath(path) {
+  return path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+/**
+ * OpenAPI 3 document for a route table
+ * @param {Array} routes - Route definitions ({ method, path, operationId, summary, tag, permission, params, query, body, responses })
+ * @param {Object} options - { title, version, description, serverUrl, securitySchemes, errorResponses }
+ * @returns {Object} OpenAPI document
+ */
+function buildOpenApiDocument(routes, options) {
+  const paths = {};
+
+  for (const route of routes) {
+    const parameters = [
+      ...Object.entries(route.params || {}).map(([name, spec]) => ({
+        name, in: 'path', required: true, description: spec.description, schema: toSchema(spec)
+      })),
+      ...Object.entries(route.query || {}).map(([name, spec]) => ({
+        name, in: 'query', required: Boolean(spec.required), description: spec.description, schema: toSchema(spec)
+      }))
+    ];
+
+    const operation = {
+      operationId: route.operationId,
+      summary: route.summary,
+      tags: route.tag ? [route.tag] : undefined,
+      description: route.permission
+        ? `${route.description ? `${route.description}\n\n` : ''}Requires the \`${route.permission}\` permission.`
+        : route.description,
+      parameters: parameters.length > 0 ? parameters : undefined,
+      responses: {
+        ...(route.responses || { 200: { description: 'Success', content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } } } }),
+        ...options.errorResponses
+      }
+    };
+
+    if (route.body) {
+      const required = Object.entries(route.body).filter(([, spec]) => spec.required).map(([name]) => name);
+      operation.requestBody = {
+        required: required.length > 0,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: required.length > 0 ? required : undefined,
+              properties: Object.fromEntries(Object.entries(route.body).map(([name, spec]) => [name, toSchema(spec)]))
+            }
+          }
+        }
+      };
+    }
+
+    const path = toOpenApiPath(route.path);
+    paths[path] = { ...paths[path], [route.method]: JSON.parse(JSON.stringify(operation)) };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: options.title,
+      version: options.version,
+      description: options.description
+    },
+    servers: [{ url: options.serverUrl }],
+    security: Object.keys(options.securitySchemes).map(name => ({ [name]: [] })),
+    paths,
+    components: {
+      securitySchemes: options.securitySchemes,
+      schemas: {
+        Success: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            data: { type: 'object' }
+          }
+        },
+        Error: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: false },
+            message: { type: 'string' },
+            error: { type: 'string', description: 'Error code' }
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  buildValidators,
+  buildOpenApiDocument,
+  toOpenApiPath
+};
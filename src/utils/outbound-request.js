@@ -0,0 +1,130 @@
+/**
+ * Outbound Request Guard
+ * Requests to user-supplied URLs (webhook endpoints, brand kit logos, EPUB images) must
+ * only reach public hosts. Checking the URL alone isn't enough: a public name can resolve to
+ * 127.0.0.1, a private range or the cloud metadata address, and can change between a
+ * check and the request (DNS rebinding). So hostnames are checked as written, and the
+ * agents returned by publicAgents() check every address at connect time.
+ *
+ * Tests can set ALLOW_PRIVATE_OUTBOUND_HOSTS=true to reach local servers; it is ignored
+ * outside NODE_ENV=test.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { URL } = require('url');
+
+function guardError(message) {
+  const error = new Error(message);
+  error.code = 'PRIVATE_ADDRESS';
+  return error;
+}
+
+function privateHostsAllowed() {
+  return process.env.NODE_ENV === 'test' && process.env.ALLOW_PRIVATE_OUTBOUND_HOSTS === 'true';
+}
+
+/**
+ * Loopback, link-local, private-range, unspecified and multicast IP addresses
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const ip = String(address).replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 198 && (b === 18 || b === 19));
+  }
+
+  if (net.isIPv6(ip)) {
+    // IPv4-mapped (::ffff:10.0.0.1) and IPv4-compatible addresses reach the embedded IPv4 host
+    const embedded = ip.match(/^::(?:ffff:)?(\d+\.\d+\.\d+\.\d+)$/);
+    if (embedded) {
+      return isPrivateAddress(embedded[1]);
+    }
+    if (ip.startsWith('::ffff:')) {
+      return true;
+    }
+    return ip === '::1' || ip === '::' || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) || ip.startsWith('ff');
+  }
+
+  return false;
+}
+
+/**
+ * Hostnames that are private as written: local names and private IP literals
+ * @param {string} hostname - URL hostname
+ * @returns {boolean}
+ */
+function isPrivateHost(hostname) {
+  const host = String(hostname).replace(/^\[|\]$/g, '').toLowerCase().replace(/\.$/, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) {
+    return true;
+  }
+  return isPrivateAddress(host);
+}
+
+/**
+ * Throw unless the URL's host may be requested
+ * @param {string|URL} value - URL about to be requested
+ * @returns {URL}
+ */
+function assertPublicUrl(value) {
+  const url = value instanceof URL ? value : new URL(value);
+  if (!privateHostsAllowed() && isPrivateHost(url.hostname)) {
+    throw guardError(`${url.hostname} is not a public host`);
+  }
+  return url;
+}
+
+/**
+ * dns.lookup that fails when any resolved address is private. Used as the socket
+ * lookup, so the address checked is the address connected to.
+ */
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  const lookupOptions = typeof options === 'number' ? { family: options } : { ...options };
+
+  dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (!privateHostsAllowed() && addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(guardError(`${hostname} resolves to a private address`));
+    }
+    if (lookupOptions.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * axios options that route a request through the guarded agents and never through a proxy
+ * @returns {Object} { httpAgent, httpsAgent, proxy }
+ */
+function publicAgents() {
+  return { httpAgent, httpsAgent, proxy: false };
+}
+
+module.exports = {
+  isPrivateAddress,
+  isPrivateHost,
+  assertPublicUrl,
+  publicLookup,
+  publicAgents
+};
@@ -0,0 +1,167 @@
+/**
+ * PDF Font Fallback
+ * PDFKit's standard fonts (Helvetica, Times) only cover Latin-1, so translated or
+ * non-English content renders as missing glyphs. This picks a Unicode font for the
+ * dominant script of the text and registers it over the aliases a document draws with.
+ *
+ * Fonts are looked up in src/assets/fonts, the colon-separated PDF_FONT_DIRS
+ * environment variable and the usual system font directories, so deployments can
+ * install fonts-noto / fonts-noto-cjk packages or ship their own files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/** Scripts the standard fonts can't draw, most specific first */
+const SCRIPT_PATTERNS = {
+  // Hiragana, Katakana, CJK ideographs, Hangul and fullwidth forms
+  cjk: /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/g,
+  arabic: /[\u0600-\u06ff\u0750-\u077f\ufb50-\ufdff\ufe70-\ufeff]/g,
+  hebrew: /[\u0590-\u05ff]/g,
+  devanagari: /[\u0900-\u097f]/g,
+  thai: /[\u0e00-\u0e7f]/g,
+  // Latin Extended (Polish, Turkish, Vietnamese...), Greek and Cyrillic
+  extended: /[\u0100-\u024f\u0370-\u03ff\u0400-\u04ff\u1e00-\u1fff]/g
+};
+
+/**
+ * Candidate font files per script, in order of preference. `family` selects the
+ * face inside a .ttc collection.
+ */
+const FONT_CANDIDATES = {
+  cjk: [
+    { regular: ['NotoSansCJK-Regular.ttc', 'NotoSansCJKsc-Regular'], bold: ['NotoSansCJK-Bold.ttc', 'NotoSansCJKsc-Bold'] },
+    { regular: ['NotoSansSC-Regular.otf'], bold: ['NotoSansSC-Bold.otf'] },
+    { regular: ['NotoSansSC-Regular.ttf'], bold: ['NotoSansSC-Bold.ttf'] },
+    { regular: ['wqy-microhei.ttc', 'WenQuanYi Micro Hei'] }
+  ],
+  arabic: [
+    { regular: ['NotoSansArabic-Regular.ttf'], bold: ['NotoSansArabic-Bold.ttf'] },
+    { regular: ['NotoNaskhArabic-Regular.ttf'], bold: ['NotoNaskhArabic-Bold.ttf'] },
+    { regular: ['DejaVuSans.ttf'], bold: ['DejaVuSans-Bold.ttf'] }
+  ],
+  hebrew: [
+    { regular: ['NotoSansHebrew-Regular.ttf'], bold: ['NotoSansHebrew-Bold.ttf'] },
+    { regular: ['DejaVuSans.ttf'], bold: ['DejaVuSans-Bold.ttf'] }
+  ],
+  devanagari: [
+    { regular: ['NotoSansDevanagari-Regular.ttf'], bold: ['NotoSansDevanagari-Bold.ttf'] }
+  ],
+  thai: [
+    { regular: ['NotoSansThai-Regular.ttf'], bold: ['NotoSansThai-Bold.ttf'] }
+  ],
+  extended: [
+    { regular: ['NotoSans-Regular.ttf'], bold: ['NotoSans-Bold.ttf'] },
+    { regular: ['DejaVuSans.ttf'], bold: ['DejaVuSans-Bold.ttf'] }
+  ]
+};
+
+const SYSTEM_FONT_DIRS = [
+  '/usr/share/fonts/opentype/noto',
+  '/usr/share/fonts/truetype/noto',
+  '/usr/share/fonts/noto',
+  '/usr/share/fonts/noto-cjk',
+  '/usr/share/fonts/google-noto',
+  '/usr/share/fonts/google-noto-cjk',
+  '/usr/share/fonts/truetype/wqy',
+  '/usr/share/fonts/truetype/dejavu',
+  '/usr/share/fonts/dejavu'
+];
+
+/** Resolved fonts per script (null when none is installed), so lookups hit the disk once */
+const resolvedFonts = new Map();
+
+function getFontDirs() {
+  const configured = (process.env.PDF_FONT_DIRS || '').split(':').filter(Boolean);
+  return [path.join(__dirname, '..', 'assets', 'fonts'), ...configured, ...SYSTEM_FONT_DIRS];
+}
+
+function findFontFile(fileName) {
+  for (const dir of getFontDirs()) {
+    const fontPath = path.join(dir, fileName);
+    if (fs.existsSync(fontPath)) return fontPath;
+  }
+  return null;
+}
+
+/**
+ * Dominant script of the text that the standard PDF fonts can't draw
+ * @param {string} text - Text to be rendered
+ * @returns {string|null} Key of SCRIPT_PATTERNS, or null when Latin-1 is enough
+ */
+function detectScript(text) {
+  const value = String(text || '');
+  let best = null;
+  let bestCount = 0;
+
+  for (const [script, pattern] of Object.entries(SCRIPT_PATTERNS)) {
+    const count = (value.match(pattern) || []).length;
+    // Any non-Latin script wins over extended Latin, whose accents are common in titles and names
+    if (count > bestCount && (script !== 'extended' || !best)) {
+      best = script;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Installed regular and bold fonts for a script
+ * @param {string} script - Key of SCRIPT_PATTERNS
+ * @returns {Object|null} { regular: { path, family }, bold: { path, family } }
+ */
+function findFonts(script) {
+  if (resolvedFonts.has(script)) return resolvedFonts.get(script);
+
+  let fonts = null;
+  for (const candidate of FONT_CANDIDATES[script] || []) {
+    const regularPath = findFontFile(candidate.regular[0]);
+    if (!regularPath) continue;
+
+    const regular = { path: regularPath, family: candidate.regular[1] };
+    const boldPath = candidate.bold && findFontFile(candidate.bold[0]);
+    fonts = { regular, bold: boldPath ? { path: boldPath, family: candidate.bold[1] } : regular };
+    break;
+  }
+
+  if (!fonts) {
+    logger.warn(`No font installed for ${script} text in PDFs; install Noto fonts or set PDF_FONT_DIRS`);
+  }
+  resolvedFonts.set(script, fonts);
+  return fonts;
+}
+
+/**
+ * Register a Unicode font over the given aliases when the text needs one
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {string} text - All text the document will draw
+ * @param {Object} aliases - { regular: [font names], bold: [font names] }
+ * @returns {string|null} Script the fonts were registered for, or null when none were
+ */
+function registerUnicodeFonts(doc, text, aliases) {
+  const script = detectScript(text);
+  if (!script) return null;
+
+  const fonts = findFonts(script);
+  if (!fonts) return null;
+
+  try {
+    for (const alias of aliases.regular || []) {
+      doc.registerFont(alias, fonts.regular.path, fonts.regular.family);
+    }
+    for (const alias of aliases.bold || []) {
+      doc.registerFont(alias, fonts.bold.path, fonts.bold.family);
+    }
+  } catch (error) {
+    logger.warn(`Could not register ${script} PDF font: ${error.message}`);
+    return null;
+  }
+  return script;
+}
+
+module.exports = {
+  detectScript,
+  findFonts,
+  registerUnicodeFonts
+};
@@ -110,13 +110,40 @@ class PromptSanitizer {
         return this.wrapSafeContent(sanitized);
     }
 
+    /**
+     * Sanitize a free-text editing instruction typed by a user (e.g. "make this shorter")
+     * @param {string} instruction - Raw instruction
+     * @param {Object} options - { maxLength }
+     * @returns {string} - Sanitized, wrapped instruction ('' when empty)
+     */
+    sanitizeInstruction(instruction, options = {}) {
+        const { maxLength = 500 } = options;
+
+        let sanitized = this.sanitizeGenericContent(instruction).substring(0, maxLength);
+        if (!sanitized) {
+            return '';
+        }
+
+        this.injectionPatterns.forEach(pattern => {
+            sanitized = sanitized.replace(pattern, (match) => {
+                return `[SANITIZED: ${match.trim().replace(/[:<>[\]]/g, '').substring(0, 20)}]`;
+            });
+        });
+        this.suspiciousPatterns.forEach(pattern => {
+            sanitized = sanitized.replace(pattern, '[SUSPICIOUS CONTENT REMOVED]');
+        });
+
+        return this.wrapSafeContent(sanitized.replace(/\s+/g, ' '), 'USER_INSTRUCTION');
+    }
+
     /**
      * Wrap content in a safe container to clearly mark it as user content
      * @param {string} content - Content to wrap
+     * @param {string} label - Marker name
      * @returns {string} - Wrapped content
      */
-    wrapSafeContent(content) {
-        return `[BEGIN USER_TRANSCRIPT]\n${content}\n[END USER_TRANSCRIPT]`;
+    wrapSafeContent(content, label = 'USER_TRANSCRIPT') {
+        return `[BEGIN ${label}]\n${content}\n[END ${label}]`;
     }
 
     /**
@@ -140,7 +167,7 @@ class PromptSanitizer {
 
         if (templateVarsDollar) {
             templateVarsDollar.forEach(variable => {
-                if (!/^\$\{(?:TRANSCRIPT|VIDEO_ID|TITLE|DESCRIPTION)\}$/.test(variable)) {
+                if (!/^\$\{(?:TRANSCRIPT|SPEAKER_TRANSCRIPT|VIDEO_ID|TITLE|DESCRIPTION|LANGUAGE)\}$/.test(variable)) {
                     warnings.push(`Unexpected template variable found: ${variable}`);
                 }
             });
@@ -148,7 +175,7 @@ class PromptSanitizer {
 
         if (templateVarsBracket) {
             templateVarsBracket.forEach(variable => {
-                if (!/^\[INSERT\s+(?:TRANSCRIPT|VIDEO_ID|TITLE|DESCRIPTION)\s+HERE\]$/i.test(variable)) {
+                if (!/^\[INSERT\s+(?:TRANSCRIPT|SPEAKER_TRANSCRIPT|VIDEO_ID|TITLE|DESCRIPTION|LANGUAGE)\s+HERE\]$/i.test(variable)) {
                     warnings.push(`Unexpected template variable found: ${variable}`);
                 }
             });
@@ -157,6 +184,19 @@ class PromptSanitizer {
         return { isValid, warnings };
     }
 
+    /**
+     * Check whether a template references a variable in either placeholder format
+     * @param {string} template - Prompt template
+     * @param {string} key - Variable name (e.g. SPEAKER_TRANSCRIPT)
+     * @returns {boolean}
+     */
+    usesVariable(template, key) {
+        if (!template || typeof template !== 'string') {
+            return false;
+        }
+        return template.includes(`\${${key}}`) || template.includes(`[INSERT ${key} HERE]`);
+    }
+
     /**
      * Safe template processing with additional security
      * @param {string} template - Prompt template
@@ -173,7 +213,7 @@ class PromptSanitizer {
         // Sanitize all variables before substitution
         const sanitizedVars = {};
         for (const [key, value] of Object.entries(variables)) {
-            if (key === 'TRANSCRIPT') {
+            if (key === 'TRANSCRIPT' || key === 'SPEAKER_TRANSCRIPT') {
                 sanitizedVars[key] = this.sanitizeTranscript(value, { strictMode: true });
             } else if (typeof value === 'string') {
                 sanitizedVars[key] = this.sanitizeGenericContent(value);
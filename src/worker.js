@@ -0,0 +1,58 @@
+// Load environment variables first, before any other imports
+require('dotenv').config();
+
+const { logger } = require('./utils');
+const database = require('./services/database.service');
+const processingQueue = require('./services/processing-queue.service');
+
+// Standalone queue worker - runs separately from src/server.js so web replicas
+// never execute long-running tasks and any number of workers can share the queue.
+
+const startWorker = () => {
+  if (!database.pool) {
+    logger.error('Worker requires DATABASE_URL - exiting');
+    process.exit(1);
+  }
+
+  processingQueue.startProcessing();
+
+  logger.info(`🛠️  Queue worker running: ${processingQueue.workerId}`);
+  logger.info(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+};
+
+// Handle graceful shutdown
+let shuttingDown = false;
+const gracefulShutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  logger.info(`${signal} received - draining queue worker`);
+
+  try {
+    await processingQueue.stopProcessing();
+    await database.close();
+    logger.info('Worker stopped successfully');
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error during worker shutdown', { error: error.message });
+    process.exit(1);
+  }
+};
+
+// Process event listeners
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+process.on('uncaughtException', (error) => {
+  logger.error('Uncaught Exception in worker', { error: error.message, stack: error.stack?.split('\n')[0] });
+  // Held leases expire and are requeued by the remaining workers
+  process.exit(1);
+});
+
+process.on('unhandledRejection', (reason, _promise) => {
+  const errorMsg = reason instanceof Error ? reason.message : String(reason);
+  logger.error('Unhandled Rejection in worker', { error: errorMsg });
+});
+
+// Start the worker
+startWorker();
@@ -21,8 +21,13 @@ jest.mock('../../../src/utils/redirect.utils', () => ({
   getPostAuthRedirectUrl: jest.fn().mockReturnValue('/dashboard')
 }));
 
+jest.mock('../../../src/services/session.service', () => ({
+  validateSession: jest.fn()
+}));
+
 const jwt = require('jsonwebtoken');
 const { authService } = require('../../../src/services');
+const sessionService = require('../../../src/services/session.service');
 const { authMiddleware, optionalAuthMiddleware, guestOnlyMiddleware, clearCachedUser, forceTokenRefresh } = require('../../../src/middleware');
 
 describe('Auth Middleware', () => {
@@ -48,7 +53,8 @@ describe('Auth Middleware', () => {
       json: jest.fn().mockReturnThis(),
       redirect: jest.fn().mockReturnThis(),
       clearCookie: jest.fn().mockReturnThis(),
-      cookie: jest.fn().mockReturnThis()
+      cookie: jest.fn().mockReturnThis(),
+      render: jest.fn().mockReturnThis()
     };
 
     mockNext = jest.fn();
@@ -214,6 +220,84 @@ describe('Auth Middleware', () => {
       expect(mockRes.cookie).toHaveBeenCalled();
       expect(mockNext).toHaveBeenCalled();
     });
+
+    it('should keep the session ID when refreshing a token', async () => {
+      mockReq.cookies.auth_token = 'old-token';
+      jwt.verify.mockReturnValue({ userId: 1, email: 'test@example.com', sid: 'session-1' });
+      sessionService.validateSession.mockResolvedValue(true);
+      authService.findUserById.mockResolvedValue(mockUser);
+      authService.generateToken = jest.fn().mockReturnValue('new-token');
+
+      await authMiddleware(mockReq, mockRes, mockNext);
+
+      expect(authService.generateToken).toHaveBeenCalledWith(1, 'test@example.com', mockUser, { sessionId: 'session-1' });
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should accept a token whose session is active', async () => {
+      mockReq.cookies.auth_token = 'valid-token';
+      jwt.verify.mockReturnValue({ ...mockDecodedToken, sid: 'session-1' });
+      sessionService.validateSession.mockResolvedValue(true);
+
+      await authMiddleware(mockReq, mockRes, mockNext);
+
+      expect(sessionService.validateSession).toHaveBeenCalledWith('session-1');
+      expect(mockReq.user.id).toBe(1);
+      expect(mockReq.sessionId).toBe('session-1');
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should reject a token whose session was signed out', async () => {
+      mockReq.cookies.auth_token = 'revoked-token';
+      mockReq.xhr = true;
+      jwt.verify.mockReturnValue({ ...mockDecodedToken, sid: 'session-1' });
+      sessionService.validateSession.mockResolvedValue(false);
+
+      await authMiddleware(mockReq, mockRes, mockNext);
+
+      expect(mockRes.clearCookie).toHaveBeenCalledWith('auth_token');
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockReq.user).toBeUndefined();
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should refuse the request, keeping the token, when the session cannot be checked', async () => {
+      mockReq.cookies.auth_token = 'valid-token';
+      mockReq.xhr = true;
+      jwt.verify.mockReturnValue({ ...mockDecodedToken, sid: 'session-1' });
+      sessionService.validateSession.mockRejectedValue(new Error('connection refused'));
+
+      await authMiddleware(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(503);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'SESSION_CHECK_FAILED' }));
+      expect(mockRes.clearCookie).not.toHaveBeenCalled();
+      expect(mockReq.user).toBeUndefined();
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should render an unavailable page for web requests when the session cannot be checked', async () => {
+      mockReq.cookies.auth_token = 'valid-token';
+      jwt.verify.mockReturnValue({ ...mockDecodedToken, sid: 'session-1' });
+      sessionService.validateSession.mockRejectedValue(new Error('connection refused'));
+
+      await authMiddleware(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(503);
+      expect(mockRes.render).toHaveBeenCalledWith('errors/500', expect.objectContaining({ title: 'Service Unavailable' }));
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should not check sessions for tokens without a session ID', async () => {
+      mockReq.cookies.auth_token = 'legacy-token';
+      jwt.verify.mockReturnValue(mockDecodedToken);
+
+      await authMiddleware(mockReq, mockRes, mockNext);
+
+      expect(sessionService.validateSession).not.toHaveBeenCalled();
+      expect(mockReq.sessionId).toBeNull();
+      expect(mockNext).toHaveBeenCalled();
+    });
   });
 
   describe('optionalAuthMiddleware', () => {
@@ -288,6 +372,29 @@ describe('Auth Middleware', () => {
       expect(mockReq.user).toBeDefined();
       expect(mockNext).toHaveBeenCalled();
     });
+
+    it('should continue without user when the session was signed out', async () => {
+      mockReq.cookies.auth_token = 'revoked-token';
+      jwt.verify.mockReturnValue({ ...mockDecodedToken, sid: 'session-1' });
+      sessionService.validateSession.mockResolvedValue(false);
+
+      await optionalAuthMiddleware(mockReq, mockRes, mockNext);
+
+      expect(mockRes.clearCookie).toHaveBeenCalledWith('auth_token');
+      expect(mockReq.user).toBeUndefined();
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should continue without user when the session cannot be checked', async () => {
+      mockReq.cookies.auth_token = 'valid-token';
+      jwt.verify.mockReturnValue({ ...mockDecodedToken, sid: 'session-1' });
+      sessionService.validateSession.mockRejectedValue(new Error('connection refused'));
+
+      await optionalAuthMiddleware(mockReq, mockRes, mockNext);
+
+      expect(mockReq.user).toBeUndefined();
+      expect(mockNext).toHaveBeenCalled();
+    });
   });
 
   describe('guestOnlyMiddleware', () => {
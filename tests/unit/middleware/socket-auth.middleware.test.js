@@ -0,0 +1,67 @@
+/**
+ * Socket.IO Auth Middleware Unit Tests
+ */
+
+jest.mock('jsonwebtoken');
+
+jest.mock('../../../src/services/session.service', () => ({
+  validateSession: jest.fn()
+}));
+
+const jwt = require('jsonwebtoken');
+const sessionService = require('../../../src/services/session.service');
+const socketAuthMiddleware = require('../../../src/middleware/socket-auth.middleware');
+
+describe('Socket Auth Middleware', () => {
+  let socket;
+  let next;
+
+  beforeEach(() => {
+    socket = { handshake: { auth: { token: 'token' } } };
+    next = jest.fn();
+  });
+
+  it('should accept a token whose session is active', async () => {
+    jwt.verify.mockReturnValue({ userId: 1, sid: 'session-1' });
+    sessionService.validateSession.mockResolvedValue(true);
+
+    await socketAuthMiddleware(socket, next);
+
+    expect(sessionService.validateSession).toHaveBeenCalledWith('session-1');
+    expect(socket.userId).toBe(1);
+    expect(socket.sessionId).toBe('session-1');
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should reject a token whose session was signed out', async () => {
+    jwt.verify.mockReturnValue({ userId: 1, sid: 'session-1' });
+    sessionService.validateSession.mockResolvedValue(false);
+
+    await socketAuthMiddleware(socket, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Session has been signed out' }));
+    expect(socket.userId).toBeUndefined();
+  });
+
+  it('should reject the handshake when the session cannot be checked', async () => {
+    jwt.verify.mockReturnValue({ userId: 1, sid: 'session-1' });
+    sessionService.validateSession.mockRejectedValue(new Error('connection refused'));
+
+    await socketAuthMiddleware(socket, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Session could not be verified' }));
+    expect(socket.userId).toBeUndefined();
+  });
+
+  it('should reject missing and invalid tokens', async () => {
+    jwt.verify.mockImplementation(() => {
+      throw new Error('jwt malformed');
+    });
+
+    await socketAuthMiddleware({ handshake: { auth: {} } }, next);
+    await socketAuthMiddleware(socket, next);
+
+    expect(next).toHaveBeenNthCalledWith(1, expect.objectContaining({ message: 'Authentication required' }));
+    expect(next).toHaveBeenNthCalledWith(2, expect.objectContaining({ message: 'Invalid token' }));
+  });
+});
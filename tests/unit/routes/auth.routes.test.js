@@ -0,0 +1,223 @@
+/**
+ * Auth Routes Unit Tests
+ * OAuth callbacks and social verification must go through the same
+ * two-factor step as password sign-in
+ */
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+jest.mock('../../../src/services/oauth.service', () => ({
+  handleGoogleCallback: jest.fn(),
+  handleAppleCallback: jest.fn(),
+  handleMicrosoftCallback: jest.fn(),
+  completeSocialVerification: jest.fn()
+}));
+
+jest.mock('../../../src/services/session.service', () => ({
+  recordLogin: jest.fn()
+}));
+
+jest.mock('../../../src/services/two-factor.service', () => {
+  const actual = jest.requireActual('../../../src/services/two-factor.service');
+  return {
+    PENDING_COOKIE: actual.PENDING_COOKIE,
+    TRUSTED_DEVICE_COOKIE: actual.TRUSTED_DEVICE_COOKIE,
+    PENDING_TOKEN_MINUTES: actual.PENDING_TOKEN_MINUTES,
+    isEnabled: jest.fn(),
+    isTrustedDevice: jest.fn(),
+    createPendingToken: (...args) => actual.createPendingToken(...args),
+    verifyPendingToken: (...args) => actual.verifyPendingToken(...args)
+  };
+});
+
+jest.mock('../../../src/utils/redirect.utils', () => ({
+  getPostAuthRedirectUrl: jest.fn()
+}));
+
+const oauthService = require('../../../src/services/oauth.service');
+const sessionService = require('../../../src/services/session.service');
+const twoFactorService = require('../../../src/services/two-factor.service');
+const { authService } = require('../../../src/services');
+const { getPostAuthRedirectUrl } = require('../../../src/utils/redirect.utils');
+const authRoutes = require('../../../src/routes/auth.routes');
+
+const oauthUser = {
+  id: 7,
+  email: 'oauth@example.com',
+  firstName: 'Olive',
+  lastName: 'Auth',
+  emailVerified: true,
+  status: 'active'
+};
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/auth', authRoutes);
+  return app;
+}
+
+function signInWith(handler, user = oauthUser) {
+  handler.mockReturnValue((req, res, next) => {
+    req.user = user;
+    next();
+  });
+}
+
+function cookieNamed(response, name) {
+  return (response.headers['set-cookie'] || []).find(cookie => cookie.startsWith(`${name}=`));
+}
+
+function cookieValue(cookie) {
+  return decodeURIComponent(cookie.split(';')[0].split('=')[1]);
+}
+
+describe('Auth Routes - OAuth sign-in', () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+    sessionService.recordLogin.mockResolvedValue({ sessionId: 'session-1' });
+    getPostAuthRedirectUrl.mockReturnValue('/dashboard');
+    jest.spyOn(authService, 'updateUser').mockResolvedValue({});
+    twoFactorService.isEnabled.mockResolvedValue(false);
+    twoFactorService.isTrustedDevice.mockResolvedValue(false);
+  });
+
+  describe.each([
+    ['google', 'get', '/auth/google/callback', () => oauthService.handleGoogleCallback],
+    ['apple', 'post', '/auth/apple/callback', () => oauthService.handleAppleCallback],
+    ['microsoft', 'get', '/auth/microsoft/callback', () => oauthService.handleMicrosoftCallback]
+  ])('%s callback', (provider, method, path, handler) => {
+    it('signs in a user without two-factor authentication', async () => {
+      signInWith(handler());
+
+      const response = await request(app)[method](path);
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/dashboard');
+      expect(sessionService.recordLogin).toHaveBeenCalledWith(oauthUser, expect.anything(), provider, { mfaVerified: false });
+
+      const token = jwt.verify(cookieValue(cookieNamed(response, 'auth_token')), process.env.JWT_SECRET);
+      expect(token).toMatchObject({ userId: 7, sid: 'session-1' });
+    });
+
+    it('retries recording the login session once', async () => {
+      signInWith(handler());
+      sessionService.recordLogin.mockResolvedValueOnce(null);
+
+      const response = await request(app)[method](path);
+
+      expect(response.headers.location).toBe('/dashboard');
+      expect(sessionService.recordLogin).toHaveBeenCalledTimes(2);
+
+      const token = jwt.verify(cookieValue(cookieNamed(response, 'auth_token')), process.env.JWT_SECRET);
+      expect(token.sid).toBe('session-1');
+    });
+
+    it('fails the sign-in without an auth cookie when no login session is recorded', async () => {
+      signInWith(handler());
+      sessionService.recordLogin.mockResolvedValue(null);
+
+      const response = await request(app)[method](path);
+
+      expect(response.headers.location).toBe('/auth/sign-in?error=login_completion_failed');
+      expect(cookieNamed(response, 'auth_token')).toBeUndefined();
+      expect(sessionService.recordLogin).toHaveBeenCalledTimes(2);
+    });
+
+    it('sends a user with two-factor authentication to the code step without an auth cookie', async () => {
+      signInWith(handler());
+      twoFactorService.isEnabled.mockResolvedValue(true);
+
+      const response = await request(app)[method](path);
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/auth/two-factor');
+      expect(cookieNamed(response, 'auth_token')).toBeUndefined();
+      expect(sessionService.recordLogin).not.toHaveBeenCalled();
+
+      const pending = twoFactorService.verifyPendingToken(cookieValue(cookieNamed(response, twoFactorService.PENDING_COOKIE)));
+      expect(pending).toEqual({ userId: 7, remember: false, loginMethod: provider });
+    });
+
+    it('skips the code step on a remembered device', async () => {
+      signInWith(handler());
+      twoFactorService.isEnabled.mockResolvedValue(true);
+      twoFactorService.isTrustedDevice.mockResolvedValue(true);
+
+      const response = await request(app)[method](path)
+        .set('Cookie', `${twoFactorService.TRUSTED_DEVICE_COOKIE}=device-token`);
+
+      expect(response.headers.location).toBe('/dashboard');
+      expect(twoFactorService.isTrustedDevice).toHaveBeenCalledWith(7, 'device-token');
+      expect(cookieNamed(response, 'auth_token')).toBeDefined();
+      expect(sessionService.recordLogin).toHaveBeenCalledWith(oauthUser, expect.anything(), provider, { mfaVerified: true });
+    });
+
+    it('refuses a remembered device when the login session is not recorded', async () => {
+      signInWith(handler());
+      twoFactorService.isEnabled.mockResolvedValue(true);
+      twoFactorService.isTrustedDevice.mockResolvedValue(true);
+      sessionService.recordLogin.mockResolvedValue(null);
+
+      const response = await request(app)[method](path)
+        .set('Cookie', `${twoFactorService.TRUSTED_DEVICE_COOKIE}=device-token`);
+
+      expect(response.headers.location).toBe('/auth/sign-in?error=login_completion_failed');
+      expect(cookieNamed(response, 'auth_token')).toBeUndefined();
+    });
+  });
+
+  describe('POST /auth/social-verify', () => {
+    beforeEach(() => {
+      oauthService.completeSocialVerification.mockResolvedValue({
+        success: true,
+        user: { ...oauthUser, registrationMethod: 'google' }
+      });
+    });
+
+    it('signs in a user without two-factor authentication', async () => {
+      const response = await request(app)
+        .post('/auth/social-verify')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .send({ email: oauthUser.email, code: '123456' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.redirectTo).toBe('/dashboard');
+      expect(cookieNamed(response, 'auth_token')).toBeDefined();
+    });
+
+    it('fails without an auth cookie when no login session is recorded', async () => {
+      sessionService.recordLogin.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/auth/social-verify')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .send({ email: oauthUser.email, code: '123456' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+      expect(cookieNamed(response, 'auth_token')).toBeUndefined();
+    });
+
+    it('requires the code step for a user with two-factor authentication', async () => {
+      twoFactorService.isEnabled.mockResolvedValue(true);
+
+      const response = await request(app)
+        .post('/auth/social-verify')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .send({ email: oauthUser.email, code: '123456' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ twoFactorRequired: true, redirectTo: '/auth/two-factor' });
+      expect(cookieNamed(response, 'auth_token')).toBeUndefined();
+      expect(cookieNamed(response, twoFactorService.PENDING_COOKIE)).toBeDefined();
+      expect(sessionService.recordLogin).not.toHaveBeenCalled();
+    });
+  });
+});
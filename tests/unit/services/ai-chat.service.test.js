@@ -0,0 +1,210 @@
+/**
+ * AI Chat Service Unit Tests
+ * Tests for the provider fallback chain and cost accounting in
+ * src/services/ai-chat.service.js, against stubbed provider clients
+ */
+
+jest.mock('../../../src/services/database.service', () => ({
+  query: jest.fn()
+}));
+
+jest.mock('../../../src/models', () => ({
+  aiRoutingPolicy: {
+    findForContentType: jest.fn()
+  }
+}));
+
+const database = require('../../../src/services/database.service');
+const { aiRoutingPolicy } = require('../../../src/models');
+const aiRoutingService = require('../../../src/services/ai-routing.service');
+const aiChatService = require('../../../src/services/ai-chat.service');
+
+const DEFAULT_POLICY = {
+  id: 1,
+  content_type_id: null,
+  fallback_providers: ['claude', 'chatgpt'],
+  provider_models: {},
+  strategy: 'ordered',
+  is_active: true
+};
+
+function geminiResponse(text, overrides = {}) {
+  return {
+    response: {
+      text: () => text,
+      candidates: [{ finishReason: 'STOP' }],
+      usageMetadata: { promptTokenCount: 1000, candidatesTokenCount: 500, totalTokenCount: 1500 },
+      ...overrides
+    }
+  };
+}
+
+function usageInserts() {
+  return database.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO ai_usage_calls'));
+}
+
+describe('AIChatService', () => {
+  let geminiGenerate;
+  let geminiModels;
+  let claudeCreate;
+  let openaiCreate;
+
+  beforeEach(() => {
+    aiRoutingService.policyCache.clear();
+    aiRoutingPolicy.findForContentType.mockResolvedValue(DEFAULT_POLICY);
+    database.query.mockResolvedValue({ rows: [] });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    geminiGenerate = jest.fn().mockResolvedValue(geminiResponse('Gemini summary'));
+    geminiModels = [];
+    claudeCreate = jest.fn().mockResolvedValue({
+      content: [{ text: 'Claude summary' }],
+      usage: { input_tokens: 1200, output_tokens: 400 },
+      stop_reason: 'end_turn'
+    });
+    openaiCreate = jest.fn().mockResolvedValue({
+      choices: [{ message: { content: 'ChatGPT summary' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 900, completion_tokens: 300, total_tokens: 1200 }
+    });
+
+    aiChatService.gemini = {
+      getGenerativeModel: ({ model }) => {
+        geminiModels.push(model);
+        return { generateContent: geminiGenerate };
+      }
+    };
+    aiChatService.anthropic = { messages: { create: claudeCreate } };
+    aiChatService.openai = { chat: { completions: { create: openaiCreate } } };
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('generateContentWithRetry', () => {
+    const options = {
+      prompt: 'Summarize this transcript',
+      contentType: 'summary_text',
+      usageContext: { userId: 5, videoId: 42 }
+    };
+
+    it('should return the primary provider result with its cost', async () => {
+      const result = await aiChatService.generateContentWithRetry('gemini', options);
+
+      expect(result.text).toBe('Gemini summary');
+      expect(result.metrics).toMatchObject({ provider: 'gemini', model: 'gemini-2.5-flash', fallbackFrom: null });
+      // 1000 input * $0.30/M + 500 output * $2.50/M
+      expect(result.metrics.costUsd).toBeCloseTo(0.00155, 6);
+      expect(claudeCreate).not.toHaveBeenCalled();
+    });
+
+    it('should store each call with its user, video, tokens and cost', async () => {
+      await aiChatService.generateContentWithRetry('gemini', options);
+
+      const inserts = usageInserts();
+      expect(inserts).toHaveLength(1);
+      const params = inserts[0][1];
+      expect(params.slice(0, 11)).toEqual([
+        5, 42, 'summary_text', 'gemini', 'gemini-2.5-flash', 'success', null, null, 1000, 500, 0.00155
+      ]);
+    });
+
+    it('should fall back to the next provider without retrying a safety block', async () => {
+      geminiGenerate.mockResolvedValue(geminiResponse('', {
+        promptFeedback: { blockReason: 'SAFETY' },
+        usageMetadata: { promptTokenCount: 800 }
+      }));
+
+      const result = await aiChatService.generateContentWithRetry('gemini', options, 2);
+
+      expect(geminiGenerate).toHaveBeenCalledTimes(1);
+      expect(result.text).toBe('Claude summary');
+      expect(result.metrics).toMatchObject({ provider: 'claude', model: 'claude-sonnet-4-5', fallbackFrom: 'gemini' });
+
+      const statuses = usageInserts().map(([, params]) => [params[3], params[5], params[6], params[7]]);
+      expect(statuses).toEqual([
+        ['gemini', 'failed', 'CONTENT_FILTERED', null],
+        ['claude', 'success', null, 'gemini']
+      ]);
+      // The blocked prompt is still billed for its input tokens
+      expect(usageInserts()[0][1][8]).toBe(800);
+    });
+
+    it('should move on once a provider has used its retries', async () => {
+      claudeCreate.mockRejectedValue(new Error('overloaded'));
+
+      const result = await aiChatService.generateContentWithRetry('claude', options, 0);
+
+      expect(claudeCreate).toHaveBeenCalledTimes(1);
+      expect(openaiCreate).toHaveBeenCalledTimes(1);
+      expect(result.metrics).toMatchObject({ provider: 'chatgpt', fallbackFrom: 'claude' });
+    });
+
+    it('should run the model selected by the policy', async () => {
+      aiRoutingPolicy.findForContentType.mockResolvedValue({
+        ...DEFAULT_POLICY,
+        provider_models: { gemini: 'gemini-2.5-flash-lite' }
+      });
+
+      const result = await aiChatService.generateContentWithRetry('gemini', options);
+
+      expect(geminiModels).toEqual(['gemini-2.5-flash-lite']);
+      expect(result.metrics.model).toBe('gemini-2.5-flash-lite');
+      // 1000 input * $0.10/M + 500 output * $0.40/M
+      expect(result.metrics.costUsd).toBeCloseTo(0.0003, 6);
+    });
+
+    it('should skip providers that are not configured', async () => {
+      aiChatService.anthropic = null;
+      geminiGenerate.mockRejectedValue(new Error('[RECITATION] blocked'));
+
+      const result = await aiChatService.generateContentWithRetry('gemini', options, 0);
+
+      expect(result.metrics.provider).toBe('chatgpt');
+    });
+
+    it('should try the cheapest provider first with the cheapest strategy', async () => {
+      aiRoutingPolicy.findForContentType.mockResolvedValue({
+        ...DEFAULT_POLICY,
+        fallback_providers: ['gemini', 'chatgpt'],
+        provider_models: { chatgpt: 'gpt-4o-mini' },
+        strategy: 'cheapest'
+      });
+
+      const result = await aiChatService.generateContentWithRetry('claude', options);
+
+      // gpt-4o-mini ($0.75) is cheaper than gemini-2.5-flash ($2.80) and claude-sonnet-4-5 ($18)
+      expect(result.metrics).toMatchObject({ provider: 'chatgpt', model: 'gpt-4o-mini' });
+      expect(geminiGenerate).not.toHaveBeenCalled();
+      expect(claudeCreate).not.toHaveBeenCalled();
+    });
+
+    it('should run the prompt provider alone without a policy', async () => {
+      aiRoutingPolicy.findForContentType.mockResolvedValue(null);
+      claudeCreate.mockRejectedValue(new Error('overloaded'));
+
+      await expect(aiChatService.generateContentWithRetry('claude', options, 0))
+        .rejects.toThrow('Claude generation failed: overloaded');
+      expect(geminiGenerate).not.toHaveBeenCalled();
+      expect(openaiCreate).not.toHaveBeenCalled();
+    });
+
+    it('should throw the last error when every provider fails', async () => {
+      geminiGenerate.mockRejectedValue(new Error('unavailable'));
+      claudeCreate.mockRejectedValue(new Error('overloaded'));
+      openaiCreate.mockRejectedValue(new Error('rate limited'));
+
+      await expect(aiChatService.generateContentWithRetry('gemini', options, 0))
+        .rejects.toThrow('ChatGPT generation failed: rate limited');
+      expect(usageInserts()).toHaveLength(3);
+    });
+
+    it('should still return the result when the cost ledger is unavailable', async () => {
+      database.query.mockRejectedValue(new Error('connection refused'));
+
+      const result = await aiChatService.generateContentWithRetry('gemini', options);
+
+      expect(result.text).toBe('Gemini summary');
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * API Key Service Unit Tests
+ * Tests for src/services/api-key.service.js
+ */
+
+jest.mock('../../../src/services/auth.service', () => ({
+  findUserById: jest.fn()
+}));
+
+jest.mock('../../../src/services/subscription.service', () => ({
+  getCurrentPeriodUsageBreakdown: jest.fn(),
+  trackUsage: jest.fn()
+}));
+
+jest.mock('../../../src/services/subscription-plans.service', () => ({
+  getPlanByKey: jest.fn()
+}));
+
+jest.mock('../../../src/models', () => ({
+  apiKeys: {
+    validateApiKey: jest.fn(),
+    hasPermission: jest.fn(),
+    createApiKey: jest.fn(),
+    findById: jest.fn(),
+    revokeApiKey: jest.fn(),
+    getUserApiKeys: jest.fn(),
+    getActiveUserApiKeys: jest.fn()
+  }
+}));
+
+const authService = require('../../../src/services/auth.service');
+const subscriptionService = require('../../../src/services/subscription.service');
+const subscriptionPlansService = require('../../../src/services/subscription-plans.service');
+const { apiKeys } = require('../../../src/models');
+const apiKeyService = require('../../../src/services/api-key.service');
+
+const KEY = {
+  id: 3,
+  users_id: 5,
+  key_id: 'abc123def4567890',
+  name: 'Zapier',
+  permissions: ['read'],
+  rate_limit: 100,
+  rate_limit_window: 'minute',
+  is_active: true
+};
+
+const USER = {
+  id: 5,
+  email: 'user@example.com',
+  password: 'hashed',
+  emailVerificationToken: 'token',
+  emailVerified: true,
+  status: 'active',
+  subscription_tier: 'premium'
+};
+
+describe('ApiKeyService', () => {
+  beforeEach(() => {
+    apiKeys.validateApiKey.mockResolvedValue(KEY);
+    authService.findUserById.mockResolvedValue(USER);
+    subscriptionPlansService.getPlanByKey.mockResolvedValue({ apiCallsLimit: 1000 });
+    subscriptionService.getCurrentPeriodUsageBreakdown.mockResolvedValue({ api_calls: 10 });
+    apiKeys.getActiveUserApiKeys.mockResolvedValue([]);
+    apiKeys.createApiKey.mockImplementation(async (userId, data) => ({
+      ...KEY,
+      ...data,
+      users_id: userId,
+      api_key: 'oal_abc123def4567890_secret'
+    }));
+  });
+
+  describe('authenticate', () => {
+    it('returns the key and its owner without secrets', async () => {
+      const { key, user } = await apiKeyService.authenticate('oal_abc123def4567890_secret');
+
+      expect(key).toBe(KEY);
+      expect(user.id).toBe(5);
+      expect(user.password).toBeUndefined();
+      expect(user.emailVerificationToken).toBeUndefined();
+    });
+
+    it('rejects keys that do not validate', async () => {
+      apiKeys.validateApiKey.mockResolvedValue(null);
+
+      await expect(apiKeyService.authenticate('oal_nope_nope'))
+        .rejects.toMatchObject({ code: 'INVALID_API_KEY' });
+    });
+
+    it('rejects keys whose owner is not active', async () => {
+      authService.findUserById.mockResolvedValue({ ...USER, status: 'suspended' });
+
+      await expect(apiKeyService.authenticate('oal_abc123def4567890_secret'))
+        .rejects.toMatchObject({ code: 'ACCOUNT_INACTIVE' });
+    });
+  });
+
+  describe('checkCallQuota', () => {
+    it('returns the limit and current usage', async () => {
+      await expect(apiKeyService.checkCallQuota(USER)).resolves.toEqual({ limit: 1000, used: 10 });
+      expect(subscriptionPlansService.getPlanByKey).toHaveBeenCalledWith('premium');
+    });
+
+    it('rejects plans without API access', async () => {
+      subscriptionPlansService.getPlanByKey.mockResolvedValue({ apiCallsLimit: 0 });
+
+      await expect(apiKeyService.checkCallQuota({ ...USER, subscription_tier: 'free' }))
+        .rejects.toMatchObject({ code: 'API_ACCESS_NOT_INCLUDED' });
+    });
+
+    it('rejects once the monthly allowance is used', async () => {
+      subscriptionService.getCurrentPeriodUsageBreakdown.mockResolvedValue({ api_calls: 1000 });
+
+      await expect(apiKeyService.checkCallQuota(USER))
+        .rejects.toMatchObject({ code: 'API_CALL_LIMIT_EXCEEDED' });
+    });
+
+    it('skips the usage lookup for unlimited plans', async () => {
+      subscriptionPlansService.getPlanByKey.mockResolvedValue({ apiCallsLimit: -1 });
+
+      await expect(apiKeyService.checkCallQuota(USER)).resolves.toEqual({ limit: -1, used: null });
+      expect(subscriptionService.getCurrentPeriodUsageBreakdown).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordCall', () => {
+    it('counts the call as api_calls usage', async () => {
+      await apiKeyService.recordCall(5);
+
+      expect(subscriptionService.trackUsage).toHaveBeenCalledWith(5, 'api_calls', 1);
+    });
+
+    it('never throws when usage tracking fails', async () => {
+      subscriptionService.trackUsage.mockRejectedValue(new Error('db down'));
+
+      await expect(apiKeyService.recordCall(5)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('createKey', () => {
+    it('creates a key and returns the full key once', async () => {
+      const key = await apiKeyService.createKey(5, {
+        name: ' Zapier ',
+        permissions: ['read', 'videos'],
+        rateLimit: 60,
+        rateLimitWindow: 'minute',
+        expiresInDays: 30
+      });
+
+      expect(apiKeys.createApiKey).toHaveBeenCalledWith(5, expect.objectContaining({
+        name: 'Zapier',
+        permissions: ['read', 'videos'],
+        rate_limit: 60,
+        rate_limit_window: 'minute',
+        expires_at: expect.any(Date)
+      }));
+      expect(key.apiKey).toBe('oal_abc123def4567890_secret');
+      expect(key.prefix).toBe('oal_abc123def4567890_');
+    });
+
+    it('defaults to read-only and collapses wildcards', async () => {
+      await apiKeyService.createKey(5, { name: 'Default' });
+      expect(apiKeys.createApiKey).toHaveBeenLastCalledWith(5, expect.objectContaining({ permissions: ['read'], rate_limit: 1000 }));
+
+      await apiKeyService.createKey(5, { name: 'All', permissions: ['read', '*'] });
+      expect(apiKeys.createApiKey).toHaveBeenLastCalledWith(5, expect.objectContaining({ permissions: ['*'] }));
+    });
+
+    it.each([
+      [{ name: '' }],
+      [{ name: 'Key', permissions: ['admin'] }],
+      [{ name: 'Key', rateLimit: 0 }],
+      [{ name: 'Key', rateLimitWindow: 'week' }],
+      [{ name: 'Key', expiresInDays: 400 }]
+    ])('rejects invalid input %j', async (data) => {
+      await expect(apiKeyService.createKey(5, data)).rejects.toMatchObject({ code: 'INVALID_API_KEY_REQUEST' });
+      expect(apiKeys.createApiKey).not.toHaveBeenCalled();
+    });
+
+    it('enforces the per-user key limit', async () => {
+      apiKeys.getActiveUserApiKeys.mockResolvedValue(new Array(10).fill(KEY));
+
+      await expect(apiKeyService.createKey(5, { name: 'One too many' }))
+        .rejects.toMatchObject({ code: 'API_KEY_LIMIT_REACHED' });
+    });
+  });
+
+  describe('revokeKey', () => {
+    it('revokes the user\'s own key', async () => {
+      apiKeys.findById.mockResolvedValue(KEY);
+      apiKeys.revokeApiKey.mockResolvedValue({ ...KEY, is_active: false });
+
+      const key = await apiKeyService.revokeKey(5, 3);
+
+      expect(apiKeys.revokeApiKey).toHaveBeenCalledWith(3, 5);
+      expect(key.isActive).toBe(false);
+    });
+
+    it('does not reveal other users\' keys', async () => {
+      apiKeys.findById.mockResolvedValue({ ...KEY, users_id: 9 });
+
+      await expect(apiKeyService.revokeKey(5, 3)).rejects.toMatchObject({ code: 'API_KEY_NOT_FOUND' });
+      expect(apiKeys.revokeApiKey).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Brand Kit Service Unit Tests
+ * Tests for src/services/brand-kit.service.js
+ */
+
+// Mock dependencies before requiring the service
+jest.mock('../../../src/models', () => ({
+  brandKit: { getAssets: jest.fn(), findForUser: jest.fn(), count: jest.fn(), create: jest.fn() }
+}));
+
+const brandKitService = require('../../../src/services/brand-kit.service');
+const { brandKit } = require('../../../src/models');
+
+describe('BrandKitService', () => {
+  const palette = {
+    primary_color: '#1B2A4A',
+    secondary_color: '#2C3E6B',
+    accent_color: '#E8B931',
+    dark_bg: '#1B2A4A',
+    light_bg: '#F5F1EB',
+    card_bg: '#FFFFFF',
+    text_dark: '#1A1A2E',
+    text_light: '#EDE8E0',
+    text_muted: '#7A8BB5',
+    card_border_top: '#E8B931'
+  };
+
+  describe('normalizeColors', () => {
+    it('should accept a readable palette sent as a JSON string', () => {
+      const colors = brandKitService.normalizeColors(JSON.stringify(palette));
+
+      expect(colors.primary_color).toBe('#1b2a4a');
+      expect(Object.keys(colors)).toHaveLength(10);
+    });
+
+    it('should reject missing slots', () => {
+      const { accent_color: _accent, ...partial } = palette;
+      expect(() => brandKitService.normalizeColors(partial)).toThrow('colors.accent_color must be a hex color');
+    });
+
+    it('should reject text that would be unreadable on its background', () => {
+      let error;
+      try {
+        brandKitService.normalizeColors({ ...palette, text_dark: '#E0E0E0' });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.code).toBe('BRAND_KIT_CONTRAST');
+      expect(error.details.map(pair => `${pair.foreground}/${pair.background}`))
+        .toEqual(['text_dark/light_bg', 'text_dark/card_bg']);
+    });
+  });
+
+  describe('uploaded files', () => {
+    it('should detect PNG and JPEG logos and reject other formats', () => {
+      const png = Buffer.from('89504e470d0a1a0a0000', 'hex');
+      const jpeg = Buffer.from('ffd8ffe000104a464946', 'hex');
+      const gif = Buffer.from('GIF89a0000', 'ascii');
+
+      expect(brandKitService.detectLogoType({ buffer: png, size: png.length })).toBe('image/png');
+      expect(brandKitService.detectLogoType({ buffer: jpeg, size: jpeg.length })).toBe('image/jpeg');
+      expect(() => brandKitService.detectLogoType({ buffer: gif, size: gif.length })).toThrow('PNG or JPEG');
+    });
+
+    it('should reject font files pdfkit cannot embed', () => {
+      const junk = Buffer.from('not a font at all');
+      expect(() => brandKitService.validateFontFile({ buffer: junk, size: junk.length, originalname: 'brand.ttf' }))
+        .toThrow('brand.ttf is not a usable TTF or OTF font');
+    });
+  });
+
+  describe('resolveTheme', () => {
+    it('should map a kit to a theme with embedded fonts, logo and footer', async () => {
+      const logo = Buffer.from('89504e47', 'hex');
+      brandKit.getAssets.mockResolvedValue({
+        id: 5,
+        name: 'Acme',
+        colors: palette,
+        heading_font_family: 'Acme Sans',
+        body_font_family: 'Arial',
+        heading_font_file: Buffer.from('font'),
+        body_font_file: null,
+        logo_file: logo,
+        logo_mime_type: 'image/png',
+        footer_text: 'Acme Inc.'
+      });
+
+      const theme = await brandKitService.resolveTheme(3, 5);
+
+      expect(brandKit.getAssets).toHaveBeenCalledWith(5, 3);
+      expect(theme).toMatchObject({
+        id: 'brand_kit_5',
+        fonts: { heading: 'Acme Sans', body: 'Arial' },
+        pdfFonts: { body: null },
+        logo: { data: logo, mimeType: 'image/png' },
+        footerText: 'Acme Inc.'
+      });
+    });
+
+    it('should not resolve another user\'s kit', async () => {
+      brandKit.getAssets.mockResolvedValue(null);
+      await expect(brandKitService.resolveTheme(3, 99)).rejects.toMatchObject({ code: 'BRAND_KIT_NOT_FOUND' });
+    });
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Clip Render Service Unit Tests
+ * Tests for src/services/clip-render.service.js
+ */
+
+// Mock dependencies before requiring the service
+jest.mock('../../../src/services/database.service', () => ({
+  query: jest.fn()
+}));
+
+jest.mock('../../../src/services/processing-status.service', () => ({
+  emitClipRenderUpdate: jest.fn()
+}));
+
+jest.mock('../../../src/services/processing-queue.service', () => ({
+  addToQueue: jest.fn()
+}));
+
+jest.mock('../../../src/services/object-storage.service', () => ({
+  uploadFile: jest.fn(),
+  deleteObject: jest.fn(),
+  getSignedUrl: jest.fn()
+}));
+
+jest.mock('../../../src/services/webhook.service', () => ({
+  dispatch: jest.fn()
+}));
+
+jest.mock('../../../src/models', () => ({
+  transcriptSegment: { getInWindow: jest.fn() },
+  userPreferences: { getBrandPreferences: jest.fn() }
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const clipRenderService = require('../../../src/services/clip-render.service');
+const database = require('../../../src/services/database.service');
+const processingQueue = require('../../../src/services/processing-queue.service');
+const processingStatusService = require('../../../src/services/processing-status.service');
+const objectStorage = require('../../../src/services/object-storage.service');
+const { transcriptSegment } = require('../../../src/models');
+
+describe('ClipRenderService', () => {
+  const segments = [
+    { start_seconds: 98, end_seconds: 102, speaker_label: 'Speaker 1', text: 'before the clip starts' },
+    { start_seconds: 102, end_seconds: 106, speaker_label: 'Speaker 1', text: 'this is the hook. Stay with me' },
+    { start_seconds: 106, end_seconds: 109, speaker_label: 'Speaker 2', text: 'great point' }
+  ];
+
+  describe('normalizeOptions', () => {
+    it('should fill in defaults', () => {
+      expect(clipRenderService.normalizeOptions({})).toEqual({
+        preset: '9:16',
+        captionStyle: 'classic',
+        overlay: 'hook',
+        overlaySeconds: 4,
+        useBranding: true
+      });
+    });
+
+    it('should reject unknown presets and caption styles', () => {
+      expect(() => clipRenderService.normalizeOptions({ preset: '4:3' }))
+        .toThrow(expect.objectContaining({ code: 'INVALID_RENDER_OPTIONS' }));
+      expect(() => clipRenderService.normalizeOptions({ captionStyle: 'comic-sans' }))
+        .toThrow(expect.objectContaining({ code: 'INVALID_RENDER_OPTIONS' }));
+    });
+  });
+
+  describe('captions', () => {
+    it('should time words relative to the clip start and drop words outside it', () => {
+      const words = clipRenderService.buildCaptionWords(segments, 100, 108);
+
+      expect(words.slice(0, 2).map(word => word.text)).toEqual(['clip', 'starts']);
+      expect(words[0].start).toBe(0);
+      expect(words.every(word => word.start >= 0 && word.end <= 8)).toBe(true);
+      expect(words.map(word => word.text)).not.toContain('before');
+    });
+
+    it('should break cues at sentence ends, speaker changes and the word limit', () => {
+      const words = clipRenderService.buildCaptionWords(segments, 102, 109);
+      const cues = clipRenderService.groupCaptionCues(words, 3);
+
+      expect(cues.map(cue => cue.words.map(word => word.text).join(' '))).toEqual([
+        'this is the',
+        'hook.',
+        'Stay with me',
+        'great point'
+      ]);
+      cues.slice(1).forEach((cue, index) => {
+        expect(cue.start).toBeGreaterThanOrEqual(cues[index].end);
+      });
+    });
+
+    it('should write karaoke timing and the hook overlay into the subtitle document', () => {
+      const cues = [{ start: 0, end: 1.5, words: [{ text: 'hello', start: 0, end: 0.5 }, { text: 'there', start: 0.5, end: 1.5 }] }];
+      const document = clipRenderService.buildSubtitleDocument({
+        preset: { width: 1080, height: 1920 },
+        style: {
+          fontScale: 0.06, bold: true, uppercase: false, outline: 4, shadow: 0, boxed: false,
+          marginRatio: 0.18, maxWords: 6, animation: 'karaoke', highlightColor: '#00E5FF'
+        },
+        cues,
+        brand: { primaryColor: '#1A73E8', fontFamily: 'Inter, Bold' },
+        layout: clipRenderService.getLayout({ width: 1080, height: 1920 }, false),
+        overlayText: 'Why {this} matters',
+        overlaySeconds: 4,
+        duration: 30
+      });
+
+      expect(document).toContain('PlayResY: 1920');
+      expect(document).toContain('Style: Caption,Inter Bold,65,&H00E8731A');
+      expect(document).toContain('Dialogue: 1,0:00:00.00,0:00:04.00,Title,,0,0,0,,{\\fad(200,300)}Why (this) matters');
+      expect(document).toContain('{\\kf50}hello {\\kf100}there');
+    });
+  });
+
+  describe('buildFfmpegArgs', () => {
+    it('should overlay the logo from the input after the source', () => {
+      const preset = { width: 1080, height: 1080 };
+      const args = clipRenderService.buildFfmpegArgs({
+        source: { inputArgs: ['-f', 'lavfi', '-i', 'color=c=0x111111', '-ss', '10', '-t', '20', '-i', '/media/talk.mp3'], audioInput: '1:a' },
+        logoPath: '/tmp/render/logo.png',
+        subtitlePath: '/tmp/render/captions.ass',
+        preset,
+        layout: clipRenderService.getLayout(preset, true),
+        duration: 20,
+        outputPath: '/tmp/render/render.mp4'
+      });
+
+      const filterGraph = args[args.indexOf('-filter_complex') + 1];
+      expect(filterGraph).toContain('[2:v]scale=151:-1[logo]');
+      expect(filterGraph).toContain('[branded]ass=\'/tmp/render/captions.ass\'[vout]');
+      expect(args).toEqual(expect.arrayContaining(['-map', '1:a', '-progress', 'pipe:1']));
+    });
+  });
+
+  describe('parseProgressLine', () => {
+    it('should read out_time in microseconds', () => {
+      expect(clipRenderService.parseProgressLine('out_time_us=12500000')).toBe(12.5);
+      expect(clipRenderService.parseProgressLine('out_time_ms=2000000')).toBe(2);
+      expect(clipRenderService.parseProgressLine('frame=120')).toBeNull();
+    });
+  });
+
+  describe('queueRender', () => {
+    const clip = { id: 7, video_id: 3, users_id: 5 };
+
+    it('should claim the clip, queue a render_clip job and publish the state', async () => {
+      database.query.mockResolvedValue({ rows: [{ id: 7, video_id: 3, render_status: 'queued', render_progress: 0 }] });
+
+      const render = await clipRenderService.queueRender(clip, { preset: '1:1', captionStyle: 'karaoke' });
+
+      expect(processingQueue.addToQueue).toHaveBeenCalledWith(3, 'render_clip', 1, expect.objectContaining({
+        clipId: 7,
+        preset: '1:1',
+        captionStyle: 'karaoke'
+      }));
+      expect(processingStatusService.emitClipRenderUpdate).toHaveBeenCalledWith(5, expect.objectContaining({ status: 'queued' }));
+      expect(render.status).toBe('queued');
+    });
+
+    it('should refuse to queue while a render is in progress', async () => {
+      database.query.mockResolvedValue({ rows: [] });
+
+      await expect(clipRenderService.queueRender(clip, {}))
+        .rejects.toMatchObject({ code: 'RENDER_IN_PROGRESS' });
+      expect(processingQueue.addToQueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('fetchLogo', () => {
+    let workDir;
+
+    beforeEach(() => {
+      workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clip-render-test-'));
+      jest.spyOn(axios, 'get');
+    });
+
+    afterEach(() => {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it('should never request logos on private or metadata addresses', async () => {
+      for (const logoUrl of ['https://169.254.169.254/latest/meta-data', 'https://localhost/logo.png', 'https://[::1]/logo.png']) {
+        expect(await clipRenderService.fetchLogo(logoUrl, workDir)).toBeNull();
+      }
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    it('should download through the guarded agents without following redirects', async () => {
+      axios.get.mockResolvedValue({ headers: { 'content-type': 'image/png' }, data: Buffer.from('png') });
+
+      const logoPath = await clipRenderService.fetchLogo('https://cdn.example.com/logo.png', workDir);
+
+      expect(axios.get).toHaveBeenCalledWith('https://cdn.example.com/logo.png', expect.objectContaining({
+        maxRedirects: 0,
+        proxy: false,
+        httpsAgent: expect.any(Object)
+      }));
+      expect(logoPath).toBe(path.join(workDir, 'logo.png'));
+      expect(fs.readFileSync(logoPath, 'utf8')).toBe('png');
+    });
+  });
+
+  describe('renderClip', () => {
+    const clip = {
+      id: 12,
+      video_id: 7,
+      videoid: 'abc123',
+      users_id: 3,
+      start_time_seconds: '102',
+      end_time_seconds: '109',
+      rendered_file_path: 'clips/renders/abc123_12_16x9.mp4',
+      render_options: { useBranding: false }
+    };
+
+    beforeEach(() => {
+      jest.spyOn(clipRenderService, 'getClipForRender').mockResolvedValue(clip);
+      jest.spyOn(clipRenderService, 'updateRenderState').mockImplementation(async (_clip, fields) => fields);
+      jest.spyOn(clipRenderService, 'resolveSource').mockResolvedValue({ inputArgs: ['-i', 'source.mp3'], audioInput: '0:a?' });
+      jest.spyOn(clipRenderService, 'runFfmpeg').mockImplementation(async (args) => {
+        fs.writeFileSync(args[args.length - 1], 'rendered');
+      });
+      transcriptSegment.getInWindow.mockResolvedValue([]);
+      objectStorage.uploadFile.mockResolvedValue();
+      objectStorage.deleteObject.mockResolvedValue();
+    });
+
+    it('should upload the render to object storage and store its key', async () => {
+      let uploadedFrom;
+      objectStorage.uploadFile.mockImplementation(async (key, filePath) => {
+        uploadedFrom = filePath;
+        expect(fs.readFileSync(filePath, 'utf8')).toBe('rendered');
+      });
+
+      const result = await clipRenderService.renderClip(12, { preset: '9:16' });
+
+      expect(objectStorage.uploadFile).toHaveBeenCalledWith('clips/renders/abc123_12_9x16.mp4', uploadedFrom, 'video/mp4');
+      expect(objectStorage.deleteObject).toHaveBeenCalledWith('clips/renders/abc123_12_16x9.mp4');
+      expect(clipRenderService.updateRenderState).toHaveBeenCalledWith(clip, expect.objectContaining({
+        render_status: 'completed',
+        rendered_file_path: 'clips/renders/abc123_12_9x16.mp4',
+        rendered_file_size_bytes: 8
+      }));
+      expect(result.storageKey).toBe('clips/renders/abc123_12_9x16.mp4');
+      expect(fs.existsSync(uploadedFrom)).toBe(false);
+    });
+  });
+});
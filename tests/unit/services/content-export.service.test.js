@@ -0,0 +1,105 @@
+/**
+ * Content Export Service Unit Tests
+ * Tests for src/services/content-export.service.js and the Markdown / HTML /
+ * plain-text renderers in src/services/document-generation.service.js
+ */
+
+jest.mock('../../../src/services/content.service', () => ({
+  getVideoContent: jest.fn()
+}));
+
+const contentService = require('../../../src/services/content.service');
+const contentExportService = require('../../../src/services/content-export.service');
+const documentGenerationService = require('../../../src/services/document-generation.service');
+
+const SUMMARY = `## Key Points
+
+Growth comes from **consistency** & <real> value.
+
+- Post daily
+- Reply to comments
+
+| Metric | Target |
+|---|---|
+| CTR | 6% |
+
+Character count: 120/280`;
+
+const DECK = JSON.stringify({
+  theme: {},
+  slides: [
+    { slide_type: 'title', title: 'Growth Playbook', subtitle: 'Q3 review' },
+    { slide_type: 'bullets', heading: 'What worked', bullets: ['Shorts', 'Collabs'] }
+  ]
+});
+
+describe('ContentExportService', () => {
+  describe('text formats', () => {
+    it('should export markdown with a title block and without character counts', () => {
+      const markdown = documentGenerationService.generateMarkdown(SUMMARY, 'summary_text', 'My Video');
+
+      expect(markdown.startsWith('# Summary\n\n*My Video*\n\n---\n\n## Key Points')).toBe(true);
+      expect(markdown).not.toContain('Character count');
+    });
+
+    it('should export self-contained, escaped HTML using the document palette', () => {
+      const html = documentGenerationService.generateHtml(SUMMARY, 'summary_text', 'My <Video>');
+
+      expect(html).toContain(`color: ${documentGenerationService.styles.colors.primary}`);
+      expect(html).not.toMatch(/<link|<script|src="http/);
+      expect(html).toContain('<p class="subtitle">My &lt;Video&gt;</p>');
+      expect(html).toContain('<h3>Key Points</h3>');
+      expect(html).toContain('<strong>consistency</strong> &amp; &lt;real&gt; value.');
+      expect(html).toContain('<ul>\n<li>Post daily</li>\n<li>Reply to comments</li>\n</ul>');
+      expect(html).toContain('<thead><tr><th>Metric</th><th>Target</th></tr></thead>');
+    });
+
+    it('should export plain text without markdown syntax', () => {
+      const text = documentGenerationService.generatePlainText(SUMMARY, 'summary_text', 'My Video');
+
+      expect(text).toContain('Key Points\n----------');
+      expect(text).toContain('Growth comes from consistency & <real> value.');
+      expect(text).toContain('  • Post daily\n  • Reply to comments');
+      expect(text).not.toMatch(/\*\*|##/);
+    });
+
+    it('should turn slide deck JSON into an outline', () => {
+      const markdown = documentGenerationService.toMarkdownSource(DECK, 'slide_deck_text');
+
+      expect(markdown).toBe('## 1. Growth Playbook\n\n*Q3 review*\n\n## 2. What worked\n\n- Shorts\n- Collabs');
+    });
+  });
+
+  describe('generateBundle', () => {
+    beforeEach(() => {
+      contentService.getVideoContent.mockResolvedValue([
+        { content_type_key: 'summary_text', content_text: SUMMARY, version: 2 },
+        { content_type_key: 'summary_text', content_text: '## Original', version: 1 },
+        { content_type_key: 'slide_deck_text', content_text: '{ not json', version: 1 },
+        { content_type_key: 'quiz_text', content_text: '   ', version: 1 }
+      ]);
+    });
+
+    it('should render one file per content type and format, noting items that fail', async () => {
+      const renderSpy = jest.spyOn(contentExportService, 'renderContent');
+      const zipSpy = jest.spyOn(contentExportService, 'zipFiles');
+
+      const bundle = await contentExportService.generateBundle(5, 'My Video', ['md', 'txt']);
+
+      const files = zipSpy.mock.calls[0][0];
+      expect(files.map(file => file.name)).toEqual(['Summary.md', 'Summary.txt', 'EXPORT_NOTES.txt']);
+      expect(files[0].data.toString()).toContain('## Original');
+      expect(files[2].data.toString()).toContain('Slide_Deck.md');
+      expect(renderSpy).toHaveBeenCalledTimes(4);
+
+      expect(bundle.fileCount).toBe(3);
+      expect(bundle.buffer.readUInt32LE(0)).toBe(0x04034b50);
+    });
+
+    it('should return null when the video has no generated content', async () => {
+      contentService.getVideoContent.mockResolvedValue([]);
+
+      await expect(contentExportService.generateBundle(5, 'My Video', ['md'])).resolves.toBeNull();
+    });
+  });
+});
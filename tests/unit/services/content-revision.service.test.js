@@ -0,0 +1,135 @@
+/**
+ * Content Revision Service Unit Tests
+ * Tests for src/services/content-revision.service.js
+ */
+
+jest.mock('../../../src/services/database.service', () => ({
+  query: jest.fn()
+}));
+
+jest.mock('../../../src/services/content.service', () => ({
+  updateVideoContent: jest.fn()
+}));
+
+jest.mock('../../../src/models', () => ({
+  videoContentRevision: {
+    record: jest.fn(),
+    ensureBaseline: jest.fn(),
+    listForContent: jest.fn(),
+    findRevision: jest.fn()
+  }
+}));
+
+const database = require('../../../src/services/database.service');
+const contentService = require('../../../src/services/content.service');
+const { videoContentRevision } = require('../../../src/models');
+const contentRevisionService = require('../../../src/services/content-revision.service');
+
+describe('ContentRevisionService', () => {
+  describe('diffLines', () => {
+    it('should group unchanged, removed and added lines in order', () => {
+      const changes = contentRevisionService.diffLines(
+        '# Title\nIntro\nOld point\nShared\nOutro',
+        '# Title\nIntro\nNew point\nAnother point\nShared\nOutro'
+      );
+
+      expect(changes).toEqual([
+        { type: 'equal', lines: ['# Title', 'Intro'] },
+        { type: 'removed', lines: ['Old point'] },
+        { type: 'added', lines: ['New point', 'Another point'] },
+        { type: 'equal', lines: ['Shared', 'Outro'] }
+      ]);
+    });
+
+    it('should report identical texts as a single unchanged run', () => {
+      expect(contentRevisionService.diffLines('a\nb', 'a\nb')).toEqual([{ type: 'equal', lines: ['a', 'b'] }]);
+    });
+  });
+
+  describe('recording', () => {
+    it('should store the save details as a revision', async () => {
+      videoContentRevision.record.mockResolvedValue({ revision_number: 3 });
+
+      const revision = await contentRevisionService.recordRevision(8, {
+        contentText: 'Edited', source: 'manual_edit', userId: 5
+      });
+
+      expect(revision.revision_number).toBe(3);
+      expect(videoContentRevision.record).toHaveBeenCalledWith(expect.objectContaining({
+        video_content_id: 8, content_text: 'Edited', source: 'manual_edit', created_by_user_id: 5
+      }));
+    });
+
+    it('should never fail a save when history cannot be written', async () => {
+      videoContentRevision.record.mockRejectedValue(new Error('relation does not exist'));
+      videoContentRevision.ensureBaseline.mockRejectedValue(new Error('relation does not exist'));
+
+      await expect(contentRevisionService.snapshotBaseline(8)).resolves.toBeUndefined();
+      await expect(contentRevisionService.recordRevision(8, { contentText: 'x', source: 'regenerate' })).resolves.toBeNull();
+    });
+  });
+
+  describe('reading', () => {
+    beforeEach(() => {
+      database.query.mockResolvedValue({ rows: [{ id: 8, content_text: 'line one\nline two' }] });
+    });
+
+    it('should flag manual edits when the newest revision was not AI output', async () => {
+      videoContentRevision.listForContent.mockResolvedValue([
+        { revision_number: 2, source: 'manual_edit' },
+        { revision_number: 1, source: 'ai_generation' }
+      ]);
+
+      const result = await contentRevisionService.listRevisions(4, 'summary_text');
+
+      expect(result).toMatchObject({ contentId: 8, hasManualEdits: true });
+      expect(result.revisions).toHaveLength(2);
+    });
+
+    it('should diff a revision against the current text by default', async () => {
+      videoContentRevision.findRevision.mockResolvedValue({ revision_number: 1, content_text: 'line one' });
+
+      const diff = await contentRevisionService.diffRevisions(4, 'summary_text', 1);
+
+      expect(diff.from).toBe(1);
+      expect(diff.to).toBeNull();
+      expect(diff.stats).toEqual({ added: 1, removed: 0 });
+    });
+
+    it('should raise REVISION_NOT_FOUND for unknown revisions', async () => {
+      videoContentRevision.findRevision.mockResolvedValue(null);
+
+      await expect(contentRevisionService.getRevision(4, 'summary_text', 9)).rejects.toMatchObject({ code: 'REVISION_NOT_FOUND' });
+    });
+
+    it('should only report content types whose latest revision is a manual edit or restore', async () => {
+      database.query.mockResolvedValue({
+        rows: [
+          { key: 'blog_text', source: 'regenerate' },
+          { key: 'quiz_text', source: 'restore' },
+          { key: 'summary_text', source: 'manual_edit' }
+        ]
+      });
+
+      await expect(contentRevisionService.getManuallyEditedTypes(4, ['blog_text', 'quiz_text', 'summary_text']))
+        .resolves.toEqual(['quiz_text', 'summary_text']);
+    });
+  });
+
+  describe('restoreRevision', () => {
+    it('should save the revision text as the current text, recorded as a restore', async () => {
+      database.query.mockResolvedValue({ rows: [{ id: 8, content_text: 'current' }] });
+      videoContentRevision.findRevision.mockResolvedValue({ revision_number: 2, content_text: 'earlier' });
+      contentService.updateVideoContent.mockResolvedValue({ content_text: 'earlier' });
+
+      const result = await contentRevisionService.restoreRevision(4, 'summary_text', 2, 5);
+
+      expect(contentService.updateVideoContent).toHaveBeenCalledWith(
+        8,
+        { contentText: 'earlier', contentUrl: null },
+        { userId: 5, revisionSource: 'restore', restoredFromRevision: 2 }
+      );
+      expect(result).toEqual({ contentId: 8, contentText: 'earlier', restoredFrom: 2 });
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Content Translation Service Unit Tests
+ * Tests for src/services/content-translation.service.js
+ */
+
+jest.mock('../../../src/services/database.service', () => ({
+  query: jest.fn()
+}));
+
+jest.mock('../../../src/services/ai-chat.service', () => ({
+  generateContentWithRetry: jest.fn(),
+  resolveProvider: jest.fn()
+}));
+
+jest.mock('../../../src/services/content-revision.service', () => ({
+  snapshotBaseline: jest.fn()
+}));
+
+jest.mock('../../../src/services/subscription.service', () => ({
+  trackUsage: jest.fn()
+}));
+
+jest.mock('../../../src/models', () => ({
+  video: { accessCondition: jest.requireActual('../../../src/models/Video').prototype.accessCondition },
+  videoContentTranslation: {
+    upsert: jest.fn(),
+    listForContent: jest.fn(),
+    findForContent: jest.fn(),
+    delete: jest.fn()
+  },
+  videoContentRevision: {
+    findLatest: jest.fn()
+  }
+}));
+
+const database = require('../../../src/services/database.service');
+const aiChatService = require('../../../src/services/ai-chat.service');
+const contentRevisionService = require('../../../src/services/content-revision.service');
+const subscriptionService = require('../../../src/services/subscription.service');
+const { videoContentTranslation, videoContentRevision } = require('../../../src/models');
+const contentTranslationService = require('../../../src/services/content-translation.service');
+
+const CONTENT_ROW = {
+  id: 8,
+  content_text: '# Study Guide\n\nPost daily.',
+  language: 'en',
+  ai_provider: 'claude',
+  content_type: 'study_guide_text',
+  content_label: 'Study Guide'
+};
+
+describe('ContentTranslationService', () => {
+  beforeEach(() => {
+    database.query.mockResolvedValue({ rows: [CONTENT_ROW] });
+    aiChatService.resolveProvider.mockImplementation(preferred => preferred);
+    videoContentRevision.findLatest.mockResolvedValue({ revision_number: 3 });
+    videoContentTranslation.upsert.mockImplementation(async data => ({ id: 1, ...data }));
+  });
+
+  describe('splitForTranslation', () => {
+    it('should split long text at paragraph breaks but never inside a code fence', () => {
+      // The fence opens just under the limit and closes past it
+      const paragraph = 'x'.repeat(contentTranslationService.MAX_CHUNK_LENGTH / 2 - 10);
+      const fence = '```\nline one\n\nline two\n```';
+      const chunks = contentTranslationService.splitForTranslation([paragraph, paragraph, fence, paragraph].join('\n\n'));
+
+      expect(chunks).toEqual([`${paragraph}\n\n${paragraph}\n\n${fence}`, paragraph]);
+    });
+  });
+
+  describe('translateContent', () => {
+    it('should store the translation against the latest revision and count the usage', async () => {
+      aiChatService.generateContentWithRetry.mockResolvedValue({ text: '[BEGIN DOCUMENT]\n# Guía de estudio\n\nPublica a diario.\n[END DOCUMENT]' });
+
+      const result = await contentTranslationService.translateContent(5, 8, 'es');
+
+      expect(contentRevisionService.snapshotBaseline).toHaveBeenCalledWith(8);
+      expect(aiChatService.generateContentWithRetry).toHaveBeenCalledWith('claude', expect.objectContaining({
+        prompt: expect.stringContaining('Post daily.'),
+        systemMessage: expect.stringContaining('from English into Spanish')
+      }));
+      expect(videoContentTranslation.upsert).toHaveBeenCalledWith({
+        video_content_id: 8,
+        language: 'es',
+        content_text: '# Guía de estudio\n\nPublica a diario.',
+        ai_provider: 'claude',
+        source_revision_number: 3,
+        created_by_user_id: 5
+      });
+      expect(subscriptionService.trackUsage).toHaveBeenCalledWith(5, 'ai_summaries');
+      expect(result).toMatchObject({ language: 'es', language_name: 'Spanish', is_stale: false });
+    });
+
+    it('should reject unsupported languages and the language the content is already in', async () => {
+      await expect(contentTranslationService.translateContent(5, 8, 'xx'))
+        .rejects.toMatchObject({ code: 'UNSUPPORTED_LANGUAGE' });
+      await expect(contentTranslationService.translateContent(5, 8, 'en'))
+        .rejects.toMatchObject({ code: 'SAME_LANGUAGE' });
+      expect(aiChatService.generateContentWithRetry).not.toHaveBeenCalled();
+    });
+
+    it('should reject a translated slide deck that is no longer valid JSON', async () => {
+      database.query.mockResolvedValue({ rows: [{ ...CONTENT_ROW, content_type: 'slide_deck_text', content_text: '{"slides":[]}' }] });
+      aiChatService.generateContentWithRetry.mockResolvedValue({ text: 'Lo siento, no puedo.' });
+
+      await expect(contentTranslationService.translateContent(5, 8, 'es'))
+        .rejects.toMatchObject({ code: 'TRANSLATION_FAILED' });
+      expect(videoContentTranslation.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should raise CONTENT_NOT_FOUND for content the user does not own', async () => {
+      database.query.mockResolvedValue({ rows: [] });
+
+      await expect(contentTranslationService.translateContent(6, 8, 'es'))
+        .rejects.toMatchObject({ code: 'CONTENT_NOT_FOUND' });
+    });
+
+    it('should let workspace owners and editors of the video translate it', async () => {
+      aiChatService.generateContentWithRetry.mockResolvedValue({ text: '# Guía\n\nPublica a diario.' });
+
+      await contentTranslationService.translateContent(6, 8, 'es');
+
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('v.workspace_id IN');
+      expect(sql).toContain('role IN (\'owner\', \'editor\')');
+      expect(params).toEqual([8, 6]);
+    });
+  });
+
+  describe('deleteTranslation', () => {
+    it('should raise TRANSLATION_NOT_FOUND when there is no translation into the language', async () => {
+      videoContentTranslation.findForContent.mockResolvedValue(null);
+
+      await expect(contentTranslationService.deleteTranslation(5, 8, 'fr'))
+        .rejects.toMatchObject({ code: 'TRANSLATION_NOT_FOUND' });
+      expect(videoContentTranslation.delete).not.toHaveBeenCalled();
+    });
+
+    it('should need edit access to the video, while reading only needs view access', async () => {
+      videoContentTranslation.findForContent.mockResolvedValue({ id: 3, video_content_id: 8 });
+
+      await contentTranslationService.getTranslation(6, 8, 'es');
+      await contentTranslationService.deleteTranslation(6, 8, 'es');
+
+      expect(database.query.mock.calls[0][0]).toContain('role IN (\'owner\', \'editor\', \'viewer\')');
+      expect(database.query.mock.calls[1][0]).toContain('role IN (\'owner\', \'editor\')');
+      expect(videoContentTranslation.delete).toHaveBeenCalledWith(3);
+    });
+  });
+});
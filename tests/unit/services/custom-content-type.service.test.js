@@ -0,0 +1,188 @@
+/**
+ * Custom Content Type Service Unit Tests
+ * Tests for src/services/custom-content-type.service.js
+ */
+
+jest.mock('../../../src/services/database.service', () => ({
+  query: jest.fn()
+}));
+
+jest.mock('../../../src/services/ai-chat.service', () => ({
+  generateContentWithRetry: jest.fn(),
+  resolveProvider: jest.fn()
+}));
+
+jest.mock('../../../src/services/subscription-plans.service', () => ({
+  getCustomContentTypeLimit: jest.fn()
+}));
+
+jest.mock('../../../src/services/subscription.service', () => ({
+  trackUsage: jest.fn()
+}));
+
+jest.mock('../../../src/models', () => ({
+  video: { accessCondition: jest.requireActual('../../../src/models/Video').prototype.accessCondition },
+  contentType: {
+    count: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+    getActiveForUser: jest.fn()
+  },
+  aiPrompts: {
+    createPrompt: jest.fn(),
+    updatePrompt: jest.fn(),
+    update: jest.fn(),
+    getUserPrompts: jest.fn()
+  }
+}));
+
+const database = require('../../../src/services/database.service');
+const aiChatService = require('../../../src/services/ai-chat.service');
+const subscriptionPlansService = require('../../../src/services/subscription-plans.service');
+const { contentType, aiPrompts } = require('../../../src/models');
+const customContentTypeService = require('../../../src/services/custom-content-type.service');
+
+const PROMPT = 'Turn this transcript into a LinkedIn carousel.\n\n${TRANSCRIPT}';
+
+const USER_PROMPT = {
+  id: 40,
+  content_type_id: 31,
+  content_type: 'custom_5_linkedin_carousel_a1b2c3',
+  content_type_label: 'LinkedIn carousel',
+  output_format: '8 slides, a headline each',
+  prompt_text: PROMPT,
+  ai_provider: 'gemini',
+  users_id: 5
+};
+
+describe('CustomContentTypeService', () => {
+  beforeEach(() => {
+    database.query.mockResolvedValue({ rows: [{ subscription_tier: 'premium' }] });
+    subscriptionPlansService.getCustomContentTypeLimit.mockResolvedValue(3);
+    aiChatService.resolveProvider.mockImplementation(preferred => preferred || 'gemini');
+    contentType.count.mockResolvedValue(0);
+    contentType.create.mockImplementation(async data => ({ id: 31, ...data }));
+    aiPrompts.getUserPrompts.mockResolvedValue([USER_PROMPT]);
+  });
+
+  describe('createCustomType', () => {
+    it('should create a user-owned content type and prompt', async () => {
+      const result = await customContentTypeService.createCustomType(5, {
+        name: 'LinkedIn carousel',
+        outputFormat: '8 slides, a headline each',
+        promptText: PROMPT
+      });
+
+      expect(subscriptionPlansService.getCustomContentTypeLimit).toHaveBeenCalledWith('premium');
+      expect(contentType.create).toHaveBeenCalledWith(expect.objectContaining({
+        key: expect.stringMatching(/^custom_5_linkedin_carousel_[0-9a-f]{6}$/),
+        label: 'LinkedIn carousel',
+        users_id: 5,
+        output_format: '8 slides, a headline each',
+        requires_ai: true
+      }));
+      expect(aiPrompts.createPrompt).toHaveBeenCalledWith(expect.objectContaining({
+        content_type_id: 31,
+        prompt_text: PROMPT,
+        users_id: 5
+      }));
+      expect(result).toMatchObject({ id: 31, name: 'LinkedIn carousel', promptText: PROMPT });
+    });
+
+    it('should refuse once the plan limit is reached', async () => {
+      contentType.count.mockResolvedValue(3);
+
+      await expect(customContentTypeService.createCustomType(5, { name: 'Sermon outline', promptText: PROMPT }))
+        .rejects.toMatchObject({ code: 'CUSTOM_TYPE_LIMIT_REACHED' });
+      expect(contentType.create).not.toHaveBeenCalled();
+    });
+
+    it('should not count against an unlimited plan', async () => {
+      subscriptionPlansService.getCustomContentTypeLimit.mockResolvedValue(-1);
+      contentType.count.mockResolvedValue(500);
+
+      await customContentTypeService.createCustomType(5, { name: 'Sermon outline', promptText: PROMPT });
+
+      expect(contentType.create).toHaveBeenCalled();
+    });
+
+    it('should remove the content type again when its prompt cannot be saved', async () => {
+      aiPrompts.createPrompt.mockRejectedValue(new Error('insert failed'));
+
+      await expect(customContentTypeService.createCustomType(5, { name: 'Sermon outline', promptText: PROMPT }))
+        .rejects.toThrow('insert failed');
+      expect(contentType.delete).toHaveBeenCalledWith(31);
+    });
+  });
+
+  describe('validatePromptText', () => {
+    it('should require a transcript placeholder', () => {
+      expect(() => customContentTypeService.validatePromptText('Write a sermon outline in ${LANGUAGE}.'))
+        .toThrow(expect.objectContaining({ code: 'INVALID_PROMPT' }));
+    });
+
+    it('should reject placeholders generation does not fill in', () => {
+      expect(() => customContentTypeService.validatePromptText('${TITLE}\n\n${TRANSCRIPT}'))
+        .toThrow('Unsupported placeholder: TITLE');
+      expect(() => customContentTypeService.validatePromptText('[INSERT AUDIENCE HERE] ${TRANSCRIPT}'))
+        .toThrow('Unsupported placeholder: AUDIENCE');
+    });
+
+    it('should accept the bracket placeholder format', () => {
+      expect(customContentTypeService.validatePromptText('  Outline:\n[INSERT SPEAKER_TRANSCRIPT HERE]  '))
+        .toBe('Outline:\n[INSERT SPEAKER_TRANSCRIPT HERE]');
+    });
+  });
+
+  describe('getGenerationPrompts', () => {
+    it('should run the user prompts with the run provider and the output format appended', async () => {
+      const prompts = await customContentTypeService.getGenerationPrompts(5, 'claude');
+
+      expect(prompts).toHaveLength(1);
+      expect(prompts[0]).toMatchObject({ content_type: USER_PROMPT.content_type, ai_provider: 'claude' });
+      expect(prompts[0].prompt_text).toMatch(/^Turn this transcript[\s\S]*\$\{TRANSCRIPT\}[\s\S]*OUTPUT FORMAT[\s\S]*8 slides, a headline each/);
+    });
+  });
+
+  describe('previewCustomType', () => {
+    it('should raise VIDEO_NOT_FOUND for a video the user does not own', async () => {
+      database.query.mockResolvedValue({ rows: [] });
+
+      await expect(customContentTypeService.previewCustomType(5, { promptText: PROMPT, videoId: 9 }))
+        .rejects.toMatchObject({ code: 'VIDEO_NOT_FOUND' });
+      expect(aiChatService.generateContentWithRetry).not.toHaveBeenCalled();
+    });
+
+    it('should generate from the transcript without saving anything', async () => {
+      database.query.mockResolvedValue({ rows: [{ id: 9, video_id: 'abc123', transcript_text: 'Post every day.' }] });
+      aiChatService.generateContentWithRetry.mockResolvedValue({ text: 'Slide 1: Post daily' });
+
+      const preview = await customContentTypeService.previewCustomType(5, { promptText: PROMPT, videoId: 9 });
+
+      expect(aiChatService.generateContentWithRetry).toHaveBeenCalledWith('gemini', expect.objectContaining({
+        prompt: expect.stringContaining('Post every day.')
+      }));
+      expect(contentType.create).not.toHaveBeenCalled();
+      expect(preview).toEqual({ videoId: 9, provider: 'gemini', language: 'en', content: 'Slide 1: Post daily' });
+    });
+
+    it('should preview against workspace videos the user can view', async () => {
+      database.query.mockResolvedValue({ rows: [{ id: 9, video_id: 'abc123', transcript_text: 'Post every day.' }] });
+      aiChatService.generateContentWithRetry.mockResolvedValue({ text: 'Slide 1: Post daily' });
+
+      await customContentTypeService.previewCustomType(5, { promptText: PROMPT, videoId: 9 });
+
+      expect(database.query.mock.calls[0][0]).toContain('role IN (\'owner\', \'editor\', \'viewer\')');
+      expect(database.query.mock.calls[0][1]).toEqual([9, 5]);
+    });
+  });
+
+  describe('deleteCustomType', () => {
+    it('should raise CUSTOM_TYPE_NOT_FOUND for a type the user does not own', async () => {
+      await expect(customContentTypeService.deleteCustomType(5, 99))
+        .rejects.toMatchObject({ code: 'CUSTOM_TYPE_NOT_FOUND' });
+      expect(contentType.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * EPUB Generation Service Unit Tests
+ * Tests for src/services/epub-generation.service.js
+ *
+ * Structural checks modelled on epubcheck: mimetype entry, container, manifest
+ * coverage, spine, navigation and embedded (not hotlinked) images.
+ */
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+const axios = require('axios');
+const epubGenerationService = require('../../../src/services/epub-generation.service');
+
+// 1x1 transparent PNG
+const PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8DwHwAFBQIAX8jx0gAAAABJRU5ErkJggg==';
+
+const EBOOK = `# Creator Growth Handbook
+
+A short preface & welcome.
+
+## Chapter One: Hooks
+
+Open with **tension**.
+
+![Generated Image](data:image/png;base64,${PNG_BASE64})
+
+- Ask a question
+- Show the payoff
+
+## Chapter Two: Retention
+
+[Image generation failed: quota exceeded]
+
+| Metric | Target |
+|---|---|
+| AVD | 50% |
+`;
+
+const METADATA = {
+  videoId: 12,
+  title: 'Grow <Faster>',
+  author: 'Creator Lab',
+  description: 'Lessons from the video',
+  publishedDate: '2025-03-04T00:00:00Z',
+  sourceUrl: 'https://www.youtube.com/watch?v=abc&t=1',
+  coverUrl: 'https://res.cloudinary.com/demo/thumb.jpg'
+};
+
+const fileMap = files => Object.fromEntries(files.map(file => [file.name, file.data]));
+
+describe('EpubGenerationService', () => {
+  beforeEach(() => {
+    axios.get.mockResolvedValue({
+      data: Buffer.from([0xff, 0xd8, 0xff, 0xe0]),
+      headers: { 'content-type': 'image/jpeg' }
+    });
+  });
+
+  describe('splitChapters', () => {
+    it('should split on H2 under a single H1 title and keep leading text as an introduction', () => {
+      const { bookTitle, chapters } = epubGenerationService.splitChapters([
+        { type: 'heading1', text: 'Book' },
+        { type: 'paragraph', text: 'Preface' },
+        { type: 'heading2', text: 'One' },
+        { type: 'paragraph', text: 'Body' },
+        { type: 'heading2', text: 'Two' }
+      ], 'Fallback');
+
+      expect(bookTitle).toBe('Book');
+      expect(chapters.map(chapter => chapter.title)).toEqual(['Introduction', 'One', 'Two']);
+    });
+
+    it('should split on H1 when the book has several', () => {
+      const { chapters } = epubGenerationService.splitChapters([
+        { type: 'heading1', text: 'Part A' },
+        { type: 'heading2', text: 'Section' },
+        { type: 'heading1', text: 'Part B' }
+      ], 'Fallback');
+
+      expect(chapters.map(chapter => chapter.title)).toEqual(['Part A', 'Part B']);
+      expect(chapters[0].sections).toEqual([{ type: 'heading2', text: 'Section' }]);
+    });
+  });
+
+  describe('buildPackageFiles', () => {
+    it('should start with an uncompressed mimetype and point the container at the package document', async () => {
+      const files = await epubGenerationService.buildPackageFiles(EBOOK, METADATA);
+
+      expect(files[0]).toEqual({ name: 'mimetype', data: 'application/epub+zip', store: true });
+      expect(fileMap(files)['META-INF/container.xml']).toContain('full-path="OEBPS/content.opf"');
+    });
+
+    it('should declare every package file in the manifest and every chapter in the spine and nav', async () => {
+      const files = await epubGenerationService.buildPackageFiles(EBOOK, METADATA);
+      const map = fileMap(files);
+      const opf = map['OEBPS/content.opf'];
+
+      const hrefs = [...opf.matchAll(/<item [^>]*href="([^"]+)"/g)].map(match => `OEBPS/${match[1]}`);
+      const packaged = files.map(file => file.name).filter(name => name.startsWith('OEBPS/') && name !== 'OEBPS/content.opf');
+      expect(hrefs.sort()).toEqual(packaged.sort());
+
+      const manifestIds = [...opf.matchAll(/<item id="([^"]+)"/g)].map(match => match[1]);
+      const spineIds = [...opf.matchAll(/<itemref idref="([^"]+)"/g)].map(match => match[1]);
+      expect(spineIds).toEqual(['cover', 'chapter-1', 'chapter-2', 'chapter-3']);
+      spineIds.forEach(id => expect(manifestIds).toContain(id));
+
+      expect(opf).toContain('properties="nav"');
+      expect(opf).toMatch(/<meta property="dcterms:modified">\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z<\/meta>/);
+      expect(opf).toMatch(/<dc:identifier id="book-id">urn:uuid:[0-9a-f-]{36}<\/dc:identifier>/);
+
+      const navTargets = [...map['OEBPS/nav.xhtml'].matchAll(/<li><a href="([^"]+)">([^<]+)<\/a><\/li>/g)];
+      expect(navTargets.map(match => match[2])).toEqual(['Introduction', 'Chapter One: Hooks', 'Chapter Two: Retention']);
+      navTargets.forEach(match => expect(map[`OEBPS/${match[1]}`]).toBeDefined());
+    });
+
+    it('should fill metadata from the video record and escape it', async () => {
+      const files = await epubGenerationService.buildPackageFiles(EBOOK, METADATA);
+      const opf = fileMap(files)['OEBPS/content.opf'];
+
+      expect(opf).toContain('<dc:title>Grow &lt;Faster&gt;</dc:title>');
+      expect(opf).toContain('<dc:creator>Creator Lab</dc:creator>');
+      expect(opf).toContain('<dc:date>2025-03-04</dc:date>');
+      expect(opf).toContain('<dc:source>https://www.youtube.com/watch?v=abc&amp;t=1</dc:source>');
+    });
+
+    it('should embed the cover and generated images instead of hotlinking them', async () => {
+      const files = await epubGenerationService.buildPackageFiles(EBOOK, METADATA);
+      const map = fileMap(files);
+      const opf = map['OEBPS/content.opf'];
+
+      expect(axios.get).toHaveBeenCalledWith(METADATA.coverUrl, expect.objectContaining({ responseType: 'arraybuffer' }));
+      expect(opf).toContain('<item id="cover-image" href="images/image-001.jpg" media-type="image/jpeg" properties="cover-image"/>');
+      expect(Buffer.isBuffer(map['OEBPS/images/image-002.png'])).toBe(true);
+
+      const chapters = files.filter(file => file.name.startsWith('OEBPS/text/')).map(file => file.data).join('\n');
+      expect(chapters).toContain('<img src="../images/image-002.png" alt=""/>');
+      expect(chapters).not.toMatch(/src="(https?:|data:)/);
+      expect(chapters).not.toContain('Image generation failed');
+    });
+
+    it('should fall back to a title page when the cover cannot be downloaded', async () => {
+      axios.get.mockRejectedValue(new Error('timeout'));
+
+      const files = await epubGenerationService.buildPackageFiles(EBOOK, METADATA);
+      const map = fileMap(files);
+
+      expect(map['OEBPS/content.opf']).not.toContain('cover-image');
+      expect(map['OEBPS/text/cover.xhtml']).toContain('epub:type="titlepage"');
+    });
+  });
+
+  describe('fetchImage', () => {
+    it('should never request images on private or metadata addresses', async () => {
+      for (const url of ['http://169.254.169.254/latest/meta-data', 'http://127.0.0.1:5432/', 'https://[::1]/image.png', 'http://10.0.0.5/image.png']) {
+        expect(await epubGenerationService.fetchImage(url)).toBeNull();
+      }
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    it('should download through the guarded agents without following redirects', async () => {
+      const image = await epubGenerationService.fetchImage('https://cdn.example.com/chart.jpg');
+
+      expect(axios.get).toHaveBeenCalledWith('https://cdn.example.com/chart.jpg', expect.objectContaining({
+        maxRedirects: 0,
+        proxy: false,
+        httpAgent: expect.any(Object),
+        httpsAgent: expect.any(Object)
+      }));
+      expect(image.mediaType).toBe('image/jpeg');
+    });
+  });
+
+  describe('packageFiles', () => {
+    it('should write mimetype as the first, stored zip entry', async () => {
+      const files = await epubGenerationService.buildPackageFiles(EBOOK, { ...METADATA, coverUrl: null });
+      const epub = await epubGenerationService.packageFiles(files);
+
+      // Local file header: signature, compression method at offset 8, filename at 30
+      expect(epub.readUInt32LE(0)).toBe(0x04034b50);
+      expect(epub.readUInt16LE(8)).toBe(0);
+      expect(epub.toString('ascii', 30, 38)).toBe('mimetype');
+      expect(epub.toString('ascii', 38, 58)).toBe('application/epub+zip');
+    });
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * Processing Queue Service Unit Tests
+ * Tests for src/services/processing-queue.service.js
+ */
+
+// Mock dependencies before requiring the service
+jest.mock('../../../src/services/database.service', () => ({
+  pool: { mockPool: true },
+  query: jest.fn(),
+  findById: jest.fn(),
+  update: jest.fn()
+}));
+
+jest.mock('../../../src/services/video-processing.service', () => ({
+  processVideo: jest.fn(),
+  extractMetadata: jest.fn(),
+  updateVideoWithMetadata: jest.fn()
+}));
+
+jest.mock('../../../src/services/transcript.service', () => ({
+  processVideoTranscript: jest.fn()
+}));
+
+jest.mock('../../../src/services/content-generation.service', () => ({
+  generateAllContentForVideo: jest.fn()
+}));
+
+const processingQueue = require('../../../src/services/processing-queue.service');
+const database = require('../../../src/services/database.service');
+const videoProcessing = require('../../../src/services/video-processing.service');
+const transcriptService = require('../../../src/services/transcript.service');
+const contentGenerationService = require('../../../src/services/content-generation.service');
+
+describe('ProcessingQueueService', () => {
+  const claimedItem = {
+    id: 42,
+    video_id: 7,
+    task_type: 'full_processing',
+    payload: {},
+    retry_count: 0,
+    locked_by: processingQueue.workerId
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('addToQueue', () => {
+    it('should insert a queued row and return the queue item', async () => {
+      database.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+      const result = await processingQueue.addToQueue(7, 'full_processing', 3);
+
+      expect(database.query.mock.calls[0][0]).toContain('INSERT INTO processing_queue');
+      expect(database.query.mock.calls[0][1]).toEqual([7, 'full_processing', '{}', 3]);
+      expect(result).toEqual({
+        id: 1,
+        videoId: 7,
+        taskType: 'full_processing',
+        status: 'queued',
+        priority: 3
+      });
+    });
+
+    it('should throw instead of processing directly when the insert fails', async () => {
+      database.query.mockRejectedValue(new Error('relation "processing_queue" does not exist'));
+
+      await expect(processingQueue.addToQueue(7, 'full_processing'))
+        .rejects.toThrow('Failed to add to processing queue');
+      expect(videoProcessing.processVideo).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('claimNextItem', () => {
+    it('should claim with SKIP LOCKED under this worker lease', async () => {
+      database.query.mockResolvedValue({ rows: [claimedItem] });
+
+      const result = await processingQueue.claimNextItem();
+
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('FOR UPDATE SKIP LOCKED');
+      expect(sql).toContain('run_after <= NOW()');
+      expect(params).toEqual([processingQueue.workerId, processingQueue.leaseDurationMs]);
+      expect(result).toBe(claimedItem);
+    });
+
+    it('should return null when nothing is runnable', async () => {
+      database.query.mockResolvedValue({ rows: [] });
+
+      const result = await processingQueue.claimNextItem();
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('processNextItem', () => {
+    it('should return null when the queue is empty', async () => {
+      database.query.mockResolvedValue({ rows: [] });
+
+      const result = await processingQueue.processNextItem();
+
+      expect(result).toBeNull();
+      expect(videoProcessing.processVideo).not.toHaveBeenCalled();
+    });
+
+    it('should execute the task and complete it under the lease', async () => {
+      database.query
+        .mockResolvedValueOnce({ rows: [claimedItem] })
+        .mockResolvedValueOnce({ rows: [{ id: 42 }] });
+      videoProcessing.processVideo.mockResolvedValue({ success: true });
+
+      const result = await processingQueue.processNextItem();
+
+      expect(videoProcessing.processVideo).toHaveBeenCalledWith(7);
+      const [sql, params] = database.query.mock.calls[1];
+      expect(sql).toContain('status = \'completed\'');
+      expect(sql).toContain('locked_by = $2');
+      expect(params).toEqual([42, processingQueue.workerId]);
+      expect(result).toEqual({ id: 42, videoId: 7, taskType: 'full_processing', status: 'completed' });
+    });
+
+    it('should requeue with the first backoff delay after a failure', async () => {
+      database.query
+        .mockResolvedValueOnce({ rows: [claimedItem] })
+        .mockResolvedValueOnce({ rows: [] });
+      videoProcessing.processVideo.mockRejectedValue(new Error('Transcript unavailable'));
+
+      const result = await processingQueue.processNextItem();
+
+      const [sql, params] = database.query.mock.calls[1];
+      expect(sql).toContain('status = \'queued\'');
+      expect(params).toEqual([42, processingQueue.workerId, 1, 'Transcript unavailable', processingQueue.retryDelays[0]]);
+      expect(result.status).toBe('queued');
+    });
+
+    it('should dead-letter once retryDelays are exhausted', async () => {
+      const exhausted = { ...claimedItem, retry_count: processingQueue.retryDelays.length };
+      database.query
+        .mockResolvedValueOnce({ rows: [exhausted] })
+        .mockResolvedValueOnce({ rows: [] });
+      videoProcessing.processVideo.mockRejectedValue(new Error('Still broken'));
+
+      const result = await processingQueue.processNextItem();
+
+      const [sql, params] = database.query.mock.calls[1];
+      expect(sql).toContain('status = \'dead\'');
+      expect(params[2]).toBe(processingQueue.retryDelays.length + 1);
+      expect(result.status).toBe('dead');
+    });
+
+    it('should run transcript extraction with the queued payload', async () => {
+      const payload = { videoId: 'abc123', videoUrl: 'https://youtube.com/watch?v=abc123', userId: 3, contentTypes: ['summary_text'] };
+      database.query
+        .mockResolvedValueOnce({ rows: [{ ...claimedItem, task_type: 'process_transcript', payload }] })
+        .mockResolvedValueOnce({ rows: [{ id: 42 }] });
+      transcriptService.processVideoTranscript.mockResolvedValue({ success: true });
+
+      const result = await processingQueue.processNextItem();
+
+      expect(transcriptService.processVideoTranscript).toHaveBeenCalledWith(
+        'abc123', payload.videoUrl, 7, 3, ['summary_text'], { signal: expect.any(AbortSignal) }
+      );
+      expect(result.status).toBe('completed');
+    });
+
+    it('should generate content from the stored transcript', async () => {
+      const payload = { videoId: 'abc123', userId: 3, contentTypes: ['summary_text'] };
+      database.query
+        .mockResolvedValueOnce({ rows: [{ ...claimedItem, task_type: 'generate_content', payload }] })
+        .mockResolvedValueOnce({ rows: [{ id: 42 }] });
+      database.findById.mockResolvedValue({ id: 7, transcript_text: 'Hello world' });
+      contentGenerationService.generateAllContentForVideo.mockResolvedValue({ summary: { successful: 1, failed: 0 } });
+
+      const result = await processingQueue.processNextItem();
+
+      expect(contentGenerationService.generateAllContentForVideo).toHaveBeenCalledWith(7, 'abc123', 'Hello world', {
+        contentTypes: ['summary_text'],
+        userId: 3,
+        signal: expect.any(AbortSignal)
+      });
+      expect(result.status).toBe('completed');
+    });
+
+    it('should abort the task and leave the item alone once the lease is lost', async () => {
+      const heartbeatIntervalMs = processingQueue.heartbeatIntervalMs;
+      processingQueue.heartbeatIntervalMs = 5;
+      database.query
+        .mockResolvedValueOnce({ rows: [{ ...claimedItem, task_type: 'process_transcript', payload: { videoId: 'abc123' } }] })
+        .mockResolvedValueOnce({ rows: [] }); // heartbeat: lease reclaimed by another worker
+      let signal;
+      transcriptService.processVideoTranscript.mockImplementation((...args) => {
+        signal = args[5].signal;
+        return new Promise(() => {});
+      });
+
+      try {
+        const result = await processingQueue.processNextItem();
+
+        expect(result.status).toBe('abandoned');
+        expect(signal.aborted).toBe(true);
+        expect(database.query).toHaveBeenCalledTimes(2);
+      } finally {
+        processingQueue.heartbeatIntervalMs = heartbeatIntervalMs;
+      }
+    });
+
+    it('should fail unknown task types', async () => {
+      database.query
+        .mockResolvedValueOnce({ rows: [{ ...claimedItem, task_type: 'bogus' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await processingQueue.processNextItem();
+
+      expect(result.error).toBe('Unknown task type: bogus');
+    });
+  });
+
+  describe('heartbeat', () => {
+    it('should extend the lease when still held', async () => {
+      database.query.mockResolvedValue({ rows: [{ id: 42 }] });
+
+      const result = await processingQueue.heartbeat(42);
+
+      expect(database.query.mock.calls[0][1]).toEqual([42, processingQueue.workerId, processingQueue.leaseDurationMs]);
+      expect(result).toBe(true);
+    });
+
+    it('should report a lost lease', async () => {
+      database.query.mockResolvedValue({ rows: [] });
+
+      const result = await processingQueue.heartbeat(42);
+
+      expect(result).toBe(false);
+    });
+  });
+
+  describe('requeueExpiredLeases', () => {
+    it('should requeue or dead-letter expired processing items', async () => {
+      database.query.mockResolvedValue({ rows: [{ id: 1, status: 'queued' }, { id: 2, status: 'dead' }] });
+
+      const result = await processingQueue.requeueExpiredLeases();
+
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('locked_until < NOW()');
+      expect(params).toEqual([processingQueue.retryDelays.length]);
+      expect(result).toBe(2);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should map attempts onto retryDelays', () => {
+      expect(processingQueue.getRetryDelay(1)).toBe(processingQueue.retryDelays[0]);
+      expect(processingQueue.getRetryDelay(processingQueue.retryDelays.length))
+        .toBe(processingQueue.retryDelays[processingQueue.retryDelays.length - 1]);
+    });
+
+    it('should return null once retries are exhausted', () => {
+      expect(processingQueue.getRetryDelay(processingQueue.retryDelays.length + 1)).toBeNull();
+    });
+
+    it('should use a task type\'s own schedule when it has one', () => {
+      const delays = processingQueue.taskRetryDelays.deliver_webhook;
+
+      expect(processingQueue.getRetryDelay(1, 'deliver_webhook')).toBe(delays[0]);
+      expect(processingQueue.getRetryDelay(delays.length + 1, 'deliver_webhook')).toBeNull();
+      expect(processingQueue.getRetryDelay(1, 'generate_content')).toBe(processingQueue.retryDelays[0]);
+    });
+  });
+
+  describe('getQueueStatus', () => {
+    it('should include dead-lettered counts', async () => {
+      database.query
+        .mockResolvedValueOnce({ rows: [{ count: '3' }] })
+        .mockResolvedValueOnce({ rows: [{ count: '1' }] })
+        .mockResolvedValueOnce({ rows: [{ count: '10' }] })
+        .mockResolvedValueOnce({ rows: [{ count: '2' }] });
+
+      const result = await processingQueue.getQueueStatus();
+
+      expect(result.counts).toEqual({ queued: 3, processing: 1, completed: 10, dead: 2, total: 16 });
+    });
+  });
+});
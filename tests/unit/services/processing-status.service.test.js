@@ -0,0 +1,107 @@
+/**
+ * Processing Status Service Unit Tests
+ * Tests for src/services/processing-status.service.js
+ */
+
+jest.mock('../../../src/services/database.service', () => ({
+  query: jest.fn(),
+  notify: jest.fn()
+}));
+
+jest.mock('../../../src/services/webhook.service', () => ({
+  dispatch: jest.fn()
+}));
+
+jest.mock('../../../src/models', () => ({
+  aiPrompts: { getAvailableContentTypes: jest.fn() }
+}));
+
+const database = require('../../../src/services/database.service');
+const { aiPrompts } = require('../../../src/models');
+const processingStatusService = require('../../../src/services/processing-status.service');
+
+/**
+ * Stand-in for video_processing_status. Rows are matched on whichever column the SQL
+ * conflicts on or filters by, so keying on the YouTube ID would make the rows collide.
+ */
+function createStatusTable() {
+  const rows = [];
+  const columnParams = { video_id: 0, videos_id: 1 };
+
+  database.query.mockImplementation(async (sql, params) => {
+    if (sql.includes('INSERT INTO video_processing_status')) {
+      const key = sql.match(/ON CONFLICT \((\w+)\)/)[1];
+      const row = {
+        video_id: params[0],
+        videos_id: params[1],
+        users_id: params[2],
+        video_title: params[3],
+        transcript_status: 'pending',
+        content_status: JSON.parse(params[4]),
+        cancelled: false,
+        completed: false
+      };
+      const index = rows.findIndex(existing => existing[key] === params[columnParams[key]]);
+      if (index >= 0) {
+        rows[index] = row;
+      } else {
+        rows.push(row);
+      }
+      return { rows: [row] };
+    }
+
+    const key = sql.match(/WHERE (\w+) = \$1/)[1];
+    const matching = rows.filter(row => row[key] === params[0]);
+
+    if (sql.includes('SET cancelled = TRUE')) {
+      matching.forEach(row => Object.assign(row, { cancelled: true, completed: true }));
+    } else if (sql.includes('SET transcript_status')) {
+      matching.forEach(row => Object.assign(row, { transcript_status: params[1] }));
+    }
+    return { rows: matching.map(row => ({ ...row })) };
+  });
+
+  return rows;
+}
+
+describe('ProcessingStatusService', () => {
+  beforeEach(() => {
+    processingStatusService.contentTypesCache = null;
+    aiPrompts.getAvailableContentTypes.mockResolvedValue([{ type: 'summary_text' }]);
+    database.notify.mockResolvedValue();
+  });
+
+  describe('two users processing the same YouTube video', () => {
+    let rows;
+
+    beforeEach(async () => {
+      rows = createStatusTable();
+      await processingStatusService.initializeVideoProcessingAsync('dQw4w9WgXcQ', 101, 'Shared video', 1, ['summary_text']);
+      await processingStatusService.initializeVideoProcessingAsync('dQw4w9WgXcQ', 202, 'Shared video', 2, ['summary_text']);
+    });
+
+    it('keeps a status row for each user', async () => {
+      expect(rows).toHaveLength(2);
+      expect(await processingStatusService.getVideoStatus(101)).toMatchObject({ userId: 1, videoId: 'dQw4w9WgXcQ', videoRecordId: 101 });
+      expect(await processingStatusService.getVideoStatus(202)).toMatchObject({ userId: 2, videoId: 'dQw4w9WgXcQ', videoRecordId: 202 });
+    });
+
+    it('only cancels the processing of the user who cancelled', async () => {
+      await expect(processingStatusService.cancelVideoProcessing(101)).resolves.toBe(true);
+
+      await expect(processingStatusService.isCancelled(101)).resolves.toBe(true);
+      await expect(processingStatusService.isCancelled(202)).resolves.toBe(false);
+    });
+
+    it('updates and notifies only the owner of the record', async () => {
+      await processingStatusService.updateTranscriptStatus(202, 'completed');
+
+      expect((await processingStatusService.getVideoStatus(101)).transcript.status).toBe('pending');
+      expect((await processingStatusService.getVideoStatus(202)).transcript.status).toBe('completed');
+      expect(database.notify).toHaveBeenLastCalledWith('processing_status', expect.objectContaining({
+        userId: 2,
+        videoId: 'dQw4w9WgXcQ'
+      }));
+    });
+  });
+});
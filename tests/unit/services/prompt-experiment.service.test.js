@@ -0,0 +1,217 @@
+/**
+ * Prompt Experiment Service Unit Tests
+ * Tests for src/services/prompt-experiment.service.js
+ */
+
+jest.mock('../../../src/services/database.service', () => ({
+  query: jest.fn()
+}));
+
+jest.mock('../../../src/models', () => ({
+  video: { accessCondition: jest.requireActual('../../../src/models/Video').prototype.accessCondition },
+  promptExperiment: {
+    create: jest.fn(),
+    findById: jest.fn(),
+    findRunning: jest.fn()
+  },
+  promptVariant: {
+    create: jest.fn(),
+    listForExperiment: jest.fn()
+  }
+}));
+
+const database = require('../../../src/services/database.service');
+const { promptExperiment, promptVariant } = require('../../../src/models');
+const promptExperimentService = require('../../../src/services/prompt-experiment.service');
+
+const LIVE_PROMPT = {
+  id: 12,
+  name: 'Summary (Gemini)',
+  content_type_id: 3,
+  ai_provider: 'gemini',
+  prompt_text: 'Summarize: ${TRANSCRIPT}',
+  system_message: 'You are a helpful assistant.',
+  temperature: 0.7,
+  max_tokens: 4000,
+  users_id: null
+};
+
+const VARIANTS = [
+  { id: 100, label: 'Control', is_control: true, traffic_weight: 50, prompt_text: null, system_message: null, temperature: null, max_tokens: null },
+  { id: 101, label: 'Variant B', is_control: false, traffic_weight: 50, prompt_text: 'Summarize in 3 bullets: ${TRANSCRIPT}', system_message: null, temperature: '0.30', max_tokens: null }
+];
+
+describe('PromptExperimentService', () => {
+  beforeEach(() => {
+    promptExperiment.findRunning.mockResolvedValue({ id: 7, content_type_id: 3, ai_provider: 'gemini', status: 'running' });
+    promptExperiment.findById.mockResolvedValue({ id: 7, name: 'Bullets', status: 'running' });
+    promptExperiment.create.mockImplementation(async data => ({ id: 7, ...data }));
+    promptVariant.listForExperiment.mockResolvedValue(VARIANTS);
+  });
+
+  describe('pickVariant', () => {
+    it('should give the same seed the same variant', () => {
+      const first = promptExperimentService.pickVariant(VARIANTS, '7:42');
+      for (let i = 0; i < 5; i++) {
+        expect(promptExperimentService.pickVariant(VARIANTS, '7:42')).toBe(first);
+      }
+    });
+
+    it('should never pick a variant with no traffic', () => {
+      const variants = [{ ...VARIANTS[0], traffic_weight: 0 }, VARIANTS[1]];
+      for (let i = 0; i < 50; i++) {
+        expect(promptExperimentService.pickVariant(variants, `7:${i}`).id).toBe(101);
+      }
+    });
+
+    it('should split traffic roughly by weight', () => {
+      const variants = [{ ...VARIANTS[0], traffic_weight: 80 }, { ...VARIANTS[1], traffic_weight: 20 }];
+      let control = 0;
+      for (let i = 0; i < 1000; i++) {
+        if (promptExperimentService.pickVariant(variants, `7:${i}`).is_control) control++;
+      }
+      expect(control).toBeGreaterThan(720);
+      expect(control).toBeLessThan(880);
+    });
+  });
+
+  describe('applyVariant', () => {
+    it('should swap in the assigned variant and record its ID', async () => {
+      promptVariant.listForExperiment.mockResolvedValue([{ ...VARIANTS[0], traffic_weight: 0 }, VARIANTS[1]]);
+
+      const prompt = await promptExperimentService.applyVariant(LIVE_PROMPT, 42);
+
+      expect(promptExperiment.findRunning).toHaveBeenCalledWith(3, 'gemini');
+      expect(prompt).toMatchObject({
+        id: 12,
+        prompt_variant_id: 101,
+        prompt_text: 'Summarize in 3 bullets: ${TRANSCRIPT}',
+        system_message: 'You are a helpful assistant.',
+        temperature: 0.3,
+        max_tokens: 4000
+      });
+    });
+
+    it('should run the control as the live prompt', async () => {
+      promptVariant.listForExperiment.mockResolvedValue([VARIANTS[0], { ...VARIANTS[1], traffic_weight: 0 }]);
+
+      const prompt = await promptExperimentService.applyVariant(LIVE_PROMPT, 42);
+
+      expect(prompt).toEqual({ ...LIVE_PROMPT, prompt_variant_id: 100 });
+    });
+
+    it('should leave prompts of custom content types alone', async () => {
+      const userPrompt = { ...LIVE_PROMPT, users_id: 5 };
+
+      expect(await promptExperimentService.applyVariant(userPrompt, 42)).toBe(userPrompt);
+      expect(promptExperiment.findRunning).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the live prompt when the lookup fails', async () => {
+      promptExperiment.findRunning.mockRejectedValue(new Error('relation does not exist'));
+
+      expect(await promptExperimentService.applyVariant(LIVE_PROMPT, 42)).toBe(LIVE_PROMPT);
+    });
+  });
+
+  describe('scoreVariant', () => {
+    it('should have no score before anything was generated', () => {
+      const { qualityScore } = promptExperimentService.scoreVariant({
+        generated: 0, thumbsUp: 0, thumbsDown: 0, edited: 0, downloads: 0, regenerated: 0
+      });
+      expect(qualityScore).toBeNull();
+    });
+
+    it('should score approved, downloaded, kept content above edited, regenerated content', () => {
+      const good = promptExperimentService.scoreVariant({
+        generated: 50, thumbsUp: 20, thumbsDown: 1, edited: 5, downloads: 40, regenerated: 2
+      });
+      const poor = promptExperimentService.scoreVariant({
+        generated: 50, thumbsUp: 2, thumbsDown: 15, edited: 30, downloads: 5, regenerated: 25
+      });
+
+      expect(good.qualityScore).toBeGreaterThan(poor.qualityScore);
+      expect(good.qualityScore).toBeLessThanOrEqual(100);
+      expect(poor.rates.edit).toBeCloseTo(0.6);
+    });
+  });
+
+  describe('createExperiment', () => {
+    beforeEach(() => {
+      database.query.mockResolvedValue({ rows: [LIVE_PROMPT] });
+    });
+
+    it('should create a control on the live prompt and the variants', async () => {
+      await promptExperimentService.createExperiment({
+        contentTypeId: 3,
+        aiProvider: 'gemini',
+        name: 'Bullets',
+        controlWeight: 70,
+        variants: [{ promptText: 'Summarize in 3 bullets: ${TRANSCRIPT}', weight: 30, temperature: '0.3' }]
+      }, 1);
+
+      expect(promptExperiment.create).toHaveBeenCalledWith(expect.objectContaining({
+        content_type_id: 3, ai_provider: 'gemini', name: 'Bullets', status: 'running', created_by_user_id: 1
+      }));
+      expect(promptVariant.create).toHaveBeenCalledWith(expect.objectContaining({
+        prompt_experiment_id: 7, is_control: true, ai_prompts_id: 12, traffic_weight: 70
+      }));
+      expect(promptVariant.create).toHaveBeenCalledWith(expect.objectContaining({
+        prompt_experiment_id: 7, label: 'Variant B', is_control: false, temperature: 0.3, traffic_weight: 30
+      }));
+    });
+
+    it('should require prompt text for every variant', async () => {
+      await expect(promptExperimentService.createExperiment({
+        contentTypeId: 3, aiProvider: 'gemini', variants: [{ label: 'Empty' }]
+      }, 1)).rejects.toMatchObject({ code: 'INVALID_EXPERIMENT' });
+      expect(promptExperiment.create).not.toHaveBeenCalled();
+    });
+
+    it('should raise EXPERIMENT_ALREADY_RUNNING when one is running for the type and provider', async () => {
+      const duplicate = new Error('duplicate key value violates unique constraint');
+      duplicate.code = '23505';
+      promptExperiment.create.mockRejectedValue(duplicate);
+
+      await expect(promptExperimentService.createExperiment({
+        contentTypeId: 3, aiProvider: 'gemini', variants: [{ promptText: 'Short: ${TRANSCRIPT}' }]
+      }, 1)).rejects.toMatchObject({ code: 'EXPERIMENT_ALREADY_RUNNING' });
+      expect(promptVariant.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rateContent', () => {
+    it('should raise CONTENT_NOT_FOUND for content the user does not own', async () => {
+      database.query.mockResolvedValue({ rows: [] });
+
+      await expect(promptExperimentService.rateContent(5, 90, 1))
+        .rejects.toMatchObject({ code: 'CONTENT_NOT_FOUND' });
+    });
+
+    it('should replace an earlier thumbs signal with the new one', async () => {
+      database.query.mockResolvedValue({ rows: [{ id: 90, prompt_variant_id: 101 }] });
+
+      const result = await promptExperimentService.rateContent(5, 90, -1);
+
+      expect(result).toEqual({ contentId: 90, rating: -1 });
+      expect(database.query.mock.calls[1][0]).toMatch(/DELETE FROM content_quality_signals/);
+      expect(database.query.mock.calls[2][1]).toEqual([90, 'thumbs_down', null, 5]);
+    });
+
+    it('should let workspace owners and editors of the video rate it', async () => {
+      database.query.mockResolvedValue({ rows: [{ id: 90, prompt_variant_id: null }] });
+
+      await promptExperimentService.rateContent(6, 90, 1);
+
+      expect(database.query.mock.calls[0][0]).toContain('v.workspace_id IN');
+      expect(database.query.mock.calls[0][0]).toContain('role IN (\'owner\', \'editor\')');
+      expect(database.query.mock.calls[0][1]).toEqual([90, 6, 1]);
+    });
+
+    it('should reject ratings other than 1, -1 and 0', async () => {
+      await expect(promptExperimentService.rateContent(5, 90, 5))
+        .rejects.toMatchObject({ code: 'INVALID_RATING' });
+      expect(database.query).not.toHaveBeenCalled();
+    });
+  });
+});
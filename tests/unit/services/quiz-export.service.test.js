@@ -0,0 +1,166 @@
+/**
+ * Quiz Export Service Unit Tests
+ * Tests for src/services/quiz-export.service.js
+ */
+
+jest.mock('../../../src/services/content.service', () => ({
+  getVideoContentByType: jest.fn()
+}));
+
+jest.mock('../../../src/models', () => ({
+  quizQuestionSet: { findForContent: jest.fn(), saveForContent: jest.fn() }
+}));
+
+const crypto = require('crypto');
+const quizExportService = require('../../../src/services/quiz-export.service');
+const contentService = require('../../../src/services/content.service');
+const { quizQuestionSet } = require('../../../src/models');
+
+const QUIZ = `# Growth Quiz
+
+**Q1: What is the best posting cadence?**
+A) Once a year
+B) Daily
+C) Never
+**Correct Answer:** B
+**Explanation:** Consistency builds an audience & trust.
+
+### Question 2
+True or False: Thumbnails don't matter.
+**Answer:** False
+
+3. Which metric measures retention?
+- A. CTR
+- B. Average view duration (correct)
+
+4. Name YouTube's short-form format.
+Answer: Shorts
+
+5. Which of these is a hook?
+A) A question
+B) A pause
+
+6. Pick one
+A) Only option
+Answer: A
+
+Answer Key
+5. A
+`;
+
+describe('QuizExportService', () => {
+  describe('parseQuiz', () => {
+    it('should parse choices, answers, explanations and answer keys across common formats', () => {
+      const { questions } = quizExportService.parseQuiz(QUIZ);
+
+      expect(questions.map(q => [q.number, q.type, q.answer])).toEqual([
+        [1, 'multiple_choice', 'Daily'],
+        [2, 'true_false', 'False'],
+        [3, 'multiple_choice', 'Average view duration'],
+        [4, 'short_answer', 'Shorts'],
+        [5, 'multiple_choice', 'A question']
+      ]);
+      expect(questions[0]).toMatchObject({
+        question: 'What is the best posting cadence?',
+        choices: ['Once a year', 'Daily', 'Never'],
+        correct_index: 1,
+        explanation: 'Consistency builds an audience & trust.'
+      });
+    });
+
+    it('should report unparseable questions individually instead of failing', () => {
+      const { questions, errors } = quizExportService.parseQuiz(
+        QUIZ.replace('Answer Key', '7. What is missing here?\nA) Nothing\nB) The answer\n\nAnswer Key')
+      );
+
+      expect(questions).toHaveLength(5);
+      expect(errors).toEqual([
+        { number: 6, excerpt: 'Pick one', message: 'Only one answer choice was found' },
+        { number: 7, excerpt: 'What is missing here?', message: 'No correct answer found' }
+      ]);
+    });
+  });
+
+  describe('getStructuredQuiz', () => {
+    const content = { id: 9, content_text: QUIZ };
+    const hash = crypto.createHash('sha256').update(QUIZ).digest('hex');
+
+    beforeEach(() => {
+      contentService.getVideoContentByType.mockResolvedValue(content);
+    });
+
+    it('should reuse the stored questions while the quiz text is unchanged', async () => {
+      quizQuestionSet.findForContent.mockResolvedValue({ source_hash: hash, questions: [{ number: 1 }], parse_errors: [] });
+      const parseSpy = jest.spyOn(quizExportService, 'parseQuiz');
+
+      const quiz = await quizExportService.getStructuredQuiz(3);
+
+      expect(quiz.questions).toEqual([{ number: 1 }]);
+      expect(parseSpy).not.toHaveBeenCalled();
+      expect(quizQuestionSet.saveForContent).not.toHaveBeenCalled();
+    });
+
+    it('should re-parse and store the quiz after it is regenerated', async () => {
+      quizQuestionSet.findForContent.mockResolvedValue({ source_hash: 'stale', questions: [], parse_errors: [] });
+
+      const quiz = await quizExportService.getStructuredQuiz(3);
+
+      expect(quiz.questions).toHaveLength(5);
+      expect(quizQuestionSet.saveForContent).toHaveBeenCalledWith(9, hash, quiz.questions, quiz.errors);
+    });
+
+    it('should raise QUIZ_NOT_FOUND when the video has no quiz', async () => {
+      contentService.getVideoContentByType.mockResolvedValue(null);
+
+      await expect(quizExportService.getStructuredQuiz(3)).rejects.toMatchObject({ code: 'QUIZ_NOT_FOUND' });
+    });
+  });
+
+  describe('exports', () => {
+    const { questions } = quizExportService.parseQuiz(QUIZ);
+
+    it('should build a QTI 2.1 package whose manifest references every item', () => {
+      const files = quizExportService.buildQtiFiles(questions, 'Growth & Quiz');
+      const names = files.map(file => file.name);
+      const manifest = files[0].data;
+
+      expect(names).toEqual(['imsmanifest.xml', 'assessment.xml', ...questions.map((q, i) => `items/item-${i + 1}.xml`)]);
+      names.slice(2).forEach(name => expect(manifest).toContain(`<file href="${name}"/>`));
+      expect(files[1].data).toContain('title="Growth &amp; Quiz"');
+      expect(files[2].data).toContain('<correctResponse><value>B</value></correctResponse>');
+      expect(files[5].data).toContain('<textEntryInteraction');
+    });
+
+    it('should mark the correct Moodle answer and map question types', () => {
+      const xml = quizExportService.toMoodleXml(questions, 'Growth Quiz');
+
+      expect(xml.match(/<question type="(\w+)">/g)).toEqual([
+        '<question type="category">',
+        '<question type="multichoice">',
+        '<question type="truefalse">',
+        '<question type="multichoice">',
+        '<question type="shortanswer">',
+        '<question type="multichoice">'
+      ]);
+      expect(xml).toContain('<answer fraction="100" format="html"><text><![CDATA[Daily]]></text></answer>');
+      expect(xml).toContain('<answer fraction="100" format="moodle_auto_format"><text>false</text></answer>');
+    });
+
+    it('should skip questions Kahoot cannot import and report them', () => {
+      const { csv, skipped } = quizExportService.toKahootCsv(questions);
+      const rows = csv.trim().split('\r\n');
+
+      expect(rows).toHaveLength(5);
+      expect(rows[1]).toBe('What is the best posting cadence?,Once a year,Daily,Never,,20,2');
+      expect(skipped).toEqual([expect.objectContaining({ number: 4, message: expect.stringContaining('short-answer') })]);
+    });
+
+    it('should write Anki cards with choices on the front and the answer on the back', () => {
+      const csv = quizExportService.toAnkiCsv(questions, 'Growth Quiz');
+      const lines = csv.trim().split('\n');
+
+      expect(lines.slice(0, 4)).toEqual(['#separator:Comma', '#html:true', '#columns:Front,Back,Tags', '#tags column:3']);
+      expect(lines[4]).toBe('What is the best posting cadence?<br><br>A) Once a year<br>B) Daily<br>C) Never,<b>B) Daily</b><br><br>Consistency builds an audience &amp; trust.,growth_quiz');
+    });
+  });
+});
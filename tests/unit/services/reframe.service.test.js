@@ -0,0 +1,116 @@
+/**
+ * Reframe Service Unit Tests
+ * Tests for src/services/reframe.service.js
+ */
+
+jest.mock('../../../src/services/database.service', () => ({
+  query: jest.fn()
+}));
+
+const reframeService = require('../../../src/services/reframe.service');
+
+describe('ReframeService', () => {
+  describe('normalizeSettings', () => {
+    it('should require an offset for manual mode', () => {
+      expect(() => reframeService.normalizeSettings('manual')).toThrow('cropXOffset is required');
+      expect(reframeService.normalizeSettings('manual', '0.25')).toEqual({ mode: 'manual', cropXOffset: 0.25 });
+    });
+
+    it('should reject unknown modes and out-of-range offsets', () => {
+      expect(() => reframeService.normalizeSettings('zoom')).toThrow('Invalid reframe mode');
+      expect(() => reframeService.normalizeSettings('manual', 1.5)).toThrow('between 0 (left) and 1 (right)');
+    });
+  });
+
+  describe('scoreMotionFrames', () => {
+    it('should place the subject where frames change', () => {
+      const width = 20;
+      const height = 4;
+      const still = Buffer.alloc(width * height, 50);
+      const moved = Buffer.from(still);
+      for (let y = 0; y < height; y++) {
+        moved[y * width + 15] = 250;
+        moved[y * width + 16] = 250;
+      }
+
+      const [sample] = reframeService.scoreMotionFrames(Buffer.concat([still, moved]), width, height);
+
+      expect(sample.time).toBe(0.5);
+      expect(sample.center).toBeGreaterThan(0.7);
+      expect(sample.confidence).toBeGreaterThan(0.3);
+    });
+
+    it('should report no confidence for a static shot', () => {
+      const frame = Buffer.alloc(20 * 4, 80);
+      const [sample] = reframeService.scoreMotionFrames(Buffer.concat([frame, frame]), 20, 4);
+
+      expect(sample.confidence).toBe(0);
+    });
+  });
+
+  describe('smoothPath', () => {
+    it('should ignore jitter inside the dead zone and drop one-off spikes', () => {
+      const points = reframeService.smoothPath([
+        { time: 0.5, center: 0.3, confidence: 0.9 },
+        { time: 1, center: 0.33, confidence: 0.9 },
+        { time: 1.5, center: 0.9, confidence: 0.9 },
+        { time: 2, center: 0.31, confidence: 0.9 },
+        { time: 2.5, center: 0.7, confidence: 0.1 }
+      ]);
+
+      expect(points[0]).toEqual({ time: 0, center: 0.3 });
+      expect(points.every(point => point.center === 0.3)).toBe(true);
+    });
+
+    it('should ease toward a subject that moves', () => {
+      const points = reframeService.smoothPath([
+        { time: 0, center: 0.2, confidence: 1 },
+        { time: 0.5, center: 0.8, confidence: 1 },
+        { time: 1, center: 0.8, confidence: 1 },
+        { time: 1.5, center: 0.8, confidence: 1 }
+      ]);
+
+      const centers = points.map(point => point.center);
+      expect(centers[1]).toBeGreaterThan(0.2);
+      expect(centers[3]).toBeGreaterThan(centers[2]);
+      expect(centers[3]).toBeLessThan(0.8);
+    });
+
+    it('should fall back to center when nothing was detected', () => {
+      expect(reframeService.smoothPath([{ time: 0.5, center: null, confidence: 0 }])).toEqual([{ time: 0, center: 0.5 }]);
+    });
+  });
+
+  describe('buildCropPlan', () => {
+    it('should clamp a manual offset to the frame edges', () => {
+      const plan = reframeService.buildCropPlan({
+        sourceWidth: 1920,
+        sourceHeight: 1080,
+        outWidth: 1080,
+        outHeight: 1920,
+        points: [{ time: 0, center: 0.99 }]
+      });
+
+      expect(plan.scaledWidth).toBe(3414);
+      expect(plan.scaledHeight).toBe(1920);
+      expect(plan.x).toBe(3414 - 1080);
+      expect(plan.commands).toEqual([]);
+    });
+
+    it('should emit interpolated crop commands along the path', () => {
+      const plan = reframeService.buildCropPlan({
+        sourceWidth: 1920,
+        sourceHeight: 1080,
+        outWidth: 1080,
+        outHeight: 1920,
+        points: [{ time: 0, center: 0.4 }, { time: 1, center: 0.6 }]
+      });
+
+      expect(plan.commands.length).toBe(10);
+      expect(plan.commands[plan.commands.length - 1]).toEqual({ time: 1, x: Math.round(0.6 * 3414 - 540) });
+      plan.commands.slice(1).forEach((command, index) => {
+        expect(command.x).toBeGreaterThan(plan.commands[index].x);
+      });
+    });
+  });
+});
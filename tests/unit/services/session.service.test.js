@@ -0,0 +1,222 @@
+/**
+ * Session Service Unit Tests
+ * Tests for active session listing, revocation and new-device detection in src/services/session.service.js
+ */
+
+jest.mock('../../../src/models', () => ({
+  sessions: {
+    findById: jest.fn(),
+    findBySessionId: jest.fn(),
+    findActiveByUserId: jest.fn(),
+    listActiveForUser: jest.fn(),
+    getDeviceHistory: jest.fn(),
+    createSession: jest.fn(),
+    updateActivity: jest.fn(),
+    endSession: jest.fn()
+  }
+}));
+
+jest.mock('../../../src/services/database.service', () => ({
+  pool: {}
+}));
+
+jest.mock('../../../src/services/email.service', () => ({
+  sendNewDeviceLogin: jest.fn()
+}));
+
+const { sessions } = require('../../../src/models');
+const emailService = require('../../../src/services/email.service');
+const sessionService = require('../../../src/services/session.service');
+
+const CHROME_ON_MAC = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+function mockRequest(headers = {}) {
+  const lowered = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+  return {
+    ip: '203.0.113.9',
+    body: {},
+    get: name => lowered[name.toLowerCase()]
+  };
+}
+
+function activeRecord(overrides = {}) {
+  return {
+    id: 11,
+    session_id: 'session-other',
+    users_id: 5,
+    is_active: true,
+    status: 'active',
+    last_activity_at: new Date().toISOString(),
+    ...overrides
+  };
+}
+
+describe('SessionService', () => {
+  beforeEach(() => {
+    sessionService.sessionCache.clear();
+    sessions.findById.mockResolvedValue(activeRecord());
+    sessions.findBySessionId.mockResolvedValue(activeRecord({ session_id: 'session-current' }));
+    sessions.updateActivity.mockResolvedValue(activeRecord());
+    sessions.endSession.mockResolvedValue({});
+    sessions.getDeviceHistory.mockResolvedValue({ total: 0, sameDevice: 0 });
+    sessions.createSession.mockImplementation(async fields => ({ id: 40, ...fields }));
+    emailService.sendNewDeviceLogin.mockResolvedValue({ success: true });
+  });
+
+  describe('getLocationFromRequest', () => {
+    it('joins the Cloudflare city, region and country', () => {
+      const req = mockRequest({ 'CF-IPCity': 'Lisbon', 'CF-Region': 'Lisbon', 'CF-IPCountry': 'PT' });
+      expect(sessionService.getLocationFromRequest(req)).toBe('Lisbon, Lisbon, PT');
+    });
+
+    it('decodes Vercel geolocation headers', () => {
+      const req = mockRequest({ 'X-Vercel-IP-City': 'S%C3%A3o%20Paulo', 'X-Vercel-IP-Country': 'BR' });
+      expect(sessionService.getLocationFromRequest(req)).toBe('São Paulo, BR');
+    });
+
+    it('ignores unknown and Tor country codes', () => {
+      expect(sessionService.getLocationFromRequest(mockRequest({ 'CF-IPCountry': 'XX' }))).toBe('');
+      expect(sessionService.getLocationFromRequest(mockRequest({ 'CF-IPCountry': 'T1' }))).toBe('');
+    });
+  });
+
+  describe('validateSession', () => {
+    it('accepts an active session and caches the result', async () => {
+      await expect(sessionService.validateSession('session-current')).resolves.toBe(true);
+      await expect(sessionService.validateSession('session-current')).resolves.toBe(true);
+
+      expect(sessions.findBySessionId).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects signed-out and unknown sessions', async () => {
+      sessions.findBySessionId.mockResolvedValueOnce(activeRecord({ is_active: false, status: 'logged_out' }));
+      await expect(sessionService.validateSession('session-ended')).resolves.toBe(false);
+
+      sessions.findBySessionId.mockResolvedValueOnce(null);
+      await expect(sessionService.validateSession('session-missing')).resolves.toBe(false);
+    });
+
+    it('records activity when the last one is older than the interval', async () => {
+      sessions.findBySessionId.mockResolvedValue(activeRecord({
+        session_id: 'session-current',
+        last_activity_at: new Date(Date.now() - 10 * 60 * 1000).toISOString()
+      }));
+
+      await sessionService.validateSession('session-current');
+
+      expect(sessions.updateActivity).toHaveBeenCalledWith('session-current', expect.any(Object));
+    });
+
+    it('does not record activity for a recently active session', async () => {
+      await sessionService.validateSession('session-current');
+
+      expect(sessions.updateActivity).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listActiveSessions', () => {
+    it('flags the current session', async () => {
+      sessions.listActiveForUser.mockResolvedValue([
+        activeRecord({ id: 10, session_id: 'session-current', browser: 'Chrome', ip_address: '203.0.113.9' }),
+        activeRecord({ id: 11, session_id: 'session-other', browser: 'Safari' })
+      ]);
+
+      const list = await sessionService.listActiveSessions(5, 'session-current');
+
+      expect(list).toHaveLength(2);
+      expect(list[0]).toMatchObject({ id: 10, current: true, browser: 'Chrome', ipAddress: '203.0.113.9' });
+      expect(list[1]).toMatchObject({ id: 11, current: false, browser: 'Safari' });
+      expect(list[0]).not.toHaveProperty('session_id');
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('ends another session and rejects its token at once', async () => {
+      await sessionService.validateSession('session-other');
+
+      await sessionService.revokeSession(5, 11, 'session-current');
+
+      expect(sessions.endSession).toHaveBeenCalledWith('session-other', 'revoked');
+      await expect(sessionService.validateSession('session-other')).resolves.toBe(false);
+    });
+
+    it('hides sessions of other users', async () => {
+      await expect(sessionService.revokeSession(6, 11, 'session-current'))
+        .rejects.toMatchObject({ code: 'SESSION_NOT_FOUND' });
+      expect(sessions.endSession).not.toHaveBeenCalled();
+    });
+
+    it('rejects sessions that already ended', async () => {
+      sessions.findById.mockResolvedValue(activeRecord({ is_active: false, status: 'logged_out' }));
+
+      await expect(sessionService.revokeSession(5, 11, 'session-current'))
+        .rejects.toMatchObject({ code: 'SESSION_NOT_FOUND' });
+    });
+
+    it('refuses to revoke the current session', async () => {
+      sessions.findById.mockResolvedValue(activeRecord({ session_id: 'session-current' }));
+
+      await expect(sessionService.revokeSession(5, 11, 'session-current'))
+        .rejects.toMatchObject({ code: 'CURRENT_SESSION' });
+    });
+  });
+
+  describe('revokeOtherSessions', () => {
+    it('ends every session except the current one', async () => {
+      sessions.findActiveByUserId.mockResolvedValue([
+        activeRecord({ id: 10, session_id: 'session-current' }),
+        activeRecord({ id: 11, session_id: 'session-other' }),
+        activeRecord({ id: 12, session_id: 'session-third' })
+      ]);
+
+      const revoked = await sessionService.revokeOtherSessions(5, 'session-current');
+
+      expect(revoked).toBe(2);
+      expect(sessions.endSession).toHaveBeenCalledWith('session-other', 'revoked');
+      expect(sessions.endSession).toHaveBeenCalledWith('session-third', 'revoked');
+      expect(sessions.endSession).not.toHaveBeenCalledWith('session-current', expect.anything());
+    });
+  });
+
+  describe('recordLogin', () => {
+    const user = { id: 5, email: 'user@example.com', firstName: 'Uma' };
+
+    it('emails the user about a sign-in from a new device', async () => {
+      sessions.getDeviceHistory.mockResolvedValue({ total: 3, sameDevice: 0 });
+      const req = mockRequest({ 'User-Agent': CHROME_ON_MAC, 'CF-IPCountry': 'PT' });
+
+      const session = await sessionService.recordLogin(user, req, 'email');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(session.sessionId).toBe(req.sessionId);
+      expect(sessions.getDeviceHistory).toHaveBeenCalledWith(5, { browser: 'Chrome', os: 'macOS', device_type: 'desktop' });
+      expect(emailService.sendNewDeviceLogin).toHaveBeenCalledWith('user@example.com', expect.objectContaining({
+        device: 'Chrome on macOS',
+        location: 'PT',
+        ipAddress: '203.0.113.9',
+        securityUrl: expect.stringContaining('/settings/security')
+      }));
+    });
+
+    it('does not email for a known device', async () => {
+      sessions.getDeviceHistory.mockResolvedValue({ total: 3, sameDevice: 2 });
+
+      await sessionService.recordLogin(user, mockRequest({ 'User-Agent': CHROME_ON_MAC }), 'email');
+
+      expect(emailService.sendNewDeviceLogin).not.toHaveBeenCalled();
+    });
+
+    it('does not email for the first session of an account', async () => {
+      await sessionService.recordLogin(user, mockRequest({ 'User-Agent': CHROME_ON_MAC }), 'google');
+
+      expect(emailService.sendNewDeviceLogin).not.toHaveBeenCalled();
+    });
+
+    it('skips the device check for signups', async () => {
+      await sessionService.recordSignup(user, mockRequest({ 'User-Agent': CHROME_ON_MAC }), 'email');
+
+      expect(sessions.getDeviceHistory).not.toHaveBeenCalled();
+      expect(emailService.sendNewDeviceLogin).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Share Link Service Unit Tests
+ * Tests for src/services/share-link.service.js
+ */
+
+jest.mock('../../../src/services/database.service', () => ({
+  query: jest.fn()
+}));
+
+jest.mock('../../../src/services/content.service', () => ({
+  getVideoContentByType: jest.fn()
+}));
+
+jest.mock('../../../src/services/quiz-export.service', () => ({
+  getStructuredQuiz: jest.fn()
+}));
+
+jest.mock('../../../src/models', () => ({
+  video: { accessCondition: jest.requireActual('../../../src/models/Video').prototype.accessCondition },
+  shareLink: { create: jest.fn(), findForUser: jest.fn(), recordView: jest.fn() },
+  shareQuizAttempt: { record: jest.fn(), listForLink: jest.fn() }
+}));
+
+const bcrypt = require('bcryptjs');
+const database = require('../../../src/services/database.service');
+const contentService = require('../../../src/services/content.service');
+const quizExportService = require('../../../src/services/quiz-export.service');
+const { shareLink, shareQuizAttempt } = require('../../../src/models');
+const shareLinkService = require('../../../src/services/share-link.service');
+
+const QUESTIONS = [
+  { number: 1, type: 'multiple_choice', question: 'Best cadence?', choices: ['Yearly', 'Daily'], correct_index: 1, answer: 'Daily', explanation: 'Consistency wins.' },
+  { number: 2, type: 'true_false', question: 'Thumbnails matter.', choices: ['True', 'False'], correct_index: 0, answer: 'True', explanation: null },
+  { number: 3, type: 'short_answer', question: 'Short-form format?', choices: [], correct_index: null, answer: 'YouTube Shorts', explanation: null }
+];
+
+const LINK = {
+  id: 4,
+  token: 'abcdefghijklmnopqrstuvwx',
+  video_id: 12,
+  content_types: ['study_guide_text', 'quiz_text'],
+  password_hash: null,
+  expires_at: null,
+  revoked_at: null
+};
+
+describe('ShareLinkService', () => {
+  beforeEach(() => {
+    quizExportService.getStructuredQuiz.mockResolvedValue({ questions: QUESTIONS, errors: [] });
+    shareLink.recordView.mockResolvedValue();
+  });
+
+  describe('createLink', () => {
+    it('should share only the requested types that have content, hashing the password', async () => {
+      database.query
+        .mockResolvedValueOnce({ rows: [{ id: 12 }] })
+        .mockResolvedValueOnce({ rows: [{ key: 'quiz_text' }, { key: 'study_guide_text' }] });
+      shareLink.create.mockImplementation(async data => ({ id: 1, ...data }));
+
+      const link = await shareLinkService.createLink(7, 12, { expiresInDays: 7, password: 'secret' });
+
+      const saved = shareLink.create.mock.calls[0][0];
+      expect(saved.content_types).toEqual(['study_guide_text', 'quiz_text']);
+      expect(saved.token).toMatch(/^[A-Za-z0-9_-]{32}$/);
+      expect(await bcrypt.compare('secret', saved.password_hash)).toBe(true);
+      expect(link).toMatchObject({ hasPassword: true, status: 'active', contentTypes: ['study_guide_text', 'quiz_text'] });
+      expect(link.url).toMatch(new RegExp(`/share/${saved.token}$`));
+      expect(link).not.toHaveProperty('password_hash');
+    });
+
+    it('should let workspace owners and editors share a workspace video', async () => {
+      database.query
+        .mockResolvedValueOnce({ rows: [{ id: 12 }] })
+        .mockResolvedValueOnce({ rows: [{ key: 'study_guide_text' }] });
+      shareLink.create.mockImplementation(async data => ({ id: 1, ...data }));
+
+      await shareLinkService.createLink(8, 12);
+
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain('workspace_id IN');
+      expect(sql).toContain('role IN (\'owner\', \'editor\')');
+      expect(params).toEqual([12, 8]);
+      expect(shareLink.create).toHaveBeenCalledWith(expect.objectContaining({ users_id: 8 }));
+    });
+
+    it('should refuse videos with nothing to share', async () => {
+      database.query
+        .mockResolvedValueOnce({ rows: [{ id: 12 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(shareLinkService.createLink(7, 12)).rejects.toMatchObject({ code: 'NO_SHAREABLE_CONTENT' });
+      expect(shareLink.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('public access', () => {
+    it('should treat revoked and expired links as unavailable', () => {
+      expect(shareLinkService.getStatus({ revoked_at: new Date() })).toBe('revoked');
+      expect(shareLinkService.getStatus({ expires_at: new Date(Date.now() - 1000) })).toBe('expired');
+      expect(shareLinkService.getStatus({ expires_at: new Date(Date.now() + 60000) })).toBe('active');
+    });
+
+    it('should only grant access to password-protected links with the matching unlock key', () => {
+      const locked = { ...LINK, password_hash: '$2a$10$hash' };
+      const key = shareLinkService.getAccessKey(locked);
+
+      expect(shareLinkService.hasAccess(LINK)).toBe(true);
+      expect(shareLinkService.hasAccess(locked)).toBe(false);
+      expect(shareLinkService.hasAccess(locked, 'wrong')).toBe(false);
+      expect(shareLinkService.hasAccess(locked, key)).toBe(true);
+      expect(shareLinkService.hasAccess({ ...locked, password_hash: '$2a$10$changed' }, key)).toBe(false);
+    });
+
+    it('should render guides and strip answers from the shared quiz', async () => {
+      database.query.mockResolvedValue({ rows: [{ video_title: 'Growth', channel_name: 'Creator' }] });
+      contentService.getVideoContentByType.mockResolvedValue({ content_text: '## Key Ideas\n\n- Post **daily**' });
+
+      const shared = await shareLinkService.getSharedContent(LINK);
+
+      expect(shared.sections).toEqual([
+        expect.objectContaining({ contentType: 'study_guide_text', html: expect.stringContaining('<strong>daily</strong>') })
+      ]);
+      expect(shared.quiz.questions[2]).toEqual({ index: 2, number: 3, type: 'short_answer', question: 'Short-form format?', choices: null });
+      shared.quiz.questions.forEach(question => {
+        expect(Object.keys(question)).toEqual(['index', 'number', 'type', 'question', 'choices']);
+      });
+      expect(shareLink.recordView).toHaveBeenCalledWith(4);
+    });
+  });
+
+  describe('scoreQuiz', () => {
+    it('should score choices by index and short answers loosely, then record the attempt', async () => {
+      shareQuizAttempt.record.mockResolvedValue({});
+
+      const result = await shareLinkService.scoreQuiz(LINK, [1, 1, '  youtube shorts! '], '  Sam ');
+
+      expect(result.score).toBe(2);
+      expect(result.total).toBe(3);
+      expect(result.results[0]).toEqual({ number: 1, correct: true, answer: 'Daily', correctIndex: 1, explanation: 'Consistency wins.' });
+      expect(result.results[1].correct).toBe(false);
+      expect(shareQuizAttempt.record).toHaveBeenCalledWith(4, 'Sam', [
+        { number: 1, question: 'Best cadence?', response: 'Daily', correct: true },
+        { number: 2, question: 'Thumbnails matter.', response: 'False', correct: false },
+        { number: 3, question: 'Short-form format?', response: 'youtube shorts!', correct: true }
+      ], 2, 3);
+    });
+
+    it('should reject links that do not share the quiz', async () => {
+      await expect(shareLinkService.scoreQuiz({ ...LINK, content_types: ['study_guide_text'] }, []))
+        .rejects.toMatchObject({ code: 'QUIZ_NOT_SHARED' });
+    });
+  });
+
+  describe('getResults', () => {
+    it('should aggregate per-question correct rates and the average score', async () => {
+      shareLink.findForUser.mockResolvedValue({ ...LINK, has_password: false });
+      shareQuizAttempt.listForLink.mockResolvedValue([
+        { id: 2, participant_name: null, score: 1, total: 2, results: [{ number: 1, question: 'A?', correct: true }, { number: 2, question: 'B?', correct: false }] },
+        { id: 1, participant_name: 'Sam', score: 2, total: 2, results: [{ number: 1, question: 'A?', correct: true }, { number: 2, question: 'B?', correct: true }] }
+      ]);
+
+      const results = await shareLinkService.getResults(7, 4);
+
+      expect(results.attemptCount).toBe(2);
+      expect(results.averageScore).toBe(75);
+      expect(results.questions).toEqual([
+        { number: 1, question: 'A?', attempts: 2, correct: 2, correctRate: 100 },
+        { number: 2, question: 'B?', attempts: 2, correct: 1, correctRate: 50 }
+      ]);
+    });
+
+    it('should raise SHARE_LINK_NOT_FOUND for links the user does not own', async () => {
+      shareLink.findForUser.mockResolvedValue(null);
+
+      await expect(shareLinkService.getResults(7, 99)).rejects.toMatchObject({ code: 'SHARE_LINK_NOT_FOUND' });
+    });
+  });
+});
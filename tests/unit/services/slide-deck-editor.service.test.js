@@ -0,0 +1,155 @@
+/**
+ * Slide Deck Editor Service Unit Tests
+ * Tests for src/services/slide-deck-editor.service.js
+ */
+
+// Mock dependencies before requiring the service
+jest.mock('../../../src/services/database.service', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../../../src/models', () => ({
+  slideDeckVersion: { listForContent: jest.fn(), findVersion: jest.fn() }
+}));
+
+const slideDeckEditorService = require('../../../src/services/slide-deck-editor.service');
+const slideDeckGenerationService = require('../../../src/services/slide-deck-generation.service');
+const database = require('../../../src/services/database.service');
+
+describe('SlideDeckEditorService', () => {
+  const deck = {
+    theme: { primary_color: '#111111' },
+    slides: [
+      { slide_type: 'title', title: 'Growth Playbook', subtitle: 'Q3 review' },
+      { slide_type: 'bullets', heading: 'What worked', bullets: ['Shorts', 'Collabs'] },
+      { slide_type: 'summary', heading: 'Takeaways', takeaways: ['Post daily'] }
+    ]
+  };
+
+  describe('validateSlide', () => {
+    it('should trim strings and drop fields the slide type does not use', () => {
+      const slide = slideDeckGenerationService.validateSlide({
+        slide_type: 'bullets',
+        heading: '  What worked ',
+        bullets: ['Shorts ', ''],
+        quote: 'not used on bullets'
+      });
+
+      expect(slide).toEqual({ slide_type: 'bullets', heading: 'What worked', bullets: ['Shorts'] });
+    });
+
+    it('should reject missing required fields and unknown slide types', () => {
+      expect(() => slideDeckGenerationService.validateSlide({ slide_type: 'summary', heading: 'Wrap up' }))
+        .toThrow('A summary slide requires "takeaways"');
+      expect(() => slideDeckGenerationService.validateSlide({ slide_type: 'chart' }))
+        .toThrow('Unknown slide_type "chart"');
+    });
+
+    it('should check stats and table shapes', () => {
+      expect(() => slideDeckGenerationService.validateSlide({
+        slide_type: 'statistics', heading: 'Numbers', stats: [{ value: '40%' }]
+      })).toThrow('"stats[0]" needs both a value and a label');
+
+      expect(() => slideDeckGenerationService.validateSlide({
+        slide_type: 'table', headers: ['Channel', 'Views'], rows: [['YouTube', '10k'], ['TikTok']]
+      })).toThrow('"rows[1]" has 1 cells but the table has 2 headers');
+    });
+  });
+
+  describe('speaker notes', () => {
+    it('should keep notes and source timestamps through validation', () => {
+      const slide = slideDeckGenerationService.validateSlide({
+        slide_type: 'quote',
+        quote: 'Ship it',
+        speaker_notes: ' Tell the launch story. ',
+        source_start_seconds: '74.6',
+        source_end_seconds: 131
+      });
+
+      expect(slide).toMatchObject({ speaker_notes: 'Tell the launch story.', source_start_seconds: 75, source_end_seconds: 131 });
+      expect(() => slideDeckGenerationService.validateSlide({ ...slide, source_end_seconds: 10 }))
+        .toThrow('must not be before');
+    });
+
+    it('should link notes back to the source video at the slide start time', () => {
+      const notes = slideDeckGenerationService.buildSpeakerNotes(
+        { speaker_notes: 'Tell the launch story.', source_start_seconds: 75, source_end_seconds: 3700 },
+        'https://www.youtube.com/watch?v=abc123'
+      );
+
+      expect(notes).toBe('Tell the launch story.\n\nSource: 1:15–1:01:40 (https://www.youtube.com/watch?v=abc123&t=75s)');
+      expect(slideDeckGenerationService.buildSpeakerNotes({ slide_type: 'title', title: 'No notes' })).toBeNull();
+    });
+  });
+
+  describe('mergeSlideChanges', () => {
+    it('should carry the headline and items over when the slide type changes', () => {
+      const merged = slideDeckEditorService.mergeSlideChanges(deck.slides[1], { slide_type: 'summary' });
+
+      expect(slideDeckGenerationService.validateSlide(merged)).toEqual({
+        slide_type: 'summary',
+        heading: 'What worked',
+        takeaways: ['Shorts', 'Collabs']
+      });
+    });
+  });
+
+  describe('reorder', () => {
+    it('should require a permutation of every slide index', () => {
+      expect(slideDeckEditorService.reorder(deck.slides, [2, 0, 1]).map(s => s.slide_type))
+        .toEqual(['summary', 'title', 'bullets']);
+      expect(() => slideDeckEditorService.reorder(deck.slides, [0, 0, 1])).toThrow('exactly once');
+    });
+  });
+
+  describe('saveEdit', () => {
+    let client;
+
+    beforeEach(() => {
+      client = { query: jest.fn() };
+      client.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM video_content')) {
+          return { rows: [{ id: 7, content_text: JSON.stringify(deck) }] };
+        }
+        if (sql.includes('MAX(version_number)')) {
+          return { rows: [{ max_version: null }] };
+        }
+        return { rows: [] };
+      });
+      database.transaction.mockImplementation(callback => callback(client));
+    });
+
+    it('should snapshot the generated deck, clear the cached PPTX and save a new version', async () => {
+      const result = await slideDeckEditorService.deleteSlide(3, 42, 1);
+
+      expect(result.version).toBe(2);
+      expect(result.deck.slides.map(s => s.slide_type)).toEqual(['title', 'summary']);
+
+      const inserts = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO slide_deck_versions'));
+      expect(inserts.map(([, params]) => params[1])).toEqual([1, 2]);
+      expect(JSON.parse(inserts[0][1][2]).slides).toHaveLength(3);
+
+      const update = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE video_content'));
+      expect(update[0]).toContain('content_url = NULL');
+      expect(JSON.parse(update[1][0]).slides).toHaveLength(2);
+    });
+
+    it('should reject edits to a slide that does not exist', async () => {
+      await expect(slideDeckEditorService.updateSlide(3, 42, 9, { heading: 'New' }))
+        .rejects.toMatchObject({ code: 'SLIDE_NOT_FOUND' });
+    });
+
+    it('should not allow deleting the last slide', async () => {
+      client.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM video_content')) {
+          return { rows: [{ id: 7, content_text: JSON.stringify({ ...deck, slides: [deck.slides[0]] }) }] };
+        }
+        return { rows: [{ max_version: 4 }] };
+      });
+
+      await expect(slideDeckEditorService.deleteSlide(3, 42, 0))
+        .rejects.toMatchObject({ code: 'INVALID_SLIDE' });
+    });
+  });
+});
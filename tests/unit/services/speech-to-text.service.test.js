@@ -0,0 +1,192 @@
+/**
+ * Speech-to-Text Service Unit Tests
+ * Tests for src/services/speech-to-text.service.js
+ */
+
+jest.mock('axios');
+
+const originalEnv = process.env;
+
+describe('SpeechToTextService', () => {
+  let speechToText;
+  let axios;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = { ...originalEnv };
+    delete process.env.STT_PROVIDER;
+    delete process.env.STT_API_URL;
+    delete process.env.WHISPER_CLI_PATH;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const load = () => {
+    axios = require('axios');
+    speechToText = require('../../../src/services/speech-to-text.service');
+    return speechToText;
+  };
+
+  describe('getProvider', () => {
+    it('should return null when nothing is configured', () => {
+      load();
+
+      expect(speechToText.getProvider()).toBeNull();
+      expect(speechToText.isAvailable()).toBe(false);
+    });
+
+    it('should pick the first configured provider', () => {
+      process.env.STT_API_URL = 'http://localhost:8000/v1';
+      load();
+
+      expect(speechToText.getProvider().name).toBe('openai-compatible');
+    });
+
+    it('should honour STT_PROVIDER when it is configured', () => {
+      process.env.STT_API_URL = 'http://localhost:8000/v1';
+      process.env.WHISPER_CLI_PATH = '/usr/local/bin/whisper-cli';
+      process.env.STT_PROVIDER = 'openai-compatible';
+      load();
+
+      expect(speechToText.getProvider().name).toBe('openai-compatible');
+    });
+
+    it('should fall back when STT_PROVIDER is not configured', () => {
+      process.env.WHISPER_CLI_PATH = '/usr/local/bin/whisper-cli';
+      process.env.STT_PROVIDER = 'openai-compatible';
+      load();
+
+      expect(speechToText.getProvider().name).toBe('whisper-cli');
+    });
+  });
+
+  describe('registerProvider', () => {
+    it('should reject providers missing the interface', () => {
+      load();
+
+      expect(() => speechToText.registerProvider('broken', {})).toThrow('must implement');
+    });
+
+    it('should use a registered provider once configured', () => {
+      load();
+      speechToText.registerProvider('custom', {
+        isConfigured: () => true,
+        transcribe: jest.fn()
+      });
+
+      expect(speechToText.getProvider().name).toBe('custom');
+    });
+  });
+
+  describe('normalizeSegments', () => {
+    it('should coerce times and drop empty text', () => {
+      load();
+
+      const result = speechToText.normalizeSegments([
+        { start: '1.5', end: '3', text: ' Hello ' },
+        { start: 3, end: 4, text: '   ' },
+        { start: null, end: null, text: 'Untimed' }
+      ]);
+
+      expect(result).toEqual([
+        { start: 1.5, end: 3, text: 'Hello', confidence: null, speaker: null },
+        { start: null, end: null, text: 'Untimed', confidence: null, speaker: null }
+      ]);
+    });
+
+    it('should derive confidence from whisper avg_logprob', () => {
+      load();
+
+      const [segment] = speechToText.normalizeSegments([{ start: 0, end: 1, text: 'Hi', avg_logprob: 0 }]);
+
+      expect(segment.confidence).toBe(1);
+    });
+
+    it('should return an empty array for non-array input', () => {
+      load();
+
+      expect(speechToText.normalizeSegments(null)).toEqual([]);
+    });
+  });
+
+  describe('assignSpeakers', () => {
+    it('should label segments with the speaker of greatest overlap in order of appearance', () => {
+      load();
+
+      const segments = speechToText.normalizeSegments([
+        { start: 0, end: 4, text: 'Welcome back' },
+        { start: 4, end: 9, text: 'Thanks for having me' },
+        { start: null, end: null, text: 'Untimed' }
+      ]);
+      const turns = [
+        { start: 0, end: 4.5, speaker: 'SPEAKER_01' },
+        { start: 4.5, end: 10, speaker: 'SPEAKER_00' }
+      ];
+
+      const result = speechToText.assignSpeakers(segments, turns);
+
+      expect(result.map(segment => segment.speaker)).toEqual(['Speaker 1', 'Speaker 2', null]);
+    });
+
+    it('should leave segments untouched without turns', () => {
+      load();
+
+      const segments = [{ start: 0, end: 1, text: 'Hi', speaker: null }];
+
+      expect(speechToText.assignSpeakers(segments, [])).toBe(segments);
+    });
+  });
+
+  describe('openai-compatible provider', () => {
+    it('should post verbose_json and return segments', async () => {
+      process.env.STT_API_URL = 'http://localhost:8000/v1/';
+      process.env.STT_API_KEY = 'local-key';
+      load();
+
+      const fs = require('fs');
+      const os = require('os');
+      const path = require('path');
+      const audioPath = path.join(os.tmpdir(), `stt-test-${Date.now()}.wav`);
+      fs.writeFileSync(audioPath, Buffer.from('RIFF'));
+
+      axios.post.mockResolvedValue({
+        data: { text: 'Hello world', segments: [{ start: 0, end: 1.2, text: 'Hello world' }] }
+      });
+
+      try {
+        const segments = await speechToText.providers['openai-compatible'].transcribe(audioPath, { language: 'es' });
+
+        const [url, form, config] = axios.post.mock.calls[0];
+        expect(url).toBe('http://localhost:8000/v1/audio/transcriptions');
+        expect(form.get('response_format')).toBe('verbose_json');
+        expect(form.get('language')).toBe('es');
+        expect(config.headers.Authorization).toBe('Bearer local-key');
+        expect(segments).toEqual([{ start: 0, end: 1.2, text: 'Hello world' }]);
+      } finally {
+        fs.unlinkSync(audioPath);
+      }
+    });
+
+    it('should return untimed text when the server has no segments', async () => {
+      process.env.STT_API_URL = 'http://localhost:8000/v1';
+      load();
+
+      const fs = require('fs');
+      const os = require('os');
+      const path = require('path');
+      const audioPath = path.join(os.tmpdir(), `stt-test-${Date.now()}.wav`);
+      fs.writeFileSync(audioPath, Buffer.from('RIFF'));
+
+      axios.post.mockResolvedValue({ data: { text: 'Just text' } });
+
+      try {
+        const segments = await speechToText.providers['openai-compatible'].transcribe(audioPath);
+        expect(segments).toEqual([{ start: null, end: null, text: 'Just text' }]);
+      } finally {
+        fs.unlinkSync(audioPath);
+      }
+    });
+  });
+});
@@ -11,7 +11,8 @@ jest.mock('../../../src/services/database.service', () => ({
 
 jest.mock('../../../src/models', () => ({
   user: {
-    resolveUserId: jest.fn()
+    resolveUserId: jest.fn(),
+    findById: jest.fn()
   },
   userSubscription: {
     getActiveByUserId: jest.fn(),
@@ -25,12 +26,15 @@ jest.mock('../../../src/models', () => ({
     decrementUsage: jest.fn(),
     createUsage: jest.fn(),
     hasExceededLimit: jest.fn()
+  },
+  workspaceMember: {
+    findMembership: jest.fn()
   }
 }));
 
 const subscriptionService = require('../../../src/services/subscription.service');
 const database = require('../../../src/services/database.service');
-const { user, userSubscription, subscriptionUsage } = require('../../../src/models');
+const { user, userSubscription, subscriptionUsage, workspaceMember } = require('../../../src/models');
 
 describe('SubscriptionService', () => {
   beforeEach(() => {
@@ -893,4 +897,41 @@ describe('SubscriptionService', () => {
       expect(result).toEqual([]);
     });
   });
+
+  describe('getWorkspaceBillingUser', () => {
+    it('bills editors\' work to the workspace owner', async () => {
+      workspaceMember.findMembership.mockResolvedValue({ role: 'editor', owner_users_id: 5 });
+      user.findById.mockResolvedValue({ id: 5, subscription_tier: 'enterprise' });
+
+      const result = await subscriptionService.getWorkspaceBillingUser(8, 6);
+
+      expect(workspaceMember.findMembership).toHaveBeenCalledWith(8, 6);
+      expect(result).toEqual({ id: 5, subscription_tier: 'enterprise' });
+    });
+
+    it('returns null for viewers and non-members', async () => {
+      workspaceMember.findMembership.mockResolvedValueOnce({ role: 'viewer', owner_users_id: 5 });
+      workspaceMember.findMembership.mockResolvedValueOnce(null);
+
+      await expect(subscriptionService.getWorkspaceBillingUser(8, 7)).resolves.toBeNull();
+      await expect(subscriptionService.getWorkspaceBillingUser(8, 99)).resolves.toBeNull();
+      expect(user.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSeatLimit', () => {
+    it('uses the subscription quantity on per-seat tiers', async () => {
+      user.findById.mockResolvedValue({ id: 5, subscription_tier: 'enterprise' });
+      userSubscription.getActiveByUserId.mockResolvedValue({ seat_quantity: 12 });
+
+      await expect(subscriptionService.getSeatLimit(5)).resolves.toBe(12);
+    });
+
+    it('gives other tiers a single seat', async () => {
+      user.findById.mockResolvedValue({ id: 5, subscription_tier: 'premium' });
+
+      await expect(subscriptionService.getSeatLimit(5)).resolves.toBe(1);
+      expect(userSubscription.getActiveByUserId).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,138 @@
+/**
+ * Transcript Service Unit Tests
+ * Tests for src/services/transcript.service.js (structured segments)
+ */
+
+// Mock dependencies before requiring the service
+jest.mock('../../../src/models', () => ({
+  aiPrompts: { getAvailableContentTypes: jest.fn() },
+  video: { findById: jest.fn(), updateVideo: jest.fn() },
+  transcriptSegment: {
+    getByVideo: jest.fn(),
+    replaceForVideo: jest.fn()
+  }
+}));
+
+jest.mock('../../../src/services/speech-to-text.service', () => ({
+  isAvailable: jest.fn(() => false),
+  transcribeUrl: jest.fn(),
+  transcribeFile: jest.fn()
+}));
+
+jest.mock('../../../src/services/processing-status.service', () => ({
+  updateTranscriptStatus: jest.fn()
+}));
+
+jest.mock('../../../src/services/processing-queue.service', () => ({
+  addToQueue: jest.fn()
+}));
+
+const transcriptService = require('../../../src/services/transcript.service');
+const processingQueue = require('../../../src/services/processing-queue.service');
+const { video: videoModel, transcriptSegment } = require('../../../src/models');
+
+describe('TranscriptService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseTranscriptText', () => {
+    it('should parse formatCaptions lines into timed segments', () => {
+      const result = transcriptService.parseTranscriptText('0.0 - 2.5 Hello there\n2.5 - 6.1 General Kenobi');
+
+      expect(result).toEqual([
+        { start: 0, end: 2.5, text: 'Hello there' },
+        { start: 2.5, end: 6.1, text: 'General Kenobi' }
+      ]);
+    });
+
+    it('should close [mm:ss] lines at the next start and keep untimed lines', () => {
+      const result = transcriptService.parseTranscriptText('[00:05] Intro\n[1:02:03] Outro\nNo timing here');
+
+      expect(result).toEqual([
+        { start: 5, end: 3723, text: 'Intro' },
+        { start: 3723, end: null, text: 'Outro' },
+        { start: null, end: null, text: 'No timing here' }
+      ]);
+    });
+
+    it('should return an empty array for empty input', () => {
+      expect(transcriptService.parseTranscriptText(null)).toEqual([]);
+    });
+  });
+
+  describe('buildSpeakerTranscript', () => {
+    it('should merge consecutive segments from the same speaker', () => {
+      const result = transcriptService.buildSpeakerTranscript([
+        { start_seconds: 0, speaker_label: 'Speaker 1', text: 'Welcome back.' },
+        { start_seconds: 3, speaker_label: 'Speaker 1', text: 'Today we talk tests.' },
+        { start_seconds: 65, speaker_label: 'Jane', text: 'Thanks for having me.' },
+        { start_seconds: null, speaker_label: null, text: 'Untimed note' }
+      ]);
+
+      expect(result).toBe([
+        '[00:00] Speaker 1: Welcome back. Today we talk tests.',
+        '[01:05] Jane: Thanks for having me.',
+        'Untimed note'
+      ].join('\n'));
+    });
+  });
+
+  describe('getSpeakerTranscript', () => {
+    it('should fall back to the flat transcript when no segments are stored', async () => {
+      transcriptSegment.getByVideo.mockResolvedValue([]);
+
+      const result = await transcriptService.getSpeakerTranscript(7, 'flat transcript');
+
+      expect(result).toBe('flat transcript');
+    });
+  });
+
+  describe('syncTranscriptFromSegments', () => {
+    it('should rebuild the flat transcript from stored segments', async () => {
+      transcriptSegment.getByVideo.mockResolvedValue([
+        { start_seconds: 0, end_seconds: 1.5, text: 'Edited line' },
+        { start_seconds: null, end_seconds: null, text: 'Untimed' }
+      ]);
+      videoModel.updateVideo.mockResolvedValue({});
+
+      const result = await transcriptService.syncTranscriptFromSegments(7);
+
+      expect(result).toBe('0.0 - 1.5 Edited line\nUntimed');
+      expect(videoModel.updateVideo).toHaveBeenCalledWith(7, { transcript_text: result });
+    });
+  });
+
+  describe('processVideoTranscript', () => {
+    beforeEach(() => {
+      jest.spyOn(transcriptService, 'extractTranscriptDetailed')
+        .mockResolvedValue({ transcript: 'Hello world', segments: [], source: 'youtube' });
+      jest.spyOn(transcriptService, 'updateVideoTranscript').mockResolvedValue({ success: true });
+      jest.spyOn(transcriptService, 'saveTranscriptSegments').mockResolvedValue();
+    });
+
+    it('should queue content generation for the worker once the transcript is stored', async () => {
+      const result = await transcriptService.processVideoTranscript('abc123', 'https://youtube.com/watch?v=abc123', 7, null, ['summary_text']);
+
+      expect(result.success).toBe(true);
+      expect(processingQueue.addToQueue).toHaveBeenCalledWith(7, 'generate_content', 1, {
+        videoId: 'abc123',
+        userId: null,
+        contentTypes: ['summary_text']
+      });
+    });
+
+    it('should stop without writing once the signal is aborted', async () => {
+      const controller = new AbortController();
+      controller.abort(new Error('Lease lost'));
+
+      const result = await transcriptService.processVideoTranscript('abc123', 'https://youtube.com/watch?v=abc123', 7, null, null, {
+        signal: controller.signal
+      });
+
+      expect(result).toEqual(expect.objectContaining({ success: false, reason: 'Lease lost' }));
+      expect(transcriptService.updateVideoTranscript).not.toHaveBeenCalled();
+      expect(processingQueue.addToQueue).not.toHaveBeenCalled();
+    });
+  });
+});
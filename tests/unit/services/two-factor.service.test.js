@@ -0,0 +1,219 @@
+/**
+ * Two-Factor Service Unit Tests
+ * Tests for src/services/two-factor.service.js
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../../src/models', () => ({
+  userTwoFactor: {
+    findByUserId: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    markStepUsed: jest.fn(),
+    deleteByUserId: jest.fn()
+  },
+  userRecoveryCode: {
+    replaceForUser: jest.fn(),
+    consume: jest.fn(),
+    countRemaining: jest.fn(),
+    deleteByUserId: jest.fn()
+  },
+  userTrustedDevice: {
+    create: jest.fn(),
+    touchValid: jest.fn(),
+    countActive: jest.fn(),
+    deleteByUserId: jest.fn()
+  }
+}));
+
+const { userTwoFactor, userRecoveryCode, userTrustedDevice } = require('../../../src/models');
+const twoFactorService = require('../../../src/services/two-factor.service');
+
+// RFC 6238 test secret ("12345678901234567890")
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('TwoFactorService', () => {
+  const originalEnv = { ...process.env };
+  let record;
+
+  beforeAll(() => {
+    process.env.TOKEN_ENCRYPTION_KEY = 'k'.repeat(32);
+    process.env.JWT_SECRET = 'test-jwt-secret';
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  beforeEach(() => {
+    record = { id: 1, users_id: 5, enabled_at: new Date('2026-10-01'), ...twoFactorService.encryptSecret(SECRET) };
+    userTwoFactor.findByUserId.mockResolvedValue(record);
+    userTwoFactor.markStepUsed.mockResolvedValue(true);
+    userTwoFactor.deleteByUserId.mockResolvedValue(true);
+    userRecoveryCode.consume.mockResolvedValue(false);
+    userRecoveryCode.countRemaining.mockResolvedValue(9);
+  });
+
+  describe('TOTP', () => {
+    it('matches the RFC 6238 SHA-1 test vectors', () => {
+      expect(twoFactorService.generateTotp(SECRET, Math.floor(59 / 30))).toBe('287082');
+      expect(twoFactorService.generateTotp(SECRET, Math.floor(1111111109 / 30))).toBe('081804');
+      expect(twoFactorService.generateTotp(SECRET, Math.floor(2000000000 / 30))).toBe('279037');
+    });
+
+    it('accepts one step of clock drift either way', () => {
+      const now = 1111111109 * 1000;
+      const step = twoFactorService.currentStep(now);
+
+      expect(twoFactorService.matchTotp(SECRET, twoFactorService.generateTotp(SECRET, step - 1), now)).toBe(step - 1);
+      expect(twoFactorService.matchTotp(SECRET, twoFactorService.generateTotp(SECRET, step + 1), now)).toBe(step + 1);
+      expect(twoFactorService.matchTotp(SECRET, twoFactorService.generateTotp(SECRET, step + 2), now)).toBeNull();
+    });
+
+    it('rejects malformed codes', () => {
+      expect(twoFactorService.matchTotp(SECRET, '12345')).toBeNull();
+      expect(twoFactorService.matchTotp(SECRET, 'abcdef')).toBeNull();
+      expect(twoFactorService.matchTotp(SECRET, undefined)).toBeNull();
+    });
+  });
+
+  describe('startEnrollment', () => {
+    it('stores an encrypted secret and returns a QR code for it', async () => {
+      userTwoFactor.findByUserId.mockResolvedValue(null);
+
+      const result = await twoFactorService.startEnrollment({ id: 5, email: 'user@example.com' });
+
+      expect(result.secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(result.otpauthUrl).toBe(
+        `otpauth://totp/AmplifyContent%3Auser%40example.com?secret=${result.secret}&issuer=AmplifyContent&algorithm=SHA1&digits=6&period=30`
+      );
+      expect(result.qrCode).toMatch(/^data:image\/png;base64,/);
+
+      const created = userTwoFactor.create.mock.calls[0][0];
+      expect(created.users_id).toBe(5);
+      expect(created.secret_encrypted).not.toContain(result.secret);
+      expect(twoFactorService.decryptSecret(created)).toBe(result.secret);
+    });
+
+    it('refuses while 2FA is already on', async () => {
+      await expect(twoFactorService.startEnrollment({ id: 5, email: 'user@example.com' }))
+        .rejects.toMatchObject({ code: 'TWO_FACTOR_ALREADY_ENABLED' });
+    });
+  });
+
+  describe('confirmEnrollment', () => {
+    beforeEach(() => {
+      record.enabled_at = null;
+    });
+
+    it('turns 2FA on and issues ten hashed recovery codes', async () => {
+      const code = twoFactorService.generateTotp(SECRET, twoFactorService.currentStep());
+
+      const codes = await twoFactorService.confirmEnrollment(5, code);
+
+      expect(userTwoFactor.update).toHaveBeenCalledWith(1, { enabled_at: expect.any(Date) });
+      expect(codes).toHaveLength(10);
+      codes.forEach(recoveryCode => expect(recoveryCode).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+
+      const [userId, hashes] = userRecoveryCode.replaceForUser.mock.calls[0];
+      expect(userId).toBe(5);
+      expect(hashes).toEqual(codes.map(recoveryCode => sha256(recoveryCode.replace('-', ''))));
+    });
+
+    it('rejects a wrong code', async () => {
+      const staleCode = twoFactorService.generateTotp(SECRET, twoFactorService.currentStep() - 5);
+
+      await expect(twoFactorService.confirmEnrollment(5, staleCode))
+        .rejects.toMatchObject({ code: 'INVALID_TWO_FACTOR_CODE' });
+      expect(userTwoFactor.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyCode', () => {
+    it('accepts a current authenticator code once', async () => {
+      const code = twoFactorService.generateTotp(SECRET, twoFactorService.currentStep());
+
+      await expect(twoFactorService.verifyCode(5, code)).resolves.toBe('totp');
+      expect(userTwoFactor.markStepUsed).toHaveBeenCalledWith(1, twoFactorService.currentStep());
+
+      userTwoFactor.markStepUsed.mockResolvedValue(false);
+      await expect(twoFactorService.verifyCode(5, code)).rejects.toMatchObject({ code: 'INVALID_TWO_FACTOR_CODE' });
+    });
+
+    it('accepts and uses up a recovery code regardless of dashes and case', async () => {
+      userRecoveryCode.consume.mockResolvedValue(true);
+
+      await expect(twoFactorService.verifyCode(5, ' AB12C-3DE45 ')).resolves.toBe('recovery_code');
+      expect(userRecoveryCode.consume).toHaveBeenCalledWith(5, sha256('ab12c3de45'));
+    });
+
+    it('rejects unknown codes and users without 2FA', async () => {
+      await expect(twoFactorService.verifyCode(5, 'ab12c-3de45')).rejects.toMatchObject({ code: 'INVALID_TWO_FACTOR_CODE' });
+
+      userTwoFactor.findByUserId.mockResolvedValue(null);
+      await expect(twoFactorService.verifyCode(5, '123456')).rejects.toMatchObject({ code: 'TWO_FACTOR_NOT_ENABLED' });
+    });
+  });
+
+  describe('disable', () => {
+    it('removes the secret, recovery codes and remembered devices after a valid code', async () => {
+      userRecoveryCode.consume.mockResolvedValue(true);
+
+      await twoFactorService.disable(5, 'ab12c-3de45');
+
+      expect(userTwoFactor.deleteByUserId).toHaveBeenCalledWith(5);
+      expect(userRecoveryCode.deleteByUserId).toHaveBeenCalledWith(5);
+      expect(userTrustedDevice.deleteByUserId).toHaveBeenCalledWith(5);
+    });
+  });
+
+  describe('pending sign-in token', () => {
+    it('round-trips the user and remember flag', () => {
+      const token = twoFactorService.createPendingToken(5, true);
+
+      expect(twoFactorService.verifyPendingToken(token)).toEqual({ userId: 5, remember: true, loginMethod: 'email' });
+    });
+
+    it('carries the login method of the first step', () => {
+      const token = twoFactorService.createPendingToken(5, false, 'google');
+
+      expect(twoFactorService.verifyPendingToken(token)).toEqual({ userId: 5, remember: false, loginMethod: 'google' });
+    });
+
+    it('cannot be used as an auth token, and auth tokens are not pending tokens', () => {
+      const pending = jwt.decode(twoFactorService.createPendingToken(5, false));
+      expect(pending.userId).toBeUndefined();
+
+      const authToken = jwt.sign({ userId: 5 }, process.env.JWT_SECRET);
+      expect(twoFactorService.verifyPendingToken(authToken)).toBeNull();
+      expect(twoFactorService.verifyPendingToken('not-a-token')).toBeNull();
+      expect(twoFactorService.verifyPendingToken(undefined)).toBeNull();
+    });
+  });
+
+  describe('remembered devices', () => {
+    it('stores only a hash of the device token', async () => {
+      const token = await twoFactorService.rememberDevice(5, 'Mozilla/5.0');
+
+      expect(userTrustedDevice.create).toHaveBeenCalledWith(expect.objectContaining({
+        users_id: 5,
+        token_hash: sha256(token),
+        expires_at: expect.any(Date)
+      }));
+
+      userTrustedDevice.touchValid.mockResolvedValue({ id: 3 });
+      await expect(twoFactorService.isTrustedDevice(5, token)).resolves.toBe(true);
+      expect(userTrustedDevice.touchValid).toHaveBeenCalledWith(5, sha256(token));
+    });
+
+    it('treats missing cookies and lookup failures as untrusted', async () => {
+      await expect(twoFactorService.isTrustedDevice(5, undefined)).resolves.toBe(false);
+
+      userTrustedDevice.touchValid.mockRejectedValue(new Error('db down'));
+      await expect(twoFactorService.isTrustedDevice(5, 'token')).resolves.toBe(false);
+    });
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Upload Service Unit Tests
+ * Tests for src/services/upload.service.js
+ */
+
+const fs = require('fs');
+const { Readable } = require('stream');
+
+// Mock dependencies before requiring the service
+jest.mock('../../../src/models', () => ({
+  video: {
+    allowedCategories: ['general', 'education'],
+    createVideo: jest.fn(),
+    findById: jest.fn()
+  },
+  videoUpload: {
+    create: jest.fn(),
+    findByUploadIdForUser: jest.fn(),
+    recordPart: jest.fn(),
+    finish: jest.fn(),
+    findExpired: jest.fn(),
+    formatUpload: jest.fn()
+  },
+  aiPrompts: { getAvailableContentTypes: jest.fn() },
+  user: { findById: jest.fn() }
+}));
+
+jest.mock('../../../src/services/object-storage.service', () => ({
+  minPartBytes: 5 * 1024 * 1024,
+  createMultipartUpload: jest.fn(),
+  uploadPart: jest.fn(),
+  completeMultipartUpload: jest.fn(),
+  abortMultipartUpload: jest.fn(),
+  getSignedUrl: jest.fn(),
+  downloadToFile: jest.fn(),
+  deleteObject: jest.fn()
+}));
+
+jest.mock('../../../src/services/processing-status.service', () => ({
+  initializeVideoProcessingAsync: jest.fn()
+}));
+
+jest.mock('../../../src/services/processing-queue.service', () => ({
+  addToQueue: jest.fn()
+}));
+
+jest.mock('../../../src/services/subscription.service', () => ({
+  markFreeVideoAsUsed: jest.fn(),
+  incrementUsage: jest.fn()
+}));
+
+jest.mock('../../../src/services/transcript.service', () => ({
+  processVideoTranscript: jest.fn()
+}));
+
+const uploadService = require('../../../src/services/upload.service');
+const objectStorage = require('../../../src/services/object-storage.service');
+const transcriptService = require('../../../src/services/transcript.service');
+const { video: videoModel, videoUpload, user: userModel } = require('../../../src/models');
+const processingQueue = require('../../../src/services/processing-queue.service');
+
+describe('UploadService', () => {
+  const chunkSizeBytes = uploadService.chunkSizeBytes;
+
+  const makeUpload = (overrides = {}) => ({
+    id: 1,
+    upload_id: '0b8f7e9a-6a57-4c1e-9d7b-3f3c9d1e2a10',
+    users_id: 5,
+    filename: 'sermon.mp3',
+    mime_type: 'audio/mpeg',
+    total_bytes: 10,
+    received_bytes: 0,
+    storage_path: 'uploads/5/sermon.mp3',
+    storage_upload_id: 'mpu-1',
+    parts: [],
+    metadata: { title: 'Sunday Sermon', contentTypes: ['summary_text'] },
+    status: 'uploading',
+    expires_at: new Date(Date.now() + 60 * 60 * 1000),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Small chunks keep the fixtures readable; production enforces the 5MB part minimum
+    uploadService.chunkSizeBytes = 4;
+    videoUpload.formatUpload.mockImplementation(row => row);
+    objectStorage.createMultipartUpload.mockResolvedValue('mpu-1');
+    objectStorage.uploadPart.mockImplementation(async (key, uploadId, partNumber) => `"etag-${partNumber}"`);
+    objectStorage.getSignedUrl.mockResolvedValue('https://bucket.example.com/uploads/5/sermon.mp3?X-Amz-Signature=abc');
+    videoUpload.recordPart.mockImplementation(async (id, offset, length, part) => makeUpload({
+      received_bytes: offset + length,
+      parts: [part]
+    }));
+  });
+
+  afterEach(() => {
+    uploadService.chunkSizeBytes = chunkSizeBytes;
+  });
+
+  describe('createUpload', () => {
+    it('should reject non-media MIME types', async () => {
+      await expect(uploadService.createUpload(5, { filename: 'notes.pdf', size: 10, mimeType: 'application/pdf' }))
+        .rejects.toMatchObject({ code: 'INVALID_UPLOAD' });
+    });
+
+    it('should reject files over the size limit', async () => {
+      await expect(uploadService.createUpload(5, {
+        filename: 'huge.mp4',
+        size: uploadService.maxUploadBytes + 1,
+        mimeType: 'video/mp4'
+      })).rejects.toMatchObject({ code: 'UPLOAD_TOO_LARGE' });
+    });
+
+    it('should start a multipart upload under a generated key, ignoring the client path', async () => {
+      videoUpload.create.mockImplementation(async data => data);
+
+      const upload = await uploadService.createUpload(5, { filename: '../../etc/passwd.mp3', size: 10, mimeType: 'audio/mpeg' });
+
+      expect(upload.storage_path).toMatch(/^uploads\/5\/[0-9a-f-]{36}\.mp3$/);
+      expect(upload.filename).toBe('passwd.mp3');
+      expect(upload.storage_upload_id).toBe('mpu-1');
+      expect(objectStorage.createMultipartUpload).toHaveBeenCalledWith(upload.storage_path, 'audio/mpeg');
+    });
+  });
+
+  describe('appendChunk', () => {
+    it('should report an offset mismatch without storing anything', async () => {
+      const result = await uploadService.appendChunk(makeUpload({ received_bytes: 4 }), 0, Readable.from([Buffer.from('abcd')]));
+
+      expect(result.offsetMismatch).toBe(true);
+      expect(result.upload.received_bytes).toBe(4);
+      expect(objectStorage.uploadPart).not.toHaveBeenCalled();
+    });
+
+    it('should store each chunk as the part for its offset and record it', async () => {
+      const result = await uploadService.appendChunk(makeUpload({ received_bytes: 4 }), 4, Readable.from([Buffer.from('efgh')]));
+
+      expect(objectStorage.uploadPart).toHaveBeenCalledWith('uploads/5/sermon.mp3', 'mpu-1', 2, Buffer.from('efgh'));
+      expect(videoUpload.recordPart).toHaveBeenCalledWith(1, 4, 4, { PartNumber: 2, ETag: '"etag-2"' });
+      expect(result.offsetMismatch).toBe(false);
+      expect(result.upload.received_bytes).toBe(8);
+    });
+
+    it('should reject a chunk that is not the chunk size unless it is the last', async () => {
+      await expect(uploadService.appendChunk(makeUpload(), 0, Readable.from([Buffer.from('ab')])))
+        .rejects.toMatchObject({ code: 'INVALID_UPLOAD' });
+
+      expect(objectStorage.uploadPart).not.toHaveBeenCalled();
+    });
+
+    it('should reject a chunk that overruns the declared size', async () => {
+      await expect(uploadService.appendChunk(makeUpload({ received_bytes: 8 }), 8, Readable.from([Buffer.from('xyz')])))
+        .rejects.toMatchObject({ code: 'UPLOAD_TOO_LARGE' });
+
+      expect(objectStorage.uploadPart).not.toHaveBeenCalled();
+    });
+
+    it('should count only one of two chunks sent for the same offset', async () => {
+      videoUpload.recordPart.mockResolvedValue(null);
+      videoUpload.findByUploadIdForUser.mockResolvedValue(makeUpload({ received_bytes: 4 }));
+
+      const result = await uploadService.appendChunk(makeUpload(), 0, Readable.from([Buffer.from('abcd')]));
+
+      expect(result.offsetMismatch).toBe(true);
+      expect(result.upload.received_bytes).toBe(4);
+      expect(videoUpload.findByUploadIdForUser).toHaveBeenCalledWith('0b8f7e9a-6a57-4c1e-9d7b-3f3c9d1e2a10', 5);
+    });
+
+    it('should refuse chunks for uploads that are no longer active', async () => {
+      await expect(uploadService.appendChunk(makeUpload({ status: 'completed' }), 0, Readable.from([])))
+        .rejects.toMatchObject({ code: 'UPLOAD_NOT_ACTIVE' });
+    });
+
+    it('should assemble the parts, create the video and queue transcription on the final chunk', async () => {
+      const parts = [{ PartNumber: 1, ETag: '"etag-1"' }, { PartNumber: 2, ETag: '"etag-2"' }, { PartNumber: 3, ETag: '"etag-3"' }];
+      videoUpload.recordPart.mockResolvedValue(makeUpload({ received_bytes: 10, parts }));
+      jest.spyOn(uploadService, 'probeMedia').mockResolvedValue({ duration: 61.4, format: 'mp3', hasAudio: true, hasVideo: false });
+      videoModel.createVideo.mockImplementation(async data => ({ ...data, id: 99, videoid: 'upload-x' }));
+      videoUpload.finish.mockResolvedValue(makeUpload({ status: 'completed', video_id: 99, received_bytes: 10 }));
+      userModel.findById.mockResolvedValue({ subscription_tier: 'premium' });
+
+      const result = await uploadService.appendChunk(makeUpload({ received_bytes: 8 }), 8, Readable.from([Buffer.from('89')]));
+
+      expect(objectStorage.completeMultipartUpload).toHaveBeenCalledWith('uploads/5/sermon.mp3', 'mpu-1', parts);
+      expect(uploadService.probeMedia).toHaveBeenCalledWith('https://bucket.example.com/uploads/5/sermon.mp3?X-Amz-Signature=abc');
+      expect(videoModel.createVideo).toHaveBeenCalledWith(expect.objectContaining({
+        source_type: 'upload',
+        video_title: 'Sunday Sermon',
+        duration: 61,
+        youtube_url: null,
+        media_path: 'uploads/5/sermon.mp3'
+      }));
+      expect(processingQueue.addToQueue).toHaveBeenCalledWith(99, 'transcribe_upload', 2, {
+        contentTypes: ['summary_text'],
+        storageKey: 'uploads/5/sermon.mp3'
+      });
+      expect(result.upload.status).toBe('completed');
+    });
+
+    it('should fail the upload and discard its media when it has no audio', async () => {
+      videoUpload.recordPart.mockResolvedValue(makeUpload({ received_bytes: 10 }));
+      jest.spyOn(uploadService, 'probeMedia').mockResolvedValue({ duration: 10, hasAudio: false, hasVideo: true });
+      videoUpload.finish.mockResolvedValue(makeUpload({ status: 'failed' }));
+      objectStorage.abortMultipartUpload.mockResolvedValue();
+      objectStorage.deleteObject.mockResolvedValue();
+
+      const result = await uploadService.appendChunk(makeUpload({ received_bytes: 8 }), 8, Readable.from([Buffer.from('89')]));
+
+      expect(videoModel.createVideo).not.toHaveBeenCalled();
+      expect(videoUpload.finish).toHaveBeenCalledWith(1, 'failed', { error_message: 'The uploaded file has no audio track to transcribe' });
+      expect(objectStorage.abortMultipartUpload).toHaveBeenCalledWith('uploads/5/sermon.mp3', 'mpu-1');
+      expect(objectStorage.deleteObject).toHaveBeenCalledWith('uploads/5/sermon.mp3');
+      expect(result.upload.status).toBe('failed');
+    });
+  });
+
+  describe('processUploadedVideo', () => {
+    it('should transcribe a local copy of the stored media and remove it afterwards', async () => {
+      let mediaPath;
+      videoModel.findById.mockResolvedValue({ id: 99, videoid: 'upload-x', users_id: 5, media_path: 'uploads/5/sermon.mp3' });
+      objectStorage.downloadToFile.mockImplementation(async (key, filePath) => fs.promises.writeFile(filePath, 'audio'));
+      transcriptService.processVideoTranscript.mockImplementation(async (...args) => {
+        mediaPath = args[5].mediaPath;
+        expect(fs.readFileSync(mediaPath, 'utf8')).toBe('audio');
+        return { success: true };
+      });
+
+      await uploadService.processUploadedVideo(99, { contentTypes: ['summary_text'], storageKey: 'uploads/5/sermon.mp3' });
+
+      expect(objectStorage.downloadToFile).toHaveBeenCalledWith('uploads/5/sermon.mp3', mediaPath);
+      expect(transcriptService.processVideoTranscript).toHaveBeenCalledWith('upload-x', null, 99, 5, ['summary_text'], {
+        mediaPath,
+        signal: undefined
+      });
+      expect(fs.existsSync(mediaPath)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,323 @@
+/**
+ * Workspace Service Unit Tests
+ * Tests for src/services/workspace.service.js
+ */
+
+const crypto = require('crypto');
+
+jest.mock('../../../src/models', () => ({
+  workspace: {
+    findById: jest.fn(),
+    create: jest.fn(),
+    countOwnedBy: jest.fn(),
+    listSeatEmails: jest.fn()
+  },
+  workspaceMember: {
+    findMembership: jest.fn(),
+    findByEmail: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    removeMember: jest.fn()
+  },
+  workspaceInvitation: {
+    findById: jest.fn(),
+    findPendingByEmail: jest.fn(),
+    findPendingByTokenHash: jest.fn(),
+    create: jest.fn(),
+    delete: jest.fn(),
+    markAccepted: jest.fn()
+  },
+  video: {
+    getVideoByIdAndUser: jest.fn(),
+    setWorkspace: jest.fn()
+  },
+  userYoutubeChannels: {
+    findById: jest.fn(),
+    setWorkspace: jest.fn()
+  },
+  user: {
+    findById: jest.fn()
+  }
+}));
+
+jest.mock('../../../src/services/subscription.service', () => ({
+  getSeatLimit: jest.fn(),
+  getCurrentPeriodUsageBreakdown: jest.fn()
+}));
+
+jest.mock('../../../src/services/email.service', () => ({
+  sendWorkspaceInvitation: jest.fn()
+}));
+
+jest.mock('../../../src/services/thumbnail-generator.service', () => ({
+  getCharacterProfile: jest.fn(),
+  setCharacterProfileWorkspace: jest.fn()
+}));
+
+const {
+  workspace,
+  workspaceMember,
+  workspaceInvitation,
+  video,
+  userYoutubeChannels,
+  user
+} = require('../../../src/models');
+const subscriptionService = require('../../../src/services/subscription.service');
+const emailService = require('../../../src/services/email.service');
+const thumbnailService = require('../../../src/services/thumbnail-generator.service');
+const workspaceService = require('../../../src/services/workspace.service');
+
+const OWNER = { id: 3, workspace_id: 8, users_id: 5, role: 'owner', workspace_name: 'Studio', owner_users_id: 5 };
+const EDITOR = { ...OWNER, id: 4, users_id: 6, role: 'editor' };
+const VIEWER = { ...OWNER, id: 5, users_id: 7, role: 'viewer' };
+
+function membershipFor(members) {
+  return async (workspaceId, userId) => members.find(member => member.users_id === userId) || null;
+}
+
+describe('WorkspaceService', () => {
+  beforeEach(() => {
+    workspaceMember.findMembership.mockImplementation(membershipFor([OWNER, EDITOR, VIEWER]));
+    workspaceMember.findByEmail.mockResolvedValue(null);
+    workspaceMember.create.mockImplementation(async data => ({ id: 20, ...data }));
+    workspace.findById.mockResolvedValue({ id: 8, name: 'Studio', owner_users_id: 5 });
+    workspace.create.mockImplementation(async data => ({ id: 8, ...data }));
+    workspace.countOwnedBy.mockResolvedValue(0);
+    workspace.listSeatEmails.mockResolvedValue(['owner@example.com']);
+    workspaceInvitation.findPendingByEmail.mockResolvedValue(null);
+    workspaceInvitation.create.mockImplementation(async data => ({ id: 30, ...data }));
+    subscriptionService.getSeatLimit.mockResolvedValue(5);
+    emailService.sendWorkspaceInvitation.mockResolvedValue({ success: true });
+    user.findById.mockResolvedValue({ id: 5, email: 'owner@example.com', first_name: 'Olive', last_name: 'Owner' });
+  });
+
+  describe('requireRole', () => {
+    it('returns the membership when the role is high enough', async () => {
+      await expect(workspaceService.requireRole(8, 6, 'editor')).resolves.toEqual(EDITOR);
+    });
+
+    it('hides workspaces from non-members', async () => {
+      await expect(workspaceService.requireRole(8, 99, 'viewer'))
+        .rejects.toMatchObject({ code: 'WORKSPACE_NOT_FOUND' });
+    });
+
+    it('rejects a role below the minimum', async () => {
+      await expect(workspaceService.requireRole(8, 7, 'editor'))
+        .rejects.toMatchObject({ code: 'WORKSPACE_FORBIDDEN' });
+    });
+  });
+
+  describe('createWorkspace', () => {
+    it('creates the workspace and makes the creator its owner', async () => {
+      const created = await workspaceService.createWorkspace(5, { name: '  Studio  ' });
+
+      expect(workspace.create).toHaveBeenCalledWith({ name: 'Studio', owner_users_id: 5 });
+      expect(workspaceMember.create).toHaveBeenCalledWith({ workspace_id: 8, users_id: 5, role: 'owner' });
+      expect(created).toMatchObject({ id: 8, name: 'Studio', role: 'owner' });
+    });
+
+    it('requires a name', async () => {
+      await expect(workspaceService.createWorkspace(5, { name: ' ' }))
+        .rejects.toMatchObject({ code: 'INVALID_WORKSPACE_REQUEST' });
+    });
+
+    it('limits how many workspaces a user can own', async () => {
+      workspace.countOwnedBy.mockResolvedValue(10);
+
+      await expect(workspaceService.createWorkspace(5, { name: 'Another' }))
+        .rejects.toMatchObject({ code: 'WORKSPACE_LIMIT_REACHED' });
+      expect(workspace.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('inviteMember', () => {
+    it('stores only the token hash and emails the link', async () => {
+      const result = await workspaceService.inviteMember(5, 8, { email: ' New@Example.com ', role: 'editor' });
+
+      const token = result.acceptUrl.split('/').pop();
+      expect(workspaceInvitation.create).toHaveBeenCalledWith(expect.objectContaining({
+        workspace_id: 8,
+        email: 'new@example.com',
+        role: 'editor',
+        token_hash: crypto.createHash('sha256').update(token).digest('hex'),
+        invited_by_users_id: 5
+      }));
+      expect(emailService.sendWorkspaceInvitation).toHaveBeenCalledWith('new@example.com', expect.objectContaining({
+        workspaceName: 'Studio',
+        inviterName: 'Olive Owner',
+        role: 'editor',
+        acceptUrl: result.acceptUrl
+      }));
+      expect(result.emailSent).toBe(true);
+    });
+
+    it('is limited to the owner', async () => {
+      await expect(workspaceService.inviteMember(6, 8, { email: 'new@example.com' }))
+        .rejects.toMatchObject({ code: 'WORKSPACE_FORBIDDEN' });
+    });
+
+    it('rejects invalid emails and roles', async () => {
+      await expect(workspaceService.inviteMember(5, 8, { email: 'not-an-email' }))
+        .rejects.toMatchObject({ code: 'INVALID_WORKSPACE_REQUEST' });
+      await expect(workspaceService.inviteMember(5, 8, { email: 'new@example.com', role: 'owner' }))
+        .rejects.toMatchObject({ code: 'INVALID_WORKSPACE_REQUEST' });
+    });
+
+    it('rejects people who already joined', async () => {
+      workspaceMember.findByEmail.mockResolvedValue(EDITOR);
+
+      await expect(workspaceService.inviteMember(5, 8, { email: 'editor@example.com' }))
+        .rejects.toMatchObject({ code: 'ALREADY_MEMBER' });
+    });
+
+    it('refuses new people once every seat is taken', async () => {
+      subscriptionService.getSeatLimit.mockResolvedValue(1);
+
+      await expect(workspaceService.inviteMember(5, 8, { email: 'new@example.com' }))
+        .rejects.toMatchObject({ code: 'SEAT_LIMIT_REACHED' });
+      expect(workspaceInvitation.create).not.toHaveBeenCalled();
+    });
+
+    it('lets someone who already holds a seat in another workspace be invited', async () => {
+      subscriptionService.getSeatLimit.mockResolvedValue(2);
+      workspace.listSeatEmails.mockResolvedValue(['owner@example.com', 'new@example.com']);
+
+      await expect(workspaceService.inviteMember(5, 8, { email: 'new@example.com' })).resolves.toBeDefined();
+    });
+
+    it('replaces a pending invitation without another seat check', async () => {
+      subscriptionService.getSeatLimit.mockResolvedValue(1);
+      workspaceInvitation.findPendingByEmail.mockResolvedValue({ id: 29 });
+
+      await workspaceService.inviteMember(5, 8, { email: 'new@example.com' });
+
+      expect(workspaceInvitation.delete).toHaveBeenCalledWith(29);
+      expect(workspaceInvitation.create).toHaveBeenCalled();
+    });
+
+    it('reports an email that could not be sent', async () => {
+      emailService.sendWorkspaceInvitation.mockResolvedValue({ success: false });
+
+      const result = await workspaceService.inviteMember(5, 8, { email: 'new@example.com' });
+
+      expect(result.emailSent).toBe(false);
+    });
+  });
+
+  describe('acceptInvitation', () => {
+    const INVITATION = {
+      id: 30,
+      workspace_id: 8,
+      workspace_name: 'Studio',
+      email: 'new@example.com',
+      role: 'viewer',
+      invited_by_users_id: 5
+    };
+
+    beforeEach(() => {
+      workspaceInvitation.findPendingByTokenHash.mockResolvedValue(INVITATION);
+    });
+
+    it('looks the invitation up by token hash and adds the member', async () => {
+      const joined = await workspaceService.acceptInvitation({ id: 11, email: 'New@Example.com' }, 'raw-token');
+
+      expect(workspaceInvitation.findPendingByTokenHash)
+        .toHaveBeenCalledWith(crypto.createHash('sha256').update('raw-token').digest('hex'));
+      expect(workspaceMember.create).toHaveBeenCalledWith({
+        workspace_id: 8,
+        users_id: 11,
+        role: 'viewer',
+        invited_by_users_id: 5
+      });
+      expect(workspaceInvitation.markAccepted).toHaveBeenCalledWith(30);
+      expect(joined).toMatchObject({ id: 8, role: 'viewer' });
+    });
+
+    it('requires the invited email address', async () => {
+      await expect(workspaceService.acceptInvitation({ id: 11, email: 'other@example.com' }, 'raw-token'))
+        .rejects.toMatchObject({ code: 'INVITATION_EMAIL_MISMATCH' });
+      expect(workspaceMember.create).not.toHaveBeenCalled();
+    });
+
+    it('rejects unknown or expired tokens', async () => {
+      workspaceInvitation.findPendingByTokenHash.mockResolvedValue(null);
+
+      await expect(workspaceService.acceptInvitation({ id: 11, email: 'new@example.com' }, 'raw-token'))
+        .rejects.toMatchObject({ code: 'INVITATION_NOT_FOUND' });
+    });
+  });
+
+  describe('members', () => {
+    it('lets the owner change roles but not their own', async () => {
+      workspaceMember.update.mockImplementation(async (id, data) => ({ ...VIEWER, ...data }));
+
+      await expect(workspaceService.updateMemberRole(5, 8, 7, { role: 'editor' }))
+        .resolves.toMatchObject({ userId: 7, role: 'editor' });
+      await expect(workspaceService.updateMemberRole(5, 8, 5, { role: 'viewer' }))
+        .rejects.toMatchObject({ code: 'WORKSPACE_FORBIDDEN' });
+    });
+
+    it('lets members leave but only the owner remove others', async () => {
+      workspaceMember.removeMember.mockResolvedValue(true);
+
+      await workspaceService.removeMember(7, 8, 7);
+      expect(workspaceMember.removeMember).toHaveBeenCalledWith(8, 7);
+
+      await expect(workspaceService.removeMember(6, 8, 7))
+        .rejects.toMatchObject({ code: 'WORKSPACE_FORBIDDEN' });
+    });
+
+    it('does not let the owner leave', async () => {
+      await expect(workspaceService.removeMember(5, 8, 5))
+        .rejects.toMatchObject({ code: 'WORKSPACE_FORBIDDEN' });
+    });
+  });
+
+  describe('shared resources', () => {
+    it('shares an editor\'s own video into the library', async () => {
+      video.getVideoByIdAndUser.mockResolvedValue({ id: 40, users_id: 6, workspace_id: null });
+
+      await workspaceService.shareVideo(6, 8, 40);
+
+      expect(video.getVideoByIdAndUser).toHaveBeenCalledWith(40, 6);
+      expect(video.setWorkspace).toHaveBeenCalledWith(40, 8);
+    });
+
+    it('does not let viewers share', async () => {
+      await expect(workspaceService.shareVideo(7, 8, 40))
+        .rejects.toMatchObject({ code: 'WORKSPACE_FORBIDDEN' });
+      expect(video.setWorkspace).not.toHaveBeenCalled();
+    });
+
+    it('lets the owner remove a video someone else shared', async () => {
+      video.getVideoByIdAndUser.mockResolvedValue({ id: 40, users_id: 6, workspace_id: 8 });
+
+      await workspaceService.unshareVideo(5, 8, 40);
+
+      expect(video.setWorkspace).toHaveBeenCalledWith(40, null);
+    });
+
+    it('does not let other members remove a shared video', async () => {
+      video.getVideoByIdAndUser.mockResolvedValue({ id: 40, users_id: 6, workspace_id: 8 });
+
+      await expect(workspaceService.unshareVideo(7, 8, 40))
+        .rejects.toMatchObject({ code: 'WORKSPACE_FORBIDDEN' });
+    });
+
+    it('only shares character profiles the user owns', async () => {
+      thumbnailService.getCharacterProfile.mockResolvedValue({ id: 50, users_id: 5, workspace_id: 8 });
+
+      await expect(workspaceService.shareCharacterProfile(6, 8, 50))
+        .rejects.toMatchObject({ code: 'CHARACTER_PROFILE_NOT_FOUND' });
+      expect(thumbnailService.setCharacterProfileWorkspace).not.toHaveBeenCalled();
+    });
+
+    it('connects an active channel the user owns', async () => {
+      userYoutubeChannels.findById.mockResolvedValue({ id: 60, users_id: 6, is_active: true });
+
+      await workspaceService.connectChannel(6, 8, 60);
+
+      expect(userYoutubeChannels.setWorkspace).toHaveBeenCalledWith(60, 8);
+    });
+  });
+});
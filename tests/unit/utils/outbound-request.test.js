@@ -0,0 +1,115 @@
+/**
+ * Outbound Request Guard Unit Tests
+ * Tests for src/utils/outbound-request.js
+ */
+
+const dns = require('dns');
+const http = require('http');
+const axios = require('axios');
+const {
+  isPrivateAddress,
+  isPrivateHost,
+  assertPublicUrl,
+  publicLookup,
+  publicAgents
+} = require('../../../src/utils/outbound-request');
+
+function lookup(hostname, options) {
+  return new Promise((resolve, reject) => {
+    publicLookup(hostname, options, (error, address, family) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve({ address, family });
+    });
+  });
+}
+
+describe('Outbound Request Guard', () => {
+  afterEach(() => {
+    delete process.env.ALLOW_PRIVATE_OUTBOUND_HOSTS;
+    jest.restoreAllMocks();
+  });
+
+  describe('isPrivateAddress', () => {
+    it.each([
+      '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', '[::1]'
+    ])('treats %s as private', (address) => {
+      expect(isPrivateAddress(address)).toBe(true);
+    });
+
+    it.each(['93.184.216.34', '8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8'])('treats %s as public', (address) => {
+      expect(isPrivateAddress(address)).toBe(false);
+    });
+  });
+
+  describe('isPrivateHost', () => {
+    it('rejects local names and private literals but not public names', () => {
+      expect(isPrivateHost('localhost')).toBe(true);
+      expect(isPrivateHost('metadata.google.internal')).toBe(true);
+      expect(isPrivateHost('printer.local')).toBe(true);
+      expect(isPrivateHost('[::1]')).toBe(true);
+      expect(isPrivateHost('example.com')).toBe(false);
+    });
+  });
+
+  describe('assertPublicUrl', () => {
+    it('throws PRIVATE_ADDRESS for private hosts in every environment', () => {
+      expect(() => assertPublicUrl('https://169.254.169.254/latest/meta-data')).toThrow(expect.objectContaining({ code: 'PRIVATE_ADDRESS' }));
+      expect(assertPublicUrl('https://example.com/hooks').hostname).toBe('example.com');
+    });
+
+    it('allows private hosts only with the test opt-out', () => {
+      process.env.ALLOW_PRIVATE_OUTBOUND_HOSTS = 'true';
+      expect(() => assertPublicUrl('http://127.0.0.1:3000')).not.toThrow();
+
+      const originalEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      try {
+        expect(() => assertPublicUrl('http://127.0.0.1:3000')).toThrow(expect.objectContaining({ code: 'PRIVATE_ADDRESS' }));
+      } finally {
+        process.env.NODE_ENV = originalEnv;
+      }
+    });
+  });
+
+  describe('publicLookup', () => {
+    it('rejects a public-looking name that resolves to a private address', async () => {
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        callback(null, [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+      });
+
+      await expect(lookup('rebind.example.com', {})).rejects.toMatchObject({ code: 'PRIVATE_ADDRESS' });
+    });
+
+    it('passes public addresses through in both callback forms', async () => {
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        callback(null, [{ address: '93.184.216.34', family: 4 }]);
+      });
+
+      await expect(lookup('example.com', {})).resolves.toEqual({ address: '93.184.216.34', family: 4 });
+      await expect(lookup('example.com', { all: true })).resolves.toEqual({ address: [{ address: '93.184.216.34', family: 4 }] });
+    });
+  });
+
+  describe('publicAgents', () => {
+    let server;
+    let port;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => res.end('internal'));
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      port = server.address().port;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('refuses to connect to a name that resolves to loopback', async () => {
+      await expect(axios.get(`http://localhost:${port}/`, { ...publicAgents(), timeout: 5000 }))
+        .rejects.toMatchObject({ code: 'PRIVATE_ADDRESS' });
+    });
+  });
+});